@@ -0,0 +1,78 @@
+const AuditService = require('../services/AuditService');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'audit' });
+
+/**
+ * Audit middleware factory
+ * Records the action in the audit log when the route responds with a success status, before
+ * the response is sent. Must run after the caller is authenticated.
+ * @param {string} action - Action name, e.g. service.update
+ * @param {object} [options]
+ * @param {string} [options.target] - Target type, e.g. service
+ * @param {Function|string} [options.targetId] - (req, body) => target ID, or a fixed ID; defaults to
+ *   req.params.id, or the id of options.result for created targets
+ * @param {Function} [options.load] - async (targetId, req) => state of the target, loaded before the
+ *   change (and after it, without options.result) for the diff
+ * @param {Function} [options.result] - body => state of the target after the change, from the response
+ * @param {Function} [options.actor] - (req, body) => { type, id, name } for routes without an
+ *   authenticated caller, such as login; nothing is recorded when it returns null
+ * @returns {Function} Express middleware
+ */
+function audit(action, options = {}) {
+  const resolveTargetId = (req, body) => {
+    if (typeof options.targetId === 'function') return options.targetId(req, body);
+    if (options.targetId) return options.targetId;
+    if (req.params.id) return req.params.id;
+    const result = options.result && body ? options.result(body) : null;
+    return result ? result.id : null;
+  };
+
+  const load = async (targetId, req) => {
+    if (!options.load || !targetId) return null;
+    try {
+      return await options.load(targetId, req);
+    } catch (error) {
+      return null; // Not found: created, deleted, or the route fails anyway
+    }
+  };
+
+  const recordAction = async (req, body, before) => {
+    const actor = options.actor ? options.actor(req, body) : undefined;
+    if (actor === null) {
+      return;
+    }
+
+    const targetId = resolveTargetId(req, body);
+    const after = options.result ? options.result(body) : await load(targetId, req);
+
+    await AuditService.recordRequest(req, {
+      action,
+      actor,
+      target_type: options.target,
+      target_id: targetId,
+      before,
+      after
+    });
+  };
+
+  return async (req, res, next) => {
+    const before = await load(resolveTargetId(req, null), req);
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      if (res.statusCode >= 400) {
+        return json(body);
+      }
+
+      recordAction(req, body, before)
+        .catch(error => log.error('Failed to record audit event', { action, error: error.message }))
+        .then(() => json(body));
+      return res;
+    };
+
+    next();
+  };
+}
+
+module.exports = audit;
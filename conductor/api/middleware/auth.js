@@ -1,10 +1,17 @@
 const JWTService = require('../services/JWTService');
+const UserRepository = require('../repos/UserRepository');
+const ApiKeyService = require('../services/ApiKeyService');
+const SessionService = require('../services/SessionService');
+const TwoFactorService = require('../services/TwoFactorService');
 
 /**
  * Authentication middleware
- * Verifies JWT token and attaches user to request
+ * Verifies JWT token or API key and attaches user to request
+ * The user and session are loaded on every request, so role changes, disabled accounts and
+ * logouts apply immediately.
+ * Requests made with an API key act as the key's owner and also get req.apiKey (see requirePermission).
  */
-function authenticate(req, res, next) {
+async function authenticate(req, res, next) {
   try {
     // Get token from Authorization header
     const authHeader = req.headers.authorization;
@@ -18,24 +25,127 @@ function authenticate(req, res, next) {
       });
     }
 
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+    let credentials;
+    try {
+      credentials = await resolveCredentials(authHeader.substring(7)); // Remove 'Bearer ' prefix
+    } catch (error) {
+      if (error.status !== 401) {
+        throw error;
+      }
+      return res.status(401).json({
+        error: {
+          message: error.message,
+          status: 401
+        }
+      });
+    }
 
-    // Verify token
-    const decoded = JWTService.verifyToken(token);
+    attachUser(req, credentials.user);
+    req.authExpiresAt = credentials.expiresAt; // See LiveConnectionService
+    if (credentials.apiKey) {
+      req.apiKey = credentials.apiKey;
+    } else {
+      req.sessionId = credentials.sessionId;
+      req.twoFactorSetupRequired = credentials.twoFactorSetupRequired; // See requireTwoFactor
+      req.passwordChangeRequired = credentials.passwordChangeRequired; // See requirePasswordChange
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
 
-    // Attach user to request
-    req.user = decoded;
-    req.userId = decoded.id;
+/**
+ * Resolve a JWT access token or API key to the user it acts for
+ * Shared by authenticate and the frontend socket handshake (WorkerSocketService).
+ * @param {string} token - Access token or API key
+ * @returns {Promise<object>} { user, apiKey: { id, name, scopes } | null, sessionId,
+ *   twoFactorSetupRequired, passwordChangeRequired, expiresAt (epoch ms, null if never) }
+ * @throws {Error} With status 401 if the token does not authenticate anyone
+ */
+async function resolveCredentials(token) {
+  if (ApiKeyService.isApiKey(token)) {
+    return await resolveApiKey(token);
+  }
 
-    next();
+  // Verify token
+  let decoded;
+  try {
+    decoded = JWTService.verifyToken(token);
   } catch (error) {
-    return res.status(401).json({
-      error: {
-        message: error.message || 'Invalid token',
-        status: 401
-      }
-    });
+    throw unauthorized(error.message || 'Invalid token');
   }
+
+  if (!await SessionService.verifySession(decoded.sid, decoded.id)) {
+    throw unauthorized('Session has ended');
+  }
+
+  const user = await UserRepository.findById(decoded.id);
+
+  if (!user || user.disabled === 1) {
+    throw unauthorized(user ? 'Account is disabled' : 'User not found');
+  }
+
+  return {
+    user,
+    apiKey: null,
+    sessionId: decoded.sid,
+    twoFactorSetupRequired: await TwoFactorService.isSetupRequired(user),
+    passwordChangeRequired: user.password_change_required === 1,
+    expiresAt: decoded.exp ? decoded.exp * 1000 : null
+  };
+}
+
+/**
+ * Resolve an API key to its owner
+ */
+async function resolveApiKey(token) {
+  let result;
+  try {
+    result = await ApiKeyService.authenticateKey(token);
+  } catch (error) {
+    if (!error.message.includes('API key')) {
+      throw error;
+    }
+    throw unauthorized(error.message);
+  }
+
+  return {
+    user: result.user,
+    apiKey: {
+      id: result.apiKey.id,
+      name: result.apiKey.name,
+      scopes: ApiKeyService.getKeyScopes(result.apiKey)
+    },
+    sessionId: null,
+    twoFactorSetupRequired: false,
+    passwordChangeRequired: false,
+    expiresAt: result.apiKey.expires_at ? new Date(result.apiKey.expires_at).getTime() : null
+  };
+}
+
+/**
+ * Create an authentication error
+ */
+function unauthorized(message) {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+}
+
+/**
+ * Attach the authenticated user to the request
+ */
+function attachUser(req, user) {
+  req.user = {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    two_factor_enabled: user.totp_enabled === 1
+  };
+  req.userId = user.id;
 }
 
 module.exports = authenticate;
+module.exports.resolveCredentials = resolveCredentials;
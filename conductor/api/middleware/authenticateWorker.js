@@ -0,0 +1,40 @@
+const WorkerCredentialService = require('../services/WorkerCredentialService');
+
+/**
+ * Worker authentication middleware
+ * Verifies the credential the worker in :id was issued at registration
+ * (Authorization: Bearer <credential>) and attaches the worker ID to the request
+ */
+async function authenticateWorker(req, res, next) {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        error: {
+          message: 'Worker credential is required',
+          status: 401
+        }
+      });
+    }
+
+    const credential = authHeader.substring(7); // Remove 'Bearer ' prefix
+    const isValid = await WorkerCredentialService.verifyCredential(req.params.id, credential);
+
+    if (!isValid) {
+      return res.status(401).json({
+        error: {
+          message: 'Invalid worker credential',
+          status: 401
+        }
+      });
+    }
+
+    req.workerId = req.params.id;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = authenticateWorker;
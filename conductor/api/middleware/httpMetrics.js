@@ -0,0 +1,24 @@
+const PrometheusService = require('../services/PrometheusService');
+
+/**
+ * HTTP metrics middleware
+ * Counts each request and its latency by route pattern (not the URL, so IDs do not become labels).
+ * Requests that match no route are counted as "unmatched".
+ */
+function httpMetricsMiddleware(req, res, next) {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    let route = 'unmatched';
+    if (req.route) {
+      // The index route of a router is its mount path: /api/v1/workers, not /api/v1/workers/
+      route = req.route.path === '/' && req.baseUrl ? req.baseUrl : `${req.baseUrl}${req.route.path}`;
+    }
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    PrometheusService.observeRequest(req.method, route, res.statusCode, seconds);
+  });
+
+  next();
+}
+
+module.exports = httpMetricsMiddleware;
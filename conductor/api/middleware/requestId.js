@@ -1,17 +1,23 @@
 const { randomUUID } = require('crypto');
+const { runWithRequestId } = require('../utils/requestContext');
+
+// Incoming ids end up in logs and instructions; anything else gets a fresh id
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
 
 /**
  * Request ID middleware
- * Adds a unique request ID to each request for correlation tracking
+ * Adds a unique request ID to each request for correlation tracking. The rest of the request
+ * is handled with the id as request context, so logs and deployment instructions carry it.
  */
 function requestIdMiddleware(req, res, next) {
   // Generate or use existing request ID
-  req.id = req.headers['x-request-id'] || randomUUID();
-  
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+
   // Add request ID to response headers
   res.setHeader('X-Request-ID', req.id);
-  
-  next();
+
+  runWithRequestId(req.id, next);
 }
 
 module.exports = requestIdMiddleware;
@@ -0,0 +1,19 @@
+/**
+ * Password change middleware
+ * Must run after authenticate; rejects users who still have to replace their password, such as
+ * the default admin/admin account. They can still sign in, change the password and sign out.
+ */
+function requirePasswordChange(req, res, next) {
+  if (req.passwordChangeRequired) {
+    return res.status(403).json({
+      error: {
+        message: 'Password change required',
+        status: 403
+      }
+    });
+  }
+
+  next();
+}
+
+module.exports = requirePasswordChange;
@@ -0,0 +1,37 @@
+const { hasPermission } = require('../utils/permissions');
+const requireTwoFactor = require('./requireTwoFactor');
+const requirePasswordChange = require('./requirePasswordChange');
+
+/**
+ * Permission middleware factory
+ * Must run after authenticate; rejects users whose role does not grant the permission,
+ * API keys that are not scoped for it, users who still have to enroll in 2FA and users who
+ * still have to change their password
+ * @param {string} permission - Permission, e.g. services:write (see utils/permissions)
+ * @returns {Array<Function>} Express middleware
+ */
+function requirePermission(permission) {
+  return [requirePasswordChange, requireTwoFactor, (req, res, next) => {
+    if (!req.user || !hasPermission(req.user.role, permission)) {
+      return res.status(403).json({
+        error: {
+          message: `Permission denied: ${permission} is required`,
+          status: 403
+        }
+      });
+    }
+
+    if (req.apiKey && !req.apiKey.scopes.includes(permission)) {
+      return res.status(403).json({
+        error: {
+          message: `Permission denied: API key is not scoped for ${permission}`,
+          status: 403
+        }
+      });
+    }
+
+    next();
+  }];
+}
+
+module.exports = requirePermission;
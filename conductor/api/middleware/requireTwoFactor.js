@@ -0,0 +1,19 @@
+/**
+ * Two-factor middleware
+ * Must run after authenticate; while admins require 2FA for all users, rejects users who
+ * have not enrolled yet. They can still sign in, enroll and sign out.
+ */
+function requireTwoFactor(req, res, next) {
+  if (req.twoFactorSetupRequired) {
+    return res.status(403).json({
+      error: {
+        message: 'Two-factor authentication setup is required',
+        status: 403
+      }
+    });
+  }
+
+  next();
+}
+
+module.exports = requireTwoFactor;
@@ -0,0 +1,19 @@
+/**
+ * User session middleware
+ * Must run after authenticate; rejects requests made with an API key, for routes that
+ * manage the account itself (password, profile, API keys)
+ */
+function requireUserSession(req, res, next) {
+  if (req.apiKey) {
+    return res.status(403).json({
+      error: {
+        message: 'API keys cannot be used for this route',
+        status: 403
+      }
+    });
+  }
+
+  next();
+}
+
+module.exports = requireUserSession;
@@ -0,0 +1,42 @@
+const CertificateAuthorityService = require('../services/CertificateAuthorityService');
+
+/**
+ * Worker client certificate middleware
+ * When mutual TLS is required, the request must come in over the TLS listener with the
+ * current client certificate of the worker in :id
+ */
+async function requireWorkerCertificate(req, res, next) {
+  try {
+    if (!CertificateAuthorityService.isMtlsRequired()) {
+      return next();
+    }
+
+    const peerCertificate = CertificateAuthorityService.getPeerCertificate(req.socket);
+
+    if (!peerCertificate) {
+      return res.status(401).json({
+        error: {
+          message: 'Worker client certificate is required',
+          status: 401
+        }
+      });
+    }
+
+    const isValid = await CertificateAuthorityService.verifyWorkerCertificate(req.params.id, peerCertificate);
+
+    if (!isValid) {
+      return res.status(401).json({
+        error: {
+          message: 'Invalid worker client certificate',
+          status: 401
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = requireWorkerCertificate;
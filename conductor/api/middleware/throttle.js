@@ -0,0 +1,70 @@
+const LoginThrottleService = require('../services/LoginThrottleService');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'throttle' });
+
+/**
+ * Throttle middleware factory
+ * Rejects attempts with 429 and a Retry-After header while the client IP or the account is backing
+ * off or locked out. Allowed attempts are counted as failures right away, so parallel attempts see
+ * each other; responses with status 401 confirm the failure, successful responses clear the
+ * account's failures and any other outcome releases the attempt. Must run before the audit
+ * middleware so that rejected attempts are not recorded.
+ * @param {string} scope - Attempt type: login, two_factor or worker_registration
+ * @param {Function} [getAccount] - req => { type: account|worker, id } named by the attempt, or null
+ * @returns {Function} Express middleware
+ */
+function throttle(scope, getAccount = () => null) {
+  return (req, res, next) => {
+    const keys = LoginThrottleService.getKeys(scope, req.ip, getAccount(req));
+    const retryAfter = LoginThrottleService.getRetryAfter(keys);
+
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: {
+          message: `Too many failed attempts, try again in ${retryAfter} seconds`,
+          status: 429
+        }
+      });
+    }
+
+    const reservation = LoginThrottleService.reserveAttempt(keys);
+    let settled = false;
+
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      if (settled) {
+        return json(body);
+      }
+      settled = true;
+
+      if (res.statusCode === 401) {
+        LoginThrottleService.recordFailure(reservation, req)
+          .catch(error => log.error('Failed to record lockout', { scope, error: error.message }))
+          .then(() => json(body));
+        return res;
+      }
+
+      if (res.statusCode < 400) {
+        LoginThrottleService.recordSuccess(reservation);
+      } else {
+        LoginThrottleService.releaseAttempt(reservation);
+      }
+      return json(body);
+    };
+
+    // Responses that are not sent with res.json (or never sent) do not count
+    res.on('close', () => {
+      if (!settled) {
+        settled = true;
+        LoginThrottleService.releaseAttempt(reservation);
+      }
+    });
+
+    next();
+  };
+}
+
+module.exports = throttle;
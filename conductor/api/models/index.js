@@ -5,7 +5,13 @@ const User = db.model('User', {
   username: 'string',
   password_hash: 'string',
   email: 'string',
-  role: 'string'
+  role: 'string', // admin, operator or viewer (see utils/permissions)
+  disabled: 'number', // 0 = active, 1 = disabled (cannot log in)
+  totp_secret: 'string', // Base32 TOTP secret (set during enrollment, used once enabled)
+  totp_enabled: 'number', // 0 = password only, 1 = TOTP code required at login
+  totp_last_counter: 'number', // Time step of the last accepted code, so codes cannot be replayed
+  recovery_codes: 'string', // JSON array of SHA-256 hashes of unused recovery codes
+  password_change_required: 'number' // 1 = must change the password before using the API (e.g. the default admin/admin)
 }, {
   required: ['username', 'password_hash', 'email'],
   unique: ['username', 'email'],
@@ -18,7 +24,18 @@ const Worker = db.model('Worker', {
   ip_address: 'string',
   status: 'string',
   last_seen: 'datetime',
-  resources: 'string' // JSON string for CPU, RAM, disk, network
+  resources: 'string', // JSON string for CPU, RAM, disk, network
+  labels: 'string', // JSON object, e.g. { "zone": "garage", "disk": "ssd" }
+  taints: 'string', // JSON array of { key, value, effect } that repel services without a toleration
+  capabilities: 'string', // JSON array of features the worker provides, e.g. ["gpu"]
+  admin_labels: 'string', // JSON object of labels set by an admin, null for ones an admin removed
+  admin_taints: 'string', // JSON object of taint key -> taint set by an admin, null for removed ones
+  cordoned: 'number', // 0 = schedulable, 1 = cordoned (no new placements)
+  credential_hash: 'string', // SHA-256 of the worker's credential (empty = none or revoked)
+  credential_issued_at: 'datetime',
+  certificate_fingerprint: 'string', // SHA-256 fingerprint of the worker's current client certificate
+  certificate_expires_at: 'datetime',
+  registration_token_id: 'string' // Token the worker last joined with (plain column, tokens can be deleted)
 }, {
   timestamps: true
 });
@@ -29,7 +46,9 @@ const Service = db.model('Service', {
   name: 'string',
   enabled: 'number', // 0 = false, 1 = true
   docker_image: 'string',
-  config: 'string' // JSON string
+  config: 'string', // JSON string
+  replicas: 'number', // Desired number of workers running the service (empty = placed by hand)
+  revision_id: 'string' // Current ServiceRevision
 }, {
   required: ['name'],
   unique: ['name'],
@@ -38,19 +57,86 @@ const Service = db.model('Service', {
 
 // ServiceDeployment Model
 // Note: belongsTo automatically creates service_id and worker_id columns
+// status: pending, deploying, running, failed, stopped, stranded
+// stranded: the worker went offline and the deployment has volumes, so it was not moved
 const ServiceDeployment = db.model('ServiceDeployment', {
   status: 'string',
-  deployed_at: 'datetime'
+  deployed_at: 'datetime',
+  stopped_at: 'datetime',
+  config: 'string', // JSON string - per-deployment overrides of the service config
+  error: 'string', // Last error reported for this deployment
+  // Observed container state, as reported by the worker
+  container_id: 'string',
+  container_state: 'string', // created, running, restarting, exited, paused, dead, not_found
+  exit_code: 'number',
+  restart_count: 'number',
+  last_error: 'string',
+  image_digest: 'string',
+  reported_at: 'datetime',
+  reconcile_paused: 'number', // 0 = reconciled, 1 = reconciliation paused
+  rescheduled_from: 'string', // Worker ID the deployment was moved away from
+  revision_id: 'string' // ServiceRevision the container was last deployed from
 }, {
   belongsTo: ['Service', 'Worker'],
   timestamps: true
 });
 
+// ServiceRevision Model
+// Immutable snapshot of a service's image and config, created on every change.
+// service_id is a plain column so revisions do not block deleting the service.
+const ServiceRevision = db.model('ServiceRevision', {
+  service_id: 'string',
+  revision: 'number', // 1, 2, 3... per service
+  docker_image: 'string',
+  config: 'string', // JSON string
+  reason: 'string' // created, updated, rollback to revision N, automatic rollback
+}, {
+  required: ['service_id', 'revision'],
+  timestamps: true
+});
+
+// RevisionDeployment Model
+// Append-only record of every time a deployment was deployed from a revision, so revisions keep
+// the deployments they produced after newer revisions roll out. Plain columns, like revisions.
+const RevisionDeployment = db.model('RevisionDeployment', {
+  revision_id: 'string',
+  service_id: 'string',
+  deployment_id: 'string',
+  worker_id: 'string',
+  deployed_at: 'datetime'
+}, {
+  required: ['revision_id', 'deployment_id'],
+  indexes: ['revision_id', 'service_id'],
+  timestamps: true
+});
+
+// DriftEvent Model
+// Recorded by the reconciliation loop when a worker's containers differ from the desired deployments.
+// deployment_id is empty for orphaned containers (no deployment on that worker).
+// drift: missing, not_running, unexpected_running, orphaned
+const DriftEvent = db.model('DriftEvent', {
+  deployment_id: 'string',
+  worker_id: 'string',
+  service_name: 'string',
+  drift: 'string',
+  desired_state: 'string',
+  observed_state: 'string',
+  action: 'string', // Instruction sent to converge: deploy, stop, remove
+  message: 'string'
+}, {
+  required: ['worker_id', 'drift'],
+  timestamps: true
+});
+
 // Token Model (for worker registration)
 // Note: SQLite doesn't support boolean, so we use integer (0 = false, 1 = true)
 const Token = db.model('Token', {
   token: 'string',
+  name: 'string',
   expires_at: 'datetime',
+  max_uses: 'number', // Registrations allowed with this token (empty = unlimited)
+  uses: 'number', // Registrations made with this token
+  labels: 'string', // JSON object of labels applied to workers that join with this token
   active: 'number' // 0 = false, 1 = true
 }, {
   required: ['token'],
@@ -58,6 +144,184 @@ const Token = db.model('Token', {
   timestamps: true
 });
 
+// Session Model (one per login)
+// Access tokens are short-lived JWTs that name their session; the refresh token is rotated on
+// every use and only its hash is stored. previous_token_hash catches reuse of a rotated token.
+const Session = db.model('Session', {
+  user_id: 'string',
+  refresh_token_hash: 'string', // SHA-256 of the current refresh token
+  previous_token_hash: 'string', // SHA-256 of the refresh token it replaced
+  device: 'string', // Device name sent at login, or the User-Agent
+  ip_address: 'string',
+  last_used_at: 'datetime',
+  expires_at: 'datetime', // Extended on every refresh
+  active: 'number' // 0 = revoked (logged out), 1 = active
+}, {
+  required: ['user_id', 'refresh_token_hash'],
+  timestamps: true
+});
+
+// ApiKey Model (for third-party applications)
+// Only a hash of the key is stored; key_prefix identifies the key without revealing it.
+// user_id is a plain column: the key acts as its owner, limited to its scopes.
+const ApiKey = db.model('ApiKey', {
+  name: 'string',
+  key_prefix: 'string',
+  key_hash: 'string', // SHA-256 of the full key
+  scopes: 'string', // JSON array of permissions, e.g. ["services:read", "deployments:write"]
+  user_id: 'string',
+  expires_at: 'datetime',
+  last_used_at: 'datetime',
+  active: 'number' // 0 = revoked, 1 = active
+}, {
+  required: ['key_prefix', 'key_hash', 'user_id'],
+  unique: ['key_prefix'],
+  timestamps: true
+});
+
+// Setting Model
+// Conductor-wide settings changed at runtime, e.g. require_two_factor. Values are JSON strings.
+const Setting = db.model('Setting', {
+  key: 'string',
+  value: 'string'
+}, {
+  required: ['key'],
+  unique: ['key'],
+  timestamps: true
+});
+
+// AuditEvent Model
+// Append-only record of a mutating action. Entries are hash-chained: hash covers the entry and the
+// previous entry's hash, so changing or removing an entry breaks the chain (see AuditService).
+// actor_type: user, api_key, worker
+const AuditEvent = db.model('AuditEvent', {
+  sequence: 'number', // Position in the chain, starting at 1
+  actor_type: 'string',
+  actor_id: 'string',
+  actor_name: 'string',
+  action: 'string', // e.g. service.update, token.regenerate
+  target_type: 'string',
+  target_id: 'string',
+  request_id: 'string', // X-Request-ID of the request that made the change
+  ip_address: 'string',
+  changes: 'string', // JSON object of changed fields: { field: { before, after } }
+  occurred_at: 'string', // ISO timestamp, part of the hash
+  previous_hash: 'string',
+  hash: 'string'
+}, {
+  required: ['sequence', 'action', 'hash'],
+  unique: ['sequence'],
+  timestamps: true
+});
+
+// Metric Sample Model
+// Time series of worker metrics from heartbeats: raw samples and 1-minute and 1-hour rollups (see MetricsService)
+const MetricSample = db.model('MetricSample', {
+  worker_id: 'string',
+  resolution: 'string', // raw, 1m or 1h
+  time: 'number', // Epoch ms: when the sample was taken, or the start of the rollup bucket
+  samples: 'number', // Number of raw samples averaged into this one
+  cpu_percent: 'number',
+  cpu_cores_percent: 'string', // JSON array of per-core usage
+  ram_percent: 'number',
+  ram_used_gb: 'number',
+  disk_percent: 'number',
+  disk_used_gb: 'number',
+  disk_read_bps: 'number', // Disk I/O, bytes per second
+  disk_write_bps: 'number',
+  net_rx_bps: 'number', // Network traffic on the primary interface, bytes per second
+  net_tx_bps: 'number'
+}, {
+  required: ['worker_id', 'resolution', 'time'],
+  indexes: ['worker_id', 'time']
+});
+
+// Alert Rule Model
+// Conditions are checked by the alerting loop (see AlertService)
+const AlertRule = db.model('AlertRule', {
+  name: 'string',
+  condition: 'string', // e.g. ram.usagePercent > 90 for 5m, worker offline for 2m, deployment restarting
+  worker_id: 'string', // Only check this worker (empty = all workers)
+  severity: 'string', // warning or critical
+  channel_ids: 'string', // JSON array of notification channel IDs
+  repeat_minutes: 'number', // Notify again while firing and not acknowledged (0 = once)
+  enabled: 'number' // 0 = false, 1 = true
+}, {
+  required: ['name', 'condition'],
+  timestamps: true
+});
+
+// Alert Model
+// One per rule and target (worker or deployment) each time the condition starts to hold
+const Alert = db.model('Alert', {
+  rule_id: 'string',
+  rule_name: 'string',
+  severity: 'string',
+  target_type: 'string', // worker or deployment
+  target_id: 'string',
+  target_name: 'string',
+  state: 'string', // pending, firing or resolved
+  value: 'number', // Last value of the metric, for metric conditions
+  message: 'string',
+  started_at: 'string', // ISO timestamp the condition started to hold
+  fired_at: 'string',
+  resolved_at: 'string',
+  last_notified_at: 'string',
+  acknowledged_at: 'string',
+  acknowledged_by: 'string'
+}, {
+  required: ['rule_id', 'target_type', 'target_id', 'state'],
+  indexes: ['rule_id', 'state'],
+  timestamps: true
+});
+
+// Alert Silence Model
+// Mutes notifications of alerts of a rule, a target, or both, until ends_at
+const AlertSilence = db.model('AlertSilence', {
+  rule_id: 'string',
+  target_id: 'string',
+  starts_at: 'string',
+  ends_at: 'string',
+  comment: 'string',
+  created_by: 'string'
+}, {
+  required: ['starts_at', 'ends_at'],
+  timestamps: true
+});
+
+// Notification Channel Model
+const NotificationChannel = db.model('NotificationChannel', {
+  name: 'string',
+  type: 'string', // webhook, smtp or feed (see NotificationService)
+  config: 'string', // JSON object, e.g. { url } for webhooks, { to } for SMTP
+  enabled: 'number', // 0 = false, 1 = true
+  last_sent_at: 'string',
+  last_error: 'string'
+}, {
+  required: ['name', 'type'],
+  timestamps: true
+});
+
+// Event Model
+// Cluster activity: workers registering, going offline, missing heartbeats, failing to report
+// (see EventService). Unlike the audit log, events are not chained and old ones are pruned.
+const Event = db.model('Event', {
+  sequence: 'number', // Increasing position, used as the pagination cursor and SSE event id
+  type: 'string', // e.g. worker.registered, worker.heartbeat_timeout
+  severity: 'string', // info, warning or error
+  source: 'string', // Component that recorded it, e.g. worker_socket
+  subject_type: 'string', // e.g. worker
+  subject_id: 'string',
+  message: 'string',
+  payload: 'string', // JSON object with details
+  occurred_at: 'string'
+}, {
+  required: ['sequence', 'type', 'severity'],
+  unique: ['sequence'],
+  indexes: ['type', 'subject_id', 'occurred_at'],
+  timestamps: true
+});
+
 // Resource Model
 // Note: belongsTo automatically creates worker_id column
 const Resource = db.model('Resource', {
@@ -75,7 +339,20 @@ module.exports = {
   Worker,
   Service,
   ServiceDeployment,
+  ServiceRevision,
+  RevisionDeployment,
+  DriftEvent,
   Token,
+  Session,
+  ApiKey,
+  Setting,
+  AuditEvent,
+  MetricSample,
+  AlertRule,
+  Alert,
+  AlertSilence,
+  NotificationChannel,
+  Event,
   Resource,
   db
 };
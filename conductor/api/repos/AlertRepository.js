@@ -0,0 +1,82 @@
+const { Alert } = require('../models');
+
+/**
+ * Alert Repository - Database operations for alerts raised by alert rules
+ */
+class AlertRepository {
+  /**
+   * Find alerts matching filters
+   * @param {object} [filters] - Optional filters (state, rule_id, target_id, limit)
+   * @returns {Promise<Array>} Array of alerts, newest first
+   */
+  async findAll(filters = {}) {
+    const where = {};
+    if (filters.state) where.state = filters.state;
+    if (filters.rule_id) where.rule_id = filters.rule_id;
+    if (filters.target_id) where.target_id = filters.target_id;
+
+    return await Alert.findAll({
+      where,
+      order: 'started_at DESC',
+      limit: filters.limit || 100
+    });
+  }
+
+  /**
+   * Find alerts that are pending or firing
+   * @returns {Promise<Array>} Array of open alerts
+   */
+  async findOpen() {
+    return await Alert.findAll({ where: { state: ['pending', 'firing'] } });
+  }
+
+  /**
+   * Find alert by ID
+   * @param {string} id - Alert ID
+   * @returns {Promise<object|null>} Alert or null
+   */
+  async findById(id) {
+    const alerts = await Alert.findAll({ where: { id } });
+    return alerts.length > 0 ? alerts[0] : null;
+  }
+
+  /**
+   * Create alert
+   * @param {object} alertData - Alert data
+   * @returns {Promise<object>} Created alert
+   */
+  async create(alertData) {
+    return await Alert.create(alertData);
+  }
+
+  /**
+   * Update alert
+   * @param {string} id - Alert ID
+   * @param {object} alertData - Fields to update
+   * @returns {Promise<object>} Updated alert
+   */
+  async update(id, alertData) {
+    return await Alert.update(id, alertData);
+  }
+
+  /**
+   * Delete alert
+   * @param {string} id - Alert ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async delete(id) {
+    return await Alert.delete(id);
+  }
+
+  /**
+   * Delete all alerts of a rule
+   * @param {string} ruleId - Alert rule ID
+   * @returns {Promise<number>} Number of deleted alerts
+   */
+  async deleteByRuleId(ruleId) {
+    const deleted = await Alert.deleteBy({ rule_id: ruleId });
+    return deleted.length;
+  }
+}
+
+module.exports = new AlertRepository();
@@ -0,0 +1,54 @@
+const { AlertRule } = require('../models');
+
+/**
+ * Alert Rule Repository - Database operations for alert rules
+ */
+class AlertRuleRepository {
+  /**
+   * Get all alert rules
+   * @returns {Promise<Array>} Array of alert rules, by name
+   */
+  async findAll() {
+    return await AlertRule.findAll({ order: 'name ASC' });
+  }
+
+  /**
+   * Find alert rule by ID
+   * @param {string} id - Alert rule ID
+   * @returns {Promise<object|null>} Alert rule or null
+   */
+  async findById(id) {
+    const rules = await AlertRule.findAll({ where: { id } });
+    return rules.length > 0 ? rules[0] : null;
+  }
+
+  /**
+   * Create alert rule
+   * @param {object} ruleData - Alert rule data (name, condition, worker_id, severity, channel_ids, repeat_minutes, enabled)
+   * @returns {Promise<object>} Created alert rule
+   */
+  async create(ruleData) {
+    return await AlertRule.create(ruleData);
+  }
+
+  /**
+   * Update alert rule
+   * @param {string} id - Alert rule ID
+   * @param {object} ruleData - Fields to update
+   * @returns {Promise<object>} Updated alert rule
+   */
+  async update(id, ruleData) {
+    return await AlertRule.update(id, ruleData);
+  }
+
+  /**
+   * Delete alert rule
+   * @param {string} id - Alert rule ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async delete(id) {
+    return await AlertRule.delete(id);
+  }
+}
+
+module.exports = new AlertRuleRepository();
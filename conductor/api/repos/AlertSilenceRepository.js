@@ -0,0 +1,49 @@
+const { AlertSilence } = require('../models');
+
+/**
+ * Alert Silence Repository - Database operations for alert silences
+ */
+class AlertSilenceRepository {
+  /**
+   * Find silences in effect at a time
+   * @param {string} at - ISO timestamp
+   * @returns {Promise<Array>} Array of silences, ending soonest first
+   */
+  async findActive(at) {
+    return await AlertSilence.findAll({
+      where: { starts_at: { lte: at }, ends_at: { $gt: at } },
+      order: 'ends_at ASC'
+    });
+  }
+
+  /**
+   * Find silence by ID
+   * @param {string} id - Silence ID
+   * @returns {Promise<object|null>} Silence or null
+   */
+  async findById(id) {
+    const silences = await AlertSilence.findAll({ where: { id } });
+    return silences.length > 0 ? silences[0] : null;
+  }
+
+  /**
+   * Create silence
+   * @param {object} silenceData - Silence data (rule_id, target_id, starts_at, ends_at, comment, created_by)
+   * @returns {Promise<object>} Created silence
+   */
+  async create(silenceData) {
+    return await AlertSilence.create(silenceData);
+  }
+
+  /**
+   * Update silence
+   * @param {string} id - Silence ID
+   * @param {object} silenceData - Fields to update
+   * @returns {Promise<object>} Updated silence
+   */
+  async update(id, silenceData) {
+    return await AlertSilence.update(id, silenceData);
+  }
+}
+
+module.exports = new AlertSilenceRepository();
@@ -0,0 +1,66 @@
+const { ApiKey } = require('../models');
+
+/**
+ * API Key Repository - Database operations for API keys
+ */
+class ApiKeyRepository {
+  /**
+   * Find all API keys, newest first
+   * @param {string} [userId] - Only keys owned by this user
+   * @returns {Promise<Array>} Array of API keys
+   */
+  async findAll(userId) {
+    const keys = userId ? await ApiKey.findAll({ where: { user_id: userId } }) : await ApiKey.findAll();
+    return keys.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  /**
+   * Find API key by ID
+   * @param {string} id - API key ID
+   * @returns {Promise<object|null>} API key or null
+   */
+  async findById(id) {
+    const keys = await ApiKey.findAll({ where: { id } });
+    return keys.length > 0 ? keys[0] : null;
+  }
+
+  /**
+   * Find API key by its prefix
+   * @param {string} keyPrefix - Public part of the key
+   * @returns {Promise<object|null>} API key or null
+   */
+  async findByPrefix(keyPrefix) {
+    const keys = await ApiKey.findAll({ where: { key_prefix: keyPrefix } });
+    return keys.length > 0 ? keys[0] : null;
+  }
+
+  /**
+   * Create a new API key
+   * @param {object} keyData - API key data (name, key_prefix, key_hash, scopes, user_id, expires_at, active)
+   * @returns {Promise<object>} Created API key
+   */
+  async create(keyData) {
+    return await ApiKey.create(keyData);
+  }
+
+  /**
+   * Update an API key
+   * @param {string} id - API key ID
+   * @param {object} keyData - Fields to update
+   * @returns {Promise<object>} Updated API key
+   */
+  async update(id, keyData) {
+    return await ApiKey.update(id, keyData);
+  }
+
+  /**
+   * Delete an API key
+   * @param {string} id - API key ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async delete(id) {
+    return await ApiKey.delete(id);
+  }
+}
+
+module.exports = new ApiKeyRepository();
@@ -0,0 +1,66 @@
+const { AuditEvent } = require('../models');
+
+/**
+ * Audit Event Repository - Database operations for the audit log
+ * The audit log is append-only: there is no update or delete.
+ */
+class AuditEventRepository {
+  /**
+   * Find audit events matching filters
+   * @param {object} [filters] - Optional filters (actor_type, actor_id, action, target_type, target_id,
+   *   request_id, since, until, limit, offset)
+   * @returns {Promise<Array>} Array of audit events, newest first
+   */
+  async findAll(filters = {}) {
+    const where = {};
+    for (const field of ['actor_type', 'actor_id', 'action', 'target_type', 'target_id', 'request_id']) {
+      if (filters[field]) where[field] = filters[field];
+    }
+    if (filters.since || filters.until) {
+      where.occurred_at = {};
+      if (filters.since) where.occurred_at.gte = filters.since;
+      if (filters.until) where.occurred_at.lte = filters.until;
+    }
+
+    return await AuditEvent.findAll({
+      where,
+      order: 'sequence DESC',
+      limit: filters.limit || 100,
+      offset: filters.offset || 0
+    });
+  }
+
+  /**
+   * Find audit events in chain order
+   * @param {number} afterSequence - Return events after this sequence number
+   * @param {number} limit - Maximum number of events
+   * @returns {Promise<Array>} Array of audit events, oldest first
+   */
+  async findInOrder(afterSequence, limit) {
+    return await AuditEvent.findAll({
+      where: { sequence: { $gt: afterSequence } },
+      order: 'sequence ASC',
+      limit
+    });
+  }
+
+  /**
+   * Find the newest audit event (the end of the chain)
+   * @returns {Promise<object|null>} Audit event or null
+   */
+  async findLatest() {
+    const events = await AuditEvent.findAll({ order: 'sequence DESC', limit: 1 });
+    return events[0] || null;
+  }
+
+  /**
+   * Create audit event
+   * @param {object} eventData - Audit event data
+   * @returns {Promise<object>} Created audit event
+   */
+  async create(eventData) {
+    return await AuditEvent.create(eventData);
+  }
+}
+
+module.exports = new AuditEventRepository();
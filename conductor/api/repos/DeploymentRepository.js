@@ -0,0 +1,93 @@
+const { ServiceDeployment } = require('../models');
+
+/**
+ * Deployment Repository - Database operations for service deployments
+ */
+class DeploymentRepository {
+  /**
+   * Find deployment by ID
+   * @param {string} id
+   * @returns {Promise<object|null>} Deployment object or null
+   */
+  async findById(id) {
+    const deployments = await ServiceDeployment.findAll({ where: { id } });
+    return deployments.length > 0 ? deployments[0] : null;
+  }
+
+  /**
+   * Find deployments matching filters
+   * @param {object} [filters] - Optional filters (service_id, worker_id, status)
+   * @returns {Promise<Array>} Array of deployments, newest first
+   */
+  async findAll(filters = {}) {
+    const where = {};
+    if (filters.service_id) where.service_id = filters.service_id;
+    if (filters.worker_id) where.worker_id = filters.worker_id;
+    if (filters.status) where.status = filters.status;
+
+    return await ServiceDeployment.findAll({ where, order: 'created_at DESC' });
+  }
+
+  /**
+   * Find deployments for a service
+   * @param {string} serviceId - Service ID
+   * @returns {Promise<Array>} Array of deployments
+   */
+  async findByServiceId(serviceId) {
+    return await this.findAll({ service_id: serviceId });
+  }
+
+  /**
+   * Find deployments on a worker
+   * @param {string} workerId - Worker ID
+   * @returns {Promise<Array>} Array of deployments
+   */
+  async findByWorkerId(workerId) {
+    return await this.findAll({ worker_id: workerId });
+  }
+
+  /**
+   * Find the deployment of a service on a worker
+   * @param {string} serviceId - Service ID
+   * @param {string} workerId - Worker ID
+   * @returns {Promise<object|null>} Deployment object or null
+   */
+  async findByServiceAndWorker(serviceId, workerId) {
+    const deployments = await this.findAll({ service_id: serviceId, worker_id: workerId });
+    return deployments.length > 0 ? deployments[0] : null;
+  }
+
+  /**
+   * Create a new deployment
+   * @param {object} deploymentData - Deployment data (service_id, worker_id, status, config)
+   * @returns {Promise<object>} Created deployment
+   */
+  async create(deploymentData) {
+    return await ServiceDeployment.create(deploymentData);
+  }
+
+  /**
+   * Update deployment
+   * @param {string} id - Deployment ID
+   * @param {object} deploymentData - Updated deployment data
+   * @returns {Promise<object>} Updated deployment
+   */
+  async update(id, deploymentData) {
+    const deployment = await this.findById(id);
+    if (!deployment) {
+      throw new Error('Deployment not found');
+    }
+    return await ServiceDeployment.update(id, deploymentData);
+  }
+
+  /**
+   * Delete deployment
+   * @param {string} id - Deployment ID
+   * @returns {Promise<object|null>} Deleted deployment or null
+   */
+  async delete(id) {
+    return await ServiceDeployment.delete(id);
+  }
+}
+
+module.exports = new DeploymentRepository();
@@ -0,0 +1,44 @@
+const { DriftEvent } = require('../models');
+
+/**
+ * Drift Event Repository - Database operations for reconciliation drift events
+ */
+class DriftEventRepository {
+  /**
+   * Find drift events matching filters
+   * @param {object} [filters] - Optional filters (worker_id, deployment_id, limit)
+   * @returns {Promise<Array>} Array of drift events, newest first
+   */
+  async findAll(filters = {}) {
+    const where = {};
+    if (filters.worker_id) where.worker_id = filters.worker_id;
+    if (filters.deployment_id) where.deployment_id = filters.deployment_id;
+
+    return await DriftEvent.findAll({
+      where,
+      order: 'created_at DESC',
+      limit: filters.limit || 100
+    });
+  }
+
+  /**
+   * Create drift event
+   * @param {object} eventData - Drift event data
+   * @returns {Promise<object>} Created drift event
+   */
+  async create(eventData) {
+    return await DriftEvent.create(eventData);
+  }
+
+  /**
+   * Delete drift events created before a point in time
+   * @param {string} before - ISO timestamp
+   * @returns {Promise<number>} Number of deleted events
+   */
+  async deleteOlderThan(before) {
+    const deleted = await DriftEvent.deleteBy({ created_at: { $lt: before } });
+    return deleted.length;
+  }
+}
+
+module.exports = new DriftEventRepository();
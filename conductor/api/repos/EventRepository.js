@@ -0,0 +1,79 @@
+const { Event } = require('../models');
+
+/**
+ * Event Repository - Database operations for cluster events
+ */
+class EventRepository {
+  /**
+   * Find events matching filters
+   * @param {object} [filters] - Optional filters (types, severities, source, subject_type, subject_id,
+   *   since, until, before (sequence), limit)
+   * @returns {Promise<Array>} Array of events, newest first
+   */
+  async findAll(filters = {}) {
+    const where = {};
+    if (filters.types) where.type = filters.types;
+    if (filters.severities) where.severity = filters.severities;
+    for (const field of ['source', 'subject_type', 'subject_id']) {
+      if (filters[field]) where[field] = filters[field];
+    }
+    if (filters.since || filters.until) {
+      where.occurred_at = {};
+      if (filters.since) where.occurred_at.gte = filters.since;
+      if (filters.until) where.occurred_at.lte = filters.until;
+    }
+    if (filters.before) {
+      where.sequence = { $lt: filters.before };
+    }
+
+    return await Event.findAll({
+      where,
+      order: 'sequence DESC',
+      limit: filters.limit || 100
+    });
+  }
+
+  /**
+   * Find events after a sequence number
+   * @param {number} afterSequence - Return events after this sequence number
+   * @param {number} limit - Maximum number of events
+   * @returns {Promise<Array>} Array of events, oldest first
+   */
+  async findAfter(afterSequence, limit) {
+    return await Event.findAll({
+      where: { sequence: { $gt: afterSequence } },
+      order: 'sequence ASC',
+      limit
+    });
+  }
+
+  /**
+   * Find the newest event
+   * @returns {Promise<object|null>} Event or null
+   */
+  async findLatest() {
+    const events = await Event.findAll({ order: 'sequence DESC', limit: 1 });
+    return events[0] || null;
+  }
+
+  /**
+   * Create event
+   * @param {object} eventData - Event data
+   * @returns {Promise<object>} Created event
+   */
+  async create(eventData) {
+    return await Event.create(eventData);
+  }
+
+  /**
+   * Delete events that occurred before a time
+   * @param {string} before - ISO timestamp
+   * @returns {Promise<number>} Number of deleted events
+   */
+  async deleteOlderThan(before) {
+    const deleted = await Event.deleteBy({ occurred_at: { $lt: before } });
+    return deleted.length;
+  }
+}
+
+module.exports = new EventRepository();
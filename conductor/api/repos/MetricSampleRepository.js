@@ -0,0 +1,58 @@
+const { MetricSample } = require('../models');
+
+/**
+ * Metric Sample Repository - Database operations for worker metric time series
+ */
+class MetricSampleRepository {
+  /**
+   * Find samples of a worker in a time range
+   * @param {string} workerId - Worker ID
+   * @param {string} resolution - raw, 1m or 1h
+   * @param {number} from - Start (epoch ms, inclusive)
+   * @param {number} to - End (epoch ms, exclusive)
+   * @returns {Promise<Array>} Samples, oldest first
+   */
+  async findRange(workerId, resolution, from, to) {
+    return await MetricSample.findAll({
+      where: { worker_id: workerId, resolution, time: { gte: from, $lt: to } },
+      order: 'time ASC'
+    });
+  }
+
+  /**
+   * Find the newest sample of a worker
+   * @param {string} workerId - Worker ID
+   * @param {string} resolution - raw, 1m or 1h
+   * @returns {Promise<object|null>} Sample or null
+   */
+  async findLatest(workerId, resolution) {
+    const samples = await MetricSample.findAll({
+      where: { worker_id: workerId, resolution },
+      order: 'time DESC',
+      limit: 1
+    });
+    return samples[0] || null;
+  }
+
+  /**
+   * Create sample
+   * @param {object} sampleData - Sample data
+   * @returns {Promise<object>} Created sample
+   */
+  async create(sampleData) {
+    return await MetricSample.create(sampleData);
+  }
+
+  /**
+   * Delete samples older than a time
+   * @param {string} resolution - raw, 1m or 1h
+   * @param {number} before - Epoch ms
+   * @returns {Promise<number>} Number of deleted samples
+   */
+  async deleteOlderThan(resolution, before) {
+    const deleted = await MetricSample.deleteBy({ resolution, time: { $lt: before } });
+    return deleted.length;
+  }
+}
+
+module.exports = new MetricSampleRepository();
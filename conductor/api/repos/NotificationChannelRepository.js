@@ -0,0 +1,54 @@
+const { NotificationChannel } = require('../models');
+
+/**
+ * Notification Channel Repository - Database operations for alert notification channels
+ */
+class NotificationChannelRepository {
+  /**
+   * Get all notification channels
+   * @returns {Promise<Array>} Array of channels, by name
+   */
+  async findAll() {
+    return await NotificationChannel.findAll({ order: 'name ASC' });
+  }
+
+  /**
+   * Find notification channel by ID
+   * @param {string} id - Channel ID
+   * @returns {Promise<object|null>} Channel or null
+   */
+  async findById(id) {
+    const channels = await NotificationChannel.findAll({ where: { id } });
+    return channels.length > 0 ? channels[0] : null;
+  }
+
+  /**
+   * Create notification channel
+   * @param {object} channelData - Channel data (name, type, config, enabled)
+   * @returns {Promise<object>} Created channel
+   */
+  async create(channelData) {
+    return await NotificationChannel.create(channelData);
+  }
+
+  /**
+   * Update notification channel
+   * @param {string} id - Channel ID
+   * @param {object} channelData - Fields to update
+   * @returns {Promise<object>} Updated channel
+   */
+  async update(id, channelData) {
+    return await NotificationChannel.update(id, channelData);
+  }
+
+  /**
+   * Delete notification channel
+   * @param {string} id - Channel ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async delete(id) {
+    return await NotificationChannel.delete(id);
+  }
+}
+
+module.exports = new NotificationChannelRepository();
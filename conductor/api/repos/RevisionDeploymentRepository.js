@@ -0,0 +1,36 @@
+const { RevisionDeployment } = require('../models');
+
+/**
+ * Revision Deployment Repository - Database operations for the links between revisions and
+ * the deployments they produced
+ * Links are append-only, so there is no update
+ */
+class RevisionDeploymentRepository {
+  /**
+   * Find the links of a service's revisions
+   * @param {string} serviceId - Service ID
+   * @returns {Promise<Array>} Array of links, oldest first
+   */
+  async findByServiceId(serviceId) {
+    return await RevisionDeployment.findAll({ where: { service_id: serviceId }, order: 'deployed_at ASC' });
+  }
+
+  /**
+   * Create link
+   * @param {object} linkData - Link data (revision_id, service_id, deployment_id, worker_id, deployed_at)
+   * @returns {Promise<object>} Created link
+   */
+  async create(linkData) {
+    return await RevisionDeployment.create(linkData);
+  }
+
+  /**
+   * Delete all links of a service
+   * @param {string} serviceId - Service ID
+   */
+  async deleteByServiceId(serviceId) {
+    await RevisionDeployment.deleteBy({ service_id: serviceId });
+  }
+}
+
+module.exports = new RevisionDeploymentRepository();
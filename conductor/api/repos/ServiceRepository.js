@@ -0,0 +1,68 @@
+const { Service } = require('../models');
+
+/**
+ * Service Repository - Database operations for the service catalog
+ */
+class ServiceRepository {
+  /**
+   * Find service by ID
+   * @param {string} id
+   * @returns {Promise<object|null>} Service object or null
+   */
+  async findById(id) {
+    const services = await Service.findAll({ where: { id } });
+    return services.length > 0 ? services[0] : null;
+  }
+
+  /**
+   * Find service by name
+   * @param {string} name
+   * @returns {Promise<object|null>} Service object or null
+   */
+  async findByName(name) {
+    const services = await Service.findAll({ where: { name } });
+    return services.length > 0 ? services[0] : null;
+  }
+
+  /**
+   * Get all services
+   * @returns {Promise<Array>} Array of services
+   */
+  async findAll() {
+    return await Service.findAll({ order: 'name ASC' });
+  }
+
+  /**
+   * Create a new service
+   * @param {object} serviceData - Service data (name, docker_image, config, enabled)
+   * @returns {Promise<object>} Created service
+   */
+  async create(serviceData) {
+    return await Service.create(serviceData);
+  }
+
+  /**
+   * Update service
+   * @param {string} id - Service ID
+   * @param {object} serviceData - Updated service data
+   * @returns {Promise<object>} Updated service
+   */
+  async update(id, serviceData) {
+    const service = await this.findById(id);
+    if (!service) {
+      throw new Error('Service not found');
+    }
+    return await Service.update(id, serviceData);
+  }
+
+  /**
+   * Delete service
+   * @param {string} id - Service ID
+   * @returns {Promise<object|null>} Deleted service or null
+   */
+  async delete(id) {
+    return await Service.delete(id);
+  }
+}
+
+module.exports = new ServiceRepository();
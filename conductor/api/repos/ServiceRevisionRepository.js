@@ -0,0 +1,59 @@
+const { ServiceRevision } = require('../models');
+
+/**
+ * Service Revision Repository - Database operations for service revisions
+ * Revisions are immutable, so there is no update
+ */
+class ServiceRevisionRepository {
+  /**
+   * Find revision by ID
+   * @param {string} id
+   * @returns {Promise<object|null>} Revision object or null
+   */
+  async findById(id) {
+    const revisions = await ServiceRevision.findAll({ where: { id } });
+    return revisions.length > 0 ? revisions[0] : null;
+  }
+
+  /**
+   * Find revisions of a service
+   * @param {string} serviceId - Service ID
+   * @returns {Promise<Array>} Array of revisions, newest first
+   */
+  async findByServiceId(serviceId) {
+    return await ServiceRevision.findAll({ where: { service_id: serviceId }, order: 'revision DESC' });
+  }
+
+  /**
+   * Find a revision of a service by number
+   * @param {string} serviceId - Service ID
+   * @param {number} revision - Revision number
+   * @returns {Promise<object|null>} Revision object or null
+   */
+  async findByServiceAndRevision(serviceId, revision) {
+    const revisions = await ServiceRevision.findAll({ where: { service_id: serviceId, revision } });
+    return revisions.length > 0 ? revisions[0] : null;
+  }
+
+  /**
+   * Create revision
+   * @param {object} revisionData - Revision data (service_id, revision, docker_image, config, reason)
+   * @returns {Promise<object>} Created revision
+   */
+  async create(revisionData) {
+    return await ServiceRevision.create(revisionData);
+  }
+
+  /**
+   * Delete all revisions of a service
+   * @param {string} serviceId - Service ID
+   */
+  async deleteByServiceId(serviceId) {
+    const revisions = await this.findByServiceId(serviceId);
+    for (const revision of revisions) {
+      await ServiceRevision.delete(revision.id);
+    }
+  }
+}
+
+module.exports = new ServiceRevisionRepository();
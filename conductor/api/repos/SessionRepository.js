@@ -0,0 +1,67 @@
+const { Session } = require('../models');
+
+/**
+ * Session Repository - Database operations for login sessions
+ */
+class SessionRepository {
+  /**
+   * Find session by ID
+   * @param {string} id - Session ID
+   * @returns {Promise<object|null>} Session or null
+   */
+  async findById(id) {
+    const sessions = await Session.findAll({ where: { id } });
+    return sessions.length > 0 ? sessions[0] : null;
+  }
+
+  /**
+   * Find session by the hash of its current refresh token
+   * @param {string} tokenHash - SHA-256 of the refresh token
+   * @returns {Promise<object|null>} Session or null
+   */
+  async findByRefreshTokenHash(tokenHash) {
+    const sessions = await Session.findAll({ where: { refresh_token_hash: tokenHash } });
+    return sessions.length > 0 ? sessions[0] : null;
+  }
+
+  /**
+   * Find session by the hash of the refresh token it replaced
+   * @param {string} tokenHash - SHA-256 of the rotated refresh token
+   * @returns {Promise<object|null>} Session or null
+   */
+  async findByPreviousTokenHash(tokenHash) {
+    const sessions = await Session.findAll({ where: { previous_token_hash: tokenHash } });
+    return sessions.length > 0 ? sessions[0] : null;
+  }
+
+  /**
+   * Find the active sessions of a user, most recently used first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Array of sessions
+   */
+  async findActiveByUserId(userId) {
+    const sessions = await Session.findAll({ where: { user_id: userId, active: 1 } });
+    return sessions.sort((a, b) => new Date(b.last_used_at) - new Date(a.last_used_at));
+  }
+
+  /**
+   * Create a new session
+   * @param {object} sessionData - Session data (user_id, refresh_token_hash, device, ip_address, expires_at, active)
+   * @returns {Promise<object>} Created session
+   */
+  async create(sessionData) {
+    return await Session.create(sessionData);
+  }
+
+  /**
+   * Update a session
+   * @param {string} id - Session ID
+   * @param {object} sessionData - Fields to update
+   * @returns {Promise<object>} Updated session
+   */
+  async update(id, sessionData) {
+    return await Session.update(id, sessionData);
+  }
+}
+
+module.exports = new SessionRepository();
@@ -0,0 +1,32 @@
+const { Setting } = require('../models');
+
+/**
+ * Setting Repository - Database operations for conductor settings
+ */
+class SettingRepository {
+  /**
+   * Find setting by key
+   * @param {string} key - Setting key
+   * @returns {Promise<object|null>} Setting or null
+   */
+  async findByKey(key) {
+    const settings = await Setting.findAll({ where: { key } });
+    return settings.length > 0 ? settings[0] : null;
+  }
+
+  /**
+   * Create or update a setting
+   * @param {string} key - Setting key
+   * @param {string} value - JSON string
+   * @returns {Promise<object>} Setting
+   */
+  async upsert(key, value) {
+    const existing = await this.findByKey(key);
+    if (existing) {
+      return await Setting.update(existing.id, { value });
+    }
+    return await Setting.create({ key, value });
+  }
+}
+
+module.exports = new SettingRepository();
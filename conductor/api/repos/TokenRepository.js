@@ -5,34 +5,75 @@ const { Token } = require('../models');
  */
 class TokenRepository {
   /**
-   * Find active registration token
-   * @returns {Promise<object|null>} Active token or null
+   * Find active registration tokens (not revoked; may still be expired or used up)
+   * @returns {Promise<Array>} Active tokens, newest first
    */
-  async findActiveToken() {
+  async findActiveTokens() {
     // SQLite uses integer for boolean: 1 = true, 0 = false
     const tokens = await Token.findAll({ 
       where: { active: 1 }
     });
     
-    // Return most recent active token
-    if (tokens.length > 0) {
-      // Sort by created_at descending
-      tokens.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-      return tokens[0];
-    }
-    
-    return null;
+    return tokens.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  /**
+   * Find all tokens, newest first
+   * @returns {Promise<Array>} Array of tokens
+   */
+  async findAll() {
+    const tokens = await Token.findAll();
+    return tokens.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  /**
+   * Find token by ID
+   * @param {string} id - Token ID
+   * @returns {Promise<object|null>} Token or null
+   */
+  async findById(id) {
+    const tokens = await Token.findAll({ where: { id } });
+    return tokens.length > 0 ? tokens[0] : null;
+  }
+
+  /**
+   * Find token by its value
+   * @param {string} tokenValue - Token string value
+   * @returns {Promise<object|null>} Token or null
+   */
+  async findByToken(tokenValue) {
+    const tokens = await Token.findAll({ where: { token: tokenValue } });
+    return tokens.length > 0 ? tokens[0] : null;
   }
 
   /**
    * Create a new token
-   * @param {object} tokenData - Token data (token, expires_at, active)
+   * @param {object} tokenData - Token data (token, name, expires_at, max_uses, uses, labels, active)
    * @returns {Promise<object>} Created token
    */
   async create(tokenData) {
     return await Token.create(tokenData);
   }
 
+  /**
+   * Update a token
+   * @param {string} id - Token ID
+   * @param {object} tokenData - Fields to update
+   * @returns {Promise<object>} Updated token
+   */
+  async update(id, tokenData) {
+    return await Token.update(id, tokenData);
+  }
+
+  /**
+   * Delete a token
+   * @param {string} id - Token ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async delete(id) {
+    return await Token.delete(id);
+  }
+
   /**
    * Invalidate a token (set active to false)
    * @param {string} tokenValue - Token string value
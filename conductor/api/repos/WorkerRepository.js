@@ -65,6 +65,15 @@ class WorkerRepository {
     return await Worker.findAll();
   }
 
+  /**
+   * Get workers that joined with a registration token
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<Array>} Array of workers
+   */
+  async findByRegistrationTokenId(tokenId) {
+    return await Worker.findAll({ where: { registration_token_id: tokenId } });
+  }
+
   /**
    * Get workers by status
    * @param {string} status - Worker status (online, offline, degraded)
@@ -157,9 +166,29 @@ class WorkerRepository {
     return {
       ...worker,
       resources: parsedResources,
+      labels: this.parseJson(worker.labels, {}),
+      taints: this.parseJson(worker.taints, []),
+      capabilities: this.parseJson(worker.capabilities, []),
       resourceRecords: resources
     };
   }
+
+  /**
+   * Parse a JSON column
+   * @param {string} value - JSON string
+   * @param {object|Array} fallback - Value to use if empty or invalid
+   * @returns {object|Array} Parsed value
+   */
+  parseJson(value, fallback) {
+    if (!value) {
+      return fallback;
+    }
+    try {
+      return JSON.parse(value) || fallback;
+    } catch (e) {
+      return fallback;
+    }
+  }
 }
 
 module.exports = new WorkerRepository();
@@ -0,0 +1,256 @@
+const express = require('express');
+const router = express.Router();
+const AlertService = require('../services/AlertService');
+const NotificationService = require('../services/NotificationService');
+const authenticate = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const audit = require('../middleware/audit');
+const { hasPermission } = require('../utils/permissions');
+
+/**
+ * Send a JSON error response for alerting errors
+ * @returns {boolean} True if the error was handled
+ */
+function sendAlertError(res, error) {
+  let status = null;
+
+  if (error.message.startsWith('Invalid')) {
+    status = 400;
+  } else if (['Alert not found', 'Rule not found', 'Silence not found', 'Channel not found'].includes(error.message)) {
+    status = 404;
+  } else if (error.message.startsWith('Cannot')) {
+    status = 409;
+  } else if (error.message.startsWith('Notification failed')) {
+    status = 502;
+  }
+
+  if (!status) {
+    return false;
+  }
+
+  res.status(status).json({
+    error: {
+      message: error.message,
+      status
+    }
+  });
+  return true;
+}
+
+/**
+ * GET /api/alerts
+ * List alerts, optionally filtered by state (pending, firing, resolved), rule_id and target_id
+ * (newest first, limit up to 1000)
+ * Protected route - requires alerts:read
+ */
+router.get('/', authenticate, requirePermission('alerts:read'), async (req, res, next) => {
+  try {
+    const { state, rule_id, target_id, limit } = req.query;
+    const alerts = await AlertService.listAlerts({ state, rule_id, target_id, limit });
+    res.json({ alerts });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/alerts/rules
+ * List alert rules
+ * Protected route - requires alerts:read
+ */
+router.get('/rules', authenticate, requirePermission('alerts:read'), async (req, res, next) => {
+  try {
+    const rules = await AlertService.listRules();
+    res.json({ rules });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/alerts/rules
+ * Create an alert rule
+ * Body: { name, condition, worker_id, severity, channel_ids, repeat_minutes, enabled }
+ * Protected route - requires alerts:write
+ */
+router.post('/rules', authenticate, requirePermission('alerts:write'), audit('alert_rule.create', { target: 'alert_rule', result: body => body.rule }), async (req, res, next) => {
+  try {
+    const rule = await AlertService.createRule(req.body || {});
+    res.status(201).json({ rule });
+  } catch (error) {
+    if (sendAlertError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/alerts/rules/:id
+ * Update an alert rule
+ * Body: any of { name, condition, worker_id, severity, channel_ids, repeat_minutes, enabled }
+ * Protected route - requires alerts:write
+ */
+router.put('/rules/:id', authenticate, requirePermission('alerts:write'), audit('alert_rule.update', { target: 'alert_rule', load: id => AlertService.getRule(id) }), async (req, res, next) => {
+  try {
+    const rule = await AlertService.updateRule(req.params.id, req.body || {});
+    res.json({ rule });
+  } catch (error) {
+    if (sendAlertError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/alerts/rules/:id
+ * Delete an alert rule and its alerts
+ * Protected route - requires alerts:write
+ */
+router.delete('/rules/:id', authenticate, requirePermission('alerts:write'), audit('alert_rule.delete', { target: 'alert_rule', load: id => AlertService.getRule(id) }), async (req, res, next) => {
+  try {
+    await AlertService.deleteRule(req.params.id);
+    res.json({ message: 'Alert rule deleted successfully' });
+  } catch (error) {
+    if (sendAlertError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * GET /api/alerts/silences
+ * List silences in effect
+ * Protected route - requires alerts:read
+ */
+router.get('/silences', authenticate, requirePermission('alerts:read'), async (req, res, next) => {
+  try {
+    const silences = await AlertService.listSilences();
+    res.json({ silences });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/alerts/silences
+ * Silence notifications of a rule, a target (worker or deployment ID), or both
+ * Body: { rule_id, target_id, duration_minutes (default 60) or ends_at, comment }
+ * Protected route - requires alerts:write
+ */
+router.post('/silences', authenticate, requirePermission('alerts:write'), audit('alert_silence.create', { target: 'alert_silence', result: body => body.silence }), async (req, res, next) => {
+  try {
+    const silence = await AlertService.createSilence(req.body || {}, req.user.username);
+    res.status(201).json({ silence });
+  } catch (error) {
+    if (sendAlertError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/alerts/silences/:id
+ * End a silence now
+ * Protected route - requires alerts:write
+ */
+router.delete('/silences/:id', authenticate, requirePermission('alerts:write'), audit('alert_silence.expire', { target: 'alert_silence', result: body => body.silence }), async (req, res, next) => {
+  try {
+    const silence = await AlertService.expireSilence(req.params.id);
+    res.json({ silence });
+  } catch (error) {
+    if (sendAlertError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * GET /api/alerts/channels
+ * List notification channels, so rules can pick them
+ * Their config (webhook URLs, email addresses) is only included with notifications:manage
+ * Protected route - requires alerts:read
+ */
+router.get('/channels', authenticate, requirePermission('alerts:read'), async (req, res, next) => {
+  try {
+    const canManage = hasPermission(req.user.role, 'notifications:manage') &&
+      (!req.apiKey || req.apiKey.scopes.includes('notifications:manage'));
+    const channels = await NotificationService.listChannels();
+    res.json({ channels: canManage ? channels : channels.map(({ config, last_error, ...channel }) => channel) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/alerts/channels
+ * Create a notification channel
+ * Body: { name, type (webhook, smtp or feed), config, enabled }
+ * Protected route - requires notifications:manage
+ */
+router.post('/channels', authenticate, requirePermission('notifications:manage'), audit('notification_channel.create', { target: 'notification_channel', result: body => body.channel }), async (req, res, next) => {
+  try {
+    const channel = await NotificationService.createChannel(req.body || {});
+    res.status(201).json({ channel });
+  } catch (error) {
+    if (sendAlertError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/alerts/channels/:id
+ * Update a notification channel
+ * Body: any of { name, config, enabled }
+ * Protected route - requires notifications:manage
+ */
+router.put('/channels/:id', authenticate, requirePermission('notifications:manage'), audit('notification_channel.update', { target: 'notification_channel', load: id => NotificationService.getChannel(id) }), async (req, res, next) => {
+  try {
+    const channel = await NotificationService.updateChannel(req.params.id, req.body || {});
+    res.json({ channel });
+  } catch (error) {
+    if (sendAlertError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/alerts/channels/:id
+ * Delete a notification channel
+ * Protected route - requires notifications:manage
+ */
+router.delete('/channels/:id', authenticate, requirePermission('notifications:manage'), audit('notification_channel.delete', { target: 'notification_channel', load: id => NotificationService.getChannel(id) }), async (req, res, next) => {
+  try {
+    await NotificationService.deleteChannel(req.params.id);
+    res.json({ message: 'Notification channel deleted successfully' });
+  } catch (error) {
+    if (sendAlertError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * POST /api/alerts/channels/:id/test
+ * Send a test notification through a channel; 502 if it could not be sent
+ * Protected route - requires notifications:manage
+ */
+router.post('/channels/:id/test', authenticate, requirePermission('notifications:manage'), async (req, res, next) => {
+  try {
+    const channel = await NotificationService.testChannel(req.params.id);
+    res.json({ channel });
+  } catch (error) {
+    if (sendAlertError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * POST /api/alerts/:id/acknowledge
+ * Acknowledge a pending or firing alert, which stops its reminders
+ * Protected route - requires alerts:write
+ */
+router.post('/:id/acknowledge', authenticate, requirePermission('alerts:write'), audit('alert.acknowledge', { target: 'alert', result: body => body.alert }), async (req, res, next) => {
+  try {
+    const alert = await AlertService.acknowledgeAlert(req.params.id, req.user.username);
+    res.json({ alert });
+  } catch (error) {
+    if (sendAlertError(res, error)) return;
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const express = require('express');
+const router = express.Router();
+const ApiKeyService = require('../services/ApiKeyService');
+const authenticate = require('../middleware/auth');
+const requireUserSession = require('../middleware/requireUserSession');
+const requireTwoFactor = require('../middleware/requireTwoFactor');
+const requirePasswordChange = require('../middleware/requirePasswordChange');
+const audit = require('../middleware/audit');
+
+// Load an API key for audit diffs
+const loadApiKey = (id, req) => ApiKeyService.getApiKey(id, req.user);
+
+/**
+ * Send a JSON error response for API key errors
+ * @returns {boolean} True if the error was handled
+ */
+function sendApiKeyError(res, error) {
+  let status = null;
+
+  if (error.message === 'API key not found') {
+    status = 404;
+  } else if (error.message.startsWith('Invalid')) {
+    status = 400;
+  }
+
+  if (!status) {
+    return false;
+  }
+
+  res.status(status).json({
+    error: {
+      message: error.message,
+      status
+    }
+  });
+  return true;
+}
+
+/**
+ * GET /api/api-keys
+ * List your API keys (users with users:manage see every key)
+ * Protected route - requires authentication (not with an API key)
+ */
+router.get('/', authenticate, requireUserSession, async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKeyService.listApiKeys(req.user);
+    res.json({ api_keys: apiKeys });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/api-keys
+ * Create an API key; the key itself is only returned in this response
+ * Body: { name, scopes, expires_at } - scopes are permissions you have, expires_at optional
+ * Protected route - requires authentication (not with an API key)
+ */
+router.post('/', authenticate, requireUserSession, requirePasswordChange, requireTwoFactor, audit('api_key.create', { target: 'api_key', result: body => body.api_key }), async (req, res, next) => {
+  try {
+    const result = await ApiKeyService.createApiKey(req.user, req.body || {});
+    res.status(201).json(result);
+  } catch (error) {
+    if (sendApiKeyError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * GET /api/api-keys/:id
+ * Get an API key
+ * Protected route - requires authentication (not with an API key)
+ */
+router.get('/:id', authenticate, requireUserSession, async (req, res, next) => {
+  try {
+    const apiKey = await ApiKeyService.getApiKey(req.params.id, req.user);
+    res.json({ api_key: apiKey });
+  } catch (error) {
+    if (sendApiKeyError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * POST /api/api-keys/:id/revoke
+ * Revoke an API key
+ * Protected route - requires authentication (not with an API key)
+ */
+router.post('/:id/revoke', authenticate, requireUserSession, audit('api_key.revoke', { target: 'api_key', load: loadApiKey }), async (req, res, next) => {
+  try {
+    const apiKey = await ApiKeyService.revokeApiKey(req.params.id, req.user);
+    res.json({ api_key: apiKey });
+  } catch (error) {
+    if (sendApiKeyError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/api-keys/:id
+ * Delete an API key
+ * Protected route - requires authentication (not with an API key)
+ */
+router.delete('/:id', authenticate, requireUserSession, audit('api_key.delete', { target: 'api_key', load: loadApiKey }), async (req, res, next) => {
+  try {
+    await ApiKeyService.deleteApiKey(req.params.id, req.user);
+    res.json({ message: 'API key deleted successfully' });
+  } catch (error) {
+    if (sendApiKeyError(res, error)) return;
+    next(error);
+  }
+});
+
+module.exports = router;
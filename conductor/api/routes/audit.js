@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const AuditService = require('../services/AuditService');
+const authenticate = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+
+/**
+ * GET /api/audit
+ * Get audit events (newest first)
+ * Query: actor_type, actor_id, action, target_type, target_id, request_id, since, until (ISO dates),
+ * limit (default 100, max 500), offset
+ * Protected route - requires audit:read
+ */
+router.get('/', authenticate, requirePermission('audit:read'), async (req, res, next) => {
+  try {
+    const { actor_type, actor_id, action, target_type, target_id, request_id, since, until, limit, offset } = req.query;
+    const events = await AuditService.listEvents({
+      actor_type, actor_id, action, target_type, target_id, request_id, since, until, limit, offset
+    });
+    res.json({ events });
+  } catch (error) {
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        error: {
+          message: error.message,
+          status: 400
+        }
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/audit/verify
+ * Check the hash chain of the audit log
+ * Returns { valid, checked, broken_at, message, head }
+ * Protected route - requires audit:read
+ */
+router.get('/verify', authenticate, requirePermission('audit:read'), async (req, res, next) => {
+  try {
+    const verification = await AuditService.verifyChain();
+    res.json({ verification });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,87 @@
 const express = require('express');
 const router = express.Router();
 const UserService = require('../services/UserService');
+const SessionService = require('../services/SessionService');
+const TwoFactorService = require('../services/TwoFactorService');
 const authenticate = require('../middleware/auth');
+const requireUserSession = require('../middleware/requireUserSession');
+const audit = require('../middleware/audit');
+const throttle = require('../middleware/throttle');
+
+// Logins are recorded once tokens are issued, as the user who logged in
+const loginAudit = audit('auth.login', {
+  target: 'user',
+  targetId: (req, body) => (body && body.user ? body.user.id : null),
+  actor: (req, body) => (body.user ? { type: 'user', id: body.user.id, name: body.user.username } : null)
+});
+
+// Failed logins are throttled per IP and per username or challenged user
+const loginThrottle = throttle('login', req => ({ type: 'account', id: req.body && req.body.username }));
+const twoFactorThrottle = throttle('two_factor', req => {
+  try {
+    return { type: 'account', id: TwoFactorService.verifyChallenge(req.body && req.body.challenge_token) };
+  } catch (error) {
+    return null; // Counted against the IP only; the route rejects the challenge
+  }
+});
+
+// Load the current user for audit diffs
+const loadUser = async id => UserService.formatUser(await UserService.getUserRecord(id));
+const loadTwoFactorStatus = id => TwoFactorService.getStatus(id);
+const currentUserId = req => req.userId;
+
+/**
+ * Get the device and IP address of the client, recorded on its session
+ * @param {object} req - Express request
+ * @returns {object} { device, ip_address }
+ */
+function getClientInfo(req) {
+  return {
+    device: (req.body && req.body.device) || req.headers['user-agent'],
+    ip_address: req.ip
+  };
+}
+
+/**
+ * Send a JSON error response for two-factor errors
+ * @returns {boolean} True if the error was handled
+ */
+function sendTwoFactorError(res, error) {
+  let status = null;
+
+  if (error.message === 'Invalid two-factor challenge' || error.message === 'Current password is incorrect') {
+    status = 401;
+  } else if (error.message === 'Account is disabled') {
+    status = 403;
+  } else if (error.message === 'User not found') {
+    status = 404;
+  } else if (error.message.startsWith('Invalid')) {
+    status = 400;
+  } else if (error.message.startsWith('Two-factor') || error.message.startsWith('Cannot')) {
+    status = 409;
+  }
+
+  if (!status) {
+    return false;
+  }
+
+  res.status(status).json({
+    error: {
+      message: error.message,
+      status
+    }
+  });
+  return true;
+}
 
 /**
  * POST /api/auth/login
- * Authenticate user and return JWT token
+ * Authenticate user and start a session
+ * Body: { username, password, device } (device optional, defaults to the User-Agent)
+ * Returns a short-lived access token and a refresh token, or for users with 2FA
+ * { two_factor_required: true, challenge_token } to finish with POST /api/auth/login/2fa
  */
-router.post('/login', async (req, res, next) => {
+router.post('/login', loginThrottle, loginAudit, async (req, res, next) => {
   try {
     const { username, password } = req.body;
 
@@ -20,10 +94,15 @@ router.post('/login', async (req, res, next) => {
       });
     }
 
-    const result = await UserService.authenticate(username, password);
+    const result = await UserService.authenticate(username, password, getClientInfo(req));
+
+    if (result.two_factor_required) {
+      return res.json(result);
+    }
     
     res.json({
       token: result.token,
+      refresh_token: result.refresh_token,
       user: result.user
     });
   } catch (error) {
@@ -35,6 +114,53 @@ router.post('/login', async (req, res, next) => {
         }
       });
     }
+    if (error.message === 'Account is disabled') {
+      return res.status(403).json({
+        error: {
+          message: 'Account is disabled',
+          status: 403
+        }
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/login/2fa
+ * Second login step for users with 2FA
+ * Body: { challenge_token, code, device } - code is a TOTP code or a recovery code
+ */
+router.post('/login/2fa', twoFactorThrottle, loginAudit, async (req, res, next) => {
+  try {
+    const { challenge_token: challengeToken, code } = req.body || {};
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        error: {
+          message: 'Challenge token and code are required',
+          status: 400
+        }
+      });
+    }
+
+    const result = await UserService.completeTwoFactorLogin(challengeToken, code, getClientInfo(req));
+
+    res.json({
+      token: result.token,
+      refresh_token: result.refresh_token,
+      user: result.user
+    });
+  } catch (error) {
+    if (error.message === 'Invalid two-factor code') {
+      return res.status(401).json({
+        error: {
+          message: error.message,
+          status: 401
+        }
+      });
+    }
+    if (sendTwoFactorError(res, error)) return;
     next(error);
   }
 });
@@ -61,23 +187,101 @@ router.get('/me', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/auth/refresh
+ * Trade a refresh token for a new access token and refresh token
+ * Body: { refresh_token } - each refresh token works once
+ */
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refresh_token: refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: {
+          message: 'Refresh token is required',
+          status: 400
+        }
+      });
+    }
+
+    const result = await SessionService.refreshSession(refreshToken, getClientInfo(req));
+
+    res.json({
+      token: result.token,
+      refresh_token: result.refresh_token
+    });
+  } catch (error) {
+    if (error.message === 'Invalid refresh token' || error.message === 'Account is disabled') {
+      return res.status(401).json({
+        error: {
+          message: error.message,
+          status: 401
+        }
+      });
+    }
+    next(error);
+  }
+});
+
 /**
  * POST /api/auth/logout
- * Logout (client-side token removal)
- * Note: With JWT, logout is handled client-side by removing the token
+ * End the current session; its access and refresh tokens stop working
+ * Protected route - requires authentication (not with an API key)
  */
-router.post('/logout', authenticate, (req, res) => {
-  res.json({
-    message: 'Logged out successfully'
-  });
+router.post('/logout', authenticate, requireUserSession, audit('auth.logout', { target: 'session', targetId: req => req.sessionId }), async (req, res, next) => {
+  try {
+    await SessionService.revokeSession(req.sessionId, req.userId);
+    res.json({
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List the active sessions of the current user (device, IP, last used)
+ * Protected route - requires authentication (not with an API key)
+ */
+router.get('/sessions', authenticate, requireUserSession, async (req, res, next) => {
+  try {
+    const sessions = await SessionService.listSessions(req.userId, req.sessionId);
+    res.json({ sessions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Revoke one of the current user's sessions
+ * Protected route - requires authentication (not with an API key)
+ */
+router.delete('/sessions/:id', authenticate, requireUserSession, audit('session.revoke', { target: 'session' }), async (req, res, next) => {
+  try {
+    await SessionService.revokeSession(req.params.id, req.userId);
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    if (error.message === 'Session not found') {
+      return res.status(404).json({
+        error: {
+          message: 'Session not found',
+          status: 404
+        }
+      });
+    }
+    next(error);
+  }
 });
 
 /**
  * POST /api/auth/reset-password
- * Reset user password
- * Protected route - requires authentication
+ * Reset user password; signs out every other session
+ * Protected route - requires authentication (not with an API key)
  */
-router.post('/reset-password', authenticate, async (req, res, next) => {
+router.post('/reset-password', authenticate, requireUserSession, audit('user.change_password', { target: 'user', targetId: currentUserId }), async (req, res, next) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
@@ -93,7 +297,8 @@ router.post('/reset-password', authenticate, async (req, res, next) => {
     const result = await UserService.updatePassword(
       req.userId,
       currentPassword,
-      newPassword
+      newPassword,
+      req.sessionId
     );
 
     res.json({
@@ -117,7 +322,7 @@ router.post('/reset-password', authenticate, async (req, res, next) => {
         }
       });
     }
-    if (error.message.includes('must be at least')) {
+    if (error.message.startsWith('New password must')) {
       return res.status(400).json({
         error: {
           message: error.message,
@@ -132,9 +337,9 @@ router.post('/reset-password', authenticate, async (req, res, next) => {
 /**
  * PUT /api/auth/profile
  * Update user profile (username and/or email)
- * Protected route - requires authentication
+ * Protected route - requires authentication (not with an API key)
  */
-router.put('/profile', authenticate, async (req, res, next) => {
+router.put('/profile', authenticate, requireUserSession, audit('user.update_profile', { target: 'user', targetId: currentUserId, load: loadUser }), async (req, res, next) => {
   try {
     const { username, email } = req.body;
 
@@ -180,4 +385,83 @@ router.put('/profile', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/auth/2fa
+ * Get the 2FA status of the current user
+ * Protected route - requires authentication (not with an API key)
+ */
+router.get('/2fa', authenticate, requireUserSession, async (req, res, next) => {
+  try {
+    const twoFactor = await TwoFactorService.getStatus(req.userId);
+    res.json({ two_factor: twoFactor });
+  } catch (error) {
+    if (sendTwoFactorError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start 2FA enrollment: returns the secret, its otpauth:// URI and a QR code (PNG data URL)
+ * Protected route - requires authentication (not with an API key)
+ */
+router.post('/2fa/setup', authenticate, requireUserSession, audit('two_factor.start_setup', { target: 'user', targetId: currentUserId }), async (req, res, next) => {
+  try {
+    const setup = await TwoFactorService.startSetup(req.userId);
+    res.json(setup);
+  } catch (error) {
+    if (sendTwoFactorError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Finish 2FA enrollment with a code from the authenticator app
+ * Body: { code } - returns the recovery codes, which are never shown again
+ * Protected route - requires authentication (not with an API key)
+ */
+router.post('/2fa/enable', authenticate, requireUserSession, audit('two_factor.enable', { target: 'user', targetId: currentUserId, load: loadTwoFactorStatus }), async (req, res, next) => {
+  try {
+    const result = await TwoFactorService.enable(req.userId, (req.body || {}).code);
+    res.json(result);
+  } catch (error) {
+    if (sendTwoFactorError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn 2FA off (not allowed while it is required for all users)
+ * Body: { password, code } - code is a TOTP code or a recovery code
+ * Protected route - requires authentication (not with an API key)
+ */
+router.post('/2fa/disable', authenticate, requireUserSession, audit('two_factor.disable', { target: 'user', targetId: currentUserId, load: loadTwoFactorStatus }), async (req, res, next) => {
+  try {
+    const { password, code } = req.body || {};
+    await TwoFactorService.disable(req.userId, password, code);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    if (sendTwoFactorError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace the recovery codes
+ * Body: { code } - a TOTP code; returns the new recovery codes
+ * Protected route - requires authentication (not with an API key)
+ */
+router.post('/2fa/recovery-codes', authenticate, requireUserSession, audit('two_factor.regenerate_recovery_codes', { target: 'user', targetId: currentUserId, load: loadTwoFactorStatus }), async (req, res, next) => {
+  try {
+    const result = await TwoFactorService.regenerateRecoveryCodes(req.userId, (req.body || {}).code);
+    res.json(result);
+  } catch (error) {
+    if (sendTwoFactorError(res, error)) return;
+    next(error);
+  }
+});
+
 module.exports = router;
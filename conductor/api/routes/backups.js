@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const BackupService = require('../services/BackupService');
+const AuditService = require('../services/AuditService');
+const authenticate = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const audit = require('../middleware/audit');
+
+/**
+ * Send a JSON error response for backup errors
+ * @returns {boolean} True if the error was handled
+ */
+function sendBackupError(res, error) {
+  let status = null;
+
+  if (error.message === 'Backup not found') {
+    status = 404;
+  } else if (error.message === 'Backup already in progress') {
+    status = 409;
+  }
+
+  if (!status) {
+    return false;
+  }
+
+  res.status(status).json({
+    error: {
+      message: error.message,
+      status
+    }
+  });
+  return true;
+}
+
+/**
+ * GET /api/backups
+ * List database backups (newest first)
+ * Returns { backups: [{ name, size, encrypted, created_at }] }
+ * Protected route - requires backups:manage
+ */
+router.get('/', authenticate, requirePermission('backups:manage'), (req, res, next) => {
+  try {
+    res.json({ backups: BackupService.listBackups() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/backups
+ * Back up the database now; old backups are pruned by the retention rules
+ * Protected route - requires backups:manage
+ */
+router.post('/', authenticate, requirePermission('backups:manage'), audit('backup.create', { target: 'backup', targetId: (req, body) => (body ? body.backup.name : null), result: body => body.backup }), async (req, res, next) => {
+  try {
+    const backup = await BackupService.createBackup();
+    res.status(201).json({ backup });
+  } catch (error) {
+    if (sendBackupError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * GET /api/backups/:name/download
+ * Download a backup file; downloads are recorded in the audit log as backup.download
+ * Protected route - requires backups:manage
+ */
+router.get('/:name/download', authenticate, requirePermission('backups:manage'), async (req, res, next) => {
+  try {
+    const filePath = BackupService.getBackupPath(req.params.name);
+    await AuditService.recordRequest(req, { action: 'backup.download', target_type: 'backup', target_id: req.params.name });
+    res.download(filePath, req.params.name);
+  } catch (error) {
+    if (sendBackupError(res, error)) return;
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,236 @@
+const express = require('express');
+const router = express.Router();
+const DeploymentService = require('../services/DeploymentService');
+const authenticate = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const audit = require('../middleware/audit');
+
+// Load a deployment for audit diffs
+const loadDeployment = id => DeploymentService.getDeployment(id);
+
+/**
+ * Send a JSON error response for known deployment errors
+ * @returns {boolean} True if the error was handled
+ */
+function sendDeploymentError(res, error) {
+  let status = null;
+
+  if (error.message.includes('not found')) {
+    status = 404;
+  } else if (error.message.includes('already') ||
+             error.message.startsWith('Cannot change') ||
+             error.message === 'No worker can run this service' ||
+             error.message === 'Worker is cordoned') {
+    status = 409;
+  } else if (error.message.includes('required') ||
+             error.message.startsWith('Invalid') ||
+             error.message === 'Service is disabled' ||
+             error.message === 'Worker cannot run this service') {
+    status = 400;
+  }
+
+  if (!status) {
+    return false;
+  }
+
+  const body = {
+    error: {
+      message: error.message,
+      status
+    }
+  };
+
+  // Explain why the scheduler could not place the deployment
+  if (error.placement) {
+    body.placement = error.placement;
+  }
+
+  res.status(status).json(body);
+  return true;
+}
+
+/**
+ * GET /api/deployments
+ * Get deployments, optionally filtered by service_id, worker_id and status
+ * Protected route - requires deployments:read
+ */
+router.get('/', authenticate, requirePermission('deployments:read'), async (req, res, next) => {
+  try {
+    const { service_id, worker_id, status } = req.query;
+    const deployments = await DeploymentService.getDeployments({ service_id, worker_id, status });
+    res.json({ deployments });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/deployments
+ * Deploy a service onto a worker
+ * worker_id is optional - when omitted the scheduler picks a worker
+ * Protected route - requires deployments:write
+ */
+router.post('/', authenticate, requirePermission('deployments:write'), audit('deployment.create', { target: 'deployment', result: body => body.deployment }), async (req, res, next) => {
+  try {
+    const { service_id, worker_id, config } = req.body;
+    const deployment = await DeploymentService.createDeployment({ service_id, worker_id, config });
+    res.status(201).json({ deployment });
+  } catch (error) {
+    if (sendDeploymentError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * GET /api/deployments/:id
+ * Get deployment by ID
+ * Protected route - requires deployments:read
+ */
+router.get('/:id', authenticate, requirePermission('deployments:read'), async (req, res, next) => {
+  try {
+    const deployment = await DeploymentService.getDeployment(req.params.id);
+    res.json({ deployment });
+  } catch (error) {
+    if (sendDeploymentError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/deployments/:id
+ * Update deployment config overrides (redeploys running deployments)
+ * Protected route - requires deployments:write
+ */
+router.put('/:id', authenticate, requirePermission('deployments:write'), audit('deployment.update', { target: 'deployment', load: loadDeployment }), async (req, res, next) => {
+  try {
+    const { config } = req.body;
+    const deployment = await DeploymentService.updateDeployment(req.params.id, { config });
+    res.json({ deployment });
+  } catch (error) {
+    if (sendDeploymentError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/deployments/:id/status
+ * Move deployment to a new status (pending, deploying, running, failed, stopped, stranded)
+ * Protected route - requires deployments:write
+ */
+router.put('/:id/status', authenticate, requirePermission('deployments:write'), audit('deployment.set_status', { target: 'deployment', load: loadDeployment }), async (req, res, next) => {
+  try {
+    const { status, error: deploymentError } = req.body;
+
+    if (!status) {
+      return res.status(400).json({
+        error: {
+          message: 'Status is required',
+          status: 400
+        }
+      });
+    }
+
+    const deployment = await DeploymentService.updateStatus(req.params.id, status, deploymentError);
+    res.json({ deployment });
+  } catch (error) {
+    if (sendDeploymentError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * POST /api/deployments/:id/stop
+ * Stop a deployment
+ * Protected route - requires deployments:write
+ */
+router.post('/:id/stop', authenticate, requirePermission('deployments:write'), audit('deployment.stop', { target: 'deployment', load: loadDeployment }), async (req, res, next) => {
+  try {
+    const deployment = await DeploymentService.stopDeployment(req.params.id);
+    res.json({ deployment });
+  } catch (error) {
+    if (sendDeploymentError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * POST /api/deployments/:id/restart
+ * Restart a deployment
+ * Protected route - requires deployments:write
+ */
+router.post('/:id/restart', authenticate, requirePermission('deployments:write'), audit('deployment.restart', { target: 'deployment', load: loadDeployment }), async (req, res, next) => {
+  try {
+    const deployment = await DeploymentService.restartDeployment(req.params.id);
+    res.json({ deployment });
+  } catch (error) {
+    if (sendDeploymentError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * POST /api/deployments/:id/reschedule
+ * Move a deployment to another worker (worker_id, or picked by the scheduler if omitted)
+ * The old worker is told to remove its container, now or when it comes back online
+ * Protected route - requires deployments:write
+ */
+router.post('/:id/reschedule', authenticate, requirePermission('deployments:write'), audit('deployment.reschedule', { target: 'deployment', load: loadDeployment }), async (req, res, next) => {
+  try {
+    const { worker_id } = req.body;
+    const deployment = await DeploymentService.rescheduleDeployment(req.params.id, { worker_id });
+    res.json({ deployment });
+  } catch (error) {
+    if (sendDeploymentError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * POST /api/deployments/:id/reconciliation/pause
+ * Stop the reconciliation loop from touching this deployment
+ * Protected route - requires deployments:write
+ */
+router.post('/:id/reconciliation/pause', authenticate, requirePermission('deployments:write'), audit('deployment.pause_reconciliation', { target: 'deployment', load: loadDeployment }), async (req, res, next) => {
+  try {
+    const deployment = await DeploymentService.setReconcilePaused(req.params.id, true);
+    res.json({ deployment });
+  } catch (error) {
+    if (sendDeploymentError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * POST /api/deployments/:id/reconciliation/resume
+ * Let the reconciliation loop converge this deployment again
+ * Protected route - requires deployments:write
+ */
+router.post('/:id/reconciliation/resume', authenticate, requirePermission('deployments:write'), audit('deployment.resume_reconciliation', { target: 'deployment', load: loadDeployment }), async (req, res, next) => {
+  try {
+    const deployment = await DeploymentService.setReconcilePaused(req.params.id, false);
+    res.json({ deployment });
+  } catch (error) {
+    if (sendDeploymentError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/deployments/:id
+ * Remove a deployment
+ * Protected route - requires deployments:write
+ */
+router.delete('/:id', authenticate, requirePermission('deployments:write'), audit('deployment.delete', { target: 'deployment', load: loadDeployment }), async (req, res, next) => {
+  try {
+    const deployment = await DeploymentService.removeDeployment(req.params.id);
+    res.json({
+      message: 'Deployment removed successfully',
+      deployment
+    });
+  } catch (error) {
+    if (sendDeploymentError(res, error)) return;
+    next(error);
+  }
+});
+
+module.exports = router;
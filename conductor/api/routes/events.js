@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const EventService = require('../services/EventService');
+const LiveConnectionService = require('../services/LiveConnectionService');
+const authenticate = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'events' });
+
+// Comment line sent on idle streams so proxies do not close them
+const STREAM_KEEPALIVE_MS = 15 * 1000;
+
+/**
+ * Send a 400 response for invalid event filters
+ * @returns {boolean} True if the error was handled
+ */
+function sendFilterError(res, error) {
+  if (!error.message.startsWith('Invalid')) {
+    return false;
+  }
+
+  res.status(400).json({
+    error: {
+      message: error.message,
+      status: 400
+    }
+  });
+  return true;
+}
+
+/**
+ * GET /api/events
+ * Get cluster events (newest first), one page at a time
+ * Query: type, severity (comma-separated lists), source, subject_type, subject_id, since, until (ISO dates),
+ * cursor (next_cursor of the previous page), limit (default 100, max 500)
+ * Returns { events, next_cursor } - next_cursor is null on the last page
+ * Protected route - requires events:read
+ */
+router.get('/', authenticate, requirePermission('events:read'), async (req, res, next) => {
+  try {
+    const { type, severity, source, subject_type, subject_id, since, until, cursor, limit } = req.query;
+    const page = await EventService.listEvents({
+      type, severity, source, subject_type, subject_id, since, until, cursor, limit
+    });
+    res.json(page);
+  } catch (error) {
+    if (sendFilterError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * GET /api/events/stream
+ * Server-Sent Events stream of cluster events as they are recorded
+ * Each event is sent as a message with the event sequence as its id and the event as JSON data.
+ * Reconnecting clients send Last-Event-ID (or ?last_event_id=) and get the events they missed first.
+ * The stream ends with an auth:ended message when the access token or API key expires or is revoked.
+ * Query: type, severity (comma-separated lists), source, subject_type, subject_id
+ * Protected route - requires events:read
+ */
+router.get('/stream', authenticate, requirePermission('events:read'), async (req, res, next) => {
+  let matches;
+  try {
+    matches = EventService.createMatcher(req.query);
+  } catch (error) {
+    if (sendFilterError(res, error)) return;
+    return next(error);
+  }
+
+  const lastEventId = Number(req.get('Last-Event-ID') || req.query.last_event_id);
+  let lastSequence = Number.isInteger(lastEventId) && lastEventId > 0 ? lastEventId : null;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = event => {
+    if (res.writableEnded || (lastSequence !== null && event.sequence <= lastSequence)) {
+      return;
+    }
+    lastSequence = event.sequence;
+    if (matches(event)) {
+      res.write(`id: ${event.sequence}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+  };
+
+  // Events recorded while missed ones are being sent are held back, so the order stays intact
+  let pending = [];
+  const unsubscribe = EventService.subscribe(event => {
+    if (pending) {
+      pending.push(event);
+    } else {
+      send(event);
+    }
+  });
+
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), STREAM_KEEPALIVE_MS);
+
+  // Ends the stream once the session, user or API key may no longer read events
+  const untrack = LiveConnectionService.track({
+    userId: req.userId,
+    sessionId: req.sessionId,
+    apiKeyId: req.apiKey ? req.apiKey.id : null,
+    expiresAt: req.authExpiresAt
+  }, reason => {
+    clearInterval(keepalive);
+    res.write(`event: auth:ended\ndata: ${JSON.stringify({ reason })}\n\n`);
+    res.end();
+  });
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+    clearInterval(keepalive);
+    unsubscribe();
+    untrack();
+  });
+
+  try {
+    if (lastSequence !== null) {
+      let missed;
+      do {
+        missed = await EventService.getEventsAfter(lastSequence);
+        missed.forEach(send);
+      } while (missed.length > 0 && !closed);
+    }
+  } catch (error) {
+    log.error('Failed to send missed events', { error: error.message });
+  } finally {
+    const held = pending;
+    pending = null;
+    held.forEach(send);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const PrometheusService = require('../services/PrometheusService');
+const authenticate = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { CONTENT_TYPE } = require('../utils/openMetrics');
+
+/**
+ * GET /metrics
+ * Conductor metrics in the OpenMetrics text format, for Prometheus
+ * Scrape with an API key that has the metrics:read scope as bearer token
+ * Protected route - requires metrics:read
+ */
+router.get('/', authenticate, requirePermission('metrics:read'), async (req, res, next) => {
+  try {
+    const metrics = await PrometheusService.render();
+    // Set directly: res.send() would reorder the content type parameters
+    res.setHeader('Content-Type', CONTENT_TYPE);
+    res.end(metrics);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
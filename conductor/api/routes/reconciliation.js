@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const ReconciliationService = require('../services/ReconciliationService');
+const authenticate = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const audit = require('../middleware/audit');
+
+/**
+ * GET /api/reconciliation
+ * Get reconciliation loop status and the last run
+ * Protected route - requires reconciliation:read
+ */
+router.get('/', authenticate, requirePermission('reconciliation:read'), async (req, res, next) => {
+  try {
+    res.json({ reconciliation: ReconciliationService.getStatus() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reconciliation/run
+ * Run a reconciliation pass now
+ * Protected route - requires reconciliation:write
+ */
+router.post('/run', authenticate, requirePermission('reconciliation:write'), audit('reconciliation.run'), async (req, res, next) => {
+  try {
+    const result = await ReconciliationService.reconcile();
+    res.json({ result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reconciliation/events
+ * Get drift events, optionally filtered by worker_id and deployment_id (newest first, limit up to 1000)
+ * Protected route - requires reconciliation:read
+ */
+router.get('/events', authenticate, requirePermission('reconciliation:read'), async (req, res, next) => {
+  try {
+    const { worker_id, deployment_id, limit } = req.query;
+    const events = await ReconciliationService.getDriftEvents({ worker_id, deployment_id, limit });
+    res.json({ events });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
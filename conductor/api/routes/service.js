@@ -0,0 +1,305 @@
+const express = require('express');
+const router = express.Router();
+const ServiceService = require('../services/ServiceService');
+const DeploymentService = require('../services/DeploymentService');
+const SchedulerService = require('../services/SchedulerService');
+const RolloutService = require('../services/RolloutService');
+const ServiceRepository = require('../repos/ServiceRepository');
+const authenticate = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const audit = require('../middleware/audit');
+
+// Load a service for audit diffs
+const loadService = id => ServiceService.getService(id);
+
+/**
+ * GET /api/services
+ * Get all services in the catalog
+ * Protected route - requires services:read
+ */
+router.get('/', authenticate, requirePermission('services:read'), async (req, res, next) => {
+  try {
+    const services = await ServiceService.getAllServices();
+    res.json({ services });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/services
+ * Create a service (name, docker_image, config, enabled, replicas)
+ * Protected route - requires services:write
+ */
+router.post('/', authenticate, requirePermission('services:write'), audit('service.create', { target: 'service', result: body => body.service }), async (req, res, next) => {
+  try {
+    const { name, docker_image, config, enabled, replicas } = req.body;
+
+    const service = await ServiceService.createService({
+      name,
+      docker_image,
+      config,
+      enabled,
+      replicas
+    });
+
+    res.status(201).json({ service });
+  } catch (error) {
+    if (error.message === 'Service already exists') {
+      return res.status(409).json({
+        error: {
+          message: error.message,
+          status: 409
+        }
+      });
+    }
+    if (error.message.includes('required') || error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        error: {
+          message: error.message,
+          status: 400
+        }
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/services/:id
+ * Get service by ID
+ * Protected route - requires services:read
+ */
+router.get('/:id', authenticate, requirePermission('services:read'), async (req, res, next) => {
+  try {
+    const service = await ServiceService.getService(req.params.id);
+    res.json({ service });
+  } catch (error) {
+    if (error.message === 'Service not found') {
+      return res.status(404).json({
+        error: {
+          message: 'Service not found',
+          status: 404
+        }
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/services/:id
+ * Update service (docker_image, config, enabled, replicas)
+ * A new image or config is rolled out to deployed replicas (see GET /api/services/:id/rollout)
+ * Protected route - requires services:write
+ */
+router.put('/:id', authenticate, requirePermission('services:write'), audit('service.update', { target: 'service', load: loadService }), async (req, res, next) => {
+  try {
+    const { docker_image, config, enabled, replicas } = req.body;
+
+    const service = await ServiceService.updateService(req.params.id, {
+      docker_image,
+      config,
+      enabled,
+      replicas
+    });
+
+    res.json({ service });
+  } catch (error) {
+    if (error.message === 'Service not found') {
+      return res.status(404).json({
+        error: {
+          message: 'Service not found',
+          status: 404
+        }
+      });
+    }
+    if (error.message.includes('cannot be empty') || error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        error: {
+          message: error.message,
+          status: 400
+        }
+      });
+    }
+    if (error.message === 'Service rollout is already in progress') {
+      return res.status(409).json({
+        error: {
+          message: error.message,
+          status: 409
+        }
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/services/:id
+ * Delete service (must not have any deployments)
+ * Protected route - requires services:write
+ */
+router.delete('/:id', authenticate, requirePermission('services:write'), audit('service.delete', { target: 'service', load: loadService }), async (req, res, next) => {
+  try {
+    const service = await ServiceService.deleteService(req.params.id);
+    res.json({
+      message: 'Service deleted successfully',
+      service
+    });
+  } catch (error) {
+    if (error.message === 'Service not found') {
+      return res.status(404).json({
+        error: {
+          message: 'Service not found',
+          status: 404
+        }
+      });
+    }
+    if (error.message.includes('has deployments')) {
+      return res.status(409).json({
+        error: {
+          message: error.message,
+          status: 409
+        }
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/services/:id/deployments
+ * Get deployments of a service
+ * Protected route - requires services:read
+ */
+router.get('/:id/deployments', authenticate, requirePermission('services:read'), async (req, res, next) => {
+  try {
+    await ServiceService.getService(req.params.id);
+    const deployments = await DeploymentService.getDeployments({ service_id: req.params.id });
+    res.json({ deployments });
+  } catch (error) {
+    if (error.message === 'Service not found') {
+      return res.status(404).json({
+        error: {
+          message: 'Service not found',
+          status: 404
+        }
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/services/:id/placement
+ * Dry run of the scheduler: which worker would this service be deployed on, and why
+ * Protected route - requires services:read
+ */
+router.get('/:id/placement', authenticate, requirePermission('services:read'), async (req, res, next) => {
+  try {
+    const service = await ServiceRepository.findById(req.params.id);
+
+    if (!service) {
+      return res.status(404).json({
+        error: {
+          message: 'Service not found',
+          status: 404
+        }
+      });
+    }
+
+    const placement = await SchedulerService.schedule(service);
+    res.json({ placement });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/services/:id/rollout
+ * Progress of the last rolling update of the service (null if never rolled out)
+ * Protected route - requires services:read
+ */
+router.get('/:id/rollout', authenticate, requirePermission('services:read'), async (req, res, next) => {
+  try {
+    await ServiceService.getService(req.params.id);
+    res.json({ rollout: RolloutService.getRollout(req.params.id) });
+  } catch (error) {
+    if (error.message === 'Service not found') {
+      return res.status(404).json({
+        error: {
+          message: 'Service not found',
+          status: 404
+        }
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/services/:id/revisions
+ * Revision history of the service with the deployments each revision produced (newest first)
+ * Protected route - requires services:read
+ */
+router.get('/:id/revisions', authenticate, requirePermission('services:read'), async (req, res, next) => {
+  try {
+    const revisions = await ServiceService.getRevisions(req.params.id);
+    res.json({ revisions });
+  } catch (error) {
+    if (error.message === 'Service not found') {
+      return res.status(404).json({
+        error: {
+          message: 'Service not found',
+          status: 404
+        }
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * POST /api/services/:id/rollback
+ * Redeploy a prior revision (body: revision, default the one before the current) to all replicas
+ * Protected route - requires services:write
+ */
+router.post('/:id/rollback', authenticate, requirePermission('services:write'), audit('service.rollback', { target: 'service', load: loadService }), async (req, res, next) => {
+  try {
+    const { revision } = req.body || {};
+
+    if (revision !== undefined && revision !== null && !Number.isInteger(revision)) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid revision: must be an integer',
+          status: 400
+        }
+      });
+    }
+
+    const result = await ServiceService.rollbackService(req.params.id, revision);
+    res.json(result);
+  } catch (error) {
+    if (error.message === 'Service not found' || error.message === 'Revision not found') {
+      return res.status(404).json({
+        error: {
+          message: error.message,
+          status: 404
+        }
+      });
+    }
+    if (error.message.startsWith('Service already runs') ||
+        error.message === 'Service has no previous revision' ||
+        error.message === 'Service rollout is already in progress') {
+      return res.status(409).json({
+        error: {
+          message: error.message,
+          status: 409
+        }
+      });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
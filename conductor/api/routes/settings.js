@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const SettingsService = require('../services/SettingsService');
+const authenticate = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const audit = require('../middleware/audit');
+
+/**
+ * GET /api/settings/security
+ * Get the security settings
+ * Protected route - requires settings:manage
+ */
+router.get('/security', authenticate, requirePermission('settings:manage'), async (req, res, next) => {
+  try {
+    const settings = await SettingsService.getSecuritySettings();
+    res.json({ settings });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/settings/security
+ * Update the security settings
+ * Body: { require_two_factor } - when true, users must enroll in 2FA before using the API
+ * (the admin must have 2FA enabled first)
+ * Protected route - requires settings:manage
+ */
+router.put('/security', authenticate, requirePermission('settings:manage'), audit('settings.update_security', { target: 'settings', targetId: 'security', load: () => SettingsService.getSecuritySettings() }), async (req, res, next) => {
+  try {
+    const settings = await SettingsService.updateSecuritySettings(req.body || {}, req.user);
+    res.json({ settings });
+  } catch (error) {
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        error: {
+          message: error.message,
+          status: 400
+        }
+      });
+    }
+    if (error.message.startsWith('Cannot')) {
+      return res.status(409).json({
+        error: {
+          message: error.message,
+          status: 409
+        }
+      });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
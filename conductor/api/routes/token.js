@@ -2,13 +2,15 @@ const express = require('express');
 const router = express.Router();
 const TokenService = require('../services/TokenService');
 const authenticate = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const audit = require('../middleware/audit');
 
 /**
  * GET /api/token
- * Get current registration token
- * Protected route - requires authentication
+ * Get the current default registration token
+ * Protected route - requires tokens:manage
  */
-router.get('/', authenticate, async (req, res, next) => {
+router.get('/', authenticate, requirePermission('tokens:manage'), async (req, res, next) => {
   try {
     const token = await TokenService.getCurrentToken();
     
@@ -29,10 +31,10 @@ router.get('/', authenticate, async (req, res, next) => {
 
 /**
  * POST /api/token/regenerate
- * Regenerate registration token
- * Protected route - requires authentication
+ * Replace the default registration token (named tokens are not affected)
+ * Protected route - requires tokens:manage
  */
-router.post('/regenerate', authenticate, async (req, res, next) => {
+router.post('/regenerate', authenticate, requirePermission('tokens:manage'), audit('token.regenerate', { target: 'token' }), async (req, res, next) => {
   try {
     const newToken = await TokenService.regenerateToken();
     res.json({ 
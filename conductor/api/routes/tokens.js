@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const TokenService = require('../services/TokenService');
+const authenticate = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const audit = require('../middleware/audit');
+
+// Load a registration token for audit diffs (the token value itself is redacted)
+const loadToken = id => TokenService.getToken(id);
+
+/**
+ * Send a JSON error response for registration token errors
+ * @returns {boolean} True if the error was handled
+ */
+function sendTokenError(res, error) {
+  let status = null;
+
+  if (error.message === 'Token not found') {
+    status = 404;
+  } else if (error.message.startsWith('Invalid')) {
+    status = 400;
+  }
+
+  if (!status) {
+    return false;
+  }
+
+  res.status(status).json({
+    error: {
+      message: error.message,
+      status
+    }
+  });
+  return true;
+}
+
+/**
+ * GET /api/tokens
+ * List registration tokens with the workers that joined with each
+ * Protected route - requires tokens:manage
+ */
+router.get('/', authenticate, requirePermission('tokens:manage'), async (req, res, next) => {
+  try {
+    const tokens = await TokenService.listTokens();
+    res.json({ tokens });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/tokens
+ * Create a registration token
+ * Body: { name, expires_at, max_uses, labels } (all but name optional)
+ * Protected route - requires tokens:manage
+ */
+router.post('/', authenticate, requirePermission('tokens:manage'), audit('token.create', { target: 'token', result: body => body.token }), async (req, res, next) => {
+  try {
+    const token = await TokenService.createToken(req.body || {});
+    res.status(201).json({ token });
+  } catch (error) {
+    if (sendTokenError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * GET /api/tokens/:id
+ * Get a registration token with the workers that joined with it
+ * Protected route - requires tokens:manage
+ */
+router.get('/:id', authenticate, requirePermission('tokens:manage'), async (req, res, next) => {
+  try {
+    const token = await TokenService.getToken(req.params.id);
+    res.json({ token });
+  } catch (error) {
+    if (sendTokenError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * POST /api/tokens/:id/revoke
+ * Stop accepting a registration token (workers that joined keep their credentials)
+ * Protected route - requires tokens:manage
+ */
+router.post('/:id/revoke', authenticate, requirePermission('tokens:manage'), audit('token.revoke', { target: 'token', load: loadToken }), async (req, res, next) => {
+  try {
+    const token = await TokenService.revokeToken(req.params.id);
+    res.json({ token });
+  } catch (error) {
+    if (sendTokenError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/tokens/:id
+ * Delete a registration token
+ * Protected route - requires tokens:manage
+ */
+router.delete('/:id', authenticate, requirePermission('tokens:manage'), audit('token.delete', { target: 'token', load: loadToken }), async (req, res, next) => {
+  try {
+    await TokenService.deleteToken(req.params.id);
+    res.json({ message: 'Token deleted successfully' });
+  } catch (error) {
+    if (sendTokenError(res, error)) return;
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const UserService = require('../services/UserService');
+const TwoFactorService = require('../services/TwoFactorService');
+const authenticate = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const audit = require('../middleware/audit');
+
+// Load a user for audit diffs
+const loadUser = async id => UserService.formatUser(await UserService.getUserRecord(id));
+
+/**
+ * Send a JSON error response for user management errors
+ * @returns {boolean} True if the error was handled
+ */
+function sendUserError(res, error) {
+  let status = null;
+
+  if (error.message === 'User not found') {
+    status = 404;
+  } else if (error.message.startsWith('Invalid')) {
+    status = 400;
+  } else if (error.message.includes('already exists') || error.message.startsWith('Cannot')) {
+    status = 409;
+  }
+
+  if (!status) {
+    return false;
+  }
+
+  res.status(status).json({
+    error: {
+      message: error.message,
+      status
+    }
+  });
+  return true;
+}
+
+/**
+ * GET /api/users
+ * List users
+ * Protected route - requires users:manage
+ */
+router.get('/', authenticate, requirePermission('users:manage'), async (req, res, next) => {
+  try {
+    const users = await UserService.listUsers();
+    res.json({ users });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/users
+ * Create a user
+ * Body: { username, email, password, role } (role defaults to viewer)
+ * Protected route - requires users:manage
+ */
+router.post('/', authenticate, requirePermission('users:manage'), audit('user.create', { target: 'user', result: body => body.user }), async (req, res, next) => {
+  try {
+    const user = await UserService.createUserAccount(req.body || {});
+    res.status(201).json({ user });
+  } catch (error) {
+    if (sendUserError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/users/:id/role
+ * Change the role of a user
+ * Body: { role } - admin, operator or viewer
+ * Protected route - requires users:manage
+ */
+router.put('/:id/role', authenticate, requirePermission('users:manage'), audit('user.set_role', { target: 'user', load: loadUser }), async (req, res, next) => {
+  try {
+    const user = await UserService.setRole(req.params.id, (req.body || {}).role);
+    res.json({ user });
+  } catch (error) {
+    if (sendUserError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * POST /api/users/:id/disable
+ * Disable a user; they can no longer log in and their tokens stop working
+ * Protected route - requires users:manage
+ */
+router.post('/:id/disable', authenticate, requirePermission('users:manage'), audit('user.disable', { target: 'user', load: loadUser }), async (req, res, next) => {
+  try {
+    const user = await UserService.setDisabled(req.params.id, true, req.userId);
+    res.json({ user });
+  } catch (error) {
+    if (sendUserError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * POST /api/users/:id/enable
+ * Enable a disabled user
+ * Protected route - requires users:manage
+ */
+router.post('/:id/enable', authenticate, requirePermission('users:manage'), audit('user.enable', { target: 'user', load: loadUser }), async (req, res, next) => {
+  try {
+    const user = await UserService.setDisabled(req.params.id, false, req.userId);
+    res.json({ user });
+  } catch (error) {
+    if (sendUserError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * POST /api/users/:id/two-factor/reset
+ * Remove 2FA from a user who lost their authenticator app and recovery codes
+ * Protected route - requires users:manage
+ */
+router.post('/:id/two-factor/reset', authenticate, requirePermission('users:manage'), audit('user.reset_two_factor', { target: 'user', load: id => TwoFactorService.getStatus(id) }), async (req, res, next) => {
+  try {
+    await TwoFactorService.reset(req.params.id);
+    res.json({ message: 'Two-factor authentication reset' });
+  } catch (error) {
+    if (sendUserError(res, error)) return;
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,110 @@
 const express = require('express');
 const router = express.Router();
 const WorkerService = require('../services/WorkerService');
+const DeploymentService = require('../services/DeploymentService');
+const DrainService = require('../services/DrainService');
+const WorkerCredentialService = require('../services/WorkerCredentialService');
+const CertificateAuthorityService = require('../services/CertificateAuthorityService');
+const WorkerSocketService = require('../services/WorkerSocketService');
+const MetricsService = require('../services/MetricsService');
 const authenticate = require('../middleware/auth');
+const authenticateWorker = require('../middleware/authenticateWorker');
+const requireWorkerCertificate = require('../middleware/requireWorkerCertificate');
+const requirePermission = require('../middleware/requirePermission');
+const audit = require('../middleware/audit');
+const throttle = require('../middleware/throttle');
+
+/**
+ * Format worker for API responses
+ * @param {object} worker - Worker with parsed resources and placement data
+ * @returns {object} Worker response
+ */
+function formatWorker(worker) {
+  return {
+    id: worker.id,
+    hostname: worker.hostname,
+    ip_address: worker.ip_address,
+    status: worker.status,
+    last_seen: worker.last_seen,
+    resources: worker.resources,
+    labels: worker.labels,
+    taints: worker.taints,
+    capabilities: worker.capabilities,
+    cordoned: worker.cordoned === 1,
+    drain: DrainService.getDrain(worker.id),
+    credential_issued_at: worker.credential_issued_at || null,
+    certificate_expires_at: worker.certificate_expires_at || null,
+    registration_token_id: worker.registration_token_id || null,
+    created_at: worker.created_at,
+    updated_at: worker.updated_at
+  };
+}
+
+/**
+ * Load a worker for audit diffs
+ * @param {string} workerId - Worker ID
+ * @returns {Promise<object>} Worker response
+ */
+async function loadWorker(workerId) {
+  return formatWorker(await WorkerService.getWorker(workerId));
+}
+
+// Registrations are recorded as the worker that registered (re-registrations diff against the stored worker)
+const registerAudit = audit('worker.register', {
+  target: 'worker',
+  targetId: (req, body) => (body ? body.worker.id : req.body.worker_id),
+  load: loadWorker,
+  result: body => body.worker,
+  actor: (req, body) => ({ type: 'worker', id: body.worker.id, name: body.worker.hostname })
+});
+
+// Failed registrations are throttled per IP and, when re-registering, per worker
+const registerThrottle = throttle('worker_registration', req => ({ type: 'worker', id: req.body && req.body.worker_id }));
+
+/**
+ * Send a JSON error response for worker management errors
+ * @returns {boolean} True if the error was handled
+ */
+function sendWorkerError(res, error) {
+  let status = null;
+
+  if (error.message === 'Worker not found') {
+    status = 404;
+  } else if (error.message === 'Worker drain is already in progress') {
+    status = 409;
+  } else if (error.message.startsWith('Invalid')) {
+    status = 400;
+  }
+
+  if (!status) {
+    return false;
+  }
+
+  res.status(status).json({
+    error: {
+      message: error.message,
+      status
+    }
+  });
+  return true;
+}
 
 /**
  * POST /api/workers/register
- * Register a new worker with the conductor
- * Requires registration token in request body
+ * Register a worker with the conductor
+ * Requires the registration token, or worker_id and the credential issued to that worker.
+ * Registering with the token issues a new credential, returned once as credential; the worker
+ * presents it (Authorization: Bearer) on every other worker call. Labels, taints and
+ * capabilities are optional.
+ * With public_key (PEM, generated by the worker) a client certificate is issued as well; it is
+ * required for registering with the token while mutual TLS is on. Registering with a credential
+ * then also needs the worker's current client certificate.
  */
-router.post('/register', async (req, res, next) => {
+router.post('/register', registerThrottle, registerAudit, async (req, res, next) => {
   try {
-    const { token, hostname, ip_address, resources, worker_id } = req.body;
+    const { token, credential, hostname, ip_address, resources, worker_id, labels, taints, capabilities, public_key } = req.body;
 
-    if (!token) {
+    if (!token && !(credential && worker_id)) {
       return res.status(400).json({
         error: {
           message: 'Registration token is required',
@@ -21,6 +113,22 @@ router.post('/register', async (req, res, next) => {
       });
     }
 
+    if (CertificateAuthorityService.isMtlsRequired()) {
+      if (credential && worker_id) {
+        const peerCertificate = CertificateAuthorityService.getPeerCertificate(req.socket);
+        if (!(await CertificateAuthorityService.verifyWorkerCertificate(worker_id, peerCertificate))) {
+          throw new Error('Invalid worker client certificate');
+        }
+      } else if (!public_key) {
+        throw new Error('Invalid registration: public_key is required for mutual TLS');
+      }
+    }
+
+    // Check the key before the registration token is used up
+    if (public_key) {
+      CertificateAuthorityService.validatePublicKey(public_key);
+    }
+
     // If worker_id is provided, pass it to registerWorker to use existing worker if valid
 
     // Use provided hostname/IP if available (actual device info), otherwise detect from request
@@ -47,29 +155,75 @@ router.post('/register', async (req, res, next) => {
       workerIP = workerIP || detectedIP;
     }
 
-    const worker = await WorkerService.registerWorker(token, workerHostname, workerIP, resources || {}, worker_id);
+    const placement = { labels, taints, capabilities };
+    const worker = credential && worker_id
+      ? await WorkerService.reregisterWorker(worker_id, credential, workerHostname, workerIP, resources || {}, placement)
+      : await WorkerService.registerWorker(token, workerHostname, workerIP, resources || {}, worker_id, placement);
+
+    let certificate = null;
+    if (public_key) {
+      certificate = await CertificateAuthorityService.issueWorkerCertificate(worker.id, public_key);
+      worker.certificate_expires_at = certificate.expires_at;
+    }
     
     res.status(201).json({
-      worker: {
-        id: worker.id,
-        hostname: worker.hostname,
-        ip_address: worker.ip_address,
-        status: worker.status,
-        last_seen: worker.last_seen,
-        resources: worker.resources,
-        created_at: worker.created_at,
-        updated_at: worker.updated_at
-      }
+      worker: formatWorker(worker),
+      credential: worker.credential,
+      certificate
     });
   } catch (error) {
-    if (error.message === 'Invalid registration token') {
+    if (error.message === 'Invalid registration token' || error.message === 'Invalid worker credential' ||
+        error.message === 'Invalid worker client certificate') {
       return res.status(401).json({
         error: {
-          message: 'Invalid registration token',
+          message: error.message,
           status: 401
         }
       });
     }
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        error: {
+          message: error.message,
+          status: 400
+        }
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/workers/ca
+ * Get the certificate of the conductor's internal CA and where workers connect over TLS
+ * Public: workers fetch it before they register and can pin its fingerprint
+ */
+router.get('/ca', (req, res, next) => {
+  try {
+    res.json({
+      ca_certificate: CertificateAuthorityService.getCACertificate(),
+      fingerprint: CertificateAuthorityService.getCAFingerprint(),
+      mtls_required: CertificateAuthorityService.isMtlsRequired(),
+      tls_port: CertificateAuthorityService.getTlsPort()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/workers/:id/certificate
+ * Renew the client certificate of a worker before it expires
+ * Body: { public_key } (PEM, a new key generated by the worker)
+ * The previous certificate stops working once the new one is issued
+ * Requires the worker's credential and, with mutual TLS, its current client certificate
+ */
+router.post('/:id/certificate', requireWorkerCertificate, authenticateWorker, audit('worker.renew_certificate', { target: 'worker', load: loadWorker }), async (req, res, next) => {
+  try {
+    const certificate = await CertificateAuthorityService.issueWorkerCertificate(req.params.id, req.body.public_key);
+    res.json({ certificate });
+  } catch (error) {
+    if (sendWorkerError(res, error)) return;
     next(error);
   }
 });
@@ -77,8 +231,9 @@ router.post('/register', async (req, res, next) => {
 /**
  * POST /api/workers/:id/heartbeat
  * Send heartbeat from worker to conductor
+ * Requires the worker's credential (and client certificate with mutual TLS)
  */
-router.post('/:id/heartbeat', async (req, res, next) => {
+router.post('/:id/heartbeat', requireWorkerCertificate, authenticateWorker, async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -110,8 +265,9 @@ router.post('/:id/heartbeat', async (req, res, next) => {
 /**
  * PUT /api/workers/:id/resources
  * Update worker resource information
+ * Requires the worker's credential (and client certificate with mutual TLS)
  */
-router.put('/:id/resources', async (req, res, next) => {
+router.put('/:id/resources', requireWorkerCertificate, authenticateWorker, async (req, res, next) => {
   try {
     const { id } = req.params;
     const { resources } = req.body;
@@ -150,26 +306,61 @@ router.put('/:id/resources', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/workers/:id/services/status
+ * Report container status of services running on the worker
+ * Body: { services: [{ service, container_id, state, exit_code, restart_count, last_error, image_digest }], full }
+ * full: the report lists every managed container on the worker
+ * Requires the worker's credential (and client certificate with mutual TLS)
+ */
+router.post('/:id/services/status', requireWorkerCertificate, authenticateWorker, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { services, full } = req.body;
+
+    if (!services) {
+      return res.status(400).json({
+        error: {
+          message: 'Services status is required',
+          status: 400
+        }
+      });
+    }
+
+    const result = await DeploymentService.reportServiceStatuses(id, services, { full: Boolean(full) });
+    res.json(result);
+  } catch (error) {
+    if (error.message === 'Worker not found') {
+      return res.status(404).json({
+        error: {
+          message: 'Worker not found',
+          status: 404
+        }
+      });
+    }
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        error: {
+          message: error.message,
+          status: 400
+        }
+      });
+    }
+    next(error);
+  }
+});
+
 /**
  * GET /api/workers
  * Get all workers
- * Protected route - requires authentication
+ * Protected route - requires workers:read
  */
-router.get('/', authenticate, async (req, res, next) => {
+router.get('/', authenticate, requirePermission('workers:read'), async (req, res, next) => {
   try {
     const workers = await WorkerService.getAllWorkers();
     
     res.json({
-      workers: workers.map(worker => ({
-        id: worker.id,
-        hostname: worker.hostname,
-        ip_address: worker.ip_address,
-        status: worker.status,
-        last_seen: worker.last_seen,
-        resources: worker.resources,
-        created_at: worker.created_at,
-        updated_at: worker.updated_at
-      }))
+      workers: workers.map(formatWorker)
     });
   } catch (error) {
     next(error);
@@ -179,9 +370,9 @@ router.get('/', authenticate, async (req, res, next) => {
 /**
  * GET /api/workers/:id
  * Get worker by ID
- * Protected route - requires authentication
+ * Protected route - requires workers:read
  */
-router.get('/:id', authenticate, async (req, res, next) => {
+router.get('/:id', authenticate, requirePermission('workers:read'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -189,15 +380,8 @@ router.get('/:id', authenticate, async (req, res, next) => {
     
     res.json({
       worker: {
-        id: worker.id,
-        hostname: worker.hostname,
-        ip_address: worker.ip_address,
-        status: worker.status,
-        last_seen: worker.last_seen,
-        resources: worker.resources,
-        resourceRecords: worker.resourceRecords,
-        created_at: worker.created_at,
-        updated_at: worker.updated_at
+        ...formatWorker(worker),
+        resourceRecords: worker.resourceRecords
       }
     });
   } catch (error) {
@@ -213,5 +397,133 @@ router.get('/:id', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/workers/:id/metrics
+ * Get the metric history of a worker
+ * Query: from, to (ISO dates or epoch ms; default the last hour), step (seconds per point;
+ * default fits about 300 points, max 1000 points), fields (comma separated; default all)
+ * Returns { metrics: { worker_id, from, to, step, resolution, fields, points: [{ time, ...fields }] } }
+ * Protected route - requires workers:read
+ */
+router.get('/:id/metrics', authenticate, requirePermission('workers:read'), async (req, res, next) => {
+  try {
+    const { from, to, step, fields } = req.query;
+    const metrics = await MetricsService.getMetrics(req.params.id, { from, to, step, fields });
+    res.json({ metrics });
+  } catch (error) {
+    if (sendWorkerError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/workers/:id/labels
+ * Replace the labels of a worker (body: labels)
+ * Labels set or removed here stay that way when the worker re-registers
+ * Protected route - requires workers:write
+ */
+router.put('/:id/labels', authenticate, requirePermission('workers:write'), audit('worker.set_labels', { target: 'worker', load: loadWorker }), async (req, res, next) => {
+  try {
+    const worker = await WorkerService.updateLabels(req.params.id, req.body.labels);
+    res.json({ worker: formatWorker(worker) });
+  } catch (error) {
+    if (sendWorkerError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/workers/:id/taints
+ * Replace the taints of a worker (body: taints)
+ * Protected route - requires workers:write
+ */
+router.put('/:id/taints', authenticate, requirePermission('workers:write'), audit('worker.set_taints', { target: 'worker', load: loadWorker }), async (req, res, next) => {
+  try {
+    const worker = await WorkerService.updateTaints(req.params.id, req.body.taints);
+    res.json({ worker: formatWorker(worker) });
+  } catch (error) {
+    if (sendWorkerError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * POST /api/workers/:id/cordon
+ * Stop placing new deployments on a worker (existing deployments keep running)
+ * Protected route - requires workers:write
+ */
+router.post('/:id/cordon', authenticate, requirePermission('workers:write'), audit('worker.cordon', { target: 'worker', load: loadWorker }), async (req, res, next) => {
+  try {
+    const worker = await DrainService.cordon(req.params.id);
+    res.json({ worker: formatWorker(worker) });
+  } catch (error) {
+    if (sendWorkerError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * POST /api/workers/:id/uncordon
+ * Allow new deployments on a worker again
+ * Protected route - requires workers:write
+ */
+router.post('/:id/uncordon', authenticate, requirePermission('workers:write'), audit('worker.uncordon', { target: 'worker', load: loadWorker }), async (req, res, next) => {
+  try {
+    const worker = await DrainService.uncordon(req.params.id);
+    res.json({ worker: formatWorker(worker) });
+  } catch (error) {
+    if (sendWorkerError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * POST /api/workers/:id/drain
+ * Cordon a worker and move its deployments to other workers, one at a time
+ * Returns 202 once started; progress at GET /api/workers/:id/drain and as worker:drain events
+ * Protected route - requires workers:write
+ */
+router.post('/:id/drain', authenticate, requirePermission('workers:write'), audit('worker.drain', { target: 'worker', load: loadWorker }), async (req, res, next) => {
+  try {
+    const drain = await DrainService.drain(req.params.id);
+    res.status(202).json({ drain });
+  } catch (error) {
+    if (sendWorkerError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * GET /api/workers/:id/drain
+ * Progress of the last drain of a worker (null if never drained)
+ * Protected route - requires workers:read
+ */
+router.get('/:id/drain', authenticate, requirePermission('workers:read'), async (req, res, next) => {
+  try {
+    await WorkerService.getWorker(req.params.id);
+    res.json({ drain: DrainService.getDrain(req.params.id) });
+  } catch (error) {
+    if (sendWorkerError(res, error)) return;
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/workers/:id/credential
+ * Revoke the credential and client certificate of a worker and disconnect it
+ * The worker has to register with a registration token again; other workers are not affected
+ * Protected route - requires workers:credentials
+ */
+router.delete('/:id/credential', authenticate, requirePermission('workers:credentials'), audit('worker.revoke_credential', { target: 'worker', load: loadWorker }), async (req, res, next) => {
+  try {
+    const worker = await WorkerCredentialService.revokeCredential(req.params.id);
+    WorkerSocketService.disconnectWorker(req.params.id);
+    res.json({ worker: formatWorker(worker) });
+  } catch (error) {
+    if (sendWorkerError(res, error)) return;
+    next(error);
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,759 @@
+const AlertRuleRepository = require('../repos/AlertRuleRepository');
+const AlertRepository = require('../repos/AlertRepository');
+const AlertSilenceRepository = require('../repos/AlertSilenceRepository');
+const WorkerRepository = require('../repos/WorkerRepository');
+const DeploymentRepository = require('../repos/DeploymentRepository');
+const ServiceRepository = require('../repos/ServiceRepository');
+const MetricSampleRepository = require('../repos/MetricSampleRepository');
+const NotificationService = require('./NotificationService');
+const WorkerSocketService = require('./WorkerSocketService');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'alerts' });
+
+// Metrics rules can check, by the name workers report them under, and their stored field
+const METRICS = {
+  'cpu.usagePercent': 'cpu_percent',
+  'ram.usagePercent': 'ram_percent',
+  'ram.used_gb': 'ram_used_gb',
+  'disk.usagePercent': 'disk_percent',
+  'disk.used_gb': 'disk_used_gb',
+  'disk.read_bytes_per_sec': 'disk_read_bps',
+  'disk.write_bytes_per_sec': 'disk_write_bps',
+  'network.rx_bytes_per_sec': 'net_rx_bps',
+  'network.tx_bytes_per_sec': 'net_tx_bps'
+};
+
+const COMPARISONS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold
+};
+
+// Deployment conditions match the container state workers report, or the deployment status
+const DEPLOYMENT_STATES = ['restarting', 'exited', 'dead', 'not_found', 'paused', 'failed', 'stranded'];
+
+const SEVERITIES = ['warning', 'critical'];
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// Samples older than this are no data: the condition does not hold
+const METRIC_STALE_MS = 2 * 60 * 1000;
+
+/**
+ * Alert Service - Alert rules, their alerts, silences and acknowledgements
+ *
+ * Rules are conditions on worker status, worker metrics and deployment state, checked every
+ * ALERT_INTERVAL seconds. When a condition starts to hold for a worker or deployment, an alert
+ * is raised as pending; once it has held for the rule's duration it fires and the rule's
+ * notification channels are notified. It is resolved (and notified again) when the condition
+ * stops holding, or silently when the rule is disabled. Pending alerts that clear before firing are
+ * dropped. Metric alerts of a worker that goes offline stay open until it reports again. Silences mute notifications; acknowledging a firing alert stops its reminders.
+ */
+class AlertService {
+  constructor(
+    alertRuleRepository,
+    alertRepository,
+    alertSilenceRepository,
+    workerRepository,
+    deploymentRepository,
+    serviceRepository,
+    metricSampleRepository,
+    notificationService,
+    workerSocketService
+  ) {
+    this.alertRuleRepository = alertRuleRepository;
+    this.alertRepository = alertRepository;
+    this.alertSilenceRepository = alertSilenceRepository;
+    this.workerRepository = workerRepository;
+    this.deploymentRepository = deploymentRepository;
+    this.serviceRepository = serviceRepository;
+    this.metricSampleRepository = metricSampleRepository;
+    this.notificationService = notificationService;
+    this.workerSocketService = workerSocketService;
+    this.interval = null;
+    this.intervalMs = parseInt(process.env.ALERT_INTERVAL || '15', 10) * 1000;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start checking alert rules
+   * @param {number} [intervalMs] - Interval in milliseconds
+   */
+  start(intervalMs = this.intervalMs) {
+    this.stop();
+    this.intervalMs = intervalMs;
+
+    this.interval = setInterval(() => {
+      this.evaluate().catch(error => {
+        log.error('Alert rule evaluation failed', { error: error.message });
+      });
+    }, this.intervalMs);
+
+    log.info('Alert rule evaluation started', { interval_ms: this.intervalMs });
+  }
+
+  /**
+   * Stop checking alert rules
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Check all rules once and move their alerts through pending, firing and resolved
+   * @param {number} [now] - Current time (epoch ms)
+   * @returns {Promise<object>} { pending, fired, resolved, reminded } counts, or { skipped: true }
+   */
+  async evaluate(now = Date.now()) {
+    if (this.isRunning) {
+      return { skipped: true };
+    }
+
+    this.isRunning = true;
+    const result = { pending: 0, fired: 0, resolved: 0, reminded: 0 };
+
+    try {
+      const rules = await this.alertRuleRepository.findAll();
+      const openAlerts = await this.alertRepository.findOpen();
+      const silences = await this.alertSilenceRepository.findActive(new Date(now).toISOString());
+      const context = { now, silences, cache: new Map() };
+
+      for (const rule of rules) {
+        let matches = new Map();
+        let condition = null;
+        if (rule.enabled) {
+          try {
+            condition = this.parseCondition(rule.condition);
+            matches = await this.findMatches(rule, condition, context);
+          } catch (error) {
+            log.error('Alert rule could not be checked', { rule_id: rule.id, rule: rule.name, error: error.message });
+            continue;
+          }
+        }
+
+        const ruleAlerts = openAlerts.filter(alert => alert.rule_id === rule.id);
+        for (const [targetId, match] of matches) {
+          const existing = ruleAlerts.find(alert => alert.target_id === targetId);
+          await this.advance(rule, condition, existing, match, context, result);
+        }
+
+        for (const alert of ruleAlerts) {
+          if (!matches.has(alert.target_id) && !(await this.isWithoutData(condition, alert, context))) {
+            await this.clear(rule, alert, context, result);
+          }
+        }
+      }
+    } finally {
+      this.isRunning = false;
+    }
+
+    return result;
+  }
+
+  /**
+   * Find the targets a rule's condition holds for
+   * @param {object} rule - Alert rule record
+   * @param {object} condition - Parsed condition
+   * @param {object} context - Evaluation context (now, cache)
+   * @returns {Promise<Map>} Map of target ID -> { target_type, target_id, target_name, since, value, message }
+   */
+  async findMatches(rule, condition, context) {
+    const matches = new Map();
+    const workers = (await this.load(context, 'workers', () => this.workerRepository.findAll()))
+      .filter(worker => !rule.worker_id || worker.id === rule.worker_id);
+    const workerName = worker => worker.hostname || worker.id;
+
+    if (condition.type === 'worker_offline') {
+      for (const worker of workers) {
+        if (worker.status === 'offline') {
+          const lastSeen = worker.last_seen ? new Date(worker.last_seen).getTime() : context.now;
+          matches.set(worker.id, {
+            target_type: 'worker',
+            target_id: worker.id,
+            target_name: workerName(worker),
+            since: Math.min(lastSeen, context.now),
+            value: null,
+            message: `Worker ${workerName(worker)} is offline`
+          });
+        }
+      }
+      return matches;
+    }
+
+    if (condition.type === 'metric') {
+      for (const worker of workers) {
+        if (worker.status !== 'online') {
+          continue;
+        }
+        const sample = await this.load(context, `sample:${worker.id}`,
+          () => this.metricSampleRepository.findLatest(worker.id, 'raw'));
+        const value = sample && context.now - sample.time <= METRIC_STALE_MS ? sample[condition.field] : null;
+        if (value !== null && value !== undefined && COMPARISONS[condition.operator](value, condition.threshold)) {
+          matches.set(worker.id, {
+            target_type: 'worker',
+            target_id: worker.id,
+            target_name: workerName(worker),
+            since: context.now,
+            value,
+            message: `${condition.metric} is ${value} on ${workerName(worker)} (${condition.operator} ${condition.threshold})`
+          });
+        }
+      }
+      return matches;
+    }
+
+    // Deployment state
+    const workerIds = new Set(workers.map(worker => worker.id));
+    const deployments = await this.load(context, 'deployments', () => this.deploymentRepository.findAll());
+    const services = await this.load(context, 'services', async () =>
+      new Map((await this.serviceRepository.findAll()).map(service => [service.id, service])));
+    const workersById = new Map(workers.map(worker => [worker.id, worker]));
+
+    for (const deployment of deployments) {
+      if (!workerIds.has(deployment.worker_id)) {
+        continue;
+      }
+      if (deployment.container_state !== condition.state && deployment.status !== condition.state) {
+        continue;
+      }
+      const service = services.get(deployment.service_id);
+      const name = `${service ? service.name : deployment.service_id} on ${workerName(workersById.get(deployment.worker_id))}`;
+      matches.set(deployment.id, {
+        target_type: 'deployment',
+        target_id: deployment.id,
+        target_name: name,
+        since: context.now,
+        value: null,
+        message: `Deployment ${name} is ${condition.state}`
+      });
+    }
+    return matches;
+  }
+
+  /**
+   * Check whether a metric alert belongs to a worker that is not reporting metrics
+   * Such alerts stay as they are: the worker going offline is not a recovery.
+   * @param {object|null} condition - Parsed condition (null for disabled rules)
+   * @param {object} alert - Open alert
+   * @param {object} context - Evaluation context (cache)
+   * @returns {Promise<boolean>} True if the alert must be kept open
+   */
+  async isWithoutData(condition, alert, context) {
+    if (!condition || condition.type !== 'metric') {
+      return false;
+    }
+    const workers = await this.load(context, 'workers', () => this.workerRepository.findAll());
+    const worker = workers.find(candidate => candidate.id === alert.target_id);
+    return !!worker && worker.status !== 'online';
+  }
+
+  /**
+   * Raise or advance the alert of a target the condition holds for
+   * @param {object} rule - Alert rule record
+   * @param {object} condition - Parsed condition
+   * @param {object|undefined} alert - Open alert of the target, if any
+   * @param {object} match - Match from findMatches
+   * @param {object} context - Evaluation context
+   * @param {object} result - Counts to update
+   */
+  async advance(rule, condition, alert, match, context, result) {
+    const { now } = context;
+
+    if (!alert) {
+      alert = await this.alertRepository.create({
+        rule_id: rule.id,
+        rule_name: rule.name,
+        severity: rule.severity,
+        target_type: match.target_type,
+        target_id: match.target_id,
+        target_name: match.target_name,
+        state: 'pending',
+        value: match.value,
+        message: match.message,
+        started_at: new Date(match.since).toISOString()
+      });
+      result.pending++;
+      this.broadcast(alert, context);
+    } else if (alert.value !== match.value || alert.message !== match.message) {
+      alert = await this.alertRepository.update(alert.id, { value: match.value, message: match.message });
+    }
+
+    if (alert.state === 'pending' && now - new Date(alert.started_at).getTime() >= condition.forMs) {
+      alert = await this.alertRepository.update(alert.id, { state: 'firing', fired_at: new Date(now).toISOString() });
+      result.fired++;
+      this.broadcast(alert, context);
+    }
+
+    if (alert.state !== 'firing' || this.isSilenced(alert, context.silences)) {
+      return;
+    }
+
+    // First notification (also once a silence ends), then reminders until acknowledged
+    if (!alert.last_notified_at) {
+      await this.notify(rule, alert, 'firing', now);
+    } else if (rule.repeat_minutes > 0 && !alert.acknowledged_at &&
+        now - new Date(alert.last_notified_at).getTime() >= rule.repeat_minutes * 60 * 1000) {
+      await this.notify(rule, alert, 'reminder', now);
+      result.reminded++;
+    }
+  }
+
+  /**
+   * Resolve a firing alert whose condition stopped holding, or drop a pending one
+   * @param {object} rule - Alert rule record
+   * @param {object} alert - Open alert
+   * @param {object} context - Evaluation context
+   * @param {object} result - Counts to update
+   */
+  async clear(rule, alert, context, result) {
+    if (alert.state === 'pending') {
+      await this.alertRepository.delete(alert.id);
+      this.broadcast({ ...alert, state: 'inactive' }, context);
+      return;
+    }
+
+    const resolved = await this.alertRepository.update(alert.id, {
+      state: 'resolved',
+      resolved_at: new Date(context.now).toISOString()
+    });
+    result.resolved++;
+    this.broadcast(resolved, context);
+
+    // Only alerts that were notified as firing are notified as resolved; disabling a rule is not a recovery
+    if (rule.enabled && resolved.last_notified_at && !this.isSilenced(resolved, context.silences)) {
+      await this.notify(rule, resolved, 'resolved', context.now);
+    }
+  }
+
+  /**
+   * Send an alert to the channels of its rule
+   * @param {object} rule - Alert rule record
+   * @param {object} alert - Alert record
+   * @param {string} event - firing, reminder or resolved
+   * @param {number} now - Current time (epoch ms)
+   */
+  async notify(rule, alert, event, now) {
+    const formatted = this.formatAlert(alert, []);
+    const label = event === 'resolved' ? 'RESOLVED' : alert.severity.toUpperCase();
+
+    await this.alertRepository.update(alert.id, { last_notified_at: new Date(now).toISOString() });
+    await this.notificationService.notify(this.parseChannelIds(rule.channel_ids), {
+      event,
+      title: `[${label}] ${rule.name}: ${alert.target_name || alert.target_id}`,
+      message: event === 'resolved' ? `Resolved: ${alert.message}` : alert.message,
+      alert: formatted,
+      timestamp: new Date(now).toISOString()
+    });
+  }
+
+  /**
+   * Push an alert change to the frontend
+   * @param {object} alert - Alert record
+   * @param {object} context - Evaluation context (silences)
+   */
+  broadcast(alert, context) {
+    this.workerSocketService.broadcastToFrontend('alert:updated', this.formatAlert(alert, context.silences));
+  }
+
+  /**
+   * Parse a rule condition
+   * Forms: `<metric> <op> <number> [for <duration>]`, `worker offline [for <duration>]`,
+   * `deployment <state> [for <duration>]`, with durations like 30s, 5m or 1h.
+   * @param {string} text - Condition
+   * @returns {object} { type: metric|worker_offline|deployment_state, forMs, ...details }
+   * @throws {Error} If the condition cannot be parsed
+   */
+  parseCondition(text) {
+    const source = typeof text === 'string' ? text.trim() : '';
+    const forMatch = source.match(/^(.*?)\s+for\s+(\d+)\s*([smh])$/i);
+    const body = forMatch ? forMatch[1].trim() : source;
+    const forMs = forMatch ? parseInt(forMatch[2], 10) * DURATION_UNITS[forMatch[3].toLowerCase()] : 0;
+
+    if (/^worker\s+offline$/i.test(body)) {
+      return { type: 'worker_offline', forMs };
+    }
+
+    const deploymentMatch = body.match(/^deployment\s+(\S+)$/i);
+    if (deploymentMatch) {
+      const state = deploymentMatch[1].toLowerCase();
+      if (!DEPLOYMENT_STATES.includes(state)) {
+        throw new Error(`Invalid condition: deployment state must be one of ${DEPLOYMENT_STATES.join(', ')}`);
+      }
+      return { type: 'deployment_state', state, forMs };
+    }
+
+    const metricMatch = body.match(/^([\w.]+)\s*(>=|<=|>|<)\s*(-?\d+(?:\.\d+)?)$/);
+    if (metricMatch) {
+      const [, metric, operator, threshold] = metricMatch;
+      if (!METRICS[metric]) {
+        throw new Error(`Invalid condition: unknown metric ${metric} (use ${Object.keys(METRICS).join(', ')})`);
+      }
+      return { type: 'metric', metric, field: METRICS[metric], operator, threshold: parseFloat(threshold), forMs };
+    }
+
+    throw new Error('Invalid condition: use "<metric> > <number> for 5m", "worker offline for 2m" or "deployment <state>"');
+  }
+
+  /**
+   * Get alerts
+   * @param {object} [filters] - state, rule_id, target_id, limit (up to 1000)
+   * @returns {Promise<Array>} Formatted alerts, newest first
+   */
+  async listAlerts(filters = {}) {
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), 1000);
+    const alerts = await this.alertRepository.findAll({ ...filters, limit });
+    const silences = await this.alertSilenceRepository.findActive(new Date().toISOString());
+    return alerts.map(alert => this.formatAlert(alert, silences));
+  }
+
+  /**
+   * Acknowledge an open alert: someone is on it, so no more reminders
+   * @param {string} id - Alert ID
+   * @param {string} username - Who acknowledged it
+   * @returns {Promise<object>} Formatted alert
+   * @throws {Error} If alert not found or already resolved
+   */
+  async acknowledgeAlert(id, username) {
+    const alert = await this.alertRepository.findById(id);
+    if (!alert) {
+      throw new Error('Alert not found');
+    }
+    if (alert.state === 'resolved') {
+      throw new Error('Cannot acknowledge a resolved alert');
+    }
+
+    const updated = await this.alertRepository.update(id, {
+      acknowledged_at: new Date().toISOString(),
+      acknowledged_by: username
+    });
+    const silences = await this.alertSilenceRepository.findActive(new Date().toISOString());
+    const formatted = this.formatAlert(updated, silences);
+    this.workerSocketService.broadcastToFrontend('alert:updated', formatted);
+    return formatted;
+  }
+
+  /**
+   * Get alert rules
+   * @returns {Promise<Array>} Formatted rules
+   */
+  async listRules() {
+    const rules = await this.alertRuleRepository.findAll();
+    return rules.map(rule => this.formatRule(rule));
+  }
+
+  /**
+   * Get an alert rule
+   * @param {string} id - Rule ID
+   * @returns {Promise<object>} Formatted rule
+   * @throws {Error} If rule not found
+   */
+  async getRule(id) {
+    return this.formatRule(await this.getRuleRecord(id));
+  }
+
+  /**
+   * Create an alert rule
+   * @param {object} data - { name, condition, worker_id, severity, channel_ids, repeat_minutes, enabled }
+   * @returns {Promise<object>} Formatted rule
+   * @throws {Error} If invalid
+   */
+  async createRule(data) {
+    const fields = await this.validateRule(data);
+    const rule = await this.alertRuleRepository.create({
+      severity: 'warning',
+      channel_ids: '[]',
+      repeat_minutes: 0,
+      enabled: 1,
+      ...fields
+    });
+    return this.formatRule(rule);
+  }
+
+  /**
+   * Update an alert rule
+   * Open alerts keep their state; they are checked against the new condition on the next evaluation.
+   * @param {string} id - Rule ID
+   * @param {object} data - Fields to change
+   * @returns {Promise<object>} Formatted rule
+   * @throws {Error} If rule not found or invalid
+   */
+  async updateRule(id, data) {
+    const rule = await this.getRuleRecord(id);
+    const fields = await this.validateRule({ ...this.formatRule(rule), ...data });
+    const updated = await this.alertRuleRepository.update(id, fields);
+    return this.formatRule(updated);
+  }
+
+  /**
+   * Delete an alert rule and its alerts
+   * @param {string} id - Rule ID
+   * @returns {Promise<boolean>} True if deleted
+   * @throws {Error} If rule not found
+   */
+  async deleteRule(id) {
+    await this.getRuleRecord(id);
+    await this.alertRepository.deleteByRuleId(id);
+    return await this.alertRuleRepository.delete(id);
+  }
+
+  /**
+   * Check rule data
+   * @param {object} data - Rule data
+   * @returns {Promise<object>} Fields to store
+   * @throws {Error} If invalid
+   */
+  async validateRule(data) {
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!name) {
+      throw new Error('Invalid rule: name is required');
+    }
+
+    const condition = typeof data.condition === 'string' ? data.condition.trim() : '';
+    this.parseCondition(condition);
+
+    const fields = { name, condition };
+
+    if (data.severity !== undefined) {
+      if (!SEVERITIES.includes(data.severity)) {
+        throw new Error(`Invalid rule: severity must be one of ${SEVERITIES.join(', ')}`);
+      }
+      fields.severity = data.severity;
+    }
+
+    if (data.worker_id !== undefined) {
+      if (data.worker_id && !(await this.workerRepository.findById(data.worker_id))) {
+        throw new Error('Invalid rule: worker not found');
+      }
+      fields.worker_id = data.worker_id || null;
+    }
+
+    if (data.channel_ids !== undefined) {
+      if (!Array.isArray(data.channel_ids)) {
+        throw new Error('Invalid rule: channel_ids must be an array');
+      }
+      for (const channelId of data.channel_ids) {
+        await this.notificationService.getChannel(channelId).catch(() => {
+          throw new Error(`Invalid rule: channel ${channelId} not found`);
+        });
+      }
+      fields.channel_ids = JSON.stringify(data.channel_ids);
+    }
+
+    if (data.repeat_minutes !== undefined) {
+      const repeatMinutes = Number(data.repeat_minutes);
+      if (!Number.isInteger(repeatMinutes) || repeatMinutes < 0) {
+        throw new Error('Invalid rule: repeat_minutes must be a whole number of minutes (0 for no reminders)');
+      }
+      fields.repeat_minutes = repeatMinutes;
+    }
+
+    if (data.enabled !== undefined) {
+      fields.enabled = data.enabled ? 1 : 0;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Get silences in effect
+   * @returns {Promise<Array>} Formatted silences
+   */
+  async listSilences() {
+    const silences = await this.alertSilenceRepository.findActive(new Date().toISOString());
+    return silences.map(silence => this.formatSilence(silence));
+  }
+
+  /**
+   * Silence notifications of a rule, a target, or one rule on one target
+   * @param {object} data - { rule_id, target_id, duration_minutes (default 60) or ends_at, comment }
+   * @param {string} username - Who created it
+   * @returns {Promise<object>} Formatted silence
+   * @throws {Error} If invalid
+   */
+  async createSilence(data, username) {
+    if (!data.rule_id && !data.target_id) {
+      throw new Error('Invalid silence: rule_id or target_id is required');
+    }
+    if (data.rule_id) {
+      await this.getRuleRecord(data.rule_id).catch(() => {
+        throw new Error('Invalid silence: rule not found');
+      });
+    }
+
+    const startsAt = new Date();
+    let endsAt;
+    if (data.ends_at !== undefined) {
+      endsAt = new Date(data.ends_at);
+    } else {
+      const minutes = data.duration_minutes !== undefined ? Number(data.duration_minutes) : 60;
+      endsAt = Number.isFinite(minutes) ? new Date(startsAt.getTime() + minutes * 60 * 1000) : new Date(NaN);
+    }
+    if (Number.isNaN(endsAt.getTime()) || endsAt <= startsAt) {
+      throw new Error('Invalid silence: it must end in the future');
+    }
+
+    const silence = await this.alertSilenceRepository.create({
+      rule_id: data.rule_id || null,
+      target_id: data.target_id || null,
+      starts_at: startsAt.toISOString(),
+      ends_at: endsAt.toISOString(),
+      comment: data.comment || null,
+      created_by: username
+    });
+    return this.formatSilence(silence);
+  }
+
+  /**
+   * End a silence now
+   * @param {string} id - Silence ID
+   * @returns {Promise<object>} Formatted silence
+   * @throws {Error} If silence not found
+   */
+  async expireSilence(id) {
+    const silence = await this.alertSilenceRepository.findById(id);
+    if (!silence) {
+      throw new Error('Silence not found');
+    }
+
+    const now = new Date().toISOString();
+    const updated = silence.ends_at > now
+      ? await this.alertSilenceRepository.update(id, { ends_at: now })
+      : silence;
+    return this.formatSilence(updated);
+  }
+
+  /**
+   * Check if a silence mutes an alert
+   * @param {object} alert - Alert record
+   * @param {Array} silences - Silences in effect
+   * @returns {boolean} True if muted
+   */
+  isSilenced(alert, silences) {
+    return silences.some(silence =>
+      (!silence.rule_id || silence.rule_id === alert.rule_id) &&
+      (!silence.target_id || silence.target_id === alert.target_id));
+  }
+
+  /**
+   * Load something once per evaluation
+   * @param {object} context - Evaluation context
+   * @param {string} key - Cache key
+   * @param {Function} loader - async () => value
+   * @returns {Promise<*>} Value
+   */
+  async load(context, key, loader) {
+    if (!context.cache.has(key)) {
+      context.cache.set(key, await loader());
+    }
+    return context.cache.get(key);
+  }
+
+  /**
+   * Get an alert rule record
+   * @param {string} id - Rule ID
+   * @returns {Promise<object>} Rule record
+   * @throws {Error} If rule not found
+   */
+  async getRuleRecord(id) {
+    const rule = await this.alertRuleRepository.findById(id);
+    if (!rule) {
+      throw new Error('Rule not found');
+    }
+    return rule;
+  }
+
+  /**
+   * Parse stored channel IDs
+   * @param {string|null} channelIds - JSON array
+   * @returns {Array<string>} Channel IDs
+   */
+  parseChannelIds(channelIds) {
+    try {
+      const parsed = JSON.parse(channelIds || '[]');
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Format rule for API responses
+   * @param {object} rule - Rule record
+   * @returns {object} Rule
+   */
+  formatRule(rule) {
+    return {
+      id: rule.id,
+      name: rule.name,
+      condition: rule.condition,
+      worker_id: rule.worker_id || null,
+      severity: rule.severity || 'warning',
+      channel_ids: this.parseChannelIds(rule.channel_ids),
+      repeat_minutes: rule.repeat_minutes || 0,
+      enabled: !!rule.enabled,
+      created_at: rule.created_at,
+      updated_at: rule.updated_at
+    };
+  }
+
+  /**
+   * Format alert for API responses
+   * @param {object} alert - Alert record
+   * @param {Array} silences - Silences in effect
+   * @returns {object} Alert
+   */
+  formatAlert(alert, silences) {
+    return {
+      id: alert.id,
+      rule_id: alert.rule_id,
+      rule_name: alert.rule_name,
+      severity: alert.severity || 'warning',
+      target_type: alert.target_type,
+      target_id: alert.target_id,
+      target_name: alert.target_name || null,
+      state: alert.state,
+      value: alert.value ?? null,
+      message: alert.message || null,
+      started_at: alert.started_at,
+      fired_at: alert.fired_at || null,
+      resolved_at: alert.resolved_at || null,
+      last_notified_at: alert.last_notified_at || null,
+      acknowledged_at: alert.acknowledged_at || null,
+      acknowledged_by: alert.acknowledged_by || null,
+      silenced: alert.state !== 'resolved' && this.isSilenced(alert, silences)
+    };
+  }
+
+  /**
+   * Format silence for API responses
+   * @param {object} silence - Silence record
+   * @returns {object} Silence
+   */
+  formatSilence(silence) {
+    return {
+      id: silence.id,
+      rule_id: silence.rule_id || null,
+      target_id: silence.target_id || null,
+      starts_at: silence.starts_at,
+      ends_at: silence.ends_at,
+      comment: silence.comment || null,
+      created_by: silence.created_by || null
+    };
+  }
+}
+
+module.exports = new AlertService(
+  AlertRuleRepository,
+  AlertRepository,
+  AlertSilenceRepository,
+  WorkerRepository,
+  DeploymentRepository,
+  ServiceRepository,
+  MetricSampleRepository,
+  NotificationService,
+  WorkerSocketService
+);
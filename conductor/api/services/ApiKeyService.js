@@ -0,0 +1,262 @@
+const { randomBytes, createHash, timingSafeEqual } = require('crypto');
+const ApiKeyRepository = require('../repos/ApiKeyRepository');
+const UserRepository = require('../repos/UserRepository');
+const LiveConnectionService = require('./LiveConnectionService');
+const { getPermissions, hasPermission } = require('../utils/permissions');
+
+const KEY_PREFIX = 'ak_';
+const LAST_USED_INTERVAL_MS = 60 * 1000; // Record key use at most once a minute
+
+/**
+ * API Key Service - Scoped credentials for third-party applications
+ *
+ * A key acts as the user who created it, limited to its scopes (a subset of that user's
+ * permissions). Keys look like ak_<prefix>_<secret>: the prefix finds the key and only a
+ * hash of the whole key is stored. Keys can expire and be revoked, and record when they
+ * were last used.
+ */
+class ApiKeyService {
+  constructor(apiKeyRepository, userRepository, liveConnectionService) {
+    this.apiKeyRepository = apiKeyRepository;
+    this.userRepository = userRepository;
+    this.liveConnectionService = liveConnectionService;
+  }
+
+  /**
+   * Check if a bearer token is an API key rather than a JWT
+   * @param {string} token - Bearer token
+   * @returns {boolean} True for API keys
+   */
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Create an API key
+   * @param {object} user - Owner ({ id, role })
+   * @param {object} options - { name, scopes, expires_at } (expires_at optional)
+   * @returns {Promise<object>} { api_key, key } - the key is only returned here
+   * @throws {Error} If an option is invalid
+   */
+  async createApiKey(user, options = {}) {
+    const { name, scopes, expiresAt } = this.validateKeyOptions(user, options);
+    const prefix = randomBytes(6).toString('hex');
+    const key = `${KEY_PREFIX}${prefix}_${randomBytes(32).toString('hex')}`;
+
+    const apiKey = await this.apiKeyRepository.create({
+      name,
+      key_prefix: prefix,
+      key_hash: this.hashKey(key),
+      scopes: JSON.stringify(scopes),
+      user_id: user.id,
+      expires_at: expiresAt,
+      active: 1 // SQLite: 1 = true, 0 = false
+    });
+
+    return { api_key: this.formatApiKey(apiKey), key };
+  }
+
+  /**
+   * Get the API keys a user can see
+   * Users with users:manage see every key, everyone else their own
+   * @param {object} user - Requesting user ({ id, role })
+   * @returns {Promise<Array>} Formatted API keys, newest first
+   */
+  async listApiKeys(user) {
+    const keys = await this.apiKeyRepository.findAll(
+      hasPermission(user.role, 'users:manage') ? undefined : user.id
+    );
+    return keys.map(key => this.formatApiKey(key));
+  }
+
+  /**
+   * Get an API key
+   * @param {string} id - API key ID
+   * @param {object} user - Requesting user ({ id, role })
+   * @returns {Promise<object>} Formatted API key
+   * @throws {Error} If the key is not found or belongs to someone else
+   */
+  async getApiKey(id, user) {
+    return this.formatApiKey(await this.getVisibleKey(id, user));
+  }
+
+  /**
+   * Revoke an API key; it is rejected from then on and its open connections are closed
+   * @param {string} id - API key ID
+   * @param {object} user - Requesting user ({ id, role })
+   * @returns {Promise<object>} Formatted API key
+   * @throws {Error} If the key is not found or belongs to someone else
+   */
+  async revokeApiKey(id, user) {
+    await this.getVisibleKey(id, user);
+    const revoked = await this.apiKeyRepository.update(id, { active: 0 });
+    this.liveConnectionService.closeApiKey(id);
+    return this.formatApiKey(revoked);
+  }
+
+  /**
+   * Delete an API key
+   * @param {string} id - API key ID
+   * @param {object} user - Requesting user ({ id, role })
+   * @throws {Error} If the key is not found or belongs to someone else
+   */
+  async deleteApiKey(id, user) {
+    await this.getVisibleKey(id, user);
+    await this.apiKeyRepository.delete(id);
+    this.liveConnectionService.closeApiKey(id);
+  }
+
+  /**
+   * Check an API key presented with a request and record its use
+   * @param {string} key - Full API key
+   * @returns {Promise<object>} { apiKey, user } records
+   * @throws {Error} If the key is unknown, revoked or expired, or its owner is disabled
+   */
+  async authenticateKey(key) {
+    const prefix = key.slice(KEY_PREFIX.length).split('_')[0];
+    const apiKey = prefix ? await this.apiKeyRepository.findByPrefix(prefix) : null;
+
+    if (!apiKey || !this.matchesHash(apiKey.key_hash, key)) {
+      throw new Error('Invalid API key');
+    }
+
+    const status = this.getKeyStatus(apiKey);
+    if (status !== 'active') {
+      throw new Error(`API key is ${status}`);
+    }
+
+    const user = await this.userRepository.findById(apiKey.user_id);
+    if (!user || user.disabled === 1) {
+      throw new Error('API key owner is disabled');
+    }
+
+    if (!apiKey.last_used_at || Date.now() - new Date(apiKey.last_used_at).getTime() > LAST_USED_INTERVAL_MS) {
+      return { apiKey: await this.apiKeyRepository.update(apiKey.id, { last_used_at: new Date().toISOString() }), user };
+    }
+    return { apiKey, user };
+  }
+
+  /**
+   * Get the scopes of an API key
+   * @param {object} apiKey - API key record
+   * @returns {Array<string>} Permissions
+   */
+  getKeyScopes(apiKey) {
+    try {
+      const scopes = JSON.parse(apiKey.scopes || '[]');
+      return Array.isArray(scopes) ? scopes : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Get the status of an API key
+   * @param {object} apiKey - API key record
+   * @returns {string} active, revoked or expired
+   */
+  getKeyStatus(apiKey) {
+    if (apiKey.active !== 1) {
+      return 'revoked';
+    }
+    if (apiKey.expires_at && new Date(apiKey.expires_at) < new Date()) {
+      return 'expired';
+    }
+    return 'active';
+  }
+
+  /**
+   * Get a key the user may see
+   * @param {string} id - API key ID
+   * @param {object} user - Requesting user ({ id, role })
+   * @returns {Promise<object>} API key record
+   * @throws {Error} If the key is not found or belongs to someone else
+   */
+  async getVisibleKey(id, user) {
+    const apiKey = await this.apiKeyRepository.findById(id);
+
+    if (!apiKey || (apiKey.user_id !== user.id && !hasPermission(user.role, 'users:manage'))) {
+      throw new Error('API key not found');
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Validate options for a new API key
+   * @param {object} user - Owner ({ id, role })
+   * @param {object} options - { name, scopes, expires_at }
+   * @returns {object} { name, scopes, expiresAt }
+   * @throws {Error} If an option is invalid
+   */
+  validateKeyOptions(user, options) {
+    const name = typeof options.name === 'string' ? options.name.trim() : '';
+    if (!name || name.length > 64) {
+      throw new Error('Invalid API key: name is required (at most 64 characters)');
+    }
+
+    if (!Array.isArray(options.scopes) || options.scopes.length === 0) {
+      throw new Error('Invalid API key: scopes must be a non-empty list of permissions');
+    }
+    const granted = getPermissions(user.role);
+    for (const scope of options.scopes) {
+      if (!granted.includes(scope)) {
+        throw new Error(`Invalid API key: ${scope} is not one of your permissions`);
+      }
+    }
+
+    let expiresAt = null;
+    if (options.expires_at !== undefined && options.expires_at !== null && options.expires_at !== '') {
+      const date = new Date(options.expires_at);
+      if (Number.isNaN(date.getTime()) || date <= new Date()) {
+        throw new Error('Invalid API key: expires_at must be a future date');
+      }
+      expiresAt = date.toISOString();
+    }
+
+    return { name, scopes: [...new Set(options.scopes)], expiresAt };
+  }
+
+  /**
+   * Compare a key with a stored hash
+   * @param {string} hash - Stored hex digest
+   * @param {string} key - Presented key
+   * @returns {boolean} True if they match
+   */
+  matchesHash(hash, key) {
+    const expected = Buffer.from(hash || '', 'hex');
+    const actual = Buffer.from(this.hashKey(key), 'hex');
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Hash an API key for storage
+   * Keys are long random strings, so a plain SHA-256 is enough
+   * @param {string} key - API key
+   * @returns {string} Hex digest
+   */
+  hashKey(key) {
+    return createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Format API key for API responses (never includes the key or its hash)
+   * @param {object} apiKey - API key record
+   * @returns {object} API key response
+   */
+  formatApiKey(apiKey) {
+    return {
+      id: apiKey.id,
+      name: apiKey.name,
+      prefix: `${KEY_PREFIX}${apiKey.key_prefix}`,
+      scopes: this.getKeyScopes(apiKey),
+      user_id: apiKey.user_id,
+      status: this.getKeyStatus(apiKey),
+      expires_at: apiKey.expires_at || null,
+      last_used_at: apiKey.last_used_at || null,
+      created_at: apiKey.created_at
+    };
+  }
+}
+
+module.exports = new ApiKeyService(ApiKeyRepository, UserRepository, LiveConnectionService);
@@ -0,0 +1,284 @@
+const { createHash } = require('crypto');
+const AuditEventRepository = require('../repos/AuditEventRepository');
+
+// previous_hash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Fields never written to the audit log; only whether they changed is recorded
+const REDACTED_FIELDS = [
+  'password', 'password_hash', 'token', 'key', 'key_hash', 'credential', 'credential_hash',
+  'refresh_token', 'refresh_token_hash', 'previous_token_hash', 'challenge_token',
+  'secret', 'totp_secret', 'recovery_codes', 'qr_code', 'otpauth_url'
+];
+
+// Fields that change on every write and would only add noise to diffs
+const IGNORED_FIELDS = ['updated_at'];
+
+const VERIFY_BATCH_SIZE = 500;
+const MAX_LIMIT = 500;
+
+/**
+ * Audit Service - Append-only, hash-chained log of mutating actions
+ *
+ * Every entry stores the hash of the previous one, and its own hash covers all of its fields.
+ * Changing, reordering or removing an entry therefore breaks the chain, which verifyChain()
+ * detects. Entries are appended one at a time so that concurrent requests cannot fork the chain.
+ */
+class AuditService {
+  constructor(auditEventRepository) {
+    this.auditEventRepository = auditEventRepository;
+    this.appendQueue = Promise.resolve();
+  }
+
+  /**
+   * Record an action taken by the caller of a request
+   * @param {object} req - Express request (actor, request ID and IP address are taken from it)
+   * @param {object} entry - { action, target_type, target_id, before, after, actor }
+   *   actor defaults to the authenticated user, API key or worker of the request
+   * @returns {Promise<object|null>} Created audit event, or null without a known actor
+   */
+  async recordRequest(req, entry) {
+    const actor = entry.actor || this.getActor(req);
+    if (!actor) {
+      return null;
+    }
+
+    return await this.record({
+      actor,
+      action: entry.action,
+      target_type: entry.target_type,
+      target_id: entry.target_id,
+      request_id: req.id,
+      ip_address: req.ip,
+      changes: this.diff(entry.before, entry.after)
+    });
+  }
+
+  /**
+   * Append an entry to the audit log
+   * @param {object} entry - { actor: { type, id, name }, action, target_type, target_id, request_id, ip_address, changes }
+   * @returns {Promise<object>} Created audit event
+   */
+  record(entry) {
+    const append = this.appendQueue.then(() => this.append(entry));
+    // Keep the queue going after a failed append
+    this.appendQueue = append.catch(() => {});
+    return append;
+  }
+
+  /**
+   * Append an entry after the current end of the chain
+   * Only called through record(), one at a time
+   * @param {object} entry - See record()
+   * @returns {Promise<object>} Created audit event
+   */
+  async append(entry) {
+    const latest = await this.auditEventRepository.findLatest();
+
+    const event = {
+      sequence: latest ? latest.sequence + 1 : 1,
+      actor_type: entry.actor.type,
+      actor_id: entry.actor.id || null,
+      actor_name: entry.actor.name || null,
+      action: entry.action,
+      target_type: entry.target_type || null,
+      target_id: entry.target_id ? String(entry.target_id) : null,
+      request_id: entry.request_id || null,
+      ip_address: entry.ip_address || null,
+      changes: JSON.stringify(entry.changes || {}),
+      occurred_at: new Date().toISOString(),
+      previous_hash: latest ? latest.hash : GENESIS_HASH
+    };
+    event.hash = this.hashEvent(event);
+
+    return this.formatEvent(await this.auditEventRepository.create(event));
+  }
+
+  /**
+   * List audit events
+   * @param {object} [filters] - actor_type, actor_id, action, target_type, target_id, request_id,
+   *   since, until (ISO dates), limit (default 100, max 500), offset
+   * @returns {Promise<Array>} Audit events, newest first
+   * @throws {Error} If a filter is invalid
+   */
+  async listEvents(filters = {}) {
+    const limit = filters.limit !== undefined ? Number(filters.limit) : 100;
+    const offset = filters.offset !== undefined ? Number(filters.offset) : 0;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new Error(`Invalid filter: limit must be between 1 and ${MAX_LIMIT}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error('Invalid filter: offset must be 0 or more');
+    }
+    for (const field of ['since', 'until']) {
+      if (filters[field] && isNaN(Date.parse(filters[field]))) {
+        throw new Error(`Invalid filter: ${field} must be a date`);
+      }
+    }
+
+    const events = await this.auditEventRepository.findAll({
+      ...filters,
+      since: filters.since ? new Date(filters.since).toISOString() : null,
+      until: filters.until ? new Date(filters.until).toISOString() : null,
+      limit,
+      offset
+    });
+    return events.map(event => this.formatEvent(event));
+  }
+
+  /**
+   * Check the whole chain
+   * Removing the newest entries cannot be detected from the chain alone; compare head with a copy
+   * kept elsewhere for that.
+   * @returns {Promise<object>} { valid, checked, broken_at, message, head: { sequence, hash } }
+   */
+  async verifyChain() {
+    let previous = null;
+    let checked = 0;
+
+    for (;;) {
+      const events = await this.auditEventRepository.findInOrder(previous ? previous.sequence : 0, VERIFY_BATCH_SIZE);
+
+      for (const event of events) {
+        const expectedSequence = previous ? previous.sequence + 1 : 1;
+        let message = null;
+
+        if (event.sequence !== expectedSequence) {
+          message = `Entry ${expectedSequence} is missing`;
+        } else if (event.previous_hash !== (previous ? previous.hash : GENESIS_HASH)) {
+          message = `Entry ${event.sequence} does not follow entry ${expectedSequence - 1}`;
+        } else if (event.hash !== this.hashEvent(event)) {
+          message = `Entry ${event.sequence} was modified`;
+        }
+
+        if (message) {
+          return { valid: false, checked, broken_at: expectedSequence, message, head: null };
+        }
+
+        previous = event;
+        checked++;
+      }
+
+      if (events.length < VERIFY_BATCH_SIZE) {
+        break;
+      }
+    }
+
+    return {
+      valid: true,
+      checked,
+      broken_at: null,
+      message: null,
+      head: previous ? { sequence: previous.sequence, hash: previous.hash } : null
+    };
+  }
+
+  /**
+   * Get the actor of a request
+   * @param {object} req - Express request
+   * @returns {object|null} { type, id, name } or null
+   */
+  getActor(req) {
+    if (req.apiKey) {
+      return { type: 'api_key', id: req.apiKey.id, name: `${req.apiKey.name} (${req.user.username})` };
+    }
+    if (req.user) {
+      return { type: 'user', id: req.user.id, name: req.user.username };
+    }
+    if (req.workerId) {
+      return { type: 'worker', id: req.workerId, name: null };
+    }
+    return null;
+  }
+
+  /**
+   * Get the fields that differ between two states of a target
+   * Secret fields only show that they changed.
+   * @param {object|null} before - State before the change (null when created)
+   * @param {object|null} after - State after the change (null when deleted)
+   * @returns {object} { field: { before, after } }
+   */
+  diff(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+      if (IGNORED_FIELDS.includes(field)) {
+        continue;
+      }
+
+      const oldValue = before ? before[field] ?? null : null;
+      const newValue = after ? after[field] ?? null : null;
+      if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+        continue;
+      }
+
+      changes[field] = REDACTED_FIELDS.includes(field)
+        ? { before: oldValue === null ? null : '[redacted]', after: newValue === null ? null : '[redacted]' }
+        : { before: oldValue, after: newValue };
+    }
+
+    return changes;
+  }
+
+  /**
+   * Hash an audit event
+   * @param {object} event - Audit event (stored or about to be)
+   * @returns {string} Hex SHA-256 digest
+   */
+  hashEvent(event) {
+    const content = JSON.stringify([
+      event.sequence,
+      event.occurred_at,
+      event.actor_type,
+      event.actor_id ?? null,
+      event.actor_name ?? null,
+      event.action,
+      event.target_type ?? null,
+      event.target_id ?? null,
+      event.request_id ?? null,
+      event.ip_address ?? null,
+      event.changes,
+      event.previous_hash
+    ]);
+    return createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Format audit event for API responses
+   * @param {object} event - Audit event record
+   * @returns {object} Formatted audit event
+   */
+  formatEvent(event) {
+    let changes = {};
+    try {
+      changes = JSON.parse(event.changes || '{}');
+    } catch (error) {
+      // Leave unreadable changes empty; verifyChain() reports the entry
+    }
+
+    return {
+      id: event.id,
+      sequence: event.sequence,
+      actor: {
+        type: event.actor_type,
+        id: event.actor_id,
+        name: event.actor_name
+      },
+      action: event.action,
+      target: {
+        type: event.target_type,
+        id: event.target_id
+      },
+      request_id: event.request_id,
+      ip_address: event.ip_address,
+      changes,
+      occurred_at: event.occurred_at,
+      previous_hash: event.previous_hash,
+      hash: event.hash
+    };
+  }
+}
+
+module.exports = new AuditService(AuditEventRepository);
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const models = require('../models');
+const { encryptFile, checkDatabaseFile } = require('../utils/backupFile');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'backup' });
+
+// conductor-<ISO time with : and . replaced>.db, with .enc when encrypted
+const BACKUP_NAME_PATTERN = /^conductor-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z\.db(\.enc)?$/;
+
+/**
+ * Backup Service - Consistent online backups of the conductor database
+ *
+ * Backups use SQLite's online backup API, so they are consistent while the conductor keeps
+ * writing. They are written to BACKUP_DIR every BACKUP_INTERVAL_HOURS, encrypted when
+ * BACKUP_ENCRYPTION_KEY is set, and pruned to the newest BACKUP_RETENTION_COUNT files and
+ * those younger than BACKUP_RETENTION_DAYS. Restoring is done offline with scripts/restoreBackup.js.
+ */
+class BackupService {
+  constructor(db) {
+    this.db = db;
+    this.interval = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start scheduled backups (not started when BACKUP_INTERVAL_HOURS is 0)
+   * @param {number} [intervalMs] - Interval in milliseconds
+   */
+  start(intervalMs = this.getIntervalMs()) {
+    this.stop();
+    if (!intervalMs) {
+      log.info('Scheduled backups disabled');
+      return;
+    }
+
+    this.interval = setInterval(() => {
+      this.createBackup().catch(error => {
+        log.error('Scheduled backup failed', { error: error.message });
+      });
+    }, intervalMs);
+    this.interval.unref();
+
+    log.info('Scheduled backups started', { interval_hours: intervalMs / 3600000, backup_dir: this.getBackupDir() });
+  }
+
+  /**
+   * Stop scheduled backups
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Back up the database now, then apply the retention rules
+   * @returns {Promise<object>} Backup: { name, size, encrypted, created_at }
+   * @throws {Error} If a backup is already running
+   */
+  async createBackup() {
+    if (this.isRunning) {
+      throw new Error('Backup already in progress');
+    }
+
+    this.isRunning = true;
+    const backupDir = this.getBackupDir();
+    const passphrase = process.env.BACKUP_ENCRYPTION_KEY;
+    const name = `conductor-${new Date().toISOString().replace(/[:.]/g, '-')}.db${passphrase ? '.enc' : ''}`;
+    const partialPath = path.join(backupDir, `${name}.partial`);
+    const copyPath = path.join(backupDir, `${name}.copy`);
+
+    try {
+      fs.mkdirSync(backupDir, { recursive: true });
+
+      await this.db.db.backup(copyPath);
+      checkDatabaseFile(copyPath);
+
+      if (passphrase) {
+        await encryptFile(copyPath, partialPath, passphrase);
+      } else {
+        fs.renameSync(copyPath, partialPath);
+      }
+      // Only complete backups carry a backup name
+      fs.renameSync(partialPath, path.join(backupDir, name));
+    } finally {
+      fs.rmSync(copyPath, { force: true });
+      fs.rmSync(partialPath, { force: true });
+      this.isRunning = false;
+    }
+
+    this.pruneBackups();
+    return this.getBackup(name);
+  }
+
+  /**
+   * List backups
+   * @returns {Array<object>} Backups, newest first
+   */
+  listBackups() {
+    const backupDir = this.getBackupDir();
+    if (!fs.existsSync(backupDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(backupDir)
+      .filter(name => BACKUP_NAME_PATTERN.test(name))
+      .map(name => this.getBackup(name))
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Get a backup
+   * @param {string} name - Backup file name
+   * @returns {object} { name, size, encrypted, created_at }
+   * @throws {Error} If the backup does not exist
+   */
+  getBackup(name) {
+    const filePath = this.getBackupPath(name);
+    const { size } = fs.statSync(filePath);
+    const time = name.match(/^conductor-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/);
+
+    return {
+      name,
+      size,
+      encrypted: name.endsWith('.enc'),
+      created_at: `${time[1]}T${time[2]}:${time[3]}:${time[4]}.${time[5]}Z`
+    };
+  }
+
+  /**
+   * Get the path of a backup file
+   * @param {string} name - Backup file name
+   * @returns {string} Absolute path
+   * @throws {Error} If the name is not a backup name or the backup does not exist
+   */
+  getBackupPath(name) {
+    const filePath = path.join(this.getBackupDir(), String(name));
+    if (!BACKUP_NAME_PATTERN.test(name) || !fs.existsSync(filePath)) {
+      throw new Error('Backup not found');
+    }
+    return filePath;
+  }
+
+  /**
+   * Delete backups beyond the retention rules
+   * A backup is kept while it is one of the newest BACKUP_RETENTION_COUNT (default 7) and younger
+   * than BACKUP_RETENTION_DAYS (default 30, 0 = no age limit). The newest backup is always kept.
+   * @returns {Array<string>} Names of deleted backups
+   */
+  pruneBackups() {
+    const keepCount = Math.max(parseInt(process.env.BACKUP_RETENTION_COUNT || '7', 10), 1);
+    const keepDays = parseInt(process.env.BACKUP_RETENTION_DAYS || '30', 10);
+    const cutoff = keepDays > 0 ? Date.now() - keepDays * 24 * 60 * 60 * 1000 : null;
+    const deleted = [];
+
+    this.listBackups().forEach((backup, index) => {
+      const tooMany = index >= keepCount;
+      const tooOld = index > 0 && cutoff !== null && Date.parse(backup.created_at) < cutoff;
+
+      if (tooMany || tooOld) {
+        fs.rmSync(this.getBackupPath(backup.name));
+        deleted.push(backup.name);
+      }
+    });
+
+    if (deleted.length > 0) {
+      log.info('Deleted old backups', { count: deleted.length });
+    }
+    return deleted;
+  }
+
+  /**
+   * Get the backup directory
+   * @returns {string} BACKUP_DIR, default data/backups
+   */
+  getBackupDir() {
+    return path.resolve(process.env.BACKUP_DIR || path.join(__dirname, '../../data/backups'));
+  }
+
+  /**
+   * Get the interval of scheduled backups
+   * @returns {number} Milliseconds, 0 when disabled (BACKUP_INTERVAL_HOURS, default 24)
+   */
+  getIntervalMs() {
+    const hours = parseFloat(process.env.BACKUP_INTERVAL_HOURS || '24');
+    return hours > 0 ? hours * 60 * 60 * 1000 : 0;
+  }
+}
+
+module.exports = new BackupService(models.db);
@@ -0,0 +1,364 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateKeyPairSync, randomBytes, X509Certificate } = require('crypto');
+const forge = require('node-forge');
+const WorkerRepository = require('../repos/WorkerRepository');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'ca' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CLOCK_SKEW_MS = 5 * 60 * 1000; // Devices on a LAN rarely agree on the time exactly
+
+/**
+ * Certificate Authority Service - Internal CA for mutual TLS between conductor and workers
+ *
+ * The CA is created in CA_DIR on first use and never leaves the conductor, so no public CA
+ * (or internet access) is involved. Workers generate their own key pair and send the public
+ * key when they register; the conductor returns a short-lived client certificate with the
+ * worker ID as common name. Only the fingerprint of each worker's current certificate is
+ * accepted, so a renewed or revoked certificate stops working right away.
+ */
+class CertificateAuthorityService {
+  constructor(workerRepository) {
+    this.workerRepository = workerRepository;
+    this.ca = null; // { dir, key, certificate, pem } loaded on first use
+    this.server = null; // { key, cert } of the conductor's TLS listener
+  }
+
+  /**
+   * Check if worker endpoints and the worker socket require a client certificate
+   * Enabled unless WORKER_MTLS=false
+   * @returns {boolean} True if mutual TLS is required
+   */
+  isMtlsRequired() {
+    return process.env.WORKER_MTLS !== 'false';
+  }
+
+  /**
+   * Get the port of the TLS listener workers connect to
+   * @returns {number} Port (TLS_PORT, default 3443)
+   */
+  getTlsPort() {
+    return parseInt(process.env.TLS_PORT || '3443', 10);
+  }
+
+  /**
+   * Get the CA certificate workers use to verify the conductor
+   * @returns {string} PEM certificate
+   */
+  getCACertificate() {
+    return this.loadCA().pem;
+  }
+
+  /**
+   * Get the SHA-256 fingerprint of the CA certificate
+   * Workers can pin it (CONDUCTOR_CA_FINGERPRINT) before trusting the CA they download
+   * @returns {string} Fingerprint (colon separated hex)
+   */
+  getCAFingerprint() {
+    return new X509Certificate(this.getCACertificate()).fingerprint256;
+  }
+
+  /**
+   * Check a public key sent by a worker
+   * @param {string} publicKey - PEM public key
+   * @throws {Error} If it is not an RSA public key in PEM format
+   */
+  validatePublicKey(publicKey) {
+    try {
+      forge.pki.publicKeyFromPem(publicKey);
+    } catch (error) {
+      throw new Error('Invalid public key: an RSA public key in PEM format is required');
+    }
+  }
+
+  /**
+   * Issue a client certificate for a worker, replacing any previous one
+   * @param {string} workerId - Worker ID (becomes the certificate's common name)
+   * @param {string} publicKey - PEM public key generated by the worker
+   * @returns {Promise<object>} { certificate, ca_certificate, expires_at }
+   * @throws {Error} If worker not found or the public key is invalid
+   */
+  async issueWorkerCertificate(workerId, publicKey) {
+    this.validatePublicKey(publicKey);
+
+    const worker = await this.workerRepository.findById(workerId);
+    if (!worker) {
+      throw new Error('Worker not found');
+    }
+
+    const ca = this.loadCA();
+    const certificate = this.createCertificate(publicKey, [
+      { name: 'commonName', value: workerId },
+      { name: 'organizationName', value: 'aerekos-cloud workers' }
+    ], this.getWorkerCertificateDays(), [
+      { name: 'basicConstraints', cA: false },
+      { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+      { name: 'extKeyUsage', clientAuth: true }
+    ], ca);
+
+    const x509 = new X509Certificate(certificate);
+    const expiresAt = new Date(x509.validTo).toISOString();
+
+    await this.workerRepository.update(workerId, {
+      certificate_fingerprint: x509.fingerprint256,
+      certificate_expires_at: expiresAt
+    });
+
+    return {
+      certificate,
+      ca_certificate: ca.pem,
+      expires_at: expiresAt
+    };
+  }
+
+  /**
+   * Get the client certificate presented on a TLS connection
+   * @param {object} socket - Connection socket (req.socket or socket.request.socket)
+   * @returns {object|null} Peer certificate, or null if none was presented or it was not signed by the CA
+   */
+  getPeerCertificate(socket) {
+    if (!socket || !socket.encrypted || !socket.authorized) {
+      return null;
+    }
+
+    const certificate = socket.getPeerCertificate();
+    return certificate && certificate.fingerprint256 ? certificate : null;
+  }
+
+  /**
+   * Check that a peer certificate is the current certificate of a worker
+   * @param {string} workerId - Worker ID
+   * @param {object} peerCertificate - Certificate from getPeerCertificate
+   * @returns {Promise<boolean>} True if the certificate belongs to the worker and was not replaced or revoked
+   */
+  async verifyWorkerCertificate(workerId, peerCertificate) {
+    if (!workerId || !peerCertificate || !peerCertificate.subject || peerCertificate.subject.CN !== workerId) {
+      return false;
+    }
+
+    const worker = await this.workerRepository.findById(workerId);
+    return !!worker && worker.certificate_fingerprint === peerCertificate.fingerprint256;
+  }
+
+  /**
+   * Get TLS options for the conductor's worker listener
+   * The server certificate is issued by the CA and reissued once it nears expiry or
+   * TLS_SERVER_NAMES changes.
+   * @returns {object} Options for https.createServer / setSecureContext
+   */
+  getServerTlsOptions() {
+    const ca = this.loadCA();
+    const keyPath = path.join(ca.dir, 'server.key');
+    const certPath = path.join(ca.dir, 'server.crt');
+    const names = this.getServerNames();
+
+    if (!fs.existsSync(keyPath) || !fs.existsSync(certPath) ||
+        this.needsRenewal(fs.readFileSync(certPath, 'utf8')) ||
+        !this.coversNames(fs.readFileSync(certPath, 'utf8'), names)) {
+      const { privateKey, publicKey } = this.generateKeyPair();
+      const certificate = this.createCertificate(publicKey, [
+        { name: 'commonName', value: os.hostname() },
+        { name: 'organizationName', value: 'aerekos-cloud conductor' }
+      ], 365, [
+        { name: 'basicConstraints', cA: false },
+        { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+        { name: 'extKeyUsage', serverAuth: true },
+        {
+          name: 'subjectAltName',
+          altNames: names.map(name => (this.isIpAddress(name) ? { type: 7, ip: name } : { type: 2, value: name }))
+        }
+      ], ca);
+
+      fs.writeFileSync(keyPath, privateKey, { mode: 0o600 });
+      fs.writeFileSync(certPath, certificate);
+      log.info('Issued conductor TLS certificate', { names });
+    }
+
+    this.server = {
+      key: fs.readFileSync(keyPath, 'utf8'),
+      cert: fs.readFileSync(certPath, 'utf8')
+    };
+
+    return {
+      ...this.server,
+      ca: ca.pem,
+      requestCert: true,
+      rejectUnauthorized: false // Registration happens before a worker has a certificate
+    };
+  }
+
+  /**
+   * Renew the certificate of a running TLS server when it nears expiry
+   * @param {tls.Server} server - Server created with getServerTlsOptions
+   * @returns {boolean} True if a new certificate was loaded
+   */
+  rotateServerCertificate(server) {
+    const current = this.server && this.server.cert;
+    const options = this.getServerTlsOptions();
+
+    if (options.cert === current) {
+      return false;
+    }
+
+    server.setSecureContext(options);
+    log.info('Conductor TLS certificate rotated');
+    return true;
+  }
+
+  /**
+   * Check if a certificate has less than a third of its lifetime left
+   * @param {string} certificate - PEM certificate
+   * @returns {boolean} True if it should be renewed
+   */
+  needsRenewal(certificate) {
+    const x509 = new X509Certificate(certificate);
+    const validFrom = new Date(x509.validFrom).getTime();
+    const validTo = new Date(x509.validTo).getTime();
+    return validTo - Date.now() < (validTo - validFrom) / 3;
+  }
+
+  /**
+   * Load the CA from CA_DIR, creating it on first use
+   * @returns {object} { dir, key, certificate, pem }
+   */
+  loadCA() {
+    const dir = this.getCADir();
+    if (this.ca && this.ca.dir === dir) {
+      return this.ca;
+    }
+
+    const keyPath = path.join(dir, 'ca.key');
+    const certPath = path.join(dir, 'ca.crt');
+
+    if (!fs.existsSync(keyPath) || !fs.existsSync(certPath)) {
+      fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+      const { privateKey, publicKey } = this.generateKeyPair();
+      const subject = [{ name: 'commonName', value: 'aerekos-cloud conductor CA' }];
+      const certificate = this.createCertificate(publicKey, subject, 3650, [
+        { name: 'basicConstraints', cA: true },
+        { name: 'keyUsage', keyCertSign: true, cRLSign: true },
+        { name: 'subjectKeyIdentifier' }
+      ], { key: forge.pki.privateKeyFromPem(privateKey), certificate: { subject: { attributes: subject } } });
+
+      fs.writeFileSync(keyPath, privateKey, { mode: 0o600 });
+      fs.writeFileSync(certPath, certificate);
+      log.info('Created certificate authority', { dir });
+    }
+
+    const pem = fs.readFileSync(certPath, 'utf8');
+    this.ca = {
+      dir,
+      key: forge.pki.privateKeyFromPem(fs.readFileSync(keyPath, 'utf8')),
+      certificate: forge.pki.certificateFromPem(pem),
+      pem
+    };
+    this.server = null;
+
+    return this.ca;
+  }
+
+  /**
+   * Create a certificate signed by an issuer
+   * @param {string} publicKey - PEM public key of the subject
+   * @param {Array<object>} subject - Subject attributes
+   * @param {number} days - Validity in days
+   * @param {Array<object>} extensions - Certificate extensions
+   * @param {object} issuer - { key, certificate } (the subject itself for the CA)
+   * @returns {string} PEM certificate
+   */
+  createCertificate(publicKey, subject, days, extensions, issuer) {
+    const serial = randomBytes(16);
+    serial[0] = (serial[0] & 0x7f) || 0x01; // Positive, without a leading zero byte
+
+    const certificate = forge.pki.createCertificate();
+    certificate.publicKey = forge.pki.publicKeyFromPem(publicKey);
+    certificate.serialNumber = serial.toString('hex');
+    certificate.validity.notBefore = new Date(Date.now() - CLOCK_SKEW_MS);
+    certificate.validity.notAfter = new Date(Date.now() + days * DAY_MS);
+    certificate.setSubject(subject);
+    certificate.setIssuer(issuer.certificate.subject.attributes);
+    certificate.setExtensions(extensions);
+    certificate.sign(issuer.key, forge.md.sha256.create());
+
+    return forge.pki.certificateToPem(certificate);
+  }
+
+  /**
+   * Generate an RSA key pair (Node's native generator, forge's is much slower)
+   * @returns {object} { privateKey, publicKey } in PEM format
+   */
+  generateKeyPair() {
+    return generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs1', format: 'pem' }
+    });
+  }
+
+  /**
+   * Names workers may use to reach the conductor
+   * localhost, the hostname and every local IPv4 address, plus TLS_SERVER_NAMES (comma separated)
+   * host.docker.internal is included because it is the default CONDUCTOR_URL of dockerized workers
+   * @returns {Array<string>} DNS names and IP addresses
+   */
+  getServerNames() {
+    const names = ['localhost', '127.0.0.1', 'host.docker.internal', os.hostname()];
+
+    for (const addresses of Object.values(os.networkInterfaces())) {
+      for (const address of addresses || []) {
+        if (address.family === 'IPv4' && !address.internal) {
+          names.push(address.address);
+        }
+      }
+    }
+
+    for (const name of (process.env.TLS_SERVER_NAMES || '').split(',')) {
+      if (name.trim()) {
+        names.push(name.trim());
+      }
+    }
+
+    return [...new Set(names)];
+  }
+
+  /**
+   * Check if a certificate is valid for all names
+   * @param {string} certificate - PEM certificate
+   * @param {Array<string>} names - DNS names and IP addresses
+   * @returns {boolean} True if every name is in the subject alternative names
+   */
+  coversNames(certificate, names) {
+    const altNames = (new X509Certificate(certificate).subjectAltName || '').split(', ');
+    return names.every(name => altNames.includes(this.isIpAddress(name) ? `IP Address:${name}` : `DNS:${name}`));
+  }
+
+  /**
+   * @param {string} name - DNS name or IP address
+   * @returns {boolean} True for an IPv4 address
+   */
+  isIpAddress(name) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(name);
+  }
+
+  /**
+   * Directory holding the CA and the conductor's TLS certificate (CA_DIR, default data/ca)
+   * @returns {string} Directory path
+   */
+  getCADir() {
+    return process.env.CA_DIR || path.join(__dirname, '..', '..', 'data', 'ca');
+  }
+
+  /**
+   * Lifetime of worker certificates (WORKER_CERT_DAYS, default 30)
+   * @returns {number} Days
+   */
+  getWorkerCertificateDays() {
+    return parseInt(process.env.WORKER_CERT_DAYS || '30', 10);
+  }
+}
+
+module.exports = new CertificateAuthorityService(WorkerRepository);
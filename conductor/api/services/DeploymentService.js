@@ -0,0 +1,761 @@
+const DeploymentRepository = require('../repos/DeploymentRepository');
+const ServiceRepository = require('../repos/ServiceRepository');
+const WorkerRepository = require('../repos/WorkerRepository');
+const SchedulerService = require('./SchedulerService');
+const RevisionService = require('./RevisionService');
+const WorkerSocketService = require('./WorkerSocketService');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'deployment' });
+
+// Instructions that (re)create the container from the service's current revision
+const REVISION_ACTIONS = ['deploy', 'update'];
+
+// Allowed deployment status transitions
+// pending -> deploying -> running, with failed/stopped reachable along the way.
+// Moving back to pending means the deployment should be (re)deployed.
+// stranded deployments wait for their offline worker (or an operator) because they have volumes.
+const STATUS_TRANSITIONS = {
+  pending: ['deploying', 'failed', 'stopped', 'stranded'],
+  deploying: ['running', 'failed', 'stopped', 'stranded'],
+  running: ['pending', 'failed', 'stopped', 'stranded'],
+  failed: ['pending', 'stopped'],
+  stopped: ['pending'],
+  stranded: ['pending', 'stopped']
+};
+
+/**
+ * Deployment Service - Business logic for deploying services onto workers
+ */
+class DeploymentService {
+  constructor(deploymentRepository, serviceRepository, workerRepository, schedulerService, workerSocketService, revisionService) {
+    this.deploymentRepository = deploymentRepository;
+    this.serviceRepository = serviceRepository;
+    this.workerRepository = workerRepository;
+    this.schedulerService = schedulerService;
+    this.workerSocketService = workerSocketService;
+    this.revisionService = revisionService;
+    this.observedServices = new Map(); // Map of workerId -> { services: [names], reported_at } from the last full report
+  }
+
+  /**
+   * Create a deployment of a service on a worker
+   * If no worker_id is given, the scheduler picks one and the decision
+   * is returned as deployment.placement
+   * @param {object} deploymentData - Deployment data (service_id, worker_id, config)
+   * @returns {Promise<object>} Created deployment (status: pending)
+   * @throws {Error} If service/worker not found, no worker fits, or service already deployed there
+   */
+  async createDeployment(deploymentData) {
+    const { service_id, config } = deploymentData;
+    let { worker_id } = deploymentData;
+
+    if (!service_id) {
+      throw new Error('Service ID is required');
+    }
+
+    const service = await this.serviceRepository.findById(service_id);
+    if (!service) {
+      throw new Error('Service not found');
+    }
+
+    if (service.enabled !== 1) {
+      throw new Error('Service is disabled');
+    }
+
+    let placement = null;
+    if (!worker_id) {
+      placement = await this.schedulerService.schedule(service);
+      if (!placement.worker_id) {
+        const error = new Error('No worker can run this service');
+        error.placement = placement;
+        throw error;
+      }
+      worker_id = placement.worker_id;
+    }
+
+    const worker = await this.workerRepository.findById(worker_id);
+    if (!worker) {
+      throw new Error('Worker not found');
+    }
+
+    if (worker.cordoned === 1) {
+      throw new Error('Worker is cordoned');
+    }
+
+    // A worker runs at most one container per service (aerekos-<service name>)
+    const existing = await this.deploymentRepository.findByServiceAndWorker(service_id, worker_id);
+    if (existing) {
+      throw new Error('Service is already deployed on this worker');
+    }
+
+    if (!placement) {
+      await this.checkChosenWorker(service, worker);
+    }
+
+    const deployment = await this.deploymentRepository.create({
+      service_id,
+      worker_id,
+      status: 'pending',
+      config: this.serializeConfig(config)
+    });
+
+    this.dispatchInstruction(deployment, 'deploy', service);
+
+    const formatted = this.formatDeployment(deployment);
+    if (placement) {
+      formatted.placement = placement;
+    }
+    return formatted;
+  }
+
+  /**
+   * Check that a worker given as worker_id fits the service like a scheduled one would
+   * @param {object} service - Service record
+   * @param {object} worker - Worker record
+   * @throws {Error} If the worker does not fit; error.placement has the reasons
+   */
+  async checkChosenWorker(service, worker) {
+    const placement = await this.schedulerService.checkPlacement(service, worker);
+    if (placement.reasons.length > 0) {
+      const error = new Error('Worker cannot run this service');
+      error.placement = placement;
+      throw error;
+    }
+  }
+
+  /**
+   * Get deployment by ID
+   * @param {string} deploymentId - Deployment ID
+   * @returns {Promise<object>} Deployment object
+   * @throws {Error} If deployment not found
+   */
+  async getDeployment(deploymentId) {
+    const deployment = await this.findDeploymentOrThrow(deploymentId);
+    const service = await this.serviceRepository.findById(deployment.service_id);
+    return this.formatDeployment(deployment, service);
+  }
+
+  /**
+   * Get deployments
+   * @param {object} [filters] - Optional filters (service_id, worker_id, status)
+   * @returns {Promise<Array>} Array of deployments
+   */
+  async getDeployments(filters = {}) {
+    const deployments = await this.deploymentRepository.findAll(filters);
+    const services = await this.serviceRepository.findAll();
+    const servicesById = new Map(services.map(service => [service.id, service]));
+    return deployments.map(deployment => this.formatDeployment(deployment, servicesById.get(deployment.service_id)));
+  }
+
+  /**
+   * Record container status reported by a worker onto its deployments
+   * Reports for containers that are not deployments of this worker (unknown service
+   * or not deployed there) are skipped and returned as ignored.
+   * A full report lists every managed container on the worker, so deployments
+   * missing from it have no container (state not_found).
+   * @param {string} workerId - Worker ID
+   * @param {Array<object>} reports - [{ service, container_id, state, exit_code, restart_count, last_error, image_digest }]
+   * @param {object} [options] - Options (full: report covers all containers on the worker)
+   * @returns {Promise<object>} { deployments: updated deployments, ignored: service names }
+   * @throws {Error} If worker not found or reports are invalid
+   */
+  async reportServiceStatuses(workerId, reports, options = {}) {
+    if (!Array.isArray(reports)) {
+      throw new Error('Invalid service status report: services must be an array');
+    }
+
+    const worker = await this.workerRepository.findById(workerId);
+    if (!worker) {
+      throw new Error('Worker not found');
+    }
+
+    const deployments = [];
+    const ignored = [];
+    const reportedAt = new Date().toISOString();
+
+    for (const report of reports) {
+      if (!report || !report.service) {
+        throw new Error('Invalid service status report: service is required');
+      }
+
+      const service = await this.serviceRepository.findByName(report.service);
+      const deployment = service
+        ? await this.deploymentRepository.findByServiceAndWorker(service.id, workerId)
+        : null;
+
+      if (!deployment) {
+        ignored.push(report.service);
+        continue;
+      }
+
+      const updated = await this.deploymentRepository.update(deployment.id, {
+        container_id: report.container_id || null,
+        container_state: report.state || null,
+        exit_code: this.toNumberOrNull(report.exit_code),
+        restart_count: this.toNumberOrNull(report.restart_count),
+        last_error: report.last_error || null,
+        image_digest: report.image_digest || null,
+        reported_at: reportedAt
+      });
+
+      deployments.push(this.formatDeployment(updated, service));
+    }
+
+    if (options.full) {
+      const reported = new Set(deployments.map(deployment => deployment.id));
+      const workerDeployments = await this.deploymentRepository.findByWorkerId(workerId);
+
+      for (const deployment of workerDeployments) {
+        if (reported.has(deployment.id)) {
+          continue;
+        }
+        const updated = await this.deploymentRepository.update(deployment.id, {
+          container_id: null,
+          container_state: 'not_found',
+          exit_code: null,
+          restart_count: null,
+          reported_at: reportedAt
+        });
+        const service = await this.serviceRepository.findById(deployment.service_id);
+        deployments.push(this.formatDeployment(updated, service));
+      }
+
+      this.observedServices.set(workerId, {
+        services: reports.map(report => report.service),
+        reported_at: reportedAt
+      });
+    }
+
+    if (deployments.length > 0) {
+      this.workerSocketService.broadcastToFrontend('deployment:status:updated', {
+        workerId,
+        deployments,
+        timestamp: reportedAt
+      });
+    }
+
+    return { deployments, ignored };
+  }
+
+  /**
+   * Move a deployment to a new status
+   * @param {string} deploymentId - Deployment ID
+   * @param {string} status - New status
+   * @param {string} [error] - Error message (for failed deployments)
+   * @returns {Promise<object>} Updated deployment
+   * @throws {Error} If deployment not found or transition is not allowed
+   */
+  async updateStatus(deploymentId, status, error = null) {
+    if (!STATUS_TRANSITIONS[status]) {
+      throw new Error(`Invalid deployment status: ${status}`);
+    }
+
+    const deployment = await this.findDeploymentOrThrow(deploymentId);
+    const updated = await this.transition(deployment, status, { error });
+    return this.formatDeployment(updated);
+  }
+
+  /**
+   * Stop a deployment
+   * @param {string} deploymentId - Deployment ID
+   * @returns {Promise<object>} Updated deployment
+   * @throws {Error} If deployment not found or already stopped
+   */
+  async stopDeployment(deploymentId) {
+    const deployment = await this.findDeploymentOrThrow(deploymentId);
+
+    if (deployment.status === 'stopped') {
+      throw new Error('Deployment is already stopped');
+    }
+
+    const updated = await this.transition(deployment, 'stopped');
+    this.dispatchInstruction(updated, 'stop');
+    return this.formatDeployment(updated);
+  }
+
+  /**
+   * Restart a deployment (queues it to be deployed again)
+   * @param {string} deploymentId - Deployment ID
+   * @returns {Promise<object>} Updated deployment
+   * @throws {Error} If deployment not found or already in progress
+   */
+  async restartDeployment(deploymentId) {
+    const deployment = await this.findDeploymentOrThrow(deploymentId);
+
+    if (deployment.status === 'pending' || deployment.status === 'deploying') {
+      throw new Error('Deployment is already in progress');
+    }
+
+    // A running container is restarted in place, anything else is started again
+    const action = deployment.status === 'running' ? 'restart' : 'deploy';
+
+    const updated = await this.transition(deployment, 'pending');
+    this.dispatchInstruction(updated, action);
+    return this.formatDeployment(updated);
+  }
+
+  /**
+   * Update a deployment's config overrides
+   * Running or failed deployments are queued to be redeployed with the new config
+   * @param {string} deploymentId - Deployment ID
+   * @param {object} deploymentData - Fields to update (config)
+   * @returns {Promise<object>} Updated deployment
+   * @throws {Error} If deployment not found or config is invalid
+   */
+  async updateDeployment(deploymentId, deploymentData) {
+    const deployment = await this.findDeploymentOrThrow(deploymentId);
+
+    if (deploymentData.config === undefined) {
+      return this.formatDeployment(deployment);
+    }
+
+    const config = this.serializeConfig(deploymentData.config);
+
+    if (deployment.status === 'running' || deployment.status === 'failed') {
+      const updated = await this.transition(deployment, 'pending', { config });
+      this.dispatchInstruction(updated, 'update');
+      return this.formatDeployment(updated);
+    }
+
+    const updated = await this.deploymentRepository.update(deploymentId, { config });
+    return this.formatDeployment(updated);
+  }
+
+  /**
+   * Remove a deployment
+   * @param {string} deploymentId - Deployment ID
+   * @returns {Promise<object>} Removed deployment
+   * @throws {Error} If deployment not found
+   */
+  async removeDeployment(deploymentId) {
+    const deployment = await this.findDeploymentOrThrow(deploymentId);
+    const service = await this.serviceRepository.findById(deployment.service_id);
+    await this.deploymentRepository.delete(deploymentId);
+    this.dispatchInstruction(deployment, 'remove', service);
+    return this.formatDeployment(deployment);
+  }
+
+  /**
+   * Update a deployment in place to a version of its service and wait for the worker's result
+   * Used by rolling updates, which move one batch of replicas at a time
+   * @param {string} deploymentId - Deployment ID
+   * @param {object} service - Service record with the image and config to run
+   * @returns {Promise<object>} Deployment record after the result was applied
+   * @throws {Error} If deployment not found
+   */
+  async updateInPlace(deploymentId, service) {
+    let deployment = await this.findDeploymentOrThrow(deploymentId);
+
+    if (deployment.status === 'running' || deployment.status === 'failed') {
+      deployment = await this.transition(deployment, 'pending');
+    }
+
+    await this.dispatchInstruction(deployment, 'update', service);
+    return await this.findDeploymentOrThrow(deploymentId);
+  }
+
+  /**
+   * Move a deployment to another worker
+   * The deployment is recreated on the new worker and removed from the old one. The old
+   * worker is told to remove its container; if it is offline the instruction is queued
+   * until it registers again, so a returning worker does not keep running a duplicate.
+   * @param {string} deploymentId - Deployment ID
+   * @param {object} [options] - Options (worker_id: target worker, picked by the scheduler if omitted)
+   * @returns {Promise<object>} New deployment (status: pending), with placement if scheduled
+   * @throws {Error} If deployment/service/worker not found, no worker fits, or already deployed there
+   */
+  async rescheduleDeployment(deploymentId, options = {}) {
+    const deployment = await this.findDeploymentOrThrow(deploymentId);
+
+    const service = await this.serviceRepository.findById(deployment.service_id);
+    if (!service) {
+      throw new Error('Service not found');
+    }
+
+    let workerId = options.worker_id;
+    let placement = null;
+    if (!workerId) {
+      placement = await this.schedulerService.schedule(service, { excludeWorkerIds: [deployment.worker_id] });
+      if (!placement.worker_id) {
+        const error = new Error('No worker can run this service');
+        error.placement = placement;
+        throw error;
+      }
+      workerId = placement.worker_id;
+    }
+
+    if (workerId === deployment.worker_id) {
+      throw new Error('Deployment is already on this worker');
+    }
+
+    const worker = await this.workerRepository.findById(workerId);
+    if (!worker) {
+      throw new Error('Worker not found');
+    }
+
+    if (worker.cordoned === 1) {
+      throw new Error('Worker is cordoned');
+    }
+
+    const existing = await this.deploymentRepository.findByServiceAndWorker(service.id, workerId);
+    if (existing) {
+      throw new Error('Service is already deployed on this worker');
+    }
+
+    if (!placement) {
+      await this.checkChosenWorker(service, worker);
+    }
+
+    // worker_id cannot be changed on an existing record, so the deployment is recreated
+    const moved = await this.deploymentRepository.create({
+      service_id: service.id,
+      worker_id: workerId,
+      status: 'pending',
+      config: deployment.config || null,
+      reconcile_paused: deployment.reconcile_paused || 0,
+      rescheduled_from: deployment.worker_id
+    });
+
+    await this.deploymentRepository.delete(deployment.id);
+
+    // Instructions still waiting for the old worker are replaced by the remove
+    this.workerSocketService.dropQueuedInstructions(deployment.worker_id, deployment.id, 'Deployment was moved to another worker');
+    this.dispatchInstruction(deployment, 'remove', service);
+    this.dispatchInstruction(moved, 'deploy', service);
+
+    log.info('Deployment rescheduled', { deployment_id: deployment.id, service: service.name, from_worker_id: deployment.worker_id, worker_id: workerId });
+
+    const formatted = this.formatDeployment(moved, service);
+    if (placement) {
+      formatted.placement = placement;
+    }
+    return formatted;
+  }
+
+  /**
+   * Mark a deployment as stranded on an offline worker
+   * @param {string} deploymentId - Deployment ID
+   * @param {string} reason - Why the deployment was not moved
+   * @returns {Promise<object>} Updated deployment
+   * @throws {Error} If deployment not found or transition is not allowed
+   */
+  async strandDeployment(deploymentId, reason) {
+    const deployment = await this.findDeploymentOrThrow(deploymentId);
+    const updated = await this.transition(deployment, 'stranded', { error: reason });
+    return this.formatDeployment(updated);
+  }
+
+  /**
+   * Check whether a deployment keeps state on its worker (volumes, or stateful: true in config)
+   * Stateful deployments are not moved automatically when their worker goes offline
+   * @param {object} service - Service record
+   * @param {object} deployment - Deployment record
+   * @returns {boolean} True if stateful
+   */
+  isStateful(service, deployment) {
+    const config = this.buildInstructionConfig(service, deployment);
+    return config.stateful === true || (Array.isArray(config.volumes) && config.volumes.length > 0);
+  }
+
+  /**
+   * Pause or resume reconciliation of a deployment
+   * @param {string} deploymentId - Deployment ID
+   * @param {boolean} paused - True to pause
+   * @returns {Promise<object>} Updated deployment
+   * @throws {Error} If deployment not found
+   */
+  async setReconcilePaused(deploymentId, paused) {
+    await this.findDeploymentOrThrow(deploymentId);
+    const updated = await this.deploymentRepository.update(deploymentId, { reconcile_paused: paused ? 1 : 0 });
+    return this.formatDeployment(updated);
+  }
+
+  /**
+   * Get the services seen in the last full status report of a worker
+   * @param {string} workerId - Worker ID
+   * @returns {object|null} { services: [names], reported_at } or null if none yet
+   */
+  getObservedServices(workerId) {
+    return this.observedServices.get(workerId) || null;
+  }
+
+  /**
+   * Get the workers that sent a full status report
+   * @returns {Array<string>} Worker IDs
+   */
+  getObservedWorkerIds() {
+    return Array.from(this.observedServices.keys());
+  }
+
+  /**
+   * Send a deployment instruction to the deployment's worker
+   * Runs in the background: the deployment moves to deploying once the worker
+   * acknowledges, and to running/stopped/failed when the worker reports the result.
+   * Instructions for disconnected workers are queued by WorkerSocketService.
+   * @param {object} deployment - Deployment record
+   * @param {string} action - deploy, start, stop, restart, update or remove
+   * @param {object} [service] - Service record (looked up if not given)
+   */
+  async dispatchInstruction(deployment, action, service = null) {
+    try {
+      service = service || await this.serviceRepository.findById(deployment.service_id);
+      if (!service) {
+        return;
+      }
+
+      const instruction = {
+        action,
+        service: service.name,
+        deployment_id: deployment.id,
+        config: this.buildInstructionConfig(service, deployment)
+      };
+
+      // Link the deployment to the revision it is deployed from
+      if (service.revision_id && REVISION_ACTIONS.includes(action) && deployment.revision_id !== service.revision_id) {
+        await this.deploymentRepository.update(deployment.id, { revision_id: service.revision_id });
+        await this.revisionService.linkDeployment(service.revision_id, deployment);
+      }
+
+      const result = await this.workerSocketService.sendInstruction(deployment.worker_id, instruction, {
+        onAck: () => this.applyInstructionAck(deployment.id, action)
+      });
+
+      await this.applyInstructionResult(deployment.id, action, result);
+    } catch (error) {
+      log.error('Instruction failed', { deployment_id: deployment.id, action, error: error.message });
+      await this.applyInstructionResult(deployment.id, action, { status: 'failed', error: error.message });
+    }
+  }
+
+  /**
+   * Move a pending deployment to deploying once the worker acknowledged the instruction
+   * @param {string} deploymentId - Deployment ID
+   * @param {string} action - Instruction action
+   */
+  async applyInstructionAck(deploymentId, action) {
+    if (action === 'stop' || action === 'remove') {
+      return;
+    }
+
+    try {
+      const deployment = await this.deploymentRepository.findById(deploymentId);
+      if (deployment && deployment.status === 'pending') {
+        await this.transition(deployment, 'deploying');
+      }
+    } catch (error) {
+      log.error('Could not mark deployment as deploying', { deployment_id: deploymentId, error: error.message });
+    }
+  }
+
+  /**
+   * Apply the result reported by the worker to the deployment status
+   * Results for deployments that were removed or changed in the meantime are ignored
+   * @param {string} deploymentId - Deployment ID
+   * @param {string} action - Instruction action
+   * @param {object} result - { status: 'success' | 'failed', error }
+   */
+  async applyInstructionResult(deploymentId, action, result) {
+    if (action === 'remove') {
+      return;
+    }
+
+    try {
+      let deployment = await this.deploymentRepository.findById(deploymentId);
+      if (!deployment) {
+        return;
+      }
+
+      let status;
+      if (result.status !== 'success') {
+        status = 'failed';
+      } else {
+        status = action === 'stop' ? 'stopped' : 'running';
+      }
+
+      // The acknowledgement may have been lost, go through deploying first
+      if (deployment.status === 'pending' && status === 'running') {
+        deployment = await this.transition(deployment, 'deploying');
+      }
+
+      if (deployment.status === status || !this.canTransition(deployment.status, status)) {
+        return;
+      }
+
+      await this.transition(deployment, status, status === 'failed' ? { error: result.error || 'Deployment failed' } : {});
+    } catch (error) {
+      log.error('Could not apply instruction result', { deployment_id: deploymentId, action, error: error.message });
+    }
+  }
+
+  /**
+   * Build the container config sent to the worker
+   * Service config with deployment overrides on top, plus the docker image
+   * @param {object} service - Service record
+   * @param {object} deployment - Deployment record
+   * @returns {object} Container config
+   */
+  buildInstructionConfig(service, deployment) {
+    const parse = (value) => {
+      if (!value) {
+        return {};
+      }
+      try {
+        return JSON.parse(value) || {};
+      } catch (e) {
+        return {};
+      }
+    };
+
+    return {
+      ...parse(service.config),
+      ...parse(deployment.config),
+      docker_image: service.docker_image
+    };
+  }
+
+  /**
+   * Check whether a status transition is allowed
+   * @param {string} from - Current status
+   * @param {string} to - New status
+   * @returns {boolean} True if allowed
+   */
+  canTransition(from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Apply a status transition and its timestamps
+   * @param {object} deployment - Deployment record
+   * @param {string} status - New status
+   * @param {object} [changes] - Additional fields to update
+   * @returns {Promise<object>} Updated deployment record
+   * @throws {Error} If transition is not allowed
+   */
+  async transition(deployment, status, changes = {}) {
+    if (deployment.status !== status && !this.canTransition(deployment.status, status)) {
+      throw new Error(`Cannot change deployment status from ${deployment.status} to ${status}`);
+    }
+
+    const updateData = { ...changes, status };
+
+    if (status === 'running') {
+      updateData.deployed_at = new Date().toISOString();
+      updateData.error = null;
+    } else if (status === 'stopped') {
+      updateData.stopped_at = new Date().toISOString();
+    } else if (status === 'pending') {
+      updateData.error = null;
+    }
+
+    if (updateData.error === undefined) {
+      delete updateData.error;
+    }
+
+    return await this.deploymentRepository.update(deployment.id, updateData);
+  }
+
+  /**
+   * Find deployment or throw
+   * @param {string} deploymentId - Deployment ID
+   * @returns {Promise<object>} Deployment record
+   * @throws {Error} If deployment not found
+   */
+  async findDeploymentOrThrow(deploymentId) {
+    const deployment = await this.deploymentRepository.findById(deploymentId);
+
+    if (!deployment) {
+      throw new Error('Deployment not found');
+    }
+
+    return deployment;
+  }
+
+  /**
+   * Serialize config overrides for storage
+   * @param {object|null} config - Config object
+   * @returns {string|null} JSON string
+   * @throws {Error} If config is not an object
+   */
+  serializeConfig(config) {
+    if (config === undefined || config === null) {
+      return null;
+    }
+
+    if (typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('Invalid deployment config: must be a JSON object');
+    }
+
+    return JSON.stringify(config);
+  }
+
+  /**
+   * Convert a reported number, keeping missing values as null
+   * @param {*} value - Reported value
+   * @returns {number|null} Number or null
+   */
+  toNumberOrNull(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  /**
+   * Format deployment record for API responses
+   * @param {object} deployment - Deployment record
+   * @param {object} [service] - Service record (adds service_name)
+   * @returns {object} Deployment with parsed config
+   */
+  formatDeployment(deployment, service = null) {
+    let config = {};
+    if (deployment.config) {
+      try {
+        config = JSON.parse(deployment.config);
+      } catch (e) {
+        config = {};
+      }
+    }
+
+    const formatted = {
+      id: deployment.id,
+      service_id: deployment.service_id,
+      worker_id: deployment.worker_id,
+      status: deployment.status,
+      config,
+      error: deployment.error || null,
+      deployed_at: deployment.deployed_at || null,
+      stopped_at: deployment.stopped_at || null,
+      reconcile_paused: deployment.reconcile_paused === 1,
+      rescheduled_from: deployment.rescheduled_from || null,
+      revision_id: deployment.revision_id || null,
+      container: {
+        id: deployment.container_id || null,
+        state: deployment.container_state || null,
+        exit_code: deployment.exit_code ?? null,
+        restart_count: deployment.restart_count ?? null,
+        last_error: deployment.last_error || null,
+        image_digest: deployment.image_digest || null,
+        reported_at: deployment.reported_at || null
+      },
+      created_at: deployment.created_at,
+      updated_at: deployment.updated_at
+    };
+
+    if (service) {
+      formatted.service_name = service.name;
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = new DeploymentService(
+  DeploymentRepository,
+  ServiceRepository,
+  WorkerRepository,
+  SchedulerService,
+  WorkerSocketService,
+  RevisionService
+);
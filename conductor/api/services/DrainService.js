@@ -0,0 +1,284 @@
+const WorkerRepository = require('../repos/WorkerRepository');
+const DeploymentRepository = require('../repos/DeploymentRepository');
+const ServiceRepository = require('../repos/ServiceRepository');
+const DeploymentService = require('./DeploymentService');
+const SchedulerService = require('./SchedulerService');
+const RolloutService = require('./RolloutService');
+const WorkerSocketService = require('./WorkerSocketService');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'drain' });
+
+// Deployments a drain moves off the worker
+const DRAINED_STATUSES = ['pending', 'deploying', 'running', 'failed'];
+
+/**
+ * Drain Service - Takes workers out of service for maintenance
+ *
+ * A cordoned worker keeps its deployments but the scheduler places nothing new on it.
+ * Draining cordons the worker and then moves its deployments one at a time: a copy is
+ * started on another worker, and the original is removed once the copy passes the same
+ * health gate as a rolling update. Deployments with volumes cannot be moved and are
+ * stopped instead. Drain progress is kept in memory and pushed to frontend clients.
+ */
+class DrainService {
+  constructor(workerRepository, deploymentRepository, serviceRepository, deploymentService,
+    schedulerService, rolloutService, workerSocketService) {
+    this.workerRepository = workerRepository;
+    this.deploymentRepository = deploymentRepository;
+    this.serviceRepository = serviceRepository;
+    this.deploymentService = deploymentService;
+    this.schedulerService = schedulerService;
+    this.rolloutService = rolloutService;
+    this.workerSocketService = workerSocketService;
+    this.drains = new Map(); // workerId -> drain state
+  }
+
+  /**
+   * Get the last drain of a worker
+   * @param {string} workerId - Worker ID
+   * @returns {object|null} Drain state or null if never drained
+   */
+  getDrain(workerId) {
+    const drain = this.drains.get(workerId);
+    return drain ? this.formatDrain(drain) : null;
+  }
+
+  /**
+   * Check whether a worker is being drained
+   * @param {string} workerId - Worker ID
+   * @returns {boolean} True while the drain runs
+   */
+  isDraining(workerId) {
+    const drain = this.drains.get(workerId);
+    return !!drain && drain.status === 'in_progress';
+  }
+
+  /**
+   * Stop placing new deployments on a worker
+   * @param {string} workerId - Worker ID
+   * @returns {Promise<object>} Updated worker
+   * @throws {Error} If worker not found
+   */
+  async cordon(workerId) {
+    return await this.setCordoned(workerId, true);
+  }
+
+  /**
+   * Allow new deployments on a worker again
+   * @param {string} workerId - Worker ID
+   * @returns {Promise<object>} Updated worker
+   * @throws {Error} If worker not found or it is being drained
+   */
+  async uncordon(workerId) {
+    if (this.isDraining(workerId)) {
+      throw new Error('Worker drain is already in progress');
+    }
+    return await this.setCordoned(workerId, false);
+  }
+
+  /**
+   * Cordon a worker and move all of its deployments to other workers
+   * Returns once the drain has started; progress is broadcast as worker:drain
+   * @param {string} workerId - Worker ID
+   * @returns {Promise<object>} Drain state
+   * @throws {Error} If worker not found or it is already being drained
+   */
+  async drain(workerId) {
+    if (this.isDraining(workerId)) {
+      throw new Error('Worker drain is already in progress');
+    }
+
+    await this.setCordoned(workerId, true);
+
+    const deployments = (await this.deploymentRepository.findByWorkerId(workerId))
+      .filter(deployment => DRAINED_STATUSES.includes(deployment.status));
+
+    const drain = {
+      worker_id: workerId,
+      status: 'in_progress',
+      total: deployments.length,
+      moved: 0,
+      stopped: 0,
+      failed: 0,
+      steps: [],
+      error: null,
+      started_at: new Date().toISOString(),
+      finished_at: null
+    };
+    this.drains.set(workerId, drain);
+    this.broadcast(drain);
+
+    this.runDrain(drain, deployments).catch(error => {
+      log.error('Drain crashed', { worker_id: workerId, error: error.message });
+      drain.status = 'failed';
+      drain.error = error.message;
+      drain.finished_at = new Date().toISOString();
+      this.broadcast(drain);
+    });
+
+    return this.formatDrain(drain);
+  }
+
+  /**
+   * Move or stop the deployments of a worker one at a time
+   * A deployment that cannot be moved stays where it is and fails the drain
+   * @param {object} drain - Drain state
+   * @param {Array<object>} deployments - Deployments to move
+   */
+  async runDrain(drain, deployments) {
+    for (const deployment of deployments) {
+      const service = await this.serviceRepository.findById(deployment.service_id);
+      const step = {
+        deployment_id: deployment.id,
+        service_id: deployment.service_id,
+        service_name: service ? service.name : null,
+        action: !service || this.deploymentService.isStateful(service, deployment) ? 'stop' : 'move',
+        status: 'pending',
+        new_deployment_id: null,
+        new_worker_id: null,
+        error: null
+      };
+      drain.steps.push(step);
+      this.broadcast(drain);
+
+      try {
+        if (step.action === 'stop') {
+          await this.stopDeployment(deployment);
+          drain.stopped++;
+        } else {
+          await this.moveDeployment(step, deployment, service);
+          drain.moved++;
+        }
+        step.status = 'done';
+      } catch (error) {
+        log.error('Drain step failed', { worker_id: drain.worker_id, deployment_id: deployment.id, action: step.action, error: error.message });
+        step.status = 'failed';
+        step.error = error.message;
+        drain.failed++;
+      }
+
+      this.broadcast(drain);
+    }
+
+    drain.status = drain.failed > 0 ? 'failed' : 'completed';
+    drain.error = drain.failed > 0 ? `${drain.failed} deployment(s) could not be moved` : null;
+    drain.finished_at = new Date().toISOString();
+    log.info('Worker drained', { worker_id: drain.worker_id, moved: drain.moved, stopped: drain.stopped, failed: drain.failed });
+    this.broadcast(drain);
+  }
+
+  /**
+   * Start a copy of a deployment on another worker and remove the original once it is healthy
+   * @param {object} step - Drain step
+   * @param {object} deployment - Deployment to move
+   * @param {object} service - Service record
+   * @throws {Error} If no worker fits or the copy does not become healthy
+   */
+  async moveDeployment(step, deployment, service) {
+    if (this.rolloutService.isRolloutActive(service.id)) {
+      throw new Error('Service rollout is in progress');
+    }
+
+    const placement = await this.schedulerService.schedule(service);
+    if (!placement.worker_id) {
+      throw new Error('No worker can run this service');
+    }
+
+    // The copy briefly adds a replica, which must not be scaled away
+    this.rolloutService.holdScaling(service.id);
+    try {
+      const copy = await this.deploymentRepository.create({
+        service_id: service.id,
+        worker_id: placement.worker_id,
+        status: 'pending',
+        config: deployment.config || null,
+        reconcile_paused: deployment.reconcile_paused || 0,
+        rescheduled_from: deployment.worker_id
+      });
+      step.new_deployment_id = copy.id;
+      step.new_worker_id = copy.worker_id;
+      step.status = 'deploying';
+      this.broadcast(this.drains.get(deployment.worker_id));
+
+      try {
+        await this.rolloutService.runStep(
+          { action: 'surge', deployment_id: copy.id, worker_id: copy.worker_id },
+          service,
+          this.rolloutService.getStrategy(service)
+        );
+      } catch (error) {
+        await this.deploymentService.removeDeployment(copy.id).catch(() => {});
+        throw error;
+      }
+
+      await this.deploymentService.removeDeployment(deployment.id);
+    } finally {
+      this.rolloutService.releaseScaling(service.id);
+    }
+  }
+
+  /**
+   * Stop a deployment that cannot be moved
+   * @param {object} deployment - Deployment record
+   */
+  async stopDeployment(deployment) {
+    if (deployment.status === 'stopped') {
+      return;
+    }
+    await this.deploymentService.stopDeployment(deployment.id);
+  }
+
+  /**
+   * Set the cordoned flag of a worker and tell frontend clients
+   * @param {string} workerId - Worker ID
+   * @param {boolean} cordoned - New value
+   * @returns {Promise<object>} Updated worker
+   * @throws {Error} If worker not found
+   */
+  async setCordoned(workerId, cordoned) {
+    const worker = await this.workerRepository.findById(workerId);
+
+    if (!worker) {
+      throw new Error('Worker not found');
+    }
+
+    if ((worker.cordoned === 1) !== cordoned) {
+      await this.workerRepository.update(workerId, { cordoned: cordoned ? 1 : 0 });
+      log.info(cordoned ? 'Worker cordoned' : 'Worker uncordoned', { worker_id: workerId, hostname: worker.hostname });
+    }
+
+    this.workerSocketService.broadcastToFrontend('worker:cordoned', { workerId, cordoned });
+    return await this.workerRepository.findByIdWithResources(workerId);
+  }
+
+  /**
+   * Broadcast drain progress to frontend clients
+   * @param {object} drain - Drain state
+   */
+  broadcast(drain) {
+    this.workerSocketService.broadcastToFrontend('worker:drain', this.formatDrain(drain));
+  }
+
+  /**
+   * Format drain for API responses
+   * @param {object} drain - Drain state
+   * @returns {object} Copy of the drain
+   */
+  formatDrain(drain) {
+    return {
+      ...drain,
+      steps: drain.steps.map(step => ({ ...step }))
+    };
+  }
+}
+
+module.exports = new DrainService(
+  WorkerRepository,
+  DeploymentRepository,
+  ServiceRepository,
+  DeploymentService,
+  SchedulerService,
+  RolloutService,
+  WorkerSocketService
+);
@@ -0,0 +1,273 @@
+const EventRepository = require('../repos/EventRepository');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'events' });
+
+const SEVERITIES = ['info', 'warning', 'error'];
+const MAX_LIMIT = 500;
+const DEFAULT_RETENTION_DAYS = 30;
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Event Service - Cluster event history
+ *
+ * Services record what happens in the cluster (a worker registered, went offline, missed its
+ * heartbeats, sent a report that could not be stored) as events with a type, severity, source and
+ * payload. Each event gets the next sequence number, which clients use as a cursor when paging
+ * back through history and as the event id of the Server-Sent Events stream. Subscribers are
+ * called with every event once it is stored. Events are deleted after EVENT_RETENTION_DAYS.
+ */
+class EventService {
+  constructor(eventRepository) {
+    this.eventRepository = eventRepository;
+    this.listeners = new Set();
+    this.appendQueue = Promise.resolve();
+    this.interval = null;
+  }
+
+  /**
+   * Start pruning old events
+   * @param {number} [intervalMs] - Interval in milliseconds
+   */
+  start(intervalMs = PRUNE_INTERVAL) {
+    this.stop();
+
+    this.interval = setInterval(() => {
+      this.prune().catch(error => {
+        log.error('Event pruning failed', { error: error.message });
+      });
+    }, intervalMs);
+
+    log.info('Event pruning started', { retention_days: this.getRetentionDays() });
+  }
+
+  /**
+   * Stop pruning old events
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Record an event
+   * Never rejects: a failure to store an event is logged and must not break what is being recorded.
+   * @param {object} entry - { type, severity (default info), source, subject_type, subject_id, message, payload }
+   * @returns {Promise<object|null>} Created event, or null if it could not be stored
+   */
+  record(entry) {
+    const append = this.appendQueue.then(() => this.append(entry));
+    this.appendQueue = append.catch(() => {});
+
+    return append.then(event => {
+      this.publish(event);
+      return event;
+    }, error => {
+      log.error('Failed to record event', { type: entry.type, error: error.message });
+      return null;
+    });
+  }
+
+  /**
+   * Store an event after the newest one
+   * Only called through record(), one at a time
+   * @param {object} entry - See record()
+   * @returns {Promise<object>} Created event
+   */
+  async append(entry) {
+    const latest = await this.eventRepository.findLatest();
+
+    const event = await this.eventRepository.create({
+      sequence: latest ? latest.sequence + 1 : 1,
+      type: entry.type,
+      severity: SEVERITIES.includes(entry.severity) ? entry.severity : 'info',
+      source: entry.source || null,
+      subject_type: entry.subject_type || null,
+      subject_id: entry.subject_id ? String(entry.subject_id) : null,
+      message: entry.message || null,
+      payload: JSON.stringify(entry.payload || {}),
+      occurred_at: new Date().toISOString()
+    });
+    return this.formatEvent(event);
+  }
+
+  /**
+   * Call a function with every event recorded from now on
+   * @param {Function} listener - Called with the formatted event
+   * @returns {Function} Call to unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Pass an event to the subscribers
+   * @param {object} event - Formatted event
+   */
+  publish(event) {
+    for (const listener of this.listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        log.error('Event listener failed', { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * List events, newest first, one page at a time
+   * @param {object} [filters] - type and severity (comma-separated lists), source, subject_type,
+   *   subject_id, since, until (ISO dates), cursor (next_cursor of the previous page),
+   *   limit (default 100, max 500)
+   * @returns {Promise<object>} { events, next_cursor } (next_cursor is null on the last page)
+   * @throws {Error} If a filter is invalid
+   */
+  async listEvents(filters = {}) {
+    const limit = filters.limit !== undefined ? Number(filters.limit) : 100;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new Error(`Invalid filter: limit must be between 1 and ${MAX_LIMIT}`);
+    }
+
+    const before = filters.cursor !== undefined ? Number(filters.cursor) : null;
+    if (before !== null && (!Number.isInteger(before) || before < 1)) {
+      throw new Error('Invalid filter: cursor must be a positive integer');
+    }
+
+    for (const field of ['since', 'until']) {
+      if (filters[field] && isNaN(Date.parse(filters[field]))) {
+        throw new Error(`Invalid filter: ${field} must be a date`);
+      }
+    }
+
+    const events = await this.eventRepository.findAll({
+      types: this.parseList(filters.type),
+      severities: this.parseSeverities(filters.severity),
+      source: filters.source,
+      subject_type: filters.subject_type,
+      subject_id: filters.subject_id,
+      since: filters.since ? new Date(filters.since).toISOString() : null,
+      until: filters.until ? new Date(filters.until).toISOString() : null,
+      before,
+      limit
+    });
+
+    return {
+      events: events.map(event => this.formatEvent(event)),
+      next_cursor: events.length === limit ? String(events[events.length - 1].sequence) : null
+    };
+  }
+
+  /**
+   * Build a check for events matching stream filters
+   * @param {object} [filters] - type and severity (comma-separated lists), source, subject_type, subject_id
+   * @returns {Function} Returns true for matching events
+   * @throws {Error} If a filter is invalid
+   */
+  createMatcher(filters = {}) {
+    const types = this.parseList(filters.type);
+    const severities = this.parseSeverities(filters.severity);
+
+    return event => (!types || types.includes(event.type)) &&
+      (!severities || severities.includes(event.severity)) &&
+      ['source', 'subject_type', 'subject_id'].every(field => !filters[field] || event[field] === filters[field]);
+  }
+
+  /**
+   * Get events recorded after a sequence number, for resuming a stream
+   * @param {number} sequence - Sequence number of the last event the client has
+   * @param {number} [limit] - Maximum number of events
+   * @returns {Promise<Array>} Events, oldest first
+   */
+  async getEventsAfter(sequence, limit = MAX_LIMIT) {
+    const events = await this.eventRepository.findAfter(sequence, limit);
+    return events.map(event => this.formatEvent(event));
+  }
+
+  /**
+   * Delete events past the retention period
+   * The newest event is kept, so sequence numbers keep increasing.
+   * @param {number} [now] - Current time (epoch ms)
+   * @returns {Promise<number>} Number of deleted events
+   */
+  async prune(now = Date.now()) {
+    const latest = await this.eventRepository.findLatest();
+    if (!latest) {
+      return 0;
+    }
+
+    const cutoff = new Date(now - this.getRetentionDays() * 24 * 60 * 60 * 1000).toISOString();
+    const deleted = await this.eventRepository.deleteOlderThan(cutoff < latest.occurred_at ? cutoff : latest.occurred_at);
+    if (deleted > 0) {
+      log.info('Deleted old events', { count: deleted, before: cutoff });
+    }
+    return deleted;
+  }
+
+  /**
+   * Get the retention period
+   * @returns {number} Days (EVENT_RETENTION_DAYS, default 30)
+   */
+  getRetentionDays() {
+    const days = parseFloat(process.env.EVENT_RETENTION_DAYS);
+    return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+  }
+
+  /**
+   * Split a comma-separated filter
+   * @param {string} [value] - Filter value
+   * @returns {Array<string>|null} Values, or null if the filter is not set
+   */
+  parseList(value) {
+    if (!value) {
+      return null;
+    }
+    const values = String(value).split(',').map(item => item.trim()).filter(Boolean);
+    return values.length > 0 ? values : null;
+  }
+
+  /**
+   * Parse and check a severity filter
+   * @param {string} [value] - Comma-separated severities
+   * @returns {Array<string>|null} Severities, or null if the filter is not set
+   * @throws {Error} If a severity is unknown
+   */
+  parseSeverities(value) {
+    const severities = this.parseList(value);
+    if (severities && !severities.every(severity => SEVERITIES.includes(severity))) {
+      throw new Error(`Invalid filter: severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    return severities;
+  }
+
+  /**
+   * Format event for API responses
+   * @param {object} event - Event record
+   * @returns {object} Event with parsed payload
+   */
+  formatEvent(event) {
+    let payload = {};
+    try {
+      payload = JSON.parse(event.payload || '{}');
+    } catch (error) {
+      payload = {};
+    }
+
+    return {
+      id: event.id,
+      sequence: event.sequence,
+      type: event.type,
+      severity: event.severity,
+      source: event.source || null,
+      subject_type: event.subject_type || null,
+      subject_id: event.subject_id || null,
+      message: event.message || null,
+      payload,
+      occurred_at: event.occurred_at
+    };
+  }
+}
+
+module.exports = new EventService(EventRepository);
@@ -1,7 +1,7 @@
 const jwt = require('jsonwebtoken');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'change-this-secret-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m'; // Access tokens are short-lived, sessions refresh them
 
 /**
  * JWT Service for token generation and verification
@@ -10,9 +10,10 @@ class JWTService {
   /**
    * Generate a JWT token for a user
    * @param {object} user - User object (should have id, username, email, role)
+   * @param {string} [sessionId] - Session the token belongs to (see SessionService)
    * @returns {string} JWT token
    */
-  generateToken(user) {
+  generateToken(user, sessionId) {
     const payload = {
       id: user.id,
       username: user.username,
@@ -20,11 +21,27 @@ class JWTService {
       role: user.role
     };
 
+    if (sessionId) {
+      payload.sid = sessionId;
+    }
+
     return jwt.sign(payload, JWT_SECRET, {
       expiresIn: JWT_EXPIRES_IN
     });
   }
 
+  /**
+   * Generate a short-lived token proving a user passed the password step of a 2FA login
+   * It names no session, so authenticate rejects it for anything else.
+   * @param {object} user - User object (should have id)
+   * @returns {string} JWT token valid for 5 minutes
+   */
+  generateTwoFactorChallenge(user) {
+    return jwt.sign({ id: user.id, purpose: 'two_factor' }, JWT_SECRET, {
+      expiresIn: '5m'
+    });
+  }
+
   /**
    * Verify and decode a JWT token
    * @param {string} token - JWT token
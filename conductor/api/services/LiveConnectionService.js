@@ -0,0 +1,131 @@
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'live_connections' });
+
+// Longest delay setTimeout accepts; later expiries are checked again after it
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Live Connection Service - Long-lived connections that authenticated once
+ *
+ * Event streams and frontend sockets check their credentials when they connect. They are tracked
+ * here with the user, session or API key they authenticated with, and closed when that session is
+ * revoked, the user is disabled or changes role, the key is revoked, or the token expires.
+ */
+class LiveConnectionService {
+  constructor() {
+    this.connections = new Set();
+  }
+
+  /**
+   * Track a connection until it closes
+   * @param {object} credentials - { userId, sessionId, apiKeyId, expiresAt (epoch ms or null) }
+   * @param {Function} close - Called once with the reason to end the connection
+   * @returns {Function} Call when the connection has closed
+   */
+  track(credentials, close) {
+    const connection = {
+      userId: credentials.userId || null,
+      sessionId: credentials.sessionId || null,
+      apiKeyId: credentials.apiKeyId || null,
+      expiresAt: credentials.expiresAt || null,
+      close,
+      timer: null
+    };
+
+    this.connections.add(connection);
+    this.scheduleExpiry(connection);
+
+    return () => this.untrack(connection);
+  }
+
+  /**
+   * Close the connection when its credentials expire
+   * @param {object} connection - Tracked connection
+   */
+  scheduleExpiry(connection) {
+    if (!connection.expiresAt) {
+      return;
+    }
+
+    const delay = Math.max(connection.expiresAt - Date.now(), 0);
+    connection.timer = setTimeout(() => {
+      if (delay > MAX_TIMER_MS) {
+        this.scheduleExpiry(connection);
+      } else {
+        this.end(connection, 'Credentials expired');
+      }
+    }, Math.min(delay, MAX_TIMER_MS));
+    connection.timer.unref();
+  }
+
+  /**
+   * Stop tracking a connection
+   * @param {object} connection - Tracked connection
+   */
+  untrack(connection) {
+    clearTimeout(connection.timer);
+    this.connections.delete(connection);
+  }
+
+  /**
+   * Close a connection
+   * @param {object} connection - Tracked connection
+   * @param {string} reason - Why it is closed
+   */
+  end(connection, reason) {
+    this.untrack(connection);
+    try {
+      connection.close(reason);
+    } catch (error) {
+      log.warn('Failed to close live connection', { user_id: connection.userId, error: error.message });
+    }
+  }
+
+  /**
+   * Close the connections matching a condition
+   * @param {Function} matches - Called with each tracked connection
+   * @param {string} reason - Why they are closed
+   * @returns {number} Number of closed connections
+   */
+  closeWhere(matches, reason) {
+    const closing = Array.from(this.connections).filter(matches);
+    closing.forEach(connection => this.end(connection, reason));
+    if (closing.length > 0) {
+      log.info('Closed live connections', { count: closing.length, reason });
+    }
+    return closing.length;
+  }
+
+  /**
+   * Close the connections of a session
+   * @param {string} sessionId - Session ID
+   * @param {string} [reason] - Why they are closed
+   * @returns {number} Number of closed connections
+   */
+  closeSession(sessionId, reason = 'Session has ended') {
+    return this.closeWhere(connection => connection.sessionId === sessionId, reason);
+  }
+
+  /**
+   * Close every connection of a user, through sessions and API keys alike
+   * @param {string} userId - User ID
+   * @param {string} reason - Why they are closed
+   * @returns {number} Number of closed connections
+   */
+  closeUser(userId, reason) {
+    return this.closeWhere(connection => connection.userId === userId, reason);
+  }
+
+  /**
+   * Close the connections of an API key
+   * @param {string} apiKeyId - API key ID
+   * @param {string} [reason] - Why they are closed
+   * @returns {number} Number of closed connections
+   */
+  closeApiKey(apiKeyId, reason = 'API key is revoked') {
+    return this.closeWhere(connection => connection.apiKeyId === apiKeyId, reason);
+  }
+}
+
+module.exports = new LiveConnectionService();
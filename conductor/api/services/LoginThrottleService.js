@@ -0,0 +1,214 @@
+const AuditService = require('./AuditService');
+
+// Failures allowed before each further attempt has to wait
+const FREE_ATTEMPTS = 3;
+// Longest wait between attempts before a lockout (seconds)
+const MAX_BACKOFF_SECONDS = 60;
+// Failures that lock a key, by key type; an IP address may be shared by many users
+const LOCKOUT_THRESHOLDS = {
+  account: 10,
+  worker: 10,
+  ip: 30
+};
+// Entries kept before stale ones are pruned
+const MAX_ENTRIES = 10000;
+
+/**
+ * Login Throttle Service - Rate limiting of failed logins and worker registrations
+ *
+ * Failures are counted per client IP and per account (username, 2FA user or worker ID). Every
+ * attempt is counted as a failure when it starts (reserveAttempt) and released if it turns out not
+ * to be one, so a burst of parallel attempts cannot all pass the backoff check.
+ * After a few failures every further attempt has to wait twice as long as the previous one, and
+ * at a threshold the IP or account is locked out for LOGIN_LOCKOUT_MINUTES. Lockouts are written
+ * to the audit log. Counts are kept in memory and forgotten once nothing failed for a lockout period.
+ */
+class LoginThrottleService {
+  constructor(auditService) {
+    this.auditService = auditService;
+    this.entries = new Map(); // key -> { failures, lastFailureAt, lockedUntil }
+  }
+
+  /**
+   * Get the keys an attempt is counted against
+   * @param {string} scope - login, two_factor or worker_registration
+   * @param {string} ip - Client IP address
+   * @param {object} [account] - { type: account|worker, id } when the attempt names one
+   * @returns {Array<object>} Keys: { scope, type, id, key }
+   */
+  getKeys(scope, ip, account = null) {
+    const keys = [{ scope, type: 'ip', id: ip || 'unknown' }];
+    if (account && account.id) {
+      keys.push({ scope, type: account.type, id: String(account.id).toLowerCase() });
+    }
+    return keys.map(key => ({ ...key, key: `${key.scope}:${key.type}:${key.id}` }));
+  }
+
+  /**
+   * Get how long until another attempt is allowed
+   * @param {Array<object>} keys - Keys from getKeys()
+   * @returns {number} Seconds to wait, 0 if an attempt is allowed now
+   */
+  getRetryAfter(keys) {
+    const now = Date.now();
+    let waitMs = 0;
+
+    for (const { key } of keys) {
+      const entry = this.getEntry(key, now);
+      if (!entry) continue;
+
+      if (entry.lockedUntil > now) {
+        waitMs = Math.max(waitMs, entry.lockedUntil - now);
+      } else if (entry.failures >= FREE_ATTEMPTS) {
+        const backoffMs = Math.min(2 ** (entry.failures - FREE_ATTEMPTS), MAX_BACKOFF_SECONDS) * 1000;
+        waitMs = Math.max(waitMs, entry.lastFailureAt + backoffMs - now);
+      }
+    }
+
+    return Math.ceil(waitMs / 1000);
+  }
+
+  /**
+   * Count an attempt as failed before it is checked
+   * @param {Array<object>} keys - Keys from getKeys()
+   * @returns {object} Reservation for recordFailure(), recordSuccess() or releaseAttempt()
+   */
+  reserveAttempt(keys) {
+    const now = Date.now();
+    const previous = {};
+
+    for (const { key } of keys) {
+      const entry = this.getEntry(key, now) || { failures: 0, lastFailureAt: 0, lockedUntil: 0 };
+      previous[key] = entry.lastFailureAt;
+      entry.failures++;
+      entry.lastFailureAt = now;
+      this.entries.set(key, entry);
+    }
+
+    if (this.entries.size > MAX_ENTRIES) {
+      this.prune(now);
+    }
+
+    return { keys, at: now, previous };
+  }
+
+  /**
+   * Take back a reserved attempt that did not fail (validation error, server error)
+   * @param {object} reservation - Reservation from reserveAttempt()
+   */
+  releaseAttempt(reservation) {
+    for (const { key } of reservation.keys) {
+      const entry = this.entries.get(key);
+      if (!entry) continue;
+
+      entry.failures = Math.max(0, entry.failures - 1);
+      // Restore the previous failure time unless a later attempt has been counted since
+      if (entry.lastFailureAt === reservation.at) {
+        entry.lastFailureAt = reservation.previous[key];
+      }
+    }
+  }
+
+  /**
+   * Confirm a reserved attempt as failed, locking keys that reach their threshold
+   * @param {object} reservation - Reservation from reserveAttempt()
+   * @param {object} req - Express request (request ID and IP address for the audit log)
+   * @returns {Promise<void>}
+   */
+  async recordFailure(reservation, req) {
+    const now = Date.now();
+    const lockouts = [];
+
+    for (const key of reservation.keys) {
+      const entry = this.entries.get(key.key);
+      if (entry && entry.failures >= LOCKOUT_THRESHOLDS[key.type] && entry.lockedUntil <= now) {
+        entry.lockedUntil = now + this.getLockoutMs();
+        lockouts.push({ key, entry });
+      }
+    }
+
+    for (const { key, entry } of lockouts) {
+      await this.auditService.record({
+        actor: { type: 'system', name: 'login throttle' },
+        action: `${key.scope}.lockout`,
+        target_type: key.type,
+        target_id: key.id,
+        request_id: req.id,
+        ip_address: req.ip,
+        changes: {
+          failed_attempts: { before: null, after: entry.failures },
+          locked_until: { before: null, after: new Date(entry.lockedUntil).toISOString() }
+        }
+      });
+    }
+  }
+
+  /**
+   * Forget the failures of the account after a successful attempt
+   * The IP keeps its earlier count, so one valid account cannot be used to reset guesses on others.
+   * @param {object} reservation - Reservation from reserveAttempt()
+   */
+  recordSuccess(reservation) {
+    this.releaseAttempt(reservation);
+
+    for (const { type, key } of reservation.keys) {
+      if (type !== 'ip') {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get the entry of a key, dropping it once it went a lockout period without failures
+   * @param {string} key - Key string
+   * @param {number} now - Current time (ms)
+   * @returns {object|null} Entry or null
+   */
+  getEntry(key, now) {
+    const entry = this.entries.get(key);
+    if (entry && this.isStale(entry, now)) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  /**
+   * Remove stale entries
+   * @param {number} now - Current time (ms)
+   */
+  prune(now) {
+    for (const [key, entry] of this.entries) {
+      if (this.isStale(entry, now)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Check if an entry can be forgotten
+   * @param {object} entry - Entry
+   * @param {number} now - Current time (ms)
+   * @returns {boolean} True if not locked and the last failure is a lockout period ago
+   */
+  isStale(entry, now) {
+    return entry.lockedUntil <= now && now - entry.lastFailureAt > this.getLockoutMs();
+  }
+
+  /**
+   * Get the lockout duration
+   * @returns {number} Milliseconds (LOGIN_LOCKOUT_MINUTES, default 15)
+   */
+  getLockoutMs() {
+    return (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+  }
+
+  /**
+   * Forget all failures (used by tests)
+   */
+  reset() {
+    this.entries.clear();
+  }
+}
+
+module.exports = new LoginThrottleService(AuditService);
@@ -0,0 +1,424 @@
+const MetricSampleRepository = require('../repos/MetricSampleRepository');
+const WorkerRepository = require('../repos/WorkerRepository');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'metrics' });
+
+// Metrics stored per sample; each is averaged when samples are rolled up or bucketed
+const NUMERIC_FIELDS = [
+  'cpu_percent', 'ram_percent', 'ram_used_gb', 'disk_percent', 'disk_used_gb',
+  'disk_read_bps', 'disk_write_bps', 'net_rx_bps', 'net_tx_bps'
+];
+const FIELDS = [...NUMERIC_FIELDS, 'cpu_cores_percent'];
+
+// From finest to coarsest; each rollup is built from the resolution before it
+const RESOLUTIONS = [
+  { name: 'raw', stepMs: 0, retentionEnv: 'METRICS_RAW_RETENTION_HOURS', defaultRetention: 24, unitMs: 60 * 60 * 1000 },
+  { name: '1m', stepMs: 60 * 1000, retentionEnv: 'METRICS_1M_RETENTION_DAYS', defaultRetention: 7, unitMs: 24 * 60 * 60 * 1000 },
+  { name: '1h', stepMs: 60 * 60 * 1000, retentionEnv: 'METRICS_1H_RETENTION_DAYS', defaultRetention: 90, unitMs: 24 * 60 * 60 * 1000 }
+];
+
+const DEFAULT_RANGE_MS = 60 * 60 * 1000;
+const DEFAULT_POINTS = 300;
+const MAX_POINTS = 1000;
+
+/**
+ * Metrics Service - Time series of worker metrics
+ *
+ * Every heartbeat with detailed resources is stored as a raw sample. Once a minute, complete
+ * minutes are rolled up into 1m samples and complete hours into 1h samples, each the average of
+ * the samples it covers (weighted by sample count, so rollups of rollups stay exact). Each
+ * resolution is deleted after its retention period. Queries read the coarsest resolution that
+ * fits the requested step and fill the not yet rolled up end of the range from finer ones.
+ */
+class MetricsService {
+  constructor(metricSampleRepository, workerRepository) {
+    this.metricSampleRepository = metricSampleRepository;
+    this.workerRepository = workerRepository;
+    this.interval = null;
+    this.intervalMs = 60 * 1000;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start rolling up and pruning samples
+   * @param {number} [intervalMs] - Interval in milliseconds
+   */
+  start(intervalMs = this.intervalMs) {
+    this.stop();
+    this.intervalMs = intervalMs;
+
+    this.interval = setInterval(() => {
+      this.maintain().catch(error => {
+        log.error('Metric rollup failed', { error: error.message });
+      });
+    }, this.intervalMs);
+
+    log.info('Metric rollups started', { interval_ms: this.intervalMs });
+  }
+
+  /**
+   * Stop rolling up and pruning samples
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Store a heartbeat as a raw sample
+   * @param {string} workerId - Worker ID
+   * @param {object} resources - Resources from worker:ping (cpu, ram, disk, network)
+   * @param {number} [time] - When it was received (epoch ms)
+   * @returns {Promise<object|null>} Created sample, or null without detailed resources
+   */
+  async recordSample(workerId, resources, time = Date.now()) {
+    const values = this.extractValues(resources);
+    if (NUMERIC_FIELDS.every(field => values[field] === null) && !values.cpu_cores_percent) {
+      return null;
+    }
+
+    return await this.metricSampleRepository.create({
+      worker_id: workerId,
+      resolution: 'raw',
+      time,
+      ...this.toRecord({ samples: 1, ...values })
+    });
+  }
+
+  /**
+   * Roll up complete buckets and delete samples past their retention
+   * @param {number} [now] - Current time (epoch ms)
+   * @returns {Promise<object>} { rolled_up, deleted } or { skipped: true } while a run is in progress
+   */
+  async maintain(now = Date.now()) {
+    if (this.isRunning) {
+      return { skipped: true };
+    }
+
+    this.isRunning = true;
+    try {
+      const rolledUp = await this.rollup(now);
+      const deleted = await this.prune(now);
+      return { rolled_up: rolledUp, deleted };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Roll up every complete 1m and 1h bucket that was not rolled up yet
+   * @param {number} [now] - Current time (epoch ms)
+   * @returns {Promise<number>} Number of rollup samples created
+   */
+  async rollup(now = Date.now()) {
+    const workers = await this.workerRepository.findAll();
+    let created = 0;
+
+    for (const worker of workers) {
+      for (let i = 1; i < RESOLUTIONS.length; i++) {
+        created += await this.rollupWorker(worker.id, RESOLUTIONS[i], RESOLUTIONS[i - 1], now);
+      }
+    }
+
+    return created;
+  }
+
+  /**
+   * Roll up the complete buckets of one worker and resolution
+   * @param {string} workerId - Worker ID
+   * @param {object} resolution - Resolution to create
+   * @param {object} source - Resolution it is built from
+   * @param {number} now - Current time (epoch ms)
+   * @returns {Promise<number>} Number of rollup samples created
+   */
+  async rollupWorker(workerId, resolution, source, now) {
+    const end = Math.floor(now / resolution.stepMs) * resolution.stepMs;
+    const latest = await this.metricSampleRepository.findLatest(workerId, resolution.name);
+    const start = latest ? latest.time + resolution.stepMs : 0;
+    if (start >= end) {
+      return 0;
+    }
+
+    const rows = await this.metricSampleRepository.findRange(workerId, source.name, start, end);
+    const buckets = this.groupByBucket(rows, resolution.stepMs);
+
+    for (const [time, bucketRows] of buckets) {
+      await this.metricSampleRepository.create({
+        worker_id: workerId,
+        resolution: resolution.name,
+        time,
+        ...this.toRecord(this.aggregate(bucketRows))
+      });
+    }
+
+    return buckets.size;
+  }
+
+  /**
+   * Delete samples past the retention of their resolution
+   * @param {number} [now] - Current time (epoch ms)
+   * @returns {Promise<number>} Number of deleted samples
+   */
+  async prune(now = Date.now()) {
+    let deleted = 0;
+    for (const resolution of RESOLUTIONS) {
+      deleted += await this.metricSampleRepository.deleteOlderThan(resolution.name, now - this.getRetentionMs(resolution));
+    }
+    return deleted;
+  }
+
+  /**
+   * Get the metrics of a worker over a time range
+   * @param {string} workerId - Worker ID
+   * @param {object} [query] - from, to (ISO dates or epoch ms; default the last hour),
+   *   step (seconds per point; default fits about 300 points), fields (comma separated; default all)
+   * @returns {Promise<object>} { worker_id, from, to, step, resolution, fields, points: [{ time, ...fields }] }
+   * @throws {Error} If the worker does not exist or the query is invalid
+   */
+  async getMetrics(workerId, query = {}) {
+    const worker = await this.workerRepository.findById(workerId);
+    if (!worker) {
+      throw new Error('Worker not found');
+    }
+
+    const now = Date.now();
+    const to = query.to !== undefined ? this.parseTime(query.to, 'to') : now;
+    const from = query.from !== undefined ? this.parseTime(query.from, 'from') : to - DEFAULT_RANGE_MS;
+    if (from >= to) {
+      throw new Error('Invalid query: from must be before to');
+    }
+
+    let stepMs;
+    if (query.step !== undefined) {
+      const step = Number(query.step);
+      if (!Number.isFinite(step) || step < 1) {
+        throw new Error('Invalid query: step must be a number of seconds (1 or more)');
+      }
+      stepMs = Math.round(step * 1000);
+    } else {
+      stepMs = Math.max(Math.ceil((to - from) / DEFAULT_POINTS / 1000), 1) * 1000;
+    }
+    if ((to - from) / stepMs > MAX_POINTS) {
+      throw new Error(`Invalid query: more than ${MAX_POINTS} points, use a larger step`);
+    }
+
+    const fields = query.fields ? String(query.fields).split(',').map(field => field.trim()).filter(Boolean) : FIELDS;
+    const unknown = fields.find(field => !FIELDS.includes(field));
+    if (unknown) {
+      throw new Error(`Invalid query: unknown field ${unknown} (use ${FIELDS.join(', ')})`);
+    }
+
+    const resolution = this.selectResolution(from, stepMs, now);
+    const rows = await this.loadRows(workerId, resolution, from, to);
+
+    const points = [];
+    for (const [time, bucketRows] of this.groupByBucket(rows, stepMs)) {
+      const values = this.aggregate(bucketRows);
+      const point = { time: new Date(time).toISOString() };
+      for (const field of fields) {
+        point[field] = values[field];
+      }
+      points.push(point);
+    }
+
+    return {
+      worker_id: workerId,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      step: stepMs / 1000,
+      resolution: resolution.name,
+      fields,
+      points
+    };
+  }
+
+  /**
+   * Pick the resolution to answer a query from
+   * The coarsest one whose buckets fit evenly into the step, as long as it is still kept at
+   * the start of the range; otherwise the finest one that is.
+   * @param {number} from - Start of the range (epoch ms)
+   * @param {number} stepMs - Step of the query
+   * @param {number} now - Current time (epoch ms)
+   * @returns {object} Resolution
+   */
+  selectResolution(from, stepMs, now) {
+    const isRetained = resolution => from >= now - this.getRetentionMs(resolution);
+    const candidates = RESOLUTIONS.filter(resolution => stepMs % (resolution.stepMs || 1) === 0 && isRetained(resolution));
+
+    if (candidates.length > 0) {
+      return candidates[candidates.length - 1];
+    }
+    return RESOLUTIONS.find(isRetained) || RESOLUTIONS[RESOLUTIONS.length - 1];
+  }
+
+  /**
+   * Load the samples of a range, completing the end that was not rolled up yet from finer resolutions
+   * @param {string} workerId - Worker ID
+   * @param {object} resolution - Resolution picked for the query
+   * @param {number} from - Start (epoch ms)
+   * @param {number} to - End (epoch ms)
+   * @returns {Promise<Array>} Samples, oldest first
+   */
+  async loadRows(workerId, resolution, from, to) {
+    const rows = await this.metricSampleRepository.findRange(workerId, resolution.name, from, to);
+    let coveredUntil = rows.length > 0 ? rows[rows.length - 1].time + resolution.stepMs : from;
+
+    for (let i = RESOLUTIONS.indexOf(resolution) - 1; i >= 0 && coveredUntil < to; i--) {
+      const finer = await this.metricSampleRepository.findRange(workerId, RESOLUTIONS[i].name, coveredUntil, to);
+      if (finer.length > 0) {
+        rows.push(...finer);
+        coveredUntil = finer[finer.length - 1].time + RESOLUTIONS[i].stepMs;
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Group samples by the bucket they fall in
+   * @param {Array} rows - Samples, oldest first
+   * @param {number} stepMs - Bucket size
+   * @returns {Map<number, Array>} Bucket start (epoch ms) -> samples, in time order
+   */
+  groupByBucket(rows, stepMs) {
+    const buckets = new Map();
+    for (const row of rows) {
+      const bucket = Math.floor(row.time / stepMs) * stepMs;
+      if (!buckets.has(bucket)) {
+        buckets.set(bucket, []);
+      }
+      buckets.get(bucket).push(row);
+    }
+    return buckets;
+  }
+
+  /**
+   * Average samples, weighted by the number of raw samples each one covers
+   * @param {Array} rows - Samples
+   * @returns {object} { samples, ...fields } - fields without values are null
+   */
+  aggregate(rows) {
+    const weightOf = row => row.samples || 1;
+    const result = { samples: rows.reduce((total, row) => total + weightOf(row), 0) };
+
+    for (const field of NUMERIC_FIELDS) {
+      let total = 0;
+      let weight = 0;
+      for (const row of rows) {
+        if (row[field] !== null && row[field] !== undefined) {
+          total += row[field] * weightOf(row);
+          weight += weightOf(row);
+        }
+      }
+      result[field] = weight > 0 ? this.round(total / weight) : null;
+    }
+
+    const cores = [];
+    for (const row of rows) {
+      this.parseCores(row.cpu_cores_percent).forEach((usage, index) => {
+        if (usage === null) return;
+        cores[index] = cores[index] || { total: 0, weight: 0 };
+        cores[index].total += usage * weightOf(row);
+        cores[index].weight += weightOf(row);
+      });
+    }
+    result.cpu_cores_percent = cores.length > 0
+      ? Array.from(cores, core => (core ? this.round(core.total / core.weight) : null))
+      : null;
+
+    return result;
+  }
+
+  /**
+   * Pick the stored metrics out of heartbeat resources
+   * @param {object} resources - Resources from worker:ping
+   * @returns {object} Values of FIELDS, null when missing
+   */
+  extractValues(resources) {
+    const { cpu, ram, disk, network } = resources || {};
+    const number = value => {
+      const parsed = parseFloat(value);
+      return Number.isFinite(parsed) ? this.round(parsed) : null;
+    };
+
+    return {
+      cpu_percent: number(cpu?.usagePercent ?? cpu?.usage),
+      cpu_cores_percent: Array.isArray(cpu?.perCore) && cpu.perCore.length > 0
+        ? cpu.perCore.map(core => number(core.usagePercent ?? core.usage))
+        : null,
+      ram_percent: number(ram?.usagePercent),
+      ram_used_gb: number(ram?.used_gb),
+      disk_percent: number(disk?.usagePercent),
+      disk_used_gb: number(disk?.used_gb),
+      disk_read_bps: number(disk?.read_bytes_per_sec),
+      disk_write_bps: number(disk?.write_bytes_per_sec),
+      net_rx_bps: number(network?.rx_bytes_per_sec),
+      net_tx_bps: number(network?.tx_bytes_per_sec)
+    };
+  }
+
+  /**
+   * Convert aggregated values to a sample record
+   * @param {object} values - { samples, ...fields }
+   * @returns {object} Record fields
+   */
+  toRecord(values) {
+    return {
+      ...values,
+      cpu_cores_percent: values.cpu_cores_percent ? JSON.stringify(values.cpu_cores_percent) : null
+    };
+  }
+
+  /**
+   * Parse the per-core usage of a sample
+   * @param {string|null} value - JSON array
+   * @returns {Array} Per-core usage (empty if none)
+   */
+  parseCores(value) {
+    try {
+      const cores = JSON.parse(value || '[]');
+      return Array.isArray(cores) ? cores : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Parse a time of a query
+   * @param {string|number} value - ISO date or epoch ms
+   * @param {string} name - Parameter name for the error
+   * @returns {number} Epoch ms
+   * @throws {Error} If it is not a time
+   */
+  parseTime(value, name) {
+    const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    if (!Number.isFinite(time)) {
+      throw new Error(`Invalid query: ${name} must be a date`);
+    }
+    return time;
+  }
+
+  /**
+   * Get how long a resolution is kept
+   * @param {object} resolution - Resolution
+   * @returns {number} Milliseconds
+   */
+  getRetentionMs(resolution) {
+    const value = parseFloat(process.env[resolution.retentionEnv]);
+    return (value > 0 ? value : resolution.defaultRetention) * resolution.unitMs;
+  }
+
+  /**
+   * Round a value to 3 decimals to keep samples compact
+   * @param {number} value - Value
+   * @returns {number} Rounded value
+   */
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+module.exports = new MetricsService(MetricSampleRepository, WorkerRepository);
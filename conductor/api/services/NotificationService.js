@@ -0,0 +1,316 @@
+const axios = require('axios');
+const NotificationChannelRepository = require('../repos/NotificationChannelRepository');
+const WorkerSocketService = require('./WorkerSocketService');
+const { getSmtpSettings, sendMail } = require('../utils/smtp');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'notify' });
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const EMAIL_PATTERN = /^[^\s@<>,]+@[^\s@<>,]+$/;
+
+/**
+ * Notification Service - Notification channels for alerts
+ *
+ * Each channel type has a handler that checks the channel config and sends notifications:
+ * webhook (JSON POST to a URL), smtp (email through the SMTP_* relay) and feed (the in-app feed,
+ * pushed to the frontend over Socket.IO). More types can be added with registerChannelType().
+ */
+class NotificationService {
+  constructor(notificationChannelRepository, workerSocketService) {
+    this.notificationChannelRepository = notificationChannelRepository;
+    this.workerSocketService = workerSocketService;
+    this.channelTypes = new Map();
+
+    this.registerChannelType('webhook', {
+      validate: config => {
+        if (typeof config.url !== 'string' || !/^https?:\/\/\S+$/.test(config.url)) {
+          throw new Error('Invalid channel config: url must be an http(s) URL');
+        }
+        if (config.headers !== undefined && (typeof config.headers !== 'object' || Array.isArray(config.headers))) {
+          throw new Error('Invalid channel config: headers must be an object');
+        }
+        return { url: config.url, headers: config.headers || {} };
+      },
+      send: async (config, notification) => {
+        await axios.post(config.url, notification, { headers: config.headers, timeout: WEBHOOK_TIMEOUT_MS });
+      }
+    });
+
+    this.registerChannelType('smtp', {
+      validate: config => {
+        const to = typeof config.to === 'string' ? config.to.split(',') : config.to;
+        const recipients = Array.isArray(to) ? to.map(address => String(address).trim()).filter(Boolean) : [];
+        if (recipients.length === 0 || !recipients.every(address => EMAIL_PATTERN.test(address))) {
+          throw new Error('Invalid channel config: to must list email addresses');
+        }
+        return { to: recipients };
+      },
+      send: async (config, notification) => {
+        const settings = getSmtpSettings();
+        if (!settings) {
+          throw new Error('SMTP is not configured (set SMTP_HOST)');
+        }
+        await sendMail(settings, {
+          to: config.to,
+          subject: notification.title,
+          text: this.formatText(notification)
+        });
+      }
+    });
+
+    this.registerChannelType('feed', {
+      validate: () => ({}),
+      send: async (config, notification) => {
+        this.workerSocketService.broadcastToFrontend('alert:notification', notification);
+      }
+    });
+  }
+
+  /**
+   * Add a channel type
+   * @param {string} type - Type name, stored on channels
+   * @param {object} handler - { validate(config) => cleaned config (throws 'Invalid channel config: ...'),
+   *   send(config, notification) => Promise }
+   */
+  registerChannelType(type, handler) {
+    this.channelTypes.set(type, handler);
+  }
+
+  /**
+   * Get all channels
+   * @returns {Promise<Array>} Formatted channels
+   */
+  async listChannels() {
+    const channels = await this.notificationChannelRepository.findAll();
+    return channels.map(channel => this.formatChannel(channel));
+  }
+
+  /**
+   * Get a channel
+   * @param {string} id - Channel ID
+   * @returns {Promise<object>} Formatted channel
+   * @throws {Error} If channel not found
+   */
+  async getChannel(id) {
+    return this.formatChannel(await this.getChannelRecord(id));
+  }
+
+  /**
+   * Create a channel
+   * @param {object} data - { name, type, config, enabled }
+   * @returns {Promise<object>} Formatted channel
+   * @throws {Error} If the name, type or config is invalid
+   */
+  async createChannel(data) {
+    const fields = this.validateChannel(data);
+    const channel = await this.notificationChannelRepository.create({
+      enabled: 1,
+      ...fields
+    });
+    return this.formatChannel(channel);
+  }
+
+  /**
+   * Update a channel
+   * @param {string} id - Channel ID
+   * @param {object} data - Any of { name, config, enabled } (the type cannot change)
+   * @returns {Promise<object>} Formatted channel
+   * @throws {Error} If channel not found or the update is invalid
+   */
+  async updateChannel(id, data) {
+    const channel = await this.getChannelRecord(id);
+    const fields = this.validateChannel({
+      name: channel.name,
+      type: channel.type,
+      config: this.parseConfig(channel.config),
+      ...data
+    });
+    if (fields.type !== channel.type) {
+      throw new Error('Invalid channel: type cannot be changed');
+    }
+
+    const updated = await this.notificationChannelRepository.update(id, fields);
+    return this.formatChannel(updated);
+  }
+
+  /**
+   * Delete a channel
+   * @param {string} id - Channel ID
+   * @returns {Promise<boolean>} True if deleted
+   * @throws {Error} If channel not found
+   */
+  async deleteChannel(id) {
+    await this.getChannelRecord(id);
+    return await this.notificationChannelRepository.delete(id);
+  }
+
+  /**
+   * Send a test notification through a channel
+   * @param {string} id - Channel ID
+   * @returns {Promise<object>} Formatted channel with last_sent_at / last_error
+   * @throws {Error} If channel not found, or 'Notification failed: ...' if sending failed
+   */
+  async testChannel(id) {
+    const channel = await this.getChannelRecord(id);
+    const error = await this.sendToChannel(channel, {
+      event: 'test',
+      title: '[TEST] Conductor notification',
+      message: `Test notification for channel ${channel.name}`,
+      timestamp: new Date().toISOString()
+    });
+    if (error) {
+      throw new Error(`Notification failed: ${error}`);
+    }
+    return await this.getChannel(id);
+  }
+
+  /**
+   * Send a notification to channels
+   * Failures are recorded on the channel and logged; they do not stop other channels.
+   * @param {Array<string>} channelIds - Channel IDs (missing and disabled channels are skipped)
+   * @param {object} notification - { event, title, message, alert, timestamp }
+   * @returns {Promise<number>} Number of channels the notification was sent to
+   */
+  async notify(channelIds, notification) {
+    let sent = 0;
+    for (const id of channelIds) {
+      const channel = await this.notificationChannelRepository.findById(id);
+      if (!channel || !channel.enabled) {
+        continue;
+      }
+      if (!(await this.sendToChannel(channel, notification))) {
+        sent++;
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * Send a notification to one channel and record the outcome on it
+   * @param {object} channel - Channel record
+   * @param {object} notification - Notification
+   * @returns {Promise<string|null>} Error message, or null if sent
+   */
+  async sendToChannel(channel, notification) {
+    const handler = this.channelTypes.get(channel.type);
+    let errorMessage = null;
+
+    try {
+      if (!handler) {
+        throw new Error(`Unknown channel type ${channel.type}`);
+      }
+      await handler.send(this.parseConfig(channel.config), notification);
+    } catch (error) {
+      errorMessage = error.message;
+      log.error('Notification failed', { channel_id: channel.id, channel: channel.name, error: error.message });
+    }
+
+    await this.notificationChannelRepository.update(channel.id, errorMessage
+      ? { last_error: errorMessage }
+      : { last_sent_at: new Date().toISOString(), last_error: null });
+    return errorMessage;
+  }
+
+  /**
+   * Check channel data
+   * @param {object} data - { name, type, config, enabled }
+   * @returns {object} Fields to store
+   * @throws {Error} If invalid
+   */
+  validateChannel(data) {
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!name) {
+      throw new Error('Invalid channel: name is required');
+    }
+
+    const handler = this.channelTypes.get(data.type);
+    if (!handler) {
+      throw new Error(`Invalid channel: type must be one of ${[...this.channelTypes.keys()].join(', ')}`);
+    }
+
+    const config = data.config || {};
+    if (typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('Invalid channel config: config must be an object');
+    }
+
+    const fields = {
+      name,
+      type: data.type,
+      config: JSON.stringify(handler.validate(config))
+    };
+    if (data.enabled !== undefined) {
+      fields.enabled = data.enabled ? 1 : 0;
+    }
+    return fields;
+  }
+
+  /**
+   * Get a channel record
+   * @param {string} id - Channel ID
+   * @returns {Promise<object>} Channel record
+   * @throws {Error} If channel not found
+   */
+  async getChannelRecord(id) {
+    const channel = await this.notificationChannelRepository.findById(id);
+    if (!channel) {
+      throw new Error('Channel not found');
+    }
+    return channel;
+  }
+
+  /**
+   * Plain text body of a notification, for email
+   * @param {object} notification - Notification
+   * @returns {string} Text
+   */
+  formatText(notification) {
+    const lines = [notification.message];
+    const { alert } = notification;
+    if (alert) {
+      lines.push('', `Rule: ${alert.rule_name}`, `Severity: ${alert.severity}`, `State: ${alert.state}`,
+        `Target: ${alert.target_type} ${alert.target_name || alert.target_id}`, `Since: ${alert.started_at}`);
+      if (alert.resolved_at) {
+        lines.push(`Resolved: ${alert.resolved_at}`);
+      }
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Parse stored channel config
+   * @param {string|null} config - JSON config
+   * @returns {object} Config
+   */
+  parseConfig(config) {
+    if (!config) {
+      return {};
+    }
+    try {
+      return JSON.parse(config);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Format channel for API responses
+   * @param {object} channel - Channel record
+   * @returns {object} Channel
+   */
+  formatChannel(channel) {
+    return {
+      id: channel.id,
+      name: channel.name,
+      type: channel.type,
+      config: this.parseConfig(channel.config),
+      enabled: !!channel.enabled,
+      last_sent_at: channel.last_sent_at || null,
+      last_error: channel.last_error || null,
+      created_at: channel.created_at,
+      updated_at: channel.updated_at
+    };
+  }
+}
+
+module.exports = new NotificationService(NotificationChannelRepository, WorkerSocketService);
@@ -0,0 +1,113 @@
+const db = require('../utils/db');
+const WorkerRepository = require('../repos/WorkerRepository');
+const { Registry } = require('../utils/openMetrics');
+
+/**
+ * Prometheus Service - Conductor metrics for scraping, served on /metrics
+ *
+ * Request counts and latencies per route and socket events are counted as they happen; connected
+ * workers, workers per status and database query timing (from the ObservabilityManager on the
+ * database connection) are read when the metrics are scraped.
+ */
+class PrometheusService {
+  constructor(workerRepository, database) {
+    this.workerRepository = workerRepository;
+    this.database = database;
+    this.registry = new Registry();
+
+    this.httpRequests = this.registry.counter('conductor_http_requests',
+      'HTTP requests by method, route and status code', ['method', 'route', 'status']);
+    this.httpDuration = this.registry.histogram('conductor_http_request_duration_seconds',
+      'HTTP request latency by method and route', ['method', 'route']);
+    this.socketEvents = this.registry.counter('conductor_socket_events',
+      'Socket.IO events received by namespace and event name', ['namespace', 'event']);
+
+    const workersConnected = this.registry.gauge('conductor_workers_connected',
+      'Workers with a registered socket connection');
+    const frontendClients = this.registry.gauge('conductor_frontend_clients_connected',
+      'Frontend clients connected to the /frontend namespace');
+    const pendingInstructions = this.registry.gauge('conductor_instructions_pending',
+      'Deployment instructions waiting for acknowledgement or result');
+    const workers = this.registry.gauge('conductor_workers', 'Workers by status', ['status']);
+
+    const queryDuration = this.registry.summary('conductor_db_query_duration_seconds',
+      'Database statements by operation', ['operation']);
+    const tableQueryDuration = this.registry.summary('conductor_db_table_query_duration_seconds',
+      'Database statements by table', ['table']);
+    const queryErrors = this.registry.counter('conductor_db_query_errors', 'Database statements that failed');
+    const slowQueries = this.registry.counter('conductor_db_slow_queries',
+      'Database statements slower than DB_SLOW_QUERY_MS');
+
+    const startTime = this.registry.gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch');
+    const residentMemory = this.registry.gauge('process_resident_memory_bytes', 'Resident memory size');
+    const heapUsed = this.registry.gauge('nodejs_heap_used_bytes', 'V8 heap in use');
+    startTime.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+
+    this.registry.addCollector(() => {
+      // Required here: WorkerSocketService counts its events through this service
+      const WorkerSocketService = require('./WorkerSocketService');
+      const io = WorkerSocketService.getIO();
+      workersConnected.set({}, WorkerSocketService.workerSockets.size);
+      frontendClients.set({}, io ? io.of('/frontend').sockets.size : 0);
+      pendingInstructions.set({}, WorkerSocketService.pendingInstructions.size);
+
+      const memory = process.memoryUsage();
+      residentMemory.set({}, memory.rss);
+      heapUsed.set({}, memory.heapUsed);
+    });
+
+    this.registry.addCollector(async () => {
+      const counts = { online: 0, offline: 0 };
+      for (const worker of await this.workerRepository.findAll()) {
+        counts[worker.status] = (counts[worker.status] || 0) + 1;
+      }
+      workers.reset();
+      for (const [status, count] of Object.entries(counts)) {
+        workers.set({ status }, count);
+      }
+    });
+
+    this.registry.addCollector(() => {
+      const stats = this.database.observability.getMetrics();
+      for (const [operation, { count, totalTime }] of Object.entries(stats.byOperation)) {
+        queryDuration.set({ operation }, count, totalTime / 1000);
+      }
+      for (const [table, { count, totalTime }] of Object.entries(stats.byModel)) {
+        tableQueryDuration.set({ table }, count, totalTime / 1000);
+      }
+      queryErrors.set({}, stats.errors);
+      slowQueries.set({}, stats.slowQueries);
+    });
+  }
+
+  /**
+   * Record a finished HTTP request
+   * @param {string} method - HTTP method
+   * @param {string} route - Route pattern, e.g. /api/v1/workers/:id
+   * @param {number} status - Response status code
+   * @param {number} seconds - Time until the response finished
+   */
+  observeRequest(method, route, status, seconds) {
+    this.httpRequests.inc({ method, route, status });
+    this.httpDuration.observe({ method, route }, seconds);
+  }
+
+  /**
+   * Count a socket event received from a client
+   * @param {string} namespace - Socket.IO namespace, e.g. / or /frontend
+   * @param {string} event - Event name
+   */
+  countSocketEvent(namespace, event) {
+    this.socketEvents.inc({ namespace, event });
+  }
+
+  /**
+   * Render the metrics in the OpenMetrics text format
+   * @returns {Promise<string>} Exposition text
+   */
+  async render() {
+    return await this.registry.render();
+  }
+}
+
+module.exports = new PrometheusService(WorkerRepository, db);
@@ -0,0 +1,475 @@
+const { randomUUID } = require('crypto');
+const DeploymentRepository = require('../repos/DeploymentRepository');
+const ServiceRepository = require('../repos/ServiceRepository');
+const DriftEventRepository = require('../repos/DriftEventRepository');
+const DeploymentService = require('./DeploymentService');
+const WorkerSocketService = require('./WorkerSocketService');
+const RolloutService = require('./RolloutService');
+const EventService = require('./EventService');
+const { runWithRequestId } = require('../utils/requestContext');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'reconcile' });
+
+// Deployments in these statuses should have a running container
+const RUNNING_STATUSES = ['pending', 'deploying', 'running'];
+
+// Container states Docker is still working on - left alone
+const TRANSIENT_STATES = ['restarting', 'paused', 'removing'];
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const MAX_BACKOFF = 30 * 60 * 1000;
+const DEFAULT_DRIFT_RETENTION_DAYS = 30;
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Reconciliation Service - Converges workers to the desired set of deployments
+ *
+ * Desired state is the deployment table: pending/deploying/running deployments should
+ * have a running container, stopped deployments should not, and catalog services
+ * without a deployment on a worker should not have a container there. Observed state
+ * is what workers report (deployment.container_state and the last full report).
+ * Failed deployments are left for an operator to restart. Services with a replica count
+ * are scaled before each pass (see RolloutService).
+ *
+ * A deployment that keeps drifting (e.g. a container that exits right after each deploy) is
+ * converged with exponential backoff, starting at one interval. After RECONCILE_MAX_ATTEMPTS
+ * converges without it being seen in sync, its reconciliation is paused and a cluster event is
+ * recorded. Drift events are deleted after DRIFT_EVENT_RETENTION_DAYS.
+ */
+class ReconciliationService {
+  constructor(deploymentRepository, serviceRepository, driftEventRepository, deploymentService, workerSocketService, rolloutService) {
+    this.deploymentRepository = deploymentRepository;
+    this.serviceRepository = serviceRepository;
+    this.driftEventRepository = driftEventRepository;
+    this.deploymentService = deploymentService;
+    this.workerSocketService = workerSocketService;
+    this.rolloutService = rolloutService;
+    this.interval = null;
+    this.intervalMs = parseInt(process.env.RECONCILE_INTERVAL || '30', 10) * 1000;
+    this.isRunning = false;
+    this.lastRun = null;
+    this.orphanRemovals = new Map(); // Map of `${workerId}:${serviceName}` -> time the remove was sent
+    this.convergeAttempts = new Map(); // Map of deploymentId -> { count, next_at } since last seen in sync
+    this.pruneInterval = null;
+  }
+
+  /**
+   * Start the reconciliation loop
+   * @param {number} [intervalMs] - Interval in milliseconds
+   */
+  start(intervalMs = this.intervalMs) {
+    this.stop();
+    this.intervalMs = intervalMs;
+
+    // Each pass gets its own request id, carried by the instructions it sends
+    this.interval = setInterval(() => {
+      runWithRequestId(randomUUID(), () => this.reconcile()).catch(error => {
+        log.error('Reconciliation failed', { error: error.message });
+      });
+    }, this.intervalMs);
+
+    this.pruneInterval = setInterval(() => {
+      this.prune().catch(error => {
+        log.error('Drift event pruning failed', { error: error.message });
+      });
+    }, PRUNE_INTERVAL);
+
+    log.info('Reconciliation loop started', { interval_ms: this.intervalMs });
+  }
+
+  /**
+   * Stop the reconciliation loop
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    if (this.pruneInterval) {
+      clearInterval(this.pruneInterval);
+      this.pruneInterval = null;
+    }
+  }
+
+  /**
+   * Get loop status
+   * @returns {object} { enabled, interval_ms, last_run }
+   */
+  getStatus() {
+    return {
+      enabled: this.interval !== null,
+      interval_ms: this.intervalMs,
+      last_run: this.lastRun
+    };
+  }
+
+  /**
+   * Run one reconciliation pass: bring services to their replica count, then
+   * converge all connected workers
+   * @returns {Promise<object>} { started_at, finished_at, checked, scaled, drift: [events] }
+   */
+  async reconcile() {
+    if (this.isRunning) {
+      return { skipped: true };
+    }
+
+    this.isRunning = true;
+    const startedAt = new Date().toISOString();
+    const drift = [];
+    let checked = 0;
+    let scaled = [];
+
+    try {
+      scaled = await this.rolloutService.scaleAllServices();
+
+      const deployments = await this.deploymentRepository.findAll();
+      const services = await this.serviceRepository.findAll();
+      const servicesById = new Map(services.map(service => [service.id, service]));
+      const workerIds = new Set(deployments.map(deployment => deployment.worker_id));
+
+      for (const deployment of deployments) {
+        const service = servicesById.get(deployment.service_id);
+        if (!service || !this.workerSocketService.isWorkerConnected(deployment.worker_id)) {
+          continue;
+        }
+
+        checked++;
+        const event = await this.reconcileDeployment(deployment, service);
+        if (event) {
+          drift.push(event);
+        }
+      }
+
+      for (const workerId of this.deploymentService.getObservedWorkerIds()) {
+        workerIds.add(workerId);
+      }
+
+      for (const workerId of workerIds) {
+        if (!this.workerSocketService.isWorkerConnected(workerId)) {
+          continue;
+        }
+        const workerDeployments = deployments.filter(deployment => deployment.worker_id === workerId);
+        drift.push(...await this.reconcileOrphans(workerId, workerDeployments, services));
+      }
+    } finally {
+      this.isRunning = false;
+    }
+
+    this.lastRun = {
+      started_at: startedAt,
+      finished_at: new Date().toISOString(),
+      checked,
+      scaled: scaled.length,
+      drift: drift.length
+    };
+
+    return { ...this.lastRun, scaled, drift };
+  }
+
+  /**
+   * Compare one deployment with what its worker reported and converge it
+   * @param {object} deployment - Deployment record
+   * @param {object} service - Service record
+   * @returns {Promise<object|null>} Drift event, or null if in sync or skipped
+   */
+  async reconcileDeployment(deployment, service) {
+    // Resuming starts the attempts over
+    if (deployment.reconcile_paused === 1) {
+      this.convergeAttempts.delete(deployment.id);
+      return null;
+    }
+
+    // Wait for in-flight instructions to finish before judging the container
+    if (this.workerSocketService.hasPendingInstruction(deployment.worker_id, service.name)) {
+      return null;
+    }
+
+    const observed = deployment.container_state;
+
+    if (RUNNING_STATUSES.includes(deployment.status)) {
+      // Pending/deploying with nothing in flight: the instruction was lost (e.g. conductor restart)
+      if (deployment.status !== 'running') {
+        return await this.convergeDeployment(deployment, service, {
+          drift: 'missing',
+          desired: 'running',
+          observed: observed || 'unknown',
+          action: 'deploy',
+          message: `Deployment is ${deployment.status} but no instruction is in flight`
+        });
+      }
+
+      // Only trust reports made after the deployment started running
+      if (!observed || !this.isReportedAfter(deployment, deployment.deployed_at)) {
+        return null;
+      }
+
+      if (observed === 'running') {
+        this.markInSync(deployment);
+        return null;
+      }
+
+      if (TRANSIENT_STATES.includes(observed)) {
+        return null;
+      }
+
+      return await this.convergeDeployment(deployment, service, {
+        drift: observed === 'not_found' ? 'missing' : 'not_running',
+        desired: 'running',
+        observed,
+        action: 'deploy',
+        message: observed === 'not_found'
+          ? `Container for ${service.name} is missing`
+          : `Container for ${service.name} is ${observed}${deployment.exit_code !== null && deployment.exit_code !== undefined ? ` (exit code ${deployment.exit_code})` : ''}`
+      });
+    }
+
+    if (deployment.status === 'stopped') {
+      if (!this.isReportedAfter(deployment, deployment.stopped_at)) {
+        return null;
+      }
+
+      if (observed !== 'running') {
+        this.markInSync(deployment);
+        return null;
+      }
+
+      return await this.convergeDeployment(deployment, service, {
+        drift: 'unexpected_running',
+        desired: 'stopped',
+        observed,
+        action: 'stop',
+        message: `Container for ${service.name} is running but the deployment is stopped`
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Converge a deployment unless it is backing off; pause it once it ran out of attempts
+   * @param {object} deployment - Deployment record
+   * @param {object} service - Service record
+   * @param {object} drift - See converge()
+   * @returns {Promise<object|null>} Drift event, or null if backing off or paused
+   */
+  async convergeDeployment(deployment, service, drift) {
+    const attempts = this.convergeAttempts.get(deployment.id) || { count: 0, next_at: 0 };
+    if (Date.now() < attempts.next_at) {
+      return null;
+    }
+
+    const maxAttempts = this.getMaxAttempts();
+    if (attempts.count >= maxAttempts) {
+      await this.pauseDeployment(deployment, service, drift, attempts.count);
+      return null;
+    }
+
+    const count = attempts.count + 1;
+    const delay = Math.min(this.intervalMs * 2 ** (count - 1), MAX_BACKOFF);
+    this.convergeAttempts.set(deployment.id, { count, next_at: Date.now() + delay });
+
+    return await this.converge(deployment, service, drift);
+  }
+
+  /**
+   * Forget the converge attempts of a deployment whose container matches its status again
+   * Only once its backoff is over, so a container that briefly runs between crashes keeps its count.
+   * @param {object} deployment - Deployment record
+   */
+  markInSync(deployment) {
+    const attempts = this.convergeAttempts.get(deployment.id);
+    if (attempts && Date.now() >= attempts.next_at) {
+      this.convergeAttempts.delete(deployment.id);
+    }
+  }
+
+  /**
+   * Pause reconciliation of a deployment that did not converge and record why
+   * @param {object} deployment - Deployment record
+   * @param {object} service - Service record
+   * @param {object} drift - Drift that was not corrected
+   * @param {number} attempts - Converges sent
+   */
+  async pauseDeployment(deployment, service, drift, attempts) {
+    const paused = await this.deploymentService.setReconcilePaused(deployment.id, true);
+    this.convergeAttempts.delete(deployment.id);
+
+    const message = `Reconciliation of ${service.name} paused after ${attempts} attempts: ${drift.message}`;
+    log.warn('Reconciliation paused', { deployment_id: deployment.id, worker_id: deployment.worker_id, service: service.name, drift: drift.drift, attempts });
+
+    await EventService.record({
+      type: 'deployment.reconcile_paused',
+      severity: 'error',
+      source: 'reconciliation',
+      subject_type: 'deployment',
+      subject_id: deployment.id,
+      message,
+      payload: {
+        worker_id: deployment.worker_id,
+        service_name: service.name,
+        drift: drift.drift,
+        observed_state: drift.observed,
+        attempts
+      }
+    });
+
+    this.workerSocketService.broadcastToFrontend('deployment:status:updated', {
+      workerId: deployment.worker_id,
+      deployments: [paused],
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Remove containers of catalog services that have no deployment on the worker
+   * @param {string} workerId - Worker ID
+   * @param {Array<object>} workerDeployments - Deployments on the worker
+   * @param {Array<object>} services - All catalog services
+   * @returns {Promise<Array>} Drift events
+   */
+  async reconcileOrphans(workerId, workerDeployments, services) {
+    const observed = this.deploymentService.getObservedServices(workerId);
+    if (!observed) {
+      return [];
+    }
+
+    const deployedServiceIds = new Set(workerDeployments.map(deployment => deployment.service_id));
+    const events = [];
+
+    for (const serviceName of observed.services) {
+      const service = services.find(s => s.name === serviceName);
+
+      // Containers that are not catalog services are not managed by the conductor
+      if (!service || deployedServiceIds.has(service.id)) {
+        continue;
+      }
+
+      if (this.workerSocketService.hasPendingInstruction(workerId, service.name)) {
+        continue;
+      }
+
+      // Already removed since that report was made
+      const key = `${workerId}:${service.name}`;
+      const removedAt = this.orphanRemovals.get(key);
+      if (removedAt && removedAt >= new Date(observed.reported_at).getTime()) {
+        continue;
+      }
+      this.orphanRemovals.set(key, Date.now());
+
+      events.push(await this.converge({ id: null, worker_id: workerId }, service, {
+        drift: 'orphaned',
+        desired: 'absent',
+        observed: 'present',
+        action: 'remove',
+        message: `Container for ${service.name} has no deployment on this worker`
+      }));
+    }
+
+    return events;
+  }
+
+  /**
+   * Record a drift event and send the instruction that converges it
+   * @param {object} deployment - Deployment record ({ id: null, worker_id } for orphans)
+   * @param {object} service - Service record
+   * @param {object} drift - { drift, desired, observed, action, message }
+   * @returns {Promise<object>} Drift event
+   */
+  async converge(deployment, service, drift) {
+    const event = await this.driftEventRepository.create({
+      deployment_id: deployment.id,
+      worker_id: deployment.worker_id,
+      service_name: service.name,
+      drift: drift.drift,
+      desired_state: drift.desired,
+      observed_state: drift.observed,
+      action: drift.action,
+      message: drift.message
+    });
+
+    log.info('Correcting drift', { deployment_id: deployment.id, worker_id: deployment.worker_id, service: service.name, drift: drift.drift, action: drift.action, detail: drift.message });
+
+    if (deployment.id) {
+      this.deploymentService.dispatchInstruction(deployment, drift.action, service);
+    } else {
+      this.workerSocketService.sendInstruction(deployment.worker_id, {
+        action: drift.action,
+        service: service.name
+      }).catch(error => {
+        log.error('Could not remove orphaned container', { worker_id: deployment.worker_id, service: service.name, error: error.message });
+      });
+    }
+
+    this.workerSocketService.broadcastToFrontend('deployment:drift', event);
+
+    return event;
+  }
+
+  /**
+   * Get drift events
+   * @param {object} [filters] - Optional filters (worker_id, deployment_id, limit)
+   * @returns {Promise<Array>} Array of drift events, newest first
+   */
+  async getDriftEvents(filters = {}) {
+    const limit = Math.min(parseInt(filters.limit, 10) || 100, 1000);
+    return await this.driftEventRepository.findAll({ ...filters, limit });
+  }
+
+  /**
+   * Delete drift events past the retention period
+   * @param {number} [now] - Current time (epoch ms)
+   * @returns {Promise<number>} Number of deleted events
+   */
+  async prune(now = Date.now()) {
+    const cutoff = new Date(now - this.getRetentionDays() * 24 * 60 * 60 * 1000).toISOString();
+    const deleted = await this.driftEventRepository.deleteOlderThan(cutoff);
+    if (deleted > 0) {
+      log.info('Deleted old drift events', { count: deleted, before: cutoff });
+    }
+    return deleted;
+  }
+
+  /**
+   * Get the number of converges a deployment gets before its reconciliation is paused
+   * @returns {number} RECONCILE_MAX_ATTEMPTS (default 5)
+   */
+  getMaxAttempts() {
+    const attempts = parseInt(process.env.RECONCILE_MAX_ATTEMPTS, 10);
+    return attempts > 0 ? attempts : DEFAULT_MAX_ATTEMPTS;
+  }
+
+  /**
+   * Get the drift event retention period
+   * @returns {number} Days (DRIFT_EVENT_RETENTION_DAYS, default 30)
+   */
+  getRetentionDays() {
+    const days = parseFloat(process.env.DRIFT_EVENT_RETENTION_DAYS);
+    return days > 0 ? days : DEFAULT_DRIFT_RETENTION_DAYS;
+  }
+
+  /**
+   * Check whether the container state was reported after a point in time
+   * @param {object} deployment - Deployment record
+   * @param {string|null} since - ISO timestamp
+   * @returns {boolean} True if the report is newer
+   */
+  isReportedAfter(deployment, since) {
+    if (!deployment.reported_at) {
+      return false;
+    }
+    if (!since) {
+      return true;
+    }
+    return new Date(deployment.reported_at).getTime() > new Date(since).getTime();
+  }
+}
+
+module.exports = new ReconciliationService(
+  DeploymentRepository,
+  ServiceRepository,
+  DriftEventRepository,
+  DeploymentService,
+  WorkerSocketService,
+  RolloutService
+);
@@ -0,0 +1,210 @@
+const { randomUUID } = require('crypto');
+const WorkerRepository = require('../repos/WorkerRepository');
+const DeploymentRepository = require('../repos/DeploymentRepository');
+const ServiceRepository = require('../repos/ServiceRepository');
+const DeploymentService = require('./DeploymentService');
+const WorkerSocketService = require('./WorkerSocketService');
+const { runWithRequestId } = require('../utils/requestContext');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'reschedule' });
+
+// Deployments in these statuses should be running somewhere
+const ACTIVE_STATUSES = ['pending', 'deploying', 'running'];
+
+/**
+ * Reschedule Service - Moves deployments off workers that stay offline
+ *
+ * Once a worker has been offline for longer than the grace period, its stateless
+ * deployments are rescheduled onto other healthy workers. Stateful deployments (with
+ * volumes) are marked stranded instead, because their data stays on the offline worker.
+ * Stranded deployments are started again when their worker comes back.
+ */
+class RescheduleService {
+  constructor(workerRepository, deploymentRepository, serviceRepository, deploymentService, workerSocketService) {
+    this.workerRepository = workerRepository;
+    this.deploymentRepository = deploymentRepository;
+    this.serviceRepository = serviceRepository;
+    this.deploymentService = deploymentService;
+    this.workerSocketService = workerSocketService;
+    this.interval = null;
+    this.intervalMs = 30 * 1000;
+    this.gracePeriodMs = parseInt(process.env.RESCHEDULE_GRACE_PERIOD || '300', 10) * 1000;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start checking for offline workers
+   * @param {number} [intervalMs] - Interval in milliseconds
+   */
+  start(intervalMs = this.intervalMs) {
+    this.stop();
+    this.intervalMs = intervalMs;
+
+    // Instructions sent during a check share one request id
+    this.interval = setInterval(() => {
+      runWithRequestId(randomUUID(), () => this.check()).catch(error => {
+        log.error('Offline worker check failed', { error: error.message });
+      });
+    }, this.intervalMs);
+
+    log.info('Offline worker check started', { grace_period_ms: this.gracePeriodMs });
+  }
+
+  /**
+   * Stop checking for offline workers
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Run one check: move deployments off workers offline past the grace period
+   * and restart stranded deployments whose worker is back
+   * @returns {Promise<object>} { rescheduled, stranded, unplaced, recovered }
+   */
+  async check() {
+    if (this.isRunning) {
+      return { skipped: true };
+    }
+
+    this.isRunning = true;
+    const result = { rescheduled: [], stranded: [], unplaced: [], recovered: [] };
+
+    try {
+      const workers = await this.workerRepository.findAll();
+      const workersById = new Map(workers.map(worker => [worker.id, worker]));
+      const deployments = await this.deploymentRepository.findAll();
+
+      for (const deployment of deployments) {
+        const worker = workersById.get(deployment.worker_id);
+        if (!worker) {
+          continue;
+        }
+
+        // One deployment that fails to move must not hold up the others; it is retried next check
+        try {
+          await this.checkDeployment(deployment, worker, result);
+        } catch (error) {
+          log.error('Could not reschedule deployment', { deployment_id: deployment.id, worker_id: worker.id, error: error.message });
+          result.unplaced.push({ deployment_id: deployment.id, error: error.message });
+        }
+      }
+    } finally {
+      this.isRunning = false;
+    }
+
+    return result;
+  }
+
+  /**
+   * Recover, move or strand one deployment depending on the state of its worker
+   * @param {object} deployment - Deployment record
+   * @param {object} worker - Worker the deployment is on
+   * @param {object} result - Check result to add the outcome to
+   */
+  async checkDeployment(deployment, worker, result) {
+    if (deployment.status === 'stranded') {
+      if (this.isWorkerBack(worker)) {
+        result.recovered.push(await this.recoverDeployment(deployment));
+      }
+      return;
+    }
+
+    if (ACTIVE_STATUSES.includes(deployment.status) && this.isOfflinePastGracePeriod(worker)) {
+      await this.evacuateDeployment(deployment, worker, result);
+    }
+  }
+
+  /**
+   * Reschedule or strand a deployment of an offline worker
+   * @param {object} deployment - Deployment record
+   * @param {object} worker - Offline worker
+   * @param {object} result - Check result to add the outcome to
+   */
+  async evacuateDeployment(deployment, worker, result) {
+    const service = await this.serviceRepository.findById(deployment.service_id);
+    if (!service) {
+      return;
+    }
+
+    const name = worker.hostname || worker.id;
+
+    if (this.deploymentService.isStateful(service, deployment)) {
+      const stranded = await this.deploymentService.strandDeployment(
+        deployment.id,
+        `Worker ${name} is offline and ${service.name} has volumes on it`
+      );
+      log.warn('Deployment stranded on offline worker', { deployment_id: deployment.id, service: service.name, worker_id: worker.id, hostname: worker.hostname });
+      this.workerSocketService.broadcastToFrontend('deployment:stranded', stranded);
+      result.stranded.push(stranded);
+      return;
+    }
+
+    try {
+      const moved = await this.deploymentService.rescheduleDeployment(deployment.id);
+      this.workerSocketService.broadcastToFrontend('deployment:rescheduled', {
+        deployment: moved,
+        from_worker_id: worker.id
+      });
+      result.rescheduled.push(moved);
+    } catch (error) {
+      // Left in place and retried on the next check, e.g. once another worker has capacity
+      if (error.message !== 'No worker can run this service') {
+        throw error;
+      }
+      log.warn('No worker can take deployment from offline worker', { deployment_id: deployment.id, service: service.name, worker_id: worker.id, hostname: worker.hostname });
+      result.unplaced.push({ deployment_id: deployment.id, placement: error.placement });
+    }
+  }
+
+  /**
+   * Start a stranded deployment again on its returning worker
+   * @param {object} deployment - Stranded deployment record
+   * @returns {Promise<object>} Updated deployment
+   */
+  async recoverDeployment(deployment) {
+    const recovered = await this.deploymentService.restartDeployment(deployment.id);
+    log.info('Worker is back, restarting stranded deployment', { deployment_id: deployment.id, worker_id: deployment.worker_id });
+    this.workerSocketService.broadcastToFrontend('deployment:recovered', recovered);
+    return recovered;
+  }
+
+  /**
+   * Check whether a worker has been offline for longer than the grace period
+   * @param {object} worker - Worker record
+   * @returns {boolean} True if its deployments should be moved
+   */
+  isOfflinePastGracePeriod(worker) {
+    if (worker.status !== 'offline') {
+      return false;
+    }
+
+    const lastSeen = worker.last_seen || worker.updated_at;
+    if (!lastSeen) {
+      return true;
+    }
+
+    return Date.now() - new Date(lastSeen).getTime() > this.gracePeriodMs;
+  }
+
+  /**
+   * Check whether an offline worker is back and connected
+   * @param {object} worker - Worker record
+   * @returns {boolean} True if the worker can run its deployments again
+   */
+  isWorkerBack(worker) {
+    return worker.status === 'online' && this.workerSocketService.isWorkerConnected(worker.id);
+  }
+}
+
+module.exports = new RescheduleService(
+  WorkerRepository,
+  DeploymentRepository,
+  ServiceRepository,
+  DeploymentService,
+  WorkerSocketService
+);
@@ -0,0 +1,216 @@
+const ServiceRevisionRepository = require('../repos/ServiceRevisionRepository');
+const RevisionDeploymentRepository = require('../repos/RevisionDeploymentRepository');
+const ServiceRepository = require('../repos/ServiceRepository');
+const DeploymentRepository = require('../repos/DeploymentRepository');
+
+/**
+ * Revision Service - Immutable history of a service's image and config
+ *
+ * Every change to the image or config creates a new revision (rollbacks too, so the
+ * history is never rewritten). Deployments record the revision they were last deployed
+ * from in revision_id, and every deployment from a revision is linked to it, so a revision
+ * keeps the deployments it produced after newer revisions roll out.
+ */
+class RevisionService {
+  constructor(revisionRepository, revisionDeploymentRepository, serviceRepository, deploymentRepository) {
+    this.revisionRepository = revisionRepository;
+    this.revisionDeploymentRepository = revisionDeploymentRepository;
+    this.serviceRepository = serviceRepository;
+    this.deploymentRepository = deploymentRepository;
+    this.createQueue = Promise.resolve(); // Revision numbers are handed out one at a time
+  }
+
+  /**
+   * Create the next revision of a service
+   * @param {object} service - Service record with the image and config to snapshot
+   * @param {string} reason - Why the revision was created
+   * @returns {Promise<object>} Created revision
+   */
+  createRevision(service, reason) {
+    const created = this.createQueue.then(() => this.appendRevision(service, reason));
+    this.createQueue = created.catch(() => {});
+    return created;
+  }
+
+  /**
+   * Store a revision after the newest one of its service
+   * Only called through createRevision(), one at a time; (service_id, revision) is also unique
+   * in the database (see dbInit)
+   * @param {object} service - Service record with the image and config to snapshot
+   * @param {string} reason - Why the revision was created
+   * @returns {Promise<object>} Created revision
+   */
+  async appendRevision(service, reason) {
+    const revisions = await this.revisionRepository.findByServiceId(service.id);
+    const next = revisions.length > 0 ? revisions[0].revision + 1 : 1;
+
+    return await this.revisionRepository.create({
+      service_id: service.id,
+      revision: next,
+      docker_image: service.docker_image,
+      config: service.config || null,
+      reason
+    });
+  }
+
+  /**
+   * Make sure a service has a current revision
+   * Services created before revisions existed get one for their current version
+   * @param {object} service - Service record
+   * @returns {Promise<object>} Service record with revision_id
+   */
+  async ensureRevision(service) {
+    if (service.revision_id) {
+      return service;
+    }
+
+    const revision = await this.createRevision(service, 'initial');
+    return await this.serviceRepository.update(service.id, { revision_id: revision.id });
+  }
+
+  /**
+   * Link a deployment to the revision it is being deployed from
+   * @param {string} revisionId - Revision ID
+   * @param {object} deployment - Deployment record
+   * @returns {Promise<object>} Created link
+   */
+  async linkDeployment(revisionId, deployment) {
+    return await this.revisionDeploymentRepository.create({
+      revision_id: revisionId,
+      service_id: deployment.service_id,
+      deployment_id: deployment.id,
+      worker_id: deployment.worker_id,
+      deployed_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Get revisions of a service with the deployments each one produced
+   * @param {object} service - Service record
+   * @returns {Promise<Array>} Revisions, newest first
+   */
+  async getRevisions(service) {
+    const revisions = await this.revisionRepository.findByServiceId(service.id);
+    const links = await this.revisionDeploymentRepository.findByServiceId(service.id);
+    const deployments = new Map(
+      (await this.deploymentRepository.findByServiceId(service.id)).map(deployment => [deployment.id, deployment])
+    );
+
+    // Deployments from before links were recorded only have their current revision
+    for (const deployment of deployments.values()) {
+      if (deployment.revision_id && !links.some(link => link.deployment_id === deployment.id)) {
+        links.push({
+          revision_id: deployment.revision_id,
+          deployment_id: deployment.id,
+          worker_id: deployment.worker_id,
+          deployed_at: deployment.deployed_at || null
+        });
+      }
+    }
+
+    return revisions.map(revision => this.formatRevision(
+      revision,
+      service,
+      links
+        .filter(link => link.revision_id === revision.id)
+        .map(link => ({ ...link, deployment: deployments.get(link.deployment_id) || null }))
+    ));
+  }
+
+  /**
+   * Get a revision of a service by number
+   * @param {string} serviceId - Service ID
+   * @param {number} revisionNumber - Revision number
+   * @returns {Promise<object>} Revision record
+   * @throws {Error} If revision not found
+   */
+  async getRevision(serviceId, revisionNumber) {
+    const revision = await this.revisionRepository.findByServiceAndRevision(serviceId, Number(revisionNumber));
+
+    if (!revision) {
+      throw new Error('Revision not found');
+    }
+
+    return revision;
+  }
+
+  /**
+   * Get the revision before the current one
+   * @param {object} service - Service record
+   * @returns {Promise<object>} Revision record
+   * @throws {Error} If the service has no earlier revision
+   */
+  async getPreviousRevision(service) {
+    const current = service.revision_id ? await this.revisionRepository.findById(service.revision_id) : null;
+    const previous = current
+      ? await this.revisionRepository.findByServiceAndRevision(service.id, current.revision - 1)
+      : null;
+
+    if (!previous) {
+      throw new Error('Service has no previous revision');
+    }
+
+    return previous;
+  }
+
+  /**
+   * Get a revision by ID
+   * @param {string} revisionId - Revision ID
+   * @returns {Promise<object|null>} Revision record or null
+   */
+  async findById(revisionId) {
+    return revisionId ? await this.revisionRepository.findById(revisionId) : null;
+  }
+
+  /**
+   * Delete the history of a service
+   * @param {string} serviceId - Service ID
+   */
+  async deleteRevisions(serviceId) {
+    await this.revisionDeploymentRepository.deleteByServiceId(serviceId);
+    await this.revisionRepository.deleteByServiceId(serviceId);
+  }
+
+  /**
+   * Format revision for API responses
+   * @param {object} revision - Revision record
+   * @param {object} service - Service record
+   * @param {Array<object>} links - Deployments from this revision: { deployment_id, worker_id, deployed_at, deployment }
+   * @returns {object} Revision with parsed config
+   */
+  formatRevision(revision, service, links) {
+    let config = {};
+    if (revision.config) {
+      try {
+        config = JSON.parse(revision.config);
+      } catch (e) {
+        config = {};
+      }
+    }
+
+    return {
+      id: revision.id,
+      service_id: revision.service_id,
+      revision: revision.revision,
+      docker_image: revision.docker_image,
+      config,
+      reason: revision.reason,
+      current: revision.id === service.revision_id,
+      deployments: links.map(link => ({
+        id: link.deployment_id,
+        worker_id: link.worker_id,
+        deployed_at: link.deployed_at,
+        status: link.deployment ? link.deployment.status : 'removed',
+        current: !!link.deployment && link.deployment.revision_id === revision.id
+      })),
+      created_at: revision.created_at
+    };
+  }
+}
+
+module.exports = new RevisionService(
+  ServiceRevisionRepository,
+  RevisionDeploymentRepository,
+  ServiceRepository,
+  DeploymentRepository
+);
@@ -0,0 +1,480 @@
+const ServiceRepository = require('../repos/ServiceRepository');
+const DeploymentRepository = require('../repos/DeploymentRepository');
+const DeploymentService = require('./DeploymentService');
+const SchedulerService = require('./SchedulerService');
+const WorkerSocketService = require('./WorkerSocketService');
+const RevisionService = require('./RevisionService');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'rollout' });
+
+// Replicas in these statuses are moved to the new version by a rolling update.
+// Stopped and stranded replicas pick up the current version when they are started again.
+const ROLLING_STATUSES = ['pending', 'deploying', 'running', 'failed'];
+
+// Container states that fail the health gate once reported for the new version
+const UNHEALTHY_STATES = ['exited', 'dead', 'not_found', 'restarting'];
+
+/**
+ * Rollout Service - Keeps services at their replica count and rolls out changes without downtime
+ *
+ * A service with `replicas` runs on that many workers (one container per worker, spread by the
+ * scheduler). When its image or config changes, replicas are moved to the new version in steps,
+ * following `config.update_strategy`:
+ *   max_unavailable:        replicas updated in place at once (default 1)
+ *   max_surge:              replicas replaced by a new one on another worker first (default 0)
+ *   health_timeout_seconds: time a replica has to come up running (default 120)
+ *   min_ready_seconds:      time a replica must stay running before the next step (default 5)
+ * If a replica fails the health gate, the service and every updated replica are rolled back.
+ */
+class RolloutService {
+  constructor(serviceRepository, deploymentRepository, deploymentService, schedulerService, workerSocketService, revisionService) {
+    this.serviceRepository = serviceRepository;
+    this.deploymentRepository = deploymentRepository;
+    this.deploymentService = deploymentService;
+    this.schedulerService = schedulerService;
+    this.workerSocketService = workerSocketService;
+    this.revisionService = revisionService;
+    this.rollouts = new Map(); // Map of serviceId -> last rollout
+    this.scalingHolds = new Map(); // Map of serviceId -> number of holds (e.g. drains moving a replica)
+  }
+
+  /**
+   * Get the last rollout of a service
+   * @param {string} serviceId - Service ID
+   * @returns {object|null} Rollout or null if the service was never rolled out
+   */
+  getRollout(serviceId) {
+    const rollout = this.rollouts.get(serviceId);
+    return rollout ? this.formatRollout(rollout) : null;
+  }
+
+  /**
+   * Check whether a rollout of a service is running
+   * @param {string} serviceId - Service ID
+   * @returns {boolean} True if in progress or rolling back
+   */
+  isRolloutActive(serviceId) {
+    const rollout = this.rollouts.get(serviceId);
+    return Boolean(rollout && (rollout.status === 'in_progress' || rollout.status === 'rolling_back'));
+  }
+
+  /**
+   * Stop scaling a service until the hold is released
+   * Used while a replica is temporarily duplicated, e.g. when a drain moves it
+   * @param {string} serviceId - Service ID
+   */
+  holdScaling(serviceId) {
+    this.scalingHolds.set(serviceId, (this.scalingHolds.get(serviceId) || 0) + 1);
+  }
+
+  /**
+   * Release a hold taken with holdScaling
+   * @param {string} serviceId - Service ID
+   */
+  releaseScaling(serviceId) {
+    const holds = (this.scalingHolds.get(serviceId) || 0) - 1;
+    if (holds > 0) {
+      this.scalingHolds.set(serviceId, holds);
+    } else {
+      this.scalingHolds.delete(serviceId);
+    }
+  }
+
+  /**
+   * Start a rolling update from one version of a service to another
+   * Runs in the background; progress is broadcast to frontend clients as service:rollout
+   * @param {object} previous - Service record before the change
+   * @param {object} current - Service record after the change
+   * @returns {Promise<object|null>} Rollout, or null if no replica needs updating
+   */
+  async startRollout(previous, current) {
+    const deployments = (await this.deploymentRepository.findByServiceId(current.id))
+      .filter(deployment => ROLLING_STATUSES.includes(deployment.status));
+
+    if (deployments.length === 0) {
+      return null;
+    }
+
+    const rollout = {
+      service_id: current.id,
+      service_name: current.name,
+      status: 'in_progress',
+      strategy: this.getStrategy(current),
+      from: { docker_image: previous.docker_image, config: previous.config, revision_id: previous.revision_id || null },
+      to: { docker_image: current.docker_image, config: current.config, revision_id: current.revision_id || null },
+      replicas: deployments.length,
+      updated: 0,
+      steps: [],
+      error: null,
+      started_at: new Date().toISOString(),
+      finished_at: null
+    };
+
+    this.rollouts.set(current.id, rollout);
+    this.broadcast(rollout);
+
+    this.runRollout(rollout, previous, current, deployments).catch(error => {
+      log.error('Rollout crashed', { service_id: current.id, service: current.name, error: error.message });
+    });
+
+    return this.formatRollout(rollout);
+  }
+
+  /**
+   * Move replicas to the new version step by step, rolling back on failure
+   * @param {object} rollout - Rollout state
+   * @param {object} previous - Service record before the change
+   * @param {object} current - Service record after the change
+   * @param {Array<object>} deployments - Replicas on the previous version
+   */
+  async runRollout(rollout, previous, current, deployments) {
+    const remaining = [...deployments];
+    const done = []; // Steps that changed a replica, undone on rollback
+
+    try {
+      while (remaining.length > 0) {
+        const batch = await this.planStep(rollout, current, remaining);
+        done.push(...batch);
+
+        // Let every replica of the step settle before rolling back
+        const results = await Promise.allSettled(batch.map(step => this.runStep(step, current, rollout.strategy)));
+        const failure = results.find(result => result.status === 'rejected');
+        if (failure) {
+          throw failure.reason;
+        }
+
+        // Surge replicas are healthy, retire the replicas they replace
+        for (const step of batch) {
+          if (step.replaces) {
+            await this.deploymentService.removeDeployment(step.replaces);
+            step.retired = true;
+          }
+        }
+
+        rollout.updated += batch.length;
+        this.broadcast(rollout);
+      }
+
+      rollout.status = 'completed';
+      log.info('Rollout completed', { service_id: current.id, service: current.name, updated: rollout.updated });
+    } catch (error) {
+      log.error('Rollout failed, rolling back', { service_id: current.id, service: current.name, error: error.message });
+      rollout.error = error.message;
+      await this.rollback(rollout, previous, done);
+    }
+
+    rollout.finished_at = new Date().toISOString();
+    this.broadcast(rollout);
+
+    if (rollout.status === 'completed') {
+      await this.scaleService(current).catch(error => {
+        log.error('Scaling after rollout failed', { service_id: current.id, service: current.name, error: error.message });
+      });
+    }
+  }
+
+  /**
+   * Pick the replicas of the next step
+   * Up to max_surge replicas are replaced by new ones on other workers, and up to
+   * max_unavailable replicas are updated in place.
+   * @param {object} rollout - Rollout state
+   * @param {object} current - Service record after the change
+   * @param {Array<object>} remaining - Replicas still on the previous version (consumed)
+   * @returns {Promise<Array>} Steps
+   * @throws {Error} If no replica can be moved (max_unavailable 0 and no worker for a surge replica)
+   */
+  async planStep(rollout, current, remaining) {
+    const { max_surge: maxSurge, max_unavailable: maxUnavailable } = rollout.strategy;
+    const batch = [];
+
+    for (let i = 0; i < maxSurge && remaining.length > 0; i++) {
+      const placement = await this.schedulerService.schedule(current);
+      if (!placement.worker_id) {
+        break;
+      }
+
+      const replaced = remaining.shift();
+      const surge = await this.deploymentRepository.create({
+        service_id: current.id,
+        worker_id: placement.worker_id,
+        status: 'pending',
+        config: replaced.config || null
+      });
+      batch.push(this.addStep(rollout, { action: 'surge', deployment_id: surge.id, worker_id: surge.worker_id, replaces: replaced.id }));
+    }
+
+    for (let i = 0; i < maxUnavailable && remaining.length > 0; i++) {
+      const deployment = remaining.shift();
+      batch.push(this.addStep(rollout, { action: 'update', deployment_id: deployment.id, worker_id: deployment.worker_id }));
+    }
+
+    if (batch.length === 0) {
+      throw new Error('No worker can take a surge replica and max_unavailable is 0');
+    }
+
+    return batch;
+  }
+
+  /**
+   * Move one replica to the new version and wait for it to pass the health gate
+   * @param {object} step - Rollout step
+   * @param {object} service - Service record to run
+   * @param {object} strategy - Update strategy
+   * @throws {Error} If the replica does not become healthy
+   */
+  async runStep(step, service, strategy) {
+    step.status = 'deploying';
+
+    const run = step.action === 'surge'
+      ? this.deploymentService.dispatchInstruction(await this.deploymentRepository.findById(step.deployment_id), 'deploy', service)
+      : this.deploymentService.updateInPlace(step.deployment_id, service);
+
+    try {
+      await this.withTimeout(run, strategy.health_timeout_seconds * 1000,
+        `Replica on worker ${step.worker_id} did not become healthy within ${strategy.health_timeout_seconds}s`);
+      await this.checkHealth(step);
+
+      if (strategy.min_ready_seconds > 0) {
+        await new Promise(resolve => setTimeout(resolve, strategy.min_ready_seconds * 1000));
+        await this.checkHealth(step);
+      }
+
+      step.status = 'healthy';
+    } catch (error) {
+      step.status = 'failed';
+      step.error = error.message;
+      throw error;
+    }
+  }
+
+  /**
+   * Health gate: the replica must be running, and not reported down since it started
+   * @param {object} step - Rollout step
+   * @throws {Error} If the replica is not healthy
+   */
+  async checkHealth(step) {
+    const deployment = await this.deploymentRepository.findById(step.deployment_id);
+
+    if (!deployment) {
+      throw new Error(`Replica on worker ${step.worker_id} was removed during the rollout`);
+    }
+
+    if (deployment.status !== 'running') {
+      throw new Error(`Replica on worker ${step.worker_id} is ${deployment.status}${deployment.error ? `: ${deployment.error}` : ''}`);
+    }
+
+    const reportedSinceStart = deployment.reported_at && deployment.deployed_at &&
+      new Date(deployment.reported_at).getTime() > new Date(deployment.deployed_at).getTime();
+    if (reportedSinceStart && UNHEALTHY_STATES.includes(deployment.container_state)) {
+      throw new Error(`Replica on worker ${step.worker_id} is ${deployment.container_state}`);
+    }
+  }
+
+  /**
+   * Restore the previous version of the service and of every replica that was changed
+   * The previous version is recorded as a new revision. Surge replicas whose replaced
+   * replica still runs are removed, all other changed replicas are updated in place
+   * back to the previous version.
+   * @param {object} rollout - Rollout state
+   * @param {object} previous - Service record before the change
+   * @param {Array<object>} steps - Steps that changed a replica
+   */
+  async rollback(rollout, previous, steps) {
+    rollout.status = 'rolling_back';
+    this.broadcast(rollout);
+
+    const from = await this.revisionService.findById(previous.revision_id);
+    const revision = await this.revisionService.createRevision(
+      previous,
+      from ? `automatic rollback to revision ${from.revision}` : 'automatic rollback'
+    );
+    const restored = await this.serviceRepository.update(previous.id, {
+      docker_image: previous.docker_image,
+      config: previous.config,
+      revision_id: revision.id
+    });
+
+    const results = await Promise.all(steps.map(async (step) => {
+      try {
+        if (step.action === 'surge' && !step.retired) {
+          await this.deploymentService.removeDeployment(step.deployment_id);
+        } else {
+          await this.deploymentService.updateInPlace(step.deployment_id, restored);
+        }
+        step.rolled_back = true;
+        return true;
+      } catch (error) {
+        log.error('Could not roll back replica', { deployment_id: step.deployment_id, error: error.message });
+        return false;
+      }
+    }));
+
+    rollout.status = results.every(Boolean) ? 'rolled_back' : 'failed';
+  }
+
+  /**
+   * Create or remove deployments so the service runs on `replicas` workers
+   * Stopped deployments do not count. Extra replicas are removed failed and stranded first,
+   * then newest first. Missing replicas that no worker can take are reported as unplaced.
+   * @param {object} service - Service record
+   * @returns {Promise<object|null>} { desired, current, created, removed, unplaced }, or null if not scaled
+   */
+  async scaleService(service) {
+    const desired = service.replicas;
+    if (desired === null || desired === undefined || service.enabled !== 1 ||
+        this.isRolloutActive(service.id) || this.scalingHolds.has(service.id)) {
+      return null;
+    }
+
+    const deployments = (await this.deploymentRepository.findByServiceId(service.id))
+      .filter(deployment => deployment.status !== 'stopped');
+
+    const result = { desired, current: deployments.length, created: [], removed: [], unplaced: 0 };
+
+    for (let i = deployments.length; i < desired; i++) {
+      try {
+        result.created.push(await this.deploymentService.createDeployment({ service_id: service.id }));
+      } catch (error) {
+        if (error.message !== 'No worker can run this service') {
+          throw error;
+        }
+        result.unplaced = desired - i;
+        log.warn('No worker for more replicas', { service_id: service.id, service: service.name, unplaced: result.unplaced });
+        break;
+      }
+    }
+
+    if (deployments.length > desired) {
+      const removalOrder = ['failed', 'stranded', 'pending', 'deploying', 'running'];
+      // findByServiceId returns newest first, sort is stable
+      const extras = [...deployments]
+        .sort((a, b) => removalOrder.indexOf(a.status) - removalOrder.indexOf(b.status))
+        .slice(0, deployments.length - desired);
+
+      for (const deployment of extras) {
+        result.removed.push(await this.deploymentService.removeDeployment(deployment.id));
+      }
+    }
+
+    if (result.created.length > 0 || result.removed.length > 0) {
+      log.info('Service scaled', { service_id: service.id, service: service.name, replicas: desired, created: result.created.length, removed: result.removed.length });
+    }
+
+    return result;
+  }
+
+  /**
+   * Scale every service that has a replica count
+   * @returns {Promise<Array>} Scale results of services that changed
+   */
+  async scaleAllServices() {
+    const services = await this.serviceRepository.findAll();
+    const results = [];
+
+    for (const service of services) {
+      try {
+        const result = await this.scaleService(service);
+        if (result && (result.created.length > 0 || result.removed.length > 0)) {
+          results.push({ service_id: service.id, ...result });
+        }
+      } catch (error) {
+        log.error('Scaling failed', { service_id: service.id, service: service.name, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Read the update strategy from the service config
+   * @param {object} service - Service record
+   * @returns {object} { max_unavailable, max_surge, health_timeout_seconds, min_ready_seconds }
+   */
+  getStrategy(service) {
+    let config = {};
+    try {
+      config = JSON.parse(service.config || '{}') || {};
+    } catch (e) {
+      config = {};
+    }
+
+    const strategy = config.update_strategy || {};
+    const count = (value, fallback) => {
+      const number = Number(value);
+      return value !== undefined && Number.isInteger(number) && number >= 0 ? number : fallback;
+    };
+
+    const maxSurge = count(strategy.max_surge, 0);
+    let maxUnavailable = count(strategy.max_unavailable, 1);
+
+    // At least one replica has to move per step
+    if (maxSurge === 0 && maxUnavailable === 0) {
+      maxUnavailable = 1;
+    }
+
+    return {
+      max_unavailable: maxUnavailable,
+      max_surge: maxSurge,
+      health_timeout_seconds: count(strategy.health_timeout_seconds, 120) || 120,
+      min_ready_seconds: count(strategy.min_ready_seconds, 5)
+    };
+  }
+
+  /**
+   * Add a step to the rollout
+   * @param {object} rollout - Rollout state
+   * @param {object} step - { action, deployment_id, worker_id, replaces }
+   * @returns {object} Step
+   */
+  addStep(rollout, step) {
+    const added = { ...step, status: 'pending', error: null };
+    rollout.steps.push(added);
+    return added;
+  }
+
+  /**
+   * Reject if a promise does not settle in time
+   * @param {Promise} promise - Promise to wait for
+   * @param {number} ms - Timeout in milliseconds
+   * @param {string} message - Error message on timeout
+   * @returns {Promise} Result of the promise
+   */
+  withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Broadcast rollout progress to frontend clients
+   * @param {object} rollout - Rollout state
+   */
+  broadcast(rollout) {
+    this.workerSocketService.broadcastToFrontend('service:rollout', this.formatRollout(rollout));
+  }
+
+  /**
+   * Format rollout for API responses
+   * @param {object} rollout - Rollout state
+   * @returns {object} Copy of the rollout
+   */
+  formatRollout(rollout) {
+    return {
+      ...rollout,
+      steps: rollout.steps.map(step => ({ ...step }))
+    };
+  }
+}
+
+module.exports = new RolloutService(
+  ServiceRepository,
+  DeploymentRepository,
+  DeploymentService,
+  SchedulerService,
+  WorkerSocketService,
+  RevisionService
+);
@@ -0,0 +1,364 @@
+const WorkerRepository = require('../repos/WorkerRepository');
+const DeploymentRepository = require('../repos/DeploymentRepository');
+const ServiceRepository = require('../repos/ServiceRepository');
+
+// Workers whose last heartbeat is older than this are not considered online
+const HEARTBEAT_STALE_MS = 90 * 1000;
+
+// Deployments that are placed but not yet reflected in heartbeat usage
+const RESERVING_STATUSES = ['pending', 'deploying'];
+
+/**
+ * Scheduler Service - Picks a worker for a deployment based on live free capacity
+ *
+ * Services declare what they need in their config:
+ *   requests:    { cpu_cores, ram_gb, disk_gb }
+ *   constraints: { labels: { zone: 'garage' }, capabilities: ['gpu'], anti_affinity: ['other-service'],
+ *                  tolerations: [{ key: 'dedicated', value: 'db' }], require_online: true }
+ *
+ * Workers repel services through taints ({ key, value, effect }). A NoSchedule taint rejects every
+ * service without a matching toleration, a PreferNoSchedule taint only lowers the worker's score.
+ */
+class SchedulerService {
+  constructor(workerRepository, deploymentRepository, serviceRepository) {
+    this.workerRepository = workerRepository;
+    this.deploymentRepository = deploymentRepository;
+    this.serviceRepository = serviceRepository;
+  }
+
+  /**
+   * Rank workers for a service and explain the decision
+   * @param {object} service - Service record (config is a JSON string or object)
+   * @param {object} [options] - Options (excludeWorkerIds)
+   * @returns {Promise<object>} { worker_id, hostname, candidates, rejected }
+   *   worker_id is null when no worker fits
+   */
+  async schedule(service, options = {}) {
+    const config = this.parseJson(service.config);
+    const requests = this.normalizeRequests(config.requests);
+    const constraints = config.constraints || {};
+    const excludeWorkerIds = new Set(options.excludeWorkerIds || []);
+
+    const workers = await this.workerRepository.findAll();
+    const deployments = await this.deploymentRepository.findAll();
+    const servicesById = await this.loadServices(deployments);
+
+    const candidates = [];
+    const rejected = [];
+
+    for (const worker of workers) {
+      const name = worker.hostname || worker.id;
+
+      if (excludeWorkerIds.has(worker.id)) {
+        rejected.push({ worker_id: worker.id, hostname: worker.hostname, reasons: [`worker ${name} rejected: excluded`] });
+        continue;
+      }
+
+      const workerDeployments = deployments.filter(d => d.worker_id === worker.id);
+      const reasons = this.checkWorker(worker, service, requests, constraints, workerDeployments, servicesById);
+
+      if (reasons.length > 0) {
+        rejected.push({ worker_id: worker.id, hostname: worker.hostname, reasons });
+        continue;
+      }
+
+      const free = this.getFreeCapacity(worker, workerDeployments, servicesById);
+      const preferAvoid = this.getUntoleratedTaints(worker, constraints, 'PreferNoSchedule').length > 0;
+      const score = this.scoreWorker(worker, free, requests);
+      candidates.push({
+        worker_id: worker.id,
+        hostname: worker.hostname,
+        score: preferAvoid ? this.round(score / 2, 4) : score,
+        free
+      });
+    }
+
+    candidates.sort((a, b) => b.score - a.score);
+
+    return {
+      worker_id: candidates.length > 0 ? candidates[0].worker_id : null,
+      hostname: candidates.length > 0 ? candidates[0].hostname : null,
+      requests,
+      candidates,
+      rejected
+    };
+  }
+
+  /**
+   * Check a worker picked by the caller with the same rules as schedule()
+   * Being offline is not a reason: instructions for the worker are queued until it is back.
+   * @param {object} service - Service record (config is a JSON string or object)
+   * @param {object} worker - Worker record
+   * @returns {Promise<object>} { worker_id, hostname, requests, reasons } (reasons is empty if the worker fits)
+   */
+  async checkPlacement(service, worker) {
+    const config = this.parseJson(service.config);
+    const requests = this.normalizeRequests(config.requests);
+    const constraints = { ...(config.constraints || {}), require_online: false };
+
+    const workerDeployments = await this.deploymentRepository.findAll({ worker_id: worker.id });
+    const servicesById = await this.loadServices(workerDeployments);
+
+    return {
+      worker_id: worker.id,
+      hostname: worker.hostname,
+      requests,
+      reasons: this.checkWorker(worker, service, requests, constraints, workerDeployments, servicesById)
+    };
+  }
+
+  /**
+   * Check a worker against a service's requests and constraints
+   * @returns {Array<string>} Rejection reasons (empty if the worker fits)
+   */
+  checkWorker(worker, service, requests, constraints, workerDeployments, servicesById) {
+    const reasons = [];
+    const name = worker.hostname || worker.id;
+    const reject = (reason) => reasons.push(`worker ${name} rejected: ${reason}`);
+
+    // Must be online (default) with a recent heartbeat
+    if (constraints.require_online !== false) {
+      if (worker.status !== 'online') {
+        reject(`status is ${worker.status || 'unknown'}`);
+      } else if (worker.last_seen) {
+        const age = Date.now() - new Date(worker.last_seen).getTime();
+        if (age > HEARTBEAT_STALE_MS) {
+          reject(`last heartbeat ${Math.round(age / 1000)}s ago`);
+        }
+      }
+    }
+
+    // Cordoned workers keep their deployments but take no new ones
+    if (worker.cordoned === 1) {
+      reject('cordoned');
+    }
+
+    // Label constraints
+    const workerLabels = this.parseJson(worker.labels);
+    for (const [key, value] of Object.entries(constraints.labels || {})) {
+      if (workerLabels[key] === undefined) {
+        reject(`missing label ${key}=${value}`);
+      } else if (String(workerLabels[key]) !== String(value)) {
+        reject(`label ${key}=${workerLabels[key]} does not match ${key}=${value}`);
+      }
+    }
+
+    // Capabilities the service needs
+    const workerCapabilities = new Set(this.parseList(worker.capabilities));
+    for (const capability of constraints.capabilities || []) {
+      if (!workerCapabilities.has(capability)) {
+        reject(`missing capability ${capability}`);
+      }
+    }
+
+    // Taints the service does not tolerate
+    for (const taint of this.getUntoleratedTaints(worker, constraints, 'NoSchedule')) {
+      reject(`taint ${this.formatTaint(taint)} not tolerated`);
+    }
+
+    // One container per service per worker, plus explicit anti-affinity
+    const antiAffinity = new Set(constraints.anti_affinity || []);
+    for (const deployment of workerDeployments) {
+      if (deployment.status === 'stopped') {
+        continue;
+      }
+      if (deployment.service_id === service.id) {
+        reject('already runs this service');
+        continue;
+      }
+      const other = servicesById.get(deployment.service_id);
+      if (other && antiAffinity.has(other.name)) {
+        reject(`anti-affinity with ${other.name}`);
+      }
+    }
+
+    // Capacity
+    const free = this.getFreeCapacity(worker, workerDeployments, servicesById);
+    if (requests.cpu_cores > 0 && free.cpu_cores < requests.cpu_cores) {
+      reject(`${this.round(free.cpu_cores)} free CPU cores < ${requests.cpu_cores} requested`);
+    }
+    if (requests.ram_gb > 0 && free.ram_gb < requests.ram_gb) {
+      reject(`${this.round(free.ram_gb)} GB free RAM < ${requests.ram_gb} GB requested`);
+    }
+    if (requests.disk_gb > 0 && free.disk_gb < requests.disk_gb) {
+      reject(`${this.round(free.disk_gb)} GB free disk < ${requests.disk_gb} GB requested`);
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Get the taints of a worker with the given effect that a service does not tolerate
+   * A toleration matches a taint with the same key, and the same value and effect if it sets them
+   * @returns {Array<object>} Untolerated taints
+   */
+  getUntoleratedTaints(worker, constraints, effect) {
+    const tolerations = constraints.tolerations || [];
+
+    return this.parseList(worker.taints).filter(taint => {
+      if ((taint.effect || 'NoSchedule') !== effect) {
+        return false;
+      }
+      return !tolerations.some(toleration =>
+        toleration.key === taint.key &&
+        (toleration.value === undefined || toleration.value === null || String(toleration.value) === String(taint.value)) &&
+        (!toleration.effect || toleration.effect === effect)
+      );
+    });
+  }
+
+  /**
+   * Format a taint for rejection reasons
+   * @returns {string} key=value:effect
+   */
+  formatTaint(taint) {
+    const value = taint.value !== undefined && taint.value !== null ? `=${taint.value}` : '';
+    return `${taint.key}${value}:${taint.effect || 'NoSchedule'}`;
+  }
+
+  /**
+   * Calculate free capacity from the last heartbeat, minus deployments
+   * that are placed on the worker but not yet running
+   * @returns {object} { cpu_cores, ram_gb, disk_gb }
+   */
+  getFreeCapacity(worker, workerDeployments, servicesById) {
+    const resources = this.parseJson(worker.resources);
+    const usage = resources.usage || {};
+
+    const totalCpu = Number(resources.cpu_cores) || 0;
+    const totalRam = Number(resources.ram_gb) || 0;
+    const totalDisk = Number(resources.disk_gb) || 0;
+
+    const free = {
+      cpu_cores: usage.cpu_percent !== undefined
+        ? totalCpu * (1 - Number(usage.cpu_percent) / 100)
+        : totalCpu,
+      ram_gb: usage.ram_available_gb !== undefined ? Number(usage.ram_available_gb) : totalRam,
+      disk_gb: usage.disk_available_gb !== undefined ? Number(usage.disk_available_gb) : totalDisk
+    };
+
+    for (const deployment of workerDeployments) {
+      if (!RESERVING_STATUSES.includes(deployment.status)) {
+        continue;
+      }
+      const service = servicesById.get(deployment.service_id);
+      if (!service) {
+        continue;
+      }
+      const reserved = this.normalizeRequests(this.parseJson(service.config).requests);
+      free.cpu_cores -= reserved.cpu_cores;
+      free.ram_gb -= reserved.ram_gb;
+      free.disk_gb -= reserved.disk_gb;
+    }
+
+    return {
+      cpu_cores: Math.max(free.cpu_cores, 0),
+      ram_gb: Math.max(free.ram_gb, 0),
+      disk_gb: Math.max(free.disk_gb, 0)
+    };
+  }
+
+  /**
+   * Score a worker: average fraction of each resource left after placement
+   * @returns {number} Score between 0 and 1 (higher is better)
+   */
+  scoreWorker(worker, free, requests) {
+    const resources = this.parseJson(worker.resources);
+    const fractions = [];
+
+    for (const [key, total] of [
+      ['cpu_cores', Number(resources.cpu_cores) || 0],
+      ['ram_gb', Number(resources.ram_gb) || 0],
+      ['disk_gb', Number(resources.disk_gb) || 0]
+    ]) {
+      if (total > 0) {
+        fractions.push(Math.max(free[key] - requests[key], 0) / total);
+      }
+    }
+
+    if (fractions.length === 0) {
+      return 0;
+    }
+
+    return this.round(fractions.reduce((sum, f) => sum + f, 0) / fractions.length, 4);
+  }
+
+  /**
+   * Load services referenced by deployments
+   * @returns {Promise<Map>} Map of serviceId -> service
+   */
+  async loadServices(deployments) {
+    const servicesById = new Map();
+    const serviceIds = [...new Set(deployments.map(d => d.service_id))];
+
+    for (const serviceId of serviceIds) {
+      const service = await this.serviceRepository.findById(serviceId);
+      if (service) {
+        servicesById.set(serviceId, service);
+      }
+    }
+
+    return servicesById;
+  }
+
+  /**
+   * Normalize resource requests
+   * @param {object} [requests] - { cpu_cores, ram_gb, disk_gb }
+   * @returns {object} Requests with numeric values (0 when not requested)
+   */
+  normalizeRequests(requests = {}) {
+    return {
+      cpu_cores: Number(requests.cpu_cores) || 0,
+      ram_gb: Number(requests.ram_gb) || 0,
+      disk_gb: Number(requests.disk_gb) || 0
+    };
+  }
+
+  /**
+   * Parse a JSON column that may already be an object
+   * @returns {object} Parsed object ({} if empty or invalid)
+   */
+  parseJson(value) {
+    if (!value) {
+      return {};
+    }
+    if (typeof value === 'object') {
+      return value;
+    }
+    try {
+      return JSON.parse(value) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Parse a JSON array column that may already be an array
+   * @returns {Array} Parsed array ([] if empty or invalid)
+   */
+  parseList(value) {
+    if (Array.isArray(value)) {
+      return value;
+    }
+    if (!value) {
+      return [];
+    }
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Round a number for display in scores and reasons
+   * @returns {number} Rounded value
+   */
+  round(value, digits = 2) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = new SchedulerService(WorkerRepository, DeploymentRepository, ServiceRepository);
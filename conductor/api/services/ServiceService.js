@@ -0,0 +1,307 @@
+const ServiceRepository = require('../repos/ServiceRepository');
+const DeploymentRepository = require('../repos/DeploymentRepository');
+const RolloutService = require('./RolloutService');
+const RevisionService = require('./RevisionService');
+
+// Service names become container names on workers (aerekos-<name>)
+const SERVICE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Service Service - Business logic for the service catalog
+ */
+class ServiceService {
+  constructor(serviceRepository, deploymentRepository, rolloutService, revisionService) {
+    this.serviceRepository = serviceRepository;
+    this.deploymentRepository = deploymentRepository;
+    this.rolloutService = rolloutService;
+    this.revisionService = revisionService;
+  }
+
+  /**
+   * Create a new service
+   * Services with replicas are deployed onto that many workers right away
+   * @param {object} serviceData - Service data (name, docker_image, config, enabled, replicas)
+   * @returns {Promise<object>} Created service
+   * @throws {Error} If validation fails or name is taken
+   */
+  async createService(serviceData) {
+    const name = (serviceData.name || '').trim();
+
+    if (!name) {
+      throw new Error('Service name is required');
+    }
+
+    if (!SERVICE_NAME_PATTERN.test(name)) {
+      throw new Error('Invalid service name: use lowercase letters, numbers, dashes and underscores');
+    }
+
+    if (!serviceData.docker_image || !serviceData.docker_image.trim()) {
+      throw new Error('Docker image is required');
+    }
+
+    const existing = await this.serviceRepository.findByName(name);
+    if (existing) {
+      throw new Error('Service already exists');
+    }
+
+    const created = await this.serviceRepository.create({
+      name,
+      docker_image: serviceData.docker_image.trim(),
+      config: this.serializeConfig(serviceData.config),
+      enabled: serviceData.enabled === false ? 0 : 1, // SQLite: 1 = true, 0 = false
+      replicas: this.validateReplicas(serviceData.replicas)
+    });
+
+    const service = await this.revisionService.ensureRevision(created);
+    await this.rolloutService.scaleService(service);
+
+    return this.formatService(service);
+  }
+
+  /**
+   * Get service by ID
+   * @param {string} serviceId - Service ID
+   * @returns {Promise<object>} Service object
+   * @throws {Error} If service not found
+   */
+  async getService(serviceId) {
+    const service = await this.serviceRepository.findById(serviceId);
+
+    if (!service) {
+      throw new Error('Service not found');
+    }
+
+    return this.formatService(service);
+  }
+
+  /**
+   * Get all services
+   * @returns {Promise<Array>} Array of services
+   */
+  async getAllServices() {
+    const services = await this.serviceRepository.findAll();
+    return services.map(service => this.formatService(service));
+  }
+
+  /**
+   * Update service (docker_image, config, enabled and/or replicas)
+   * A new image or config is rolled out to the deployed replicas in the background,
+   * a new replica count is applied right away (or after the rollout)
+   * @param {string} serviceId - Service ID
+   * @param {object} serviceData - Fields to update
+   * @returns {Promise<object>} Updated service
+   * @throws {Error} If service not found, validation fails or a rollout is in progress
+   */
+  async updateService(serviceId, serviceData) {
+    const { service } = await this.changeService(serviceId, serviceData, 'updated');
+    return service;
+  }
+
+  /**
+   * Roll a service back to a prior revision
+   * The revision's image and config become a new revision and are rolled out to all replicas
+   * @param {string} serviceId - Service ID
+   * @param {number} [revisionNumber] - Revision to go back to (default: the one before the current)
+   * @returns {Promise<object>} { service, rollout } - rollout is null if no replica is deployed
+   * @throws {Error} If service or revision not found, it is already running, or a rollout is in progress
+   */
+  async rollbackService(serviceId, revisionNumber) {
+    const service = await this.serviceRepository.findById(serviceId);
+
+    if (!service) {
+      throw new Error('Service not found');
+    }
+
+    const target = revisionNumber !== undefined && revisionNumber !== null
+      ? await this.revisionService.getRevision(serviceId, revisionNumber)
+      : await this.revisionService.getPreviousRevision(service);
+
+    if (target.docker_image === service.docker_image && (target.config || null) === (service.config || null)) {
+      throw new Error(`Service already runs revision ${target.revision}`);
+    }
+
+    return await this.changeService(serviceId, {
+      docker_image: target.docker_image,
+      config: target.config || null
+    }, `rollback to revision ${target.revision}`);
+  }
+
+  /**
+   * Get the revision history of a service
+   * @param {string} serviceId - Service ID
+   * @returns {Promise<Array>} Revisions, newest first
+   * @throws {Error} If service not found
+   */
+  async getRevisions(serviceId) {
+    const service = await this.serviceRepository.findById(serviceId);
+
+    if (!service) {
+      throw new Error('Service not found');
+    }
+
+    return await this.revisionService.getRevisions(service);
+  }
+
+  /**
+   * Apply a change to a service
+   * A new image or config creates a revision and is rolled out to the replicas
+   * @param {string} serviceId - Service ID
+   * @param {object} serviceData - Fields to update
+   * @param {string} reason - Reason recorded on the revision
+   * @returns {Promise<object>} { service, rollout }
+   * @throws {Error} If service not found, validation fails or a rollout is in progress
+   */
+  async changeService(serviceId, serviceData, reason) {
+    let service = await this.serviceRepository.findById(serviceId);
+
+    if (!service) {
+      throw new Error('Service not found');
+    }
+
+    const updateData = {};
+
+    if (serviceData.docker_image !== undefined) {
+      if (!serviceData.docker_image || !serviceData.docker_image.trim()) {
+        throw new Error('Docker image cannot be empty');
+      }
+      updateData.docker_image = serviceData.docker_image.trim();
+    }
+
+    if (serviceData.config !== undefined) {
+      updateData.config = this.serializeConfig(serviceData.config);
+    }
+
+    if (serviceData.enabled !== undefined) {
+      updateData.enabled = serviceData.enabled ? 1 : 0;
+    }
+
+    if (serviceData.replicas !== undefined) {
+      updateData.replicas = this.validateReplicas(serviceData.replicas);
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return { service: this.formatService(service), rollout: null };
+    }
+
+    const versionChanged = (updateData.docker_image !== undefined && updateData.docker_image !== service.docker_image) ||
+      (updateData.config !== undefined && updateData.config !== service.config);
+
+    if (versionChanged && this.rolloutService.isRolloutActive(serviceId)) {
+      throw new Error('Service rollout is already in progress');
+    }
+
+    if (versionChanged) {
+      service = await this.revisionService.ensureRevision(service);
+      const revision = await this.revisionService.createRevision({ ...service, ...updateData }, reason);
+      updateData.revision_id = revision.id;
+    }
+
+    const updated = await this.serviceRepository.update(serviceId, updateData);
+
+    const rollout = versionChanged ? await this.rolloutService.startRollout(service, updated) : null;
+    if (!rollout) {
+      await this.rolloutService.scaleService(updated);
+    }
+
+    return { service: this.formatService(updated), rollout };
+  }
+
+  /**
+   * Delete service
+   * Services with deployments must have them removed first
+   * @param {string} serviceId - Service ID
+   * @returns {Promise<object>} Deleted service
+   * @throws {Error} If service not found or still deployed
+   */
+  async deleteService(serviceId) {
+    const service = await this.serviceRepository.findById(serviceId);
+
+    if (!service) {
+      throw new Error('Service not found');
+    }
+
+    const deployments = await this.deploymentRepository.findByServiceId(serviceId);
+    if (deployments.length > 0) {
+      throw new Error('Service has deployments and cannot be deleted');
+    }
+
+    await this.serviceRepository.delete(serviceId);
+    await this.revisionService.deleteRevisions(serviceId);
+    return this.formatService(service);
+  }
+
+  /**
+   * Validate a replica count
+   * @param {number|null|undefined} replicas - Replica count (null = placed by hand)
+   * @returns {number|null} Replica count
+   * @throws {Error} If not a non-negative integer
+   */
+  validateReplicas(replicas) {
+    if (replicas === undefined || replicas === null) {
+      return null;
+    }
+
+    if (!Number.isInteger(replicas) || replicas < 0) {
+      throw new Error('Invalid replicas: must be a non-negative integer');
+    }
+
+    return replicas;
+  }
+
+  /**
+   * Serialize config for storage
+   * @param {object|string|null} config - Config object or JSON string
+   * @returns {string|null} JSON string
+   * @throws {Error} If config is not valid JSON
+   */
+  serializeConfig(config) {
+    if (config === undefined || config === null) {
+      return null;
+    }
+
+    if (typeof config === 'string') {
+      try {
+        JSON.parse(config);
+      } catch (e) {
+        throw new Error('Invalid service config: must be a JSON object');
+      }
+      return config;
+    }
+
+    if (typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('Invalid service config: must be a JSON object');
+    }
+
+    return JSON.stringify(config);
+  }
+
+  /**
+   * Format service record for API responses
+   * @param {object} service - Service record
+   * @returns {object} Service with parsed config and boolean enabled
+   */
+  formatService(service) {
+    let config = {};
+    if (service.config) {
+      try {
+        config = JSON.parse(service.config);
+      } catch (e) {
+        config = {};
+      }
+    }
+
+    return {
+      id: service.id,
+      name: service.name,
+      docker_image: service.docker_image,
+      config,
+      enabled: service.enabled === 1,
+      replicas: service.replicas ?? null,
+      revision_id: service.revision_id || null,
+      created_at: service.created_at,
+      updated_at: service.updated_at
+    };
+  }
+}
+
+module.exports = new ServiceService(ServiceRepository, DeploymentRepository, RolloutService, RevisionService);
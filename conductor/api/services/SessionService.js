@@ -0,0 +1,225 @@
+const { randomBytes, createHash } = require('crypto');
+const SessionRepository = require('../repos/SessionRepository');
+const UserRepository = require('../repos/UserRepository');
+const JWTService = require('./JWTService');
+const LiveConnectionService = require('./LiveConnectionService');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'sessions' });
+
+const LAST_USED_INTERVAL_MS = 60 * 1000; // Record session use at most once a minute
+
+/**
+ * Session Service - Login sessions with short-lived access tokens and rotating refresh tokens
+ *
+ * Every login creates a session. The client gets a short-lived access token (a JWT naming
+ * the session) and a refresh token. Each refresh replaces the refresh token; presenting a
+ * replaced token again means it leaked, so the whole session is revoked. Revoking a session
+ * (logout) makes its access token stop working immediately.
+ */
+class SessionService {
+  constructor(sessionRepository, userRepository, jwtService, liveConnectionService) {
+    this.sessionRepository = sessionRepository;
+    this.userRepository = userRepository;
+    this.jwtService = jwtService;
+    this.liveConnectionService = liveConnectionService;
+  }
+
+  /**
+   * Create a session for a user who just logged in
+   * @param {object} user - User record
+   * @param {object} client - { device, ip_address }
+   * @returns {Promise<object>} { session, token, refresh_token }
+   */
+  async createSession(user, client = {}) {
+    const refreshToken = this.generateRefreshToken();
+    const now = new Date().toISOString();
+
+    const session = await this.sessionRepository.create({
+      user_id: user.id,
+      refresh_token_hash: this.hashToken(refreshToken),
+      device: (client.device || 'Unknown device').substring(0, 200),
+      ip_address: client.ip_address || null,
+      last_used_at: now,
+      expires_at: this.getExpiryDate(),
+      active: 1 // SQLite: 1 = true, 0 = false
+    });
+
+    return {
+      session,
+      token: this.jwtService.generateToken(user, session.id),
+      refresh_token: refreshToken
+    };
+  }
+
+  /**
+   * Trade a refresh token for a new access token and refresh token
+   * @param {string} refreshToken - Current refresh token of the session
+   * @param {object} client - { ip_address }
+   * @returns {Promise<object>} { token, refresh_token, user }
+   * @throws {Error} If the token is unknown, reused, revoked or expired, or the user is disabled
+   */
+  async refreshSession(refreshToken, client = {}) {
+    const tokenHash = this.hashToken(refreshToken || '');
+    const session = await this.sessionRepository.findByRefreshTokenHash(tokenHash);
+
+    if (!session) {
+      const reused = await this.sessionRepository.findByPreviousTokenHash(tokenHash);
+      if (reused && reused.active === 1) {
+        await this.sessionRepository.update(reused.id, { active: 0 });
+        this.liveConnectionService.closeSession(reused.id);
+        log.warn('Refresh token reused, session revoked', { session_id: reused.id, user_id: reused.user_id });
+      }
+      throw new Error('Invalid refresh token');
+    }
+
+    if (!this.isActive(session)) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const user = await this.userRepository.findById(session.user_id);
+    if (!user || user.disabled === 1) {
+      throw new Error('Account is disabled');
+    }
+
+    const newRefreshToken = this.generateRefreshToken();
+    await this.sessionRepository.update(session.id, {
+      refresh_token_hash: this.hashToken(newRefreshToken),
+      previous_token_hash: tokenHash,
+      ip_address: client.ip_address || session.ip_address,
+      last_used_at: new Date().toISOString(),
+      expires_at: this.getExpiryDate()
+    });
+
+    return {
+      token: this.jwtService.generateToken(user, session.id),
+      refresh_token: newRefreshToken,
+      user
+    };
+  }
+
+  /**
+   * Check the session named by an access token and record its use
+   * @param {string} sessionId - Session ID from the access token
+   * @param {string} userId - User ID from the access token
+   * @returns {Promise<boolean>} True if the session is active and belongs to the user
+   */
+  async verifySession(sessionId, userId) {
+    const session = sessionId ? await this.sessionRepository.findById(sessionId) : null;
+
+    if (!session || session.user_id !== userId || !this.isActive(session)) {
+      return false;
+    }
+
+    if (!session.last_used_at || Date.now() - new Date(session.last_used_at).getTime() > LAST_USED_INTERVAL_MS) {
+      await this.sessionRepository.update(session.id, { last_used_at: new Date().toISOString() });
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the active sessions of a user
+   * @param {string} userId - User ID
+   * @param {string} currentSessionId - Session of the request, marked as current
+   * @returns {Promise<Array>} Formatted sessions, most recently used first
+   */
+  async listSessions(userId, currentSessionId) {
+    const sessions = await this.sessionRepository.findActiveByUserId(userId);
+    return sessions
+      .filter(session => this.isActive(session))
+      .map(session => this.formatSession(session, currentSessionId));
+  }
+
+  /**
+   * Revoke one session of a user
+   * Its event streams and frontend sockets are closed too.
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - User who owns the session
+   * @throws {Error} If the session is not found or belongs to someone else
+   */
+  async revokeSession(sessionId, userId) {
+    const session = await this.sessionRepository.findById(sessionId);
+
+    if (!session || session.user_id !== userId || session.active !== 1) {
+      throw new Error('Session not found');
+    }
+
+    await this.sessionRepository.update(sessionId, { active: 0 });
+    this.liveConnectionService.closeSession(sessionId);
+  }
+
+  /**
+   * Revoke all sessions of a user
+   * @param {string} userId - User ID
+   * @param {string} [exceptSessionId] - Session to keep (e.g. the one changing the password)
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeUserSessions(userId, exceptSessionId) {
+    const sessions = await this.sessionRepository.findActiveByUserId(userId);
+    const revoked = sessions.filter(session => session.id !== exceptSessionId);
+
+    for (const session of revoked) {
+      await this.sessionRepository.update(session.id, { active: 0 });
+      this.liveConnectionService.closeSession(session.id);
+    }
+
+    return revoked.length;
+  }
+
+  /**
+   * Check if a session can still be used
+   * @param {object} session - Session record
+   * @returns {boolean} True if not revoked and not expired
+   */
+  isActive(session) {
+    return session.active === 1 && !(session.expires_at && new Date(session.expires_at) < new Date());
+  }
+
+  /**
+   * Get the expiry date of a session refreshed now
+   * @returns {string} ISO date SESSION_EXPIRES_DAYS (default 30) from now
+   */
+  getExpiryDate() {
+    const days = parseFloat(process.env.SESSION_EXPIRES_DAYS) || 30;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  /**
+   * Generate a refresh token
+   * @returns {string} Refresh token
+   */
+  generateRefreshToken() {
+    return `rt_${randomBytes(32).toString('hex')}`;
+  }
+
+  /**
+   * Hash a refresh token for storage
+   * Refresh tokens are long random strings, so a plain SHA-256 is enough
+   * @param {string} token - Refresh token
+   * @returns {string} Hex digest
+   */
+  hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Format session for API responses
+   * @param {object} session - Session record
+   * @param {string} currentSessionId - Session of the request
+   * @returns {object} Session response
+   */
+  formatSession(session, currentSessionId) {
+    return {
+      id: session.id,
+      device: session.device,
+      ip_address: session.ip_address || null,
+      last_used_at: session.last_used_at,
+      expires_at: session.expires_at,
+      created_at: session.created_at,
+      current: session.id === currentSessionId
+    };
+  }
+}
+
+module.exports = new SessionService(SessionRepository, UserRepository, JWTService, LiveConnectionService);
@@ -0,0 +1,67 @@
+const SettingRepository = require('../repos/SettingRepository');
+
+// Settings and their defaults
+const DEFAULTS = {
+  require_two_factor: false // Every user must enroll in TOTP before using the API
+};
+
+/**
+ * Settings Service - Conductor-wide settings changed at runtime by admins
+ */
+class SettingsService {
+  constructor(settingRepository) {
+    this.settingRepository = settingRepository;
+  }
+
+  /**
+   * Get a setting
+   * @param {string} key - Setting key (see DEFAULTS)
+   * @returns {Promise<*>} Stored value, or the default
+   */
+  async get(key) {
+    const setting = await this.settingRepository.findByKey(key);
+    if (!setting || setting.value === null || setting.value === undefined) {
+      return DEFAULTS[key];
+    }
+
+    try {
+      return JSON.parse(setting.value);
+    } catch (error) {
+      return DEFAULTS[key];
+    }
+  }
+
+  /**
+   * Get the security settings
+   * @returns {Promise<object>} { require_two_factor }
+   */
+  async getSecuritySettings() {
+    return {
+      require_two_factor: await this.get('require_two_factor')
+    };
+  }
+
+  /**
+   * Update the security settings
+   * Requiring 2FA is only allowed for an admin who is enrolled, so they keep access to this setting.
+   * @param {object} changes - { require_two_factor }
+   * @param {object} user - Admin making the change ({ two_factor_enabled })
+   * @returns {Promise<object>} Updated security settings
+   * @throws {Error} If a value is invalid
+   */
+  async updateSecuritySettings(changes = {}, user = {}) {
+    if (changes.require_two_factor !== undefined) {
+      if (typeof changes.require_two_factor !== 'boolean') {
+        throw new Error('Invalid settings: require_two_factor must be true or false');
+      }
+      if (changes.require_two_factor && !user.two_factor_enabled) {
+        throw new Error('Cannot require two-factor authentication before enabling it for your own account');
+      }
+      await this.settingRepository.upsert('require_two_factor', JSON.stringify(changes.require_two_factor));
+    }
+
+    return await this.getSecuritySettings();
+  }
+}
+
+module.exports = new SettingsService(SettingRepository);
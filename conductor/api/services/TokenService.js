@@ -1,80 +1,281 @@
 const { randomUUID } = require('crypto');
 const TokenRepository = require('../repos/TokenRepository');
-const { Token } = require('../models');
+const WorkerRepository = require('../repos/WorkerRepository');
+
+// Name of the token behind GET /api/token; named tokens cannot use it
+const DEFAULT_TOKEN_NAME = 'default';
 
 /**
  * Token Service - Business logic for worker registration tokens
+ *
+ * Several named tokens can be active at once. Each can expire, allow a limited number of
+ * registrations and carry labels that are applied to the workers that join with it.
  */
 class TokenService {
-  constructor(tokenRepository) {
+  constructor(tokenRepository, workerRepository) {
     this.tokenRepository = tokenRepository;
+    this.workerRepository = workerRepository;
+    this.redemptions = Promise.resolve(); // Registrations are counted one at a time
   }
 
   /**
    * Generate a new registration token for worker registration
+   * Unnamed tokens are called "default" and never expire or run out
    * @returns {Promise<string>} Generated token
    */
   async generateRegistrationToken() {
-    const token = randomUUID();
-    
-    // Optional: Set expiration (default: no expiration)
-    const expiresAt = null; // Can be set to future date if needed
-    
-    await this.tokenRepository.create({
-      token,
+    const token = await this.saveToken({ name: DEFAULT_TOKEN_NAME, expiresAt: null, maxUses: null, labels: {} });
+    return token.token;
+  }
+
+  /**
+   * Create a named registration token
+   * @param {object} options - { name, expires_at, max_uses, labels } (all but name optional)
+   * @returns {Promise<object>} Formatted token
+   * @throws {Error} If an option is invalid
+   */
+  async createToken(options = {}) {
+    return this.saveToken(this.validateTokenOptions(options));
+  }
+
+  /**
+   * Store a new registration token
+   * @param {object} options - Validated { name, expiresAt, maxUses, labels }
+   * @returns {Promise<object>} Formatted token
+   */
+  async saveToken({ name, expiresAt, maxUses, labels }) {
+    const token = await this.tokenRepository.create({
+      token: randomUUID(),
+      name,
       expires_at: expiresAt,
+      max_uses: maxUses,
+      uses: 0,
+      labels: JSON.stringify(labels),
       active: 1 // SQLite: 1 = true, 0 = false
     });
 
-    return token;
+    return this.formatToken(token, []);
   }
 
   /**
    * Validate a registration token
    * @param {string} token - Token to validate
-   * @returns {Promise<boolean>} True if token is valid and active
+   * @returns {Promise<boolean>} True if token is active, not expired and not used up
    */
   async validateToken(token) {
-    const tokens = await Token.findAll({ where: { token, active: 1 } }); // 1 = true
-    
-    if (tokens.length === 0) {
-      return false;
-    }
+    const tokenRecord = await this.tokenRepository.findByToken(token);
+    return !!tokenRecord && this.getTokenStatus(tokenRecord) === 'active';
+  }
 
-    const tokenRecord = tokens[0];
+  /**
+   * Use a registration token for one registration
+   * Redemptions run one at a time so concurrent registrations cannot exceed max_uses.
+   * @param {string} token - Token presented by the worker
+   * @returns {Promise<object>} Token record (labels still a JSON string)
+   * @throws {Error} If the token is unknown, revoked, expired or used up
+   */
+  redeemToken(token) {
+    const redemption = this.redemptions.then(async () => {
+      const tokenRecord = token ? await this.tokenRepository.findByToken(token) : null;
 
-    // Check expiration if set
-    if (tokenRecord.expires_at) {
-      const expiresAt = new Date(tokenRecord.expires_at);
-      if (expiresAt < new Date()) {
-        return false;
+      if (!tokenRecord || this.getTokenStatus(tokenRecord) !== 'active') {
+        throw new Error('Invalid registration token');
       }
+
+      return await this.tokenRepository.update(tokenRecord.id, { uses: (tokenRecord.uses || 0) + 1 });
+    });
+
+    this.redemptions = redemption.catch(() => {});
+    return redemption;
+  }
+
+  /**
+   * Get all registration tokens with the workers that joined with them
+   * @returns {Promise<Array>} Formatted tokens, newest first
+   */
+  async listTokens() {
+    const tokens = await this.tokenRepository.findAll();
+    return await Promise.all(tokens.map(async token => {
+      return this.formatToken(token, await this.workerRepository.findByRegistrationTokenId(token.id));
+    }));
+  }
+
+  /**
+   * Get a registration token with the workers that joined with it
+   * @param {string} id - Token ID
+   * @returns {Promise<object>} Formatted token
+   * @throws {Error} If token not found
+   */
+  async getToken(id) {
+    const token = await this.tokenRepository.findById(id);
+
+    if (!token) {
+      throw new Error('Token not found');
+    }
+
+    return this.formatToken(token, await this.workerRepository.findByRegistrationTokenId(id));
+  }
+
+  /**
+   * Revoke a registration token
+   * Workers that already joined keep their credentials
+   * @param {string} id - Token ID
+   * @returns {Promise<object>} Formatted token
+   * @throws {Error} If token not found
+   */
+  async revokeToken(id) {
+    const token = await this.tokenRepository.findById(id);
+
+    if (!token) {
+      throw new Error('Token not found');
+    }
+
+    await this.tokenRepository.update(id, { active: 0 });
+    return await this.getToken(id);
+  }
+
+  /**
+   * Delete a registration token
+   * @param {string} id - Token ID
+   * @throws {Error} If token not found
+   */
+  async deleteToken(id) {
+    const token = await this.tokenRepository.findById(id);
+
+    if (!token) {
+      throw new Error('Token not found');
     }
 
-    return true;
+    await this.tokenRepository.delete(id);
   }
 
   /**
-   * Get current active registration token
-   * @returns {Promise<string|null>} Active token or null
+   * Get the current default registration token
+   * Named tokens are managed through /api/tokens and never returned here
+   * @returns {Promise<string|null>} Newest usable default token or null
    */
   async getCurrentToken() {
-    const token = await this.tokenRepository.findActiveToken();
+    const tokens = await this.tokenRepository.findActiveTokens();
+    const token = tokens.find(candidate => this.isDefaultToken(candidate) && this.getTokenStatus(candidate) === 'active');
     return token ? token.token : null;
   }
 
   /**
-   * Regenerate registration token
-   * Invalidates old token and creates new one
+   * Regenerate the default registration token
+   * Revokes the previous default tokens and creates a new one; named tokens are left alone
    * @returns {Promise<string>} New token
    */
   async regenerateToken() {
-    // Invalidate all existing tokens
-    await this.tokenRepository.invalidateAllTokens();
-    
-    // Generate new token
+    const tokens = await this.tokenRepository.findActiveTokens();
+    for (const token of tokens.filter(candidate => this.isDefaultToken(candidate))) {
+      await this.tokenRepository.update(token.id, { active: 0 });
+    }
+
     return await this.generateRegistrationToken();
   }
+
+  /**
+   * Check whether a token is the default one (created without a name)
+   * @param {object} token - Token record
+   * @returns {boolean} True for default tokens
+   */
+  isDefaultToken(token) {
+    return !token.name || token.name === DEFAULT_TOKEN_NAME;
+  }
+
+  /**
+   * Get the status of a token
+   * @param {object} token - Token record
+   * @returns {string} active, revoked, expired or exhausted
+   */
+  getTokenStatus(token) {
+    if (token.active !== 1) {
+      return 'revoked';
+    }
+    if (token.expires_at && new Date(token.expires_at) < new Date()) {
+      return 'expired';
+    }
+    if (token.max_uses && (token.uses || 0) >= token.max_uses) {
+      return 'exhausted';
+    }
+    return 'active';
+  }
+
+  /**
+   * Parse the labels of a token
+   * @param {object} token - Token record
+   * @returns {object} Labels
+   */
+  getTokenLabels(token) {
+    return this.workerRepository.parseJson(token.labels, {});
+  }
+
+  /**
+   * Validate options for a new token
+   * @param {object} options - { name, expires_at, max_uses, labels }
+   * @returns {object} { name, expiresAt, maxUses, labels }
+   * @throws {Error} If an option is invalid
+   */
+  validateTokenOptions(options) {
+    const name = typeof options.name === 'string' ? options.name.trim() : '';
+    if (!name || name.length > 64) {
+      throw new Error('Invalid token: name is required (at most 64 characters)');
+    }
+    if (name.toLowerCase() === DEFAULT_TOKEN_NAME) {
+      throw new Error(`Invalid token: ${DEFAULT_TOKEN_NAME} is reserved for the default token`);
+    }
+
+    let expiresAt = null;
+    if (options.expires_at !== undefined && options.expires_at !== null && options.expires_at !== '') {
+      const date = new Date(options.expires_at);
+      if (Number.isNaN(date.getTime()) || date <= new Date()) {
+        throw new Error('Invalid token: expires_at must be a future date');
+      }
+      expiresAt = date.toISOString();
+    }
+
+    let maxUses = null;
+    if (options.max_uses !== undefined && options.max_uses !== null && options.max_uses !== '') {
+      if (!Number.isInteger(options.max_uses) || options.max_uses < 1) {
+        throw new Error('Invalid token: max_uses must be a positive integer');
+      }
+      maxUses = options.max_uses;
+    }
+
+    // Required lazily: WorkerService depends on this service
+    const WorkerService = require('./WorkerService');
+    const labels = options.labels !== undefined && options.labels !== null
+      ? WorkerService.validateLabels(options.labels)
+      : {};
+
+    return { name, expiresAt, maxUses, labels };
+  }
+
+  /**
+   * Format token for API responses
+   * @param {object} token - Token record
+   * @param {Array<object>} workers - Workers that joined with the token
+   * @returns {object} Token response
+   */
+  formatToken(token, workers) {
+    return {
+      id: token.id,
+      name: token.name || DEFAULT_TOKEN_NAME,
+      token: token.token,
+      status: this.getTokenStatus(token),
+      expires_at: token.expires_at || null,
+      max_uses: token.max_uses || null,
+      uses: token.uses || 0,
+      labels: this.getTokenLabels(token),
+      workers: workers.map(worker => ({
+        id: worker.id,
+        hostname: worker.hostname,
+        ip_address: worker.ip_address,
+        status: worker.status
+      })),
+      created_at: token.created_at
+    };
+  }
 }
 
-module.exports = new TokenService(TokenRepository);
+module.exports = new TokenService(TokenRepository, WorkerRepository);
@@ -0,0 +1,304 @@
+const { randomBytes, createHash } = require('crypto');
+const QRCode = require('qrcode');
+const UserRepository = require('../repos/UserRepository');
+const SettingsService = require('./SettingsService');
+const JWTService = require('./JWTService');
+const totp = require('../utils/totp');
+const { comparePassword } = require('../utils/password');
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Two-Factor Service - TOTP enrollment and verification for conductor logins
+ *
+ * Users enroll by scanning a QR code (or typing the secret) into any authenticator app and
+ * confirming a code. They get one-time recovery codes for when the app is lost; only hashes
+ * of those are stored. Everything works offline: codes are checked against the conductor's
+ * clock and the QR code is drawn by the conductor.
+ */
+class TwoFactorService {
+  constructor(userRepository, settingsService, jwtService) {
+    this.userRepository = userRepository;
+    this.settingsService = settingsService;
+    this.jwtService = jwtService;
+  }
+
+  /**
+   * Get the 2FA status of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<object>} { enabled, required, setup_required, recovery_codes_remaining }
+   * @throws {Error} If user not found
+   */
+  async getStatus(userId) {
+    const user = await this.getUser(userId);
+    const required = await this.settingsService.get('require_two_factor');
+    const enabled = user.totp_enabled === 1;
+
+    return {
+      enabled,
+      required,
+      setup_required: required && !enabled,
+      recovery_codes_remaining: enabled ? this.getRecoveryCodeHashes(user).length : 0
+    };
+  }
+
+  /**
+   * Check if a user still has to enroll because 2FA is required for everyone
+   * @param {object} user - User record
+   * @returns {Promise<boolean>} True if the user must enroll before using the API
+   */
+  async isSetupRequired(user) {
+    return user.totp_enabled !== 1 && await this.settingsService.get('require_two_factor');
+  }
+
+  /**
+   * Start enrollment with a new secret
+   * Any unfinished enrollment is replaced.
+   * @param {string} userId - User ID
+   * @returns {Promise<object>} { secret, otpauth_url, qr_code } - qr_code is a PNG data URL
+   * @throws {Error} If 2FA is already enabled
+   */
+  async startSetup(userId) {
+    const user = await this.getUser(userId);
+
+    if (user.totp_enabled === 1) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+    await this.userRepository.update(userId, { totp_secret: secret, totp_enabled: 0 });
+
+    const otpauthUrl = totp.getProvisioningUri(secret, user.username);
+    return {
+      secret,
+      otpauth_url: otpauthUrl,
+      qr_code: await QRCode.toDataURL(otpauthUrl)
+    };
+  }
+
+  /**
+   * Finish enrollment by confirming a code from the authenticator app
+   * @param {string} userId - User ID
+   * @param {string} code - Current TOTP code
+   * @returns {Promise<object>} { recovery_codes } - only returned here
+   * @throws {Error} If enrollment was not started, is finished or the code is wrong
+   */
+  async enable(userId, code) {
+    const user = await this.getUser(userId);
+
+    if (user.totp_enabled === 1) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+    if (!user.totp_secret) {
+      throw new Error('Two-factor setup has not been started');
+    }
+
+    const counter = totp.verifyCode(user.totp_secret, code);
+    if (counter === null) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await this.userRepository.update(userId, {
+      totp_enabled: 1,
+      totp_last_counter: counter,
+      recovery_codes: JSON.stringify(recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode)))
+    });
+
+    return { recovery_codes: recoveryCodes };
+  }
+
+  /**
+   * Turn 2FA off for a user
+   * @param {string} userId - User ID
+   * @param {string} password - Current password
+   * @param {string} code - TOTP or recovery code
+   * @throws {Error} If 2FA is required for everyone, not enabled, or the password or code is wrong
+   */
+  async disable(userId, password, code) {
+    const user = await this.getUser(userId);
+
+    if (await this.settingsService.get('require_two_factor')) {
+      throw new Error('Cannot disable two-factor authentication while it is required for all users');
+    }
+    if (user.totp_enabled !== 1) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+    if (!password || !await comparePassword(password, user.password_hash)) {
+      throw new Error('Current password is incorrect');
+    }
+    if (!await this.verifyLoginCode(user, code)) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    await this.reset(userId);
+  }
+
+  /**
+   * Replace the recovery codes of a user
+   * @param {string} userId - User ID
+   * @param {string} code - Current TOTP code
+   * @returns {Promise<object>} { recovery_codes } - only returned here
+   * @throws {Error} If 2FA is not enabled or the code is wrong
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await this.getUser(userId);
+
+    if (user.totp_enabled !== 1) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+    if (!await this.verifyTotp(user, code)) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await this.userRepository.update(userId, {
+      recovery_codes: JSON.stringify(recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode)))
+    });
+
+    return { recovery_codes: recoveryCodes };
+  }
+
+  /**
+   * Remove 2FA from a user (e.g. an admin helping someone who lost their device)
+   * @param {string} userId - User ID
+   * @throws {Error} If user not found
+   */
+  async reset(userId) {
+    await this.getUser(userId);
+    await this.userRepository.update(userId, {
+      totp_secret: null,
+      totp_enabled: 0,
+      totp_last_counter: null,
+      recovery_codes: null
+    });
+  }
+
+  /**
+   * Check the second step of a login: a TOTP code, or a recovery code (used up)
+   * @param {object} user - User record
+   * @param {string} code - Code entered by the user
+   * @returns {Promise<boolean>} True if the code is valid
+   */
+  async verifyLoginCode(user, code) {
+    if (await this.verifyTotp(user, code)) {
+      return true;
+    }
+
+    const hash = this.hashRecoveryCode(code || '');
+    const hashes = this.getRecoveryCodeHashes(user);
+    if (!code || !hashes.includes(hash)) {
+      return false;
+    }
+
+    await this.userRepository.update(user.id, {
+      recovery_codes: JSON.stringify(hashes.filter(existing => existing !== hash))
+    });
+    return true;
+  }
+
+  /**
+   * Check a TOTP code, rejecting codes at or before the last accepted one (replays)
+   * @param {object} user - User record
+   * @param {string} code - Code entered by the user
+   * @returns {Promise<boolean>} True if the code is valid
+   */
+  async verifyTotp(user, code) {
+    if (!user.totp_secret) {
+      return false;
+    }
+
+    const counter = totp.verifyCode(user.totp_secret, code);
+    if (counter === null || (user.totp_last_counter !== null && user.totp_last_counter !== undefined && counter <= user.totp_last_counter)) {
+      return false;
+    }
+
+    await this.userRepository.update(user.id, { totp_last_counter: counter });
+    user.totp_last_counter = counter;
+    return true;
+  }
+
+  /**
+   * Create the challenge token returned after the password step
+   * @param {object} user - User record
+   * @returns {string} Challenge token
+   */
+  createChallenge(user) {
+    return this.jwtService.generateTwoFactorChallenge(user);
+  }
+
+  /**
+   * Check a challenge token
+   * @param {string} challengeToken - Token from the password step
+   * @returns {string} User ID
+   * @throws {Error} If the token is invalid or expired
+   */
+  verifyChallenge(challengeToken) {
+    let decoded;
+    try {
+      decoded = this.jwtService.verifyToken(challengeToken);
+    } catch (error) {
+      throw new Error('Invalid two-factor challenge');
+    }
+
+    if (decoded.purpose !== 'two_factor') {
+      throw new Error('Invalid two-factor challenge');
+    }
+
+    return decoded.id;
+  }
+
+  /**
+   * Get a user record
+   * @param {string} userId - User ID
+   * @returns {Promise<object>} User record
+   * @throws {Error} If user not found
+   */
+  async getUser(userId) {
+    const user = await this.userRepository.findById(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return user;
+  }
+
+  /**
+   * Get the hashes of a user's unused recovery codes
+   * @param {object} user - User record
+   * @returns {Array<string>} Hashes
+   */
+  getRecoveryCodeHashes(user) {
+    try {
+      const hashes = JSON.parse(user.recovery_codes || '[]');
+      return Array.isArray(hashes) ? hashes : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Generate recovery codes
+   * @returns {Array<string>} Codes like 3f9a1-0c2b7
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+  }
+
+  /**
+   * Hash a recovery code for storage
+   * Codes are compared without case, spaces or dashes
+   * @param {string} code - Recovery code
+   * @returns {string} Hex digest
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^0-9a-z]/g, '');
+    return createHash('sha256').update(normalized).digest('hex');
+  }
+}
+
+module.exports = new TwoFactorService(UserRepository, SettingsService, JWTService);
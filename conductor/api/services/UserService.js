@@ -1,25 +1,37 @@
 const UserRepository = require('../repos/UserRepository');
-const JWTService = require('./JWTService');
+const SessionService = require('./SessionService');
+const TwoFactorService = require('./TwoFactorService');
+const LiveConnectionService = require('./LiveConnectionService');
 const { comparePassword, hashPassword } = require('../utils/password');
+const { ROLES, isValidRole, getPermissions } = require('../utils/permissions');
+
+// Credentials of the account seeded on first start; they must be changed before the API can be used
+const DEFAULT_USERNAME = 'admin';
+const DEFAULT_PASSWORD = 'admin';
 
 /**
  * User Service - Business logic for user operations
  */
 class UserService {
-  constructor(userRepository, jwtService) {
+  constructor(userRepository, sessionService, twoFactorService, liveConnectionService) {
     this.userRepository = userRepository;
-    this.jwtService = jwtService;
+    this.sessionService = sessionService;
+    this.twoFactorService = twoFactorService;
+    this.liveConnectionService = liveConnectionService;
   }
 
   /**
-   * Authenticate user with username and password
+   * Authenticate user with username and password and start a session
+   * Users with 2FA get a challenge token instead, to finish with completeTwoFactorLogin().
+   * Logging in with the default admin/admin credentials flags the account for a password change.
    * @param {string} username
    * @param {string} password
-   * @returns {Promise<object>} Object with token and user info
+   * @param {object} [client] - { device, ip_address } recorded on the session
+   * @returns {Promise<object>} Access token, refresh token and user info, or { two_factor_required, challenge_token }
    * @throws {Error} If credentials are invalid
    */
-  async authenticate(username, password) {
-    const user = await this.userRepository.findByUsername(username);
+  async authenticate(username, password, client = {}) {
+    let user = await this.userRepository.findByUsername(username);
     
     if (!user) {
       throw new Error('Invalid credentials');
@@ -31,15 +43,70 @@ class UserService {
       throw new Error('Invalid credentials');
     }
 
-    const token = this.jwtService.generateToken(user);
+    if (user.disabled === 1) {
+      throw new Error('Account is disabled');
+    }
+
+    if (user.password_change_required !== 1 && user.username === DEFAULT_USERNAME && password === DEFAULT_PASSWORD) {
+      user = await this.userRepository.update(user.id, { password_change_required: 1 });
+    }
+
+    if (user.totp_enabled === 1) {
+      return {
+        two_factor_required: true,
+        challenge_token: this.twoFactorService.createChallenge(user)
+      };
+    }
+
+    return await this.startSession(user, client);
+  }
+
+  /**
+   * Finish a 2FA login with a TOTP or recovery code and start a session
+   * @param {string} challengeToken - Token from the password step
+   * @param {string} code - TOTP code or recovery code
+   * @param {object} [client] - { device, ip_address } recorded on the session
+   * @returns {Promise<object>} Object with access token, refresh token and user info
+   * @throws {Error} If the challenge or code is invalid, or the account is disabled
+   */
+  async completeTwoFactorLogin(challengeToken, code, client = {}) {
+    const userId = this.twoFactorService.verifyChallenge(challengeToken);
+    const user = await this.userRepository.findById(userId);
+
+    if (!user || user.totp_enabled !== 1) {
+      throw new Error('Invalid two-factor challenge');
+    }
+    if (user.disabled === 1) {
+      throw new Error('Account is disabled');
+    }
+    if (!await this.twoFactorService.verifyLoginCode(user, code)) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    return await this.startSession(user, client);
+  }
+
+  /**
+   * Start a session for a user who passed every login step
+   * @param {object} user - User record
+   * @param {object} client - { device, ip_address }
+   * @returns {Promise<object>} Object with access token, refresh token and user info
+   */
+  async startSession(user, client) {
+    const { token, refresh_token: refreshToken } = await this.sessionService.createSession(user, client);
 
     return {
       token,
+      refresh_token: refreshToken,
       user: {
         id: user.id,
         username: user.username,
         email: user.email,
-        role: user.role
+        role: user.role,
+        permissions: getPermissions(user.role),
+        two_factor_enabled: user.totp_enabled === 1,
+        two_factor_setup_required: await this.twoFactorService.isSetupRequired(user),
+        password_change_required: user.password_change_required === 1
       }
     };
   }
@@ -62,6 +129,10 @@ class UserService {
       username: user.username,
       email: user.email,
       role: user.role,
+      permissions: getPermissions(user.role),
+      two_factor_enabled: user.totp_enabled === 1,
+      two_factor_setup_required: await this.twoFactorService.isSetupRequired(user),
+      password_change_required: user.password_change_required === 1,
       created_at: user.created_at,
       updated_at: user.updated_at
     };
@@ -89,13 +160,15 @@ class UserService {
 
   /**
    * Update user password
+   * Signs out every other session of the user.
    * @param {string} userId - User ID
    * @param {string} currentPassword - Current password for verification
    * @param {string} newPassword - New password
+   * @param {string} [currentSessionId] - Session making the change, which stays signed in
    * @returns {Promise<object>} Updated user info
    * @throws {Error} If current password is invalid or user not found
    */
-  async updatePassword(userId, currentPassword, newPassword) {
+  async updatePassword(userId, currentPassword, newPassword, currentSessionId) {
     // Get user
     const user = await this.userRepository.findById(userId);
     
@@ -114,14 +187,19 @@ class UserService {
     if (!newPassword || newPassword.length < 6) {
       throw new Error('New password must be at least 6 characters long');
     }
+    if (newPassword === currentPassword) {
+      throw new Error('New password must be different from the current password');
+    }
 
     // Hash new password
     const newPasswordHash = await hashPassword(newPassword);
 
     // Update password
     await this.userRepository.update(userId, {
-      password_hash: newPasswordHash
+      password_hash: newPasswordHash,
+      password_change_required: 0
     });
+    await this.sessionService.revokeUserSessions(userId, currentSessionId);
 
     // Return updated user info (without password hash)
     return {
@@ -219,6 +297,164 @@ class UserService {
       role: updatedUser.role
     };
   }
+
+  /**
+   * Get all users
+   * @returns {Promise<Array>} Formatted users, oldest first
+   */
+  async listUsers() {
+    const users = await this.userRepository.findAll();
+    return users
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+      .map(user => this.formatUser(user));
+  }
+
+  /**
+   * Create a user account (admin user management)
+   * @param {object} accountData - { username, email, password, role }
+   * @returns {Promise<object>} Formatted user
+   * @throws {Error} If a field is invalid or the username/email is taken
+   */
+  async createUserAccount(accountData = {}) {
+    const username = typeof accountData.username === 'string' ? accountData.username.trim() : '';
+    const email = typeof accountData.email === 'string' ? accountData.email.trim() : '';
+    const role = accountData.role === undefined ? 'viewer' : accountData.role;
+
+    if (username.length < 3) {
+      throw new Error('Invalid user: username must be at least 3 characters long');
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      throw new Error('Invalid user: email is not valid');
+    }
+    if (typeof accountData.password !== 'string' || accountData.password.length < 6) {
+      throw new Error('Invalid user: password must be at least 6 characters long');
+    }
+    this.validateRole(role);
+
+    const user = await this.createUser({
+      username,
+      email,
+      password_hash: await hashPassword(accountData.password),
+      role,
+      disabled: 0
+    });
+
+    return this.formatUser(user);
+  }
+
+  /**
+   * Change the role of a user
+   * The last enabled admin cannot be demoted. Open event streams and frontend sockets of the
+   * user are closed, so they reconnect with the permissions of the new role.
+   * @param {string} userId - User ID
+   * @param {string} role - admin, operator or viewer
+   * @returns {Promise<object>} Formatted user
+   * @throws {Error} If the role is invalid, the user is not found or is the last admin
+   */
+  async setRole(userId, role) {
+    this.validateRole(role);
+    const user = await this.getUserRecord(userId);
+
+    if (user.role === 'admin' && role !== 'admin' && user.disabled !== 1) {
+      await this.ensureOtherAdmin(userId);
+    }
+
+    const updated = await this.userRepository.update(userId, { role });
+    if (role !== user.role) {
+      this.liveConnectionService.closeUser(userId, 'Role changed');
+    }
+    return this.formatUser(updated);
+  }
+
+  /**
+   * Disable or enable a user
+   * Disabled users cannot log in, their tokens stop working and their open event streams and
+   * frontend sockets are closed. Admins cannot disable
+   * themselves or the last enabled admin.
+   * @param {string} userId - User ID
+   * @param {boolean} disabled - True to disable, false to enable
+   * @param {string} actorId - ID of the admin making the change
+   * @returns {Promise<object>} Formatted user
+   * @throws {Error} If the user is not found or cannot be disabled
+   */
+  async setDisabled(userId, disabled, actorId) {
+    const user = await this.getUserRecord(userId);
+
+    if (disabled) {
+      if (userId === actorId) {
+        throw new Error('Cannot disable your own account');
+      }
+      if (user.role === 'admin' && user.disabled !== 1) {
+        await this.ensureOtherAdmin(userId);
+      }
+    }
+
+    const updated = await this.userRepository.update(userId, { disabled: disabled ? 1 : 0 });
+    if (disabled) {
+      this.liveConnectionService.closeUser(userId, 'Account is disabled');
+    }
+    return this.formatUser(updated);
+  }
+
+  /**
+   * Get a user record
+   * @param {string} userId - User ID
+   * @returns {Promise<object>} User record
+   * @throws {Error} If user not found
+   */
+  async getUserRecord(userId) {
+    const user = await this.userRepository.findById(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return user;
+  }
+
+  /**
+   * Make sure an enabled admin other than the given user exists
+   * @param {string} userId - User ID
+   * @throws {Error} If the user is the last enabled admin
+   */
+  async ensureOtherAdmin(userId) {
+    const users = await this.userRepository.findAll();
+    const otherAdmins = users.filter(user => user.id !== userId && user.role === 'admin' && user.disabled !== 1);
+
+    if (otherAdmins.length === 0) {
+      throw new Error('Cannot remove the last admin');
+    }
+  }
+
+  /**
+   * Validate a role name
+   * @param {string} role - Role name
+   * @throws {Error} If the role is not defined
+   */
+  validateRole(role) {
+    if (!isValidRole(role)) {
+      throw new Error(`Invalid role: must be one of ${ROLES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Format user for API responses (without password hash)
+   * @param {object} user - User record
+   * @returns {object} User response
+   */
+  formatUser(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      permissions: getPermissions(user.role),
+      disabled: user.disabled === 1,
+      two_factor_enabled: user.totp_enabled === 1,
+      created_at: user.created_at,
+      updated_at: user.updated_at
+    };
+  }
 }
 
-module.exports = new UserService(UserRepository, JWTService);
+module.exports = new UserService(UserRepository, SessionService, TwoFactorService, LiveConnectionService);
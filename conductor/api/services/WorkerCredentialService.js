@@ -0,0 +1,93 @@
+const { randomBytes, createHash, timingSafeEqual } = require('crypto');
+const WorkerRepository = require('../repos/WorkerRepository');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'credentials' });
+
+/**
+ * Worker Credential Service - Per-worker secrets issued at registration
+ *
+ * A worker trades the shared registration token for its own credential when it registers.
+ * Only a hash of the credential is stored; the worker presents the credential on every
+ * HTTP call and socket registration afterwards. Revoking one worker's credential does not
+ * affect any other worker.
+ */
+class WorkerCredentialService {
+  constructor(workerRepository) {
+    this.workerRepository = workerRepository;
+  }
+
+  /**
+   * Issue a new credential for a worker, replacing any previous one
+   * @param {string} workerId - Worker ID
+   * @returns {Promise<string>} Credential (only returned here, never stored in plain text)
+   */
+  async issueCredential(workerId) {
+    const credential = `wkr_${randomBytes(32).toString('hex')}`;
+
+    await this.workerRepository.update(workerId, {
+      credential_hash: this.hashCredential(credential),
+      credential_issued_at: new Date().toISOString()
+    });
+
+    return credential;
+  }
+
+  /**
+   * Check a credential presented by a worker
+   * @param {string} workerId - Worker ID
+   * @param {string} credential - Credential presented by the worker
+   * @returns {Promise<boolean>} True if the worker exists and the credential is its current one
+   */
+  async verifyCredential(workerId, credential) {
+    if (!workerId || !credential || typeof credential !== 'string') {
+      return false;
+    }
+
+    const worker = await this.workerRepository.findById(workerId);
+    if (!worker || !worker.credential_hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(worker.credential_hash, 'hex');
+    const actual = Buffer.from(this.hashCredential(credential), 'hex');
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Revoke the credential and client certificate of a worker
+   * The worker can only talk to the conductor again after registering with a registration token.
+   * @param {string} workerId - Worker ID
+   * @returns {Promise<object>} Updated worker
+   * @throws {Error} If worker not found
+   */
+  async revokeCredential(workerId) {
+    const worker = await this.workerRepository.findById(workerId);
+
+    if (!worker) {
+      throw new Error('Worker not found');
+    }
+
+    await this.workerRepository.update(workerId, {
+      credential_hash: null,
+      credential_issued_at: null,
+      certificate_fingerprint: null,
+      certificate_expires_at: null
+    });
+    log.info('Worker credential revoked', { worker_id: workerId, hostname: worker.hostname });
+
+    return await this.workerRepository.findByIdWithResources(workerId);
+  }
+
+  /**
+   * Hash a credential for storage
+   * Credentials are long random strings, so a plain SHA-256 is enough
+   * @param {string} credential - Credential
+   * @returns {string} Hex digest
+   */
+  hashCredential(credential) {
+    return createHash('sha256').update(credential).digest('hex');
+  }
+}
+
+module.exports = new WorkerCredentialService(WorkerRepository);
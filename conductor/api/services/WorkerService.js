@@ -1,32 +1,105 @@
 const WorkerRepository = require('../repos/WorkerRepository');
 const TokenService = require('./TokenService');
+const WorkerCredentialService = require('./WorkerCredentialService');
+const EventService = require('./EventService');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'workers' });
+
+// Label keys like zone, disk, arch or example.com/tier
+const LABEL_KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._/-]*$/;
+
+// NoSchedule repels services without a matching toleration,
+// PreferNoSchedule only ranks the worker below untainted ones
+const TAINT_EFFECTS = ['NoSchedule', 'PreferNoSchedule'];
 
 /**
  * Worker Service - Business logic for worker operations
  */
 class WorkerService {
-  constructor(workerRepository, tokenService) {
+  constructor(workerRepository, tokenService, credentialService, eventService) {
     this.workerRepository = workerRepository;
     this.tokenService = tokenService;
+    this.credentialService = credentialService;
+    this.eventService = eventService;
   }
 
   /**
-   * Register a new worker
+   * Register a worker with a registration token
+   * Counts as one use of the token and applies the token's labels (labels the worker declares
+   * win on overlap). Issues a new credential for the worker, replacing any it had before.
    * @param {string} token - Registration token
    * @param {string} hostname - Worker hostname
    * @param {string} ipAddress - Worker IP address
    * @param {object} resources - Initial resource information
    * @param {string} [existingWorkerId] - Optional existing worker ID to use
-   * @returns {Promise<object>} Registered worker
-   * @throws {Error} If token is invalid or registration fails
+   * @param {object} [placement] - Labels, taints and capabilities declared by the worker
+   * @returns {Promise<object>} Registered worker, with its new credential in credential
+   * @throws {Error} If token is invalid, placement data is invalid or registration fails
+   */
+  async registerWorker(token, hostname, ipAddress, resources = {}, existingWorkerId = null, placement = {}) {
+    // Reject invalid placement data before it uses up the token
+    this.normalizePlacement(placement);
+
+    const joinToken = await this.tokenService.redeemToken(token);
+    const tokenLabels = this.tokenService.getTokenLabels(joinToken);
+    const labels = placement.labels === undefined || placement.labels === null
+      ? tokenLabels
+      : { ...tokenLabels, ...placement.labels };
+
+    const worker = await this.saveRegistration(hostname, ipAddress, resources, existingWorkerId, { ...placement, labels });
+    await this.workerRepository.update(worker.id, { registration_token_id: joinToken.id });
+    const credential = await this.credentialService.issueCredential(worker.id);
+
+    await this.eventService.record({
+      type: 'worker.registered',
+      severity: 'info',
+      source: 'worker_service',
+      subject_type: 'worker',
+      subject_id: worker.id,
+      message: `Worker ${hostname} registered with a registration token`,
+      payload: { hostname, ip_address: ipAddress, registration_token_id: joinToken.id }
+    });
+
+    return { ...(await this.workerRepository.findByIdWithResources(worker.id)), credential };
+  }
+
+  /**
+   * Register a worker again with the credential it was issued
+   * Used when a registered worker restarts or reconnects; no registration token is needed.
+   * @param {string} workerId - Worker ID
+   * @param {string} credential - Worker credential
+   * @param {string} hostname - Worker hostname
+   * @param {string} ipAddress - Worker IP address
+   * @param {object} resources - Current resource information
+   * @param {object} [placement] - Labels, taints and capabilities declared by the worker
+   * @returns {Promise<object>} Registered worker (credential is null, the current one stays valid)
+   * @throws {Error} If the credential is invalid or placement data is invalid
    */
-  async registerWorker(token, hostname, ipAddress, resources = {}, existingWorkerId = null) {
-    // Validate registration token
-    const isValidToken = await this.tokenService.validateToken(token);
-    if (!isValidToken) {
-      throw new Error('Invalid registration token');
+  async reregisterWorker(workerId, credential, hostname, ipAddress, resources = {}, placement = {}) {
+    const isValidCredential = await this.credentialService.verifyCredential(workerId, credential);
+    if (!isValidCredential) {
+      throw new Error('Invalid worker credential');
     }
 
+    const worker = await this.saveRegistration(hostname, ipAddress, resources, workerId, placement);
+
+    return { ...worker, credential: null };
+  }
+
+  /**
+   * Create or update the worker record of a registration
+   * @param {string} hostname - Worker hostname
+   * @param {string} ipAddress - Worker IP address
+   * @param {object} resources - Resource information
+   * @param {string} [existingWorkerId] - Existing worker ID to use if it exists
+   * @param {object} [placement] - Labels, taints and capabilities declared by the worker
+   * @returns {Promise<object>} Worker with parsed resources
+   * @throws {Error} If placement data is invalid
+   */
+  async saveRegistration(hostname, ipAddress, resources = {}, existingWorkerId = null, placement = {}) {
+    const declared = this.normalizePlacement(placement);
+
     // If existingWorkerId is provided, check if it exists and use it
     if (existingWorkerId) {
       try {
@@ -38,7 +111,8 @@ class WorkerService {
             ip_address: ipAddress,
             status: 'online',
             last_seen: new Date().toISOString(),
-            resources: JSON.stringify(resources)
+            resources: JSON.stringify(resources),
+            ...this.mergePlacement(existingWorker, declared)
           });
 
           // Update resources record
@@ -56,7 +130,7 @@ class WorkerService {
         }
       } catch (error) {
         // Worker ID doesn't exist, continue with normal registration
-        console.log(`[WorkerService] Worker ID ${existingWorkerId} not found, creating new worker`);
+        log.info('Worker ID not found, creating new worker', { worker_id: existingWorkerId });
       }
     }
 
@@ -74,7 +148,8 @@ class WorkerService {
         ip_address: ipAddress,
         status: 'online',
         last_seen: new Date().toISOString(),
-        resources: JSON.stringify(resources)
+        resources: JSON.stringify(resources),
+        ...this.mergePlacement(existingWorker, declared)
       });
 
       // Update resources record
@@ -97,7 +172,8 @@ class WorkerService {
       ip_address: ipAddress,
       status: 'online',
       last_seen: new Date().toISOString(),
-      resources: JSON.stringify(resources)
+      resources: JSON.stringify(resources),
+      ...this.mergePlacement({}, declared)
     });
 
     // Create resource record if resources provided
@@ -216,6 +292,198 @@ class WorkerService {
     return workersWithResources;
   }
 
+  /**
+   * Replace the labels of a worker
+   * The admin's values, and the removal of labels, win over what the worker declares later.
+   * @param {string} workerId - Worker ID
+   * @param {object} labels - Labels, e.g. { zone: 'garage' }
+   * @returns {Promise<object>} Updated worker
+   * @throws {Error} If worker not found or labels are invalid
+   */
+  async updateLabels(workerId, labels) {
+    const worker = await this.workerRepository.findById(workerId);
+
+    if (!worker) {
+      throw new Error('Worker not found');
+    }
+
+    const validated = this.validateLabels(labels);
+    const adminLabels = this.workerRepository.parseJson(worker.admin_labels, {});
+    for (const key of Object.keys(this.workerRepository.parseJson(worker.labels, {}))) {
+      if (!(key in validated)) {
+        adminLabels[key] = null;
+      }
+    }
+
+    await this.workerRepository.update(workerId, {
+      labels: JSON.stringify(validated),
+      admin_labels: JSON.stringify({ ...adminLabels, ...validated })
+    });
+
+    return await this.workerRepository.findByIdWithResources(workerId);
+  }
+
+  /**
+   * Replace the taints of a worker
+   * Like labels, taints set or removed here win over what the worker declares later.
+   * @param {string} workerId - Worker ID
+   * @param {Array<object>} taints - Taints, e.g. [{ key: 'gpu', value: 'true', effect: 'NoSchedule' }]
+   * @returns {Promise<object>} Updated worker
+   * @throws {Error} If worker not found or taints are invalid
+   */
+  async updateTaints(workerId, taints) {
+    const worker = await this.workerRepository.findById(workerId);
+
+    if (!worker) {
+      throw new Error('Worker not found');
+    }
+
+    const validated = this.validateTaints(taints);
+    const adminTaints = this.workerRepository.parseJson(worker.admin_taints, {});
+    for (const taint of this.workerRepository.parseJson(worker.taints, [])) {
+      adminTaints[taint.key] = null;
+    }
+    for (const taint of validated) {
+      adminTaints[taint.key] = taint;
+    }
+
+    await this.workerRepository.update(workerId, {
+      taints: JSON.stringify(validated),
+      admin_taints: JSON.stringify(adminTaints)
+    });
+
+    return await this.workerRepository.findByIdWithResources(workerId);
+  }
+
+  /**
+   * Validate the placement data a worker declares at registration
+   * @param {object} placement - { labels, taints, capabilities } (each optional)
+   * @returns {object} Normalized placement data (undefined for fields not declared)
+   * @throws {Error} If any field is invalid
+   */
+  normalizePlacement(placement = {}) {
+    return {
+      labels: placement.labels !== undefined && placement.labels !== null
+        ? this.validateLabels(placement.labels)
+        : undefined,
+      taints: placement.taints !== undefined && placement.taints !== null
+        ? this.validateTaints(placement.taints)
+        : undefined,
+      capabilities: placement.capabilities !== undefined && placement.capabilities !== null
+        ? this.validateCapabilities(placement.capabilities)
+        : undefined
+    };
+  }
+
+  /**
+   * Merge declared placement data into a worker's stored placement data
+   * Declared labels and taints win over stored ones with the same key, except for keys an admin
+   * set or removed (admin_labels, admin_taints), which keep the admin's choice. Capabilities are
+   * detected facts and are replaced.
+   * @param {object} worker - Stored worker record ({} for a new worker)
+   * @param {object} declared - Normalized placement data
+   * @returns {object} Column updates
+   */
+  mergePlacement(worker, declared) {
+    const updates = {};
+    const stored = (value, fallback) => this.workerRepository.parseJson(value, fallback);
+
+    if (declared.labels) {
+      const labels = { ...stored(worker.labels, {}), ...declared.labels };
+      for (const [key, value] of Object.entries(stored(worker.admin_labels, {}))) {
+        if (value === null) {
+          delete labels[key];
+        } else {
+          labels[key] = value;
+        }
+      }
+      updates.labels = JSON.stringify(labels);
+    }
+
+    if (declared.taints) {
+      const adminTaints = stored(worker.admin_taints, {});
+      const declaredKeys = new Set(declared.taints.map(taint => taint.key));
+      const kept = stored(worker.taints, []).filter(taint => !declaredKeys.has(taint.key));
+      const merged = [...kept, ...declared.taints].filter(taint => !(taint.key in adminTaints));
+      const admin = Object.values(adminTaints).filter(taint => taint !== null);
+      updates.taints = JSON.stringify([...merged, ...admin]);
+    }
+
+    if (declared.capabilities) {
+      updates.capabilities = JSON.stringify(declared.capabilities);
+    }
+
+    return updates;
+  }
+
+  /**
+   * Validate labels
+   * @param {object} labels - Labels object
+   * @returns {object} Labels with string values
+   * @throws {Error} If labels are invalid
+   */
+  validateLabels(labels) {
+    if (!labels || typeof labels !== 'object' || Array.isArray(labels)) {
+      throw new Error('Invalid labels: must be an object of key/value pairs');
+    }
+
+    const normalized = {};
+    for (const [key, value] of Object.entries(labels)) {
+      if (!LABEL_KEY_PATTERN.test(key)) {
+        throw new Error(`Invalid labels: ${key} is not a valid key`);
+      }
+      if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        throw new Error(`Invalid labels: value of ${key} must be a string`);
+      }
+      normalized[key] = String(value);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Validate taints
+   * @param {Array<object>} taints - Taints ({ key, value, effect })
+   * @returns {Array<object>} Taints with defaults applied (effect NoSchedule, value null)
+   * @throws {Error} If taints are invalid
+   */
+  validateTaints(taints) {
+    if (!Array.isArray(taints)) {
+      throw new Error('Invalid taints: must be an array');
+    }
+
+    return taints.map(taint => {
+      if (!taint || typeof taint !== 'object' || !LABEL_KEY_PATTERN.test(String(taint.key || ''))) {
+        throw new Error('Invalid taints: each taint needs a valid key');
+      }
+
+      const effect = taint.effect || 'NoSchedule';
+      if (!TAINT_EFFECTS.includes(effect)) {
+        throw new Error(`Invalid taints: effect must be one of ${TAINT_EFFECTS.join(', ')}`);
+      }
+
+      return {
+        key: taint.key,
+        value: taint.value !== undefined && taint.value !== null ? String(taint.value) : null,
+        effect
+      };
+    });
+  }
+
+  /**
+   * Validate capabilities
+   * @param {Array<string>} capabilities - Capability names
+   * @returns {Array<string>} Unique capability names
+   * @throws {Error} If capabilities are invalid
+   */
+  validateCapabilities(capabilities) {
+    if (!Array.isArray(capabilities) || capabilities.some(c => typeof c !== 'string' || !c.trim())) {
+      throw new Error('Invalid capabilities: must be an array of names');
+    }
+
+    return [...new Set(capabilities.map(c => c.trim()))];
+  }
+
   /**
    * Mark worker as offline (if heartbeat timeout)
    * @param {string} workerId - Worker ID
@@ -234,5 +502,5 @@ class WorkerService {
   }
 }
 
-module.exports = new WorkerService(WorkerRepository, TokenService);
+module.exports = new WorkerService(WorkerRepository, TokenService, WorkerCredentialService, EventService);
 
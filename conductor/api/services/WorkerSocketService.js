@@ -1,6 +1,36 @@
 const { Server } = require('socket.io');
+const { randomUUID } = require('crypto');
 const WorkerService = require('./WorkerService');
 const WorkerRepository = require('../repos/WorkerRepository');
+const CertificateAuthorityService = require('./CertificateAuthorityService');
+const MetricsService = require('./MetricsService');
+const EventService = require('./EventService');
+const PrometheusService = require('./PrometheusService');
+const LiveConnectionService = require('./LiveConnectionService');
+const { resolveCredentials } = require('../middleware/auth');
+const { getPermissions } = require('../utils/permissions');
+const { logger } = require('../utils/logger');
+const { getRequestId } = require('../utils/requestContext');
+
+const log = logger.child({ component: 'socket' });
+
+// Read permission a frontend client needs to receive each event; events not listed are not sent
+const FRONTEND_EVENT_PERMISSIONS = {
+  'worker:resources:updated': 'workers:read',
+  'worker:live:update': 'workers:read',
+  'worker:offline': 'workers:read',
+  'worker:cordoned': 'workers:read',
+  'worker:drain': 'workers:read',
+  'service:rollout': 'services:read',
+  'deployment:status:updated': 'deployments:read',
+  'deployment:stranded': 'deployments:read',
+  'deployment:rescheduled': 'deployments:read',
+  'deployment:recovered': 'deployments:read',
+  'deployment:drift': 'reconciliation:read',
+  'alert:updated': 'alerts:read',
+  'alert:notification': 'alerts:read',
+  'cluster:event': 'events:read'
+};
 
 /**
  * Worker Socket Service - Manages WebSocket connections for real-time worker monitoring
@@ -8,11 +38,20 @@ const WorkerRepository = require('../repos/WorkerRepository');
 class WorkerSocketService {
   constructor() {
     this.io = null;
+    this.serverOptions = null; // Socket.IO options, reused when attaching the TLS listener
     this.workerSockets = new Map(); // Map of workerId -> socket
     this.socketWorkers = new Map(); // Map of socketId -> workerId
     this.workerLastHeartbeat = new Map(); // Map of workerId -> last heartbeat timestamp
     this.heartbeatTimeout = 60 * 1000; // 60 seconds timeout
     this.heartbeatCheckInterval = null;
+    this.pendingInstructions = new Map(); // Map of instructionId -> pending instruction
+    this.instructionQueues = new Map(); // Map of workerId -> [instructionId] waiting for the worker to connect
+    this.instructionAckTimeout = 10 * 1000; // Resend if the worker does not acknowledge within 10 seconds
+    this.instructionResultTimeout = 10 * 60 * 1000; // Image pulls can take a while
+    this.instructionMaxAttempts = 3;
+    // Queued instructions fail if the worker does not connect in time (INSTRUCTION_QUEUE_TTL seconds)
+    this.instructionQueueTtl = (parseInt(process.env.INSTRUCTION_QUEUE_TTL, 10) || 15 * 60) * 1000;
+    this.unsubscribeEvents = null;
   }
 
   /**
@@ -20,54 +59,82 @@ class WorkerSocketService {
    * @param {http.Server} httpServer - HTTP server instance
    */
   initialize(httpServer) {
-    this.io = new Server(httpServer, {
+    this.serverOptions = {
       cors: {
         origin: process.env.CORS_ORIGIN || '*',
         credentials: true
       },
       transports: ['websocket', 'polling']
-    });
+    };
+    this.io = new Server(httpServer, this.serverOptions);
+
+    // With mutual TLS, workers connect to the TLS listener with their client certificate
+    this.io.use((socket, next) => this.authorizeWorkerConnection(socket, next));
+
+    // Push cluster events to frontend clients as they are recorded
+    if (this.unsubscribeEvents) {
+      this.unsubscribeEvents();
+    }
+    this.unsubscribeEvents = EventService.subscribe(event => this.broadcastToFrontend('cluster:event', event));
 
     this.io.on('connection', (socket) => {
-      console.log(`[Socket] Client connected: ${socket.id}`);
+      log.info('Client connected', { socket_id: socket.id });
+      socket.onAny((event) => this.countEvent('/', socket, event));
 
       // Handle worker registration via socket
+      // New workers send the registration token and get a credential back; registered
+      // workers send worker_id and their credential instead
       socket.on('worker:register', async (data) => {
         try {
-          const { token, hostname, ip_address, resources, worker_id } = data;
+          const { token, credential, hostname, ip_address, resources, worker_id, labels, taints, capabilities } = data;
           
-          if (!token) {
+          if (!token && !(credential && worker_id)) {
             socket.emit('error', { message: 'Registration token is required' });
             return;
           }
 
-          // Register worker (pass existing worker_id if provided)
-          const worker = await WorkerService.registerWorker(
-            token,
-            hostname,
-            ip_address,
-            resources || {},
-            worker_id || null
-          );
+          if (CertificateAuthorityService.isMtlsRequired() && worker_id !== socket.data.certificateWorkerId) {
+            socket.emit('error', { message: 'Invalid worker client certificate' });
+            return;
+          }
+
+          const placement = { labels, taints, capabilities };
+          const worker = credential && worker_id
+            ? await WorkerService.reregisterWorker(worker_id, credential, hostname, ip_address, resources || {}, placement)
+            : await WorkerService.registerWorker(token, hostname, ip_address, resources || {}, worker_id || null, placement);
 
           // Associate socket with worker
           this.workerSockets.set(worker.id, socket);
           this.socketWorkers.set(socket.id, worker.id);
 
-          // Send registration success
+          // Send registration success (credential is only set when a new one was issued)
           socket.emit('worker:registered', {
             workerId: worker.id,
             hostname: worker.hostname,
             ip_address: worker.ip_address,
-            status: worker.status
+            status: worker.status,
+            credential: worker.credential
           });
 
           // Join worker-specific room
           socket.join(`worker:${worker.id}`);
 
-          console.log(`[Socket] Worker registered: ${worker.id} (${worker.hostname})`);
+          log.info('Worker registered', { worker_id: worker.id, hostname: worker.hostname, socket_id: socket.id });
+          this.recordWorkerEvent('worker.connected', 'info', worker.id, `Worker ${worker.hostname} connected`, {
+            hostname: worker.hostname,
+            ip_address: worker.ip_address
+          });
+
+          // Deliver instructions queued while the worker was disconnected
+          this.flushInstructionQueue(worker.id);
         } catch (error) {
-          console.error(`[Socket] Registration error:`, error.message);
+          log.warn('Worker registration failed', { worker_id: (data && data.worker_id) || null, hostname: (data && data.hostname) || null, error: error.message });
+          this.recordWorkerEvent('worker.registration_failed', 'warning', data && data.worker_id,
+            `Registration of ${(data && data.hostname) || 'a worker'} failed: ${error.message}`, {
+              hostname: (data && data.hostname) || null,
+              ip_address: (data && data.ip_address) || null,
+              error: error.message
+            });
           socket.emit('error', { message: error.message });
         }
       });
@@ -94,11 +161,15 @@ class WorkerSocketService {
               cpu_cores: resources.cpu_cores,
               ram_gb: resources.ram_gb,
               disk_gb: resources.disk_gb,
-              network_mbps: resources.network_mbps
+              network_mbps: resources.network_mbps,
+              usage: this.summarizeUsage(resources)
             });
+
+            // Keep the detailed metrics as history
+            await MetricsService.recordSample(workerId, resources);
             
             // Broadcast resource update to frontend clients (all)
-            this.io.of('/frontend').to('frontend').emit('worker:resources:updated', {
+            this.broadcastToFrontend('worker:resources:updated', {
               workerId,
               resources: {
                 cpu_cores: resources.cpu_cores,
@@ -125,13 +196,15 @@ class WorkerSocketService {
               },
               timestamp: resources.timestamp || new Date().toISOString()
             };
-            console.log(`[Socket] Emitting worker:live:update to worker:${workerId} room in /frontend namespace`);
+            log.debug('Emitting worker:live:update to subscribed frontend clients', { worker_id: workerId });
             this.io.of('/frontend').to(`worker:${workerId}`).emit('worker:live:update', liveUpdateData);
           }
           
           socket.emit('worker:pong', { timestamp: new Date().toISOString() });
         } catch (error) {
-          console.error(`[Socket] Heartbeat error for worker ${workerId}:`, error.message);
+          log.error('Heartbeat could not be processed', { worker_id: workerId, error: error.message });
+          this.recordWorkerEvent('worker.heartbeat_error', 'error', workerId,
+            `Heartbeat of worker ${workerId} could not be processed: ${error.message}`, { error: error.message });
           socket.emit('error', { message: error.message });
         }
       });
@@ -149,83 +222,144 @@ class WorkerSocketService {
           await WorkerService.updateResources(workerId, resources);
           
           // Broadcast resource update to frontend clients
-          this.io.of('/frontend').to('frontend').emit('worker:resources:updated', {
+          this.broadcastToFrontend('worker:resources:updated', {
             workerId,
             resources
           });
         } catch (error) {
-          console.error(`[Socket] Resource update error for worker ${workerId}:`, error.message);
+          log.error('Resource update could not be processed', { worker_id: workerId, error: error.message });
+          this.recordWorkerEvent('worker.resources_error', 'error', workerId,
+            `Resource update of worker ${workerId} could not be stored: ${error.message}`, { error: error.message });
+          socket.emit('error', { message: error.message });
+        }
+      });
+
+      // Handle container status reports for deployed services
+      socket.on('worker:services:status', async (data) => {
+        const workerId = this.socketWorkers.get(socket.id);
+        if (!workerId) {
+          socket.emit('error', { message: 'Worker not registered' });
+          return;
+        }
+
+        try {
+          // Required here: DeploymentService depends on this service
+          const DeploymentService = require('./DeploymentService');
+          await DeploymentService.reportServiceStatuses(workerId, (data && data.services) || [], {
+            full: Boolean(data && data.full)
+          });
+        } catch (error) {
+          log.error('Service status report could not be processed', { worker_id: workerId, error: error.message });
+          this.recordWorkerEvent('worker.status_error', 'error', workerId,
+            `Service status report of worker ${workerId} could not be stored: ${error.message}`, { error: error.message });
           socket.emit('error', { message: error.message });
         }
       });
 
+      // Handle deployment instruction acknowledgement
+      socket.on('worker:deploy:ack', (data) => {
+        const workerId = this.socketWorkers.get(socket.id);
+        if (!workerId) {
+          socket.emit('error', { message: 'Worker not registered' });
+          return;
+        }
+
+        this.handleInstructionAck(workerId, data || {});
+      });
+
+      // Handle deployment instruction result
+      socket.on('worker:deploy:result', (data) => {
+        const workerId = this.socketWorkers.get(socket.id);
+        if (!workerId) {
+          socket.emit('error', { message: 'Worker not registered' });
+          return;
+        }
+
+        this.handleInstructionResult(workerId, data || {});
+      });
+
       // Handle disconnection
       socket.on('disconnect', async () => {
         const workerId = this.socketWorkers.get(socket.id);
         
         if (workerId) {
-          console.log(`[Socket] Worker disconnected: ${workerId}`);
+          log.info('Worker disconnected', { worker_id: workerId, socket_id: socket.id });
           
           try {
             // Mark worker as offline instantly
-            await WorkerService.markWorkerOffline(workerId);
+            const worker = await WorkerService.markWorkerOffline(workerId);
+            this.recordWorkerEvent('worker.disconnected', 'warning', workerId, `Worker ${worker.hostname} disconnected`, {
+              hostname: worker.hostname
+            });
             
             // Notify frontend clients
-            this.io.of('/frontend').to('frontend').emit('worker:offline', {
+            this.broadcastToFrontend('worker:offline', {
               workerId,
               timestamp: new Date().toISOString()
             });
           } catch (error) {
-            console.error(`[Socket] Error marking worker offline:`, error.message);
+            log.error('Could not mark worker offline', { worker_id: workerId, error: error.message });
           }
 
           // Clean up mappings
           this.workerSockets.delete(workerId);
           this.socketWorkers.delete(socket.id);
           this.workerLastHeartbeat.delete(workerId);
+
+          // Instructions the worker never acknowledged are sent again when it reconnects
+          this.requeueUnacknowledgedInstructions(workerId);
         } else {
-          console.log(`[Socket] Client disconnected: ${socket.id}`);
+          log.info('Client disconnected', { socket_id: socket.id });
         }
       });
 
       // Handle errors
       socket.on('error', (error) => {
-        console.error(`[Socket] Socket error:`, error);
+        log.error('Socket error', { socket_id: socket.id, error });
       });
     });
 
-    // Namespace for frontend clients
+    // Namespace for frontend clients: authenticated users, who get the events their permissions cover
+    this.io.of('/frontend').use((socket, next) => this.authorizeFrontendConnection(socket, next));
     this.io.of('/frontend').on('connection', (socket) => {
-      console.log(`[Socket] Frontend client connected: ${socket.id}`);
-      socket.join('frontend');
+      log.info('Frontend client connected', { socket_id: socket.id, user_id: socket.data.user.id });
+      const untrack = LiveConnectionService.track(socket.data.credentials, reason => {
+        socket.emit('auth:ended', { reason });
+        socket.disconnect(true);
+      });
+      for (const permission of socket.data.permissions) {
+        socket.join(`permission:${permission}`);
+      }
+      socket.onAny((event) => this.countEvent('/frontend', socket, event));
 
       // Handle subscription to live worker updates
       socket.on('worker:subscribe', (data) => {
-        const { workerId } = data;
-        if (workerId) {
+        const { workerId } = data || {};
+        if (workerId && socket.data.permissions.includes('workers:read')) {
           socket.join(`worker:${workerId}`);
-          console.log(`[Socket] Frontend client ${socket.id} subscribed to worker ${workerId}`);
+          log.debug('Frontend client subscribed to worker', { socket_id: socket.id, worker_id: workerId });
         }
       });
 
       // Handle unsubscription from live worker updates
       socket.on('worker:unsubscribe', (data) => {
-        const { workerId } = data;
+        const { workerId } = data || {};
         if (workerId) {
           socket.leave(`worker:${workerId}`);
-          console.log(`[Socket] Frontend client ${socket.id} unsubscribed from worker ${workerId}`);
+          log.debug('Frontend client unsubscribed from worker', { socket_id: socket.id, worker_id: workerId });
         }
       });
 
       socket.on('disconnect', () => {
-        console.log(`[Socket] Frontend client disconnected: ${socket.id}`);
+        untrack();
+        log.info('Frontend client disconnected', { socket_id: socket.id });
       });
     });
 
     // Start heartbeat timeout check
     this.startHeartbeatTimeoutCheck();
 
-    console.log('[Socket] WebSocket server initialized');
+    log.info('WebSocket server initialized');
   }
 
   /**
@@ -246,14 +380,20 @@ class WorkerSocketService {
         const timeSinceLastHeartbeat = now - lastHeartbeat;
         
         if (timeSinceLastHeartbeat > this.heartbeatTimeout) {
-          console.log(`[Socket] Worker ${workerId} heartbeat timeout (${Math.round(timeSinceLastHeartbeat / 1000)}s since last heartbeat)`);
+          log.warn('Worker heartbeat timeout', { worker_id: workerId, seconds_since_heartbeat: Math.round(timeSinceLastHeartbeat / 1000) });
           
           try {
             // Mark worker as offline
-            await WorkerService.markWorkerOffline(workerId);
+            const worker = await WorkerService.markWorkerOffline(workerId);
+            this.recordWorkerEvent('worker.heartbeat_timeout', 'warning', workerId,
+              `Worker ${worker.hostname} marked offline: no heartbeat for ${Math.round(timeSinceLastHeartbeat / 1000)}s`, {
+                hostname: worker.hostname,
+                seconds_since_heartbeat: Math.round(timeSinceLastHeartbeat / 1000),
+                reason: 'heartbeat_timeout'
+              });
             
             // Notify frontend clients
-            this.io.of('/frontend').to('frontend').emit('worker:offline', {
+            this.broadcastToFrontend('worker:offline', {
               workerId,
               timestamp: new Date().toISOString(),
               reason: 'heartbeat_timeout'
@@ -270,8 +410,10 @@ class WorkerSocketService {
                 break;
               }
             }
+
+            this.requeueUnacknowledgedInstructions(workerId);
           } catch (error) {
-            console.error(`[Socket] Error marking worker ${workerId} offline due to timeout:`, error.message);
+            log.error('Could not mark worker offline after heartbeat timeout', { worker_id: workerId, error: error.message });
           }
         }
       }
@@ -292,11 +434,17 @@ class WorkerSocketService {
             
             // If last_seen is more than 90 seconds ago (60s timeout + 30s buffer), mark offline
             if (timeSinceLastSeen > 90000) {
-              console.log(`[Socket] Worker ${worker.id} marked offline (no heartbeat for ${Math.round(timeSinceLastSeen / 1000)}s)`);
+              log.warn('Worker marked offline', { worker_id: worker.id, seconds_since_heartbeat: Math.round(timeSinceLastSeen / 1000), reason: 'database_timeout' });
               await WorkerService.markWorkerOffline(worker.id);
+              this.recordWorkerEvent('worker.heartbeat_timeout', 'warning', worker.id,
+                `Worker ${worker.hostname} marked offline: no heartbeat for ${Math.round(timeSinceLastSeen / 1000)}s`, {
+                  hostname: worker.hostname,
+                  seconds_since_heartbeat: Math.round(timeSinceLastSeen / 1000),
+                  reason: 'database_timeout'
+                });
               
               // Notify frontend clients
-              this.io.of('/frontend').to('frontend').emit('worker:offline', {
+              this.broadcastToFrontend('worker:offline', {
                 workerId: worker.id,
                 timestamp: new Date().toISOString(),
                 reason: 'database_timeout'
@@ -305,11 +453,39 @@ class WorkerSocketService {
           }
         }
       } catch (error) {
-        console.error(`[Socket] Error checking database workers:`, error.message);
+        log.error('Could not check database workers for heartbeat timeouts', { error: error.message });
       }
     }, 30000); // Check every 30 seconds
   }
 
+  /**
+   * Summarize live usage from a heartbeat for the scheduler
+   * @param {object} resources - Resources from worker:ping
+   * @returns {object} { cpu_percent, ram_available_gb, disk_available_gb, timestamp }
+   */
+  summarizeUsage(resources) {
+    const usage = {
+      timestamp: resources.timestamp || new Date().toISOString()
+    };
+
+    if (resources.cpu && resources.cpu.usagePercent !== undefined) {
+      usage.cpu_percent = parseFloat(resources.cpu.usagePercent) || 0;
+    }
+
+    if (resources.ram) {
+      const available = resources.ram.available_gb ?? resources.ram.free_gb;
+      if (available !== undefined) {
+        usage.ram_available_gb = parseFloat(available) || 0;
+      }
+    }
+
+    if (resources.disk && resources.disk.available_gb !== undefined) {
+      usage.disk_available_gb = parseFloat(resources.disk.available_gb) || 0;
+    }
+
+    return usage;
+  }
+
   /**
    * Get Socket.IO instance
    * @returns {Server} Socket.IO server instance
@@ -327,6 +503,114 @@ class WorkerSocketService {
     return this.workerSockets.has(workerId);
   }
 
+  /**
+   * Disconnect a worker whose credential was revoked
+   * The worker is told why first, so it can register again with a registration token
+   * @param {string} workerId - Worker ID
+   * @returns {boolean} True if the worker was connected
+   */
+  disconnectWorker(workerId) {
+    const socket = this.workerSockets.get(workerId);
+    if (!socket) {
+      return false;
+    }
+
+    socket.emit('worker:credential:revoked', { workerId });
+    socket.disconnect(true);
+    log.info('Worker disconnected: credential revoked', { worker_id: workerId });
+    this.recordWorkerEvent('worker.credential_revoked', 'warning', workerId,
+      `Worker ${workerId} disconnected: credential revoked`);
+    return true;
+  }
+
+  /**
+   * Serve the worker socket on another server as well (the TLS listener)
+   * @param {https.Server} server - Server instance
+   */
+  attach(server) {
+    this.io.attach(server, this.serverOptions);
+  }
+
+  /**
+   * Socket.IO middleware for the worker namespace
+   * With mutual TLS, only connections presenting a worker's current client certificate are
+   * accepted; the worker ID from the certificate is kept in socket.data.certificateWorkerId.
+   * @param {object} socket - Socket being connected
+   * @param {Function} next - Middleware callback
+   */
+  async authorizeWorkerConnection(socket, next) {
+    if (!CertificateAuthorityService.isMtlsRequired()) {
+      return next();
+    }
+
+    try {
+      const peerCertificate = CertificateAuthorityService.getPeerCertificate(socket.request.socket);
+      if (!peerCertificate) {
+        return next(new Error('Worker client certificate is required'));
+      }
+
+      const workerId = peerCertificate.subject && peerCertificate.subject.CN;
+      if (!(await CertificateAuthorityService.verifyWorkerCertificate(workerId, peerCertificate))) {
+        return next(new Error('Invalid worker client certificate'));
+      }
+
+      socket.data.certificateWorkerId = workerId;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Socket.IO middleware for the frontend namespace
+   * Clients send a JWT access token or API key as auth.token (or an Authorization header), like
+   * the HTTP API. The permissions of the user's role (narrowed to the key's scopes) decide which
+   * events it receives; they are kept in socket.data.permissions. The session or API key is kept in
+   * socket.data.credentials, so the socket can be disconnected once they end (LiveConnectionService).
+   * @param {object} socket - Socket being connected
+   * @param {Function} next - Middleware callback
+   */
+  async authorizeFrontendConnection(socket, next) {
+    const auth = socket.handshake.auth || {};
+    const header = socket.handshake.headers.authorization || '';
+    const token = auth.token || (header.startsWith('Bearer ') ? header.substring(7) : null);
+
+    if (!token) {
+      return next(new Error('No token provided'));
+    }
+
+    try {
+      const credentials = await resolveCredentials(token);
+      if (credentials.passwordChangeRequired) {
+        return next(new Error('Password change required'));
+      }
+      if (credentials.twoFactorSetupRequired) {
+        return next(new Error('Two-factor authentication setup is required'));
+      }
+
+      let permissions = getPermissions(credentials.user.role);
+      if (credentials.apiKey) {
+        permissions = permissions.filter(permission => credentials.apiKey.scopes.includes(permission));
+      }
+
+      socket.data.user = { id: credentials.user.id, username: credentials.user.username, role: credentials.user.role };
+      socket.data.permissions = permissions;
+      socket.data.credentials = {
+        userId: credentials.user.id,
+        sessionId: credentials.sessionId,
+        apiKeyId: credentials.apiKey ? credentials.apiKey.id : null,
+        expiresAt: credentials.expiresAt
+      };
+      next();
+    } catch (error) {
+      if (error.status !== 401) {
+        log.error('Frontend client could not be authenticated', { socket_id: socket.id, error });
+        return next(new Error('Authentication failed'));
+      }
+      next(new Error(error.message));
+    }
+  }
+
   /**
    * Send message to specific worker
    * @param {string} workerId - Worker ID
@@ -341,14 +625,323 @@ class WorkerSocketService {
   }
 
   /**
-   * Broadcast to all frontend clients
+   * Send a deployment instruction to a worker (worker:deploy)
+   * The instruction gets an id; the worker acknowledges it (worker:deploy:ack) and
+   * later reports the outcome (worker:deploy:result). Unacknowledged instructions are
+   * resent up to instructionMaxAttempts times, and instructions for disconnected
+   * workers are queued until the worker registers again, for up to instructionQueueTtl
+   * before they fail. The instruction carries the
+   * request_id of the current request context, so the worker logs it with the deployment.
+   * @param {string} workerId - Worker ID
+   * @param {object} instruction - Instruction (action, service, config, deployment_id)
+   * @param {object} [options] - Options (onAck callback, called once the worker acknowledges)
+   * @returns {Promise<object>} Result reported by the worker { id, status, result, error }
+   */
+  sendInstruction(workerId, instruction, options = {}) {
+    return new Promise((resolve, reject) => {
+      const id = randomUUID();
+      const pending = {
+        id,
+        workerId,
+        instruction: { ...instruction, id, request_id: instruction.request_id || getRequestId() },
+        attempts: 0,
+        acknowledged: false,
+        queued: false,
+        timer: null,
+        onAck: options.onAck || null,
+        resolve,
+        reject
+      };
+
+      this.pendingInstructions.set(id, pending);
+
+      if (this.isWorkerConnected(workerId)) {
+        this.dispatchInstruction(pending);
+      } else {
+        this.queueInstruction(pending);
+      }
+    });
+  }
+
+  /**
+   * Emit a pending instruction and wait for the acknowledgement
+   * @param {object} pending - Pending instruction
+   */
+  dispatchInstruction(pending) {
+    pending.attempts++;
+    pending.queued = false;
+
+    this.instructionLogger(pending).info('Sending instruction', { attempt: pending.attempts });
+
+    this.sendToWorker(pending.workerId, 'worker:deploy', {
+      ...pending.instruction,
+      attempt: pending.attempts,
+      timestamp: new Date().toISOString()
+    });
+
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(() => this.handleAckTimeout(pending), this.instructionAckTimeout);
+  }
+
+  /**
+   * Resend or fail an instruction the worker did not acknowledge in time
+   * @param {object} pending - Pending instruction
+   */
+  handleAckTimeout(pending) {
+    if (!this.pendingInstructions.has(pending.id) || pending.acknowledged) {
+      return;
+    }
+
+    if (pending.attempts >= this.instructionMaxAttempts) {
+      this.settleInstruction(pending, new Error(`Instruction ${pending.id} was not acknowledged after ${pending.attempts} attempts`));
+      return;
+    }
+
+    this.instructionLogger(pending).warn('Instruction not acknowledged, retrying', { attempts: pending.attempts });
+
+    if (this.isWorkerConnected(pending.workerId)) {
+      this.dispatchInstruction(pending);
+    } else {
+      this.queueInstruction(pending);
+    }
+  }
+
+  /**
+   * Queue an instruction until the worker connects, or fail it after instructionQueueTtl
+   * @param {object} pending - Pending instruction
+   */
+  queueInstruction(pending) {
+    clearTimeout(pending.timer);
+    pending.queued = true;
+
+    // Not keeping the process alive: the instruction only matters while the conductor runs
+    pending.timer = setTimeout(() => {
+      this.settleInstruction(pending, new Error(`Worker did not connect within ${this.instructionQueueTtl / 1000}s, instruction ${pending.id} dropped`));
+    }, this.instructionQueueTtl);
+    pending.timer.unref();
+
+    const queue = this.instructionQueues.get(pending.workerId) || [];
+    if (!queue.includes(pending.id)) {
+      queue.push(pending.id);
+    }
+    this.instructionQueues.set(pending.workerId, queue);
+
+    this.instructionLogger(pending).info('Worker not connected, instruction queued');
+  }
+
+  /**
+   * Send queued instructions to a worker that just (re)registered
+   * @param {string} workerId - Worker ID
+   */
+  flushInstructionQueue(workerId) {
+    const queue = this.instructionQueues.get(workerId) || [];
+    this.instructionQueues.delete(workerId);
+
+    for (const instructionId of queue) {
+      const pending = this.pendingInstructions.get(instructionId);
+      if (pending && pending.queued) {
+        this.dispatchInstruction(pending);
+      }
+    }
+  }
+
+  /**
+   * Fail the queued instructions for a deployment, e.g. once it was moved to another worker
+   * @param {string} workerId - Worker ID
+   * @param {string} deploymentId - Deployment ID
+   * @param {string} reason - Error message the instructions fail with
+   * @returns {number} Number of dropped instructions
+   */
+  dropQueuedInstructions(workerId, deploymentId, reason) {
+    const dropped = [...this.pendingInstructions.values()].filter(pending =>
+      pending.workerId === workerId && pending.queued && pending.instruction.deployment_id === deploymentId
+    );
+
+    for (const pending of dropped) {
+      this.settleInstruction(pending, new Error(reason));
+    }
+    return dropped.length;
+  }
+
+  /**
+   * Move unacknowledged instructions of a disconnected worker back to its queue
+   * Acknowledged instructions keep waiting for their result
+   * @param {string} workerId - Worker ID
+   */
+  requeueUnacknowledgedInstructions(workerId) {
+    for (const pending of this.pendingInstructions.values()) {
+      if (pending.workerId === workerId && !pending.acknowledged && !pending.queued) {
+        this.queueInstruction(pending);
+      }
+    }
+  }
+
+  /**
+   * Handle worker:deploy:ack
+   * @param {string} workerId - Worker ID that sent the acknowledgement
+   * @param {object} data - { id }
+   */
+  handleInstructionAck(workerId, data) {
+    const pending = this.pendingInstructions.get(data.id);
+    if (!pending || pending.workerId !== workerId || pending.acknowledged) {
+      return;
+    }
+
+    pending.acknowledged = true;
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(() => {
+      this.settleInstruction(pending, new Error(`Timed out waiting for result of instruction ${pending.id}`));
+    }, this.instructionResultTimeout);
+
+    if (pending.onAck) {
+      try {
+        pending.onAck(pending.instruction);
+      } catch (error) {
+        this.instructionLogger(pending).error('Error in acknowledgement handler', { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Handle worker:deploy:result
+   * @param {string} workerId - Worker ID that sent the result
+   * @param {object} data - { id, status: 'success' | 'failed', result, error }
+   */
+  handleInstructionResult(workerId, data) {
+    const pending = this.pendingInstructions.get(data.id);
+    if (!pending || pending.workerId !== workerId) {
+      return;
+    }
+
+    // A result implies the instruction was received, even if the ack got lost
+    pending.acknowledged = true;
+
+    const instructionLog = this.instructionLogger(pending);
+    if (data.status === 'success') {
+      instructionLog.info('Instruction succeeded');
+    } else {
+      instructionLog.warn('Instruction failed', { error: data.error || null });
+    }
+
+    this.settleInstruction(pending, null, {
+      id: pending.id,
+      status: data.status === 'success' ? 'success' : 'failed',
+      result: data.result || null,
+      error: data.error || null
+    });
+  }
+
+  /**
+   * Logger for a pending instruction, with the fields to trace it
+   * @param {object} pending - Pending instruction
+   * @returns {Logger} Logger with request_id, instruction_id, worker_id, action and service
+   */
+  instructionLogger(pending) {
+    return log.child({
+      request_id: pending.instruction.request_id || null,
+      instruction_id: pending.id,
+      worker_id: pending.workerId,
+      action: pending.instruction.action,
+      service: pending.instruction.service,
+      deployment_id: pending.instruction.deployment_id || null
+    });
+  }
+
+  /**
+   * Check whether an instruction for a service is queued or in flight on a worker
+   * @param {string} workerId - Worker ID
+   * @param {string} serviceName - Service name
+   * @returns {boolean} True if an instruction is pending
+   */
+  hasPendingInstruction(workerId, serviceName) {
+    for (const pending of this.pendingInstructions.values()) {
+      if (pending.workerId === workerId && pending.instruction.service === serviceName) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Resolve or reject a pending instruction and forget it
+   * @param {object} pending - Pending instruction
+   * @param {Error|null} error - Error to reject with
+   * @param {object} [result] - Result to resolve with
+   */
+  settleInstruction(pending, error, result) {
+    clearTimeout(pending.timer);
+    if (error) {
+      this.instructionLogger(pending).warn('Instruction abandoned', { error: error.message });
+    }
+
+    this.pendingInstructions.delete(pending.id);
+
+    const queue = this.instructionQueues.get(pending.workerId);
+    if (queue) {
+      const remaining = queue.filter(id => id !== pending.id);
+      if (remaining.length > 0) {
+        this.instructionQueues.set(pending.workerId, remaining);
+      } else {
+        this.instructionQueues.delete(pending.workerId);
+      }
+    }
+
+    if (error) {
+      pending.reject(error);
+    } else {
+      pending.resolve(result);
+    }
+  }
+
+  /**
+   * Count a received socket event for /metrics
+   * Events without a handler are counted as unhandled, so clients cannot add label values.
+   * @param {string} namespace - Namespace name
+   * @param {object} socket - Socket that received the event
+   * @param {string} event - Event name
+   */
+  countEvent(namespace, socket, event) {
+    PrometheusService.countSocketEvent(namespace, socket.listeners(event).length > 0 ? event : 'unhandled');
+  }
+
+  /**
+   * Record a cluster event about a worker
+   * @param {string} type - Event type, e.g. worker.disconnected
+   * @param {string} severity - info, warning or error
+   * @param {string|null} workerId - Worker ID
+   * @param {string} message - Description
+   * @param {object} [payload] - Details
+   * @returns {Promise<object|null>} Created event
+   */
+  recordWorkerEvent(type, severity, workerId, message, payload = {}) {
+    return EventService.record({
+      type,
+      severity,
+      source: 'worker_socket',
+      subject_type: 'worker',
+      subject_id: workerId || null,
+      message,
+      payload
+    });
+  }
+
+  /**
+   * Broadcast to the frontend clients with the event's read permission (FRONTEND_EVENT_PERMISSIONS)
    * @param {string} event - Event name
    * @param {object} data - Data to send
    */
   broadcastToFrontend(event, data) {
-    if (this.io) {
-      this.io.of('/frontend').to('frontend').emit(event, data);
+    if (!this.io) {
+      return;
     }
+
+    const permission = FRONTEND_EVENT_PERMISSIONS[event];
+    if (!permission) {
+      log.warn('Not broadcasting frontend event without a read permission', { event });
+      return;
+    }
+
+    this.io.of('/frontend').to(`permission:${permission}`).emit(event, data);
   }
 }
 
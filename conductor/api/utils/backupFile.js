@@ -0,0 +1,179 @@
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { promisify } = require('util');
+const { randomBytes, scrypt, createCipheriv, createDecipheriv } = require('crypto');
+const Database = require('better-sqlite3');
+const { SCHEMA_VERSION } = require('./schemaVersion');
+
+/**
+ * Backup files: encryption and checks before a restore
+ * Kept apart from the models so the restore script never opens the live database.
+ *
+ * Encrypted backups use AES-256-GCM with a key derived from a passphrase (scrypt):
+ * MAGIC | salt (16) | IV (12) | ciphertext | auth tag (16)
+ */
+
+const MAGIC = Buffer.from('AERBKP01');
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + SALT_LENGTH + IV_LENGTH;
+
+const scryptAsync = promisify(scrypt);
+
+/**
+ * Derive the encryption key from a passphrase
+ * @param {string} passphrase - Passphrase (BACKUP_ENCRYPTION_KEY)
+ * @param {Buffer} salt - Random salt stored in the file
+ * @returns {Promise<Buffer>} 32-byte key
+ */
+async function deriveKey(passphrase, salt) {
+  return await scryptAsync(passphrase, salt, 32);
+}
+
+/**
+ * Encrypt a file
+ * @param {string} source - Plain file
+ * @param {string} destination - Encrypted file to write
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<void>}
+ */
+async function encryptFile(source, destination, passphrase) {
+  const salt = randomBytes(SALT_LENGTH);
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv('aes-256-gcm', await deriveKey(passphrase, salt), iv);
+
+  const output = fs.createWriteStream(destination);
+  output.write(Buffer.concat([MAGIC, salt, iv]));
+  await pipeline(fs.createReadStream(source), cipher, output, { end: false });
+  await new Promise((resolve, reject) => {
+    output.on('error', reject);
+    output.end(cipher.getAuthTag(), resolve);
+  });
+}
+
+/**
+ * Decrypt a file written by encryptFile()
+ * @param {string} source - Encrypted file
+ * @param {string} destination - Plain file to write
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} If the passphrase is wrong or the file was modified
+ */
+async function decryptFile(source, destination, passphrase) {
+  const { size } = fs.statSync(source);
+  if (size < HEADER_LENGTH + TAG_LENGTH) {
+    throw new Error('Invalid backup: encrypted file is truncated');
+  }
+
+  const handle = fs.openSync(source, 'r');
+  const header = Buffer.alloc(HEADER_LENGTH);
+  const tag = Buffer.alloc(TAG_LENGTH);
+  try {
+    fs.readSync(handle, header, 0, HEADER_LENGTH, 0);
+    fs.readSync(handle, tag, 0, TAG_LENGTH, size - TAG_LENGTH);
+  } finally {
+    fs.closeSync(handle);
+  }
+
+  const salt = header.subarray(MAGIC.length, MAGIC.length + SALT_LENGTH);
+  const iv = header.subarray(MAGIC.length + SALT_LENGTH);
+  const decipher = createDecipheriv('aes-256-gcm', await deriveKey(passphrase, salt), iv);
+  decipher.setAuthTag(tag);
+
+  try {
+    await pipeline(
+      fs.createReadStream(source, { start: HEADER_LENGTH, end: size - TAG_LENGTH - 1 }),
+      decipher,
+      fs.createWriteStream(destination)
+    );
+  } catch (error) {
+    fs.rmSync(destination, { force: true });
+    throw new Error('Invalid backup: wrong encryption key or modified file');
+  }
+}
+
+/**
+ * Check if a file was written by encryptFile()
+ * @param {string} filePath - File
+ * @returns {boolean} True if encrypted
+ */
+function isEncrypted(filePath) {
+  const handle = fs.openSync(filePath, 'r');
+  const start = Buffer.alloc(MAGIC.length);
+  try {
+    fs.readSync(handle, start, 0, MAGIC.length, 0);
+  } finally {
+    fs.closeSync(handle);
+  }
+  return start.equals(MAGIC);
+}
+
+/**
+ * Check that a file is a conductor database this conductor can run on
+ * @param {string} filePath - Plain database file
+ * @returns {object} { schema_version }
+ * @throws {Error} If it is not a SQLite database, is corrupted, lacks the users table or has a newer schema
+ */
+function checkDatabaseFile(filePath) {
+  let database;
+  try {
+    database = new Database(filePath, { readonly: true, fileMustExist: true });
+    database.pragma('schema_version'); // Fails for files that are not SQLite databases
+  } catch (error) {
+    if (database) database.close();
+    throw new Error('Invalid backup: not a SQLite database');
+  }
+
+  try {
+    if (database.pragma('integrity_check', { simple: true }) !== 'ok') {
+      throw new Error('Invalid backup: integrity check failed');
+    }
+
+    const usersTable = database.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'users'").get();
+    if (!usersTable) {
+      throw new Error('Invalid backup: not a conductor database');
+    }
+
+    const schemaVersion = database.pragma('user_version', { simple: true });
+    if (schemaVersion > SCHEMA_VERSION) {
+      throw new Error(`Invalid backup: schema version ${schemaVersion} is newer than this conductor supports (${SCHEMA_VERSION})`);
+    }
+
+    return { schema_version: schemaVersion };
+  } finally {
+    database.close();
+  }
+}
+
+/**
+ * Swap a checked database file in place of the current one
+ * The current database (with its WAL files) is kept next to it as <name>.before-restore-<time>.
+ * The conductor must not be running.
+ * @param {string} source - Checked database file, on the same file system
+ * @param {string} dbPath - Path of the conductor database
+ * @returns {string|null} Path of the previous database, or null if there was none
+ */
+function replaceDatabaseFile(source, dbPath) {
+  let previousPath = null;
+
+  if (fs.existsSync(dbPath)) {
+    previousPath = `${dbPath}.before-restore-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(dbPath + suffix)) {
+        fs.renameSync(dbPath + suffix, previousPath + suffix);
+      }
+    }
+  }
+
+  fs.renameSync(source, dbPath);
+  return previousPath;
+}
+
+module.exports = {
+  encryptFile,
+  decryptFile,
+  isEncrypted,
+  checkDatabaseFile,
+  replaceDatabaseFile
+};
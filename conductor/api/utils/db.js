@@ -1,6 +1,7 @@
 const path = require('path');
 const fs = require('fs');
 const sqliteAdapter = require('../services/aerekos-record/sqlite/adapter');
+const ObservabilityManager = require('../services/aerekos-record/shared/observability');
 
 // Ensure data directory exists
 const dataDir = path.join(__dirname, '../../data');
@@ -21,4 +22,35 @@ const db = sqliteAdapter({
   verbose: process.env.SQLITE_VERBOSE === 'true' ? console.log : undefined
 });
 
+// Time every statement, for the query metrics on /metrics (see PrometheusService).
+// Parameters are not kept, as they include password hashes and credentials.
+db.observability = new ObservabilityManager({
+  logQueries: false,
+  slowQueryThreshold: parseInt(process.env.DB_SLOW_QUERY_MS || '1000', 10),
+  maxLogSize: 100
+});
+
+const prepare = db.db.prepare.bind(db.db);
+db.db.prepare = function(sql) {
+  const statement = prepare(sql);
+  const operation = String(sql).trim().split(/\s+/)[0].toUpperCase();
+  const table = (String(sql).match(/\b(?:FROM|INTO|UPDATE|TABLE(?: IF NOT EXISTS)?)\s+"?(\w+)"?/i) || [])[1] || 'unknown';
+
+  for (const method of ['run', 'get', 'all']) {
+    const execute = statement[method];
+    statement[method] = function(...params) {
+      const start = process.hrtime.bigint();
+      try {
+        const result = execute.apply(this, params);
+        db.observability.logQuery(operation, table, sql, null, Number(process.hrtime.bigint() - start) / 1e6);
+        return result;
+      } catch (error) {
+        db.observability.logQuery(operation, table, sql, null, Number(process.hrtime.bigint() - start) / 1e6, error);
+        throw error;
+      }
+    };
+  }
+  return statement;
+};
+
 module.exports = db;
@@ -1,16 +1,77 @@
-const { User, Worker, Service, ServiceDeployment, Token, Resource } = require('../models');
+const models = require('../models');
+const { SCHEMA_VERSION } = require('./schemaVersion');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'database' });
+
+// Unique constraints over several columns, which model settings cannot declare
+const COMPOSITE_UNIQUE_INDEXES = [
+  { model: 'ServiceRevision', columns: ['service_id', 'revision'] }
+];
+
+/**
+ * Add any columns that exist on a model definition but not in its table.
+ * Tables are created with CREATE TABLE IF NOT EXISTS, so databases created
+ * before a column was added to a model would otherwise never receive it.
+ * @param {object} model - aerekos-record model
+ */
+function syncModelColumns(model) {
+  const sqlite = models.db.db;
+  const tableName = model.__tableName;
+  const existingColumns = new Set(
+    sqlite.pragma(`table_info("${tableName}")`).map(column => column.name)
+  );
+
+  for (const [column, type] of Object.entries(model.__properties || {})) {
+    if (existingColumns.has(column)) {
+      continue;
+    }
+
+    const sqlType = type === 'number' ? 'REAL' : 'TEXT';
+    sqlite.exec(`ALTER TABLE "${tableName}" ADD COLUMN "${column}" ${sqlType}`);
+    log.info('Added column', { table: tableName, column });
+  }
+}
+
+/**
+ * Create the unique indexes of COMPOSITE_UNIQUE_INDEXES
+ * A table that already holds duplicates keeps working without the index.
+ */
+function ensureCompositeUniqueIndexes() {
+  const sqlite = models.db.db;
+
+  for (const { model, columns } of COMPOSITE_UNIQUE_INDEXES) {
+    const tableName = models[model].__tableName;
+    const indexName = `${tableName}_${columns.join('_')}_unique`;
+    try {
+      sqlite.exec(`CREATE UNIQUE INDEX IF NOT EXISTS "${indexName}" ON "${tableName}" (${columns.map(column => `"${column}"`).join(', ')})`);
+    } catch (error) {
+      log.error('Could not create unique index', { table: tableName, columns, error: error.message });
+    }
+  }
+}
 
 /**
  * Initialize database - ensures all tables are created
  */
 async function initializeDatabase() {
   try {
-    // Models are automatically created when defined
-    // This function can be used to verify database is ready
-    console.log('Database initialized successfully');
+    // Models are automatically created when defined,
+    // but columns added to existing models need to be migrated
+    for (const [name, model] of Object.entries(models)) {
+      if (name !== 'db') {
+        syncModelColumns(model);
+      }
+    }
+    ensureCompositeUniqueIndexes();
+
+    // Recorded so backups can be checked before they are restored
+    models.db.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+
+    log.info('Database initialized');
     return true;
   } catch (error) {
-    console.error('Database initialization error:', error);
+    log.error('Database initialization failed', { error });
     throw error;
   }
 }
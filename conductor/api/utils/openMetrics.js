@@ -0,0 +1,292 @@
+/**
+ * Minimal OpenMetrics (Prometheus) registry
+ * Counters, gauges and histograms with labels, rendered in the OpenMetrics text format.
+ * Collectors registered with addCollector() run before every render, for values that are read
+ * at scrape time (connected workers, database query stats) rather than counted as they happen.
+ */
+
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'metrics' });
+
+const CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// Seconds; suits HTTP requests and database queries
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value or help text
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escape(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a sample value
+ * @param {number} value - Value
+ * @returns {string} Value as OpenMetrics text
+ */
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Format a label set
+ * @param {object} labels - { name: value }
+ * @returns {string} {name="value",...} or an empty string
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escape(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Base class of a metric family: values are kept per label set
+ */
+class Metric {
+  constructor(name, type, help, labelNames = []) {
+    this.name = name;
+    this.type = type;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  /**
+   * Get the stored entry of a label set, creating it if needed
+   * @param {object} labels - Label values
+   * @param {Function} create - Returns a new entry
+   * @returns {object} Entry { labels, ... }
+   */
+  entry(labels, create) {
+    const picked = {};
+    for (const name of this.labelNames) {
+      picked[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+    }
+
+    const key = JSON.stringify(picked);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels: picked, ...create() });
+    }
+    return this.values.get(key);
+  }
+
+  /**
+   * Forget all label sets (for values that are set again on every scrape)
+   */
+  reset() {
+    this.values.clear();
+  }
+
+  /**
+   * Render the family
+   * @returns {Array<string>} Lines
+   */
+  render() {
+    return [
+      `# TYPE ${this.name} ${this.type}`,
+      `# HELP ${this.name} ${escape(this.help)}`,
+      ...this.samples()
+    ];
+  }
+}
+
+/**
+ * Counter: only goes up. Rendered with the _total suffix.
+ */
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super(name, 'counter', help, labelNames);
+  }
+
+  /**
+   * Increase the counter
+   * @param {object} [labels] - Label values
+   * @param {number} [value] - Amount (default 1)
+   */
+  inc(labels = {}, value = 1) {
+    this.entry(labels, () => ({ value: 0 })).value += value;
+  }
+
+  /**
+   * Set the counter from a total kept elsewhere
+   * @param {object} labels - Label values
+   * @param {number} value - Total
+   */
+  set(labels, value) {
+    this.entry(labels, () => ({ value: 0 })).value = value;
+  }
+
+  samples() {
+    return [...this.values.values()].map(({ labels, value }) => `${this.name}_total${formatLabels(labels)} ${formatValue(value)}`);
+  }
+}
+
+/**
+ * Gauge: a value that goes up and down
+ */
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super(name, 'gauge', help, labelNames);
+  }
+
+  /**
+   * Set the gauge
+   * @param {object} labels - Label values
+   * @param {number} value - Value
+   */
+  set(labels, value) {
+    this.entry(labels, () => ({ value: 0 })).value = value;
+  }
+
+  samples() {
+    return [...this.values.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+}
+
+/**
+ * Histogram: counts observations in cumulative buckets, with their count and sum
+ */
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super(name, 'histogram', help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * Record an observation
+   * @param {object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const entry = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), count: 0, sum: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        entry.counts[index]++;
+      }
+    });
+    entry.count++;
+    entry.sum += value;
+  }
+
+  samples() {
+    const lines = [];
+    for (const { labels, counts, count, sum } of this.values.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Summary without quantiles: a count and sum of observations kept elsewhere
+ */
+class Summary extends Metric {
+  constructor(name, help, labelNames) {
+    super(name, 'summary', help, labelNames);
+  }
+
+  /**
+   * Set the count and sum
+   * @param {object} labels - Label values
+   * @param {number} count - Number of observations
+   * @param {number} sum - Sum of observations
+   */
+  set(labels, count, sum) {
+    Object.assign(this.entry(labels, () => ({})), { count, sum });
+  }
+
+  samples() {
+    const lines = [];
+    for (const { labels, count, sum } of this.values.values()) {
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Registry of metric families
+ */
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  /**
+   * Add a metric family
+   * @param {Metric} metric - Metric
+   * @returns {Metric} The metric
+   */
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  summary(name, help, labelNames) {
+    return this.register(new Summary(name, help, labelNames));
+  }
+
+  /**
+   * Run a function before every render, to set values read at scrape time
+   * @param {Function} collector - Sync or async function
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Render all metric families in the OpenMetrics text format
+   * A failing collector is logged; the metrics it sets keep their previous values.
+   * @returns {Promise<string>} Exposition text, ending with # EOF
+   */
+  async render() {
+    for (const collector of this.collectors) {
+      try {
+        await collector();
+      } catch (error) {
+        log.error('OpenMetrics collector failed', { error: error.message });
+      }
+    }
+
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    lines.push('# EOF');
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  Registry
+};
@@ -0,0 +1,79 @@
+/**
+ * Roles and the permissions each one grants
+ *
+ * viewer   - read-only access to workers, services, deployments, reconciliation, alerts, cluster events
+ *            and metrics
+ * operator - viewer, plus managing services, deployments, worker maintenance and alert rules
+ * admin    - operator, plus registration tokens, worker credentials, users, settings, the audit log,
+ *            database backups and notification channels
+ */
+const ROLES = ['admin', 'operator', 'viewer'];
+
+const VIEWER_PERMISSIONS = [
+  'workers:read',
+  'services:read',
+  'deployments:read',
+  'reconciliation:read',
+  'alerts:read',
+  'events:read',
+  'metrics:read'
+];
+
+const OPERATOR_PERMISSIONS = [
+  ...VIEWER_PERMISSIONS,
+  'workers:write', // Labels, taints, cordon and drain
+  'services:write',
+  'deployments:write',
+  'reconciliation:write',
+  'alerts:write' // Rules, silences and acknowledgements
+];
+
+const ROLE_PERMISSIONS = {
+  viewer: VIEWER_PERMISSIONS,
+  operator: OPERATOR_PERMISSIONS,
+  admin: [
+    ...OPERATOR_PERMISSIONS,
+    'workers:credentials',
+    'tokens:manage',
+    'users:manage',
+    'settings:manage',
+    'audit:read',
+    'backups:manage',
+    'notifications:manage'
+  ]
+};
+
+/**
+ * Check if a role is defined
+ * @param {string} role - Role name
+ * @returns {boolean} True for admin, operator and viewer
+ */
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Get the permissions of a role
+ * @param {string} role - Role name
+ * @returns {Array<string>} Permissions (empty for unknown roles)
+ */
+function getPermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Check if a role grants a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission, e.g. services:write
+ * @returns {boolean} True if granted
+ */
+function hasPermission(role, permission) {
+  return getPermissions(role).includes(permission);
+}
+
+module.exports = {
+  ROLES,
+  isValidRole,
+  getPermissions,
+  hasPermission
+};
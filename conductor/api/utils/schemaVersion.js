@@ -0,0 +1,10 @@
+/**
+ * Version of the database schema, stored in SQLite's user_version
+ *
+ * New models and columns are added on startup (see dbInit), so older databases can always be
+ * opened. Bump this when a change cannot be applied that way (a column changes meaning, data
+ * has to be migrated); restoring a backup made with a newer version is then refused.
+ */
+const SCHEMA_VERSION = 1;
+
+module.exports = { SCHEMA_VERSION };
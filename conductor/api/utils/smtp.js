@@ -0,0 +1,227 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+const DEFAULT_TIMEOUT_MS = 15 * 1000;
+
+/**
+ * Minimal SMTP client for alert emails
+ * Speaks just enough SMTP to hand a plain text message to a relay: EHLO, STARTTLS when the
+ * server offers it, AUTH PLAIN when credentials are set, then MAIL FROM / RCPT TO / DATA.
+ * Credentials are only sent over TLS unless SMTP_ALLOW_INSECURE=true.
+ */
+
+/**
+ * Read SMTP settings from the environment
+ * @returns {object|null} { host, port, secure, allowInsecure, user, password, from } or null if SMTP_HOST is not set
+ */
+function getSmtpSettings() {
+  if (!process.env.SMTP_HOST) {
+    return null;
+  }
+
+  const secure = process.env.SMTP_SECURE === 'true';
+  return {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || (secure ? '465' : '587'), 10),
+    secure,
+    allowInsecure: process.env.SMTP_ALLOW_INSECURE === 'true',
+    user: process.env.SMTP_USER || null,
+    password: process.env.SMTP_PASSWORD || '',
+    from: process.env.SMTP_FROM || `conductor@${os.hostname()}`
+  };
+}
+
+/**
+ * Open an SMTP session: a socket and a function to read the next reply
+ * @param {net.Socket} socket - Connected socket
+ * @returns {object} { readReply, send }
+ */
+function createSession(socket) {
+  let buffer = '';
+  let lines = [];
+  let waiting = null;
+  let failure = null;
+
+  const deliver = () => {
+    if (!waiting) return;
+    if (failure) {
+      const { reject } = waiting;
+      waiting = null;
+      reject(failure);
+      return;
+    }
+
+    // A reply ends with a line whose code is followed by a space ("250 OK"); "250-..." continues it
+    const last = lines.findIndex(line => /^\d{3}( |$)/.test(line));
+    if (last === -1) return;
+
+    const replyLines = lines.slice(0, last + 1);
+    lines = lines.slice(last + 1);
+    const { resolve } = waiting;
+    waiting = null;
+    resolve({
+      code: parseInt(replyLines[last].slice(0, 3), 10),
+      lines: replyLines.map(line => line.slice(4))
+    });
+  };
+
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+    const parts = buffer.split('\r\n');
+    buffer = parts.pop();
+    lines.push(...parts);
+    deliver();
+  };
+  const onError = error => {
+    failure = error;
+    deliver();
+  };
+  const onClose = () => onError(new Error('Connection closed by the SMTP server'));
+
+  const attach = target => {
+    target.on('data', onData);
+    target.on('error', onError);
+    target.on('close', onClose);
+  };
+  attach(socket);
+
+  return {
+    readReply() {
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+        deliver();
+      });
+    },
+    send(line) {
+      socket.write(`${line}\r\n`);
+    },
+    // After STARTTLS, the session continues on the TLS socket
+    upgrade(secureSocket) {
+      socket.removeListener('data', onData);
+      socket.removeListener('error', onError);
+      socket.removeListener('close', onClose);
+      socket = secureSocket;
+      attach(socket);
+    },
+    get socket() {
+      return socket;
+    }
+  };
+}
+
+/**
+ * Send a command and check the reply code
+ * @param {object} session - SMTP session
+ * @param {string|null} line - Command, or null to only read a reply
+ * @param {number} expected - Expected reply code
+ * @returns {Promise<object>} Reply { code, lines }
+ */
+async function command(session, line, expected) {
+  if (line !== null) {
+    session.send(line);
+  }
+  const reply = await session.readReply();
+  if (reply.code !== expected) {
+    const sent = line ? line.split(' ')[0] : 'connect';
+    throw new Error(`SMTP ${sent} failed: ${reply.code} ${reply.lines.join(' ')}`);
+  }
+  return reply;
+}
+
+/**
+ * Start connecting to the SMTP server
+ * Connection errors surface when reading the greeting.
+ * @param {object} settings - SMTP settings
+ * @returns {net.Socket} Connecting socket
+ */
+function connect(settings) {
+  return settings.secure
+    ? tls.connect({ host: settings.host, port: settings.port, servername: settings.host })
+    : net.connect({ host: settings.host, port: settings.port });
+}
+
+/**
+ * Upgrade a plain connection to TLS
+ * @param {net.Socket} socket - Plain socket
+ * @param {string} host - Server name to verify
+ * @returns {Promise<tls.TLSSocket>} TLS socket
+ */
+function startTls(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, servername: host }, () => resolve(secureSocket));
+    secureSocket.once('error', reject);
+  });
+}
+
+/**
+ * Format a message: headers, then the body with lines starting with a dot escaped
+ * @param {object} message - { from, to, subject, text }
+ * @returns {string} Message data, ending with the terminating dot line
+ */
+function formatMessage({ from, to, subject, text }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${subject.replace(/[\r\n]+/g, ' ')}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit'
+  ];
+  const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n.`;
+}
+
+/**
+ * Send a plain text email
+ * @param {object} settings - SMTP settings (see getSmtpSettings)
+ * @param {object} message - { to: Array<string>, subject, text }
+ * @param {object} [options] - { timeoutMs }
+ * @returns {Promise<void>}
+ * @throws {Error} If the server rejects the message or does not answer in time
+ */
+async function sendMail(settings, message, options = {}) {
+  const session = createSession(connect(settings));
+  // Covers connecting too, so an unreachable relay fails after the timeout like a silent one
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const timer = setTimeout(() => session.socket.destroy(new Error('SMTP server did not answer in time')), timeoutMs);
+
+  try {
+    await command(session, null, 220);
+    let hello = await command(session, `EHLO ${os.hostname()}`, 250);
+
+    const offersStartTls = hello.lines.some(line => line.toUpperCase().startsWith('STARTTLS'));
+    let encrypted = settings.secure;
+    if (!encrypted && offersStartTls) {
+      await command(session, 'STARTTLS', 220);
+      session.upgrade(await startTls(session.socket, settings.host));
+      hello = await command(session, `EHLO ${os.hostname()}`, 250);
+      encrypted = true;
+    }
+
+    if (settings.user) {
+      if (!encrypted && !settings.allowInsecure) {
+        throw new Error('SMTP server does not offer STARTTLS, not sending credentials unencrypted (set SMTP_ALLOW_INSECURE=true to allow)');
+      }
+      const credentials = Buffer.from(`\0${settings.user}\0${settings.password}`).toString('base64');
+      await command(session, `AUTH PLAIN ${credentials}`, 235);
+    }
+
+    await command(session, `MAIL FROM:<${settings.from}>`, 250);
+    for (const recipient of message.to) {
+      await command(session, `RCPT TO:<${recipient}>`, 250);
+    }
+    await command(session, 'DATA', 354);
+    await command(session, formatMessage({ ...message, from: settings.from }), 250);
+    session.send('QUIT');
+  } finally {
+    clearTimeout(timer);
+    session.socket.end();
+  }
+}
+
+module.exports = {
+  getSmtpSettings,
+  sendMail
+};
@@ -0,0 +1,151 @@
+const { randomBytes, createHmac, timingSafeEqual } = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238), compatible with standard authenticator apps
+ * SHA-1, 6 digits and 30-second steps, the defaults every authenticator app supports.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string (case and padding insensitive)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Bytes
+ * @throws {Error} If the string is not base32
+ */
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a random TOTP secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+function generateSecret() {
+  return base32Encode(randomBytes(20));
+}
+
+/**
+ * Get the time step a moment falls in
+ * @param {number} [time] - Milliseconds since epoch (default: now)
+ * @returns {number} Counter
+ */
+function getCounter(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Generate the code for a time step (HOTP, RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Time step
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, counter = getCounter()) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Find the time step a code was generated for
+ * Accepts one step either side to allow for clock drift.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [time] - Milliseconds since epoch (default: now)
+ * @returns {number|null} Matching counter, or null if the code is wrong
+ */
+function verifyCode(secret, code, time = Date.now()) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const current = getCounter(time);
+  for (const counter of [current - 1, current, current + 1]) {
+    if (timingSafeEqual(Buffer.from(generateCode(secret, counter)), Buffer.from(normalized))) {
+      return counter;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - e.g. the username
+ * @param {string} [issuer] - Shown in the authenticator app
+ * @returns {string} Provisioning URI
+ */
+function getProvisioningUri(secret, accountName, issuer = 'aerekos-cloud') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  getCounter,
+  getProvisioningUri,
+  base32Encode,
+  base32Decode
+};
@@ -8,6 +8,8 @@ import { Settings } from './screens/Settings/Settings';
 import { Menu } from './screens/Menu/Menu';
 import { Devices } from './screens/Devices/Devices';
 import { DeviceDetails } from './screens/DeviceDetails/DeviceDetails';
+import { Audit } from './screens/Audit/Audit';
+import { Alerts } from './screens/Alerts/Alerts';
 import { Header } from './components/Header/Header';
 import { colors } from './styles/theme';
 
@@ -21,7 +23,7 @@ const getScreenFromPath = (pathname) => {
     return { screen: 'deviceDetails', params: { deviceId: parts[1] } };
   }
   
-  if (['dashboard', 'settings', 'menu', 'devices'].includes(firstPart)) {
+  if (['dashboard', 'settings', 'menu', 'devices', 'audit', 'alerts'].includes(firstPart)) {
     return firstPart;
   }
   return 'dashboard';
@@ -37,7 +39,7 @@ const getPathFromScreen = (screen, params = {}) => {
 };
 
 const AppContent = () => {
-  const { isAuthenticated, loading } = useAuth();
+  const { user, isAuthenticated, loading } = useAuth();
   const [currentScreen, setCurrentScreen] = useState('dashboard');
   const [previousScreen, setPreviousScreen] = useState('dashboard');
   const [screenParams, setScreenParams] = useState({});
@@ -122,6 +124,11 @@ const AppContent = () => {
       return <Login />;
     }
 
+    // The default password has to be changed, or 2FA is required for everyone: do it in Settings first
+    if ((user?.password_change_required || user?.two_factor_setup_required) && currentScreen !== 'menu') {
+      return <Settings navigation={navigation} />;
+    }
+
     switch (currentScreen) {
       case 'settings':
         return <Settings navigation={navigation} />;
@@ -131,6 +138,10 @@ const AppContent = () => {
         return <Devices navigation={navigation} />;
       case 'deviceDetails':
         return <DeviceDetails navigation={navigation} route={{ params: screenParams }} />;
+      case 'audit':
+        return <Audit navigation={navigation} />;
+      case 'alerts':
+        return <Alerts navigation={navigation} />;
       case 'dashboard':
       default:
         return <Dashboard navigation={navigation} />;
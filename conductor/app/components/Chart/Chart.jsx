@@ -5,7 +5,7 @@ import { ChartStyles } from './Chart.styles';
 import { colors } from '../../styles/theme';
 
 // Web-only chart component using recharts
-export const Chart = ({ title, data, dataKey, color = '#4CAF50', height = 200, unit = '%' }) => {
+export const Chart = ({ title, data, dataKey, color = '#4CAF50', height = 200, unit = '%', live = true }) => {
   // Only render on web platform
   if (Platform.OS !== 'web') {
     return (
@@ -35,10 +35,19 @@ export const Chart = ({ title, data, dataKey, color = '#4CAF50', height = 200, u
     return `${minutes}m ago`;
   };
 
-  // Prepare data for chart (show last 20 points for readability)
-  const chartData = data.slice(-20).map((point, idx) => ({
+  // Format timestamp for X-axis of stored history (clock time, with the date for ranges over a day)
+  const spansDays = data[data.length - 1].timestamp - data[0].timestamp > 24 * 60 * 60 * 1000;
+  const formatClockTime = (timestamp) => {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return spansDays ? `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time}` : time;
+  };
+
+  // Prepare data for chart (live: show last 20 points for readability, history: all points)
+  const points = live ? data.slice(-20) : data;
+  const chartData = points.map((point, idx) => ({
     ...point,
-    timeLabel: idx === data.slice(-20).length - 1 ? 'now' : formatTime(point.timestamp),
+    timeLabel: !live ? formatClockTime(point.timestamp) : idx === points.length - 1 ? 'now' : formatTime(point.timestamp),
   }));
 
   return (
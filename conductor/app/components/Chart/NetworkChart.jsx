@@ -5,7 +5,7 @@ import { ChartStyles } from './Chart.styles';
 import { colors } from '../../styles/theme';
 
 // Web-only network chart component showing both RX and TX
-export const NetworkChart = ({ title, data, height = 200 }) => {
+export const NetworkChart = ({ title, data, height = 200, live = true }) => {
   // Only render on web platform
   if (Platform.OS !== 'web') {
     return (
@@ -35,10 +35,19 @@ export const NetworkChart = ({ title, data, height = 200 }) => {
     return `${minutes}m ago`;
   };
 
-  // Prepare data for chart (show last 20 points for readability)
-  const chartData = data.slice(-20).map((point, idx) => ({
+  // Format timestamp for X-axis of stored history (clock time, with the date for ranges over a day)
+  const spansDays = data[data.length - 1].timestamp - data[0].timestamp > 24 * 60 * 60 * 1000;
+  const formatClockTime = (timestamp) => {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return spansDays ? `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time}` : time;
+  };
+
+  // Prepare data for chart (live: show last 20 points for readability, history: all points)
+  const points = live ? data.slice(-20) : data;
+  const chartData = points.map((point, idx) => ({
     ...point,
-    timeLabel: idx === data.slice(-20).length - 1 ? 'now' : formatTime(point.timestamp),
+    timeLabel: !live ? formatClockTime(point.timestamp) : idx === points.length - 1 ? 'now' : formatTime(point.timestamp),
     rx_mbps: ((point.rx_bytes_per_sec || 0) / 1024 / 1024).toFixed(2),
     tx_mbps: ((point.tx_bytes_per_sec || 0) / 1024 / 1024).toFixed(2)
   }));
@@ -44,6 +44,11 @@ export const AuthProvider = ({ children }) => {
     
     try {
       const result = await authService.login(username, password);
+
+      // Two-factor users finish with verifyTwoFactor()
+      if (result.success && result.twoFactorRequired) {
+        return { success: true, twoFactorRequired: true, challengeToken: result.challengeToken };
+      }
       
       if (result.success) {
         setUser(result.user);
@@ -64,6 +69,26 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyTwoFactor = async (challengeToken, code) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await authService.verifyTwoFactor(challengeToken, code);
+
+      if (result.success) {
+        setUser(result.user);
+        setIsAuthenticated(true);
+        return { success: true };
+      }
+      return { success: false, error: result.error };
+    } catch (err) {
+      return { success: false, error: err.message || 'Verification failed' };
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const logout = async () => {
     setLoading(true);
     try {
@@ -102,6 +127,7 @@ export const AuthProvider = ({ children }) => {
     error,
     isAuthenticated,
     login,
+    verifyTwoFactor,
     logout,
     checkAuth,
     getToken,
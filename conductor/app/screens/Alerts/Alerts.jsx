@@ -0,0 +1,473 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, ScrollView, TouchableOpacity, RefreshControl, ActivityIndicator } from 'react-native';
+import { alertService } from '../../services/alertService';
+import websocketService from '../../services/websocketService';
+import { useAuth } from '../../contexts/AuthContext';
+import { Box } from '../../components/Box/Box';
+import { Input } from '../../components/Input/Input';
+import { Button } from '../../components/Button/Button';
+import { can } from '../../utils/permissions';
+import { AlertsStyles } from './Alerts.styles';
+
+const STATES = [
+  { value: 'firing', label: 'Firing' },
+  { value: 'pending', label: 'Pending' },
+  { value: 'resolved', label: 'Resolved' },
+  { value: null, label: 'All' },
+];
+const SEVERITIES = ['warning', 'critical'];
+const CHANNEL_TYPES = [
+  { value: 'feed', label: 'In-app feed' },
+  { value: 'webhook', label: 'Webhook' },
+  { value: 'smtp', label: 'Email' },
+];
+const SILENCE_MINUTES = 60;
+
+/**
+ * Chip for picking one of a few options
+ */
+const Chip = ({ label, active, onPress }) => (
+  <TouchableOpacity style={[AlertsStyles.chip, active && AlertsStyles.chipActive]} onPress={onPress}>
+    <Text style={[AlertsStyles.chipText, active && AlertsStyles.chipTextActive]}>{label}</Text>
+  </TouchableOpacity>
+);
+
+export const Alerts = ({ navigation }) => {
+  const { user, isAuthenticated, getToken } = useAuth();
+  const [alerts, setAlerts] = useState([]);
+  const [rules, setRules] = useState([]);
+  const [silences, setSilences] = useState([]);
+  const [channels, setChannels] = useState([]);
+  const [notifications, setNotifications] = useState([]);
+  const [stateFilter, setStateFilter] = useState('firing');
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState('');
+  const [busyId, setBusyId] = useState(null);
+  const [ruleForm, setRuleForm] = useState({ name: '', condition: '', severity: 'warning', channel_ids: [], repeat_minutes: '0' });
+  const [ruleError, setRuleError] = useState('');
+  const [ruleSaving, setRuleSaving] = useState(false);
+  const [channelForm, setChannelForm] = useState({ name: '', type: 'feed', target: '' });
+  const [channelError, setChannelError] = useState('');
+  const [channelSaving, setChannelSaving] = useState(false);
+
+  const canWrite = can(user, 'alerts:write');
+  const canManageChannels = can(user, 'notifications:manage');
+
+  useEffect(() => {
+    loadAll();
+  }, [stateFilter]);
+
+  // Live alert changes and notifications sent to the in-app feed
+  useEffect(() => {
+    if (!isAuthenticated) {
+      return undefined;
+    }
+    getToken().then(token => {
+      if (token) {
+        websocketService.connect(token);
+      }
+    });
+
+    const unsubscribeUpdated = websocketService.on('alert:updated', (alert) => {
+      setAlerts(prevAlerts => {
+        const others = prevAlerts.filter(existing => existing.id !== alert.id);
+        if (alert.state === 'inactive' || (stateFilter && alert.state !== stateFilter)) {
+          return others;
+        }
+        return [alert, ...others];
+      });
+    });
+    const unsubscribeNotification = websocketService.on('alert:notification', (notification) => {
+      setNotifications(prevNotifications => [notification, ...prevNotifications].slice(0, 20));
+    });
+
+    return () => {
+      unsubscribeUpdated();
+      unsubscribeNotification();
+    };
+  }, [isAuthenticated, stateFilter]);
+
+  const loadAll = async () => {
+    setError('');
+    try {
+      const [alertList, ruleList, silenceList, channelList] = await Promise.all([
+        alertService.getAlerts(stateFilter ? { state: stateFilter } : {}),
+        alertService.getRules(),
+        alertService.getSilences(),
+        alertService.getChannels(),
+      ]);
+      setAlerts(alertList);
+      setRules(ruleList);
+      setSilences(silenceList);
+      setChannels(channelList);
+    } catch (err) {
+      console.error('Failed to load alerts:', err);
+      setError(err.response?.data?.error?.message || 'Failed to load alerts');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  // Run an action on an item, then reload
+  const runAction = async (id, action) => {
+    setBusyId(id);
+    setError('');
+    try {
+      await action();
+      await loadAll();
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Action failed');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const saveRule = async () => {
+    setRuleError('');
+    setRuleSaving(true);
+    try {
+      await alertService.createRule({
+        name: ruleForm.name,
+        condition: ruleForm.condition,
+        severity: ruleForm.severity,
+        channel_ids: ruleForm.channel_ids,
+        repeat_minutes: parseInt(ruleForm.repeat_minutes, 10) || 0,
+      });
+      setRuleForm({ name: '', condition: '', severity: 'warning', channel_ids: [], repeat_minutes: '0' });
+      await loadAll();
+    } catch (err) {
+      setRuleError(err.response?.data?.error?.message || 'Failed to create rule');
+    } finally {
+      setRuleSaving(false);
+    }
+  };
+
+  const saveChannel = async () => {
+    setChannelError('');
+    setChannelSaving(true);
+    try {
+      const config = channelForm.type === 'webhook'
+        ? { url: channelForm.target.trim() }
+        : channelForm.type === 'smtp' ? { to: channelForm.target } : {};
+      await alertService.createChannel({ name: channelForm.name, type: channelForm.type, config });
+      setChannelForm({ name: '', type: 'feed', target: '' });
+      await loadAll();
+    } catch (err) {
+      setChannelError(err.response?.data?.error?.message || 'Failed to create channel');
+    } finally {
+      setChannelSaving(false);
+    }
+  };
+
+  const toggleRuleChannel = (channelId) => {
+    setRuleForm(prevForm => ({
+      ...prevForm,
+      channel_ids: prevForm.channel_ids.includes(channelId)
+        ? prevForm.channel_ids.filter(id => id !== channelId)
+        : [...prevForm.channel_ids, channelId],
+    }));
+  };
+
+  const channelName = (channelId) => channels.find(channel => channel.id === channelId)?.name || channelId;
+  const ruleName = (ruleId) => rules.find(rule => rule.id === ruleId)?.name || ruleId;
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadAll();
+  };
+
+  if (loading) {
+    return (
+      <View style={AlertsStyles.container}>
+        <ActivityIndicator size="large" color="#D4AF37" />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView
+      style={AlertsStyles.container}
+      refreshControl={
+        <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+      }
+      keyboardShouldPersistTaps="handled"
+    >
+      {notifications.length > 0 && (
+        <Box title="Notifications">
+          {notifications.map((notification, idx) => (
+            <View key={`${notification.timestamp}-${idx}`} style={AlertsStyles.notificationRow}>
+              <Text style={AlertsStyles.itemTitle}>{notification.title}</Text>
+              <Text style={AlertsStyles.itemDetail}>{new Date(notification.timestamp).toLocaleString()}</Text>
+            </View>
+          ))}
+        </Box>
+      )}
+
+      <Box title="Alerts">
+        <View style={AlertsStyles.chipRow}>
+          {STATES.map(option => (
+            <Chip
+              key={option.label}
+              label={option.label}
+              active={stateFilter === option.value}
+              onPress={() => setStateFilter(option.value)}
+            />
+          ))}
+        </View>
+
+        {error ? <Text style={AlertsStyles.errorText}>{error}</Text> : null}
+
+        {alerts.length === 0 ? (
+          <Text style={AlertsStyles.emptyText}>No alerts</Text>
+        ) : (
+          alerts.map(alert => (
+            <View
+              key={alert.id}
+              style={[AlertsStyles.card, alert.state === 'firing' && alert.severity === 'critical' && AlertsStyles.cardCritical]}
+            >
+              <View style={AlertsStyles.cardHeader}>
+                <Text style={AlertsStyles.itemTitle}>{alert.rule_name}</Text>
+                <Text style={AlertsStyles.badge}>
+                  {alert.state}{alert.silenced ? ' • silenced' : ''} • {alert.severity}
+                </Text>
+              </View>
+              <Text style={AlertsStyles.itemDetail}>{alert.message}</Text>
+              <Text style={AlertsStyles.itemDetail}>
+                Since {new Date(alert.started_at).toLocaleString()}
+                {alert.resolved_at ? ` • resolved ${new Date(alert.resolved_at).toLocaleString()}` : ''}
+              </Text>
+              {alert.acknowledged_at && (
+                <Text style={AlertsStyles.itemDetail}>
+                  Acknowledged by {alert.acknowledged_by} at {new Date(alert.acknowledged_at).toLocaleString()}
+                </Text>
+              )}
+              {canWrite && alert.state !== 'resolved' && (
+                <View style={AlertsStyles.actions}>
+                  {!alert.acknowledged_at && (
+                    <Button
+                      title="Acknowledge"
+                      variant="secondary"
+                      onPress={() => runAction(alert.id, () => alertService.acknowledgeAlert(alert.id))}
+                      loading={busyId === alert.id}
+                      disabled={busyId !== null}
+                    />
+                  )}
+                  {!alert.silenced && (
+                    <Button
+                      title={`Silence ${SILENCE_MINUTES / 60}h`}
+                      variant="secondary"
+                      onPress={() => runAction(alert.id, () => alertService.createSilence({
+                        rule_id: alert.rule_id,
+                        target_id: alert.target_id,
+                        duration_minutes: SILENCE_MINUTES,
+                      }))}
+                      disabled={busyId !== null}
+                    />
+                  )}
+                </View>
+              )}
+            </View>
+          ))
+        )}
+      </Box>
+
+      {silences.length > 0 && (
+        <Box title="Silences">
+          {silences.map(silence => (
+            <View key={silence.id} style={AlertsStyles.row}>
+              <View style={AlertsStyles.rowText}>
+                <Text style={AlertsStyles.itemTitle}>
+                  {[silence.rule_id && ruleName(silence.rule_id), silence.target_id].filter(Boolean).join(' on ')}
+                </Text>
+                <Text style={AlertsStyles.itemDetail}>
+                  Until {new Date(silence.ends_at).toLocaleString()} • by {silence.created_by}
+                  {silence.comment ? ` • ${silence.comment}` : ''}
+                </Text>
+              </View>
+              {canWrite && (
+                <Button
+                  title="End"
+                  variant="secondary"
+                  onPress={() => runAction(silence.id, () => alertService.expireSilence(silence.id))}
+                  loading={busyId === silence.id}
+                  disabled={busyId !== null}
+                />
+              )}
+            </View>
+          ))}
+        </Box>
+      )}
+
+      <Box title="Rules">
+        {rules.length === 0 ? (
+          <Text style={AlertsStyles.emptyText}>No alert rules</Text>
+        ) : (
+          rules.map(rule => (
+            <View key={rule.id} style={AlertsStyles.row}>
+              <View style={AlertsStyles.rowText}>
+                <Text style={[AlertsStyles.itemTitle, !rule.enabled && AlertsStyles.disabledText]}>
+                  {rule.name} • {rule.severity}{rule.enabled ? '' : ' • disabled'}
+                </Text>
+                <Text style={AlertsStyles.condition}>{rule.condition}</Text>
+                <Text style={AlertsStyles.itemDetail}>
+                  {rule.channel_ids.length > 0 ? `Notifies ${rule.channel_ids.map(channelName).join(', ')}` : 'No notifications'}
+                  {rule.repeat_minutes > 0 ? ` • every ${rule.repeat_minutes}m until acknowledged` : ''}
+                </Text>
+              </View>
+              {canWrite && (
+                <View style={AlertsStyles.actions}>
+                  <Button
+                    title={rule.enabled ? 'Disable' : 'Enable'}
+                    variant="secondary"
+                    onPress={() => runAction(rule.id, () => alertService.updateRule(rule.id, { enabled: !rule.enabled }))}
+                    loading={busyId === rule.id}
+                    disabled={busyId !== null}
+                  />
+                  <Button
+                    title="Delete"
+                    variant="secondary"
+                    onPress={() => runAction(rule.id, () => alertService.deleteRule(rule.id))}
+                    disabled={busyId !== null}
+                  />
+                </View>
+              )}
+            </View>
+          ))
+        )}
+
+        {canWrite && (
+          <View style={AlertsStyles.form}>
+            <Input
+              label="Name"
+              value={ruleForm.name}
+              onChangeText={name => setRuleForm(prevForm => ({ ...prevForm, name }))}
+              placeholder="e.g. RAM almost full"
+            />
+            <Input
+              label="Condition"
+              value={ruleForm.condition}
+              onChangeText={condition => setRuleForm(prevForm => ({ ...prevForm, condition }))}
+              placeholder="ram.usagePercent > 90 for 5m, worker offline for 2m, deployment restarting"
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            <View style={AlertsStyles.chipRow}>
+              {SEVERITIES.map(severity => (
+                <Chip
+                  key={severity}
+                  label={severity}
+                  active={ruleForm.severity === severity}
+                  onPress={() => setRuleForm(prevForm => ({ ...prevForm, severity }))}
+                />
+              ))}
+            </View>
+            {channels.length > 0 && (
+              <View style={AlertsStyles.chipRow}>
+                {channels.map(channel => (
+                  <Chip
+                    key={channel.id}
+                    label={channel.name}
+                    active={ruleForm.channel_ids.includes(channel.id)}
+                    onPress={() => toggleRuleChannel(channel.id)}
+                  />
+                ))}
+              </View>
+            )}
+            <Input
+              label="Remind every (minutes, 0 = never)"
+              value={ruleForm.repeat_minutes}
+              onChangeText={repeat_minutes => setRuleForm(prevForm => ({ ...prevForm, repeat_minutes }))}
+              keyboardType="numeric"
+            />
+            {ruleError ? <Text style={AlertsStyles.errorText}>{ruleError}</Text> : null}
+            <Button
+              title="Add Rule"
+              variant="primary"
+              onPress={saveRule}
+              loading={ruleSaving}
+              disabled={ruleSaving || !ruleForm.name.trim() || !ruleForm.condition.trim()}
+            />
+          </View>
+        )}
+      </Box>
+
+      {canManageChannels && (
+        <Box title="Notification Channels">
+          {channels.length === 0 ? (
+            <Text style={AlertsStyles.emptyText}>No notification channels</Text>
+          ) : (
+            channels.map(channel => (
+              <View key={channel.id} style={AlertsStyles.row}>
+                <View style={AlertsStyles.rowText}>
+                  <Text style={AlertsStyles.itemTitle}>{channel.name} • {channel.type}</Text>
+                  <Text style={AlertsStyles.itemDetail}>
+                    {channel.config?.url || (channel.config?.to || []).join(', ') || 'Shown on this screen'}
+                  </Text>
+                  {channel.last_error ? (
+                    <Text style={AlertsStyles.errorText}>Last error: {channel.last_error}</Text>
+                  ) : channel.last_sent_at ? (
+                    <Text style={AlertsStyles.itemDetail}>Last sent {new Date(channel.last_sent_at).toLocaleString()}</Text>
+                  ) : null}
+                </View>
+                <View style={AlertsStyles.actions}>
+                  <Button
+                    title="Test"
+                    variant="secondary"
+                    onPress={() => runAction(channel.id, () => alertService.testChannel(channel.id))}
+                    loading={busyId === channel.id}
+                    disabled={busyId !== null}
+                  />
+                  <Button
+                    title="Delete"
+                    variant="secondary"
+                    onPress={() => runAction(channel.id, () => alertService.deleteChannel(channel.id))}
+                    disabled={busyId !== null}
+                  />
+                </View>
+              </View>
+            ))
+          )}
+
+          <View style={AlertsStyles.form}>
+            <Input
+              label="Name"
+              value={channelForm.name}
+              onChangeText={name => setChannelForm(prevForm => ({ ...prevForm, name }))}
+              placeholder="e.g. On-call email"
+            />
+            <View style={AlertsStyles.chipRow}>
+              {CHANNEL_TYPES.map(option => (
+                <Chip
+                  key={option.value}
+                  label={option.label}
+                  active={channelForm.type === option.value}
+                  onPress={() => setChannelForm(prevForm => ({ ...prevForm, type: option.value }))}
+                />
+              ))}
+            </View>
+            {channelForm.type !== 'feed' && (
+              <Input
+                label={channelForm.type === 'webhook' ? 'URL' : 'Email addresses (comma separated)'}
+                value={channelForm.target}
+                onChangeText={target => setChannelForm(prevForm => ({ ...prevForm, target }))}
+                placeholder={channelForm.type === 'webhook' ? 'https://hooks.example.com/...' : 'ops@example.com'}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+            )}
+            {channelError ? <Text style={AlertsStyles.errorText}>{channelError}</Text> : null}
+            <Button
+              title="Add Channel"
+              variant="primary"
+              onPress={saveChannel}
+              loading={channelSaving}
+              disabled={channelSaving || !channelForm.name.trim()}
+            />
+          </View>
+        </Box>
+      )}
+    </ScrollView>
+  );
+};
@@ -0,0 +1,111 @@
+import { StyleSheet } from 'react-native';
+import { colors, spacing, typography } from '../../styles/theme';
+
+export const AlertsStyles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+    marginBottom: spacing.sm,
+  },
+  chip: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.xs,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  chipActive: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    ...typography.caption,
+    color: colors.textPrimary,
+  },
+  chipTextActive: {
+    color: '#FFFFFF',
+  },
+  emptyText: {
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginVertical: spacing.md,
+    fontSize: 16,
+  },
+  errorText: {
+    color: colors.error,
+    fontSize: 14,
+    marginBottom: spacing.sm,
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: 8,
+    padding: spacing.md,
+    marginBottom: spacing.sm,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  cardCritical: {
+    borderColor: colors.textPrimary,
+    borderWidth: 2,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: spacing.xs,
+  },
+  badge: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    textTransform: 'uppercase',
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: spacing.sm,
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  rowText: {
+    flex: 1,
+  },
+  notificationRow: {
+    paddingVertical: spacing.xs,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  itemTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.textPrimary,
+  },
+  itemDetail: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  disabledText: {
+    color: colors.textMuted,
+  },
+  condition: {
+    fontSize: 13,
+    color: colors.textPrimary,
+    fontFamily: 'monospace',
+    marginTop: 2,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: spacing.sm,
+    marginTop: spacing.sm,
+  },
+  form: {
+    marginTop: spacing.md,
+  },
+});
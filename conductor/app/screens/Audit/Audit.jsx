@@ -0,0 +1,213 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, ScrollView, TouchableOpacity, RefreshControl, ActivityIndicator } from 'react-native';
+import { auditService } from '../../services/auditService';
+import { Box } from '../../components/Box/Box';
+import { Input } from '../../components/Input/Input';
+import { Button } from '../../components/Button/Button';
+import { AuditStyles } from './Audit.styles';
+
+const PAGE_SIZE = 50;
+const ACTOR_TYPES = [
+  { value: null, label: 'All' },
+  { value: 'user', label: 'Users' },
+  { value: 'api_key', label: 'API Keys' },
+  { value: 'worker', label: 'Workers' },
+  { value: 'system', label: 'System' },
+];
+
+/**
+ * Format a value of an audit diff for display
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+export const Audit = ({ navigation }) => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [error, setError] = useState('');
+  const [actorType, setActorType] = useState(null);
+  const [action, setAction] = useState('');
+  const [targetId, setTargetId] = useState('');
+  const [verification, setVerification] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+
+  useEffect(() => {
+    loadEvents();
+  }, [actorType]);
+
+  const getFilters = (offset) => {
+    const filters = { limit: PAGE_SIZE, offset };
+    if (actorType) filters.actor_type = actorType;
+    if (action.trim()) filters.action = action.trim();
+    if (targetId.trim()) filters.target_id = targetId.trim();
+    return filters;
+  };
+
+  const loadEvents = async () => {
+    setError('');
+    try {
+      const page = await auditService.getEvents(getFilters(0));
+      setEvents(page);
+      setHasMore(page.length === PAGE_SIZE);
+    } catch (err) {
+      console.error('Failed to load audit log:', err);
+      setError(err.response?.data?.error?.message || 'Failed to load audit log');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const loadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const page = await auditService.getEvents(getFilters(events.length));
+      setEvents(prevEvents => [...prevEvents, ...page]);
+      setHasMore(page.length === PAGE_SIZE);
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to load audit log');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleVerify = async () => {
+    setVerifying(true);
+    try {
+      setVerification(await auditService.verify());
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to verify audit log');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadEvents();
+  };
+
+  if (loading) {
+    return (
+      <View style={AuditStyles.container}>
+        <ActivityIndicator size="large" color="#D4AF37" />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView
+      style={AuditStyles.container}
+      refreshControl={
+        <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+      }
+      keyboardShouldPersistTaps="handled"
+    >
+      <Box title="Integrity">
+        <View style={AuditStyles.chainRow}>
+          <Text style={[AuditStyles.chainText, verification && !verification.valid && AuditStyles.chainBroken]}>
+            {!verification
+              ? 'Entries are hash-chained; verify the chain to detect changed or removed entries.'
+              : verification.valid
+                ? `Chain intact: ${verification.checked} entries checked.`
+                : `Chain broken at entry ${verification.broken_at}: ${verification.message}`}
+          </Text>
+          <Button
+            title="Verify"
+            variant="secondary"
+            onPress={handleVerify}
+            loading={verifying}
+            disabled={verifying}
+          />
+        </View>
+      </Box>
+
+      <Box title="Audit Log">
+        <View style={AuditStyles.filters}>
+          <View style={AuditStyles.filterRow}>
+            {ACTOR_TYPES.map(option => (
+              <TouchableOpacity
+                key={option.label}
+                style={[AuditStyles.chip, actorType === option.value && AuditStyles.chipActive]}
+                onPress={() => setActorType(option.value)}
+              >
+                <Text style={[AuditStyles.chipText, actorType === option.value && AuditStyles.chipTextActive]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Input
+            label="Action"
+            value={action}
+            onChangeText={setAction}
+            placeholder="e.g. service.update"
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          <Input
+            label="Target ID"
+            value={targetId}
+            onChangeText={setTargetId}
+            placeholder="Service, worker, user... ID"
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          <Button title="Apply Filters" variant="primary" onPress={loadEvents} />
+        </View>
+
+        {error ? <Text style={AuditStyles.errorText}>{error}</Text> : null}
+
+        {events.length === 0 ? (
+          <Text style={AuditStyles.emptyText}>No audit events</Text>
+        ) : (
+          events.map(event => (
+            <View key={event.id} style={AuditStyles.eventCard}>
+              <View style={AuditStyles.eventHeader}>
+                <Text style={AuditStyles.eventAction}>{event.action}</Text>
+                <Text style={AuditStyles.eventTime}>#{event.sequence} • {new Date(event.occurred_at).toLocaleString()}</Text>
+              </View>
+              <Text style={AuditStyles.eventDetail}>
+                By {event.actor.type}: {event.actor.name || event.actor.id}
+              </Text>
+              {event.target.type && (
+                <Text style={AuditStyles.eventDetail} selectable>
+                  Target: {event.target.type} {event.target.id || ''}
+                </Text>
+              )}
+              <Text style={AuditStyles.eventDetail} selectable>
+                IP: {event.ip_address || 'unknown'} • Request: {event.request_id || 'none'}
+              </Text>
+              {Object.keys(event.changes).length > 0 && (
+                <View style={AuditStyles.changes}>
+                  {Object.entries(event.changes).map(([field, change]) => (
+                    <Text key={field} style={AuditStyles.changeText}>
+                      {field}: {formatValue(change.before)} → {formatValue(change.after)}
+                    </Text>
+                  ))}
+                </View>
+              )}
+            </View>
+          ))
+        )}
+
+        {hasMore && (
+          <Button
+            title="Load More"
+            variant="secondary"
+            onPress={loadMore}
+            loading={loadingMore}
+            disabled={loadingMore}
+            style={AuditStyles.loadMoreButton}
+          />
+        )}
+      </Box>
+    </ScrollView>
+  );
+};
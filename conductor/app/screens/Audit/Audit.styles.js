@@ -0,0 +1,103 @@
+import { StyleSheet } from 'react-native';
+import { colors, spacing, typography } from '../../styles/theme';
+
+export const AuditStyles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  filters: {
+    marginBottom: spacing.sm,
+  },
+  filterRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+    marginBottom: spacing.sm,
+  },
+  chip: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.xs,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  chipActive: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    ...typography.caption,
+    color: colors.textPrimary,
+  },
+  chipTextActive: {
+    color: '#FFFFFF',
+  },
+  chainRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: spacing.sm,
+  },
+  chainText: {
+    ...typography.bodySecondary,
+    flex: 1,
+  },
+  chainBroken: {
+    color: colors.textPrimary,
+    fontWeight: '600',
+  },
+  emptyText: {
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginTop: 20,
+    fontSize: 16,
+  },
+  errorText: {
+    color: colors.error,
+    fontSize: 14,
+    marginBottom: spacing.sm,
+  },
+  eventCard: {
+    backgroundColor: colors.surface,
+    borderRadius: 8,
+    padding: spacing.md,
+    marginBottom: spacing.sm,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  eventHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: spacing.xs,
+  },
+  eventAction: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.textPrimary,
+  },
+  eventTime: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  eventDetail: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginBottom: 2,
+  },
+  changes: {
+    marginTop: spacing.xs,
+    paddingTop: spacing.xs,
+    borderTopWidth: 1,
+    borderTopColor: colors.divider,
+  },
+  changeText: {
+    fontSize: 13,
+    color: colors.textPrimary,
+    fontFamily: 'monospace',
+  },
+  loadMoreButton: {
+    marginVertical: spacing.md,
+  },
+});
@@ -3,16 +3,65 @@ import { View, Text, ScrollView, RefreshControl, TouchableOpacity } from 'react-
 import { useAuth } from '../../contexts/AuthContext';
 import { Box } from '../../components/Box/Box';
 import apiClient from '../../utils/api';
+import { eventService } from '../../services/eventService';
+import websocketService from '../../services/websocketService';
+import { can } from '../../utils/permissions';
 import { DashboardStyles } from './Dashboard.styles';
 
+const ACTIVITY_PAGE_SIZE = 20;
+
 export const Dashboard = ({ navigation }) => {
-  const { user } = useAuth();
+  const { user, isAuthenticated, getToken } = useAuth();
   const [healthStatus, setHealthStatus] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
+  const [events, setEvents] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [eventsLoading, setEventsLoading] = useState(false);
+  const [eventsError, setEventsError] = useState('');
+  const canReadEvents = can(user, 'events:read');
 
   useEffect(() => {
     checkHealth();
-  }, []);
+    if (canReadEvents) {
+      loadEvents();
+    }
+  }, [canReadEvents]);
+
+  // New cluster events are added to the top of the activity feed as they are recorded
+  useEffect(() => {
+    if (!isAuthenticated || !canReadEvents) {
+      return undefined;
+    }
+    getToken().then(token => {
+      if (token) {
+        websocketService.connect(token);
+      }
+    });
+
+    const unsubscribe = websocketService.on('cluster:event', (event) => {
+      setEvents(prevEvents => (
+        prevEvents.some(existing => existing.sequence === event.sequence) ? prevEvents : [event, ...prevEvents]
+      ));
+    });
+
+    return () => {
+      unsubscribe();
+    };
+  }, [isAuthenticated, canReadEvents]);
+
+  const loadEvents = async (cursor = null) => {
+    setEventsLoading(true);
+    setEventsError('');
+    try {
+      const page = await eventService.getEvents({ limit: ACTIVITY_PAGE_SIZE, ...(cursor ? { cursor } : {}) });
+      setEvents(prevEvents => (cursor ? [...prevEvents, ...page.events] : page.events));
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      setEventsError(error.response?.data?.error?.message || error.message || 'Failed to load activity');
+    } finally {
+      setEventsLoading(false);
+    }
+  };
 
   const checkHealth = async () => {
     try {
@@ -32,7 +81,7 @@ export const Dashboard = ({ navigation }) => {
 
   const onRefresh = async () => {
     setRefreshing(true);
-    await checkHealth();
+    await Promise.all([checkHealth(), canReadEvents ? loadEvents() : null]);
     setRefreshing(false);
   };
 
@@ -81,6 +130,41 @@ export const Dashboard = ({ navigation }) => {
         )}
       </Box>
 
+      {/* Activity Feed */}
+      {canReadEvents && (
+        <Box title="Activity">
+          {eventsError ? <Text style={DashboardStyles.errorText}>{eventsError}</Text> : null}
+          {events.length === 0 && !eventsLoading ? (
+            <Text style={DashboardStyles.loadingText}>No cluster activity yet</Text>
+          ) : (
+            events.map((event) => (
+              <View key={event.sequence} style={DashboardStyles.eventRow}>
+                <View style={DashboardStyles.eventHeader}>
+                  <Text
+                    style={[
+                      DashboardStyles.eventSeverity,
+                      event.severity !== 'info' && DashboardStyles.eventSeverityAttention,
+                    ]}
+                  >
+                    {event.severity}
+                  </Text>
+                  <Text style={DashboardStyles.eventTime}>{new Date(event.occurred_at).toLocaleString()}</Text>
+                </View>
+                <Text style={DashboardStyles.eventMessage}>{event.message || event.type}</Text>
+                <Text style={DashboardStyles.eventType}>{event.type}</Text>
+              </View>
+            ))
+          )}
+          {eventsLoading ? (
+            <Text style={DashboardStyles.loadingText}>Loading activity...</Text>
+          ) : nextCursor ? (
+            <TouchableOpacity onPress={() => loadEvents(nextCursor)} style={DashboardStyles.linkButton}>
+              <Text style={DashboardStyles.linkText}>Load older activity</Text>
+            </TouchableOpacity>
+          ) : null}
+        </Box>
+      )}
+
       {/* Workers Section */}
       <Box title="Workers">
         <TouchableOpacity
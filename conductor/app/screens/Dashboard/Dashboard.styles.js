@@ -98,4 +98,42 @@ export const DashboardStyles = StyleSheet.create({
     color: colors.accent,
     fontWeight: '500',
   },
+  errorText: {
+    ...typography.bodySecondary,
+    color: colors.error,
+    marginBottom: spacing.sm,
+  },
+  eventRow: {
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  eventHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  eventSeverity: {
+    ...typography.caption,
+    color: colors.textMuted,
+    textTransform: 'uppercase',
+    letterSpacing: 1,
+  },
+  eventSeverityAttention: {
+    color: colors.textPrimary,
+    fontWeight: '600',
+  },
+  eventTime: {
+    ...typography.caption,
+    color: colors.textMuted,
+  },
+  eventMessage: {
+    ...typography.body,
+    fontWeight: '300',
+    marginTop: spacing.xs,
+  },
+  eventType: {
+    ...typography.caption,
+    color: colors.textMuted,
+  },
 });
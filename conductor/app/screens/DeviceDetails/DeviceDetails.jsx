@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { View, Text, ScrollView, RefreshControl, ActivityIndicator, Platform } from 'react-native';
+import { View, Text, ScrollView, TouchableOpacity, RefreshControl, ActivityIndicator, Platform } from 'react-native';
 import { deviceService } from '../../services/deviceService';
 import websocketService from '../../services/websocketService';
 import { useAuth } from '../../contexts/AuthContext';
@@ -7,19 +7,66 @@ import { Box } from '../../components/Box/Box';
 import { Chart } from '../../components/Chart/Chart';
 import { NetworkChart } from '../../components/Chart/NetworkChart';
 import { ServerVisual } from '../../components/ServerVisual/ServerVisual';
+import { Input } from '../../components/Input/Input';
+import { Button } from '../../components/Button/Button';
+import { formatLabels, parseLabels, formatTaints } from '../../utils/placement';
+import { can } from '../../utils/permissions';
 import { DeviceDetailsStyles } from './DeviceDetails.styles';
 import { colors, spacing } from '../../styles/theme';
 
+const HOUR_MS = 60 * 60 * 1000;
+
+// Chart ranges: the live stream, or stored metrics at a step that keeps charts readable
+const HISTORY_RANGES = [
+  { label: 'Live', value: 'live' },
+  { label: '1h', value: '1h', durationMs: HOUR_MS, step: 60 },
+  { label: '24h', value: '24h', durationMs: 24 * HOUR_MS, step: 600 },
+  { label: '7d', value: '7d', durationMs: 7 * 24 * HOUR_MS, step: 3600 },
+  { label: '30d', value: '30d', durationMs: 30 * 24 * HOUR_MS, step: 6 * 3600 },
+];
+
+// Map stored metric points to the data shapes the live charts use
+const toChartHistory = (points) => {
+  const history = { cpu: [], ram: [], disk: [], network: [] };
+  points.forEach(point => {
+    const timestamp = new Date(point.time).getTime();
+    if (point.cpu_percent !== null) {
+      history.cpu.push({ timestamp, usagePercent: point.cpu_percent });
+    }
+    if (point.ram_percent !== null) {
+      history.ram.push({ timestamp, usagePercent: point.ram_percent });
+    }
+    if (point.disk_percent !== null) {
+      history.disk.push({ timestamp, usagePercent: point.disk_percent });
+    }
+    if (point.net_rx_bps !== null || point.net_tx_bps !== null) {
+      history.network.push({ timestamp, rx_bytes_per_sec: point.net_rx_bps || 0, tx_bytes_per_sec: point.net_tx_bps || 0 });
+    }
+  });
+  return history;
+};
+
 export const DeviceDetails = ({ route, navigation }) => {
   const { deviceId } = route?.params || {};
-  const { isAuthenticated, getToken } = useAuth();
+  const { isAuthenticated, getToken, user } = useAuth();
   const [device, setDevice] = useState(null);
+  const [deployments, setDeployments] = useState([]);
+  const [driftEvents, setDriftEvents] = useState([]);
+  const [labelsText, setLabelsText] = useState('');
+  const [labelsError, setLabelsError] = useState('');
+  const [labelsSaving, setLabelsSaving] = useState(false);
+  const [maintenanceError, setMaintenanceError] = useState('');
+  const [maintenanceAction, setMaintenanceAction] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [liveData, setLiveData] = useState(null);
   const [lastHeartbeat, setLastHeartbeat] = useState(null);
   const [dataHistory, setDataHistory] = useState({ cpu: [], ram: [], disk: [], network: [] });
   const dataHistoryRef = useRef({ cpu: [], ram: [], disk: [], network: [] });
+  const [historyRange, setHistoryRange] = useState('live');
+  const [storedHistory, setStoredHistory] = useState({ cpu: [], ram: [], disk: [], network: [] });
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [historyError, setHistoryError] = useState('');
   const MAX_HISTORY = 60; // Keep last 60 data points (5 minutes at 5s intervals)
 
   useEffect(() => {
@@ -104,9 +151,55 @@ export const DeviceDetails = ({ route, navigation }) => {
             }
           });
 
+          // Listen for container status of this device's deployments
+          const unsubscribeDeployments = websocketService.on('deployment:status:updated', (data) => {
+            if (data.workerId === deviceId) {
+              setDeployments(prevDeployments => {
+                const updated = new Map(data.deployments.map(deployment => [deployment.id, deployment]));
+                return prevDeployments.map(deployment => updated.get(deployment.id) || deployment);
+              });
+            }
+          });
+
+          // Listen for drift corrected by the reconciliation loop on this device
+          const unsubscribeDrift = websocketService.on('deployment:drift', (event) => {
+            if (event.worker_id === deviceId) {
+              setDriftEvents(prevEvents => [event, ...prevEvents].slice(0, 20));
+            }
+          });
+
+          // Deployments moved off, stranded on or recovered on this device
+          const reloadDeployments = () => {
+            deviceService.getDeployments(deviceId)
+              .then(setDeployments)
+              .catch(error => console.error('Failed to reload deployments:', error));
+          };
+          const unsubscribeMoves = ['deployment:rescheduled', 'deployment:stranded', 'deployment:recovered']
+            .map(event => websocketService.on(event, reloadDeployments));
+
+          // Cordon state and drain progress of this device
+          const unsubscribeCordon = websocketService.on('worker:cordoned', (data) => {
+            if (data.workerId === deviceId) {
+              setDevice(prevDevice => prevDevice && { ...prevDevice, cordoned: data.cordoned });
+            }
+          });
+          const unsubscribeDrain = websocketService.on('worker:drain', (drain) => {
+            if (drain.worker_id === deviceId) {
+              setDevice(prevDevice => prevDevice && { ...prevDevice, drain });
+              if (drain.status !== 'in_progress') {
+                reloadDeployments();
+              }
+            }
+          });
+
           return () => {
             unsubscribeLive();
             unsubscribeConnected();
+            unsubscribeDeployments();
+            unsubscribeDrift();
+            unsubscribeMoves.forEach(unsubscribe => unsubscribe());
+            unsubscribeCordon();
+            unsubscribeDrain();
             websocketService.unsubscribeFromWorker(deviceId);
           };
         }
@@ -114,6 +207,44 @@ export const DeviceDetails = ({ route, navigation }) => {
     }
   }, [deviceId, isAuthenticated]);
 
+  // Load stored metrics when a history range is selected
+  useEffect(() => {
+    if (!deviceId || historyRange === 'live') {
+      return;
+    }
+    const range = HISTORY_RANGES.find(option => option.value === historyRange);
+    const to = Date.now();
+    let cancelled = false;
+
+    setHistoryLoading(true);
+    setHistoryError('');
+    deviceService.getMetrics(deviceId, {
+      from: new Date(to - range.durationMs).toISOString(),
+      to: new Date(to).toISOString(),
+      step: range.step,
+      fields: 'cpu_percent,ram_percent,disk_percent,net_rx_bps,net_tx_bps'
+    })
+      .then(metrics => {
+        if (!cancelled) {
+          setStoredHistory(toChartHistory(metrics.points));
+        }
+      })
+      .catch(error => {
+        if (!cancelled) {
+          setHistoryError(error.response?.data?.error?.message || 'Failed to load metrics');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setHistoryLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [deviceId, historyRange]);
+
   const loadDevice = async () => {
     if (!deviceId) {
       console.error('DeviceDetails: Cannot load device without deviceId');
@@ -122,8 +253,15 @@ export const DeviceDetails = ({ route, navigation }) => {
       return;
     }
     try {
-      const deviceData = await deviceService.getDevice(deviceId);
+      const [deviceData, deploymentsList, driftList] = await Promise.all([
+        deviceService.getDevice(deviceId),
+        deviceService.getDeployments(deviceId),
+        deviceService.getDriftEvents(deviceId)
+      ]);
       setDevice(deviceData);
+      setLabelsText(formatLabels(deviceData.labels));
+      setDeployments(deploymentsList);
+      setDriftEvents(driftList);
     } catch (error) {
       console.error('Failed to load device:', error);
     } finally {
@@ -132,6 +270,43 @@ export const DeviceDetails = ({ route, navigation }) => {
     }
   };
 
+  const saveLabels = async () => {
+    setLabelsError('');
+    setLabelsSaving(true);
+    try {
+      const updated = await deviceService.updateLabels(deviceId, parseLabels(labelsText));
+      setDevice(prevDevice => ({ ...prevDevice, labels: updated.labels }));
+      setLabelsText(formatLabels(updated.labels));
+    } catch (error) {
+      setLabelsError(error.response?.data?.error?.message || error.message || 'Failed to save labels');
+    } finally {
+      setLabelsSaving(false);
+    }
+  };
+
+  const runMaintenance = async (action) => {
+    setMaintenanceError('');
+    setMaintenanceAction(action);
+    try {
+      if (action === 'drain') {
+        const drain = await deviceService.drain(deviceId);
+        setDevice(prevDevice => ({ ...prevDevice, cordoned: true, drain }));
+      } else {
+        const updated = await deviceService[action](deviceId);
+        setDevice(prevDevice => ({
+          ...prevDevice,
+          cordoned: updated.cordoned,
+          credential_issued_at: updated.credential_issued_at,
+          certificate_expires_at: updated.certificate_expires_at
+        }));
+      }
+    } catch (error) {
+      setMaintenanceError(error.response?.data?.error?.message || error.message || `Failed to ${action}`);
+    } finally {
+      setMaintenanceAction(null);
+    }
+  };
+
   const onRefresh = () => {
     setRefreshing(true);
     loadDevice();
@@ -156,6 +331,25 @@ export const DeviceDetails = ({ route, navigation }) => {
     }
   };
 
+  const getContainerStateColor = (state) => {
+    switch (state) {
+      case 'running':
+        return '#4CAF50';
+      case 'restarting':
+      case 'created':
+      case 'paused':
+        return '#FF9800';
+      case 'exited':
+      case 'dead':
+      case 'not_found':
+        return '#F44336';
+      default:
+        return '#9E9E9E';
+    }
+  };
+
+  const chartHistory = historyRange === 'live' ? dataHistory : storedHistory;
+
   const formatBytes = (bytes) => {
     if (bytes === 0) return '0 B';
     const k = 1024;
@@ -236,6 +430,170 @@ export const DeviceDetails = ({ route, navigation }) => {
         </View>
       </Box>
 
+      <Box title="Maintenance">
+        <Text style={DeviceDetailsStyles.serviceDetail}>
+          {device.drain?.status === 'in_progress'
+            ? 'Draining: deployments are being moved to other devices'
+            : device.cordoned
+              ? 'Cordoned: no new deployments are placed on this device'
+              : 'Schedulable: accepts new deployments'}
+        </Text>
+        {device.drain && (
+          <Text style={DeviceDetailsStyles.serviceDetail}>
+            Last drain: {device.drain.status} • {device.drain.moved} moved, {device.drain.stopped} stopped, {device.drain.failed} failed of {device.drain.total}
+          </Text>
+        )}
+        {device.drain?.steps?.filter(step => step.status === 'failed').map(step => (
+          <Text key={step.deployment_id} style={DeviceDetailsStyles.serviceError}>
+            {step.service_name || step.deployment_id}: {step.error}
+          </Text>
+        ))}
+        <Text style={DeviceDetailsStyles.serviceDetail}>
+          {device.credential_issued_at
+            ? `Credential issued ${new Date(device.credential_issued_at).toLocaleString()}`
+            : 'No credential: the device must register again with the registration token'}
+        </Text>
+        {device.certificate_expires_at && (
+          <Text style={DeviceDetailsStyles.serviceDetail}>
+            Client certificate expires {new Date(device.certificate_expires_at).toLocaleString()} (renewed automatically)
+          </Text>
+        )}
+        {(can(user, 'workers:write') || can(user, 'workers:credentials')) && (
+          <View style={DeviceDetailsStyles.adminControls}>
+            {!can(user, 'workers:write') ? null : device.cordoned ? (
+              <Button
+                title="Uncordon"
+                variant="secondary"
+                onPress={() => runMaintenance('uncordon')}
+                loading={maintenanceAction === 'uncordon'}
+                disabled={device.drain?.status === 'in_progress'}
+              />
+            ) : (
+              <Button
+                title="Cordon"
+                variant="secondary"
+                onPress={() => runMaintenance('cordon')}
+                loading={maintenanceAction === 'cordon'}
+              />
+            )}
+            {can(user, 'workers:write') && (
+              <Button
+                title="Drain"
+                onPress={() => runMaintenance('drain')}
+                loading={maintenanceAction === 'drain'}
+                disabled={device.drain?.status === 'in_progress'}
+              />
+            )}
+            {can(user, 'workers:credentials') && (
+              <Button
+                title="Revoke credential"
+                variant="secondary"
+                onPress={() => runMaintenance('revokeCredential')}
+                loading={maintenanceAction === 'revokeCredential'}
+                disabled={!device.credential_issued_at}
+              />
+            )}
+            {maintenanceError ? (
+              <Text style={DeviceDetailsStyles.serviceError}>{maintenanceError}</Text>
+            ) : null}
+          </View>
+        )}
+      </Box>
+
+      <Box title="Placement">
+        <Text style={DeviceDetailsStyles.serviceDetail}>
+          Labels: {formatLabels(device.labels) || 'none'}
+        </Text>
+        <Text style={DeviceDetailsStyles.serviceDetail}>
+          Taints: {formatTaints(device.taints) || 'none'}
+        </Text>
+        <Text style={DeviceDetailsStyles.serviceDetail}>
+          Capabilities: {device.capabilities?.length ? device.capabilities.join(', ') : 'none'}
+        </Text>
+        {can(user, 'workers:write') && (
+          <View style={DeviceDetailsStyles.adminControls}>
+            <Input
+              label="Edit labels"
+              value={labelsText}
+              onChangeText={setLabelsText}
+              placeholder="zone=garage, disk=ssd"
+              error={labelsError}
+            />
+            <Button title="Save Labels" onPress={saveLabels} loading={labelsSaving} />
+          </View>
+        )}
+      </Box>
+
+      <Box title="Services">
+        {deployments.length === 0 ? (
+          <Text style={DeviceDetailsStyles.emptyText}>No services deployed on this device</Text>
+        ) : (
+          deployments.map((deployment) => (
+            <View key={deployment.id} style={DeviceDetailsStyles.serviceRow}>
+              <View style={DeviceDetailsStyles.metricRow}>
+                <Text style={DeviceDetailsStyles.serviceName}>{deployment.service_name || deployment.service_id}</Text>
+                <View style={[DeviceDetailsStyles.statusBadge, { backgroundColor: getContainerStateColor(deployment.container?.state) }]}>
+                  <Text style={DeviceDetailsStyles.statusText}>{deployment.container?.state || 'not reported'}</Text>
+                </View>
+              </View>
+              <Text style={DeviceDetailsStyles.serviceDetail}>
+                Deployment: {deployment.status}
+                {deployment.container?.restart_count != null && ` • Restarts: ${deployment.container.restart_count}`}
+                {deployment.container?.exit_code != null && deployment.container?.state !== 'running' && ` • Exit code: ${deployment.container.exit_code}`}
+              </Text>
+              {deployment.container?.id && (
+                <Text style={[DeviceDetailsStyles.serviceDetail, DeviceDetailsStyles.deviceId]} numberOfLines={1}>
+                  Container: {deployment.container.id.substring(0, 12)}
+                  {deployment.container.image_digest && ` • Image: ${deployment.container.image_digest}`}
+                </Text>
+              )}
+              {(deployment.container?.last_error || deployment.error) && (
+                <Text style={DeviceDetailsStyles.serviceError}>
+                  {deployment.container?.last_error || deployment.error}
+                </Text>
+              )}
+              {deployment.container?.reported_at && (
+                <Text style={DeviceDetailsStyles.serviceDetail}>
+                  Reported: {formatDate(deployment.container.reported_at)}
+                </Text>
+              )}
+              {deployment.status === 'stranded' && (
+                <Text style={DeviceDetailsStyles.serviceError}>
+                  Stranded: waiting for this device to come back (has volumes)
+                </Text>
+              )}
+              {deployment.rescheduled_from && (
+                <Text style={DeviceDetailsStyles.serviceDetail}>
+                  Moved here from worker {deployment.rescheduled_from.substring(0, 8)}
+                </Text>
+              )}
+              {deployment.reconcile_paused && (
+                <Text style={DeviceDetailsStyles.serviceDetail}>Reconciliation paused</Text>
+              )}
+            </View>
+          ))
+        )}
+      </Box>
+
+      {driftEvents.length > 0 && (
+        <Box title="Recent Drift">
+          {driftEvents.map((event) => (
+            <View key={event.id} style={DeviceDetailsStyles.serviceRow}>
+              <View style={DeviceDetailsStyles.metricRow}>
+                <Text style={DeviceDetailsStyles.serviceName}>{event.service_name}</Text>
+                <Text style={DeviceDetailsStyles.serviceDetail}>{formatDate(event.created_at)}</Text>
+              </View>
+              <Text style={DeviceDetailsStyles.serviceDetail}>
+                {event.drift}: desired {event.desired_state}, observed {event.observed_state} • Action: {event.action}
+              </Text>
+              {event.message && (
+                <Text style={DeviceDetailsStyles.serviceDetail}>{event.message}</Text>
+              )}
+            </View>
+          ))}
+        </Box>
+      )}
+
       {liveData && (
         <>
           <Box title="Live Metrics">
@@ -338,53 +696,81 @@ export const DeviceDetails = ({ route, navigation }) => {
         </>
       )}
 
-      {/* Live Charts */}
-      {Platform.OS === 'web' && liveData && (
+      {/* Live and stored history charts */}
+      {Platform.OS === 'web' && (liveData || historyRange !== 'live') && (
         <>
-          {dataHistory.cpu.length > 0 && (
+          <View style={DeviceDetailsStyles.rangeRow}>
+            {HISTORY_RANGES.map(option => (
+              <TouchableOpacity
+                key={option.value}
+                style={[DeviceDetailsStyles.chip, historyRange === option.value && DeviceDetailsStyles.chipActive]}
+                onPress={() => setHistoryRange(option.value)}
+              >
+                <Text style={[DeviceDetailsStyles.chipText, historyRange === option.value && DeviceDetailsStyles.chipTextActive]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {historyRange !== 'live' && historyLoading && (
+            <ActivityIndicator size="small" color={colors.primary} />
+          )}
+          {historyRange !== 'live' && historyError ? (
+            <Text style={DeviceDetailsStyles.serviceError}>{historyError}</Text>
+          ) : null}
+          {historyRange !== 'live' && !historyLoading && !historyError && chartHistory.cpu.length === 0 && (
+            <Text style={DeviceDetailsStyles.serviceDetail}>No metrics stored for this range</Text>
+          )}
+
+          {chartHistory.cpu.length > 0 && (
             <Box title="CPU Usage Over Time">
               <Chart
                 title=""
-                data={dataHistory.cpu}
+                data={chartHistory.cpu}
                 dataKey="usagePercent"
                 color="#4CAF50"
                 height={200}
                 unit="%"
+                live={historyRange === 'live'}
               />
             </Box>
           )}
 
-          {dataHistory.ram.length > 0 && (
+          {chartHistory.ram.length > 0 && (
             <Box title="RAM Usage Over Time">
               <Chart
                 title=""
-                data={dataHistory.ram}
+                data={chartHistory.ram}
                 dataKey="usagePercent"
                 color="#2196F3"
                 height={200}
                 unit="%"
+                live={historyRange === 'live'}
               />
             </Box>
           )}
 
-          {dataHistory.disk.length > 0 && (
+          {chartHistory.disk.length > 0 && (
             <Box title="Disk Usage Over Time">
               <Chart
                 title=""
-                data={dataHistory.disk}
+                data={chartHistory.disk}
                 dataKey="usagePercent"
                 color="#FF9800"
                 height={200}
                 unit="%"
+                live={historyRange === 'live'}
               />
             </Box>
           )}
 
-          {dataHistory.network.length > 0 && (
+          {chartHistory.network.length > 0 && (
             <Box title="Network I/O Over Time">
               <NetworkChart
                 title=""
-                data={dataHistory.network}
+                data={chartHistory.network}
+                live={historyRange === 'live'}
                 height={200}
               />
             </Box>
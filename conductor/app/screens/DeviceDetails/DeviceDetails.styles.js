@@ -107,6 +107,58 @@ export const DeviceDetailsStyles = StyleSheet.create({
     color: colors.textPrimary,
     fontWeight: '400',
   },
+  emptyText: {
+    color: colors.textSecondary,
+    textAlign: 'center',
+    fontSize: 14,
+  },
+  serviceRow: {
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  serviceName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.textPrimary,
+  },
+  serviceDetail: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  adminControls: {
+    marginTop: spacing.md,
+  },
+  serviceError: {
+    fontSize: 12,
+    color: '#F44336',
+    marginTop: 2,
+  },
+  rangeRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+    marginBottom: spacing.sm,
+  },
+  chip: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.xs,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  chipActive: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: 12,
+    color: colors.textPrimary,
+  },
+  chipTextActive: {
+    color: '#FFFFFF',
+  },
   deviceId: {
     fontSize: 11,
     fontFamily: Platform.OS === 'web' ? 'monospace' : 'monospace',
@@ -5,10 +5,12 @@ import websocketService from '../../services/websocketService';
 import { useAuth } from '../../contexts/AuthContext';
 import { Box } from '../../components/Box/Box';
 import { DevicesStyles } from './Devices.styles';
+import { formatLabels, formatTaints } from '../../utils/placement';
 
 export const Devices = ({ navigation }) => {
   const { isAuthenticated, getToken } = useAuth();
   const [devices, setDevices] = useState([]);
+  const [deployments, setDeployments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
 
@@ -53,10 +55,41 @@ export const Devices = ({ navigation }) => {
         );
       });
 
+      const unsubscribeCordon = websocketService.on('worker:cordoned', (data) => {
+        setDevices(prevDevices =>
+          prevDevices.map(device =>
+            device.id === data.workerId
+              ? { ...device, cordoned: data.cordoned }
+              : device
+          )
+        );
+      });
+
+      const unsubscribeDrain = websocketService.on('worker:drain', (drain) => {
+        setDevices(prevDevices =>
+          prevDevices.map(device =>
+            device.id === drain.worker_id
+              ? { ...device, drain }
+              : device
+          )
+        );
+      });
+
+      const unsubscribeDeployments = websocketService.on('deployment:status:updated', (data) => {
+        // Replace reported deployments with their latest container status
+        setDeployments(prevDeployments => {
+          const updated = new Map(data.deployments.map(deployment => [deployment.id, deployment]));
+          return prevDeployments.map(deployment => updated.get(deployment.id) || deployment);
+        });
+      });
+
       return () => {
         unsubscribeOnline();
         unsubscribeOffline();
         unsubscribeResources();
+        unsubscribeCordon();
+        unsubscribeDrain();
+        unsubscribeDeployments();
         // Disconnect WebSocket when component unmounts
         websocketService.disconnect();
       };
@@ -65,8 +98,12 @@ export const Devices = ({ navigation }) => {
 
   const loadDevices = async () => {
     try {
-      const devicesList = await deviceService.getDevices();
+      const [devicesList, deploymentsList] = await Promise.all([
+        deviceService.getDevices(),
+        deviceService.getDeployments()
+      ]);
       setDevices(devicesList);
+      setDeployments(deploymentsList);
     } catch (error) {
       console.error('Failed to load devices:', error);
     } finally {
@@ -95,6 +132,13 @@ export const Devices = ({ navigation }) => {
     return `${diffDays}d ago`;
   };
 
+  const getServiceSummary = (deviceId) => {
+    const deviceDeployments = deployments.filter(deployment => deployment.worker_id === deviceId);
+    if (deviceDeployments.length === 0) return null;
+    const running = deviceDeployments.filter(deployment => deployment.container?.state === 'running').length;
+    return `${running}/${deviceDeployments.length} services running`;
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'online':
@@ -148,6 +192,23 @@ export const Devices = ({ navigation }) => {
                     {device.resources.cpu_cores || 0} CPU • {device.resources.ram_gb || 0} GB RAM • {device.resources.disk_gb || 0} GB Disk
                   </Text>
                 )}
+                {(device.cordoned || device.drain?.status === 'in_progress') && (
+                  <Text style={DevicesStyles.resourceText}>
+                    {device.drain?.status === 'in_progress' ? 'Draining' : 'Cordoned'}
+                  </Text>
+                )}
+                {Object.keys(device.labels || {}).length > 0 && (
+                  <Text style={DevicesStyles.resourceText}>Labels: {formatLabels(device.labels)}</Text>
+                )}
+                {device.taints?.length > 0 && (
+                  <Text style={DevicesStyles.resourceText}>Taints: {formatTaints(device.taints)}</Text>
+                )}
+                {device.capabilities?.length > 0 && (
+                  <Text style={DevicesStyles.resourceText}>Capabilities: {device.capabilities.join(', ')}</Text>
+                )}
+                {getServiceSummary(device.id) && (
+                  <Text style={DevicesStyles.resourceText}>{getServiceSummary(device.id)}</Text>
+                )}
                 <Text style={DevicesStyles.lastSeenText}>
                   Last seen: {formatLastSeen(device.last_seen)}
                 </Text>
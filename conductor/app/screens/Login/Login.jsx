@@ -7,10 +7,13 @@ import { AnimatedBackground } from '../../components/AnimatedBackground/Animated
 import { LoginStyles } from './Login.styles';
 
 export const Login = ({ navigation }) => {
-  const { login, loading, error: authError } = useAuth();
+  const { login, verifyTwoFactor, loading, error: authError } = useAuth();
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
+  // Set after the password step for users with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
 
   const handleLogin = async () => {
     // Clear previous errors
@@ -32,10 +35,40 @@ export const Login = ({ navigation }) => {
     
     if (!result.success) {
       setError(result.error || 'Login failed');
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+      setCode('');
     }
     // Navigation will be handled by AuthProvider state change
   };
 
+  const handleVerify = async () => {
+    setError('');
+
+    if (!code.trim()) {
+      setError('Code is required');
+      return;
+    }
+
+    const result = await verifyTwoFactor(challengeToken, code.trim());
+
+    if (!result.success) {
+      // An expired challenge means starting over with the password
+      if (result.error === 'Invalid two-factor challenge') {
+        setChallengeToken(null);
+        setError('Login expired, please sign in again');
+      } else {
+        setError(result.error || 'Verification failed');
+      }
+    }
+  };
+
+  const handleBack = () => {
+    setChallengeToken(null);
+    setCode('');
+    setError('');
+  };
+
   return (
     <KeyboardAvoidingView
       style={LoginStyles.container}
@@ -57,42 +90,85 @@ export const Login = ({ navigation }) => {
             </Text>
           </View>
 
-          {/* Login Form */}
-          <View style={LoginStyles.form}>
-            <Input
-              label="Username"
-              value={username}
-              onChangeText={setUsername}
-              placeholder="Enter your username"
-              autoCapitalize="none"
-              autoCorrect={false}
-            />
-
-            <Input
-              label="Password"
-              value={password}
-              onChangeText={setPassword}
-              placeholder="Enter your password"
-              secureTextEntry
-            />
-
-            {(error || authError) && (
-              <View style={LoginStyles.errorContainer}>
-                <Text style={LoginStyles.errorText}>
-                  {error || authError}
-                </Text>
-              </View>
-            )}
-
-            <Button
-              title="Login"
-              onPress={handleLogin}
-              variant="primary"
-              loading={loading}
-              disabled={loading}
-              style={LoginStyles.loginButton}
-            />
-          </View>
+          {/* Two-Factor Step */}
+          {challengeToken ? (
+            <View style={LoginStyles.form}>
+              <Text style={LoginStyles.hint}>
+                Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+              </Text>
+
+              <Input
+                label="Authentication Code"
+                value={code}
+                onChangeText={setCode}
+                placeholder="123456"
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+
+              {error ? (
+                <View style={LoginStyles.errorContainer}>
+                  <Text style={LoginStyles.errorText}>
+                    {error}
+                  </Text>
+                </View>
+              ) : null}
+
+              <Button
+                title="Verify"
+                onPress={handleVerify}
+                variant="primary"
+                loading={loading}
+                disabled={loading}
+                style={LoginStyles.loginButton}
+              />
+
+              <Button
+                title="Back"
+                onPress={handleBack}
+                variant="secondary"
+                disabled={loading}
+                style={LoginStyles.loginButton}
+              />
+            </View>
+          ) : (
+            /* Login Form */
+            <View style={LoginStyles.form}>
+              <Input
+                label="Username"
+                value={username}
+                onChangeText={setUsername}
+                placeholder="Enter your username"
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+
+              <Input
+                label="Password"
+                value={password}
+                onChangeText={setPassword}
+                placeholder="Enter your password"
+                secureTextEntry
+              />
+
+              {(error || authError) && (
+                <View style={LoginStyles.errorContainer}>
+                  <Text style={LoginStyles.errorText}>
+                    {error || authError}
+                  </Text>
+                </View>
+              )}
+
+              <Button
+                title="Login"
+                onPress={handleLogin}
+                variant="primary"
+                loading={loading}
+                disabled={loading}
+                style={LoginStyles.loginButton}
+              />
+            </View>
+          )}
         </View>
       </ScrollView>
     </KeyboardAvoidingView>
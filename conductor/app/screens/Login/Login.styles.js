@@ -54,6 +54,10 @@ export const LoginStyles = StyleSheet.create({
   errorTextInverted: {
     color: '#FF6B6B',
   },
+  hint: {
+    ...typography.bodySecondary,
+    marginBottom: spacing.md,
+  },
   loginButton: {
     marginTop: spacing.md,
   },
@@ -2,6 +2,7 @@ import React from 'react';
 import { View, Text, ScrollView, TouchableOpacity } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../../contexts/AuthContext';
+import { can } from '../../utils/permissions';
 import { MenuStyles } from './Menu.styles';
 import { colors } from '../../styles/theme';
 
@@ -44,6 +45,30 @@ export const Menu = ({ navigation }) => {
 
       {/* Menu Items */}
       <View style={MenuStyles.menuSection}>
+        {can(user, 'alerts:read') && (
+          <TouchableOpacity
+            style={MenuStyles.menuItem}
+            onPress={() => navigation?.navigate('alerts')}
+            activeOpacity={0.7}
+          >
+            <Ionicons name="notifications-outline" size={24} color={colors.textPrimary} />
+            <Text style={MenuStyles.menuItemText}>Alerts</Text>
+            <Ionicons name="chevron-forward" size={20} color={colors.textMuted} />
+          </TouchableOpacity>
+        )}
+
+        {can(user, 'audit:read') && (
+          <TouchableOpacity
+            style={MenuStyles.menuItem}
+            onPress={() => navigation?.navigate('audit')}
+            activeOpacity={0.7}
+          >
+            <Ionicons name="document-text-outline" size={24} color={colors.textPrimary} />
+            <Text style={MenuStyles.menuItemText}>Audit Log</Text>
+            <Ionicons name="chevron-forward" size={20} color={colors.textMuted} />
+          </TouchableOpacity>
+        )}
+
         <TouchableOpacity
           style={MenuStyles.menuItem}
           onPress={handleSignOut}
@@ -1,11 +1,16 @@
 import React, { useState, useEffect } from 'react';
-import { View, Text, ScrollView, KeyboardAvoidingView, Platform, TouchableOpacity } from 'react-native';
+import { View, Text, ScrollView, KeyboardAvoidingView, Platform, TouchableOpacity, Image, Switch } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../../contexts/AuthContext';
 import { Input } from '../../components/Input/Input';
 import { Button } from '../../components/Button/Button';
 import { authService } from '../../services/authService';
 import { deviceService } from '../../services/deviceService';
+import { apiKeyService } from '../../services/apiKeyService';
+import { settingsService } from '../../services/settingsService';
+import { backupService } from '../../services/backupService';
+import { formatLabels, parseLabels } from '../../utils/placement';
+import { can } from '../../utils/permissions';
 import { SettingsStyles } from './Settings.styles';
 import { colors } from '../../styles/theme';
 
@@ -22,40 +27,346 @@ export const Settings = ({ navigation }) => {
   const [passwordSuccess, setPasswordSuccess] = useState('');
   const [profileLoading, setProfileLoading] = useState(false);
   const [passwordLoading, setPasswordLoading] = useState(false);
-  const [registrationToken, setRegistrationToken] = useState(null);
-  const [tokenVisible, setTokenVisible] = useState(false);
+  const [tokens, setTokens] = useState(null);
+  const [visibleTokenId, setVisibleTokenId] = useState(null);
   const [tokenLoading, setTokenLoading] = useState(false);
+  const [tokenError, setTokenError] = useState('');
+  const [tokenName, setTokenName] = useState('');
+  const [tokenExpiresHours, setTokenExpiresHours] = useState('');
+  const [tokenMaxUses, setTokenMaxUses] = useState('');
+  const [tokenLabels, setTokenLabels] = useState('');
+  const [tokenAction, setTokenAction] = useState(null);
+  const [sessions, setSessions] = useState(null);
+  const [sessionError, setSessionError] = useState('');
+  const [sessionAction, setSessionAction] = useState(null);
+  const [apiKeys, setApiKeys] = useState(null);
+  const [newApiKey, setNewApiKey] = useState(null);
+  const [apiKeyError, setApiKeyError] = useState('');
+  const [apiKeyName, setApiKeyName] = useState('');
+  const [apiKeyScopes, setApiKeyScopes] = useState('');
+  const [apiKeyExpiresDays, setApiKeyExpiresDays] = useState('');
+  const [apiKeyAction, setApiKeyAction] = useState(null);
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [twoFactorPassword, setTwoFactorPassword] = useState('');
+  const [twoFactorError, setTwoFactorError] = useState('');
+  const [twoFactorAction, setTwoFactorAction] = useState(null);
+  const [securitySettings, setSecuritySettings] = useState(null);
+  const [securityError, setSecurityError] = useState('');
+  const [backups, setBackups] = useState(null);
+  const [backupError, setBackupError] = useState('');
+  const [backupAction, setBackupAction] = useState(null);
+  const canManageTokens = can(user, 'tokens:manage');
+  const canManageSettings = can(user, 'settings:manage');
+  const canManageBackups = can(user, 'backups:manage');
 
   useEffect(() => {
     if (user) {
       setUsername(user.username || '');
       setEmail(user.email || '');
     }
-    loadRegistrationToken();
+    if (canManageTokens) {
+      loadTokens();
+    }
+    if (canManageSettings) {
+      loadSecuritySettings();
+    }
+    if (canManageBackups) {
+      loadBackups();
+    }
+    if (user) {
+      loadSessions();
+      loadApiKeys();
+      loadTwoFactor();
+    }
   }, [user]);
 
-  const loadRegistrationToken = async () => {
+  const loadTokens = async () => {
     setTokenLoading(true);
     try {
-      const token = await deviceService.getRegistrationToken();
-      setRegistrationToken(token);
+      setTokens(await deviceService.getTokens());
     } catch (error) {
-      console.error('Failed to load registration token:', error);
+      console.error('Failed to load registration tokens:', error);
+      setTokenError(error.response?.data?.error?.message || 'Failed to load registration tokens');
     } finally {
       setTokenLoading(false);
     }
   };
 
-  const handleRegenerateToken = async () => {
-    setTokenLoading(true);
+  const handleCreateToken = async () => {
+    setTokenError('');
+
+    const hours = tokenExpiresHours.trim() ? Number(tokenExpiresHours) : null;
+    const maxUses = tokenMaxUses.trim() ? Number(tokenMaxUses) : null;
+    if (hours !== null && !(hours > 0)) {
+      setTokenError('Expiry must be a number of hours');
+      return;
+    }
+    if (maxUses !== null && !(Number.isInteger(maxUses) && maxUses > 0)) {
+      setTokenError('Max uses must be a whole number');
+      return;
+    }
+
+    let labels;
     try {
-      const newToken = await deviceService.regenerateToken();
-      setRegistrationToken(newToken);
-      setTokenVisible(true); // Show new token
+      labels = parseLabels(tokenLabels);
     } catch (error) {
-      console.error('Failed to regenerate token:', error);
+      setTokenError(`Invalid labels: ${error.message}`);
+      return;
+    }
+
+    setTokenAction('create');
+    try {
+      const token = await deviceService.createToken({
+        name: tokenName.trim(),
+        expires_at: hours !== null ? new Date(Date.now() + hours * 60 * 60 * 1000).toISOString() : null,
+        max_uses: maxUses,
+        labels
+      });
+      setTokens(prevTokens => [token, ...(prevTokens || [])]);
+      setVisibleTokenId(token.id); // Show new token
+      setTokenName('');
+      setTokenExpiresHours('');
+      setTokenMaxUses('');
+      setTokenLabels('');
+    } catch (error) {
+      setTokenError(error.response?.data?.error?.message || error.message || 'Failed to create token');
     } finally {
-      setTokenLoading(false);
+      setTokenAction(null);
+    }
+  };
+
+  const handleRevokeToken = async (tokenId) => {
+    setTokenError('');
+    setTokenAction(`revoke:${tokenId}`);
+    try {
+      const updated = await deviceService.revokeToken(tokenId);
+      setTokens(prevTokens => prevTokens.map(token => (token.id === tokenId ? updated : token)));
+    } catch (error) {
+      setTokenError(error.response?.data?.error?.message || error.message || 'Failed to revoke token');
+    } finally {
+      setTokenAction(null);
+    }
+  };
+
+  const handleDeleteToken = async (tokenId) => {
+    setTokenError('');
+    setTokenAction(`delete:${tokenId}`);
+    try {
+      await deviceService.deleteToken(tokenId);
+      setTokens(prevTokens => prevTokens.filter(token => token.id !== tokenId));
+    } catch (error) {
+      setTokenError(error.response?.data?.error?.message || error.message || 'Failed to delete token');
+    } finally {
+      setTokenAction(null);
+    }
+  };
+
+  const loadSessions = async () => {
+    const result = await authService.getSessions();
+    if (result.success) {
+      setSessions(result.sessions);
+    } else {
+      setSessionError(result.error);
+    }
+  };
+
+  const handleRevokeSession = async (sessionId) => {
+    setSessionError('');
+    setSessionAction(sessionId);
+    const result = await authService.revokeSession(sessionId);
+    if (result.success) {
+      setSessions(prevSessions => prevSessions.filter(session => session.id !== sessionId));
+    } else {
+      setSessionError(result.error);
+    }
+    setSessionAction(null);
+  };
+
+  const loadTwoFactor = async () => {
+    const result = await authService.getTwoFactorStatus();
+    if (result.success) {
+      setTwoFactor(result.twoFactor);
+    } else {
+      setTwoFactorError(result.error);
+    }
+  };
+
+  const handleStartTwoFactorSetup = async () => {
+    setTwoFactorError('');
+    setRecoveryCodes(null);
+    setTwoFactorAction('setup');
+    const result = await authService.startTwoFactorSetup();
+    if (result.success) {
+      setTwoFactorSetup(result.setup);
+      setTwoFactorCode('');
+    } else {
+      setTwoFactorError(result.error);
+    }
+    setTwoFactorAction(null);
+  };
+
+  const handleEnableTwoFactor = async () => {
+    setTwoFactorError('');
+    setTwoFactorAction('enable');
+    const result = await authService.enableTwoFactor(twoFactorCode.trim());
+    if (result.success) {
+      setRecoveryCodes(result.recoveryCodes); // Only shown once
+      setTwoFactorSetup(null);
+      setTwoFactorCode('');
+      await loadTwoFactor();
+      // Clears two_factor_setup_required when 2FA is required for everyone
+      await checkAuth();
+    } else {
+      setTwoFactorError(result.error);
+    }
+    setTwoFactorAction(null);
+  };
+
+  const handleRegenerateRecoveryCodes = async () => {
+    setTwoFactorError('');
+    setTwoFactorAction('recovery');
+    const result = await authService.regenerateRecoveryCodes(twoFactorCode.trim());
+    if (result.success) {
+      setRecoveryCodes(result.recoveryCodes);
+      setTwoFactorCode('');
+      await loadTwoFactor();
+    } else {
+      setTwoFactorError(result.error);
+    }
+    setTwoFactorAction(null);
+  };
+
+  const handleDisableTwoFactor = async () => {
+    setTwoFactorError('');
+    setTwoFactorAction('disable');
+    const result = await authService.disableTwoFactor(twoFactorPassword, twoFactorCode.trim());
+    if (result.success) {
+      setRecoveryCodes(null);
+      setTwoFactorCode('');
+      setTwoFactorPassword('');
+      await loadTwoFactor();
+    } else {
+      setTwoFactorError(result.error);
+    }
+    setTwoFactorAction(null);
+  };
+
+  const loadSecuritySettings = async () => {
+    try {
+      setSecuritySettings(await settingsService.getSecuritySettings());
+    } catch (error) {
+      setSecurityError(error.response?.data?.error?.message || 'Failed to load security settings');
+    }
+  };
+
+  const handleRequireTwoFactor = async (requireTwoFactor) => {
+    setSecurityError('');
+    try {
+      setSecuritySettings(await settingsService.updateSecuritySettings({ require_two_factor: requireTwoFactor }));
+      await loadTwoFactor();
+    } catch (error) {
+      setSecurityError(error.response?.data?.error?.message || error.message || 'Failed to update security settings');
+    }
+  };
+
+  const loadBackups = async () => {
+    try {
+      setBackups(await backupService.getBackups());
+    } catch (error) {
+      console.error('Failed to load backups:', error);
+      setBackupError(error.response?.data?.error?.message || 'Failed to load backups');
+    }
+  };
+
+  const handleCreateBackup = async () => {
+    setBackupError('');
+    setBackupAction('create');
+    try {
+      await backupService.createBackup();
+      // Reload: creating a backup may prune old ones
+      await loadBackups();
+    } catch (error) {
+      setBackupError(error.response?.data?.error?.message || 'Failed to create backup');
+    } finally {
+      setBackupAction(null);
+    }
+  };
+
+  const handleDownloadBackup = async (name) => {
+    setBackupError('');
+    setBackupAction(`download:${name}`);
+    try {
+      await backupService.downloadBackup(name);
+    } catch (error) {
+      setBackupError(error.response?.data?.error?.message || error.message || 'Failed to download backup');
+    } finally {
+      setBackupAction(null);
+    }
+  };
+
+  const loadApiKeys = async () => {
+    try {
+      setApiKeys(await apiKeyService.getApiKeys());
+    } catch (error) {
+      console.error('Failed to load API keys:', error);
+      setApiKeyError(error.response?.data?.error?.message || 'Failed to load API keys');
+    }
+  };
+
+  const handleCreateApiKey = async () => {
+    setApiKeyError('');
+
+    const days = apiKeyExpiresDays.trim() ? Number(apiKeyExpiresDays) : null;
+    if (days !== null && !(days > 0)) {
+      setApiKeyError('Expiry must be a number of days');
+      return;
+    }
+
+    setApiKeyAction('create');
+    try {
+      const result = await apiKeyService.createApiKey({
+        name: apiKeyName.trim(),
+        scopes: apiKeyScopes.split(',').map(scope => scope.trim()).filter(Boolean),
+        expires_at: days !== null ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null
+      });
+      setApiKeys(prevKeys => [result.api_key, ...(prevKeys || [])]);
+      setNewApiKey(result.key); // Only shown once
+      setApiKeyName('');
+      setApiKeyScopes('');
+      setApiKeyExpiresDays('');
+    } catch (error) {
+      setApiKeyError(error.response?.data?.error?.message || error.message || 'Failed to create API key');
+    } finally {
+      setApiKeyAction(null);
+    }
+  };
+
+  const handleRevokeApiKey = async (apiKeyId) => {
+    setApiKeyError('');
+    setApiKeyAction(`revoke:${apiKeyId}`);
+    try {
+      const updated = await apiKeyService.revokeApiKey(apiKeyId);
+      setApiKeys(prevKeys => prevKeys.map(apiKey => (apiKey.id === apiKeyId ? updated : apiKey)));
+    } catch (error) {
+      setApiKeyError(error.response?.data?.error?.message || error.message || 'Failed to revoke API key');
+    } finally {
+      setApiKeyAction(null);
+    }
+  };
+
+  const handleDeleteApiKey = async (apiKeyId) => {
+    setApiKeyError('');
+    setApiKeyAction(`delete:${apiKeyId}`);
+    try {
+      await apiKeyService.deleteApiKey(apiKeyId);
+      setApiKeys(prevKeys => prevKeys.filter(apiKey => apiKey.id !== apiKeyId));
+    } catch (error) {
+      setApiKeyError(error.response?.data?.error?.message || error.message || 'Failed to delete API key');
+    } finally {
+      setApiKeyAction(null);
     }
   };
 
@@ -163,6 +474,8 @@ export const Settings = ({ navigation }) => {
         setCurrentPassword('');
         setNewPassword('');
         setConfirmPassword('');
+        // Clears password_change_required for the default admin password
+        await checkAuth();
       } else {
         setPasswordError(result.error || 'Failed to update password');
       }
@@ -188,44 +501,482 @@ export const Settings = ({ navigation }) => {
           <Text style={SettingsStyles.titleText}>Settings</Text>
         </View>
 
-        {/* Registration Token Card */}
+        {/* Two-Factor Authentication Card */}
         <View style={SettingsStyles.card}>
-          <Text style={SettingsStyles.cardTitle}>Registration Token</Text>
-          
-          {tokenLoading && !registrationToken ? (
-            <Text style={SettingsStyles.loadingText}>Loading token...</Text>
-          ) : registrationToken ? (
+          <Text style={SettingsStyles.cardTitle}>Two-Factor Authentication</Text>
+
+          {!twoFactor ? (
+            <Text style={SettingsStyles.loadingText}>Loading two-factor status...</Text>
+          ) : (
             <View style={SettingsStyles.tokenSection}>
-              <View style={SettingsStyles.tokenRow}>
-                <Text style={SettingsStyles.tokenText} selectable>
-                  {tokenVisible ? registrationToken : '•'.repeat(36)}
+              {twoFactor.setup_required && (
+                <View style={SettingsStyles.messageContainer}>
+                  <Text style={SettingsStyles.errorText}>
+                    Two-factor authentication is required for all users. Set it up to continue.
+                  </Text>
+                </View>
+              )}
+
+              <Text style={SettingsStyles.tokenHint}>
+                Sign in with a code from an authenticator app (Google Authenticator, Aegis, 1Password, ...)
+                in addition to your password.
+              </Text>
+
+              <View style={SettingsStyles.tokenHeader}>
+                <Text style={SettingsStyles.tokenName}>Status</Text>
+                <Text style={[
+                  SettingsStyles.tokenStatus,
+                  !twoFactor.enabled && SettingsStyles.tokenStatusInactive
+                ]}>
+                  {twoFactor.enabled ? 'enabled' : 'disabled'}
                 </Text>
-                <TouchableOpacity
-                  onPress={() => setTokenVisible(!tokenVisible)}
-                  style={SettingsStyles.toggleButton}
-                >
-                  <Ionicons
-                    name={tokenVisible ? 'eye-off-outline' : 'eye-outline'}
-                    size={20}
-                    color={colors.textPrimary}
-                  />
-                </TouchableOpacity>
               </View>
+
+              {recoveryCodes && (
+                <View style={SettingsStyles.tokenItem}>
+                  <Text style={SettingsStyles.tokenDetail}>
+                    Save these recovery codes somewhere safe, they are not shown again. Each one works once
+                    if you lose your authenticator app:
+                  </Text>
+                  <Text style={SettingsStyles.tokenText} selectable>{recoveryCodes.join('\n')}</Text>
+                </View>
+              )}
+
+              {twoFactorSetup && (
+                <View style={SettingsStyles.tokenItem}>
+                  <Text style={SettingsStyles.tokenDetail}>
+                    Scan the QR code with your authenticator app, or enter the key by hand:
+                  </Text>
+                  <Image source={{ uri: twoFactorSetup.qr_code }} style={SettingsStyles.qrCode} />
+                  <Text style={SettingsStyles.tokenText} selectable>{twoFactorSetup.secret}</Text>
+                </View>
+              )}
+
+              {twoFactor.enabled ? (
+                <View style={SettingsStyles.form}>
+                  <Text style={SettingsStyles.tokenDetail}>
+                    Recovery codes left: {twoFactor.recovery_codes_remaining}
+                  </Text>
+                  <Input
+                    label="Authentication Code"
+                    value={twoFactorCode}
+                    onChangeText={setTwoFactorCode}
+                    placeholder="123456"
+                    autoCapitalize="none"
+                    style={SettingsStyles.input}
+                  />
+                  {!twoFactor.required && (
+                    <Input
+                      label="Current Password (to disable)"
+                      value={twoFactorPassword}
+                      onChangeText={setTwoFactorPassword}
+                      placeholder="Enter your current password"
+                      secureTextEntry
+                      style={SettingsStyles.input}
+                    />
+                  )}
+
+                  {twoFactorError ? (
+                    <View style={SettingsStyles.messageContainer}>
+                      <Text style={SettingsStyles.errorText}>{twoFactorError}</Text>
+                    </View>
+                  ) : null}
+
+                  <View style={SettingsStyles.tokenActions}>
+                    <Button
+                      title="New Recovery Codes"
+                      variant="secondary"
+                      onPress={handleRegenerateRecoveryCodes}
+                      loading={twoFactorAction === 'recovery'}
+                      disabled={!twoFactorCode.trim()}
+                    />
+                    {!twoFactor.required && (
+                      <Button
+                        title="Disable"
+                        variant="secondary"
+                        onPress={handleDisableTwoFactor}
+                        loading={twoFactorAction === 'disable'}
+                        disabled={!twoFactorCode.trim() || !twoFactorPassword}
+                      />
+                    )}
+                  </View>
+                </View>
+              ) : twoFactorSetup ? (
+                <View style={SettingsStyles.form}>
+                  <Input
+                    label="Code from the app"
+                    value={twoFactorCode}
+                    onChangeText={setTwoFactorCode}
+                    placeholder="123456"
+                    keyboardType="numeric"
+                    style={SettingsStyles.input}
+                  />
+
+                  {twoFactorError ? (
+                    <View style={SettingsStyles.messageContainer}>
+                      <Text style={SettingsStyles.errorText}>{twoFactorError}</Text>
+                    </View>
+                  ) : null}
+
+                  <Button
+                    title="Verify and Enable"
+                    onPress={handleEnableTwoFactor}
+                    variant="primary"
+                    loading={twoFactorAction === 'enable'}
+                    disabled={!twoFactorCode.trim() || twoFactorAction === 'enable'}
+                    style={SettingsStyles.submitButton}
+                  />
+                </View>
+              ) : (
+                <View style={SettingsStyles.form}>
+                  {twoFactorError ? (
+                    <View style={SettingsStyles.messageContainer}>
+                      <Text style={SettingsStyles.errorText}>{twoFactorError}</Text>
+                    </View>
+                  ) : null}
+
+                  <Button
+                    title="Set Up Two-Factor Authentication"
+                    onPress={handleStartTwoFactorSetup}
+                    variant="primary"
+                    loading={twoFactorAction === 'setup'}
+                    disabled={twoFactorAction === 'setup'}
+                    style={SettingsStyles.submitButton}
+                  />
+                </View>
+              )}
+
+              {canManageSettings && securitySettings && (
+                <View style={SettingsStyles.tokenItem}>
+                  <View style={SettingsStyles.tokenHeader}>
+                    <Text style={SettingsStyles.tokenName}>Require for all users</Text>
+                    <Switch
+                      value={securitySettings.require_two_factor}
+                      onValueChange={handleRequireTwoFactor}
+                    />
+                  </View>
+                  <Text style={SettingsStyles.tokenDetail}>
+                    Users without two-factor authentication can only sign in to set it up.
+                  </Text>
+                  {securityError ? (
+                    <View style={SettingsStyles.messageContainer}>
+                      <Text style={SettingsStyles.errorText}>{securityError}</Text>
+                    </View>
+                  ) : null}
+                </View>
+              )}
+            </View>
+          )}
+        </View>
+
+        {/* Registration Tokens Card */}
+        <View style={SettingsStyles.card}>
+          <Text style={SettingsStyles.cardTitle}>Registration Tokens</Text>
+
+          {!canManageTokens ? (
+            <Text style={SettingsStyles.loadingText}>Only admins can manage registration tokens.</Text>
+          ) : tokenLoading && !tokens ? (
+            <Text style={SettingsStyles.loadingText}>Loading tokens...</Text>
+          ) : (
+            <View style={SettingsStyles.tokenSection}>
               <Text style={SettingsStyles.tokenHint}>
-                Use this token to register worker devices. Copy it to your worker's .env file.
+                Workers join with a token in CONDUCTOR_TOKEN and get their own credential. Revoking a token
+                only stops new workers from joining with it.
               </Text>
-              <Button
-                title="Regenerate Token"
-                onPress={handleRegenerateToken}
-                variant="secondary"
-                loading={tokenLoading}
-                disabled={tokenLoading}
-                style={SettingsStyles.regenerateButton}
-              />
+
+              {(tokens || []).map(token => (
+                <View key={token.id} style={SettingsStyles.tokenItem}>
+                  <View style={SettingsStyles.tokenHeader}>
+                    <Text style={SettingsStyles.tokenName}>{token.name}</Text>
+                    <Text style={[
+                      SettingsStyles.tokenStatus,
+                      token.status !== 'active' && SettingsStyles.tokenStatusInactive
+                    ]}>
+                      {token.status}
+                    </Text>
+                  </View>
+                  <View style={SettingsStyles.tokenRow}>
+                    <Text style={SettingsStyles.tokenText} selectable>
+                      {visibleTokenId === token.id ? token.token : '•'.repeat(36)}
+                    </Text>
+                    <TouchableOpacity
+                      onPress={() => setVisibleTokenId(visibleTokenId === token.id ? null : token.id)}
+                      style={SettingsStyles.toggleButton}
+                    >
+                      <Ionicons
+                        name={visibleTokenId === token.id ? 'eye-off-outline' : 'eye-outline'}
+                        size={20}
+                        color={colors.textPrimary}
+                      />
+                    </TouchableOpacity>
+                  </View>
+                  <Text style={SettingsStyles.tokenDetail}>
+                    Uses: {token.uses}{token.max_uses ? ` of ${token.max_uses}` : ''} • Expires: {token.expires_at ? new Date(token.expires_at).toLocaleString() : 'never'}
+                  </Text>
+                  {Object.keys(token.labels || {}).length > 0 && (
+                    <Text style={SettingsStyles.tokenDetail}>Labels: {formatLabels(token.labels)}</Text>
+                  )}
+                  <Text style={SettingsStyles.tokenDetail}>
+                    Workers: {token.workers.length > 0 ? token.workers.map(worker => worker.hostname).join(', ') : 'none yet'}
+                  </Text>
+                  <View style={SettingsStyles.tokenActions}>
+                    {token.status === 'active' && (
+                      <Button
+                        title="Revoke"
+                        variant="secondary"
+                        onPress={() => handleRevokeToken(token.id)}
+                        loading={tokenAction === `revoke:${token.id}`}
+                      />
+                    )}
+                    <Button
+                      title="Delete"
+                      variant="secondary"
+                      onPress={() => handleDeleteToken(token.id)}
+                      loading={tokenAction === `delete:${token.id}`}
+                    />
+                  </View>
+                </View>
+              ))}
+
+              <View style={SettingsStyles.form}>
+                <Input
+                  label="Name"
+                  value={tokenName}
+                  onChangeText={setTokenName}
+                  placeholder="e.g. garage-pis"
+                  style={SettingsStyles.input}
+                />
+                <Input
+                  label="Expires in (hours, optional)"
+                  value={tokenExpiresHours}
+                  onChangeText={setTokenExpiresHours}
+                  placeholder="never"
+                  keyboardType="numeric"
+                  style={SettingsStyles.input}
+                />
+                <Input
+                  label="Max uses (optional)"
+                  value={tokenMaxUses}
+                  onChangeText={setTokenMaxUses}
+                  placeholder="unlimited"
+                  keyboardType="numeric"
+                  style={SettingsStyles.input}
+                />
+                <Input
+                  label="Labels for joining workers (optional)"
+                  value={tokenLabels}
+                  onChangeText={setTokenLabels}
+                  placeholder="zone=garage, disk=ssd"
+                  style={SettingsStyles.input}
+                />
+
+                {tokenError ? (
+                  <View style={SettingsStyles.messageContainer}>
+                    <Text style={SettingsStyles.errorText}>{tokenError}</Text>
+                  </View>
+                ) : null}
+
+                <Button
+                  title="Create Token"
+                  onPress={handleCreateToken}
+                  variant="primary"
+                  loading={tokenAction === 'create'}
+                  disabled={!tokenName.trim() || tokenAction === 'create'}
+                  style={SettingsStyles.submitButton}
+                />
+              </View>
             </View>
+          )}
+        </View>
+
+        {/* Backups Card */}
+        {canManageBackups && (
+          <View style={SettingsStyles.card}>
+            <Text style={SettingsStyles.cardTitle}>Backups</Text>
+
+            {!backups && !backupError ? (
+              <Text style={SettingsStyles.loadingText}>Loading backups...</Text>
+            ) : (
+              <View style={SettingsStyles.tokenSection}>
+                <Text style={SettingsStyles.tokenHint}>
+                  The conductor database is backed up on a schedule and old backups are pruned. Restore one with
+                  scripts/restoreBackup.js while the conductor is stopped.
+                </Text>
+
+                {(backups || []).map(backup => (
+                  <View key={backup.name} style={SettingsStyles.tokenItem}>
+                    <View style={SettingsStyles.tokenHeader}>
+                      <Text style={SettingsStyles.tokenName}>{new Date(backup.created_at).toLocaleString()}</Text>
+                      <Text style={SettingsStyles.tokenStatus}>{backup.encrypted ? 'encrypted' : 'plain'}</Text>
+                    </View>
+                    <Text style={SettingsStyles.tokenDetail} selectable>
+                      {backup.name} • {(backup.size / 1024 / 1024).toFixed(1)} MB
+                    </Text>
+                    <View style={SettingsStyles.tokenActions}>
+                      <Button
+                        title="Download"
+                        variant="secondary"
+                        onPress={() => handleDownloadBackup(backup.name)}
+                        loading={backupAction === `download:${backup.name}`}
+                      />
+                    </View>
+                  </View>
+                ))}
+
+                {backups && backups.length === 0 && (
+                  <Text style={SettingsStyles.loadingText}>No backups yet.</Text>
+                )}
+
+                {backupError ? (
+                  <View style={SettingsStyles.messageContainer}>
+                    <Text style={SettingsStyles.errorText}>{backupError}</Text>
+                  </View>
+                ) : null}
+
+                <Button
+                  title="Back Up Now"
+                  onPress={handleCreateBackup}
+                  variant="primary"
+                  loading={backupAction === 'create'}
+                  disabled={backupAction === 'create'}
+                  style={SettingsStyles.submitButton}
+                />
+              </View>
+            )}
+          </View>
+        )}
+
+        {/* Sessions Card */}
+        <View style={SettingsStyles.card}>
+          <Text style={SettingsStyles.cardTitle}>Active Sessions</Text>
+
+          {!sessions ? (
+            <Text style={SettingsStyles.loadingText}>Loading sessions...</Text>
           ) : (
-            <Text style={SettingsStyles.errorText}>Failed to load token</Text>
+            <View style={SettingsStyles.tokenSection}>
+              {sessions.map(session => (
+                <View key={session.id} style={SettingsStyles.tokenItem}>
+                  <View style={SettingsStyles.tokenHeader}>
+                    <Text style={SettingsStyles.tokenName} numberOfLines={1}>{session.device}</Text>
+                    {session.current && <Text style={SettingsStyles.tokenStatus}>this device</Text>}
+                  </View>
+                  <Text style={SettingsStyles.tokenDetail}>
+                    IP: {session.ip_address || 'unknown'} • Last used: {new Date(session.last_used_at).toLocaleString()}
+                  </Text>
+                  {!session.current && (
+                    <View style={SettingsStyles.tokenActions}>
+                      <Button
+                        title="Revoke"
+                        variant="secondary"
+                        onPress={() => handleRevokeSession(session.id)}
+                        loading={sessionAction === session.id}
+                      />
+                    </View>
+                  )}
+                </View>
+              ))}
+            </View>
           )}
+
+          {sessionError ? (
+            <View style={SettingsStyles.messageContainer}>
+              <Text style={SettingsStyles.errorText}>{sessionError}</Text>
+            </View>
+          ) : null}
+        </View>
+
+        {/* API Keys Card */}
+        <View style={SettingsStyles.card}>
+          <Text style={SettingsStyles.cardTitle}>API Keys</Text>
+
+          <View style={SettingsStyles.tokenSection}>
+            <Text style={SettingsStyles.tokenHint}>
+              Third-party applications send an API key as a Bearer token. A key acts as you, limited to its
+              scopes. Your permissions: {(user?.permissions || []).join(', ') || 'none'}
+            </Text>
+
+            {newApiKey && (
+              <View style={SettingsStyles.tokenItem}>
+                <Text style={SettingsStyles.tokenDetail}>Copy the new key now, it is not shown again:</Text>
+                <Text style={SettingsStyles.tokenText} selectable>{newApiKey}</Text>
+              </View>
+            )}
+
+            {(apiKeys || []).map(apiKey => (
+              <View key={apiKey.id} style={SettingsStyles.tokenItem}>
+                <View style={SettingsStyles.tokenHeader}>
+                  <Text style={SettingsStyles.tokenName}>{apiKey.name}</Text>
+                  <Text style={[
+                    SettingsStyles.tokenStatus,
+                    apiKey.status !== 'active' && SettingsStyles.tokenStatusInactive
+                  ]}>
+                    {apiKey.status}
+                  </Text>
+                </View>
+                <Text style={SettingsStyles.tokenDetail}>{apiKey.prefix}… • Scopes: {apiKey.scopes.join(', ')}</Text>
+                <Text style={SettingsStyles.tokenDetail}>
+                  Last used: {apiKey.last_used_at ? new Date(apiKey.last_used_at).toLocaleString() : 'never'} • Expires: {apiKey.expires_at ? new Date(apiKey.expires_at).toLocaleString() : 'never'}
+                </Text>
+                <View style={SettingsStyles.tokenActions}>
+                  {apiKey.status === 'active' && (
+                    <Button
+                      title="Revoke"
+                      variant="secondary"
+                      onPress={() => handleRevokeApiKey(apiKey.id)}
+                      loading={apiKeyAction === `revoke:${apiKey.id}`}
+                    />
+                  )}
+                  <Button
+                    title="Delete"
+                    variant="secondary"
+                    onPress={() => handleDeleteApiKey(apiKey.id)}
+                    loading={apiKeyAction === `delete:${apiKey.id}`}
+                  />
+                </View>
+              </View>
+            ))}
+
+            <View style={SettingsStyles.form}>
+              <Input
+                label="Name"
+                value={apiKeyName}
+                onChangeText={setApiKeyName}
+                placeholder="e.g. home-assistant"
+                style={SettingsStyles.input}
+              />
+              <Input
+                label="Scopes"
+                value={apiKeyScopes}
+                onChangeText={setApiKeyScopes}
+                placeholder="services:read, deployments:write"
+                autoCapitalize="none"
+                style={SettingsStyles.input}
+              />
+              <Input
+                label="Expires in (days, optional)"
+                value={apiKeyExpiresDays}
+                onChangeText={setApiKeyExpiresDays}
+                placeholder="never"
+                keyboardType="numeric"
+                style={SettingsStyles.input}
+              />
+
+              {apiKeyError ? (
+                <View style={SettingsStyles.messageContainer}>
+                  <Text style={SettingsStyles.errorText}>{apiKeyError}</Text>
+                </View>
+              ) : null}
+
+              <Button
+                title="Create API Key"
+                onPress={handleCreateApiKey}
+                variant="primary"
+                loading={apiKeyAction === 'create'}
+                disabled={!apiKeyName.trim() || !apiKeyScopes.trim() || apiKeyAction === 'create'}
+                style={SettingsStyles.submitButton}
+              />
+            </View>
+          </View>
         </View>
 
         {/* Profile Card */}
@@ -280,6 +1031,14 @@ export const Settings = ({ navigation }) => {
         {/* Password Reset Card */}
         <View style={SettingsStyles.card}>
           <Text style={SettingsStyles.cardTitle}>Change Password</Text>
+
+          {user?.password_change_required && (
+            <View style={SettingsStyles.messageContainer}>
+              <Text style={SettingsStyles.errorText}>
+                You are using the default password. Change it to continue.
+              </Text>
+            </View>
+          )}
           
           <View style={SettingsStyles.form}>
             <Input
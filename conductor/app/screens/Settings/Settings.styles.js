@@ -100,7 +100,40 @@ export const SettingsStyles = StyleSheet.create({
     fontStyle: 'italic',
     marginBottom: spacing.md,
   },
-  regenerateButton: {
+  tokenItem: {
+    marginBottom: spacing.lg,
+    paddingBottom: spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  tokenHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: spacing.sm,
+  },
+  tokenName: {
+    ...typography.body,
+    color: colors.textPrimary,
+    fontWeight: '600',
+  },
+  tokenStatus: {
+    ...typography.caption,
+    color: colors.success,
+    textTransform: 'uppercase',
+    letterSpacing: 1,
+  },
+  tokenStatusInactive: {
+    color: colors.textMuted,
+  },
+  tokenDetail: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+  },
+  tokenActions: {
+    flexDirection: 'row',
+    gap: spacing.sm,
     marginTop: spacing.sm,
   },
   loadingText: {
@@ -108,5 +141,10 @@ export const SettingsStyles = StyleSheet.create({
     fontStyle: 'italic',
     color: colors.textSecondary,
   },
+  qrCode: {
+    width: 200,
+    height: 200,
+    alignSelf: 'center',
+    marginVertical: spacing.sm,
+  },
 });
-
@@ -0,0 +1,128 @@
+import api from '../utils/api';
+
+/**
+ * Alert Service - API calls for alerts, alert rules, silences and notification channels
+ */
+export const alertService = {
+  /**
+   * Get alerts, newest first
+   * @param {object} [filters] - state (pending, firing, resolved), rule_id, target_id, limit
+   * @returns {Promise<Array>} Array of alerts
+   */
+  async getAlerts(filters = {}) {
+    const response = await api.get('/api/alerts', { params: filters });
+    return response.data.alerts || [];
+  },
+
+  /**
+   * Acknowledge an alert, which stops its reminders
+   * @param {string} id - Alert ID
+   * @returns {Promise<object>} Updated alert
+   */
+  async acknowledgeAlert(id) {
+    const response = await api.post(`/api/alerts/${id}/acknowledge`);
+    return response.data.alert;
+  },
+
+  /**
+   * Get alert rules
+   * @returns {Promise<Array>} Array of rules
+   */
+  async getRules() {
+    const response = await api.get('/api/alerts/rules');
+    return response.data.rules || [];
+  },
+
+  /**
+   * Create an alert rule
+   * @param {object} rule - { name, condition, worker_id, severity, channel_ids, repeat_minutes, enabled }
+   * @returns {Promise<object>} Created rule
+   */
+  async createRule(rule) {
+    const response = await api.post('/api/alerts/rules', rule);
+    return response.data.rule;
+  },
+
+  /**
+   * Update an alert rule
+   * @param {string} id - Rule ID
+   * @param {object} changes - Fields to change
+   * @returns {Promise<object>} Updated rule
+   */
+  async updateRule(id, changes) {
+    const response = await api.put(`/api/alerts/rules/${id}`, changes);
+    return response.data.rule;
+  },
+
+  /**
+   * Delete an alert rule and its alerts
+   * @param {string} id - Rule ID
+   */
+  async deleteRule(id) {
+    await api.delete(`/api/alerts/rules/${id}`);
+  },
+
+  /**
+   * Get silences in effect
+   * @returns {Promise<Array>} Array of silences
+   */
+  async getSilences() {
+    const response = await api.get('/api/alerts/silences');
+    return response.data.silences || [];
+  },
+
+  /**
+   * Silence notifications of a rule, a target, or both
+   * @param {object} silence - { rule_id, target_id, duration_minutes, comment }
+   * @returns {Promise<object>} Created silence
+   */
+  async createSilence(silence) {
+    const response = await api.post('/api/alerts/silences', silence);
+    return response.data.silence;
+  },
+
+  /**
+   * End a silence now
+   * @param {string} id - Silence ID
+   */
+  async expireSilence(id) {
+    await api.delete(`/api/alerts/silences/${id}`);
+  },
+
+  /**
+   * Get notification channels (config only for admins)
+   * @returns {Promise<Array>} Array of channels
+   */
+  async getChannels() {
+    const response = await api.get('/api/alerts/channels');
+    return response.data.channels || [];
+  },
+
+  /**
+   * Create a notification channel (admins only)
+   * @param {object} channel - { name, type (webhook, smtp or feed), config }
+   * @returns {Promise<object>} Created channel
+   */
+  async createChannel(channel) {
+    const response = await api.post('/api/alerts/channels', channel);
+    return response.data.channel;
+  },
+
+  /**
+   * Delete a notification channel (admins only)
+   * @param {string} id - Channel ID
+   */
+  async deleteChannel(id) {
+    await api.delete(`/api/alerts/channels/${id}`);
+  },
+
+  /**
+   * Send a test notification through a channel (admins only)
+   * @param {string} id - Channel ID
+   * @returns {Promise<object>} Channel with last_sent_at / last_error
+   */
+  async testChannel(id) {
+    const response = await api.post(`/api/alerts/channels/${id}/test`);
+    return response.data.channel;
+  },
+};
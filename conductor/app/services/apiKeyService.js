@@ -0,0 +1,43 @@
+import api from '../utils/api';
+
+/**
+ * API Key Service - API calls for managing API keys of third-party applications
+ */
+export const apiKeyService = {
+  /**
+   * Get your API keys (admins see every key)
+   * @returns {Promise<Array>} Array of API keys
+   */
+  async getApiKeys() {
+    const response = await api.get('/api/api-keys');
+    return response.data.api_keys || [];
+  },
+
+  /**
+   * Create an API key
+   * @param {object} options - { name, scopes, expires_at }
+   * @returns {Promise<object>} { api_key, key } - the key is only shown once
+   */
+  async createApiKey(options) {
+    const response = await api.post('/api/api-keys', options);
+    return response.data;
+  },
+
+  /**
+   * Revoke an API key
+   * @param {string} apiKeyId - API key ID
+   * @returns {Promise<object>} Updated API key
+   */
+  async revokeApiKey(apiKeyId) {
+    const response = await api.post(`/api/api-keys/${apiKeyId}/revoke`);
+    return response.data.api_key;
+  },
+
+  /**
+   * Delete an API key
+   * @param {string} apiKeyId - API key ID
+   */
+  async deleteApiKey(apiKeyId) {
+    await api.delete(`/api/api-keys/${apiKeyId}`);
+  }
+};
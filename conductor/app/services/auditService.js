@@ -0,0 +1,26 @@
+import api from '../utils/api';
+
+/**
+ * Audit Service - API calls for the audit log (admins only)
+ */
+export const auditService = {
+  /**
+   * Get audit events, newest first
+   * @param {object} [filters] - actor_type, actor_id, action, target_type, target_id, request_id,
+   *   since, until, limit, offset
+   * @returns {Promise<Array>} Array of audit events
+   */
+  async getEvents(filters = {}) {
+    const response = await api.get('/api/audit', { params: filters });
+    return response.data.events || [];
+  },
+
+  /**
+   * Check the hash chain of the audit log
+   * @returns {Promise<object>} { valid, checked, broken_at, message, head }
+   */
+  async verify() {
+    const response = await api.get('/api/audit/verify');
+    return response.data.verification;
+  },
+};
@@ -1,9 +1,11 @@
 import apiClient from '../utils/api';
-import { storeToken, removeToken } from '../utils/api';
+import { storeToken, storeRefreshToken, removeToken } from '../utils/api';
 
 export const authService = {
   /**
    * Login with username and password
+   * Users with two-factor authentication get { twoFactorRequired, challengeToken }
+   * and finish with verifyTwoFactor()
    */
   async login(username, password) {
     try {
@@ -11,11 +13,22 @@ export const authService = {
         username,
         password,
       });
+
+      if (response.data.two_factor_required) {
+        return {
+          success: true,
+          twoFactorRequired: true,
+          challengeToken: response.data.challenge_token,
+        };
+      }
       
-      // Store token
+      // Store access token and refresh token (see utils/api for refreshing)
       if (response.data.token) {
         await storeToken(response.data.token);
       }
+      if (response.data.refresh_token) {
+        await storeRefreshToken(response.data.refresh_token);
+      }
       
       return {
         success: true,
@@ -30,6 +43,34 @@ export const authService = {
     }
   },
 
+  /**
+   * Second login step for users with two-factor authentication
+   * @param {string} challengeToken - Token returned by login()
+   * @param {string} code - Code from the authenticator app, or a recovery code
+   */
+  async verifyTwoFactor(challengeToken, code) {
+    try {
+      const response = await apiClient.post('/api/auth/login/2fa', {
+        challenge_token: challengeToken,
+        code,
+      });
+
+      await storeToken(response.data.token);
+      await storeRefreshToken(response.data.refresh_token);
+
+      return {
+        success: true,
+        token: response.data.token,
+        user: response.data.user,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Verification failed',
+      };
+    }
+  },
+
   /**
    * Get current authenticated user
    */
@@ -49,7 +90,7 @@ export const authService = {
   },
 
   /**
-   * Logout (client-side token removal)
+   * Logout - ends the session on the conductor and removes the tokens
    */
   async logout() {
     try {
@@ -112,4 +153,130 @@ export const authService = {
       };
     }
   },
+
+  /**
+   * Get the active sessions of the current user
+   */
+  async getSessions() {
+    try {
+      const response = await apiClient.get('/api/auth/sessions');
+      return {
+        success: true,
+        sessions: response.data.sessions || [],
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to load sessions',
+      };
+    }
+  },
+
+  /**
+   * Revoke one of the current user's sessions
+   * @param {string} sessionId - Session ID
+   */
+  async revokeSession(sessionId) {
+    try {
+      await apiClient.delete(`/api/auth/sessions/${sessionId}`);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to revoke session',
+      };
+    }
+  },
+
+  /**
+   * Get the two-factor authentication status of the current user
+   */
+  async getTwoFactorStatus() {
+    try {
+      const response = await apiClient.get('/api/auth/2fa');
+      return {
+        success: true,
+        twoFactor: response.data.two_factor,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to load two-factor status',
+      };
+    }
+  },
+
+  /**
+   * Start two-factor enrollment
+   * Returns the secret, its otpauth:// URL and a QR code image (data URL)
+   */
+  async startTwoFactorSetup() {
+    try {
+      const response = await apiClient.post('/api/auth/2fa/setup');
+      return {
+        success: true,
+        setup: response.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to start two-factor setup',
+      };
+    }
+  },
+
+  /**
+   * Finish two-factor enrollment
+   * @param {string} code - Code from the authenticator app
+   */
+  async enableTwoFactor(code) {
+    try {
+      const response = await apiClient.post('/api/auth/2fa/enable', { code });
+      return {
+        success: true,
+        recoveryCodes: response.data.recovery_codes,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to enable two-factor authentication',
+      };
+    }
+  },
+
+  /**
+   * Turn two-factor authentication off
+   * @param {string} password - Current password
+   * @param {string} code - Code from the authenticator app, or a recovery code
+   */
+  async disableTwoFactor(password, code) {
+    try {
+      await apiClient.post('/api/auth/2fa/disable', { password, code });
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to disable two-factor authentication',
+      };
+    }
+  },
+
+  /**
+   * Replace the recovery codes
+   * @param {string} code - Code from the authenticator app
+   */
+  async regenerateRecoveryCodes(code) {
+    try {
+      const response = await apiClient.post('/api/auth/2fa/recovery-codes', { code });
+      return {
+        success: true,
+        recoveryCodes: response.data.recovery_codes,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to create recovery codes',
+      };
+    }
+  },
 };
@@ -0,0 +1,44 @@
+import { Platform } from 'react-native';
+import api from '../utils/api';
+
+/**
+ * Backup Service - API calls for database backups (admins only)
+ */
+export const backupService = {
+  /**
+   * Get the backups, newest first
+   * @returns {Promise<Array>} Array of { name, size, encrypted, created_at }
+   */
+  async getBackups() {
+    const response = await api.get('/api/backups');
+    return response.data.backups || [];
+  },
+
+  /**
+   * Back up the database now
+   * @returns {Promise<object>} Created backup
+   */
+  async createBackup() {
+    const response = await api.post('/api/backups');
+    return response.data.backup;
+  },
+
+  /**
+   * Download a backup file through the browser
+   * The request needs the access token, so the file is fetched first and then saved from memory.
+   * @param {string} name - Backup file name
+   */
+  async downloadBackup(name) {
+    if (Platform.OS !== 'web') {
+      throw new Error('Backups can only be downloaded in the web app');
+    }
+
+    const response = await api.get(`/api/backups/${encodeURIComponent(name)}/download`, { responseType: 'blob' });
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(url);
+  },
+};
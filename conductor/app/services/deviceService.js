@@ -22,6 +22,43 @@ export const deviceService = {
     return response.data.token;
   },
 
+  /**
+   * Get registration tokens with the devices that joined with each (admin only)
+   * @returns {Promise<Array>} Array of tokens
+   */
+  async getTokens() {
+    const response = await api.get('/api/tokens');
+    return response.data.tokens || [];
+  },
+
+  /**
+   * Create a registration token (admin only)
+   * @param {object} options - { name, expires_at, max_uses, labels }
+   * @returns {Promise<object>} Created token
+   */
+  async createToken(options) {
+    const response = await api.post('/api/tokens', options);
+    return response.data.token;
+  },
+
+  /**
+   * Stop accepting a registration token (admin only)
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<object>} Updated token
+   */
+  async revokeToken(tokenId) {
+    const response = await api.post(`/api/tokens/${tokenId}/revoke`);
+    return response.data.token;
+  },
+
+  /**
+   * Delete a registration token (admin only)
+   * @param {string} tokenId - Token ID
+   */
+  async deleteToken(tokenId) {
+    await api.delete(`/api/tokens/${tokenId}`);
+  },
+
   /**
    * Get all devices/workers
    * @returns {Promise<Array>} Array of devices
@@ -39,6 +76,92 @@ export const deviceService = {
   async getDevice(deviceId) {
     const response = await api.get(`/api/workers/${deviceId}`);
     return response.data.worker;
+  },
+
+  /**
+   * Replace the labels of a device (admin only)
+   * @param {string} deviceId - Device ID
+   * @param {object} labels - Labels, e.g. { zone: 'garage' }
+   * @returns {Promise<object>} Updated device
+   */
+  async updateLabels(deviceId, labels) {
+    const response = await api.put(`/api/workers/${deviceId}/labels`, { labels });
+    return response.data.worker;
+  },
+
+  /**
+   * Stop placing new deployments on a device (admin only)
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<object>} Updated device
+   */
+  async cordon(deviceId) {
+    const response = await api.post(`/api/workers/${deviceId}/cordon`);
+    return response.data.worker;
+  },
+
+  /**
+   * Allow new deployments on a device again (admin only)
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<object>} Updated device
+   */
+  async uncordon(deviceId) {
+    const response = await api.post(`/api/workers/${deviceId}/uncordon`);
+    return response.data.worker;
+  },
+
+  /**
+   * Move all deployments off a device (admin only)
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<object>} Drain progress
+   */
+  async drain(deviceId) {
+    const response = await api.post(`/api/workers/${deviceId}/drain`);
+    return response.data.drain;
+  },
+
+  /**
+   * Revoke the credential of a device and disconnect it (admin only)
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<object>} Updated device
+   */
+  async revokeCredential(deviceId) {
+    const response = await api.delete(`/api/workers/${deviceId}/credential`);
+    return response.data.worker;
+  },
+
+  /**
+   * Get deployments with the container status reported by workers
+   * @param {string} [deviceId] - Only deployments on this device
+   * @returns {Promise<Array>} Array of deployments
+   */
+  async getDeployments(deviceId) {
+    const response = await api.get('/api/deployments', {
+      params: deviceId ? { worker_id: deviceId } : {}
+    });
+    return response.data.deployments || [];
+  },
+
+  /**
+   * Get drift events recorded by the reconciliation loop
+   * @param {string} [deviceId] - Only events on this device
+   * @returns {Promise<Array>} Array of drift events, newest first
+   */
+  async getDriftEvents(deviceId) {
+    const response = await api.get('/api/reconciliation/events', {
+      params: deviceId ? { worker_id: deviceId, limit: 20 } : { limit: 20 }
+    });
+    return response.data.events || [];
+  },
+
+  /**
+   * Get stored metrics of a device, averaged per step
+   * @param {string} deviceId - Device ID
+   * @param {object} [params] - from, to (ISO dates), step (seconds), fields (comma separated)
+   * @returns {Promise<object>} { resolution, step, fields, points: [{ time, ...fields }] }
+   */
+  async getMetrics(deviceId, params = {}) {
+    const response = await api.get(`/api/workers/${deviceId}/metrics`, { params });
+    return response.data.metrics;
   }
 };
 
@@ -0,0 +1,20 @@
+import api from '../utils/api';
+
+/**
+ * Event Service - API calls for the cluster event history
+ */
+export const eventService = {
+  /**
+   * Get a page of cluster events, newest first
+   * @param {object} [filters] - type, severity (comma-separated lists), source, subject_type, subject_id,
+   *   since, until, cursor (next_cursor of the previous page), limit
+   * @returns {Promise<object>} { events, next_cursor }
+   */
+  async getEvents(filters = {}) {
+    const response = await api.get('/api/events', { params: filters });
+    return {
+      events: response.data.events || [],
+      nextCursor: response.data.next_cursor || null,
+    };
+  },
+};
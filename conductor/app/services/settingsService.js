@@ -0,0 +1,25 @@
+import api from '../utils/api';
+
+/**
+ * Settings Service - API calls for conductor-wide settings (admins only)
+ */
+export const settingsService = {
+  /**
+   * Get the security settings
+   * @returns {Promise<object>} { require_two_factor }
+   */
+  async getSecuritySettings() {
+    const response = await api.get('/api/settings/security');
+    return response.data.settings;
+  },
+
+  /**
+   * Update the security settings
+   * @param {object} changes - { require_two_factor }
+   * @returns {Promise<object>} Updated security settings
+   */
+  async updateSecuritySettings(changes) {
+    const response = await api.put('/api/settings/security', changes);
+    return response.data.settings;
+  },
+};
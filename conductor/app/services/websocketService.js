@@ -77,6 +77,42 @@ class WebSocketService {
     this.socket.on('worker:live:update', (data) => {
       this.emit('worker:live:update', data);
     });
+
+    // Listen for container status reported by workers
+    this.socket.on('deployment:status:updated', (data) => {
+      this.emit('deployment:status:updated', data);
+    });
+
+    // Listen for drift corrected by the reconciliation loop
+    this.socket.on('deployment:drift', (data) => {
+      this.emit('deployment:drift', data);
+    });
+
+    // Listen for workers taken out of service and drain progress
+    ['worker:cordoned', 'worker:drain'].forEach((event) => {
+      this.socket.on(event, (data) => {
+        this.emit(event, data);
+      });
+    });
+
+    // Listen for deployments moved off (or stranded on) offline workers
+    ['deployment:rescheduled', 'deployment:stranded', 'deployment:recovered'].forEach((event) => {
+      this.socket.on(event, (data) => {
+        this.emit(event, data);
+      });
+    });
+
+    // Listen for alert state changes and notifications of the in-app feed channel
+    ['alert:updated', 'alert:notification'].forEach((event) => {
+      this.socket.on(event, (data) => {
+        this.emit(event, data);
+      });
+    });
+
+    // Listen for cluster events as they are recorded (activity feed)
+    this.socket.on('cluster:event', (data) => {
+      this.emit('cluster:event', data);
+    });
   }
 
   /**
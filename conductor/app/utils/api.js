@@ -35,6 +35,7 @@ const apiClient = axios.create({
 
 // Token storage keys
 const TOKEN_KEY = '@aerekos_cloud_token';
+const REFRESH_TOKEN_KEY = '@aerekos_cloud_refresh_token';
 
 /**
  * Get stored JWT token
@@ -61,16 +62,72 @@ export const storeToken = async (token) => {
 };
 
 /**
- * Remove stored JWT token
+ * Get stored refresh token
+ */
+export const getStoredRefreshToken = async () => {
+  try {
+    return await AsyncStorage.getItem(REFRESH_TOKEN_KEY);
+  } catch (error) {
+    console.error('Error getting stored refresh token:', error);
+    return null;
+  }
+};
+
+/**
+ * Store refresh token
+ */
+export const storeRefreshToken = async (refreshToken) => {
+  try {
+    await AsyncStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  } catch (error) {
+    console.error('Error storing refresh token:', error);
+  }
+};
+
+/**
+ * Remove stored JWT token and refresh token
  */
 export const removeToken = async () => {
   try {
-    await AsyncStorage.removeItem(TOKEN_KEY);
+    await AsyncStorage.multiRemove([TOKEN_KEY, REFRESH_TOKEN_KEY]);
   } catch (error) {
     console.error('Error removing token:', error);
   }
 };
 
+// Refresh in progress, shared so parallel requests do not reuse the same refresh token
+let refreshPromise = null;
+
+/**
+ * Trade the stored refresh token for a new access token
+ * Refresh tokens work once, so concurrent callers wait for the same refresh.
+ * @returns {Promise<string|null>} New access token, or null if the session has ended
+ */
+export const refreshAccessToken = async () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = await getStoredRefreshToken();
+      if (!refreshToken) {
+        return null;
+      }
+
+      try {
+        // Plain axios call: the interceptors below must not handle the refresh itself
+        const response = await axios.post(`${API_BASE_URL}/api/auth/refresh`, { refresh_token: refreshToken });
+        await storeToken(response.data.token);
+        await storeRefreshToken(response.data.refresh_token);
+        return response.data.token;
+      } catch (error) {
+        return null;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return await refreshPromise;
+};
+
 // Request interceptor - attach token to requests
 apiClient.interceptors.request.use(
   async (config) => {
@@ -85,22 +142,27 @@ apiClient.interceptors.request.use(
   }
 );
 
-// Response interceptor - handle errors
+// Response interceptor - refresh expired access tokens transparently
 apiClient.interceptors.response.use(
   (response) => {
     return response;
   },
   async (error) => {
     const originalRequest = error.config;
+    const isLogin = originalRequest?.url?.includes('/api/auth/login');
 
-    // If 401 and not already retried, try to refresh or logout
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    // If 401 and not already retried, refresh the access token and retry once
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retry && !isLogin) {
       originalRequest._retry = true;
-      
-      // Remove invalid token
+
+      const token = await refreshAccessToken();
+      if (token) {
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return apiClient(originalRequest);
+      }
+
+      // Session has ended: remove invalid tokens
       await removeToken();
-      
-      // Reject with error
       return Promise.reject(error);
     }
 
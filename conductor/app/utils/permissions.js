@@ -0,0 +1,14 @@
+/**
+ * Helpers to check what the signed-in user may do
+ * Permissions come from the conductor with the user (see api/utils/permissions.js)
+ */
+
+/**
+ * Check if the user has a permission
+ * @param {object|null} user - Signed-in user from useAuth()
+ * @param {string} permission - e.g. 'workers:write'
+ * @returns {boolean} True if granted
+ */
+export const can = (user, permission) => {
+  return !!user?.permissions?.includes(permission);
+};
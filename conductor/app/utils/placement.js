@@ -0,0 +1,43 @@
+/**
+ * Helpers to show and edit worker labels and taints
+ */
+
+/**
+ * Format labels as text
+ * @param {object} labels - e.g. { zone: 'garage', disk: 'ssd' }
+ * @returns {string} e.g. "zone=garage, disk=ssd"
+ */
+export const formatLabels = (labels) => {
+  return Object.entries(labels || {}).map(([key, value]) => `${key}=${value}`).join(', ');
+};
+
+/**
+ * Parse labels typed as text
+ * @param {string} text - e.g. "zone=garage, disk=ssd"
+ * @returns {object} e.g. { zone: 'garage', disk: 'ssd' }
+ * @throws {Error} If an entry is not key=value
+ */
+export const parseLabels = (text) => {
+  const labels = {};
+
+  for (const pair of text.split(',').map(entry => entry.trim()).filter(Boolean)) {
+    const index = pair.indexOf('=');
+    if (index <= 0) {
+      throw new Error(`"${pair}" is not key=value`);
+    }
+    labels[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+  }
+
+  return labels;
+};
+
+/**
+ * Format taints as text
+ * @param {Array<object>} taints - e.g. [{ key: 'dedicated', value: 'db', effect: 'NoSchedule' }]
+ * @returns {string} e.g. "dedicated=db:NoSchedule"
+ */
+export const formatTaints = (taints) => {
+  return (taints || [])
+    .map(taint => `${taint.key}${taint.value ? `=${taint.value}` : ''}:${taint.effect}`)
+    .join(', ');
+};
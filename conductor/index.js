@@ -1,11 +1,34 @@
 require('dotenv').config();
 const express = require('express');
 const http = require('http');
+const https = require('https');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { initializeDatabase } = require('./api/utils/dbInit');
 const WorkerSocketService = require('./api/services/WorkerSocketService');
+const ReconciliationService = require('./api/services/ReconciliationService');
+const RescheduleService = require('./api/services/RescheduleService');
+const BackupService = require('./api/services/BackupService');
+const MetricsService = require('./api/services/MetricsService');
+const AlertService = require('./api/services/AlertService');
+const EventService = require('./api/services/EventService');
+const CertificateAuthorityService = require('./api/services/CertificateAuthorityService');
+const { logger } = require('./api/utils/logger');
+
+/**
+ * Parse TRUST_PROXY into Express's trust proxy setting
+ * @param {string} [value] - true, false, a hop count, or addresses/subnets/loopback, comma separated
+ * @returns {boolean|number|string} Setting (default: loopback)
+ */
+function parseTrustProxy(value) {
+  const setting = String(value || '').trim();
+  if (!setting) return 'loopback';
+  if (setting === 'true') return true;
+  if (setting === 'false') return false;
+  if (/^\d+$/.test(setting)) return parseInt(setting, 10);
+  return setting;
+}
 
 const app = express();
 const server = http.createServer(app);
@@ -20,8 +43,9 @@ if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
 }
 
-// Trust proxy for accurate IP detection
-app.set('trust proxy', true);
+// Proxies whose X-Forwarded-For gives the client IP (used by login throttling and the audit log).
+// Only trust the ones in front of the conductor: otherwise clients can pick their own IP.
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 
 // Middleware
 app.use(cors({
@@ -35,10 +59,23 @@ app.use(express.urlencoded({ extended: true }));
 const requestIdMiddleware = require('./api/middleware/requestId');
 app.use(requestIdMiddleware);
 
-// Request logging middleware
+// Request counts and latencies for /metrics
+const httpMetricsMiddleware = require('./api/middleware/httpMetrics');
+app.use(httpMetricsMiddleware);
+
+// Request logging middleware (one structured line per finished request)
 app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] [${req.id}] ${req.method} ${req.path}`);
+  const startedAt = process.hrtime.bigint();
+  const requestPath = req.path; // Routers rewrite req.path while handling the request
+  res.on('finish', () => {
+    logger.info('Request completed', {
+      request_id: req.id,
+      method: req.method,
+      path: requestPath,
+      status: res.statusCode,
+      duration_ms: Number(process.hrtime.bigint() - startedAt) / 1e6
+    });
+  });
   next();
 });
 
@@ -88,6 +125,9 @@ app.get('/health', async (req, res) => {
   }
 });
 
+// Prometheus metrics (OpenMetrics text format)
+app.use('/metrics', require('./api/routes/metrics'));
+
 // Basic API route
 app.get('/api', (req, res) => {
   res.json({
@@ -108,7 +148,17 @@ app.get('/api/v1', (req, res) => {
     endpoints: {
       auth: '/api/v1/auth',
       token: '/api/v1/token',
-      workers: '/api/v1/workers'
+      workers: '/api/v1/workers',
+      services: '/api/v1/services',
+      deployments: '/api/v1/deployments',
+      reconciliation: '/api/v1/reconciliation',
+      users: '/api/v1/users',
+      apiKeys: '/api/v1/api-keys',
+      settings: '/api/v1/settings',
+      audit: '/api/v1/audit',
+      backups: '/api/v1/backups',
+      alerts: '/api/v1/alerts',
+      events: '/api/v1/events'
     }
   });
 });
@@ -116,21 +166,54 @@ app.get('/api/v1', (req, res) => {
 // API Routes with versioning
 const authRoutes = require('./api/routes/auth');
 const tokenRoutes = require('./api/routes/token');
+const tokensRoutes = require('./api/routes/tokens');
 const workerRoutes = require('./api/routes/worker');
+const serviceRoutes = require('./api/routes/service');
+const deploymentRoutes = require('./api/routes/deployment');
+const reconciliationRoutes = require('./api/routes/reconciliation');
+const userRoutes = require('./api/routes/users');
+const apiKeyRoutes = require('./api/routes/apiKeys');
+const settingsRoutes = require('./api/routes/settings');
+const auditRoutes = require('./api/routes/audit');
+const backupRoutes = require('./api/routes/backups');
+const alertRoutes = require('./api/routes/alerts');
+const eventRoutes = require('./api/routes/events');
 
 // API v1 routes
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/token', tokenRoutes);
+app.use('/api/v1/tokens', tokensRoutes);
 app.use('/api/v1/workers', workerRoutes);
+app.use('/api/v1/services', serviceRoutes);
+app.use('/api/v1/deployments', deploymentRoutes);
+app.use('/api/v1/reconciliation', reconciliationRoutes);
+app.use('/api/v1/users', userRoutes);
+app.use('/api/v1/api-keys', apiKeyRoutes);
+app.use('/api/v1/settings', settingsRoutes);
+app.use('/api/v1/audit', auditRoutes);
+app.use('/api/v1/backups', backupRoutes);
+app.use('/api/v1/alerts', alertRoutes);
+app.use('/api/v1/events', eventRoutes);
 
 // Legacy routes (for backward compatibility)
 app.use('/api/auth', authRoutes);
 app.use('/api/token', tokenRoutes);
+app.use('/api/tokens', tokensRoutes);
 app.use('/api/workers', workerRoutes);
+app.use('/api/services', serviceRoutes);
+app.use('/api/deployments', deploymentRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/backups', backupRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/events', eventRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Error:', err);
+  logger.error('Unhandled request error', { request_id: req.id, method: req.method, path: req.path, error: err });
   res.status(err.status || 500).json({
     error: {
       message: err.message || 'Internal server error',
@@ -159,10 +242,10 @@ async function startServer() {
       const UserRepository = require('./api/repos/UserRepository');
       const users = await UserRepository.findAll();
       if (users.length === 0) {
-        console.log('No users found, seeding default admin user (username: admin, password: admin)...');
+        logger.info('No users found, seeding default admin user', { username: 'admin' });
         const { seedUsers } = require('./scripts/seedUsers');
         await seedUsers();
-        console.log('✓ Default admin user created successfully');
+        logger.warn('Default admin user created, change its password (admin) after logging in');
       }
     }
     
@@ -171,24 +254,64 @@ async function startServer() {
       const TokenService = require('./api/services/TokenService');
       const currentToken = await TokenService.getCurrentToken();
       if (!currentToken) {
-        const newToken = await TokenService.generateRegistrationToken();
-        console.log(`Generated registration token: ${newToken}`);
+        // Not logged; admins read it with GET /api/token
+        await TokenService.generateRegistrationToken();
+        logger.info('Generated registration token');
       } else {
-        console.log(`Using existing registration token`);
+        logger.info('Using existing registration token');
       }
     }
     
     // Initialize WebSocket server
     WorkerSocketService.initialize(server);
 
+    // Workers talk to the TLS listener with client certificates from the internal CA;
+    // the app and API stay on PORT
+    let tlsServer = null;
+    if (CertificateAuthorityService.isMtlsRequired()) {
+      tlsServer = https.createServer(CertificateAuthorityService.getServerTlsOptions(), app);
+      WorkerSocketService.attach(tlsServer);
+
+      // Reissue the conductor's certificate before it expires (checked daily)
+      setInterval(() => CertificateAuthorityService.rotateServerCertificate(tlsServer), 24 * 60 * 60 * 1000).unref();
+    }
+
+    // Converge workers to the desired deployments
+    ReconciliationService.start();
+
+    // Move deployments off workers that stay offline
+    RescheduleService.start();
+
+    // Back up the database on a schedule
+    BackupService.start();
+
+    // Roll up and prune worker metric history
+    MetricsService.start();
+
+    // Check alert rules and send notifications
+    AlertService.start();
+
+    // Prune old cluster events
+    EventService.start();
+
     server.listen(PORT, () => {
-      console.log(`Conductor API server running on port ${PORT}`);
-      console.log(`WebSocket server initialized`);
-      console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-      console.log(`Database: ${process.env.DATABASE_PATH || './data/conductor.db'}`);
+      logger.info('Conductor API server running', {
+        port: PORT,
+        environment: process.env.NODE_ENV || 'development',
+        database: process.env.DATABASE_PATH || './data/conductor.db'
+      });
     });
+
+    if (tlsServer) {
+      tlsServer.listen(CertificateAuthorityService.getTlsPort(), () => {
+        logger.info('Worker TLS listener (mutual TLS) running', {
+          port: CertificateAuthorityService.getTlsPort(),
+          ca_fingerprint: CertificateAuthorityService.getCAFingerprint()
+        });
+      });
+    }
   } catch (error) {
-    console.error('Failed to start server:', error);
+    logger.error('Failed to start server', { error });
     process.exit(1);
   }
 }
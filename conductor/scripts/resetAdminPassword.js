@@ -23,16 +23,18 @@ async function resetAdminPassword() {
         username: 'admin',
         email: 'admin@aerekos.cloud',
         password_hash: await hashPassword('admin'),
-        role: 'admin'
+        role: 'admin',
+        password_change_required: 1
       });
-      console.log('✓ Admin user created with password: admin');
+      console.log('✓ Admin user created with password: admin (must be changed at first login)');
     } else {
       // Update password
       const newPasswordHash = await hashPassword('admin');
       await UserRepository.update(adminUser.id, {
-        password_hash: newPasswordHash
+        password_hash: newPasswordHash,
+        password_change_required: 1
       });
-      console.log('✓ Admin password reset to: admin');
+      console.log('✓ Admin password reset to: admin (must be changed at next login)');
     }
 
     console.log('Password reset completed!');
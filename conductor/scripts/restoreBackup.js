@@ -0,0 +1,69 @@
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const fs = require('fs');
+const path = require('path');
+const { decryptFile, isEncrypted, checkDatabaseFile, replaceDatabaseFile } = require('../api/utils/backupFile');
+
+/**
+ * Restore the conductor database from a backup
+ * Stop the conductor first. The backup is decrypted (with BACKUP_ENCRYPTION_KEY) if needed and
+ * checked - integrity, conductor tables, schema version not newer than this conductor - before it
+ * replaces the database. The replaced database is kept next to it.
+ *
+ * Usage: node scripts/restoreBackup.js <backup file or name in BACKUP_DIR>
+ *
+ * @param {string} backup - Backup file, or the name of a backup in BACKUP_DIR
+ * @param {string} [dbPath] - Database to replace (default DATABASE_PATH)
+ * @returns {Promise<object>} { schema_version, previous_path }
+ */
+async function restoreBackup(backup, dbPath = process.env.DATABASE_PATH || path.join(__dirname, '../data/conductor.db')) {
+  const backupDir = process.env.BACKUP_DIR || path.join(__dirname, '../data/backups');
+  const backupPath = fs.existsSync(backup) ? backup : path.join(backupDir, backup);
+  if (!fs.existsSync(backupPath)) {
+    throw new Error(`Backup not found: ${backup}`);
+  }
+
+  // Written next to the database so it can be renamed into place
+  const restorePath = `${dbPath}.restoring`;
+  fs.mkdirSync(path.dirname(path.resolve(dbPath)), { recursive: true });
+
+  try {
+    if (isEncrypted(backupPath)) {
+      if (!process.env.BACKUP_ENCRYPTION_KEY) {
+        throw new Error('Invalid backup: it is encrypted and BACKUP_ENCRYPTION_KEY is not set');
+      }
+      await decryptFile(backupPath, restorePath, process.env.BACKUP_ENCRYPTION_KEY);
+    } else {
+      fs.copyFileSync(backupPath, restorePath);
+    }
+
+    const { schema_version: schemaVersion } = checkDatabaseFile(restorePath);
+    const previousPath = replaceDatabaseFile(restorePath, dbPath);
+    return { schema_version: schemaVersion, previous_path: previousPath };
+  } finally {
+    fs.rmSync(restorePath, { force: true });
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const backup = process.argv[2];
+  if (!backup) {
+    console.error('Usage: node scripts/restoreBackup.js <backup file or name in BACKUP_DIR>');
+    process.exit(1);
+  }
+
+  restoreBackup(backup)
+    .then(({ schema_version: schemaVersion, previous_path: previousPath }) => {
+      console.log(`✓ Database restored from ${backup} (schema version ${schemaVersion})`);
+      if (previousPath) {
+        console.log(`  Previous database kept at ${previousPath}`);
+      }
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Error restoring backup:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { restoreBackup };
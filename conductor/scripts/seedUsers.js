@@ -17,7 +17,8 @@ async function seedUsers() {
         username: 'admin',
         email: 'admin@aerekos.cloud',
         password_hash: await hashPassword('admin'), // Default password: admin
-        role: 'admin'
+        role: 'admin',
+        password_change_required: 1 // Must be changed at first login
       }
       // Add more users here as needed
     ];
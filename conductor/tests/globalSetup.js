@@ -26,6 +26,7 @@ module.exports = async () => {
     if (fs.existsSync(testDbWal)) {
       fs.unlinkSync(testDbWal);
     }
+    fs.rmSync(path.join(__dirname, '../data/test-backups'), { recursive: true, force: true });
   } catch (error) {
     // Ignore cleanup errors
   }
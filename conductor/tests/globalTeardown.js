@@ -23,6 +23,7 @@ module.exports = async () => {
     if (fs.existsSync(testDbWal)) {
       fs.unlinkSync(testDbWal);
     }
+    fs.rmSync(path.join(__dirname, '../data/test-backups'), { recursive: true, force: true });
     
     console.log('✅ Global test teardown complete - test database cleaned up');
   } catch (error) {
@@ -1,7 +1,7 @@
 /**
  * Database helper utilities for tests
  */
-const { User, Worker, Service, Token, Resource, ServiceDeployment } = require('../../api/models');
+const { User, Worker, Service, Token, Session, ApiKey, Setting, Resource, ServiceDeployment, DriftEvent, ServiceRevision, RevisionDeployment } = require('../../api/models');
 const { initializeDatabase } = require('../../api/utils/dbInit');
 
 /**
@@ -21,10 +21,24 @@ async function cleanupTestData() {
     const workers = await Worker.findAll();
     const services = await Service.findAll();
     const tokens = await Token.findAll();
+    const sessions = await Session.findAll();
+    const apiKeys = await ApiKey.findAll();
+    const settings = await Setting.findAll();
     const resources = await Resource.findAll();
     const deployments = await ServiceDeployment.findAll();
+    const driftEvents = await DriftEvent.findAll();
+    const revisions = await ServiceRevision.findAll();
+    const revisionDeployments = await RevisionDeployment.findAll();
 
     // Delete in reverse dependency order
+    for (const event of driftEvents) {
+      try {
+        await DriftEvent.delete(event.id);
+      } catch (e) {
+        // Ignore errors
+      }
+    }
+
     for (const deployment of deployments) {
       try {
         await ServiceDeployment.delete(deployment.id);
@@ -33,6 +47,22 @@ async function cleanupTestData() {
       }
     }
 
+    for (const link of revisionDeployments) {
+      try {
+        await RevisionDeployment.delete(link.id);
+      } catch (e) {
+        // Ignore errors
+      }
+    }
+
+    for (const revision of revisions) {
+      try {
+        await ServiceRevision.delete(revision.id);
+      } catch (e) {
+        // Ignore errors
+      }
+    }
+
     for (const resource of resources) {
       try {
         await Resource.delete(resource.id);
@@ -49,6 +79,30 @@ async function cleanupTestData() {
       }
     }
 
+    for (const session of sessions) {
+      try {
+        await Session.delete(session.id);
+      } catch (e) {
+        // Ignore errors
+      }
+    }
+
+    for (const apiKey of apiKeys) {
+      try {
+        await ApiKey.delete(apiKey.id);
+      } catch (e) {
+        // Ignore errors
+      }
+    }
+
+    for (const setting of settings) {
+      try {
+        await Setting.delete(setting.id);
+      } catch (e) {
+        // Ignore errors
+      }
+    }
+
     for (const service of services) {
       try {
         await Service.delete(service.id);
@@ -42,17 +42,82 @@ async function retry(fn, maxAttempts = 3, delay = 100) {
 }
 
 /**
- * Create a test JWT token
+ * Create a user with the given role, sign it in and return its access token
+ * The authenticate middleware loads the user and session on every request, so both must exist.
  */
-function createTestToken(payload = {}) {
-  const JWTService = require('../../api/services/JWTService');
-  return JWTService.generateToken({
-    id: payload.id || 'test-id',
-    username: payload.username || 'testuser',
-    email: payload.email || 'test@example.com',
-    role: payload.role || 'user',
-    ...payload
+async function createTestToken(payload = {}) {
+  const SessionService = require('../../api/services/SessionService');
+  const { User } = require('../../api/models');
+  const username = payload.username || uniqueId('testuser');
+
+  const user = await User.create({
+    username,
+    email: payload.email || `${username}@example.com`,
+    password_hash: 'not-a-real-hash', // Never used to log in
+    role: payload.role || 'admin',
+    disabled: payload.disabled ? 1 : 0
   });
+
+  const { token } = await SessionService.createSession(user, { device: 'jest' });
+  return token;
+}
+
+/**
+ * Create a service through the API, with rollouts that do not wait for replicas to settle
+ * @param {string} authToken - Access token allowed to create services
+ * @param {number|null} replicas - Replica count (null for none)
+ * @param {object} [updateStrategy] - update_strategy overrides
+ */
+async function createReplicatedService(authToken, replicas, updateStrategy = {}) {
+  const request = require('supertest');
+  const app = require('../../index');
+
+  const response = await request(app)
+    .post('/api/v1/services')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({
+      name: uniqueId('svc'),
+      docker_image: 'nginx:1.26',
+      replicas,
+      config: { update_strategy: { min_ready_seconds: 0, ...updateStrategy } }
+    })
+    .expect(201);
+  return response.body.service;
+}
+
+/**
+ * Change the image of a service through the API, which starts a rollout
+ * Returns the request, so callers check the status they expect.
+ */
+function updateServiceImage(authToken, serviceId, image) {
+  const request = require('supertest');
+  const app = require('../../index');
+
+  return request(app)
+    .put(`/api/v1/services/${serviceId}`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ docker_image: image });
+}
+
+/**
+ * Wait until the rollout of a service has finished and return it
+ */
+async function waitForRollout(authToken, serviceId) {
+  const request = require('supertest');
+  const app = require('../../index');
+
+  for (let i = 0; i < 100; i++) {
+    const response = await request(app)
+      .get(`/api/v1/services/${serviceId}/rollout`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+    const { rollout } = response.body;
+    if (rollout && rollout.status !== 'in_progress' && rollout.status !== 'rolling_back') {
+      return rollout;
+    }
+    await wait(10);
+  }
+  throw new Error('Rollout never finished');
 }
 
 module.exports = {
@@ -60,5 +125,8 @@ module.exports = {
   uniqueEmail,
   wait,
   retry,
-  createTestToken
+  createTestToken,
+  createReplicatedService,
+  updateServiceImage,
+  waitForRollout
 };
@@ -0,0 +1,335 @@
+const http = require('http');
+const net = require('net');
+const request = require('supertest');
+const app = require('../../index');
+const AlertService = require('../../api/services/AlertService');
+const MetricsService = require('../../api/services/MetricsService');
+const WorkerSocketService = require('../../api/services/WorkerSocketService');
+const { AlertRule, Alert, AlertSilence, NotificationChannel, MetricSample, Worker } = require('../../api/models');
+const { sendMail } = require('../../api/utils/smtp');
+const { setupTestDatabase, cleanupTestData, createTestWorker } = require('../helpers/dbHelper');
+const { uniqueId, createTestToken } = require('../helpers/testHelpers');
+
+const MINUTE = 60 * 1000;
+
+describe('Alerting Integration Tests', () => {
+  let adminToken;
+  let operatorToken;
+  let viewerToken;
+  let broadcast;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    adminToken = await createTestToken({ role: 'admin' });
+    operatorToken = await createTestToken({ role: 'operator' });
+    viewerToken = await createTestToken({ role: 'viewer' });
+  });
+
+  afterAll(async () => {
+    for (const Model of [Alert, AlertSilence, AlertRule, NotificationChannel, MetricSample]) {
+      for (const record of await Model.findAll()) {
+        await Model.delete(record.id);
+      }
+    }
+    await cleanupTestData();
+  });
+
+  beforeEach(() => {
+    broadcast = jest.spyOn(WorkerSocketService, 'broadcastToFrontend').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    // Rules of one test must not raise alerts in the next
+    for (const rule of await AlertRule.findAll()) {
+      await AlertRule.update(rule.id, { enabled: 0 });
+    }
+  });
+
+  function as(token, method, url) {
+    return request(app)[method](url).set('Authorization', `Bearer ${token}`);
+  }
+
+  async function createChannel(type, config) {
+    const response = await as(adminToken, 'post', '/api/v1/alerts/channels')
+      .send({ name: uniqueId(type), type, config })
+      .expect(201);
+    return response.body.channel;
+  }
+
+  async function createRule(fields) {
+    const response = await as(operatorToken, 'post', '/api/v1/alerts/rules')
+      .send({ name: uniqueId('rule'), ...fields })
+      .expect(201);
+    return response.body.rule;
+  }
+
+  function feedNotifications() {
+    return broadcast.mock.calls.filter(([event]) => event === 'alert:notification').map(([, notification]) => notification);
+  }
+
+  function startWebhookServer(received) {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body: JSON.parse(body) });
+        res.end('ok');
+      });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+  }
+
+  // Just enough of an SMTP server to accept one message per DATA command
+  function startSmtpServer(received) {
+    const server = net.createServer(socket => {
+      let buffer = '';
+      let data = null;
+      socket.write('220 test ESMTP\r\n');
+      socket.on('data', chunk => {
+        buffer += chunk;
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+          const line = buffer.slice(0, index);
+          buffer = buffer.slice(index + 2);
+          if (data !== null) {
+            if (line === '.') {
+              received.push(data.join('\n'));
+              data = null;
+              socket.write('250 Queued\r\n');
+            } else {
+              data.push(line);
+            }
+          } else if (line.startsWith('EHLO')) {
+            socket.write('250-test\r\n250 AUTH PLAIN\r\n');
+          } else if (line.startsWith('AUTH')) {
+            socket.write('235 Authenticated\r\n');
+          } else if (line === 'DATA') {
+            data = [];
+            socket.write('354 Go ahead\r\n');
+          } else if (line === 'QUIT') {
+            socket.end('221 Bye\r\n');
+          } else {
+            socket.write('250 OK\r\n');
+          }
+        }
+      });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+  }
+
+  test('rules should be validated and need alerts:write; channels need notifications:manage', async () => {
+    const invalid = await as(operatorToken, 'post', '/api/v1/alerts/rules')
+      .send({ name: 'Too hot', condition: 'temperature > 80' })
+      .expect(400);
+    expect(invalid.body.error.message).toMatch(/^Invalid condition: unknown metric temperature/);
+
+    await as(operatorToken, 'post', '/api/v1/alerts/rules')
+      .send({ name: 'Crashing', condition: 'deployment crashing' })
+      .expect(400);
+    await as(viewerToken, 'post', '/api/v1/alerts/rules')
+      .send({ name: 'Offline', condition: 'worker offline for 2m' })
+      .expect(403);
+    await as(operatorToken, 'post', '/api/v1/alerts/channels')
+      .send({ name: 'Ops', type: 'feed' })
+      .expect(403);
+
+    const badChannel = await as(adminToken, 'post', '/api/v1/alerts/channels')
+      .send({ name: 'Ops mail', type: 'smtp', config: { to: 'not an address' } })
+      .expect(400);
+    expect(badChannel.body.error.message).toBe('Invalid channel config: to must list email addresses');
+
+    const rule = await createRule({ condition: 'worker offline for 2m', severity: 'critical' });
+    expect(rule).toMatchObject({ severity: 'critical', channel_ids: [], repeat_minutes: 0, enabled: true });
+
+    const rules = await as(viewerToken, 'get', '/api/v1/alerts/rules').expect(200);
+    expect(rules.body.rules.map(r => r.id)).toContain(rule.id);
+
+    // Anyone who can read alerts sees channel names, only channel managers see their config
+    const channel = await createChannel('webhook', { url: 'https://hooks.example.com/secret-token' });
+    const listed = await as(operatorToken, 'get', '/api/v1/alerts/channels').expect(200);
+    const found = listed.body.channels.find(c => c.id === channel.id);
+    expect(found).toMatchObject({ name: channel.name, type: 'webhook' });
+    expect(found.config).toBeUndefined();
+    const managed = await as(adminToken, 'get', '/api/v1/alerts/channels').expect(200);
+    expect(managed.body.channels.find(c => c.id === channel.id).config.url).toBe('https://hooks.example.com/secret-token');
+  });
+
+  test('metric alerts should go from pending to firing to resolved and notify webhooks', async () => {
+    const received = [];
+    const server = await startWebhookServer(received);
+    try {
+      const worker = await createTestWorker({ hostname: uniqueId('busy') });
+      const channel = await createChannel('webhook', {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        headers: { 'X-Token': 'secret' }
+      });
+      const rule = await createRule({ condition: 'ram.usagePercent > 90 for 5m', worker_id: worker.id, channel_ids: [channel.id] });
+
+      const start = Date.now();
+      const sample = (ramPercent, at) => MetricsService.recordSample(worker.id, { ram: { usagePercent: ramPercent } }, at);
+
+      await sample(95, start);
+      expect(await AlertService.evaluate(start)).toMatchObject({ pending: 1, fired: 0 });
+
+      await sample(96, start + 5 * MINUTE);
+      expect(await AlertService.evaluate(start + 5 * MINUTE)).toMatchObject({ pending: 0, fired: 1 });
+      expect(received).toHaveLength(1);
+      expect(received[0].headers['x-token']).toBe('secret');
+      expect(received[0].body).toMatchObject({
+        event: 'firing',
+        alert: { rule_id: rule.id, target_id: worker.id, state: 'firing', value: 96, severity: 'warning' }
+      });
+
+      const firing = await as(viewerToken, 'get', '/api/v1/alerts').query({ state: 'firing', rule_id: rule.id }).expect(200);
+      expect(firing.body.alerts).toHaveLength(1);
+
+      await sample(50, start + 6 * MINUTE);
+      expect(await AlertService.evaluate(start + 6 * MINUTE)).toMatchObject({ resolved: 1 });
+      expect(received.map(notification => notification.body.event)).toEqual(['firing', 'resolved']);
+
+      const [resolved] = (await as(viewerToken, 'get', '/api/v1/alerts').query({ rule_id: rule.id }).expect(200)).body.alerts;
+      expect(resolved).toMatchObject({ state: 'resolved', resolved_at: new Date(start + 6 * MINUTE).toISOString() });
+
+      const updates = broadcast.mock.calls.filter(([event]) => event === 'alert:updated').map(([, alert]) => alert.state);
+      expect(updates).toEqual(['pending', 'firing', 'resolved']);
+
+      // A condition that clears before its duration never fires
+      await sample(99, start + 7 * MINUTE);
+      await AlertService.evaluate(start + 7 * MINUTE);
+      await sample(10, start + 8 * MINUTE);
+      await AlertService.evaluate(start + 8 * MINUTE);
+      expect(await Alert.count({ rule_id: rule.id })).toBe(1);
+      expect(received).toHaveLength(2);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('metric alerts should stay open while their worker is offline', async () => {
+    const worker = await createTestWorker({ hostname: uniqueId('dropped') });
+    const channel = await createChannel('feed');
+    const rule = await createRule({ condition: 'ram.usagePercent > 90', worker_id: worker.id, channel_ids: [channel.id] });
+
+    const start = Date.now();
+    await MetricsService.recordSample(worker.id, { ram: { usagePercent: 95 } }, start);
+    expect(await AlertService.evaluate(start)).toMatchObject({ fired: 1 });
+
+    await Worker.update(worker.id, { status: 'offline' });
+    expect(await AlertService.evaluate(start + 5 * MINUTE)).toMatchObject({ resolved: 0 });
+    const [open] = (await as(viewerToken, 'get', '/api/v1/alerts').query({ rule_id: rule.id }).expect(200)).body.alerts;
+    expect(open.state).toBe('firing');
+
+    // Back online and recovered: now it is resolved
+    await Worker.update(worker.id, { status: 'online' });
+    await MetricsService.recordSample(worker.id, { ram: { usagePercent: 40 } }, start + 6 * MINUTE);
+    expect(await AlertService.evaluate(start + 6 * MINUTE)).toMatchObject({ resolved: 1 });
+    expect(feedNotifications().map(notification => notification.event)).toEqual(['firing', 'resolved']);
+  });
+
+  test('offline alerts should fire from when the worker was last seen and remind until acknowledged', async () => {
+    const worker = await createTestWorker({
+      hostname: uniqueId('gone'),
+      status: 'offline',
+      last_seen: new Date(Date.now() - 3 * MINUTE).toISOString()
+    });
+    const channel = await createChannel('feed');
+    const rule = await createRule({ condition: 'worker offline for 2m', worker_id: worker.id, channel_ids: [channel.id], repeat_minutes: 10 });
+
+    const now = Date.now();
+    expect(await AlertService.evaluate(now)).toMatchObject({ pending: 1, fired: 1 });
+    expect(feedNotifications()).toEqual([
+      expect.objectContaining({ event: 'firing', message: `Worker ${worker.hostname} is offline` })
+    ]);
+
+    expect(await AlertService.evaluate(now + 5 * MINUTE)).toMatchObject({ reminded: 0 });
+    expect(await AlertService.evaluate(now + 10 * MINUTE)).toMatchObject({ reminded: 1 });
+
+    const [alert] = (await as(viewerToken, 'get', '/api/v1/alerts').query({ rule_id: rule.id }).expect(200)).body.alerts;
+    await as(viewerToken, 'post', `/api/v1/alerts/${alert.id}/acknowledge`).expect(403);
+    const acknowledged = await as(operatorToken, 'post', `/api/v1/alerts/${alert.id}/acknowledge`).expect(200);
+    expect(acknowledged.body.alert.acknowledged_by).toBeTruthy();
+
+    expect(await AlertService.evaluate(now + 30 * MINUTE)).toMatchObject({ reminded: 0 });
+    expect(feedNotifications().map(notification => notification.event)).toEqual(['firing', 'reminder']);
+  });
+
+  test('silenced alerts should fire without notifications until the silence ends', async () => {
+    const worker = await createTestWorker({ hostname: uniqueId('quiet'), status: 'offline' });
+    const channel = await createChannel('feed');
+    const rule = await createRule({ condition: 'worker offline', worker_id: worker.id, channel_ids: [channel.id] });
+
+    const created = await as(operatorToken, 'post', '/api/v1/alerts/silences')
+      .send({ target_id: worker.id, duration_minutes: 30, comment: 'Replacing the disk' })
+      .expect(201);
+    const { silence } = created.body;
+
+    expect(await AlertService.evaluate()).toMatchObject({ fired: 1 });
+    expect(feedNotifications()).toEqual([]);
+    const [alert] = (await as(viewerToken, 'get', '/api/v1/alerts').query({ rule_id: rule.id }).expect(200)).body.alerts;
+    expect(alert).toMatchObject({ state: 'firing', silenced: true, last_notified_at: null });
+
+    await as(operatorToken, 'delete', `/api/v1/alerts/silences/${silence.id}`).expect(200);
+    const silences = await as(viewerToken, 'get', '/api/v1/alerts/silences').expect(200);
+    expect(silences.body.silences.map(s => s.id)).not.toContain(silence.id);
+
+    await AlertService.evaluate();
+    expect(feedNotifications()).toEqual([expect.objectContaining({ event: 'firing' })]);
+
+    await as(operatorToken, 'post', '/api/v1/alerts/silences').send({ comment: 'everything' }).expect(400);
+  });
+
+  test('SMTP channels should send email through the configured relay', async () => {
+    const received = [];
+    const server = await startSmtpServer(received);
+    const channel = await createChannel('smtp', { to: 'ops@example.com, oncall@example.com' });
+    expect(channel.config).toEqual({ to: ['ops@example.com', 'oncall@example.com'] });
+
+    try {
+      const unconfigured = await as(adminToken, 'post', `/api/v1/alerts/channels/${channel.id}/test`).expect(502);
+      expect(unconfigured.body.error.message).toBe('Notification failed: SMTP is not configured (set SMTP_HOST)');
+
+      process.env.SMTP_HOST = '127.0.0.1';
+      process.env.SMTP_PORT = String(server.address().port);
+      process.env.SMTP_USER = 'conductor';
+      process.env.SMTP_FROM = 'conductor@example.com';
+
+      // The test relay offers no STARTTLS, so the login is only sent once plain text is allowed
+      const insecure = await as(adminToken, 'post', `/api/v1/alerts/channels/${channel.id}/test`).expect(502);
+      expect(insecure.body.error.message).toContain('not sending credentials unencrypted');
+      expect(received).toHaveLength(0);
+      process.env.SMTP_ALLOW_INSECURE = 'true';
+
+      const tested = await as(adminToken, 'post', `/api/v1/alerts/channels/${channel.id}/test`).expect(200);
+      expect(tested.body.channel).toMatchObject({ last_error: null });
+      expect(tested.body.channel.last_sent_at).toBeTruthy();
+
+      expect(received).toHaveLength(1);
+      expect(received[0]).toContain('To: ops@example.com, oncall@example.com');
+      expect(received[0]).toContain('Subject: [TEST] Conductor notification');
+      expect(received[0]).toContain(`Test notification for channel ${channel.name}`);
+    } finally {
+      for (const name of ['SMTP_HOST', 'SMTP_PORT', 'SMTP_USER', 'SMTP_FROM', 'SMTP_ALLOW_INSECURE']) {
+        delete process.env[name];
+      }
+      server.close();
+    }
+  });
+
+  test('SMTP should give up on a relay that does not answer in time', async () => {
+    const sockets = [];
+    const server = net.createServer(socket => sockets.push(socket));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      await expect(sendMail(
+        { host: '127.0.0.1', port: server.address().port, secure: false, user: null, from: 'conductor@example.com' },
+        { to: ['ops@example.com'], subject: 'Silent', text: 'No greeting' },
+        { timeoutMs: 100 }
+      )).rejects.toThrow('SMTP server did not answer in time');
+    } finally {
+      sockets.forEach(socket => socket.destroy());
+      server.close();
+    }
+  });
+});
@@ -211,7 +211,7 @@ describe('Conductor API Integration Tests', () => {
       expect(response.body.error).toHaveProperty('message');
     });
 
-    test('POST /api/auth/logout should accept logout request', async () => {
+    test('POST /api/auth/logout should end the session', async () => {
       await ensureTestUser();
       
       if (!authToken) {
@@ -230,6 +230,13 @@ describe('Conductor API Integration Tests', () => {
         .expect(200);
 
       expect(response.body).toHaveProperty('message', 'Logged out successfully');
+
+      // The access token stops working right away
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(401);
+      authToken = null;
     });
 
     test('POST /api/auth/reset-password should update password with correct current password', async () => {
@@ -697,6 +704,7 @@ describe('Conductor API Integration Tests', () => {
 
   describe('Worker Routes', () => {
     let testWorker;
+    let workerCredential;
 
     beforeEach(async () => {
       // Ensure test user exists for auth
@@ -719,7 +727,9 @@ describe('Conductor API Integration Tests', () => {
 
       // Create a test worker for some tests
       const { createTestWorker } = require('../helpers/dbHelper');
+      const WorkerCredentialService = require('../../api/services/WorkerCredentialService');
       testWorker = await createTestWorker();
+      workerCredential = await WorkerCredentialService.issueCredential(testWorker.id);
     });
 
     describe('POST /api/workers/register', () => {
@@ -744,6 +754,7 @@ describe('Conductor API Integration Tests', () => {
         expect(response.body.worker.hostname).toBe('test-worker-1');
         expect(response.body.worker.ip_address).toBe('192.168.1.100');
         expect(response.body.worker.status).toBe('online');
+        expect(response.body.credential).toMatch(/^wkr_[0-9a-f]{64}$/);
       });
 
       test('should register worker with existing worker_id', async () => {
@@ -809,6 +820,7 @@ describe('Conductor API Integration Tests', () => {
       test('should accept heartbeat from registered worker', async () => {
         const response = await request(app)
           .post(`/api/workers/${testWorker.id}/heartbeat`)
+          .set('Authorization', `Bearer ${workerCredential}`)
           .expect(200);
 
         expect(response.body).toHaveProperty('worker');
@@ -817,12 +829,33 @@ describe('Conductor API Integration Tests', () => {
         expect(response.body.worker).toHaveProperty('last_seen');
       });
 
-      test('should return 404 for non-existent worker', async () => {
+      test('should reject heartbeat without credential', async () => {
+        const response = await request(app)
+          .post(`/api/workers/${testWorker.id}/heartbeat`)
+          .expect(401);
+
+        expect(response.body.error.message).toBe('Worker credential is required');
+      });
+
+      test('should reject heartbeat for another worker', async () => {
+        const { createTestWorker } = require('../helpers/dbHelper');
+        const otherWorker = await createTestWorker();
+
+        const response = await request(app)
+          .post(`/api/workers/${otherWorker.id}/heartbeat`)
+          .set('Authorization', `Bearer ${workerCredential}`)
+          .expect(401);
+
+        expect(response.body.error.message).toBe('Invalid worker credential');
+      });
+
+      test('should return 401 for non-existent worker', async () => {
         const response = await request(app)
           .post('/api/workers/nonexistent-id/heartbeat')
-          .expect(404);
+          .set('Authorization', `Bearer ${workerCredential}`)
+          .expect(401);
 
-        expect(response.body.error.message).toBe('Worker not found');
+        expect(response.body.error.message).toBe('Invalid worker credential');
       });
     });
 
@@ -837,6 +870,7 @@ describe('Conductor API Integration Tests', () => {
 
         const response = await request(app)
           .put(`/api/workers/${testWorker.id}/resources`)
+          .set('Authorization', `Bearer ${workerCredential}`)
           .send({ resources: newResources })
           .expect(200);
 
@@ -846,19 +880,20 @@ describe('Conductor API Integration Tests', () => {
       test('should reject update without resources', async () => {
         const response = await request(app)
           .put(`/api/workers/${testWorker.id}/resources`)
+          .set('Authorization', `Bearer ${workerCredential}`)
           .send({})
           .expect(400);
 
         expect(response.body.error.message).toBe('Resources data is required');
       });
 
-      test('should return 404 for non-existent worker', async () => {
+      test('should reject update without credential', async () => {
         const response = await request(app)
-          .put('/api/workers/nonexistent-id/resources')
+          .put(`/api/workers/${testWorker.id}/resources`)
           .send({ resources: { cpu_cores: 4 } })
-          .expect(404);
+          .expect(401);
 
-        expect(response.body.error.message).toBe('Worker not found');
+        expect(response.body.error.message).toBe('Worker credential is required');
       });
     });
 
@@ -0,0 +1,153 @@
+const request = require('supertest');
+const app = require('../../index');
+const { ApiKey } = require('../../api/models');
+const ApiKeyRepository = require('../../api/repos/ApiKeyRepository');
+const { setupTestDatabase, cleanupTestData } = require('../helpers/dbHelper');
+const { uniqueId, createTestToken } = require('../helpers/testHelpers');
+
+describe('API Key Integration Tests', () => {
+  let operatorToken;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    operatorToken = await createTestToken({ role: 'operator' });
+  });
+
+  afterAll(async () => {
+    await cleanupTestData();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function createKey(body, token = operatorToken) {
+    return request(app)
+      .post('/api/v1/api-keys')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: uniqueId('key'), scopes: ['services:read'], ...body });
+  }
+
+  function callWithKey(key, method, url) {
+    return request(app)[method](url).set('Authorization', `Bearer ${key}`);
+  }
+
+  test('POST /api/v1/api-keys should return the key once and store only its hash', async () => {
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    const response = await createKey({ name: 'dashboard', scopes: ['services:read', 'deployments:write'], expires_at: expiresAt })
+      .expect(201);
+
+    expect(response.body.key).toMatch(/^ak_[0-9a-f]{12}_[0-9a-f]{64}$/);
+    expect(response.body.api_key).toMatchObject({
+      name: 'dashboard',
+      scopes: ['services:read', 'deployments:write'],
+      status: 'active',
+      expires_at: expiresAt,
+      last_used_at: null
+    });
+    expect(response.body.key.startsWith(response.body.api_key.prefix)).toBe(true);
+    expect(response.body.api_key).not.toHaveProperty('key_hash');
+
+    const [stored] = await ApiKey.findAll({ where: { id: response.body.api_key.id } });
+    expect(stored.key_hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(JSON.stringify(stored)).not.toContain(response.body.key);
+  });
+
+  test('API keys should authenticate within their scopes and record their use', async () => {
+    const { key, api_key: apiKey } = (await createKey({ scopes: ['services:read'] }).expect(201)).body;
+
+    await callWithKey(key, 'get', '/api/v1/services').expect(200);
+
+    const denied = await callWithKey(key, 'get', '/api/v1/workers').expect(403);
+    expect(denied.body.error.message).toBe('Permission denied: API key is not scoped for workers:read');
+
+    await callWithKey(key, 'post', '/api/v1/services')
+      .send({ name: uniqueId('service'), docker_image: 'nginx:latest' })
+      .expect(403);
+
+    const fetched = await request(app)
+      .get(`/api/v1/api-keys/${apiKey.id}`)
+      .set('Authorization', `Bearer ${operatorToken}`)
+      .expect(200);
+    expect(fetched.body.api_key.last_used_at).not.toBeNull();
+  });
+
+  test('API key use should be recorded at most once a minute', async () => {
+    const { key } = (await createKey({}).expect(201)).body;
+    const update = jest.spyOn(ApiKeyRepository, 'update');
+
+    await callWithKey(key, 'get', '/api/v1/services').expect(200);
+    await callWithKey(key, 'get', '/api/v1/services').expect(200);
+    await callWithKey(key, 'get', '/api/v1/services').expect(200);
+    expect(update).toHaveBeenCalledTimes(1);
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 61 * 1000);
+    await callWithKey(key, 'get', '/api/v1/services').expect(200);
+    expect(update).toHaveBeenCalledTimes(2);
+  });
+
+  test('API keys should never exceed the permissions of their owner', async () => {
+    const response = await createKey({ scopes: ['tokens:manage'] }).expect(400);
+    expect(response.body.error.message).toBe('Invalid API key: tokens:manage is not one of your permissions');
+
+    const viewerToken = await createTestToken({ role: 'viewer' });
+    await createKey({ scopes: ['services:write'] }, viewerToken).expect(400);
+  });
+
+  test('revoked, expired and tampered keys should be rejected', async () => {
+    const revoked = (await createKey({}).expect(201)).body;
+    const expired = (await createKey({}).expect(201)).body;
+
+    await request(app)
+      .post(`/api/v1/api-keys/${revoked.api_key.id}/revoke`)
+      .set('Authorization', `Bearer ${operatorToken}`)
+      .expect(200);
+    await ApiKey.update(expired.api_key.id, { expires_at: new Date(Date.now() - 1000).toISOString() });
+
+    const revokedResponse = await callWithKey(revoked.key, 'get', '/api/v1/services').expect(401);
+    expect(revokedResponse.body.error.message).toBe('API key is revoked');
+    const expiredResponse = await callWithKey(expired.key, 'get', '/api/v1/services').expect(401);
+    expect(expiredResponse.body.error.message).toBe('API key is expired');
+
+    const tampered = `${revoked.api_key.prefix}_${'0'.repeat(64)}`;
+    const tamperedResponse = await callWithKey(tampered, 'get', '/api/v1/services').expect(401);
+    expect(tamperedResponse.body.error.message).toBe('Invalid API key');
+  });
+
+  test('API keys should not manage API keys or the account', async () => {
+    const { key } = (await createKey({}).expect(201)).body;
+
+    await callWithKey(key, 'get', '/api/v1/api-keys').expect(403);
+    await callWithKey(key, 'post', '/api/v1/auth/reset-password')
+      .send({ currentPassword: 'x', newPassword: 'y' })
+      .expect(403);
+  });
+
+  test('users should only see and manage their own keys unless they manage users', async () => {
+    const { api_key: apiKey } = (await createKey({}).expect(201)).body;
+    const otherOperator = await createTestToken({ role: 'operator' });
+    const adminToken = await createTestToken({ role: 'admin' });
+
+    const otherList = await request(app)
+      .get('/api/v1/api-keys')
+      .set('Authorization', `Bearer ${otherOperator}`)
+      .expect(200);
+    expect(otherList.body.api_keys.map(key => key.id)).not.toContain(apiKey.id);
+    await request(app)
+      .delete(`/api/v1/api-keys/${apiKey.id}`)
+      .set('Authorization', `Bearer ${otherOperator}`)
+      .expect(404);
+
+    const adminList = await request(app)
+      .get('/api/v1/api-keys')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(adminList.body.api_keys.map(key => key.id)).toContain(apiKey.id);
+    await request(app)
+      .delete(`/api/v1/api-keys/${apiKey.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+  });
+});
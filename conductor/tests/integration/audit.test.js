@@ -0,0 +1,162 @@
+const request = require('supertest');
+const app = require('../../index');
+const JWTService = require('../../api/services/JWTService');
+const { AuditEvent } = require('../../api/models');
+const { hashPassword } = require('../../api/utils/password');
+const { setupTestDatabase, cleanupTestData, createTestUser } = require('../helpers/dbHelper');
+const { uniqueId, createTestToken } = require('../helpers/testHelpers');
+
+describe('Audit Log Integration Tests', () => {
+  let adminToken;
+  let adminId;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    adminToken = await createTestToken({ role: 'admin' });
+    adminId = JWTService.verifyToken(adminToken).id;
+  });
+
+  afterAll(async () => {
+    await cleanupTestData();
+  });
+
+  function asAdmin(method, url) {
+    return request(app)[method](url).set('Authorization', `Bearer ${adminToken}`);
+  }
+
+  async function getEvents(query) {
+    const response = await asAdmin('get', '/api/v1/audit').query(query).expect(200);
+    return response.body.events;
+  }
+
+  test('changes should be recorded with actor, request id, source IP and a diff', async () => {
+    const created = await asAdmin('post', '/api/v1/services')
+      .send({ name: uniqueId('audited'), docker_image: 'nginx:1.25' })
+      .expect(201);
+    const serviceId = created.body.service.id;
+
+    await asAdmin('put', `/api/v1/services/${serviceId}`)
+      .set('X-Request-ID', 'audit-request-1')
+      .send({ docker_image: 'nginx:1.27' })
+      .expect(200);
+
+    const events = await getEvents({ target_type: 'service', target_id: serviceId });
+    expect(events.map(event => event.action)).toEqual(['service.update', 'service.create']);
+
+    const [update, create] = events;
+    expect(update).toMatchObject({
+      actor: { type: 'user', id: adminId },
+      target: { type: 'service', id: serviceId },
+      request_id: 'audit-request-1'
+    });
+    expect(update.ip_address).toBeTruthy();
+    expect(update.changes.docker_image).toEqual({ before: 'nginx:1.25', after: 'nginx:1.27' });
+    expect(update.changes).not.toHaveProperty('name');
+    expect(create.changes.name.before).toBeNull();
+
+    await asAdmin('delete', `/api/v1/services/${serviceId}`).expect(200);
+    const [deleted] = await getEvents({ action: 'service.delete', target_id: serviceId });
+    expect(deleted.changes.docker_image).toEqual({ before: 'nginx:1.27', after: null });
+  });
+
+  test('failed requests should not be recorded', async () => {
+    await asAdmin('put', '/api/v1/services/nonexistent-id').send({ docker_image: 'nginx' }).expect(404);
+
+    const events = await getEvents({ target_id: 'nonexistent-id' });
+    expect(events).toHaveLength(0);
+  });
+
+  test('secrets should be redacted from diffs', async () => {
+    const created = await asAdmin('post', '/api/v1/tokens').send({ name: uniqueId('audited') }).expect(201);
+    await asAdmin('post', '/api/v1/token/regenerate').expect(200);
+
+    const [event] = await getEvents({ action: 'token.create', target_id: created.body.token.id });
+    expect(event.changes.token).toEqual({ before: null, after: '[redacted]' });
+    expect(JSON.stringify(event)).not.toContain(created.body.token.token);
+
+    const [regenerated] = await getEvents({ action: 'token.regenerate' });
+    expect(regenerated.actor.id).toBe(adminId);
+  });
+
+  test('logins, API keys and workers should be recorded as their actor', async () => {
+    const username = uniqueId('audited');
+    const user = await createTestUser({
+      username,
+      email: `${username}@example.com`,
+      password_hash: await hashPassword('secret123'),
+      role: 'operator'
+    });
+    await request(app).post('/api/v1/auth/login').send({ username, password: 'secret123' }).expect(200);
+
+    const [login] = await getEvents({ action: 'auth.login', actor_id: user.id });
+    expect(login.actor).toEqual({ type: 'user', id: user.id, name: username });
+
+    const apiKey = await asAdmin('post', '/api/v1/api-keys')
+      .send({ name: 'auditor', scopes: ['reconciliation:write'] })
+      .expect(201);
+    await request(app)
+      .post('/api/v1/reconciliation/run')
+      .set('Authorization', `Bearer ${apiKey.body.key}`)
+      .expect(200);
+
+    const [run] = await getEvents({ action: 'reconciliation.run', actor_type: 'api_key' });
+    expect(run.actor.id).toBe(apiKey.body.api_key.id);
+
+    const token = await asAdmin('post', '/api/v1/tokens').send({ name: uniqueId('audited') }).expect(201);
+    const registered = await request(app)
+      .post('/api/v1/workers/register')
+      .send({ token: token.body.token.token, hostname: uniqueId('audited'), ip_address: '10.0.18.1', resources: {} })
+      .expect(201);
+    const workerId = registered.body.worker.id;
+
+    const [registration] = await getEvents({ action: 'worker.register', target_id: workerId });
+    expect(registration.actor).toMatchObject({ type: 'worker', id: workerId });
+    expect(JSON.stringify(registration)).not.toContain(registered.body.credential);
+
+    await asAdmin('put', `/api/v1/workers/${workerId}/labels`).send({ labels: { zone: 'attic' } }).expect(200);
+    const [labels] = await getEvents({ action: 'worker.set_labels', target_id: workerId });
+    expect(labels.changes.labels).toEqual({ before: {}, after: { zone: 'attic' } });
+  });
+
+  test('the hash chain should detect modified entries', async () => {
+    await asAdmin('post', '/api/v1/reconciliation/run').expect(200);
+
+    const valid = await asAdmin('get', '/api/v1/audit/verify').expect(200);
+    expect(valid.body.verification).toMatchObject({ valid: true, broken_at: null });
+    expect(valid.body.verification.checked).toBeGreaterThan(0);
+
+    const [event] = await getEvents({ action: 'reconciliation.run', limit: 1 });
+    const original = (await AuditEvent.findAll({ where: { id: event.id } }))[0];
+    await AuditEvent.update(event.id, { actor_name: 'someone-else' });
+
+    try {
+      const broken = await asAdmin('get', '/api/v1/audit/verify').expect(200);
+      expect(broken.body.verification).toMatchObject({
+        valid: false,
+        broken_at: event.sequence,
+        message: `Entry ${event.sequence} was modified`
+      });
+    } finally {
+      await AuditEvent.update(event.id, { actor_name: original.actor_name });
+    }
+
+    const restored = await asAdmin('get', '/api/v1/audit/verify').expect(200);
+    expect(restored.body.verification.valid).toBe(true);
+  });
+
+  test('the audit log should require audit:read and validate filters', async () => {
+    const operatorToken = await createTestToken({ role: 'operator' });
+    await request(app)
+      .get('/api/v1/audit')
+      .set('Authorization', `Bearer ${operatorToken}`)
+      .expect(403);
+
+    const limit = await asAdmin('get', '/api/v1/audit').query({ limit: 1000 }).expect(400);
+    expect(limit.body.error.message).toBe('Invalid filter: limit must be between 1 and 500');
+    await asAdmin('get', '/api/v1/audit').query({ since: 'yesterday' }).expect(400);
+
+    const events = await getEvents({ since: new Date(Date.now() - 60 * 60 * 1000).toISOString(), limit: 2 });
+    expect(events).toHaveLength(2);
+    expect(events[0].sequence).toBeGreaterThan(events[1].sequence);
+  });
+});
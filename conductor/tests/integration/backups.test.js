@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const Database = require('better-sqlite3');
+const app = require('../../index');
+const BackupService = require('../../api/services/BackupService');
+const { restoreBackup } = require('../../scripts/restoreBackup');
+const { SCHEMA_VERSION } = require('../../api/utils/schemaVersion');
+const { setupTestDatabase, cleanupTestData } = require('../helpers/dbHelper');
+const { uniqueId, createTestToken } = require('../helpers/testHelpers');
+
+describe('Backup Integration Tests', () => {
+  let adminToken;
+  const backupDir = path.resolve(process.env.BACKUP_DIR);
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    adminToken = await createTestToken({ role: 'admin' });
+  });
+
+  afterAll(async () => {
+    await cleanupTestData();
+  });
+
+  afterEach(() => {
+    delete process.env.BACKUP_ENCRYPTION_KEY;
+    delete process.env.BACKUP_RETENTION_COUNT;
+    fs.rmSync(backupDir, { recursive: true, force: true });
+  });
+
+  function asAdmin(method, url) {
+    return request(app)[method](url).set('Authorization', `Bearer ${adminToken}`);
+  }
+
+  async function createService() {
+    const name = uniqueId('backed-up');
+    await asAdmin('post', '/api/v1/services').send({ name, docker_image: 'nginx:1.25' }).expect(201);
+    return name;
+  }
+
+  function findService(dbPath, name) {
+    const database = new Database(dbPath, { readonly: true });
+    try {
+      return database.prepare('SELECT name FROM services WHERE name = ?').get(name);
+    } finally {
+      database.close();
+    }
+  }
+
+  test('admins should create, list and download backups', async () => {
+    const serviceName = await createService();
+
+    const created = await asAdmin('post', '/api/v1/backups').expect(201);
+    const { backup } = created.body;
+    expect(backup).toMatchObject({ encrypted: false });
+    expect(backup.name).toMatch(/^conductor-.*\.db$/);
+    expect(backup.size).toBeGreaterThan(0);
+
+    const listed = await asAdmin('get', '/api/v1/backups').expect(200);
+    expect(listed.body.backups).toEqual([backup]);
+
+    const downloaded = await asAdmin('get', `/api/v1/backups/${backup.name}/download`)
+      .responseType('blob')
+      .expect(200);
+    expect(downloaded.body.subarray(0, 15).toString()).toBe('SQLite format 3');
+    const downloadPath = path.join(backupDir, 'downloaded.db');
+    fs.writeFileSync(downloadPath, downloaded.body);
+    expect(findService(downloadPath, serviceName)).toBeTruthy();
+
+    const events = await asAdmin('get', '/api/v1/audit').query({ target_type: 'backup', target_id: backup.name }).expect(200);
+    expect(events.body.events.map(event => event.action)).toEqual(['backup.download', 'backup.create']);
+
+    await asAdmin('get', '/api/v1/backups/..%2Fconductor.db/download').expect(404);
+  });
+
+  test('backups should require backups:manage', async () => {
+    const operatorToken = await createTestToken({ role: 'operator' });
+    await request(app)
+      .post('/api/v1/backups')
+      .set('Authorization', `Bearer ${operatorToken}`)
+      .expect(403);
+    await request(app).get('/api/v1/backups').expect(401);
+  });
+
+  test('encrypted backups should restore only with the key and a supported schema version', async () => {
+    const serviceName = await createService();
+    process.env.BACKUP_ENCRYPTION_KEY = 'correct horse battery staple';
+
+    const { backup } = (await asAdmin('post', '/api/v1/backups').expect(201)).body;
+    expect(backup.encrypted).toBe(true);
+    const backupPath = path.join(backupDir, backup.name);
+    expect(fs.readFileSync(backupPath).includes(Buffer.from(serviceName))).toBe(false);
+
+    const targetPath = path.join(backupDir, 'restore', 'conductor.db');
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    fs.writeFileSync(targetPath, 'current database');
+
+    process.env.BACKUP_ENCRYPTION_KEY = 'wrong key';
+    await expect(restoreBackup(backupPath, targetPath))
+      .rejects.toThrow('Invalid backup: wrong encryption key or modified file');
+    expect(fs.readFileSync(targetPath, 'utf8')).toBe('current database');
+
+    process.env.BACKUP_ENCRYPTION_KEY = 'correct horse battery staple';
+    const restored = await restoreBackup(backup.name, targetPath);
+    expect(restored.schema_version).toBe(SCHEMA_VERSION);
+    expect(findService(targetPath, serviceName)).toBeTruthy();
+    expect(fs.readFileSync(restored.previous_path, 'utf8')).toBe('current database');
+
+    // A backup from a newer conductor is refused
+    const newer = new Database(targetPath);
+    newer.pragma(`user_version = ${SCHEMA_VERSION + 1}`);
+    newer.close();
+    await expect(restoreBackup(targetPath, path.join(backupDir, 'restore', 'other.db')))
+      .rejects.toThrow(`Invalid backup: schema version ${SCHEMA_VERSION + 1} is newer than this conductor supports`);
+    expect(fs.existsSync(path.join(backupDir, 'restore', 'other.db'))).toBe(false);
+  });
+
+  test('old backups should be pruned by count and age', async () => {
+    process.env.BACKUP_RETENTION_COUNT = '2';
+    fs.mkdirSync(backupDir, { recursive: true });
+    fs.writeFileSync(path.join(backupDir, 'conductor-2020-01-01T00-00-00-000Z.db'), 'old');
+    fs.writeFileSync(path.join(backupDir, 'notes.txt'), 'not a backup');
+
+    const first = await BackupService.createBackup();
+    expect(BackupService.listBackups().map(backup => backup.name)).toEqual([first.name]);
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await BackupService.createBackup();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const third = await BackupService.createBackup();
+
+    expect(BackupService.listBackups().map(backup => backup.name)).toEqual([third.name, second.name]);
+    expect(fs.existsSync(path.join(backupDir, 'notes.txt'))).toBe(true);
+  });
+});
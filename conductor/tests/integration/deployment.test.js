@@ -0,0 +1,374 @@
+const request = require('supertest');
+const app = require('../../index');
+const { setupTestDatabase, cleanupTestData, createTestWorker, createTestService } = require('../helpers/dbHelper');
+const { uniqueId, createTestToken } = require('../helpers/testHelpers');
+const WorkerSocketService = require('../../api/services/WorkerSocketService');
+const WorkerCredentialService = require('../../api/services/WorkerCredentialService');
+
+describe('Service and Deployment API Integration Tests', () => {
+  let authToken;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    authToken = await createTestToken({ role: 'admin' });
+  });
+
+  afterAll(async () => {
+    await cleanupTestData();
+  });
+
+  describe('Services', () => {
+    test('POST /api/v1/services should create a service', async () => {
+      const name = uniqueId('svc');
+      const response = await request(app)
+        .post('/api/v1/services')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          name,
+          docker_image: 'nginx:alpine',
+          config: { ports: { '80': 8080 } }
+        })
+        .expect(201);
+
+      expect(response.body.service).toHaveProperty('id');
+      expect(response.body.service.name).toBe(name);
+      expect(response.body.service.docker_image).toBe('nginx:alpine');
+      expect(response.body.service.config).toEqual({ ports: { '80': 8080 } });
+      expect(response.body.service.enabled).toBe(true);
+    });
+
+    test('POST /api/v1/services should reject duplicate names', async () => {
+      const name = uniqueId('svc');
+      await request(app)
+        .post('/api/v1/services')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name, docker_image: 'nginx:alpine' })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/v1/services')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name, docker_image: 'nginx:alpine' })
+        .expect(409);
+
+      expect(response.body.error.message).toBe('Service already exists');
+    });
+
+    test('POST /api/v1/services should validate name and image', async () => {
+      await request(app)
+        .post('/api/v1/services')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Bad Name!', docker_image: 'nginx:alpine' })
+        .expect(400);
+
+      const response = await request(app)
+        .post('/api/v1/services')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: uniqueId('svc') })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Docker image is required');
+    });
+
+    test('PUT /api/v1/services/:id should update image, config and enabled', async () => {
+      const service = await createTestService({ name: uniqueId('svc') });
+
+      const response = await request(app)
+        .put(`/api/v1/services/${service.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ docker_image: 'test/image:v2', config: { env: ['A=1'] }, enabled: false })
+        .expect(200);
+
+      expect(response.body.service.docker_image).toBe('test/image:v2');
+      expect(response.body.service.config).toEqual({ env: ['A=1'] });
+      expect(response.body.service.enabled).toBe(false);
+    });
+
+    test('GET /api/v1/services should require authentication', async () => {
+      await request(app)
+        .get('/api/v1/services')
+        .expect(401);
+    });
+
+    test('GET /api/v1/services/:id should return 404 for unknown service', async () => {
+      await request(app)
+        .get('/api/v1/services/nonexistent-id')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Deployments', () => {
+    let service;
+    let worker;
+    let workerCredential;
+
+    beforeEach(async () => {
+      service = await createTestService({ name: uniqueId('svc') });
+      worker = await createTestWorker({ hostname: uniqueId('worker') });
+      workerCredential = await WorkerCredentialService.issueCredential(worker.id);
+    });
+
+    async function createDeployment() {
+      const response = await request(app)
+        .post('/api/v1/deployments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ service_id: service.id, worker_id: worker.id })
+        .expect(201);
+      return response.body.deployment;
+    }
+
+    async function setStatus(deploymentId, status, expected = 200) {
+      return await request(app)
+        .put(`/api/v1/deployments/${deploymentId}/status`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status })
+        .expect(expected);
+    }
+
+    test('POST /api/v1/deployments should create a pending deployment', async () => {
+      const deployment = await createDeployment();
+
+      expect(deployment.service_id).toBe(service.id);
+      expect(deployment.worker_id).toBe(worker.id);
+      expect(deployment.status).toBe('pending');
+    });
+
+    test('POST /api/v1/deployments should reject a second deployment on the same worker', async () => {
+      await createDeployment();
+
+      const response = await request(app)
+        .post('/api/v1/deployments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ service_id: service.id, worker_id: worker.id })
+        .expect(409);
+
+      expect(response.body.error.message).toBe('Service is already deployed on this worker');
+    });
+
+    test('POST /api/v1/deployments should return 404 for unknown worker', async () => {
+      await request(app)
+        .post('/api/v1/deployments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ service_id: service.id, worker_id: 'nonexistent-id' })
+        .expect(404);
+    });
+
+    test('should follow pending -> deploying -> running -> stopped', async () => {
+      const deployment = await createDeployment();
+
+      await setStatus(deployment.id, 'deploying');
+      const running = await setStatus(deployment.id, 'running');
+      expect(running.body.deployment.deployed_at).toBeTruthy();
+
+      const stopped = await request(app)
+        .post(`/api/v1/deployments/${deployment.id}/stop`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(stopped.body.deployment.status).toBe('stopped');
+      expect(stopped.body.deployment.stopped_at).toBeTruthy();
+    });
+
+    test('should reject invalid status transitions', async () => {
+      const deployment = await createDeployment();
+
+      const response = await setStatus(deployment.id, 'running', 409);
+      expect(response.body.error.message).toBe('Cannot change deployment status from pending to running');
+
+      await setStatus(deployment.id, 'exploded', 400);
+    });
+
+    test('POST /api/v1/deployments/:id/restart should queue a failed deployment again', async () => {
+      const deployment = await createDeployment();
+      await request(app)
+        .put(`/api/v1/deployments/${deployment.id}/status`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'failed', error: 'image pull failed' })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/v1/deployments/${deployment.id}/restart`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.deployment.status).toBe('pending');
+      expect(response.body.deployment.error).toBeNull();
+    });
+
+    test('PUT /api/v1/deployments/:id should redeploy running deployments with new config', async () => {
+      const deployment = await createDeployment();
+      await setStatus(deployment.id, 'deploying');
+      await setStatus(deployment.id, 'running');
+
+      const response = await request(app)
+        .put(`/api/v1/deployments/${deployment.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ config: { env: ['DEBUG=1'] } })
+        .expect(200);
+
+      expect(response.body.deployment.status).toBe('pending');
+      expect(response.body.deployment.config).toEqual({ env: ['DEBUG=1'] });
+    });
+
+    test('GET /api/v1/deployments should filter by worker', async () => {
+      const deployment = await createDeployment();
+
+      const response = await request(app)
+        .get(`/api/v1/deployments?worker_id=${worker.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.deployments.map(d => d.id)).toEqual([deployment.id]);
+    });
+
+    describe('status reports', () => {
+      test('POST /api/v1/workers/:id/services/status should record container status on the deployment', async () => {
+        const deployment = await createDeployment();
+
+        const response = await request(app)
+          .post(`/api/v1/workers/${worker.id}/services/status`)
+          .set('Authorization', `Bearer ${workerCredential}`)
+          .send({
+            services: [
+              {
+                service: service.name,
+                container_id: 'abc123',
+                state: 'exited',
+                exit_code: 137,
+                restart_count: 4,
+                last_error: 'OOMKilled',
+                image_digest: 'nginx@sha256:deadbeef'
+              },
+              { service: 'not-a-deployed-service', state: 'running' }
+            ]
+          })
+          .expect(200);
+
+        expect(response.body.ignored).toEqual(['not-a-deployed-service']);
+        expect(response.body.deployments).toHaveLength(1);
+
+        const fetched = await request(app)
+          .get(`/api/v1/deployments/${deployment.id}`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .expect(200);
+
+        expect(fetched.body.deployment.service_name).toBe(service.name);
+        expect(fetched.body.deployment.container).toMatchObject({
+          id: 'abc123',
+          state: 'exited',
+          exit_code: 137,
+          restart_count: 4,
+          last_error: 'OOMKilled',
+          image_digest: 'nginx@sha256:deadbeef'
+        });
+        expect(fetched.body.deployment.container.reported_at).toBeTruthy();
+      });
+
+      test('POST /api/v1/workers/:id/services/status should validate the report', async () => {
+        await request(app)
+          .post(`/api/v1/workers/${worker.id}/services/status`)
+          .set('Authorization', `Bearer ${workerCredential}`)
+          .send({})
+          .expect(400);
+
+        await request(app)
+          .post(`/api/v1/workers/${worker.id}/services/status`)
+          .set('Authorization', `Bearer ${workerCredential}`)
+          .send({ services: [{ state: 'running' }] })
+          .expect(400);
+
+        await request(app)
+          .post('/api/v1/workers/nonexistent-id/services/status')
+          .set('Authorization', `Bearer ${workerCredential}`)
+          .send({ services: [] })
+          .expect(401);
+      });
+    });
+
+    describe('worker instructions', () => {
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      async function waitForStatus(deploymentId, status) {
+        for (let i = 0; i < 50; i++) {
+          const response = await request(app)
+            .get(`/api/v1/deployments/${deploymentId}`)
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+          if (response.body.deployment.status === status) {
+            return response.body.deployment;
+          }
+          await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        throw new Error(`Deployment never reached status ${status}`);
+      }
+
+      test('should send a deploy instruction and mark the deployment running on success', async () => {
+        const sendInstruction = jest.spyOn(WorkerSocketService, 'sendInstruction')
+          .mockImplementation(async (workerId, instruction, options) => {
+            options.onAck(instruction);
+            return { status: 'success', result: {}, error: null };
+          });
+
+        const deployment = await createDeployment();
+        const running = await waitForStatus(deployment.id, 'running');
+
+        expect(running.deployed_at).toBeTruthy();
+        expect(sendInstruction).toHaveBeenCalledWith(
+          worker.id,
+          expect.objectContaining({
+            action: 'deploy',
+            service: service.name,
+            deployment_id: deployment.id,
+            config: expect.objectContaining({ docker_image: service.docker_image })
+          }),
+          expect.any(Object)
+        );
+      });
+
+      test('should mark the deployment failed with the error reported by the worker', async () => {
+        jest.spyOn(WorkerSocketService, 'sendInstruction')
+          .mockResolvedValue({ status: 'failed', result: null, error: 'image not found' });
+
+        const deployment = await createDeployment();
+        const failed = await waitForStatus(deployment.id, 'failed');
+
+        expect(failed.error).toBe('image not found');
+      });
+
+      test('should send a stop instruction when stopping a deployment', async () => {
+        const sendInstruction = jest.spyOn(WorkerSocketService, 'sendInstruction')
+          .mockReturnValue(new Promise(() => {}));
+
+        const deployment = await createDeployment();
+        await request(app)
+          .post(`/api/v1/deployments/${deployment.id}/stop`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .expect(200);
+
+        await new Promise(resolve => setImmediate(resolve));
+        expect(sendInstruction.mock.calls.map(call => call[1].action)).toEqual(['deploy', 'stop']);
+      });
+    });
+
+    test('DELETE should remove deployment, then allow deleting the service', async () => {
+      const deployment = await createDeployment();
+
+      await request(app)
+        .delete(`/api/v1/services/${service.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+
+      await request(app)
+        .delete(`/api/v1/deployments/${deployment.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/v1/services/${service.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+const request = require('supertest');
+const app = require('../../index');
+const { setupTestDatabase, cleanupTestData, createTestWorker, createTestService } = require('../helpers/dbHelper');
+const { uniqueId, createTestToken } = require('../helpers/testHelpers');
+const DeploymentRepository = require('../../api/repos/DeploymentRepository');
+const WorkerSocketService = require('../../api/services/WorkerSocketService');
+
+describe('Worker Cordon and Drain Integration Tests', () => {
+  let authToken;
+  let sendInstruction;
+  let broadcast;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    authToken = await createTestToken({ role: 'admin' });
+  });
+
+  afterAll(async () => {
+    await cleanupTestData();
+  });
+
+  beforeEach(() => {
+    sendInstruction = jest.spyOn(WorkerSocketService, 'sendInstruction')
+      .mockImplementation(async () => ({ status: 'success', result: {}, error: null }));
+    broadcast = jest.spyOn(WorkerSocketService, 'broadcastToFrontend').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function post(path) {
+    return request(app)
+      .post(`/api/v1/workers${path}`)
+      .set('Authorization', `Bearer ${authToken}`);
+  }
+
+  async function deploy(worker, config = {}) {
+    const service = await createTestService({
+      name: uniqueId('svc'),
+      config: JSON.stringify({ update_strategy: { min_ready_seconds: 0 }, ...config })
+    });
+    const deployment = await DeploymentRepository.create({
+      service_id: service.id,
+      worker_id: worker.id,
+      status: 'running'
+    });
+    return { service, deployment };
+  }
+
+  async function waitForDrain(workerId) {
+    for (let i = 0; i < 100; i++) {
+      const response = await request(app)
+        .get(`/api/v1/workers/${workerId}/drain`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      if (response.body.drain && response.body.drain.status !== 'in_progress') {
+        return response.body.drain;
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Drain never finished');
+  }
+
+  test('cordoned workers should take no new deployments until uncordoned', async () => {
+    const worker = await createTestWorker({ hostname: uniqueId('cordon') });
+    const service = await createTestService({ name: uniqueId('svc') });
+
+    const cordoned = await post(`/${worker.id}/cordon`).expect(200);
+    expect(cordoned.body.worker.cordoned).toBe(true);
+    expect(broadcast).toHaveBeenCalledWith('worker:cordoned', { workerId: worker.id, cordoned: true });
+
+    const placement = await request(app)
+      .get(`/api/v1/services/${service.id}/placement`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+    expect(placement.body.placement.rejected.find(r => r.worker_id === worker.id).reasons).toContain(
+      `worker ${worker.hostname} rejected: cordoned`
+    );
+
+    const rejected = await request(app)
+      .post('/api/v1/deployments')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ service_id: service.id, worker_id: worker.id })
+      .expect(409);
+    expect(rejected.body.error.message).toBe('Worker is cordoned');
+
+    const uncordoned = await post(`/${worker.id}/uncordon`).expect(200);
+    expect(uncordoned.body.worker.cordoned).toBe(false);
+
+    await request(app)
+      .post('/api/v1/deployments')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ service_id: service.id, worker_id: worker.id })
+      .expect(201);
+  });
+
+  test('drain should move stateless deployments once healthy elsewhere and stop stateful ones', async () => {
+    const drained = await createTestWorker({ hostname: uniqueId('drained') });
+    await createTestWorker({ hostname: uniqueId('target') });
+    const stateless = await deploy(drained);
+    const stateful = await deploy(drained, { volumes: ['/data:/data'] });
+
+    const started = await post(`/${drained.id}/drain`).expect(202);
+    expect(started.body.drain).toMatchObject({ worker_id: drained.id, status: 'in_progress', total: 2 });
+
+    const drain = await waitForDrain(drained.id);
+    expect(drain).toMatchObject({ status: 'completed', moved: 1, stopped: 1, failed: 0 });
+
+    const moveStep = drain.steps.find(step => step.deployment_id === stateless.deployment.id);
+    expect(moveStep).toMatchObject({ action: 'move', status: 'done' });
+    expect(await DeploymentRepository.findById(stateless.deployment.id)).toBeNull();
+
+    const copy = await DeploymentRepository.findById(moveStep.new_deployment_id);
+    expect(copy.status).toBe('running');
+    expect(copy.worker_id).not.toBe(drained.id);
+    expect(copy.rescheduled_from).toBe(drained.id);
+
+    expect((await DeploymentRepository.findById(stateful.deployment.id)).status).toBe('stopped');
+    expect(sendInstruction).toHaveBeenCalledWith(
+      drained.id,
+      expect.objectContaining({ action: 'remove', service: stateless.service.name }),
+      expect.any(Object)
+    );
+    expect(broadcast).toHaveBeenCalledWith('worker:drain', expect.objectContaining({ status: 'completed' }));
+
+    const worker = await request(app)
+      .get(`/api/v1/workers/${drained.id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+    expect(worker.body.worker.cordoned).toBe(true);
+    expect(worker.body.worker.drain.status).toBe('completed');
+  });
+
+  test('drain should keep a deployment in place when its copy fails', async () => {
+    const drained = await createTestWorker({ hostname: uniqueId('drained') });
+    await createTestWorker({ hostname: uniqueId('target') });
+    const { deployment } = await deploy(drained);
+
+    sendInstruction.mockImplementation(async (workerId, instruction) => {
+      if (instruction.action === 'deploy') {
+        return { status: 'failed', result: null, error: 'image crashed on start' };
+      }
+      return { status: 'success', result: {}, error: null };
+    });
+
+    await post(`/${drained.id}/drain`).expect(202);
+    const drain = await waitForDrain(drained.id);
+
+    expect(drain.status).toBe('failed');
+    expect(drain.steps[0].status).toBe('failed');
+    expect(drain.steps[0].error).toContain('image crashed on start');
+    expect((await DeploymentRepository.findById(deployment.id)).status).toBe('running');
+    expect(await DeploymentRepository.findById(drain.steps[0].new_deployment_id)).toBeNull();
+  });
+
+  test('should reject a second drain and uncordon while draining', async () => {
+    const drained = await createTestWorker({ hostname: uniqueId('drained') });
+    await createTestWorker({ hostname: uniqueId('target') });
+    await deploy(drained);
+
+    let finish;
+    sendInstruction.mockImplementation(() => new Promise(resolve => {
+      finish = () => resolve({ status: 'success', result: {}, error: null });
+    }));
+
+    await post(`/${drained.id}/drain`).expect(202);
+
+    const again = await post(`/${drained.id}/drain`).expect(409);
+    expect(again.body.error.message).toBe('Worker drain is already in progress');
+    await post(`/${drained.id}/uncordon`).expect(409);
+
+    for (let i = 0; i < 100 && !finish; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    finish();
+    sendInstruction.mockImplementation(async () => ({ status: 'success', result: {}, error: null }));
+    expect((await waitForDrain(drained.id)).status).toBe('completed');
+  });
+
+  test('drain endpoints should require the workers:write permission and a known worker', async () => {
+    const worker = await createTestWorker({ hostname: uniqueId('guarded') });
+
+    await request(app)
+      .post(`/api/v1/workers/${worker.id}/drain`)
+      .set('Authorization', `Bearer ${await createTestToken({ role: 'viewer' })}`)
+      .expect(403);
+
+    await post('/nonexistent-id/cordon').expect(404);
+    await post('/nonexistent-id/drain').expect(404);
+    await request(app)
+      .get('/api/v1/workers/nonexistent-id/drain')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(404);
+  });
+});
@@ -0,0 +1,206 @@
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../../index');
+const EventService = require('../../api/services/EventService');
+const WorkerService = require('../../api/services/WorkerService');
+const TokenService = require('../../api/services/TokenService');
+const JWTService = require('../../api/services/JWTService');
+const { Event } = require('../../api/models');
+const { setupTestDatabase, cleanupTestData } = require('../helpers/dbHelper');
+const { uniqueId, createTestToken } = require('../helpers/testHelpers');
+
+describe('Cluster Events Integration Tests', () => {
+  let viewerToken;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    viewerToken = await createTestToken({ role: 'viewer' });
+  });
+
+  afterAll(async () => {
+    for (const event of await Event.findAll()) {
+      await Event.delete(event.id);
+    }
+    await cleanupTestData();
+  });
+
+  function as(token, method, url) {
+    return request(app)[method](url).set('Authorization', `Bearer ${token}`);
+  }
+
+  async function recordEvents(type, count, fields = {}) {
+    const events = [];
+    for (let i = 0; i < count; i++) {
+      events.push(await EventService.record({ type, source: 'test', message: `${type} ${i}`, ...fields }));
+    }
+    return events;
+  }
+
+  test('records worker registrations and filters by type and subject', async () => {
+    const token = await TokenService.generateRegistrationToken();
+    const hostname = uniqueId('events-worker');
+    const worker = await WorkerService.registerWorker(token, hostname, '192.168.50.10', { cpu_cores: 2 });
+
+    const response = await as(viewerToken, 'get', `/api/v1/events?type=worker.registered&subject_id=${worker.id}`)
+      .expect(200);
+
+    expect(response.body.events).toHaveLength(1);
+    expect(response.body.events[0]).toMatchObject({
+      type: 'worker.registered',
+      severity: 'info',
+      source: 'worker_service',
+      subject_type: 'worker',
+      subject_id: worker.id,
+      payload: { hostname, ip_address: '192.168.50.10' }
+    });
+    expect(response.body.next_cursor).toBeNull();
+  });
+
+  test('pages through events with a cursor', async () => {
+    const type = uniqueId('test.page');
+    const recorded = await recordEvents(type, 5, { severity: 'warning' });
+
+    const seen = [];
+    let cursor = null;
+    do {
+      const response = await as(viewerToken, 'get', `/api/v1/events?type=${type}&limit=2${cursor ? `&cursor=${cursor}` : ''}`)
+        .expect(200);
+      seen.push(...response.body.events.map(event => event.sequence));
+      cursor = response.body.next_cursor;
+    } while (cursor);
+
+    expect(seen).toEqual(recorded.map(event => event.sequence).reverse());
+
+    const errors = await as(viewerToken, 'get', `/api/v1/events?type=${type}&severity=error,info`).expect(200);
+    expect(errors.body.events).toHaveLength(0);
+  });
+
+  test('rejects invalid filters and unauthenticated requests', async () => {
+    await as(viewerToken, 'get', '/api/v1/events?severity=fatal').expect(400);
+    await as(viewerToken, 'get', '/api/v1/events?cursor=abc').expect(400);
+    await as(viewerToken, 'get', '/api/v1/events?limit=1000').expect(400);
+    await as(viewerToken, 'get', '/api/v1/events/stream?severity=fatal').expect(400);
+    await request(app).get('/api/v1/events').expect(401);
+  });
+
+  test('streams missed and new events over Server-Sent Events', async () => {
+    const type = uniqueId('test.stream');
+    const [first, ...missed] = await recordEvents(type, 3);
+    await recordEvents(uniqueId('test.other'), 1);
+
+    const server = await new Promise(resolve => {
+      const listener = http.createServer(app).listen(0, '127.0.0.1', () => resolve(listener));
+    });
+
+    try {
+      const received = [];
+      let body = '';
+      const req = http.get({
+        host: '127.0.0.1',
+        port: server.address().port,
+        path: `/api/v1/events/stream?type=${type}`,
+        headers: { Authorization: `Bearer ${viewerToken}`, 'Last-Event-ID': String(first.sequence) }
+      });
+
+      const response = await new Promise((resolve, reject) => {
+        req.on('response', resolve);
+        req.on('error', reject);
+      });
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+
+      const gotAll = new Promise(resolve => {
+        response.on('data', chunk => {
+          body += chunk;
+          const messages = body.split('\n\n');
+          body = messages.pop();
+          for (const message of messages) {
+            const data = message.split('\n').find(line => line.startsWith('data: '));
+            if (data) {
+              received.push({ id: message.match(/^id: (\d+)$/m)[1], event: JSON.parse(data.slice(6)) });
+            }
+          }
+          if (received.length === 3) {
+            resolve();
+          }
+        });
+      });
+
+      // Wait until the missed events arrived, so the new one comes after them
+      await new Promise(resolve => setTimeout(resolve, 200));
+      const [live] = await recordEvents(type, 1);
+      await gotAll;
+      req.destroy();
+
+      expect(received.map(message => message.event.sequence)).toEqual([...missed, live].map(event => event.sequence));
+      expect(received.map(message => message.id)).toEqual([...missed, live].map(event => String(event.sequence)));
+      expect(received[0].event.type).toBe(type);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  describe('stream credentials', () => {
+    let server;
+
+    beforeEach(async () => {
+      server = await new Promise(resolve => {
+        const listener = http.createServer(app).listen(0, '127.0.0.1', () => resolve(listener));
+      });
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    // Resolves with everything the stream sent once the conductor ends it
+    async function openStream(token) {
+      const req = http.get({
+        host: '127.0.0.1',
+        port: server.address().port,
+        path: '/api/v1/events/stream',
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const response = await new Promise((resolve, reject) => {
+        req.on('response', resolve);
+        req.on('error', reject);
+      });
+      expect(response.statusCode).toBe(200);
+
+      let body = '';
+      response.on('data', chunk => { body += chunk; });
+      const ended = new Promise(resolve => response.on('end', () => resolve(body)));
+      return { req, ended };
+    }
+
+    test('ends the stream when its session is revoked', async () => {
+      const token = await createTestToken({ role: 'viewer' });
+      const stream = await openStream(token);
+
+      await as(token, 'post', '/api/v1/auth/logout').expect(200);
+
+      expect(await stream.ended).toContain('event: auth:ended\ndata: {"reason":"Session has ended"}');
+    });
+
+    test('ends the stream when its access token expires', async () => {
+      const decoded = JWTService.verifyToken(await createTestToken({ role: 'viewer' }));
+      const token = jwt.sign({ id: decoded.id, sid: decoded.sid }, process.env.JWT_SECRET, { expiresIn: 1 });
+      const stream = await openStream(token);
+
+      expect(await stream.ended).toContain('data: {"reason":"Credentials expired"}');
+    });
+  });
+
+  test('pruning keeps the newest event so sequence numbers keep increasing', async () => {
+    const [latest] = await recordEvents(uniqueId('test.prune'), 1);
+
+    await EventService.prune(Date.now() + 365 * 24 * 60 * 60 * 1000);
+
+    const remaining = await Event.findAll();
+    expect(remaining.map(event => event.sequence)).toEqual([latest.sequence]);
+
+    const [next] = await recordEvents(uniqueId('test.prune'), 1);
+    expect(next.sequence).toBe(latest.sequence + 1);
+  });
+});
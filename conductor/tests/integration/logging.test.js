@@ -0,0 +1,130 @@
+const request = require('supertest');
+const app = require('../../index');
+const { setupTestDatabase, cleanupTestData, createTestWorker, createTestService } = require('../helpers/dbHelper');
+const { uniqueId, createTestToken } = require('../helpers/testHelpers');
+const WorkerSocketService = require('../../api/services/WorkerSocketService');
+const { logger } = require('../../api/utils/logger');
+const { runWithRequestId } = require('../../api/utils/requestContext');
+
+describe('Structured Logging Integration Tests', () => {
+  let authToken;
+  let lines;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    authToken = await createTestToken({ role: 'admin' });
+  });
+
+  afterAll(async () => {
+    await cleanupTestData();
+  });
+
+  beforeEach(() => {
+    lines = [];
+    const capture = (line) => lines.push(line);
+    jest.spyOn(console, 'log').mockImplementation(capture);
+    jest.spyOn(console, 'warn').mockImplementation(capture);
+    jest.spyOn(console, 'error').mockImplementation(capture);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.LOG_LEVEL;
+  });
+
+  function entries() {
+    return lines
+      .filter(line => typeof line === 'string' && line.startsWith('{'))
+      .map(line => JSON.parse(line));
+  }
+
+  test('should log each request as one JSON line with its request id', async () => {
+    const response = await request(app)
+      .get('/api/v1/workers')
+      .set('Authorization', `Bearer ${authToken}`)
+      .set('X-Request-ID', 'trace-logging-1')
+      .expect(200);
+
+    expect(response.headers['x-request-id']).toBe('trace-logging-1');
+    await new Promise(resolve => setImmediate(resolve));
+
+    const entry = entries().find(candidate => candidate.msg === 'Request completed' && candidate.request_id === 'trace-logging-1');
+    expect(entry).toMatchObject({ level: 'info', method: 'GET', path: '/api/v1/workers', status: 200 });
+    expect(typeof entry.duration_ms).toBe('number');
+    expect(new Date(entry.time).toISOString()).toBe(entry.time);
+  });
+
+  test('should replace request ids that are not safe to log', async () => {
+    const response = await request(app)
+      .get('/health')
+      .set('X-Request-ID', 'bad id {"level":"error"}')
+      .expect(200);
+
+    expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('should pass the request id of an API call on to the deployment instruction', async () => {
+    const service = await createTestService({ name: uniqueId('svc') });
+    const worker = await createTestWorker({ hostname: uniqueId('worker') });
+    jest.spyOn(WorkerSocketService, 'isWorkerConnected').mockReturnValue(true);
+    const sendToWorker = jest.spyOn(WorkerSocketService, 'sendToWorker').mockImplementation(() => {});
+
+    await request(app)
+      .post('/api/v1/deployments')
+      .set('Authorization', `Bearer ${authToken}`)
+      .set('X-Request-ID', 'trace-deploy-1')
+      .send({ service_id: service.id, worker_id: worker.id })
+      .expect(201);
+
+    for (let i = 0; i < 50 && sendToWorker.mock.calls.length === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    const [workerId, event, instruction] = sendToWorker.mock.calls[0];
+    expect(workerId).toBe(worker.id);
+    expect(event).toBe('worker:deploy');
+    expect(instruction).toMatchObject({ action: 'deploy', service: service.name, request_id: 'trace-deploy-1' });
+
+    const sent = entries().find(entry => entry.msg === 'Sending instruction' && entry.instruction_id === instruction.id);
+    expect(sent).toMatchObject({ request_id: 'trace-deploy-1', component: 'socket', worker_id: worker.id, action: 'deploy' });
+
+    // Settle the instruction so no timers are left behind
+    WorkerSocketService.handleInstructionResult(worker.id, { id: instruction.id, status: 'success' });
+    const result = entries().find(entry => entry.msg === 'Instruction succeeded' && entry.instruction_id === instruction.id);
+    expect(result.request_id).toBe('trace-deploy-1');
+  });
+
+  test('should redact secrets and skip lines below LOG_LEVEL', () => {
+    process.env.LOG_LEVEL = 'warn';
+    const log = logger.child({ component: 'test' });
+
+    runWithRequestId('trace-redact-1', () => {
+      log.info('Not written');
+      log.warn('Login attempt', {
+        username: 'admin',
+        password: 'hunter2',
+        worker: { credential: 'wkr_secret', registration_token_id: 'tok-1' },
+        headers: { Authorization: 'Bearer abc.def' },
+        detail: 'sent Bearer abc.def to conductor',
+        error: new Error('failed with token')
+      });
+    });
+
+    const written = entries();
+    expect(written).toHaveLength(1);
+    expect(written[0]).toMatchObject({
+      level: 'warn',
+      msg: 'Login attempt',
+      request_id: 'trace-redact-1',
+      component: 'test',
+      username: 'admin',
+      password: '[REDACTED]',
+      worker: { credential: '[REDACTED]', registration_token_id: 'tok-1' },
+      headers: { Authorization: '[REDACTED]' },
+      detail: 'sent Bearer [REDACTED] to conductor',
+      error: { name: 'Error', message: 'failed with token' }
+    });
+    expect(lines[0]).not.toContain('hunter2');
+    expect(lines[0]).not.toContain('abc.def');
+  });
+});
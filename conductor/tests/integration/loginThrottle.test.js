@@ -0,0 +1,162 @@
+const request = require('supertest');
+const app = require('../../index');
+const LoginThrottleService = require('../../api/services/LoginThrottleService');
+const { hashPassword } = require('../../api/utils/password');
+const { setupTestDatabase, cleanupTestData, createTestUser } = require('../helpers/dbHelper');
+const { uniqueId, createTestToken } = require('../helpers/testHelpers');
+
+describe('Login Throttling Integration Tests', () => {
+  let adminToken;
+  let now;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    adminToken = await createTestToken({ role: 'admin' });
+  });
+
+  afterAll(async () => {
+    await cleanupTestData();
+  });
+
+  beforeEach(() => {
+    LoginThrottleService.reset();
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  async function createUser(password = 'secret123') {
+    const username = uniqueId('throttled');
+    await createTestUser({
+      username,
+      email: `${username}@example.com`,
+      password_hash: await hashPassword(password),
+      role: 'operator'
+    });
+    return username;
+  }
+
+  function login(username, password, ip = '203.0.113.1') {
+    return request(app)
+      .post('/api/v1/auth/login')
+      .set('X-Forwarded-For', ip)
+      .send({ username, password });
+  }
+
+  test('failed logins should back off progressively', async () => {
+    const username = await createUser();
+
+    for (let i = 0; i < 3; i++) {
+      await login(username, 'wrong').expect(401);
+    }
+
+    const throttled = await login(username, 'secret123').expect(429);
+    expect(throttled.headers['retry-after']).toBe('1');
+    expect(throttled.body.error.message).toBe('Too many failed attempts, try again in 1 seconds');
+
+    now += 1000;
+    await login(username, 'wrong').expect(401);
+    const doubled = await login(username, 'wrong').expect(429);
+    expect(doubled.headers['retry-after']).toBe('2');
+
+    now += 2000;
+    await login(username, 'secret123').expect(200);
+    // Success clears the account, so another IP is not held back by the earlier failures
+    await login(username, 'wrong', '203.0.113.2').expect(401);
+  });
+
+  test('concurrent failed logins should not get past the backoff', async () => {
+    const username = await createUser();
+
+    const responses = await Promise.all(
+      Array.from({ length: 10 }, () => login(username, 'wrong'))
+    );
+    const statuses = responses.map(response => response.status).sort();
+
+    expect(statuses).toEqual([401, 401, 401, 429, 429, 429, 429, 429, 429, 429]);
+
+    // Attempts that did not fail are released: a good password after the backoff still works
+    now += 1000;
+    await login(username, 'secret123').expect(200);
+  });
+
+  test('an account should be locked out from every IP and the lockout recorded', async () => {
+    const username = await createUser();
+
+    for (let i = 0; i < 10; i++) {
+      await login(username, 'wrong', `198.51.100.${i}`).expect(401);
+      now += 60 * 1000;
+    }
+
+    const locked = await login(username, 'secret123', '198.51.100.200').expect(429);
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(60);
+
+    const events = await request(app)
+      .get('/api/v1/audit')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .query({ action: 'login.lockout', target_id: username })
+      .expect(200);
+    expect(events.body.events).toHaveLength(1);
+    expect(events.body.events[0]).toMatchObject({
+      actor: { type: 'system' },
+      target: { type: 'account', id: username },
+      ip_address: '198.51.100.9'
+    });
+    expect(events.body.events[0].changes.failed_attempts.after).toBe(10);
+
+    now += 15 * 60 * 1000;
+    await login(username, 'secret123', '198.51.100.200').expect(200);
+  });
+
+  test('failed worker registrations should be throttled per IP', async () => {
+    const register = () => request(app)
+      .post('/api/v1/workers/register')
+      .set('X-Forwarded-For', '192.0.2.7')
+      .send({ token: 'not-a-token', hostname: uniqueId('throttled'), ip_address: '10.0.19.1', resources: {} });
+
+    for (let i = 0; i < 3; i++) {
+      await register().expect(401);
+    }
+    await register().expect(429);
+
+    // Other clients are not affected
+    await login(await createUser(), 'secret123', '192.0.2.8').expect(200);
+  });
+
+  test('the default admin password should have to be changed before using the API', async () => {
+    await createTestUser({
+      username: 'admin',
+      email: 'admin@example.com',
+      password_hash: await hashPassword('admin'),
+      role: 'admin'
+    });
+
+    const loggedIn = await login('admin', 'admin').expect(200);
+    expect(loggedIn.body.user.password_change_required).toBe(true);
+    const token = loggedIn.body.token;
+
+    const blocked = await request(app)
+      .get('/api/v1/services')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+    expect(blocked.body.error.message).toBe('Password change required');
+
+    await request(app)
+      .post('/api/v1/auth/reset-password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: 'admin', newPassword: 'admin' })
+      .expect(400);
+    await request(app)
+      .post('/api/v1/auth/reset-password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: 'admin', newPassword: 'a-better-password' })
+      .expect(200);
+
+    const me = await request(app).get('/api/v1/auth/me').set('Authorization', `Bearer ${token}`).expect(200);
+    expect(me.body.user.password_change_required).toBe(false);
+    await request(app).get('/api/v1/services').set('Authorization', `Bearer ${token}`).expect(200);
+  });
+});
@@ -0,0 +1,132 @@
+const request = require('supertest');
+const app = require('../../index');
+const MetricsService = require('../../api/services/MetricsService');
+const { MetricSample } = require('../../api/models');
+const { setupTestDatabase, cleanupTestData } = require('../helpers/dbHelper');
+const { uniqueId, createTestToken } = require('../helpers/testHelpers');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+describe('Worker Metrics Integration Tests', () => {
+  let authToken;
+  let workerId;
+  let hourStart;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    authToken = await createTestToken({ role: 'viewer' });
+    const adminToken = await createTestToken({ role: 'admin' });
+
+    const token = await request(app)
+      .post('/api/v1/tokens')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: uniqueId('metrics') })
+      .expect(201);
+    const registered = await request(app)
+      .post('/api/v1/workers/register')
+      .send({ token: token.body.token.token, hostname: uniqueId('metrics'), ip_address: '10.0.21.1', resources: {} })
+      .expect(201);
+    workerId = registered.body.worker.id;
+
+    // Samples in a complete hour, three hours ago
+    hourStart = Math.floor(Date.now() / HOUR) * HOUR - 3 * HOUR;
+    const ping = (cpu, cores) => ({
+      cpu: { usagePercent: String(cpu), perCore: cores.map(usage => ({ usagePercent: String(usage) })) },
+      ram: { usagePercent: 50, used_gb: 4 },
+      network: { rx_bytes_per_sec: cpu * 1000, tx_bytes_per_sec: 0 }
+    });
+    await MetricsService.recordSample(workerId, ping(10, [10, 20]), hourStart + 10 * 1000);
+    await MetricsService.recordSample(workerId, ping(20, [20, 40]), hourStart + 20 * 1000);
+    await MetricsService.recordSample(workerId, ping(20, [30, 60]), hourStart + 30 * 1000);
+    await MetricsService.recordSample(workerId, ping(60, [60, 80]), hourStart + MINUTE + 5 * 1000);
+  });
+
+  afterAll(async () => {
+    await MetricSample.deleteBy({ worker_id: workerId });
+    await cleanupTestData();
+  });
+
+  function getMetrics(query) {
+    return request(app)
+      .get(`/api/v1/workers/${workerId}/metrics`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .query(query);
+  }
+
+  test('heartbeats without detailed resources should not be stored', async () => {
+    expect(await MetricsService.recordSample(workerId, { cpu_cores: 4, ram_gb: 8 })).toBeNull();
+  });
+
+  test('samples not rolled up yet should be queryable with a step and fields', async () => {
+    const response = await getMetrics({
+      from: new Date(hourStart).toISOString(),
+      to: new Date(hourStart + 2 * MINUTE).toISOString(),
+      step: 60,
+      fields: 'cpu_percent,cpu_cores_percent'
+    }).expect(200);
+
+    // Minute rollups fit the step; until they exist, the raw samples fill in
+    const { metrics } = response.body;
+    expect(metrics).toMatchObject({ worker_id: workerId, step: 60, resolution: '1m', fields: ['cpu_percent', 'cpu_cores_percent'] });
+    expect(metrics.points).toEqual([
+      { time: new Date(hourStart).toISOString(), cpu_percent: 16.667, cpu_cores_percent: [20, 40] },
+      { time: new Date(hourStart + MINUTE).toISOString(), cpu_percent: 60, cpu_cores_percent: [60, 80] }
+    ]);
+  });
+
+  test('complete minutes and hours should be rolled up with weighted averages', async () => {
+    const now = hourStart + HOUR + 30 * 1000;
+    const result = await MetricsService.maintain(now);
+    expect(result.rolled_up).toBeGreaterThanOrEqual(3);
+
+    const minutes = await MetricSample.findAll({ where: { worker_id: workerId, resolution: '1m' }, order: 'time ASC' });
+    expect(minutes.map(sample => [sample.time - hourStart, sample.samples, sample.cpu_percent])).toEqual([
+      [0, 3, 16.667],
+      [MINUTE, 1, 60]
+    ]);
+
+    const [hour] = await MetricSample.findAll({ where: { worker_id: workerId, resolution: '1h' } });
+    expect(hour).toMatchObject({ time: hourStart, samples: 4, cpu_percent: 27.5, net_rx_bps: 27500, ram_used_gb: 4 });
+    expect(JSON.parse(hour.cpu_cores_percent)).toEqual([30, 50]);
+
+    // Nothing is rolled up twice
+    expect((await MetricsService.maintain(now)).rolled_up).toBe(0);
+
+    const hourly = await getMetrics({ from: hourStart, to: hourStart + HOUR, step: 3600, fields: 'cpu_percent' }).expect(200);
+    expect(hourly.body.metrics.resolution).toBe('1h');
+    expect(hourly.body.metrics.points).toEqual([{ time: new Date(hourStart).toISOString(), cpu_percent: 27.5 }]);
+  });
+
+  test('samples should be deleted after the retention of their resolution', async () => {
+    process.env.METRICS_RAW_RETENTION_HOURS = '1';
+    try {
+      await MetricsService.prune(hourStart + 2 * HOUR);
+    } finally {
+      delete process.env.METRICS_RAW_RETENTION_HOURS;
+    }
+
+    expect(await MetricSample.count({ worker_id: workerId, resolution: 'raw' })).toBe(0);
+    expect(await MetricSample.count({ worker_id: workerId, resolution: '1m' })).toBe(2);
+
+    // The minute rollups still answer queries for the range
+    const response = await getMetrics({ from: hourStart, to: hourStart + 2 * MINUTE, step: 60, fields: 'cpu_percent' }).expect(200);
+    expect(response.body.metrics.points.map(point => point.cpu_percent)).toEqual([16.667, 60]);
+  });
+
+  test('invalid queries and unknown workers should be rejected', async () => {
+    const unknownField = await getMetrics({ fields: 'cpu_percent,temperature' }).expect(400);
+    expect(unknownField.body.error.message).toMatch(/^Invalid query: unknown field temperature/);
+
+    await getMetrics({ from: 'yesterday' }).expect(400);
+    await getMetrics({ from: hourStart + HOUR, to: hourStart }).expect(400);
+    const tooMany = await getMetrics({ from: hourStart, to: hourStart + HOUR, step: 1 }).expect(400);
+    expect(tooMany.body.error.message).toBe('Invalid query: more than 1000 points, use a larger step');
+
+    await request(app)
+      .get('/api/v1/workers/nonexistent-id/metrics')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(404);
+    await request(app).get(`/api/v1/workers/${workerId}/metrics`).expect(401);
+  });
+});
@@ -0,0 +1,81 @@
+const request = require('supertest');
+const app = require('../../index');
+const { setupTestDatabase, cleanupTestData, createTestWorker } = require('../helpers/dbHelper');
+const { uniqueId, createTestToken } = require('../helpers/testHelpers');
+
+describe('Prometheus Metrics Integration Tests', () => {
+  let viewerToken;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    viewerToken = await createTestToken({ role: 'viewer' });
+  });
+
+  afterAll(async () => {
+    await cleanupTestData();
+  });
+
+  function scrape(token = viewerToken) {
+    return request(app).get('/metrics').set('Authorization', `Bearer ${token}`);
+  }
+
+  function sample(text, name) {
+    const line = text.split('\n').find(candidate => candidate.startsWith(`${name} `));
+    return line ? Number(line.slice(name.length + 1)) : null;
+  }
+
+  test('GET /metrics requires authentication', async () => {
+    await request(app).get('/metrics').expect(401);
+  });
+
+  test('GET /metrics serves request, worker and database metrics in OpenMetrics format', async () => {
+    await createTestWorker({ status: 'online' });
+    const worker = await createTestWorker({ status: 'offline' });
+
+    await request(app).get('/api/v1/workers').set('Authorization', `Bearer ${viewerToken}`).expect(200);
+    await request(app).get(`/api/v1/workers/${worker.id}`).set('Authorization', `Bearer ${viewerToken}`).expect(200);
+
+    const response = await scrape().expect(200);
+    const text = response.text;
+
+    expect(response.headers['content-type']).toMatch(/^application\/openmetrics-text; version=1\.0\.0/);
+    expect(text.endsWith('# EOF\n')).toBe(true);
+    expect(text).toContain('# TYPE conductor_http_requests counter');
+
+    // Routes are labelled by pattern, not by URL
+    expect(sample(text, 'conductor_http_requests_total{method="GET",route="/api/v1/workers/:id",status="200"}')).toBeGreaterThanOrEqual(1);
+    expect(text).not.toContain(`route="/api/v1/workers/${worker.id}"`);
+
+    // Histogram buckets are cumulative and +Inf equals the count
+    const count = sample(text, 'conductor_http_request_duration_seconds_count{method="GET",route="/api/v1/workers"}');
+    expect(count).toBeGreaterThanOrEqual(1);
+    expect(sample(text, 'conductor_http_request_duration_seconds_bucket{method="GET",route="/api/v1/workers",le="+Inf"}')).toBe(count);
+    expect(sample(text, 'conductor_http_request_duration_seconds_bucket{method="GET",route="/api/v1/workers",le="0.01"}'))
+      .toBeLessThanOrEqual(sample(text, 'conductor_http_request_duration_seconds_bucket{method="GET",route="/api/v1/workers",le="10"}'));
+
+    expect(sample(text, 'conductor_workers{status="online"}')).toBeGreaterThanOrEqual(1);
+    expect(sample(text, 'conductor_workers{status="offline"}')).toBeGreaterThanOrEqual(1);
+    expect(sample(text, 'conductor_workers_connected')).toBe(0);
+    expect(sample(text, 'conductor_db_query_duration_seconds_count{operation="SELECT"}')).toBeGreaterThan(0);
+    expect(sample(text, 'conductor_db_table_query_duration_seconds_count{table="workers"}')).toBeGreaterThan(0);
+    expect(sample(text, 'process_resident_memory_bytes')).toBeGreaterThan(0);
+  });
+
+  test('GET /metrics accepts an API key with the metrics:read scope', async () => {
+    const created = await request(app)
+      .post('/api/v1/api-keys')
+      .set('Authorization', `Bearer ${viewerToken}`)
+      .send({ name: uniqueId('prometheus'), scopes: ['metrics:read'] })
+      .expect(201);
+
+    await scrape(created.body.key).expect(200);
+
+    const other = await request(app)
+      .post('/api/v1/api-keys')
+      .set('Authorization', `Bearer ${viewerToken}`)
+      .send({ name: uniqueId('reader'), scopes: ['workers:read'] })
+      .expect(201);
+
+    await scrape(other.body.key).expect(403);
+  });
+});
@@ -0,0 +1,250 @@
+const request = require('supertest');
+const app = require('../../index');
+const { setupTestDatabase, cleanupTestData, createTestWorker, createTestService } = require('../helpers/dbHelper');
+const { uniqueId, createTestToken } = require('../helpers/testHelpers');
+const DeploymentRepository = require('../../api/repos/DeploymentRepository');
+const WorkerSocketService = require('../../api/services/WorkerSocketService');
+const ReconciliationService = require('../../api/services/ReconciliationService');
+const WorkerCredentialService = require('../../api/services/WorkerCredentialService');
+const EventService = require('../../api/services/EventService');
+const DriftEventRepository = require('../../api/repos/DriftEventRepository');
+
+describe('Reconciliation Integration Tests', () => {
+  let authToken;
+  let worker;
+  let workerCredential;
+  let sendInstruction;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    authToken = await createTestToken({ role: 'admin' });
+  });
+
+  afterAll(async () => {
+    await cleanupTestData();
+  });
+
+  beforeEach(async () => {
+    worker = await createTestWorker({ hostname: uniqueId('reconcile') });
+    workerCredential = await WorkerCredentialService.issueCredential(worker.id);
+
+    // Only this test's worker is connected, so deployments of other tests are left alone
+    jest.spyOn(WorkerSocketService, 'isWorkerConnected').mockImplementation(workerId => workerId === worker.id);
+    sendInstruction = jest.spyOn(WorkerSocketService, 'sendInstruction')
+      .mockImplementation(async () => ({ status: 'success', result: {}, error: null }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.RECONCILE_MAX_ATTEMPTS;
+  });
+
+  async function createRunningDeployment(overrides = {}) {
+    const service = await createTestService({ name: uniqueId('svc') });
+    const deployment = await DeploymentRepository.create({
+      service_id: service.id,
+      worker_id: worker.id,
+      status: 'running',
+      deployed_at: new Date(Date.now() - 60 * 1000).toISOString(),
+      ...overrides
+    });
+    return { service, deployment };
+  }
+
+  function reportStatuses(services, full = false) {
+    return request(app)
+      .post(`/api/v1/workers/${worker.id}/services/status`)
+      .set('Authorization', `Bearer ${workerCredential}`)
+      .send({ services, full })
+      .expect(200);
+  }
+
+  test('should redeploy a running deployment whose container exited and record drift', async () => {
+    const { service, deployment } = await createRunningDeployment();
+    await reportStatuses([{ service: service.name, state: 'exited', exit_code: 1 }]);
+
+    const response = await request(app)
+      .post('/api/v1/reconciliation/run')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body.result.drift).toHaveLength(1);
+    expect(response.body.result.drift[0]).toMatchObject({
+      deployment_id: deployment.id,
+      worker_id: worker.id,
+      drift: 'not_running',
+      desired_state: 'running',
+      observed_state: 'exited',
+      action: 'deploy'
+    });
+    expect(sendInstruction).toHaveBeenCalledWith(
+      worker.id,
+      expect.objectContaining({ action: 'deploy', service: service.name, deployment_id: deployment.id }),
+      expect.any(Object)
+    );
+
+    const events = await request(app)
+      .get('/api/v1/reconciliation/events')
+      .query({ deployment_id: deployment.id })
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(events.body.events).toHaveLength(1);
+    expect(events.body.events[0].message).toContain('exit code 1');
+  });
+
+  test('should treat a service missing from a full report as missing', async () => {
+    const { deployment } = await createRunningDeployment();
+    await reportStatuses([], true);
+
+    const result = await ReconciliationService.reconcile();
+
+    expect(result.drift.map(event => [event.deployment_id, event.drift])).toEqual([[deployment.id, 'missing']]);
+  });
+
+  test('should ignore reports made before the deployment started running', async () => {
+    const { service, deployment } = await createRunningDeployment();
+    await reportStatuses([{ service: service.name, state: 'exited' }]);
+    await DeploymentRepository.update(deployment.id, {
+      deployed_at: new Date(Date.now() + 60 * 1000).toISOString()
+    });
+
+    const result = await ReconciliationService.reconcile();
+
+    expect(result.drift).toHaveLength(0);
+    expect(sendInstruction).not.toHaveBeenCalled();
+  });
+
+  test('should stop a container that runs while its deployment is stopped', async () => {
+    const { service } = await createRunningDeployment({
+      status: 'stopped',
+      stopped_at: new Date(Date.now() - 60 * 1000).toISOString()
+    });
+    await reportStatuses([{ service: service.name, state: 'running' }]);
+
+    const result = await ReconciliationService.reconcile();
+
+    expect(result.drift[0]).toMatchObject({ drift: 'unexpected_running', action: 'stop' });
+    expect(sendInstruction).toHaveBeenCalledWith(
+      worker.id,
+      expect.objectContaining({ action: 'stop', service: service.name }),
+      expect.any(Object)
+    );
+  });
+
+  test('should remove orphaned catalog containers once per report', async () => {
+    const orphan = await createTestService({ name: uniqueId('svc') });
+    await reportStatuses([{ service: orphan.name, state: 'running' }, { service: 'unmanaged', state: 'running' }], true);
+
+    const first = await ReconciliationService.reconcile();
+    const second = await ReconciliationService.reconcile();
+
+    expect(first.drift).toHaveLength(1);
+    expect(first.drift[0]).toMatchObject({ deployment_id: null, drift: 'orphaned', action: 'remove' });
+    expect(second.drift).toHaveLength(0);
+    expect(sendInstruction).toHaveBeenCalledTimes(1);
+    expect(sendInstruction).toHaveBeenCalledWith(worker.id, { action: 'remove', service: orphan.name });
+  });
+
+  test('should skip paused deployments until resumed', async () => {
+    const { service, deployment } = await createRunningDeployment();
+    await reportStatuses([{ service: service.name, state: 'exited' }]);
+
+    const paused = await request(app)
+      .post(`/api/v1/deployments/${deployment.id}/reconciliation/pause`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(paused.body.deployment.reconcile_paused).toBe(true);
+    expect((await ReconciliationService.reconcile()).drift).toHaveLength(0);
+
+    const resumed = await request(app)
+      .post(`/api/v1/deployments/${deployment.id}/reconciliation/resume`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(resumed.body.deployment.reconcile_paused).toBe(false);
+    expect((await ReconciliationService.reconcile()).drift).toHaveLength(1);
+  });
+
+  test('should back off and pause deployments that keep drifting', async () => {
+    process.env.RECONCILE_MAX_ATTEMPTS = '2';
+    const { service, deployment } = await createRunningDeployment();
+    const interval = ReconciliationService.intervalMs;
+    const start = Date.now();
+
+    // The container exits again after every redeploy
+    async function crash() {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      await reportStatuses([{ service: service.name, state: 'exited', exit_code: 1 }]);
+    }
+
+    await crash();
+    expect((await ReconciliationService.reconcile()).drift).toHaveLength(1);
+
+    await crash();
+    expect((await ReconciliationService.reconcile()).drift).toHaveLength(0);
+
+    jest.spyOn(Date, 'now').mockReturnValue(start + interval + 1000);
+    expect((await ReconciliationService.reconcile()).drift).toHaveLength(1);
+
+    await crash();
+    Date.now.mockReturnValue(start + 2 * interval + 1000);
+    expect((await ReconciliationService.reconcile()).drift).toHaveLength(0);
+
+    Date.now.mockReturnValue(start + 3 * interval + 2000);
+    expect((await ReconciliationService.reconcile()).drift).toHaveLength(0);
+    expect(sendInstruction).toHaveBeenCalledTimes(2);
+    expect((await DeploymentRepository.findById(deployment.id)).reconcile_paused).toBe(1);
+
+    const { events } = await EventService.listEvents({ type: 'deployment.reconcile_paused', subject_id: deployment.id });
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ severity: 'error', source: 'reconciliation', subject_type: 'deployment' });
+    expect(events[0].payload).toMatchObject({ worker_id: worker.id, service_name: service.name, attempts: 2 });
+  });
+
+  test('should delete drift events past the retention period', async () => {
+    const { deployment } = await createRunningDeployment();
+    await DriftEventRepository.create({
+      deployment_id: deployment.id,
+      worker_id: worker.id,
+      service_name: 'svc',
+      drift: 'missing'
+    });
+
+    expect(await ReconciliationService.prune(Date.now() - 24 * 60 * 60 * 1000)).toBe(0);
+    expect(await ReconciliationService.prune(Date.now() + 31 * 24 * 60 * 60 * 1000)).toBeGreaterThan(0);
+    expect(await DriftEventRepository.findAll({ deployment_id: deployment.id })).toEqual([]);
+  });
+
+  test('should skip deployments with an instruction in flight', async () => {
+    const { service } = await createRunningDeployment();
+    await reportStatuses([{ service: service.name, state: 'exited' }]);
+    jest.spyOn(WorkerSocketService, 'hasPendingInstruction').mockReturnValue(true);
+
+    const result = await ReconciliationService.reconcile();
+
+    expect(result.drift).toHaveLength(0);
+  });
+
+  test('pause should return 404 for unknown deployments', async () => {
+    await request(app)
+      .post('/api/v1/deployments/nonexistent-id/reconciliation/pause')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(404);
+  });
+
+  test('GET /api/v1/reconciliation should return loop status', async () => {
+    const response = await request(app)
+      .get('/api/v1/reconciliation')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body.reconciliation.enabled).toBe(false);
+    expect(response.body.reconciliation).toHaveProperty('interval_ms');
+  });
+
+  test('reconciliation endpoints should require authentication', async () => {
+    await request(app).get('/api/v1/reconciliation/events').expect(401);
+  });
+});
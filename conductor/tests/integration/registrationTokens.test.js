@@ -0,0 +1,166 @@
+const request = require('supertest');
+const app = require('../../index');
+const { setupTestDatabase, cleanupTestData } = require('../helpers/dbHelper');
+const { uniqueId, createTestToken } = require('../helpers/testHelpers');
+const { Token } = require('../../api/models');
+
+describe('Registration Token Integration Tests', () => {
+  let authToken;
+  let hostCount = 0;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    authToken = await createTestToken({ role: 'admin' });
+  });
+
+  afterAll(async () => {
+    await cleanupTestData();
+  });
+
+  function createToken(body) {
+    return request(app)
+      .post('/api/v1/tokens')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ name: uniqueId('token'), ...body });
+  }
+
+  function getToken(id) {
+    return request(app)
+      .get(`/api/v1/tokens/${id}`)
+      .set('Authorization', `Bearer ${authToken}`);
+  }
+
+  function register(token, body = {}) {
+    hostCount++;
+    return request(app)
+      .post('/api/v1/workers/register')
+      .set('X-Forwarded-For', `10.0.12.${hostCount}`) // Each worker joins from its own address
+      .send({ token, hostname: uniqueId('joined'), ip_address: `10.0.12.${hostCount}`, resources: {}, ...body });
+  }
+
+  test('POST /api/v1/tokens should create a named token with expiry, use limit and labels', async () => {
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    const response = await createToken({ name: 'garage', expires_at: expiresAt, max_uses: 3, labels: { zone: 'garage' } })
+      .expect(201);
+
+    expect(response.body.token).toMatchObject({
+      name: 'garage',
+      status: 'active',
+      expires_at: expiresAt,
+      max_uses: 3,
+      uses: 0,
+      labels: { zone: 'garage' },
+      workers: []
+    });
+    expect(response.body.token.token).toBeTruthy();
+
+    const list = await request(app)
+      .get('/api/v1/tokens')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+    expect(list.body.tokens.map(token => token.id)).toContain(response.body.token.id);
+  });
+
+  test('workers joining with a token should get its labels and be listed on it', async () => {
+    const { token } = (await createToken({ labels: { zone: 'attic', tier: 'edge' } }).expect(201)).body;
+
+    const joined = await register(token.token, { labels: { tier: 'core' } }).expect(201);
+
+    expect(joined.body.worker.labels).toMatchObject({ zone: 'attic', tier: 'core' });
+    expect(joined.body.worker.registration_token_id).toBe(token.id);
+
+    const fetched = await getToken(token.id).expect(200);
+    expect(fetched.body.token.uses).toBe(1);
+    expect(fetched.body.token.workers).toEqual([
+      expect.objectContaining({ id: joined.body.worker.id, hostname: joined.body.worker.hostname })
+    ]);
+  });
+
+  test('tokens should stop working once used up', async () => {
+    const { token } = (await createToken({ max_uses: 2 }).expect(201)).body;
+
+    await register(token.token).expect(201);
+    await register(token.token).expect(201);
+    const rejected = await register(token.token).expect(401);
+
+    expect(rejected.body.error.message).toBe('Invalid registration token');
+    const fetched = await getToken(token.id).expect(200);
+    expect(fetched.body.token).toMatchObject({ status: 'exhausted', uses: 2 });
+    expect(fetched.body.token.workers).toHaveLength(2);
+  });
+
+  test('concurrent registrations should not exceed the use limit', async () => {
+    const { token } = (await createToken({ max_uses: 1 }).expect(201)).body;
+
+    const responses = await Promise.all([register(token.token), register(token.token), register(token.token)]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([201, 401, 401]);
+  });
+
+  test('expired and revoked tokens should be rejected without affecting other tokens', async () => {
+    const expired = (await createToken({}).expect(201)).body.token;
+    const revoked = (await createToken({}).expect(201)).body.token;
+    const other = (await createToken({}).expect(201)).body.token;
+
+    await Token.update(expired.id, { expires_at: new Date(Date.now() - 1000).toISOString() });
+    const revokeResponse = await request(app)
+      .post(`/api/v1/tokens/${revoked.id}/revoke`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(revokeResponse.body.token.status).toBe('revoked');
+    expect((await getToken(expired.id).expect(200)).body.token.status).toBe('expired');
+    await register(expired.token).expect(401);
+    await register(revoked.token).expect(401);
+    await register(other.token).expect(201);
+  });
+
+  test('DELETE /api/v1/tokens/:id should delete a token', async () => {
+    const { token } = (await createToken({}).expect(201)).body;
+
+    await request(app)
+      .delete(`/api/v1/tokens/${token.id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    await getToken(token.id).expect(404);
+    await register(token.token).expect(401);
+  });
+
+  test('should validate token options', async () => {
+    const noName = await createToken({ name: ' ' }).expect(400);
+    expect(noName.body.error.message).toBe('Invalid token: name is required (at most 64 characters)');
+
+    const reserved = await createToken({ name: 'Default' }).expect(400);
+    expect(reserved.body.error.message).toBe('Invalid token: default is reserved for the default token');
+
+    const past = await createToken({ expires_at: new Date(Date.now() - 1000).toISOString() }).expect(400);
+    expect(past.body.error.message).toBe('Invalid token: expires_at must be a future date');
+
+    const uses = await createToken({ max_uses: 0 }).expect(400);
+    expect(uses.body.error.message).toBe('Invalid token: max_uses must be a positive integer');
+
+    const labels = await createToken({ labels: { 'bad key': 'x' } }).expect(400);
+    expect(labels.body.error.message).toBe('Invalid labels: bad key is not a valid key');
+  });
+
+  test('token management should require an admin', async () => {
+    const viewerToken = await createTestToken({ role: 'viewer' });
+
+    await request(app)
+      .get('/api/v1/tokens')
+      .set('Authorization', `Bearer ${viewerToken}`)
+      .expect(403);
+
+    await request(app)
+      .post('/api/v1/tokens')
+      .send({ name: 'no-auth' })
+      .expect(401);
+
+    await request(app)
+      .post('/api/v1/tokens/nonexistent-id/revoke')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(404);
+  });
+});
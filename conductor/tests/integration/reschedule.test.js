@@ -0,0 +1,190 @@
+const request = require('supertest');
+const app = require('../../index');
+const { setupTestDatabase, cleanupTestData, createTestWorker, createTestService } = require('../helpers/dbHelper');
+const { uniqueId, createTestToken } = require('../helpers/testHelpers');
+const DeploymentRepository = require('../../api/repos/DeploymentRepository');
+const WorkerSocketService = require('../../api/services/WorkerSocketService');
+const RescheduleService = require('../../api/services/RescheduleService');
+const DeploymentService = require('../../api/services/DeploymentService');
+
+describe('Rescheduling Integration Tests', () => {
+  let authToken;
+  let sendInstruction;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    authToken = await createTestToken({ role: 'admin' });
+  });
+
+  afterAll(async () => {
+    await cleanupTestData();
+  });
+
+  beforeEach(() => {
+    sendInstruction = jest.spyOn(WorkerSocketService, 'sendInstruction')
+      .mockImplementation(async () => ({ status: 'success', result: {}, error: null }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function offlineWorker(secondsAgo) {
+    return createTestWorker({
+      hostname: uniqueId('offline'),
+      status: 'offline',
+      last_seen: new Date(Date.now() - secondsAgo * 1000).toISOString()
+    });
+  }
+
+  async function deploy(worker, config = {}, status = 'running') {
+    const service = await createTestService({ name: uniqueId('svc'), config: JSON.stringify(config) });
+    const deployment = await DeploymentRepository.create({
+      service_id: service.id,
+      worker_id: worker.id,
+      status,
+      config: JSON.stringify({ environment: ['MODE=test'] })
+    });
+    return { service, deployment };
+  }
+
+  test('should move stateless deployments off a worker offline past the grace period', async () => {
+    await createTestWorker({ hostname: uniqueId('healthy') });
+    const offline = await offlineWorker(RescheduleService.gracePeriodMs / 1000 + 60);
+    const { service, deployment } = await deploy(offline);
+
+    const result = await RescheduleService.check();
+
+    const moved = result.rescheduled.find(d => d.service_id === service.id);
+    expect(moved).toBeDefined();
+    expect(moved.worker_id).not.toBe(offline.id);
+    expect(moved.status).toBe('pending');
+    expect(moved.rescheduled_from).toBe(offline.id);
+    expect(moved.config).toEqual({ environment: ['MODE=test'] });
+    expect(await DeploymentRepository.findById(deployment.id)).toBeNull();
+
+    // The old worker is told to remove its copy when it comes back
+    expect(sendInstruction).toHaveBeenCalledWith(
+      offline.id,
+      expect.objectContaining({ action: 'remove', service: service.name }),
+      expect.any(Object)
+    );
+    expect(sendInstruction).toHaveBeenCalledWith(
+      moved.worker_id,
+      expect.objectContaining({ action: 'deploy', service: service.name }),
+      expect.any(Object)
+    );
+  });
+
+  test('should mark deployments with volumes as stranded instead of moving them', async () => {
+    await createTestWorker({ hostname: uniqueId('healthy') });
+    const offline = await offlineWorker(RescheduleService.gracePeriodMs / 1000 + 60);
+    const { deployment } = await deploy(offline, { volumes: ['/data/db:/var/lib/db'] });
+
+    const result = await RescheduleService.check();
+
+    const stranded = result.stranded.find(d => d.id === deployment.id);
+    expect(stranded.status).toBe('stranded');
+    expect(stranded.worker_id).toBe(offline.id);
+    expect(stranded.error).toContain('has volumes');
+    expect(sendInstruction).not.toHaveBeenCalledWith(offline.id, expect.anything(), expect.anything());
+  });
+
+  test('should leave deployments alone within the grace period', async () => {
+    const offline = await offlineWorker(10);
+    const { deployment } = await deploy(offline);
+
+    await RescheduleService.check();
+
+    const unchanged = await DeploymentRepository.findById(deployment.id);
+    expect(unchanged.status).toBe('running');
+    expect(unchanged.worker_id).toBe(offline.id);
+  });
+
+  test('should keep deployments in place when no worker can take them', async () => {
+    const offline = await offlineWorker(RescheduleService.gracePeriodMs / 1000 + 60);
+    const { deployment } = await deploy(offline, { requests: { ram_gb: 100000 } });
+
+    const result = await RescheduleService.check();
+
+    expect(result.unplaced.map(u => u.deployment_id)).toContain(deployment.id);
+    expect((await DeploymentRepository.findById(deployment.id)).status).toBe('running');
+  });
+
+  test('should keep moving other deployments when one fails to move', async () => {
+    await createTestWorker({ hostname: uniqueId('healthy') });
+    const offline = await offlineWorker(RescheduleService.gracePeriodMs / 1000 + 60);
+    const failing = await deploy(offline);
+    const other = await deploy(offline);
+
+    const rescheduleDeployment = DeploymentService.rescheduleDeployment.bind(DeploymentService);
+    jest.spyOn(DeploymentService, 'rescheduleDeployment').mockImplementation(async (id, ...args) => {
+      if (id === failing.deployment.id) {
+        throw new Error('Database is locked');
+      }
+      return rescheduleDeployment(id, ...args);
+    });
+
+    const result = await RescheduleService.check();
+
+    expect(result.unplaced).toContainEqual({ deployment_id: failing.deployment.id, error: 'Database is locked' });
+    expect(result.rescheduled.map(d => d.service_id)).toContain(other.service.id);
+    expect((await DeploymentRepository.findById(failing.deployment.id)).worker_id).toBe(offline.id);
+    expect(await DeploymentRepository.findById(other.deployment.id)).toBeNull();
+  });
+
+  test('should restart stranded deployments when their worker is back', async () => {
+    const worker = await createTestWorker({ hostname: uniqueId('back') });
+    const { service, deployment } = await deploy(worker, { volumes: ['/data:/data'] }, 'stranded');
+    jest.spyOn(WorkerSocketService, 'isWorkerConnected').mockImplementation(workerId => workerId === worker.id);
+
+    const result = await RescheduleService.check();
+
+    expect(result.recovered.map(d => d.id)).toEqual([deployment.id]);
+    expect(result.recovered[0].status).toBe('pending');
+    expect(sendInstruction).toHaveBeenCalledWith(
+      worker.id,
+      expect.objectContaining({ action: 'deploy', service: service.name }),
+      expect.any(Object)
+    );
+  });
+
+  test('POST /api/v1/deployments/:id/reschedule should move a deployment to the given worker', async () => {
+    const from = await createTestWorker({ hostname: uniqueId('from') });
+    const to = await createTestWorker({ hostname: uniqueId('to') });
+    const { deployment } = await deploy(from);
+
+    const response = await request(app)
+      .post(`/api/v1/deployments/${deployment.id}/reschedule`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ worker_id: to.id })
+      .expect(200);
+
+    expect(response.body.deployment.worker_id).toBe(to.id);
+    expect(response.body.deployment.rescheduled_from).toBe(from.id);
+
+    await request(app)
+      .get(`/api/v1/deployments/${deployment.id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(404);
+  });
+
+  test('POST /api/v1/deployments/:id/reschedule should reject the current worker and unknown ids', async () => {
+    const worker = await createTestWorker({ hostname: uniqueId('same') });
+    const { deployment } = await deploy(worker);
+
+    const response = await request(app)
+      .post(`/api/v1/deployments/${deployment.id}/reschedule`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ worker_id: worker.id })
+      .expect(409);
+
+    expect(response.body.error.message).toBe('Deployment is already on this worker');
+
+    await request(app)
+      .post('/api/v1/deployments/nonexistent-id/reschedule')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({})
+      .expect(404);
+  });
+});
@@ -0,0 +1,175 @@
+const request = require('supertest');
+const app = require('../../index');
+const { setupTestDatabase, cleanupTestData, createTestWorker } = require('../helpers/dbHelper');
+const { uniqueId, createTestToken, createReplicatedService, updateServiceImage, waitForRollout } = require('../helpers/testHelpers');
+const WorkerSocketService = require('../../api/services/WorkerSocketService');
+const RevisionService = require('../../api/services/RevisionService');
+const { ServiceRevision } = require('../../api/models');
+
+describe('Service Revision Integration Tests', () => {
+  let authToken;
+  let sendInstruction;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    authToken = await createTestToken({ role: 'admin' });
+
+    for (let i = 0; i < 2; i++) {
+      await createTestWorker({ hostname: uniqueId('revision') });
+    }
+  });
+
+  afterAll(async () => {
+    await cleanupTestData();
+  });
+
+  beforeEach(() => {
+    sendInstruction = jest.spyOn(WorkerSocketService, 'sendInstruction')
+      .mockImplementation(async () => ({ status: 'success', result: {}, error: null }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  async function getRevisions(serviceId) {
+    const response = await request(app)
+      .get(`/api/v1/services/${serviceId}/revisions`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+    return response.body.revisions;
+  }
+
+  function rollback(serviceId, body = {}) {
+    return request(app)
+      .post(`/api/v1/services/${serviceId}/rollback`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body);
+  }
+
+  test('should create the first revision with the service and link its deployments', async () => {
+    const service = await createReplicatedService(authToken, 2);
+
+    const revisions = await getRevisions(service.id);
+
+    expect(revisions).toHaveLength(1);
+    expect(revisions[0]).toMatchObject({ revision: 1, docker_image: 'nginx:1.26', reason: 'initial', current: true });
+    expect(revisions[0].id).toBe(service.revision_id);
+    expect(revisions[0].deployments).toHaveLength(2);
+  });
+
+  test('should create a revision for every image change but not for replica changes', async () => {
+    const service = await createReplicatedService(authToken, 2);
+
+    await updateServiceImage(authToken, service.id, 'nginx:1.27').expect(200);
+    await waitForRollout(authToken, service.id);
+    await request(app)
+      .put(`/api/v1/services/${service.id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ replicas: 1 })
+      .expect(200);
+
+    const revisions = await getRevisions(service.id);
+
+    expect(revisions.map(r => [r.revision, r.docker_image, r.current])).toEqual([
+      [2, 'nginx:1.27', true],
+      [1, 'nginx:1.26', false]
+    ]);
+    // Both revisions keep the deployments they produced, including the one scaled away
+    const summarize = deployments => deployments.map(d => [d.status, d.current]).sort();
+    expect(summarize(revisions[0].deployments)).toEqual([['removed', false], ['running', true]]);
+    expect(summarize(revisions[1].deployments)).toEqual([['removed', false], ['running', false]]);
+    expect(revisions[1].deployments.map(d => d.id).sort()).toEqual(revisions[0].deployments.map(d => d.id).sort());
+  });
+
+  test('concurrent changes should get their own revision numbers', async () => {
+    const service = await createReplicatedService(authToken, null);
+
+    await Promise.all([
+      RevisionService.createRevision(service, 'updated'),
+      RevisionService.createRevision(service, 'updated'),
+      RevisionService.createRevision(service, 'updated')
+    ]);
+
+    const revisions = await getRevisions(service.id);
+    expect(revisions.map(r => r.revision)).toEqual([4, 3, 2, 1]);
+    await expect(ServiceRevision.create({ service_id: service.id, revision: 4, docker_image: 'nginx:1.26' }))
+      .rejects.toHaveProperty('code', 'SQLITE_CONSTRAINT_UNIQUE');
+  });
+
+  test('POST /api/v1/services/:id/rollback should redeploy the previous revision as a new revision', async () => {
+    const service = await createReplicatedService(authToken, 2);
+    await updateServiceImage(authToken, service.id, 'nginx:1.27').expect(200);
+    await waitForRollout(authToken, service.id);
+    sendInstruction.mockClear();
+
+    const response = await rollback(service.id).expect(200);
+
+    expect(response.body.service.docker_image).toBe('nginx:1.26');
+    expect(response.body.rollout.status).toBe('in_progress');
+    expect((await waitForRollout(authToken, service.id)).status).toBe('completed');
+
+    const updates = sendInstruction.mock.calls.filter(([, instruction]) => instruction.action === 'update');
+    expect(updates).toHaveLength(2);
+    expect(updates.every(([, instruction]) => instruction.config.docker_image === 'nginx:1.26')).toBe(true);
+
+    const [latest] = await getRevisions(service.id);
+    expect(latest).toMatchObject({ revision: 3, docker_image: 'nginx:1.26', reason: 'rollback to revision 1', current: true });
+    expect(latest.deployments).toHaveLength(2);
+  });
+
+  test('POST /api/v1/services/:id/rollback should accept an explicit revision', async () => {
+    const service = await createReplicatedService(authToken, null);
+    await updateServiceImage(authToken, service.id, 'nginx:1.27').expect(200);
+    await updateServiceImage(authToken, service.id, 'nginx:1.28').expect(200);
+
+    const response = await rollback(service.id, { revision: 1 }).expect(200);
+
+    expect(response.body.service.docker_image).toBe('nginx:1.26');
+    expect(response.body.rollout).toBeNull();
+  });
+
+  test('POST /api/v1/services/:id/rollback should reject missing and current revisions', async () => {
+    const service = await createReplicatedService(authToken, null);
+
+    const noPrevious = await rollback(service.id).expect(409);
+    expect(noPrevious.body.error.message).toBe('Service has no previous revision');
+
+    await rollback(service.id, { revision: 7 }).expect(404);
+    await rollback(service.id, { revision: 'one' }).expect(400);
+
+    const current = await rollback(service.id, { revision: 1 }).expect(409);
+    expect(current.body.error.message).toBe('Service already runs revision 1');
+
+    await rollback('nonexistent-id').expect(404);
+  });
+
+  test('should record an automatic rollback of a failed rollout as a revision', async () => {
+    const service = await createReplicatedService(authToken, 1);
+    sendInstruction.mockImplementation(async (workerId, instruction) => {
+      if (instruction.action === 'update' && instruction.config.docker_image === 'nginx:broken') {
+        return { status: 'failed', result: null, error: 'image crashed on start' };
+      }
+      return { status: 'success', result: {}, error: null };
+    });
+
+    await updateServiceImage(authToken, service.id, 'nginx:broken').expect(200);
+    expect((await waitForRollout(authToken, service.id)).status).toBe('rolled_back');
+
+    const revisions = await getRevisions(service.id);
+    expect(revisions.map(r => [r.revision, r.docker_image, r.reason])).toEqual([
+      [3, 'nginx:1.26', 'automatic rollback to revision 1'],
+      [2, 'nginx:broken', 'updated'],
+      [1, 'nginx:1.26', 'initial']
+    ]);
+    expect(revisions[0].current).toBe(true);
+    expect(revisions[0].deployments).toHaveLength(1);
+  });
+
+  test('GET /api/v1/services/:id/revisions should return 404 for unknown service', async () => {
+    await request(app)
+      .get('/api/v1/services/nonexistent-id/revisions')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(404);
+  });
+});
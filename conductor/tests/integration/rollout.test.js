@@ -0,0 +1,184 @@
+const request = require('supertest');
+const app = require('../../index');
+const { setupTestDatabase, cleanupTestData, createTestWorker } = require('../helpers/dbHelper');
+const { uniqueId, createTestToken, createReplicatedService, updateServiceImage, waitForRollout } = require('../helpers/testHelpers');
+const DeploymentRepository = require('../../api/repos/DeploymentRepository');
+const WorkerSocketService = require('../../api/services/WorkerSocketService');
+
+describe('Replicas and Rolling Update Integration Tests', () => {
+  let authToken;
+  let sendInstruction;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    authToken = await createTestToken({ role: 'admin' });
+
+    for (let i = 0; i < 3; i++) {
+      await createTestWorker({ hostname: uniqueId('replica') });
+    }
+  });
+
+  afterAll(async () => {
+    await cleanupTestData();
+  });
+
+  beforeEach(() => {
+    sendInstruction = jest.spyOn(WorkerSocketService, 'sendInstruction')
+      .mockImplementation(async () => ({ status: 'success', result: {}, error: null }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  async function getDeployments(serviceId) {
+    const response = await request(app)
+      .get(`/api/v1/services/${serviceId}/deployments`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+    return response.body.deployments;
+  }
+
+  async function waitForRunning(serviceId, count) {
+    for (let i = 0; i < 50; i++) {
+      const deployments = await getDeployments(serviceId);
+      if (deployments.filter(d => d.status === 'running').length === count) {
+        return deployments;
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Service never had ${count} running replicas`);
+  }
+
+  function instructionsFor(action) {
+    return sendInstruction.mock.calls
+      .map(([workerId, instruction]) => ({ workerId, ...instruction }))
+      .filter(instruction => instruction.action === action);
+  }
+
+  test('should spread replicas across workers and scale down', async () => {
+    const service = await createReplicatedService(authToken, 2);
+    expect(service.replicas).toBe(2);
+
+    const deployments = await waitForRunning(service.id, 2);
+    expect(new Set(deployments.map(d => d.worker_id)).size).toBe(2);
+
+    await request(app)
+      .put(`/api/v1/services/${service.id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ replicas: 1 })
+      .expect(200);
+
+    expect(await getDeployments(service.id)).toHaveLength(1);
+  });
+
+  test('should update replicas one at a time with max_unavailable 1', async () => {
+    const service = await createReplicatedService(authToken, 2, { max_unavailable: 1 });
+    await waitForRunning(service.id, 2);
+
+    await updateServiceImage(authToken, service.id, 'nginx:1.27').expect(200);
+    const rollout = await waitForRollout(authToken, service.id);
+
+    expect(rollout.status).toBe('completed');
+    expect(rollout.updated).toBe(2);
+    expect(rollout.steps.map(step => [step.action, step.status])).toEqual([['update', 'healthy'], ['update', 'healthy']]);
+
+    const updates = instructionsFor('update');
+    expect(updates).toHaveLength(2);
+    expect(updates.every(update => update.config.docker_image === 'nginx:1.27')).toBe(true);
+  });
+
+  test('should start a surge replica on another worker before retiring the old one', async () => {
+    const service = await createReplicatedService(authToken, 1, { max_surge: 1, max_unavailable: 0 });
+    const [original] = await waitForRunning(service.id, 1);
+
+    await updateServiceImage(authToken, service.id, 'nginx:1.27').expect(200);
+    const rollout = await waitForRollout(authToken, service.id);
+
+    expect(rollout.status).toBe('completed');
+    expect(rollout.steps[0]).toMatchObject({ action: 'surge', replaces: original.id, status: 'healthy' });
+
+    const deployments = await getDeployments(service.id);
+    expect(deployments).toHaveLength(1);
+    expect(deployments[0].worker_id).not.toBe(original.worker_id);
+    expect(instructionsFor('remove')).toEqual([expect.objectContaining({ workerId: original.worker_id })]);
+  });
+
+  test('should roll back the service and updated replicas when a replica fails', async () => {
+    const service = await createReplicatedService(authToken, 2, { max_unavailable: 1 });
+    await waitForRunning(service.id, 2);
+
+    let updates = 0;
+    sendInstruction.mockImplementation(async (workerId, instruction) => {
+      if (instruction.action === 'update' && instruction.config.docker_image === 'nginx:broken' && ++updates === 2) {
+        return { status: 'failed', result: null, error: 'image crashed on start' };
+      }
+      return { status: 'success', result: {}, error: null };
+    });
+
+    await updateServiceImage(authToken, service.id, 'nginx:broken').expect(200);
+    const rollout = await waitForRollout(authToken, service.id);
+
+    expect(rollout.status).toBe('rolled_back');
+    expect(rollout.error).toContain('image crashed on start');
+
+    const restored = await request(app)
+      .get(`/api/v1/services/${service.id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+    expect(restored.body.service.docker_image).toBe('nginx:1.26');
+
+    const rollbacks = instructionsFor('update').filter(update => update.config.docker_image === 'nginx:1.26');
+    expect(rollbacks).toHaveLength(2);
+
+    const deployments = await waitForRunning(service.id, 2);
+    expect(deployments).toHaveLength(2);
+  });
+
+  test('should reject changes while a rollout is in progress', async () => {
+    const service = await createReplicatedService(authToken, 1);
+    await waitForRunning(service.id, 1);
+
+    let finish;
+    sendInstruction.mockImplementation(() => new Promise(resolve => {
+      finish = () => resolve({ status: 'success', result: {}, error: null });
+    }));
+
+    await updateServiceImage(authToken, service.id, 'nginx:1.27').expect(200);
+    const response = await updateServiceImage(authToken, service.id, 'nginx:1.28').expect(409);
+    expect(response.body.error.message).toBe('Service rollout is already in progress');
+
+    finish();
+    expect((await waitForRollout(authToken, service.id)).status).toBe('completed');
+  });
+
+  test('should not start a rollout for services without active replicas', async () => {
+    const service = await createReplicatedService(authToken, null);
+
+    await updateServiceImage(authToken, service.id, 'nginx:1.27').expect(200);
+
+    const response = await request(app)
+      .get(`/api/v1/services/${service.id}/rollout`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+    expect(response.body.rollout).toBeNull();
+    expect(await DeploymentRepository.findByServiceId(service.id)).toHaveLength(0);
+  });
+
+  test('should validate replicas', async () => {
+    const response = await request(app)
+      .post('/api/v1/services')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ name: uniqueId('svc'), docker_image: 'nginx:1.26', replicas: -1 })
+      .expect(400);
+
+    expect(response.body.error.message).toBe('Invalid replicas: must be a non-negative integer');
+  });
+
+  test('GET /api/v1/services/:id/rollout should return 404 for unknown service', async () => {
+    await request(app)
+      .get('/api/v1/services/nonexistent-id/rollout')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(404);
+  });
+});
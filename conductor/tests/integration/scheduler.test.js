@@ -0,0 +1,230 @@
+const request = require('supertest');
+const app = require('../../index');
+const { setupTestDatabase, cleanupTestData, createTestWorker, createTestService } = require('../helpers/dbHelper');
+const { uniqueId, createTestToken } = require('../helpers/testHelpers');
+const DeploymentRepository = require('../../api/repos/DeploymentRepository');
+
+describe('Scheduler Integration Tests', () => {
+  let authToken;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    authToken = await createTestToken({ role: 'admin' });
+  });
+
+  afterAll(async () => {
+    await cleanupTestData();
+  });
+
+  function workerResources(ramAvailableGb) {
+    return JSON.stringify({
+      cpu_cores: 8,
+      ram_gb: 1024,
+      disk_gb: 1000,
+      usage: { cpu_percent: 10, ram_available_gb: ramAvailableGb, disk_available_gb: 900 }
+    });
+  }
+
+  function bigService(config = {}) {
+    return createTestService({
+      name: uniqueId('svc'),
+      config: JSON.stringify({ requests: { cpu_cores: 1, ram_gb: 500 }, ...config })
+    });
+  }
+
+  test('POST /api/v1/deployments without worker_id should place on a worker with free capacity', async () => {
+    const small = await createTestWorker({ hostname: uniqueId('small'), resources: workerResources(100) });
+    const big = await createTestWorker({ hostname: uniqueId('big'), resources: workerResources(800) });
+    const service = await bigService();
+
+    const response = await request(app)
+      .post('/api/v1/deployments')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ service_id: service.id })
+      .expect(201);
+
+    expect(response.body.deployment.worker_id).toBe(big.id);
+    expect(response.body.deployment.placement.worker_id).toBe(big.id);
+
+    const smallRejection = response.body.deployment.placement.rejected.find(r => r.worker_id === small.id);
+    expect(smallRejection.reasons).toContain(
+      `worker ${small.hostname} rejected: 100 GB free RAM < 500 GB requested`
+    );
+  });
+
+  test('pending deployments should reserve capacity on their worker', async () => {
+    const worker = await createTestWorker({ hostname: uniqueId('big'), resources: workerResources(800) });
+    const first = await bigService();
+    const second = await bigService();
+
+    await request(app)
+      .post('/api/v1/deployments')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ service_id: first.id, worker_id: worker.id })
+      .expect(201);
+
+    const response = await request(app)
+      .get(`/api/v1/services/${second.id}/placement`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    const rejection = response.body.placement.rejected.find(r => r.worker_id === worker.id);
+    expect(rejection.reasons).toContain(
+      `worker ${worker.hostname} rejected: 300 GB free RAM < 500 GB requested`
+    );
+  });
+
+  test('should reject offline workers and workers missing required labels', async () => {
+    const offline = await createTestWorker({
+      hostname: uniqueId('offline'),
+      status: 'offline',
+      resources: workerResources(800)
+    });
+    const unlabeled = await createTestWorker({ hostname: uniqueId('unlabeled'), resources: workerResources(800) });
+    const service = await bigService({ constraints: { labels: { zone: 'garage' } } });
+
+    const response = await request(app)
+      .get(`/api/v1/services/${service.id}/placement`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    const { rejected } = response.body.placement;
+    expect(rejected.find(r => r.worker_id === offline.id).reasons).toContain(
+      `worker ${offline.hostname} rejected: status is offline`
+    );
+    expect(rejected.find(r => r.worker_id === unlabeled.id).reasons).toContain(
+      `worker ${unlabeled.hostname} rejected: missing label zone=garage`
+    );
+  });
+
+  test('should reject workers missing capabilities or with untolerated taints', async () => {
+    const plain = await createTestWorker({ hostname: uniqueId('plain'), resources: workerResources(800) });
+    const gpu = await createTestWorker({
+      hostname: uniqueId('gpu'),
+      resources: workerResources(800),
+      capabilities: JSON.stringify(['gpu']),
+      taints: JSON.stringify([{ key: 'dedicated', value: 'ml', effect: 'NoSchedule' }])
+    });
+
+    const untolerated = await bigService({ constraints: { capabilities: ['gpu'] } });
+    const response = await request(app)
+      .get(`/api/v1/services/${untolerated.id}/placement`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    const { rejected } = response.body.placement;
+    expect(rejected.find(r => r.worker_id === plain.id).reasons).toContain(
+      `worker ${plain.hostname} rejected: missing capability gpu`
+    );
+    expect(rejected.find(r => r.worker_id === gpu.id).reasons).toEqual([
+      `worker ${gpu.hostname} rejected: taint dedicated=ml:NoSchedule not tolerated`
+    ]);
+
+    const tolerating = await bigService({
+      constraints: { capabilities: ['gpu'], tolerations: [{ key: 'dedicated', value: 'ml' }] }
+    });
+    const placed = await request(app)
+      .get(`/api/v1/services/${tolerating.id}/placement`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(placed.body.placement.worker_id).toBe(gpu.id);
+  });
+
+  test('should rank workers with PreferNoSchedule taints below untainted workers', async () => {
+    const tainted = await createTestWorker({
+      hostname: uniqueId('tainted'),
+      resources: workerResources(1000),
+      labels: JSON.stringify({ pool: 'prefer' }),
+      taints: JSON.stringify([{ key: 'spot', value: null, effect: 'PreferNoSchedule' }])
+    });
+    const untainted = await createTestWorker({
+      hostname: uniqueId('untainted'),
+      resources: workerResources(700),
+      labels: JSON.stringify({ pool: 'prefer' })
+    });
+    const service = await bigService({ constraints: { labels: { pool: 'prefer' } } });
+
+    const response = await request(app)
+      .get(`/api/v1/services/${service.id}/placement`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body.placement.candidates.map(c => c.worker_id)).toEqual([untainted.id, tainted.id]);
+  });
+
+  test('POST /api/v1/deployments should return 409 with reasons when no worker fits', async () => {
+    const service = await createTestService({
+      name: uniqueId('svc'),
+      config: JSON.stringify({ requests: { ram_gb: 100000 } })
+    });
+
+    const response = await request(app)
+      .post('/api/v1/deployments')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ service_id: service.id })
+      .expect(409);
+
+    expect(response.body.error.message).toBe('No worker can run this service');
+    expect(response.body.placement.worker_id).toBeNull();
+    expect(response.body.placement.rejected.length).toBeGreaterThan(0);
+  });
+
+  test('POST /api/v1/deployments with worker_id should return 400 with reasons when the worker does not fit', async () => {
+    const tainted = await createTestWorker({
+      hostname: uniqueId('tainted'),
+      resources: workerResources(100),
+      taints: JSON.stringify([{ key: 'dedicated', value: 'db', effect: 'NoSchedule' }])
+    });
+    const service = await bigService();
+
+    const response = await request(app)
+      .post('/api/v1/deployments')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ service_id: service.id, worker_id: tainted.id })
+      .expect(400);
+
+    expect(response.body.error.message).toBe('Worker cannot run this service');
+    expect(response.body.placement.worker_id).toBe(tainted.id);
+    expect(response.body.placement.reasons).toEqual([
+      `worker ${tainted.hostname} rejected: taint dedicated=db:NoSchedule not tolerated`,
+      `worker ${tainted.hostname} rejected: 100 GB free RAM < 500 GB requested`
+    ]);
+  });
+
+  test('POST /api/v1/deployments with worker_id should accept a fitting worker even while it is offline', async () => {
+    const offline = await createTestWorker({ hostname: uniqueId('offline'), status: 'offline', resources: workerResources(800) });
+    const service = await bigService();
+
+    const response = await request(app)
+      .post('/api/v1/deployments')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ service_id: service.id, worker_id: offline.id })
+      .expect(201);
+
+    expect(response.body.deployment.worker_id).toBe(offline.id);
+  });
+
+  test('POST /api/v1/deployments/:id/reschedule should check the chosen worker', async () => {
+    const from = await createTestWorker({ hostname: uniqueId('from'), resources: workerResources(800) });
+    const to = await createTestWorker({ hostname: uniqueId('to'), resources: workerResources(800), labels: JSON.stringify({ zone: 'b' }) });
+    const service = await bigService({ constraints: { labels: { zone: 'a' } } });
+    const deployment = await DeploymentRepository.create({ service_id: service.id, worker_id: from.id, status: 'running' });
+
+    const response = await request(app)
+      .post(`/api/v1/deployments/${deployment.id}/reschedule`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ worker_id: to.id })
+      .expect(400);
+
+    expect(response.body.placement.reasons).toEqual([`worker ${to.hostname} rejected: label zone=b does not match zone=a`]);
+    expect((await DeploymentRepository.findById(deployment.id)).worker_id).toBe(from.id);
+  });
+
+  test('GET /api/v1/services/:id/placement should return 404 for unknown service', async () => {
+    await request(app)
+      .get('/api/v1/services/nonexistent-id/placement')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(404);
+  });
+});
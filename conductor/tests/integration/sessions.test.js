@@ -0,0 +1,170 @@
+const request = require('supertest');
+const app = require('../../index');
+const JWTService = require('../../api/services/JWTService');
+const { hashPassword } = require('../../api/utils/password');
+const { setupTestDatabase, cleanupTestData, createTestUser } = require('../helpers/dbHelper');
+const { uniqueId } = require('../helpers/testHelpers');
+
+describe('Session Integration Tests', () => {
+  let passwordHash;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    passwordHash = await hashPassword('secret123');
+  });
+
+  afterAll(async () => {
+    await cleanupTestData();
+  });
+
+  async function createUser() {
+    const username = uniqueId('session');
+    return await createTestUser({ username, email: `${username}@example.com`, password_hash: passwordHash, role: 'viewer' });
+  }
+
+  async function login(username, device) {
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .set('User-Agent', 'jest-agent')
+      .send({ username, password: 'secret123', device })
+      .expect(200);
+    return response.body;
+  }
+
+  function refresh(refreshToken) {
+    return request(app).post('/api/v1/auth/refresh').send({ refresh_token: refreshToken });
+  }
+
+  function me(token) {
+    return request(app).get('/api/v1/auth/me').set('Authorization', `Bearer ${token}`);
+  }
+
+  test('login should return a short-lived access token and a refresh token', async () => {
+    const user = await createUser();
+    const result = await login(user.username);
+
+    const decoded = JWTService.verifyToken(result.token);
+    expect(decoded.sid).toBeTruthy();
+    expect(decoded.exp - decoded.iat).toBe(60 * 60); // JWT_EXPIRES_IN is 1h in tests/setup.js
+    expect(result.refresh_token).toMatch(/^rt_[0-9a-f]{64}$/);
+  });
+
+  test('refresh tokens should rotate and a reused one should end the session', async () => {
+    const user = await createUser();
+    const first = await login(user.username);
+
+    const second = (await refresh(first.refresh_token).expect(200)).body;
+    expect(second.refresh_token).not.toBe(first.refresh_token);
+    await me(second.token).expect(200);
+
+    // The replaced token was leaked: reusing it revokes the whole session
+    const reused = await refresh(first.refresh_token).expect(401);
+    expect(reused.body.error.message).toBe('Invalid refresh token');
+    await refresh(second.refresh_token).expect(401);
+    await me(second.token).expect(401);
+
+    await request(app).post('/api/v1/auth/refresh').send({}).expect(400);
+  });
+
+  test('GET /api/v1/auth/sessions should list sessions and allow revoking one', async () => {
+    const user = await createUser();
+    const laptop = await login(user.username, 'Laptop');
+    const phone = await login(user.username);
+
+    const list = await request(app)
+      .get('/api/v1/auth/sessions')
+      .set('Authorization', `Bearer ${laptop.token}`)
+      .expect(200);
+
+    expect(list.body.sessions).toHaveLength(2);
+    const current = list.body.sessions.find(session => session.current);
+    const other = list.body.sessions.find(session => !session.current);
+    expect(current).toMatchObject({ device: 'Laptop' });
+    expect(current.ip_address).toBeTruthy();
+    expect(current.last_used_at).toBeTruthy();
+    expect(other.device).toBe('jest-agent');
+
+    await request(app)
+      .delete(`/api/v1/auth/sessions/${other.id}`)
+      .set('Authorization', `Bearer ${laptop.token}`)
+      .expect(200);
+
+    await me(phone.token).expect(401);
+    await refresh(phone.refresh_token).expect(401);
+    await me(laptop.token).expect(200);
+
+    // Sessions of other users cannot be revoked
+    const stranger = await login((await createUser()).username);
+    await request(app)
+      .delete(`/api/v1/auth/sessions/${current.id}`)
+      .set('Authorization', `Bearer ${stranger.token}`)
+      .expect(404);
+  });
+
+  test('sessions should record X-Forwarded-For only from trusted proxies', async () => {
+    const user = await createUser();
+    const trustProxy = app.get('trust proxy');
+
+    try {
+      const proxied = await request(app)
+        .post('/api/v1/auth/login')
+        .set('X-Forwarded-For', '198.51.100.20')
+        .send({ username: user.username, password: 'secret123', device: 'Proxied' })
+        .expect(200);
+
+      app.set('trust proxy', false);
+      await request(app)
+        .post('/api/v1/auth/login')
+        .set('X-Forwarded-For', '198.51.100.21')
+        .send({ username: user.username, password: 'secret123', device: 'Direct' })
+        .expect(200);
+
+      const list = await request(app)
+        .get('/api/v1/auth/sessions')
+        .set('Authorization', `Bearer ${proxied.body.token}`)
+        .expect(200);
+
+      expect(list.body.sessions.find(session => session.device === 'Proxied').ip_address).toBe('198.51.100.20');
+      expect(list.body.sessions.find(session => session.device === 'Direct').ip_address).not.toBe('198.51.100.21');
+    } finally {
+      app.set('trust proxy', trustProxy);
+    }
+  });
+
+  test('logout should end the session for the access and refresh token', async () => {
+    const user = await createUser();
+    const session = await login(user.username);
+
+    await request(app)
+      .post('/api/v1/auth/logout')
+      .set('Authorization', `Bearer ${session.token}`)
+      .expect(200);
+
+    const response = await me(session.token).expect(401);
+    expect(response.body.error.message).toBe('Session has ended');
+    await refresh(session.refresh_token).expect(401);
+  });
+
+  test('changing the password should end every other session', async () => {
+    const user = await createUser();
+    const current = await login(user.username);
+    const other = await login(user.username);
+
+    await request(app)
+      .post('/api/v1/auth/reset-password')
+      .set('Authorization', `Bearer ${current.token}`)
+      .send({ currentPassword: 'secret123', newPassword: 'secret456' })
+      .expect(200);
+
+    await me(current.token).expect(200);
+    await refresh(current.refresh_token).expect(200);
+    await me(other.token).expect(401);
+    await refresh(other.refresh_token).expect(401);
+  });
+
+  test('access tokens without a session should be rejected', async () => {
+    const user = await createUser();
+
+    await me(JWTService.generateToken(user)).expect(401);
+  });
+});
@@ -87,6 +87,18 @@ describe('Token Service Integration Tests', () => {
       const currentToken = await TokenService.getCurrentToken();
       expect(currentToken).toBeNull();
     });
+
+    test('should skip named tokens and default tokens that can no longer be used', async () => {
+      await TokenRepository.invalidateAllTokens();
+
+      const token = await TokenService.generateRegistrationToken();
+      const expired = await TokenService.generateRegistrationToken();
+      const [expiredRecord] = await Token.findAll({ where: { token: expired } });
+      await Token.update(expiredRecord.id, { expires_at: new Date(Date.now() - 1000).toISOString() });
+      await TokenService.createToken({ name: 'rack-2', max_uses: 5 });
+
+      expect(await TokenService.getCurrentToken()).toBe(token);
+    });
   });
 
   describe('TokenService.regenerateToken', () => {
@@ -106,6 +118,15 @@ describe('Token Service Integration Tests', () => {
       expect(newTokenValid).toBe(true);
     });
 
+    test('should leave named tokens active', async () => {
+      const named = await TokenService.createToken({ name: 'garage', max_uses: 3 });
+
+      await TokenService.regenerateToken();
+
+      expect(await TokenService.validateToken(named.token)).toBe(true);
+      expect((await TokenService.getToken(named.id)).status).toBe('active');
+    });
+
     test('should return new token as current token', async () => {
       const newToken = await TokenService.regenerateToken();
       const currentToken = await TokenService.getCurrentToken();
@@ -115,7 +136,7 @@ describe('Token Service Integration Tests', () => {
   });
 
   describe('TokenRepository', () => {
-    test('should find active token', async () => {
+    test('should find active tokens, newest first', async () => {
       // Clean up any existing tokens first
       await TokenRepository.invalidateAllTokens();
       
@@ -123,10 +144,9 @@ describe('Token Service Integration Tests', () => {
       await TokenRepository.invalidateToken(token1);
       const token2 = await TokenService.generateRegistrationToken();
 
-      const activeToken = await TokenRepository.findActiveToken();
-      expect(activeToken).not.toBeNull();
-      expect(activeToken.token).toBe(token2);
-      expect(activeToken.active).toBe(1);
+      const activeTokens = await TokenRepository.findActiveTokens();
+      expect(activeTokens.map(token => token.token)).toEqual([token2]);
+      expect(activeTokens[0].active).toBe(1);
     });
 
     test('should invalidate specific token', async () => {
@@ -144,8 +164,8 @@ describe('Token Service Integration Tests', () => {
 
       expect(count).toBeGreaterThan(0);
 
-      const activeToken = await TokenRepository.findActiveToken();
-      expect(activeToken).toBeNull();
+      const activeTokens = await TokenRepository.findActiveTokens();
+      expect(activeTokens).toHaveLength(0);
     });
   });
 });
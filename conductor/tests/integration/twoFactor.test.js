@@ -0,0 +1,211 @@
+const request = require('supertest');
+const app = require('../../index');
+const totp = require('../../api/utils/totp');
+const { hashPassword } = require('../../api/utils/password');
+const { setupTestDatabase, cleanupTestData, createTestUser } = require('../helpers/dbHelper');
+const { uniqueId, createTestToken } = require('../helpers/testHelpers');
+
+describe('Two-Factor Authentication Integration Tests', () => {
+  let passwordHash;
+  let adminToken;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    passwordHash = await hashPassword('secret123');
+    adminToken = await createTestToken({ role: 'admin' });
+  });
+
+  afterAll(async () => {
+    await cleanupTestData();
+  });
+
+  async function createUser(role = 'viewer') {
+    const username = uniqueId('twofactor');
+    return await createTestUser({ username, email: `${username}@example.com`, password_hash: passwordHash, role });
+  }
+
+  function login(username) {
+    return request(app).post('/api/v1/auth/login').send({ username, password: 'secret123' });
+  }
+
+  function asUser(token, method, url) {
+    return request(app)[method](url).set('Authorization', `Bearer ${token}`);
+  }
+
+  function setRequired(token, required) {
+    return asUser(token, 'put', '/api/v1/settings/security')
+      .send({ require_two_factor: required })
+      .expect(200);
+  }
+
+  /**
+   * Log in and enroll in 2FA
+   * @returns {Promise<object>} { token, secret, counter, recoveryCodes }
+   */
+  async function enroll(user) {
+    const token = (await login(user.username).expect(200)).body.token;
+    const setup = await asUser(token, 'post', '/api/v1/auth/2fa/setup').expect(200);
+    const counter = totp.getCounter();
+    const enabled = await asUser(token, 'post', '/api/v1/auth/2fa/enable')
+      .send({ code: totp.generateCode(setup.body.secret, counter) })
+      .expect(200);
+
+    return { token, secret: setup.body.secret, counter, recoveryCodes: enabled.body.recovery_codes };
+  }
+
+  test('setup should return a provisioning URI and QR code for authenticator apps', async () => {
+    const user = await createUser();
+    const token = (await login(user.username).expect(200)).body.token;
+
+    const response = await asUser(token, 'post', '/api/v1/auth/2fa/setup').expect(200);
+    expect(response.body.secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(response.body.otpauth_url).toBe(
+      `otpauth://totp/aerekos-cloud%3A${user.username}?secret=${response.body.secret}&issuer=aerekos-cloud&algorithm=SHA1&digits=6&period=30`
+    );
+    expect(response.body.qr_code).toMatch(/^data:image\/png;base64,/);
+
+    const wrong = await asUser(token, 'post', '/api/v1/auth/2fa/enable').send({ code: '000000' }).expect(400);
+    expect(wrong.body.error.message).toBe('Invalid two-factor code');
+
+    const status = await asUser(token, 'get', '/api/v1/auth/2fa').expect(200);
+    expect(status.body.two_factor).toMatchObject({ enabled: false, required: false, setup_required: false });
+  });
+
+  test('login should need a second step with a TOTP code once enrolled', async () => {
+    const user = await createUser();
+    const { token, secret, counter, recoveryCodes } = await enroll(user);
+
+    expect(recoveryCodes).toHaveLength(10);
+    const status = await asUser(token, 'get', '/api/v1/auth/2fa').expect(200);
+    expect(status.body.two_factor).toMatchObject({ enabled: true, recovery_codes_remaining: 10 });
+
+    const first = await login(user.username).expect(200);
+    expect(first.body).toEqual({ two_factor_required: true, challenge_token: expect.any(String) });
+
+    // The challenge token is not an access token
+    await asUser(first.body.challenge_token, 'get', '/api/v1/auth/me').expect(401);
+
+    // The code used to enroll cannot be replayed
+    const replay = await request(app)
+      .post('/api/v1/auth/login/2fa')
+      .send({ challenge_token: first.body.challenge_token, code: totp.generateCode(secret, counter) })
+      .expect(401);
+    expect(replay.body.error.message).toBe('Invalid two-factor code');
+
+    const second = await request(app)
+      .post('/api/v1/auth/login/2fa')
+      .send({ challenge_token: first.body.challenge_token, code: totp.generateCode(secret, counter + 1) })
+      .expect(200);
+    expect(second.body.refresh_token).toBeTruthy();
+    expect(second.body.user.two_factor_enabled).toBe(true);
+    await asUser(second.body.token, 'get', '/api/v1/auth/me').expect(200);
+
+    const invalid = await request(app)
+      .post('/api/v1/auth/login/2fa')
+      .send({ challenge_token: 'not-a-token', code: '123456' })
+      .expect(401);
+    expect(invalid.body.error.message).toBe('Invalid two-factor challenge');
+  });
+
+  test('recovery codes should work once each', async () => {
+    const user = await createUser();
+    const { token, recoveryCodes } = await enroll(user);
+
+    const challenge = async () => (await login(user.username).expect(200)).body.challenge_token;
+
+    await request(app)
+      .post('/api/v1/auth/login/2fa')
+      .send({ challenge_token: await challenge(), code: recoveryCodes[0].toUpperCase() })
+      .expect(200);
+
+    await request(app)
+      .post('/api/v1/auth/login/2fa')
+      .send({ challenge_token: await challenge(), code: recoveryCodes[0] })
+      .expect(401);
+
+    const status = await asUser(token, 'get', '/api/v1/auth/2fa').expect(200);
+    expect(status.body.two_factor.recovery_codes_remaining).toBe(9);
+  });
+
+  test('disabling should need the password and a code', async () => {
+    const user = await createUser();
+    const { token, recoveryCodes } = await enroll(user);
+
+    const password = await asUser(token, 'post', '/api/v1/auth/2fa/disable')
+      .send({ password: 'wrong', code: recoveryCodes[0] })
+      .expect(401);
+    expect(password.body.error.message).toBe('Current password is incorrect');
+
+    await asUser(token, 'post', '/api/v1/auth/2fa/disable')
+      .send({ password: 'secret123', code: '000000' })
+      .expect(400);
+
+    await asUser(token, 'post', '/api/v1/auth/2fa/disable')
+      .send({ password: 'secret123', code: recoveryCodes[1] })
+      .expect(200);
+
+    const again = await login(user.username).expect(200);
+    expect(again.body.token).toBeTruthy();
+  });
+
+  test('admins should be able to require 2FA for all users', async () => {
+    const user = await createUser();
+    const token = (await login(user.username).expect(200)).body.token;
+    const enrolled = await enroll(await createUser());
+    const admin = await enroll(await createUser('admin'));
+
+    const notEnrolled = await asUser(adminToken, 'put', '/api/v1/settings/security')
+      .send({ require_two_factor: true })
+      .expect(409);
+    expect(notEnrolled.body.error.message).toBe('Cannot require two-factor authentication before enabling it for your own account');
+
+    await setRequired(admin.token, true);
+    try {
+      const blocked = await asUser(token, 'get', '/api/v1/workers').expect(403);
+      expect(blocked.body.error.message).toBe('Two-factor authentication setup is required');
+
+      // Users can still see who they are and enroll
+      const me = await asUser(token, 'get', '/api/v1/auth/me').expect(200);
+      expect(me.body.user.two_factor_setup_required).toBe(true);
+
+      const cannotDisable = await asUser(enrolled.token, 'post', '/api/v1/auth/2fa/disable')
+        .send({ password: 'secret123', code: enrolled.recoveryCodes[0] })
+        .expect(409);
+      expect(cannotDisable.body.error.message).toBe('Cannot disable two-factor authentication while it is required for all users');
+
+      await enroll(user);
+      await asUser(token, 'get', '/api/v1/workers').expect(200);
+      // Admins without 2FA are blocked like everyone else
+      await asUser(adminToken, 'get', '/api/v1/settings/security').expect(403);
+    } finally {
+      await setRequired(admin.token, false);
+    }
+  });
+
+  test('security settings should require settings:manage and be validated', async () => {
+    const operatorToken = await createTestToken({ role: 'operator' });
+    await asUser(operatorToken, 'put', '/api/v1/settings/security')
+      .send({ require_two_factor: true })
+      .expect(403);
+
+    const invalid = await asUser(adminToken, 'put', '/api/v1/settings/security')
+      .send({ require_two_factor: 'yes' })
+      .expect(400);
+    expect(invalid.body.error.message).toBe('Invalid settings: require_two_factor must be true or false');
+
+    const response = await asUser(adminToken, 'get', '/api/v1/settings/security').expect(200);
+    expect(response.body.settings).toEqual({ require_two_factor: false });
+  });
+
+  test('admins should be able to reset 2FA for a user', async () => {
+    const user = await createUser();
+    await enroll(user);
+
+    await asUser(adminToken, 'post', `/api/v1/users/${user.id}/two-factor/reset`).expect(200);
+
+    const response = await login(user.username).expect(200);
+    expect(response.body.token).toBeTruthy();
+
+    await asUser(adminToken, 'post', '/api/v1/users/nonexistent-id/two-factor/reset').expect(404);
+  });
+});
@@ -0,0 +1,168 @@
+const request = require('supertest');
+const app = require('../../index');
+const JWTService = require('../../api/services/JWTService');
+const { User } = require('../../api/models');
+const { setupTestDatabase, cleanupTestData } = require('../helpers/dbHelper');
+const { uniqueId, createTestToken } = require('../helpers/testHelpers');
+
+describe('Roles and User Management Integration Tests', () => {
+  let adminToken;
+  let adminId;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    adminToken = await createTestToken({ role: 'admin' });
+    adminId = JWTService.verifyToken(adminToken).id;
+  });
+
+  afterAll(async () => {
+    await cleanupTestData();
+  });
+
+  function asUser(token, method, url) {
+    return request(app)[method](url).set('Authorization', `Bearer ${token}`);
+  }
+
+  function createUser(body) {
+    const username = uniqueId('member');
+    return asUser(adminToken, 'post', '/api/v1/users')
+      .send({ username, email: `${username}@example.com`, password: 'secret123', ...body });
+  }
+
+  test('viewers should be able to read but not change anything', async () => {
+    const viewerToken = await createTestToken({ role: 'viewer' });
+
+    await asUser(viewerToken, 'get', '/api/v1/workers').expect(200);
+    await asUser(viewerToken, 'get', '/api/v1/services').expect(200);
+    await asUser(viewerToken, 'get', '/api/v1/deployments').expect(200);
+    await asUser(viewerToken, 'get', '/api/v1/reconciliation').expect(200);
+
+    const response = await asUser(viewerToken, 'post', '/api/v1/services')
+      .send({ name: uniqueId('service') })
+      .expect(403);
+    expect(response.body.error.message).toBe('Permission denied: services:write is required');
+
+    await asUser(viewerToken, 'post', '/api/v1/reconciliation/run').expect(403);
+    await asUser(viewerToken, 'post', '/api/v1/token/regenerate').expect(403);
+    await asUser(viewerToken, 'get', '/api/v1/token').expect(403);
+  });
+
+  test('operators should manage services but not tokens or users', async () => {
+    const operatorToken = await createTestToken({ role: 'operator' });
+
+    await asUser(operatorToken, 'post', '/api/v1/services')
+      .send({ name: uniqueId('service'), docker_image: 'nginx:latest' })
+      .expect(201);
+
+    await asUser(operatorToken, 'post', '/api/v1/token/regenerate').expect(403);
+    await asUser(operatorToken, 'get', '/api/v1/tokens').expect(403);
+    await asUser(operatorToken, 'get', '/api/v1/users').expect(403);
+  });
+
+  test('POST /api/v1/users should create a user who can log in', async () => {
+    const username = uniqueId('operator');
+    const response = await createUser({ username, email: `${username}@example.com`, role: 'operator' })
+      .expect(201);
+
+    expect(response.body.user).toMatchObject({ username, role: 'operator', disabled: false });
+    expect(response.body.user.permissions).toContain('services:write');
+    expect(response.body.user).not.toHaveProperty('password_hash');
+
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ username, password: 'secret123' })
+      .expect(200);
+    expect(login.body.user.permissions).not.toContain('users:manage');
+
+    const list = await asUser(adminToken, 'get', '/api/v1/users').expect(200);
+    expect(list.body.users.map(user => user.id)).toContain(response.body.user.id);
+  });
+
+  test('POST /api/v1/users should validate the user', async () => {
+    const username = uniqueId('member');
+
+    const role = await createUser({ role: 'root' }).expect(400);
+    expect(role.body.error.message).toBe('Invalid role: must be one of admin, operator, viewer');
+
+    const password = await createUser({ password: '123' }).expect(400);
+    expect(password.body.error.message).toBe('Invalid user: password must be at least 6 characters long');
+
+    const email = await createUser({ email: 'nope' }).expect(400);
+    expect(email.body.error.message).toBe('Invalid user: email is not valid');
+
+    await createUser({ username }).expect(201);
+    const duplicate = await createUser({ username }).expect(409);
+    expect(duplicate.body.error.message).toBe('User already exists');
+  });
+
+  test('role changes should apply to existing tokens immediately', async () => {
+    const viewerToken = await createTestToken({ role: 'viewer' });
+    const viewerId = JWTService.verifyToken(viewerToken).id;
+
+    await asUser(viewerToken, 'post', '/api/v1/reconciliation/run').expect(403);
+
+    const response = await asUser(adminToken, 'put', `/api/v1/users/${viewerId}/role`)
+      .send({ role: 'operator' })
+      .expect(200);
+    expect(response.body.user.role).toBe('operator');
+
+    await asUser(viewerToken, 'post', '/api/v1/reconciliation/run').expect(200);
+
+    await asUser(adminToken, 'put', `/api/v1/users/${viewerId}/role`)
+      .send({ role: 'superuser' })
+      .expect(400);
+  });
+
+  test('disabled users should be locked out until enabled again', async () => {
+    const username = uniqueId('member');
+    const created = (await createUser({ username, email: `${username}@example.com` }).expect(201)).body.user;
+    const token = (await request(app)
+      .post('/api/v1/auth/login')
+      .send({ username, password: 'secret123' })
+      .expect(200)).body.token;
+
+    const disabled = await asUser(adminToken, 'post', `/api/v1/users/${created.id}/disable`).expect(200);
+    expect(disabled.body.user.disabled).toBe(true);
+
+    const rejected = await asUser(token, 'get', '/api/v1/auth/me').expect(401);
+    expect(rejected.body.error.message).toBe('Account is disabled');
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ username, password: 'secret123' })
+      .expect(403);
+    expect(login.body.error.message).toBe('Account is disabled');
+
+    await asUser(adminToken, 'post', `/api/v1/users/${created.id}/enable`).expect(200);
+    await asUser(token, 'get', '/api/v1/auth/me').expect(200);
+  });
+
+  test('admins should not be able to disable themselves or remove the last admin', async () => {
+    const self = await asUser(adminToken, 'post', `/api/v1/users/${adminId}/disable`).expect(409);
+    expect(self.body.error.message).toBe('Cannot disable your own account');
+
+    // Leave this admin as the only enabled one
+    const otherAdmins = (await User.findAll()).filter(user => user.role === 'admin' && user.id !== adminId);
+    for (const user of otherAdmins) {
+      await User.update(user.id, { role: 'viewer' });
+    }
+
+    const demote = await asUser(adminToken, 'put', `/api/v1/users/${adminId}/role`)
+      .send({ role: 'viewer' })
+      .expect(409);
+    expect(demote.body.error.message).toBe('Cannot remove the last admin');
+
+    await asUser(adminToken, 'put', '/api/v1/users/nonexistent-id/role')
+      .send({ role: 'viewer' })
+      .expect(404);
+  });
+
+  test('user management should require the users:manage permission', async () => {
+    await request(app).get('/api/v1/users').expect(401);
+
+    const operatorToken = await createTestToken({ role: 'operator' });
+    const response = await asUser(operatorToken, 'post', '/api/v1/users')
+      .send({ username: uniqueId('member'), email: 'member@example.com', password: 'secret123' })
+      .expect(403);
+    expect(response.body.error.message).toBe('Permission denied: users:manage is required');
+  });
+});
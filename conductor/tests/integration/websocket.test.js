@@ -5,7 +5,12 @@ const WorkerSocketService = require('../../api/services/WorkerSocketService');
 const WorkerService = require('../../api/services/WorkerService');
 const TokenService = require('../../api/services/TokenService');
 const TokenRepository = require('../../api/repos/TokenRepository');
+const JWTService = require('../../api/services/JWTService');
+const ApiKeyService = require('../../api/services/ApiKeyService');
+const SessionService = require('../../api/services/SessionService');
+const UserService = require('../../api/services/UserService');
 const { setupTestDatabase, cleanupTestData, createTestWorker } = require('../helpers/dbHelper');
+const { createTestToken } = require('../helpers/testHelpers');
 
 // Ensure app doesn't try to seed users in test mode
 process.env.NODE_ENV = 'test';
@@ -15,9 +20,11 @@ describe('WorkerSocketService Integration Tests', () => {
   let socketService;
   let registrationToken;
   let testWorker;
+  let frontendToken;
 
   beforeAll(async () => {
     await setupTestDatabase();
+    frontendToken = await createTestToken({ role: 'viewer' });
     
     // Create registration token using TokenService singleton
     registrationToken = await TokenService.generateRegistrationToken();
@@ -138,7 +145,8 @@ describe('WorkerSocketService Integration Tests', () => {
       });
       
       const frontendClient = Client(`http://localhost:${port}/frontend`, {
-        transports: ['websocket', 'polling']
+        transports: ['websocket', 'polling'],
+        auth: { token: frontendToken }
       });
 
       let workerId;
@@ -221,11 +229,13 @@ describe('WorkerSocketService Integration Tests', () => {
       });
       
       const frontendClient1 = Client(`http://localhost:${port}/frontend`, {
-        transports: ['websocket', 'polling']
+        transports: ['websocket', 'polling'],
+        auth: { token: frontendToken }
       });
       
       const frontendClient2 = Client(`http://localhost:${port}/frontend`, {
-        transports: ['websocket', 'polling']
+        transports: ['websocket', 'polling'],
+        auth: { token: frontendToken }
       });
 
       let workerId;
@@ -305,7 +315,8 @@ describe('WorkerSocketService Integration Tests', () => {
       });
       
       const frontendClient = Client(`http://localhost:${port}/frontend`, {
-        transports: ['websocket', 'polling']
+        transports: ['websocket', 'polling'],
+        auth: { token: frontendToken }
       });
 
       let workerId;
@@ -362,7 +373,8 @@ describe('WorkerSocketService Integration Tests', () => {
       });
       
       const frontendClient = Client(`http://localhost:${port}/frontend`, {
-        transports: ['websocket', 'polling']
+        transports: ['websocket', 'polling'],
+        auth: { token: frontendToken }
       });
 
       let workerId;
@@ -406,7 +418,8 @@ describe('WorkerSocketService Integration Tests', () => {
     test('should handle worker:subscribe and worker:unsubscribe', (done) => {
       const port = httpServer.address().port;
       const frontendClient = Client(`http://localhost:${port}/frontend`, {
-        transports: ['websocket', 'polling']
+        transports: ['websocket', 'polling'],
+        auth: { token: frontendToken }
       });
 
       frontendClient.on('connect', () => {
@@ -432,5 +445,230 @@ describe('WorkerSocketService Integration Tests', () => {
       }, 5000);
     });
   });
-});
 
+  describe('Frontend Authentication', () => {
+    const clients = [];
+
+    afterEach(() => {
+      clients.splice(0).forEach(client => client.disconnect());
+    });
+
+    function connectFrontend(auth) {
+      const port = httpServer.address().port;
+      const client = Client(`http://localhost:${port}/frontend`, { transports: ['websocket'], auth, reconnection: false });
+      clients.push(client);
+      return new Promise((resolve, reject) => {
+        client.on('connect', () => resolve(client));
+        client.on('connect_error', reject);
+      });
+    }
+
+    function nextEvent(client, event, timeoutMs = 300) {
+      return new Promise(resolve => {
+        const timer = setTimeout(() => resolve(null), timeoutMs);
+        client.once(event, data => {
+          clearTimeout(timer);
+          resolve(data);
+        });
+      });
+    }
+
+    test('should reject frontend clients without a valid token', async () => {
+      await expect(connectFrontend({})).rejects.toThrow('No token provided');
+      await expect(connectFrontend({ token: 'not-a-jwt' })).rejects.toThrow();
+    });
+
+    test('should only send cluster events to clients with events:read', async () => {
+      const viewer = await connectFrontend({ token: frontendToken });
+      const owner = { id: JWTService.verifyToken(frontendToken).id, role: 'viewer' };
+      const { key } = await ApiKeyService.createApiKey(owner, { name: 'socket-workers', scopes: ['workers:read'] });
+      const scoped = await connectFrontend({ token: key });
+
+      const received = Promise.all([nextEvent(viewer, 'cluster:event'), nextEvent(scoped, 'cluster:event')]);
+      socketService.broadcastToFrontend('cluster:event', { sequence: 1, type: 'worker.connected' });
+
+      const [viewerEvent, scopedEvent] = await received;
+      expect(viewerEvent).toEqual({ sequence: 1, type: 'worker.connected' });
+      expect(scopedEvent).toBeNull();
+    });
+
+    test('should send each event family only to clients with its read permission', async () => {
+      const owner = { id: JWTService.verifyToken(frontendToken).id, role: 'viewer' };
+      const { key } = await ApiKeyService.createApiKey(owner, { name: 'socket-alerts', scopes: ['alerts:read'] });
+      const alertsOnly = await connectFrontend({ token: key });
+
+      const alert = nextEvent(alertsOnly, 'alert:notification');
+      const offline = nextEvent(alertsOnly, 'worker:offline');
+      socketService.broadcastToFrontend('alert:notification', { id: 'alert-1' });
+      socketService.broadcastToFrontend('worker:offline', { workerId: testWorker.id });
+
+      expect(await alert).toEqual({ id: 'alert-1' });
+      expect(await offline).toBeNull();
+
+      // Live updates need workers:read too
+      alertsOnly.emit('worker:subscribe', { workerId: testWorker.id });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const live = nextEvent(alertsOnly, 'worker:live:update');
+      socketService.io.of('/frontend').to(`worker:${testWorker.id}`).emit('worker:live:update', { workerId: testWorker.id });
+      expect(await live).toBeNull();
+    });
+
+    test('should disconnect frontend clients whose session is revoked', async () => {
+      const token = await createTestToken({ role: 'viewer' });
+      const decoded = JWTService.verifyToken(token);
+      const client = await connectFrontend({ token });
+      const other = await connectFrontend({ token: frontendToken });
+
+      const ended = nextEvent(client, 'auth:ended');
+      const disconnected = nextEvent(client, 'disconnect');
+      await SessionService.revokeSession(decoded.sid, decoded.id);
+
+      expect(await ended).toEqual({ reason: 'Session has ended' });
+      expect(await disconnected).toBe('io server disconnect');
+      expect(other.connected).toBe(true);
+    });
+
+    test('should disconnect frontend clients of a revoked API key or disabled user', async () => {
+      const token = await createTestToken({ role: 'viewer' });
+      const owner = { id: JWTService.verifyToken(token).id, role: 'viewer' };
+      const { key, api_key: apiKey } = await ApiKeyService.createApiKey(owner, { name: 'socket-revoked', scopes: ['workers:read'] });
+      const keyClient = await connectFrontend({ token: key });
+      const ownerClient = await connectFrontend({ token });
+
+      const keyEnded = nextEvent(keyClient, 'auth:ended');
+      await ApiKeyService.revokeApiKey(apiKey.id, owner);
+      expect(await keyEnded).toEqual({ reason: 'API key is revoked' });
+
+      const ownerEnded = nextEvent(ownerClient, 'auth:ended');
+      await UserService.setDisabled(owner.id, true, 'another-admin');
+      expect(await ownerEnded).toEqual({ reason: 'Account is disabled' });
+    });
+  });
+
+  describe('Deployment Instructions', () => {
+    let client;
+
+    afterEach(() => {
+      if (client) {
+        client.disconnect();
+        client = null;
+      }
+      socketService.pendingInstructions.clear();
+      socketService.instructionQueues.clear();
+      socketService.instructionAckTimeout = 10 * 1000;
+      socketService.instructionMaxAttempts = 3;
+      socketService.instructionQueueTtl = 15 * 60 * 1000;
+    });
+
+    function connectWorker(onInstruction) {
+      const port = httpServer.address().port;
+      client = Client(`http://localhost:${port}`, {
+        transports: ['websocket', 'polling']
+      });
+
+      if (onInstruction) {
+        client.on('worker:deploy', onInstruction);
+      }
+
+      return new Promise((resolve, reject) => {
+        client.on('connect', () => {
+          client.emit('worker:register', {
+            token: registrationToken,
+            hostname: 'test-worker-instructions',
+            ip_address: '127.0.0.1',
+            resources: { cpu_cores: 4 },
+            worker_id: testWorker.id
+          });
+        });
+        client.on('worker:registered', resolve);
+        client.on('error', (error) => reject(new Error(error.message)));
+      });
+    }
+
+    test('should queue instructions for a disconnected worker and deliver them on registration', async () => {
+      const received = [];
+      const result = socketService.sendInstruction(testWorker.id, {
+        action: 'deploy',
+        service: 'test-service',
+        config: { docker_image: 'nginx:alpine' }
+      });
+
+      expect(socketService.instructionQueues.get(testWorker.id)).toHaveLength(1);
+
+      await connectWorker((instruction) => {
+        received.push(instruction);
+        client.emit('worker:deploy:ack', { id: instruction.id });
+        client.emit('worker:deploy:result', {
+          id: instruction.id,
+          status: 'success',
+          result: { container: { id: 'container-123' } }
+        });
+      });
+
+      const outcome = await result;
+      expect(received).toHaveLength(1);
+      expect(received[0]).toMatchObject({ action: 'deploy', service: 'test-service', attempt: 1 });
+      expect(outcome).toEqual({
+        id: received[0].id,
+        status: 'success',
+        result: { container: { id: 'container-123' } },
+        error: null
+      });
+      expect(socketService.pendingInstructions.size).toBe(0);
+    });
+
+    test('should resend instructions that are not acknowledged', async () => {
+      socketService.instructionAckTimeout = 100;
+      const attempts = [];
+
+      await connectWorker((instruction) => {
+        attempts.push(instruction.attempt);
+        if (instruction.attempt === 2) {
+          client.emit('worker:deploy:ack', { id: instruction.id });
+          client.emit('worker:deploy:result', { id: instruction.id, status: 'failed', error: 'image not found' });
+        }
+      });
+
+      const outcome = await socketService.sendInstruction(testWorker.id, { action: 'deploy', service: 'test-service' });
+
+      expect(attempts).toEqual([1, 2]);
+      expect(outcome.status).toBe('failed');
+      expect(outcome.error).toBe('image not found');
+    });
+
+    test('should fail instructions after the maximum number of attempts', async () => {
+      socketService.instructionAckTimeout = 50;
+      socketService.instructionMaxAttempts = 2;
+      const attempts = [];
+
+      await connectWorker((instruction) => attempts.push(instruction.attempt));
+
+      await expect(
+        socketService.sendInstruction(testWorker.id, { action: 'stop', service: 'test-service' })
+      ).rejects.toThrow('was not acknowledged after 2 attempts');
+      expect(attempts).toEqual([1, 2]);
+    });
+
+    test('should fail queued instructions when the worker does not connect in time', async () => {
+      socketService.instructionQueueTtl = 50;
+
+      await expect(
+        socketService.sendInstruction(testWorker.id, { action: 'deploy', service: 'test-service' })
+      ).rejects.toThrow('Worker did not connect within 0.05s');
+      expect(socketService.instructionQueues.has(testWorker.id)).toBe(false);
+      expect(socketService.pendingInstructions.size).toBe(0);
+    });
+
+    test('should drop queued instructions of a deployment moved to another worker', async () => {
+      const moved = socketService.sendInstruction(testWorker.id, { action: 'deploy', service: 'test-service', deployment_id: 'deployment-1' });
+      const other = socketService.sendInstruction(testWorker.id, { action: 'deploy', service: 'other-service', deployment_id: 'deployment-2' });
+
+      expect(socketService.dropQueuedInstructions(testWorker.id, 'deployment-1', 'Deployment was moved to another worker')).toBe(1);
+      await expect(moved).rejects.toThrow('Deployment was moved to another worker');
+      expect(socketService.instructionQueues.get(testWorker.id)).toHaveLength(1);
+
+      socketService.dropQueuedInstructions(testWorker.id, 'deployment-2', 'Test finished');
+      await expect(other).rejects.toThrow('Test finished');
+    });
+  });
+});
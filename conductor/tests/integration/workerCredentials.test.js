@@ -0,0 +1,112 @@
+const request = require('supertest');
+const app = require('../../index');
+const { setupTestDatabase, cleanupTestData } = require('../helpers/dbHelper');
+const { uniqueId, createTestToken } = require('../helpers/testHelpers');
+const TokenService = require('../../api/services/TokenService');
+const WorkerSocketService = require('../../api/services/WorkerSocketService');
+
+describe('Worker Credential Integration Tests', () => {
+  let authToken;
+  let registrationToken;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    authToken = await createTestToken({ role: 'admin' });
+    registrationToken = await TokenService.getCurrentToken() || await TokenService.generateRegistrationToken();
+  });
+
+  afterAll(async () => {
+    await cleanupTestData();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function register(body) {
+    return request(app)
+      .post('/api/v1/workers/register')
+      .send({ ip_address: '10.0.11.1', resources: {}, ...body });
+  }
+
+  function heartbeat(workerId, credential) {
+    return request(app)
+      .post(`/api/v1/workers/${workerId}/heartbeat`)
+      .set('Authorization', `Bearer ${credential}`);
+  }
+
+  test('registering with the token should issue a credential the worker can use instead', async () => {
+    const hostname = uniqueId('enrolled');
+    const registered = await register({ token: registrationToken, hostname }).expect(201);
+    const { worker, credential } = registered.body;
+
+    expect(credential).toMatch(/^wkr_[0-9a-f]{64}$/);
+    expect(worker.credential_issued_at).toBeTruthy();
+    expect(worker).not.toHaveProperty('credential_hash');
+    await heartbeat(worker.id, credential).expect(200);
+
+    const reregistered = await register({ hostname, worker_id: worker.id, credential }).expect(201);
+    expect(reregistered.body.worker.id).toBe(worker.id);
+    expect(reregistered.body.credential).toBeNull();
+    await heartbeat(worker.id, credential).expect(200);
+  });
+
+  test('registering with the token again should replace the previous credential', async () => {
+    const hostname = uniqueId('reenrolled');
+    const first = await register({ token: registrationToken, hostname }).expect(201);
+    const second = await register({ token: registrationToken, hostname, worker_id: first.body.worker.id }).expect(201);
+
+    expect(second.body.worker.id).toBe(first.body.worker.id);
+    expect(second.body.credential).not.toBe(first.body.credential);
+    await heartbeat(first.body.worker.id, first.body.credential).expect(401);
+    await heartbeat(first.body.worker.id, second.body.credential).expect(200);
+  });
+
+  test('should reject registration with a wrong credential', async () => {
+    const registered = await register({ token: registrationToken, hostname: uniqueId('wrong') }).expect(201);
+
+    const response = await register({
+      hostname: uniqueId('wrong'),
+      worker_id: registered.body.worker.id,
+      credential: 'wkr_not-the-credential'
+    }).expect(401);
+
+    expect(response.body.error.message).toBe('Invalid worker credential');
+  });
+
+  test('DELETE /api/v1/workers/:id/credential should revoke only that worker', async () => {
+    const disconnect = jest.spyOn(WorkerSocketService, 'disconnectWorker');
+    const revoked = await register({ token: registrationToken, hostname: uniqueId('revoked') }).expect(201);
+    const other = await register({ token: registrationToken, hostname: uniqueId('other'), ip_address: '10.0.11.2' }).expect(201);
+    const workerId = revoked.body.worker.id;
+
+    const response = await request(app)
+      .delete(`/api/v1/workers/${workerId}/credential`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body.worker.credential_issued_at).toBeNull();
+    expect(disconnect).toHaveBeenCalledWith(workerId);
+    await heartbeat(workerId, revoked.body.credential).expect(401);
+    await register({ hostname: uniqueId('revoked'), worker_id: workerId, credential: revoked.body.credential }).expect(401);
+    await heartbeat(other.body.worker.id, other.body.credential).expect(200);
+
+    // The worker can enroll again with the registration token
+    const reenrolled = await register({ token: registrationToken, hostname: uniqueId('revoked'), worker_id: workerId }).expect(201);
+    await heartbeat(workerId, reenrolled.body.credential).expect(200);
+  });
+
+  test('credential revocation should require an admin and a known worker', async () => {
+    const registered = await register({ token: registrationToken, hostname: uniqueId('guarded') }).expect(201);
+
+    await request(app)
+      .delete(`/api/v1/workers/${registered.body.worker.id}/credential`)
+      .set('Authorization', `Bearer ${await createTestToken({ role: 'viewer' })}`)
+      .expect(403);
+
+    await request(app)
+      .delete('/api/v1/workers/nonexistent-id/credential')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(404);
+  });
+});
@@ -0,0 +1,157 @@
+const request = require('supertest');
+const app = require('../../index');
+const { setupTestDatabase, cleanupTestData, createTestWorker } = require('../helpers/dbHelper');
+const { uniqueId, createTestToken } = require('../helpers/testHelpers');
+const TokenService = require('../../api/services/TokenService');
+
+describe('Worker Labels and Taints Integration Tests', () => {
+  let authToken;
+  let registrationToken;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    authToken = await createTestToken({ role: 'admin' });
+    registrationToken = await TokenService.getCurrentToken() || await TokenService.generateRegistrationToken();
+  });
+
+  afterAll(async () => {
+    await cleanupTestData();
+  });
+
+  function register(body) {
+    return request(app)
+      .post('/api/v1/workers/register')
+      .send({ token: registrationToken, ip_address: '10.0.9.1', resources: {}, ...body });
+  }
+
+  test('should store labels, taints and capabilities declared at registration', async () => {
+    const response = await register({
+      hostname: uniqueId('labeled'),
+      labels: { zone: 'garage', disk: 'ssd', gpus: 1 },
+      taints: [{ key: 'dedicated', value: 'db' }],
+      capabilities: ['gpu', 'gpu']
+    }).expect(201);
+
+    expect(response.body.worker.labels).toEqual({ zone: 'garage', disk: 'ssd', gpus: '1' });
+    expect(response.body.worker.taints).toEqual([{ key: 'dedicated', value: 'db', effect: 'NoSchedule' }]);
+    expect(response.body.worker.capabilities).toEqual(['gpu']);
+  });
+
+  test('should keep admin labels when the worker registers again', async () => {
+    const hostname = uniqueId('relabeled');
+    const registered = await register({ hostname, labels: { zone: 'garage' } }).expect(201);
+    const workerId = registered.body.worker.id;
+
+    await request(app)
+      .put(`/api/v1/workers/${workerId}/labels`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ labels: { zone: 'attic', rack: 'r1' } })
+      .expect(200);
+
+    const reregistered = await register({ hostname, worker_id: workerId, labels: { zone: 'garage' } }).expect(201);
+
+    expect(reregistered.body.worker.labels).toEqual({ zone: 'attic', rack: 'r1' });
+  });
+
+  test('admin label and taint edits should survive a reconnect', async () => {
+    const hostname = uniqueId('reconnected');
+    const declared = {
+      labels: { zone: 'garage', disk: 'ssd' },
+      taints: [{ key: 'dedicated', value: 'db' }, { key: 'spot', effect: 'PreferNoSchedule' }]
+    };
+    const registered = await register({ hostname, ...declared }).expect(201);
+    const { worker, credential } = registered.body;
+
+    await request(app)
+      .put(`/api/v1/workers/${worker.id}/labels`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ labels: { zone: 'attic' } })
+      .expect(200);
+    await request(app)
+      .put(`/api/v1/workers/${worker.id}/taints`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ taints: [{ key: 'dedicated', value: 'cache' }] })
+      .expect(200);
+
+    // The worker reconnects with its credential, declaring the same labels plus a new one
+    const reconnected = await request(app)
+      .post('/api/v1/workers/register')
+      .send({
+        worker_id: worker.id,
+        credential,
+        hostname,
+        ip_address: '10.0.9.1',
+        resources: {},
+        labels: { ...declared.labels, arch: 'arm64' },
+        taints: declared.taints
+      })
+      .expect(201);
+
+    expect(reconnected.body.worker.labels).toEqual({ zone: 'attic', arch: 'arm64' });
+    expect(reconnected.body.worker.taints).toEqual([{ key: 'dedicated', value: 'cache', effect: 'NoSchedule' }]);
+  });
+
+  test('PUT /api/v1/workers/:id/taints should replace taints', async () => {
+    const worker = await createTestWorker({ hostname: uniqueId('tainted') });
+
+    const response = await request(app)
+      .put(`/api/v1/workers/${worker.id}/taints`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ taints: [{ key: 'spot', effect: 'PreferNoSchedule' }] })
+      .expect(200);
+
+    expect(response.body.worker.taints).toEqual([{ key: 'spot', value: null, effect: 'PreferNoSchedule' }]);
+
+    const fetched = await request(app)
+      .get(`/api/v1/workers/${worker.id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(fetched.body.worker.taints).toEqual(response.body.worker.taints);
+  });
+
+  test('should validate labels and taints', async () => {
+    const worker = await createTestWorker({ hostname: uniqueId('invalid') });
+
+    const labels = await request(app)
+      .put(`/api/v1/workers/${worker.id}/labels`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ labels: { 'bad key': 'x' } })
+      .expect(400);
+    expect(labels.body.error.message).toBe('Invalid labels: bad key is not a valid key');
+
+    const taints = await request(app)
+      .put(`/api/v1/workers/${worker.id}/taints`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ taints: [{ key: 'spot', effect: 'Sometimes' }] })
+      .expect(400);
+    expect(taints.body.error.message).toBe('Invalid taints: effect must be one of NoSchedule, PreferNoSchedule');
+
+    await register({ hostname: uniqueId('invalid'), capabilities: 'gpu' }).expect(400);
+  });
+
+  test('label and taint updates should require the workers:write permission', async () => {
+    const worker = await createTestWorker({ hostname: uniqueId('guarded') });
+    const viewerToken = await createTestToken({ role: 'viewer' });
+
+    const response = await request(app)
+      .put(`/api/v1/workers/${worker.id}/labels`)
+      .set('Authorization', `Bearer ${viewerToken}`)
+      .send({ labels: { zone: 'garage' } })
+      .expect(403);
+    expect(response.body.error.message).toBe('Permission denied: workers:write is required');
+
+    await request(app)
+      .put(`/api/v1/workers/${worker.id}/taints`)
+      .send({ taints: [] })
+      .expect(401);
+  });
+
+  test('PUT /api/v1/workers/:id/labels should return 404 for unknown worker', async () => {
+    await request(app)
+      .put('/api/v1/workers/nonexistent-id/labels')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ labels: {} })
+      .expect(404);
+  });
+});
@@ -0,0 +1,234 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const https = require('https');
+const axios = require('axios');
+const request = require('supertest');
+const { generateKeyPairSync, X509Certificate } = require('crypto');
+const app = require('../../index');
+const { setupTestDatabase, cleanupTestData } = require('../helpers/dbHelper');
+const { uniqueId, createTestToken } = require('../helpers/testHelpers');
+const TokenService = require('../../api/services/TokenService');
+const CertificateAuthorityService = require('../../api/services/CertificateAuthorityService');
+const WorkerSocketService = require('../../api/services/WorkerSocketService');
+
+describe('Worker Mutual TLS Integration Tests', () => {
+  let registrationToken;
+  let tlsServer;
+  let baseUrl;
+  let caDir;
+  let hostCount = 0;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    caDir = fs.mkdtempSync(path.join(os.tmpdir(), 'conductor-ca-'));
+    process.env.CA_DIR = caDir;
+    process.env.WORKER_MTLS = 'true';
+    registrationToken = await TokenService.getCurrentToken() || await TokenService.generateRegistrationToken();
+
+    tlsServer = https.createServer(CertificateAuthorityService.getServerTlsOptions(), app);
+    await new Promise(resolve => tlsServer.listen(0, '127.0.0.1', resolve));
+    baseUrl = `https://127.0.0.1:${tlsServer.address().port}/api/v1/workers`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => tlsServer.close(resolve));
+    process.env.WORKER_MTLS = 'false';
+    delete process.env.CA_DIR;
+    fs.rmSync(caDir, { recursive: true, force: true });
+    await cleanupTestData();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function generateKeys() {
+    return generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+  }
+
+  async function enroll() {
+    const keys = generateKeys();
+    hostCount++;
+    const response = await request(app)
+      .post('/api/v1/workers/register')
+      .send({
+        token: registrationToken,
+        hostname: uniqueId('mtls'),
+        ip_address: `10.0.13.${hostCount}`,
+        resources: {},
+        public_key: keys.publicKey
+      })
+      .expect(201);
+
+    return { ...response.body, key: keys.privateKey };
+  }
+
+  // Call a worker endpoint on the TLS listener, optionally with a client certificate
+  function callTls(method, url, { key, certificate, credential, data } = {}) {
+    return axios({
+      method,
+      url: `${baseUrl}${url}`,
+      data,
+      headers: credential ? { Authorization: `Bearer ${credential}` } : {},
+      httpsAgent: new https.Agent({ ca: CertificateAuthorityService.getCACertificate(), key, cert: certificate }),
+      validateStatus: () => true
+    });
+  }
+
+  test('GET /api/v1/workers/ca should return the CA certificate and its fingerprint', async () => {
+    const response = await request(app).get('/api/v1/workers/ca').expect(200);
+
+    expect(response.body).toMatchObject({ mtls_required: true, tls_port: 3443 });
+    expect(new X509Certificate(response.body.ca_certificate).fingerprint256).toBe(response.body.fingerprint);
+  });
+
+  test('registering with a public key should issue a client certificate signed by the CA', async () => {
+    const { worker, certificate } = await enroll();
+    const x509 = new X509Certificate(certificate.certificate);
+
+    expect(x509.subject).toContain(`CN=${worker.id}`);
+    expect(x509.verify(new X509Certificate(certificate.ca_certificate).publicKey)).toBe(true);
+    expect(worker.certificate_expires_at).toBe(certificate.expires_at);
+    expect(new Date(certificate.expires_at).getTime()).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+  });
+
+  test('registering with the token should require a valid public key while mTLS is on', async () => {
+    const missing = await request(app)
+      .post('/api/v1/workers/register')
+      .send({ token: registrationToken, hostname: uniqueId('mtls'), ip_address: '10.0.13.250', resources: {} })
+      .expect(400);
+    expect(missing.body.error.message).toBe('Invalid registration: public_key is required for mutual TLS');
+
+    const invalid = await request(app)
+      .post('/api/v1/workers/register')
+      .send({ token: registrationToken, hostname: uniqueId('mtls'), ip_address: '10.0.13.250', resources: {}, public_key: 'nope' })
+      .expect(400);
+    expect(invalid.body.error.message).toBe('Invalid public key: an RSA public key in PEM format is required');
+  });
+
+  test('worker endpoints should require the worker\'s own client certificate', async () => {
+    const enrolled = await enroll();
+    const other = await enroll();
+    const workerId = enrolled.worker.id;
+
+    const ok = await callTls('post', `/${workerId}/heartbeat`, {
+      key: enrolled.key, certificate: enrolled.certificate.certificate, credential: enrolled.credential
+    });
+    expect(ok.status).toBe(200);
+
+    const noCertificate = await callTls('post', `/${workerId}/heartbeat`, { credential: enrolled.credential });
+    expect(noCertificate.status).toBe(401);
+    expect(noCertificate.data.error.message).toBe('Worker client certificate is required');
+
+    const wrongCertificate = await callTls('post', `/${workerId}/heartbeat`, {
+      key: other.key, certificate: other.certificate.certificate, credential: enrolled.credential
+    });
+    expect(wrongCertificate.status).toBe(401);
+    expect(wrongCertificate.data.error.message).toBe('Invalid worker client certificate');
+
+    // Plain HTTP never carries a client certificate
+    await request(app)
+      .post(`/api/v1/workers/${workerId}/heartbeat`)
+      .set('Authorization', `Bearer ${enrolled.credential}`)
+      .expect(401);
+  });
+
+  test('POST /api/v1/workers/:id/certificate should rotate the certificate', async () => {
+    const enrolled = await enroll();
+    const workerId = enrolled.worker.id;
+    const keys = generateKeys();
+
+    const renewed = await callTls('post', `/${workerId}/certificate`, {
+      key: enrolled.key,
+      certificate: enrolled.certificate.certificate,
+      credential: enrolled.credential,
+      data: { public_key: keys.publicKey }
+    });
+    expect(renewed.status).toBe(200);
+    expect(renewed.data.certificate.certificate).not.toBe(enrolled.certificate.certificate);
+
+    const withOld = await callTls('post', `/${workerId}/heartbeat`, {
+      key: enrolled.key, certificate: enrolled.certificate.certificate, credential: enrolled.credential
+    });
+    expect(withOld.status).toBe(401);
+
+    const withNew = await callTls('post', `/${workerId}/heartbeat`, {
+      key: keys.privateKey, certificate: renewed.data.certificate.certificate, credential: enrolled.credential
+    });
+    expect(withNew.status).toBe(200);
+  });
+
+  test('re-registering with a credential should require the worker\'s client certificate', async () => {
+    const enrolled = await enroll();
+    const body = {
+      worker_id: enrolled.worker.id,
+      credential: enrolled.credential,
+      hostname: enrolled.worker.hostname,
+      ip_address: enrolled.worker.ip_address,
+      resources: {}
+    };
+
+    const withoutCertificate = await callTls('post', '/register', { data: body });
+    expect(withoutCertificate.status).toBe(401);
+
+    const withCertificate = await callTls('post', '/register', {
+      key: enrolled.key, certificate: enrolled.certificate.certificate, data: body
+    });
+    expect(withCertificate.status).toBe(201);
+    expect(withCertificate.data.worker.id).toBe(enrolled.worker.id);
+  });
+
+  test('revoking the credential should revoke the client certificate too', async () => {
+    jest.spyOn(WorkerSocketService, 'disconnectWorker').mockReturnValue(true);
+    const enrolled = await enroll();
+
+    const response = await request(app)
+      .delete(`/api/v1/workers/${enrolled.worker.id}/credential`)
+      .set('Authorization', `Bearer ${await createTestToken({ role: 'admin' })}`)
+      .expect(200);
+    expect(response.body.worker.certificate_expires_at).toBeNull();
+
+    const heartbeat = await callTls('post', `/${enrolled.worker.id}/heartbeat`, {
+      key: enrolled.key, certificate: enrolled.certificate.certificate, credential: enrolled.credential
+    });
+    expect(heartbeat.status).toBe(401);
+    expect(heartbeat.data.error.message).toBe('Invalid worker client certificate');
+  });
+
+  test('worker socket connections should need a current client certificate', async () => {
+    const enrolled = await enroll();
+    const peerCertificate = {
+      subject: { CN: enrolled.worker.id },
+      fingerprint256: new X509Certificate(enrolled.certificate.certificate).fingerprint256
+    };
+    const tlsSocket = { encrypted: true, authorized: true, getPeerCertificate: () => peerCertificate };
+    const plainSocket = {};
+
+    const accepted = { request: { socket: tlsSocket }, data: {} };
+    const acceptedNext = jest.fn();
+    await WorkerSocketService.authorizeWorkerConnection(accepted, acceptedNext);
+    expect(acceptedNext).toHaveBeenCalledWith();
+    expect(accepted.data.certificateWorkerId).toBe(enrolled.worker.id);
+
+    const rejectedNext = jest.fn();
+    await WorkerSocketService.authorizeWorkerConnection({ request: { socket: plainSocket }, data: {} }, rejectedNext);
+    expect(rejectedNext.mock.calls[0][0].message).toBe('Worker client certificate is required');
+  });
+
+  test('the conductor certificate should be rotated when it nears expiry', () => {
+    const server = { setSecureContext: jest.fn() };
+
+    expect(CertificateAuthorityService.rotateServerCertificate(server)).toBe(false);
+
+    jest.spyOn(CertificateAuthorityService, 'needsRenewal').mockReturnValue(true);
+    expect(CertificateAuthorityService.rotateServerCertificate(server)).toBe(true);
+    expect(server.setSecureContext).toHaveBeenCalledWith(expect.objectContaining({
+      cert: expect.stringContaining('BEGIN CERTIFICATE')
+    }));
+  });
+});
@@ -7,6 +7,8 @@ process.env.DATABASE_PATH = './data/test-conductor.db';
 process.env.JWT_SECRET = 'test-secret-key-for-testing-only';
 process.env.JWT_EXPIRES_IN = '1h';
 process.env.PORT = '3001'; // Use different port for tests
+process.env.WORKER_MTLS = 'false'; // Mutual TLS is tested separately over an HTTPS server
+process.env.BACKUP_DIR = './data/test-backups';
 
 // Suppress console logs during tests (optional)
 // global.console = {
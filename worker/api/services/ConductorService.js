@@ -1,4 +1,6 @@
 const axios = require('axios');
+const https = require('https');
+const { getRequestId } = require('../../utils/requestContext');
 
 /**
  * Conductor Service - Client for communicating with conductor API
@@ -7,6 +9,97 @@ class ConductorService {
   constructor(conductorUrl) {
     this.conductorUrl = conductorUrl;
     this.workerId = null;
+    this.credential = null; // Issued by conductor at registration, sent on every worker call
+    this.tls = null; // { url, ca, key, cert } when conductor requires mutual TLS
+    this.httpsAgent = null;
+  }
+
+  /**
+   * Get conductor's CA certificate and whether it requires mutual TLS
+   * Fetched over CONDUCTOR_URL because the worker cannot verify the TLS listener yet
+   * @returns {Promise<object>} { ca_certificate, fingerprint, mtls_required, tls_port }
+   * @throws {Error} If the request fails
+   */
+  async getCaInfo() {
+    try {
+      const response = await axios.get(`${this.conductorUrl}/api/workers/ca`);
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        // Conductors without an internal CA
+        if (error.response.status === 404) {
+          return { mtls_required: false };
+        }
+        throw new Error(error.response.data.error?.message || 'Failed to get conductor CA');
+      }
+      throw new Error(`Failed to connect to conductor: ${error.message}`);
+    }
+  }
+
+  /**
+   * Register worker with conductor over TLS and get a client certificate
+   * Used while conductor requires mutual TLS: the registration token is only sent to the
+   * verified TLS listener, and the returned certificate is used for every call afterwards.
+   * @param {string} token - Registration token
+   * @param {string} hostname - Worker hostname (actual device hostname)
+   * @param {string} ipAddress - Worker IP address (actual device IP)
+   * @param {object} resources - Initial resource information
+   * @param {string|null} existingWorkerId - Existing worker ID to use, if any
+   * @param {object} placement - Labels, taints and capabilities ({ labels, taints, capabilities })
+   * @param {string} publicKey - PEM public key of the worker's new key pair
+   * @returns {Promise<object>} { worker, credential, certificate }
+   * @throws {Error} If registration fails
+   */
+  async enrollWorker(token, hostname, ipAddress, resources, existingWorkerId, placement, publicKey) {
+    try {
+      const response = await axios.post(`${this.getBaseUrl()}/api/workers/register`, {
+        token,
+        hostname,
+        ip_address: ipAddress,
+        resources,
+        worker_id: existingWorkerId,
+        public_key: publicKey,
+        ...placement
+      }, this.getTlsConfig());
+
+      this.workerId = response.data.worker.id;
+      this.credential = response.data.credential;
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        throw new Error(error.response.data.error?.message || 'Registration failed');
+      }
+      throw new Error(`Failed to connect to conductor: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a new client certificate before the current one expires
+   * @param {string} publicKey - PEM public key of the worker's new key pair
+   * @returns {Promise<object>} { certificate, ca_certificate, expires_at }
+   * @throws {Error} If renewal fails
+   */
+  async renewCertificate(publicKey) {
+    if (!this.workerId) {
+      throw new Error('Worker not registered');
+    }
+
+    try {
+      const response = await axios.post(
+        `${this.getBaseUrl()}/api/workers/${this.workerId}/certificate`,
+        { public_key: publicKey },
+        this.getAuthConfig()
+      );
+      return response.data.certificate;
+    } catch (error) {
+      if (error.response) {
+        if (error.response.status === 401) {
+          throw new Error('Worker credential rejected - re-registration required');
+        }
+        throw new Error(error.response.data.error?.message || 'Certificate renewal failed');
+      }
+      throw new Error(`Failed to connect to conductor: ${error.message}`);
+    }
   }
 
   /**
@@ -33,25 +126,33 @@ class ConductorService {
 
   /**
    * Register worker with conductor
+   * Registering an existing worker ID uses the worker's credential when it has one;
+   * registering with the token returns a new credential, which replaces the current one.
    * @param {string} token - Registration token
    * @param {string} hostname - Worker hostname (actual device hostname)
    * @param {string} ipAddress - Worker IP address (actual device IP)
    * @param {object} resources - Initial resource information
    * @param {string} [existingWorkerId] - Optional existing worker ID to use
+   * @param {object} [placement] - Labels, taints and capabilities ({ labels, taints, capabilities })
    * @returns {Promise<object>} Registered worker info
    * @throws {Error} If registration fails
    */
-  async registerWorker(token, hostname, ipAddress, resources, existingWorkerId = null) {
+  async registerWorker(token, hostname, ipAddress, resources, existingWorkerId = null, placement = {}) {
     try {
       const response = await axios.post(`${this.conductorUrl}/api/workers/register`, {
         token,
         hostname,
         ip_address: ipAddress,
         resources,
-        worker_id: existingWorkerId // Include existing worker ID if provided
+        worker_id: existingWorkerId, // Include existing worker ID if provided
+        ...(existingWorkerId && this.credential ? { credential: this.credential } : {}),
+        ...placement
       });
 
       this.workerId = response.data.worker.id;
+      if (response.data.credential) {
+        this.credential = response.data.credential;
+      }
       return response.data.worker;
     } catch (error) {
       if (error.response) {
@@ -73,7 +174,9 @@ class ConductorService {
 
     try {
       const response = await axios.post(
-        `${this.conductorUrl}/api/workers/${this.workerId}/heartbeat`
+        `${this.getBaseUrl()}/api/workers/${this.workerId}/heartbeat`,
+        null,
+        this.getAuthConfig()
       );
       return response.data.worker;
     } catch (error) {
@@ -83,6 +186,10 @@ class ConductorService {
           this.workerId = null;
           throw new Error('Worker not found - re-registration required');
         }
+        // Credential revoked or replaced by another registration
+        if (error.response.status === 401) {
+          throw new Error('Worker credential rejected - re-registration required');
+        }
         throw new Error(error.response.data.error?.message || 'Heartbeat failed');
       }
       throw new Error(`Failed to connect to conductor: ${error.message}`);
@@ -102,8 +209,9 @@ class ConductorService {
 
     try {
       const response = await axios.put(
-        `${this.conductorUrl}/api/workers/${this.workerId}/resources`,
-        { resources }
+        `${this.getBaseUrl()}/api/workers/${this.workerId}/resources`,
+        { resources },
+        this.getAuthConfig()
       );
       return response.data.worker;
     } catch (error) {
@@ -113,6 +221,10 @@ class ConductorService {
           this.workerId = null;
           throw new Error('Worker not found - re-registration required');
         }
+        // Credential revoked or replaced by another registration
+        if (error.response.status === 401) {
+          throw new Error('Worker credential rejected - re-registration required');
+        }
         throw new Error(error.response.data.error?.message || 'Resource update failed');
       }
       throw new Error(`Failed to connect to conductor: ${error.message}`);
@@ -120,49 +232,93 @@ class ConductorService {
   }
 
   /**
-   * Get deployment instructions from conductor
-   * @returns {Promise<Array>} Deployment instructions
-   * @throws {Error} If request fails
+   * Report container status of services to conductor
+   * @param {Array<object>} services - [{ service, container_id, state, exit_code, restart_count, last_error, image_digest }]
+   * @param {boolean} [full] - True if the reports cover every managed service
+   * @returns {Promise<object>} { deployments, ignored }
+   * @throws {Error} If report fails
    */
-  async getDeploymentInstructions() {
+  async reportServiceStatuses(services, full = false) {
     if (!this.workerId) {
       throw new Error('Worker not registered');
     }
 
     try {
-      // TODO: Implement when conductor has deployment endpoint
-      // For now, return empty array
-      return [];
+      const response = await axios.post(
+        `${this.getBaseUrl()}/api/workers/${this.workerId}/services/status`,
+        { services, full },
+        this.getAuthConfig()
+      );
+      return response.data;
     } catch (error) {
       if (error.response) {
-        throw new Error(error.response.data.error?.message || 'Failed to get deployment instructions');
+        // If worker not found, need to re-register
+        if (error.response.status === 404) {
+          this.workerId = null;
+          throw new Error('Worker not found - re-registration required');
+        }
+        // Credential revoked or replaced by another registration
+        if (error.response.status === 401) {
+          throw new Error('Worker credential rejected - re-registration required');
+        }
+        throw new Error(error.response.data.error?.message || 'Failed to report service status');
       }
       throw new Error(`Failed to connect to conductor: ${error.message}`);
     }
   }
 
   /**
-   * Report service status to conductor
+   * Report container status of a single service to conductor
    * @param {string} serviceName - Service name
-   * @param {string} status - Service status
-   * @returns {Promise<void>}
+   * @param {object} status - { container_id, state, exit_code, restart_count, last_error, image_digest }
+   * @returns {Promise<object>} { deployments, ignored }
    * @throws {Error} If report fails
    */
   async reportServiceStatus(serviceName, status) {
-    if (!this.workerId) {
-      throw new Error('Worker not registered');
-    }
+    return await this.reportServiceStatuses([{ ...status, service: serviceName }]);
+  }
 
-    try {
-      // TODO: Implement when conductor has service status endpoint
-      // For now, just log
-      console.log(`Service ${serviceName} status: ${status}`);
-    } catch (error) {
-      if (error.response) {
-        throw new Error(error.response.data.error?.message || 'Failed to report service status');
-      }
-      throw new Error(`Failed to connect to conductor: ${error.message}`);
+  /**
+   * Request config that authenticates this worker with its credential
+   * Calls made while handling a deployment instruction send its request id as X-Request-ID
+   * @returns {object} Axios request config
+   */
+  getAuthConfig() {
+    const requestId = getRequestId();
+    const headers = { Authorization: `Bearer ${this.credential}` };
+    if (requestId) {
+      headers['X-Request-ID'] = requestId;
     }
+
+    return {
+      headers,
+      ...this.getTlsConfig()
+    };
+  }
+
+  /**
+   * Request config for conductor's TLS listener (client certificate included once issued)
+   * @returns {object} Axios request config (empty without mutual TLS)
+   */
+  getTlsConfig() {
+    return this.httpsAgent ? { httpsAgent: this.httpsAgent } : {};
+  }
+
+  /**
+   * Use conductor's TLS listener for worker calls
+   * @param {object|null} tls - { url, ca, key, cert } (key and cert omitted before enrollment), or null for plain HTTP
+   */
+  setTls(tls) {
+    this.tls = tls;
+    this.httpsAgent = tls ? new https.Agent({ ca: tls.ca, key: tls.key, cert: tls.cert }) : null;
+  }
+
+  /**
+   * Get the URL worker calls go to
+   * @returns {string} TLS listener URL with mutual TLS, otherwise CONDUCTOR_URL
+   */
+  getBaseUrl() {
+    return this.tls ? this.tls.url : this.conductorUrl;
   }
 
   /**
@@ -180,6 +336,22 @@ class ConductorService {
   setWorkerId(workerId) {
     this.workerId = workerId;
   }
+
+  /**
+   * Get the credential conductor issued to this worker
+   * @returns {string|null} Credential or null if none was issued
+   */
+  getCredential() {
+    return this.credential;
+  }
+
+  /**
+   * Set the credential (e.g. loaded from storage or issued over the socket)
+   * @param {string|null} credential - Worker credential
+   */
+  setCredential(credential) {
+    this.credential = credential;
+  }
 }
 
 module.exports = ConductorService;
@@ -1,4 +1,7 @@
 const { io: Client } = require('socket.io-client');
+const { logger } = require('../../utils/logger');
+
+const log = logger.child({ component: 'socket' });
 
 /**
  * Conductor Socket Service - WebSocket client for real-time communication with conductor
@@ -8,11 +11,17 @@ class ConductorSocketService {
     this.conductorUrl = conductorUrl;
     this.socket = null;
     this.workerId = null;
+    this.credential = null; // Issued by conductor at registration, replaces the token afterwards
+    this.tls = null; // { url, ca, key, cert } when conductor requires mutual TLS
     this.isConnected = false;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 10;
     this.reconnectDelay = 5000; // 5 seconds
     this.onReconnectCallback = null; // Callback to call on reconnect
+    this.onInstructionCallback = null; // Callback for deployment instructions (worker:deploy)
+    this.onCredentialRevokedCallback = null; // Callback when an admin revokes the credential
+    this.instructionResults = new Map(); // Map of instructionId -> result (null while in progress)
+    this.maxInstructionResults = 100;
   }
 
   /**
@@ -23,13 +32,31 @@ class ConductorSocketService {
     this.onReconnectCallback = callback;
   }
 
+  /**
+   * Set callback to be called for each new deployment instruction
+   * Duplicate deliveries (conductor retries) are acknowledged but not passed on
+   * @param {Function} callback - Callback function (instruction)
+   */
+  setOnInstruction(callback) {
+    this.onInstructionCallback = callback;
+  }
+
+  /**
+   * Set callback to be called when conductor revokes this worker's credential
+   * Conductor disconnects the worker right after; it has to register with the token again
+   * @param {Function} callback - Callback function
+   */
+  setOnCredentialRevoked(callback) {
+    this.onCredentialRevokedCallback = callback;
+  }
+
   /**
    * Connect to conductor WebSocket server
    * @returns {Promise<void>}
    */
   async connect() {
     return new Promise((resolve, reject) => {
-      const wsUrl = this.conductorUrl.replace(/^http/, 'ws');
+      const wsUrl = (this.tls ? this.tls.url : this.conductorUrl).replace(/^http/, 'ws');
       const wasConnected = this.isConnected;
       
       // If socket already exists, remove old listeners to avoid duplicates
@@ -41,13 +68,15 @@ class ConductorSocketService {
         transports: ['websocket', 'polling'],
         reconnection: true,
         reconnectionDelay: this.reconnectDelay,
-        reconnectionAttempts: this.maxReconnectAttempts
+        reconnectionAttempts: this.maxReconnectAttempts,
+        // Client certificate for conductor's TLS listener (mutual TLS)
+        ...(this.tls ? { ca: this.tls.ca, key: this.tls.key, cert: this.tls.cert } : {})
       });
 
       let isFirstConnect = true;
       
       this.socket.on('connect', () => {
-        console.log('[Socket] Connected to conductor');
+        log.info('Connected to conductor');
         const isReconnect = !isFirstConnect && this.workerId !== null;
         isFirstConnect = false;
         this.isConnected = true;
@@ -55,7 +84,7 @@ class ConductorSocketService {
         
         // If this is a reconnect (was connected before), clear workerId and notify
         if (isReconnect) {
-          console.log('[Socket] Reconnected - need to re-register worker');
+          log.info('Reconnected - need to re-register worker');
           this.workerId = null;
           if (this.onReconnectCallback) {
             this.onReconnectCallback();
@@ -67,13 +96,13 @@ class ConductorSocketService {
       });
 
       this.socket.on('disconnect', (reason) => {
-        console.log(`[Socket] Disconnected from conductor: ${reason}`);
+        log.warn('Disconnected from conductor', { reason });
         this.isConnected = false;
         this.workerId = null; // Clear workerId on disconnect
       });
 
       this.socket.on('connect_error', (error) => {
-        console.error('[Socket] Connection error:', error.message);
+        log.error('Connection error', { error: error.message, attempts: this.reconnectAttempts + 1 });
         this.reconnectAttempts++;
         if (this.reconnectAttempts >= this.maxReconnectAttempts) {
           reject(error);
@@ -82,29 +111,44 @@ class ConductorSocketService {
 
       this.socket.on('worker:registered', (data) => {
         this.workerId = data.workerId;
-        console.log(`[Socket] Worker registered: ${data.workerId}`);
+        log.info('Worker registered', { worker_id: data.workerId });
+      });
+
+      this.socket.on('worker:credential:revoked', () => {
+        log.warn('Worker credential was revoked by conductor');
+        this.credential = null;
+        if (this.onCredentialRevokedCallback) {
+          this.onCredentialRevokedCallback();
+        }
       });
 
       this.socket.on('worker:pong', (data) => {
         // Heartbeat response received
       });
 
+      this.socket.on('worker:deploy', (instruction) => {
+        this.handleInstruction(instruction);
+      });
+
       this.socket.on('error', (error) => {
-        console.error('[Socket] Error:', error);
+        log.error('Socket error', { error });
       });
     });
   }
 
   /**
    * Register worker via WebSocket
+   * Registering an existing worker ID uses the worker's credential when it has one;
+   * registering with the token returns a new credential (see getCredential).
    * @param {string} token - Registration token
    * @param {string} hostname - Worker hostname
    * @param {string} ipAddress - Worker IP address
    * @param {object} resources - Initial resource information
    * @param {string} [existingWorkerId] - Optional existing worker ID to use
+   * @param {object} [placement] - Labels, taints and capabilities ({ labels, taints, capabilities })
    * @returns {Promise<object>} Registered worker info
    */
-  async registerWorker(token, hostname, ipAddress, resources, existingWorkerId = null) {
+  async registerWorker(token, hostname, ipAddress, resources, existingWorkerId = null, placement = {}) {
     return new Promise((resolve, reject) => {
       if (!this.isConnected) {
         reject(new Error('Not connected to conductor'));
@@ -118,6 +162,9 @@ class ConductorSocketService {
       this.socket.once('worker:registered', (data) => {
         clearTimeout(timeout);
         this.workerId = data.workerId;
+        if (data.credential) {
+          this.credential = data.credential;
+        }
         resolve({
           id: data.workerId,
           hostname: data.hostname,
@@ -136,7 +183,9 @@ class ConductorSocketService {
         hostname,
         ip_address: ipAddress,
         resources,
-        worker_id: existingWorkerId // Include existing worker ID if provided
+        worker_id: existingWorkerId, // Include existing worker ID if provided
+        ...(existingWorkerId && this.credential ? { credential: this.credential } : {}),
+        ...placement
       });
     });
   }
@@ -164,6 +213,83 @@ class ConductorSocketService {
     }
   }
 
+  /**
+   * Send container status of services
+   * @param {Array<object>} services - Service status reports
+   * @param {boolean} [full] - True if the reports cover every managed service
+   * @returns {boolean} True if sent
+   */
+  sendServiceStatuses(services, full = false) {
+    if (this.isConnected && this.workerId) {
+      this.socket.emit('worker:services:status', { services, full });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Handle a deployment instruction from conductor (worker:deploy)
+   * Acknowledges immediately; a retried instruction that already finished gets its result again
+   * @param {object} instruction - Instruction (id, request_id, action, service, config)
+   */
+  handleInstruction(instruction) {
+    if (!instruction || !instruction.id) {
+      log.error('Ignoring deployment instruction without id');
+      return;
+    }
+
+    log.info('Received deployment instruction', {
+      request_id: instruction.request_id || null,
+      instruction_id: instruction.id,
+      action: instruction.action,
+      service: instruction.service,
+      attempt: instruction.attempt || null
+    });
+
+    this.socket.emit('worker:deploy:ack', { id: instruction.id });
+
+    if (this.instructionResults.has(instruction.id)) {
+      const result = this.instructionResults.get(instruction.id);
+      if (result) {
+        this.socket.emit('worker:deploy:result', result);
+      }
+      return;
+    }
+
+    this.instructionResults.set(instruction.id, null);
+    this.trimInstructionResults();
+
+    if (this.onInstructionCallback) {
+      this.onInstructionCallback(instruction);
+    }
+  }
+
+  /**
+   * Report the result of a deployment instruction
+   * @param {string} instructionId - Instruction ID
+   * @param {string} status - success or failed
+   * @param {object} [result] - Deployment result
+   * @param {string} [error] - Error message
+   */
+  sendInstructionResult(instructionId, status, result = null, error = null) {
+    const message = { id: instructionId, status, result, error };
+    this.instructionResults.set(instructionId, message);
+
+    if (this.isConnected && this.socket) {
+      this.socket.emit('worker:deploy:result', message);
+    }
+  }
+
+  /**
+   * Forget the oldest instruction results beyond maxInstructionResults
+   */
+  trimInstructionResults() {
+    while (this.instructionResults.size > this.maxInstructionResults) {
+      const oldest = this.instructionResults.keys().next().value;
+      this.instructionResults.delete(oldest);
+    }
+  }
+
   /**
    * Disconnect from conductor
    */
@@ -183,6 +309,30 @@ class ConductorSocketService {
     return this.workerId;
   }
 
+  /**
+   * Get the credential conductor issued to this worker
+   * @returns {string|null} Credential or null if none was issued
+   */
+  getCredential() {
+    return this.credential;
+  }
+
+  /**
+   * Set the credential (e.g. loaded from storage)
+   * @param {string|null} credential - Worker credential
+   */
+  setCredential(credential) {
+    this.credential = credential;
+  }
+
+  /**
+   * Connect to conductor's TLS listener with a client certificate from the next connect() on
+   * @param {object|null} tls - { url, ca, key, cert }, or null for plain HTTP
+   */
+  setTls(tls) {
+    this.tls = tls;
+  }
+
   /**
    * Check if connected
    * @returns {boolean} True if connected
@@ -2,6 +2,9 @@ const Docker = require('dockerode');
 const path = require('path');
 const fs = require('fs');
 const yaml = require('js-yaml');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'docker' });
 
 /**
  * Docker Service Manager - Manages Docker containers for services
@@ -45,7 +48,7 @@ class ServiceManager {
       }
       return null;
     } catch (error) {
-      console.error(`Error finding container ${containerName}:`, error);
+      log.error('Failed to find container', { container: containerName, error });
       return null;
     }
   }
@@ -101,7 +104,7 @@ class ServiceManager {
       };
     } catch (error) {
       const errorInfo = this.handleDockerError(error, 'start', serviceName);
-      console.error(`Error starting service ${serviceName}:`, errorInfo.message);
+      log.error('Failed to start service', { service: serviceName, error: errorInfo.message });
       throw new Error(errorInfo.message);
     }
   }
@@ -138,7 +141,7 @@ class ServiceManager {
       };
     } catch (error) {
       const errorInfo = this.handleDockerError(error, 'stop', serviceName);
-      console.error(`Error stopping service ${serviceName}:`, errorInfo.message);
+      log.error('Failed to stop service', { service: serviceName, error: errorInfo.message });
       throw new Error(errorInfo.message);
     }
   }
@@ -171,7 +174,7 @@ class ServiceManager {
       };
     } catch (error) {
       const errorInfo = this.handleDockerError(error, 'restart', serviceName);
-      console.error(`Error restarting service ${serviceName}:`, errorInfo.message);
+      log.error('Failed to restart service', { service: serviceName, error: errorInfo.message });
       throw new Error(errorInfo.message);
     }
   }
@@ -202,12 +205,15 @@ class ServiceManager {
         name: containerName,
         status: containerInfo.State.Status,
         running: containerInfo.State.Running,
+        exitCode: containerInfo.State.ExitCode,
+        error: containerInfo.State.Error || null,
         restartCount: containerInfo.RestartCount,
         startedAt: containerInfo.State.StartedAt,
+        imageDigest: await this.getImageDigest(containerInfo.Image),
         config: this.serviceConfigs.get(serviceName) || null
       };
     } catch (error) {
-      console.error(`Error getting service status ${serviceName}:`, error);
+      log.error('Failed to get service status', { service: serviceName, error });
       return {
         service: serviceName,
         status: 'error',
@@ -217,6 +223,24 @@ class ServiceManager {
     }
   }
 
+  /**
+   * Get the repository digest of an image (falls back to the image ID)
+   * @param {string} imageId - Image ID of the container
+   * @returns {Promise<string|null>} Image digest
+   */
+  async getImageDigest(imageId) {
+    if (!imageId) {
+      return null;
+    }
+
+    try {
+      const imageInfo = await this.docker.getImage(imageId).inspect();
+      return (imageInfo.RepoDigests && imageInfo.RepoDigests[0]) || imageInfo.Id || imageId;
+    } catch (error) {
+      return imageId;
+    }
+  }
+
   /**
    * List all managed service containers
    * @returns {Promise<Array>} Array of service statuses
@@ -254,13 +278,35 @@ class ServiceManager {
 
       return services;
     } catch (error) {
-      console.error('Error listing services:', error);
+      log.error('Failed to list services', { error });
       throw new Error(`Failed to list services: ${error.message}`);
     }
   }
 
+  /**
+   * Pull an image, falling back to a local copy if the registry cannot be reached
+   * @param {string} image - Image reference
+   * @throws {Error} If the image can neither be pulled nor found locally
+   */
+  async pullImage(image) {
+    try {
+      const stream = await this.docker.pull(image);
+      await new Promise((resolve, reject) => {
+        this.docker.modem.followProgress(stream, (error) => (error ? reject(error) : resolve()));
+      });
+    } catch (error) {
+      try {
+        await this.docker.getImage(image).inspect();
+      } catch (inspectError) {
+        throw new Error(`Failed to pull image ${image}: ${error.message}`);
+      }
+    }
+  }
+
   /**
    * Update service configuration
+   * The new image is pulled before the old container is stopped, so a bad image
+   * fails the update while the old container keeps running
    * @param {string} serviceName - Service name
    * @param {object} config - New configuration
    * @returns {Promise<object>} Updated service info
@@ -268,8 +314,14 @@ class ServiceManager {
    */
   async updateService(serviceName, config) {
     try {
-      // Stop existing container
-      await this.stopService(serviceName);
+      await this.pullImage(this.buildContainerConfig(serviceName, config).Image);
+
+      // Stop existing container (it may already be stopped or missing)
+      try {
+        await this.stopService(serviceName);
+      } catch (error) {
+        // Ignore if not running
+      }
       
       // Remove old container
       const containerName = this.getContainerName(serviceName);
@@ -281,7 +333,7 @@ class ServiceManager {
       // Start with new config
       return await this.startService(serviceName, config);
     } catch (error) {
-      console.error(`Error updating service ${serviceName}:`, error);
+      log.error('Failed to update service', { service: serviceName, error });
       throw new Error(`Failed to update service ${serviceName}: ${error.message}`);
     }
   }
@@ -357,7 +409,7 @@ class ServiceManager {
       await this.docker.ping();
       return true;
     } catch (error) {
-      console.error('Docker connection check failed:', error);
+      log.error('Docker connection check failed', { error });
       return false;
     }
   }
@@ -7,7 +7,15 @@ const ConductorSocketService = require('./api/services/ConductorSocketService');
 const ResourceDetector = require('./utils/resourceDetector');
 const ServiceManager = require('./docker/ServiceManager');
 const DeploymentHandler = require('./services/DeploymentHandler');
-const { getStoredWorkerId, storeWorkerId, clearWorkerId } = require('./utils/workerIdStorage');
+const MetricsExporter = require('./services/MetricsExporter');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./utils/openMetrics');
+const { getStoredWorkerId, getStoredCredential, storeWorkerId, clearWorkerId } = require('./utils/workerIdStorage');
+const { getPlacementConfig } = require('./utils/placementConfig');
+const { getStoredCaCertificate, storeCaCertificate, getStoredCertificate, storeCertificate, clearCertificate } = require('./utils/certificateStorage');
+const { generateKeyPair, isCertificateValid, needsRenewal, fingerprintMatches, getTlsUrl } = require('./utils/workerTls');
+const { logger } = require('./utils/logger');
+
+const log = logger.child({ component: 'worker' });
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -17,8 +25,16 @@ const CONDUCTOR_URL = process.env.CONDUCTOR_URL || 'http://localhost:3000';
 const CONDUCTOR_TOKEN = process.env.CONDUCTOR_TOKEN;
 const HEARTBEAT_INTERVAL = parseInt(process.env.HEARTBEAT_INTERVAL || '30', 10) * 1000; // Convert to ms (for fallback)
 const RESOURCE_CHECK_INTERVAL = parseInt(process.env.RESOURCE_CHECK_INTERVAL || '60', 10) * 1000; // Convert to ms
-const DEPLOYMENT_CHECK_INTERVAL = parseInt(process.env.DEPLOYMENT_CHECK_INTERVAL || '10', 10) * 1000; // Convert to ms
 const SERVICE_STATUS_INTERVAL = parseInt(process.env.SERVICE_STATUS_INTERVAL || '30', 10) * 1000; // Convert to ms
+const CERTIFICATE_CHECK_INTERVAL = parseInt(process.env.CERTIFICATE_CHECK_INTERVAL || '3600', 10) * 1000; // Convert to ms
+
+// Mutual TLS: conductor's TLS listener (default: CONDUCTOR_URL's host on the port conductor reports)
+// and the pinned fingerprint of its CA (recommended; otherwise the CA is trusted on first use)
+const CONDUCTOR_TLS_URL = process.env.CONDUCTOR_TLS_URL;
+const CONDUCTOR_CA_FINGERPRINT = process.env.CONDUCTOR_CA_FINGERPRINT;
+
+// Labels, taints and capabilities sent with every registration (WORKER_LABELS, WORKER_TAINTS, WORKER_CAPABILITIES)
+const PLACEMENT = getPlacementConfig();
 
 // Worker identity (set by conductor during registration, stored in memory)
 let WORKER_HOSTNAME = null;
@@ -28,25 +44,53 @@ let WORKER_IP = null;
 const conductorService = new ConductorService(CONDUCTOR_URL);
 const conductorSocket = new ConductorSocketService(CONDUCTOR_URL);
 const resourceDetector = ResourceDetector;
-const deploymentHandler = new DeploymentHandler(conductorService);
+const deploymentHandler = new DeploymentHandler(conductorService, conductorSocket);
+
+// Deployment instructions are pushed by conductor over the socket (worker:deploy)
+conductorSocket.setOnInstruction((instruction) => {
+  deploymentHandler.queueDeployment(instruction);
+});
 
 // Set up reconnect handler to re-register worker when socket reconnects
 conductorSocket.setOnReconnect(() => {
-  console.log('Socket reconnected - re-registering worker...');
+  log.info('Socket reconnected, registering worker again');
   isRegistered = false;
   registerWorker();
 });
 
+// Conductor revoked this worker's credential and closes the socket; register with the token again
+conductorSocket.setOnCredentialRevoked(() => {
+  log.warn('Worker credential revoked, registering again with CONDUCTOR_TOKEN');
+  isRegistered = false;
+  storeWorkerId(getStoredWorkerId(), null);
+  conductorService.setCredential(null);
+  clearCertificate();
+  setTimeout(registerWorker, 1000); // Once conductor has closed the socket
+});
+
 // State
 let isRegistered = false;
 let registrationAttempts = 0;
 const MAX_REGISTRATION_ATTEMPTS = 5;
 let heartbeatInterval = null;
 let resourceCheckInterval = null;
-let deploymentCheckInterval = null;
 let serviceStatusInterval = null;
 let lastResources = null;
 let dockerConnected = false;
+let tlsUrl = null; // Set while conductor requires mutual TLS
+let certificateCheckInterval = null;
+
+// Prometheus metrics, read when /metrics is scraped
+const metricsExporter = new MetricsExporter({
+  resourceDetector,
+  serviceManager: ServiceManager,
+  deploymentHandler,
+  getState: () => ({
+    registered: isRegistered,
+    conductorConnected: conductorSocket.getIsConnected(),
+    dockerConnected
+  })
+});
 
 // Middleware
 app.use(cors());
@@ -64,12 +108,12 @@ async function getDeviceInfo() {
   let ip = process.env.WORKER_IP;
 
   if (hostname && ip) {
-    console.log(`Using device info from entrypoint - Hostname: ${hostname}, IP: ${ip}`);
+    log.info('Using device info from entrypoint', { hostname, ip });
     return { hostname, ip };
   }
 
   // Priority 2: Fallback detection (should rarely be needed)
-  console.warn('⚠️  Hostname/IP not set by entrypoint, using fallback detection');
+  log.warn('Hostname/IP not set by entrypoint, using fallback detection');
   
   if (!hostname) {
     hostname = os.hostname();
@@ -97,24 +141,166 @@ async function getDeviceInfo() {
   return { hostname, ip };
 }
 
+/**
+ * Find out whether conductor requires mutual TLS and load its CA
+ * The CA is downloaded once (checked against CONDUCTOR_CA_FINGERPRINT when set) and kept;
+ * a worker holding a CA keeps using TLS even if the plain HTTP answer says otherwise.
+ */
+async function setUpTls() {
+  let ca = getStoredCaCertificate();
+  const info = await conductorService.getCaInfo();
+
+  if (!info.mtls_required && !ca) {
+    tlsUrl = null;
+    return;
+  }
+
+  if (!ca) {
+    if (CONDUCTOR_CA_FINGERPRINT) {
+      if (!fingerprintMatches(info.ca_certificate, CONDUCTOR_CA_FINGERPRINT)) {
+        throw new Error('Conductor CA does not match CONDUCTOR_CA_FINGERPRINT');
+      }
+    } else {
+      log.warn('CONDUCTOR_CA_FINGERPRINT is not set, trusting conductor CA on first use', { ca_fingerprint: info.fingerprint });
+    }
+    storeCaCertificate(info.ca_certificate);
+    ca = info.ca_certificate;
+  }
+
+  tlsUrl = CONDUCTOR_TLS_URL || getTlsUrl(CONDUCTOR_URL, info.tls_port || 3443);
+  applyTls();
+}
+
+/**
+ * Point conductor HTTP and socket clients at the TLS listener with the stored certificate
+ */
+function applyTls() {
+  const certificate = getStoredCertificate();
+  const tls = {
+    url: tlsUrl,
+    ca: getStoredCaCertificate(),
+    ...(certificate || {})
+  };
+
+  conductorService.setTls(tls);
+  conductorSocket.setTls(tls);
+}
+
+/**
+ * Check for a client certificate conductor can still accept
+ * @returns {boolean} True if a certificate is stored and has not expired
+ */
+function hasUsableCertificate() {
+  const certificate = getStoredCertificate();
+  return !!certificate && isCertificateValid(certificate.cert);
+}
+
+/**
+ * Register over the TLS listener with CONDUCTOR_TOKEN and get a client certificate
+ * @param {string|null} existingWorkerId - Stored worker ID, kept if conductor still knows it
+ * @returns {Promise<object>} { worker, credential }
+ */
+async function enrollWorker(existingWorkerId) {
+  if (!CONDUCTOR_TOKEN) {
+    throw new Error('CONDUCTOR_TOKEN is required to get a client certificate');
+  }
+
+  const resources = await resourceDetector.getAllResources();
+  lastResources = resources;
+  const deviceInfo = await getDeviceInfo();
+  const { privateKey, publicKey } = generateKeyPair();
+
+  log.info('Requesting client certificate from conductor', { url: tlsUrl });
+  const { worker, credential, certificate } = await conductorService.enrollWorker(
+    CONDUCTOR_TOKEN,
+    deviceInfo.hostname,
+    deviceInfo.ip,
+    resources,
+    existingWorkerId,
+    PLACEMENT,
+    publicKey
+  );
+
+  storeWorkerId(worker.id, credential);
+  storeCertificate(privateKey, certificate.certificate);
+  applyTls();
+  log.info('Client certificate issued', { expires_at: certificate.expires_at });
+
+  return { worker, credential };
+}
+
+/**
+ * Renew the client certificate once it has less than a third of its lifetime left
+ * The socket is reconnected so it authenticates with the new certificate.
+ */
+async function rotateCertificateIfNeeded() {
+  const certificate = getStoredCertificate();
+  if (!tlsUrl || !isRegistered || !certificate || !needsRenewal(certificate.cert)) {
+    return;
+  }
+
+  try {
+    const { privateKey, publicKey } = generateKeyPair();
+    const renewed = await conductorService.renewCertificate(publicKey);
+    storeCertificate(privateKey, renewed.certificate);
+    applyTls();
+    log.info('Client certificate renewed', { expires_at: renewed.expires_at });
+
+    conductorSocket.disconnect();
+    isRegistered = false;
+    await registerWorker();
+  } catch (error) {
+    log.error('Certificate renewal failed', { error: error.message });
+  }
+}
+
+/**
+ * Start checking the client certificate for renewal
+ */
+function startCertificateRotation() {
+  if (certificateCheckInterval) {
+    clearInterval(certificateCheckInterval);
+  }
+
+  certificateCheckInterval = setInterval(() => {
+    rotateCertificateIfNeeded();
+  }, CERTIFICATE_CHECK_INTERVAL);
+
+  rotateCertificateIfNeeded();
+}
+
 /**
  * Register worker with conductor
+ * A worker that registered before uses its stored credential; CONDUCTOR_TOKEN is only
+ * needed for the first registration or after the credential was revoked.
+ * While conductor requires mutual TLS, a worker without a valid client certificate first
+ * registers over the TLS listener with CONDUCTOR_TOKEN to get one.
  */
 async function registerWorker() {
-  if (!CONDUCTOR_TOKEN) {
-    console.error('ERROR: CONDUCTOR_TOKEN is not set. Cannot register worker.');
+  // Check for stored worker ID and credential first
+  let storedWorkerId = getStoredWorkerId();
+  let storedCredential = getStoredCredential();
+
+  if (!CONDUCTOR_TOKEN && !storedCredential) {
+    log.error('CONDUCTOR_TOKEN is not set and no worker credential is stored, cannot register worker');
     return false;
   }
 
   try {
-    // Check for stored worker ID first
-    const storedWorkerId = getStoredWorkerId();
     let worker = null;
     let isNewRegistration = false;
 
+    await setUpTls();
+
+    if (tlsUrl && (!storedCredential || !hasUsableCertificate())) {
+      const enrolled = await enrollWorker(storedWorkerId);
+      storedWorkerId = enrolled.worker.id;
+      storedCredential = enrolled.credential;
+      isNewRegistration = true;
+    }
+
     if (storedWorkerId) {
-      console.log(`Found stored worker ID: ${storedWorkerId}`);
-      console.log('Verifying worker ID with conductor...');
+      log.info('Verifying stored worker ID with conductor', { worker_id: storedWorkerId });
       
       try {
         // Try to verify worker exists by attempting registration with existing ID
@@ -130,28 +316,36 @@ async function registerWorker() {
         // Get actual device hostname and IP (not Docker internal)
         const deviceInfo = await getDeviceInfo();
         
-        // Try to register with existing worker ID
+        // Try to register with existing worker ID (and its credential, if one was stored)
+        conductorSocket.setCredential(storedCredential);
         worker = await conductorSocket.registerWorker(
           CONDUCTOR_TOKEN,
           deviceInfo.hostname,
           deviceInfo.ip,
           resources,
-          storedWorkerId
+          storedWorkerId,
+          PLACEMENT
         );
         
-        console.log(`✓ Verified existing worker ID: ${worker.id}`);
+        log.info('Verified existing worker ID', { worker_id: worker.id });
       } catch (error) {
-        console.log(`✗ Worker ID ${storedWorkerId} is invalid or not found: ${error.message}`);
-        console.log('Clearing stored worker ID and registering as new worker...');
+        log.warn('Stored worker ID is invalid or not found, registering as new worker', { worker_id: storedWorkerId, error: error.message });
         clearWorkerId();
+        conductorSocket.setCredential(null);
         isNewRegistration = true;
+
+        // With mutual TLS, new workers register over HTTPS: get a new certificate on retry
+        if (tlsUrl) {
+          clearCertificate();
+          throw error;
+        }
       }
     }
 
     // If no stored ID or verification failed, register as new worker
     if (!worker) {
       isNewRegistration = true;
-      console.log(`Connecting to conductor via WebSocket at ${CONDUCTOR_URL}...`);
+      log.info('Connecting to conductor via WebSocket', { url: CONDUCTOR_URL });
 
       // Connect WebSocket first
       if (!conductorSocket.getIsConnected()) {
@@ -164,62 +358,62 @@ async function registerWorker() {
 
       // Get actual device hostname and IP (not Docker internal)
       const deviceInfo = await getDeviceInfo();
-      console.log(`Detected device info - Hostname: ${deviceInfo.hostname}, IP: ${deviceInfo.ip}`);
+      log.info('Detected device info', { hostname: deviceInfo.hostname, ip: deviceInfo.ip });
 
       // Register with conductor via WebSocket (send actual device info)
       worker = await conductorSocket.registerWorker(
         CONDUCTOR_TOKEN,
         deviceInfo.hostname,
         deviceInfo.ip,
-        resources
+        resources,
+        null,
+        PLACEMENT
       );
-
-      // Also register via HTTP for backward compatibility
-      try {
-        await conductorService.registerWorker(
-          CONDUCTOR_TOKEN,
-          deviceInfo.hostname,
-          deviceInfo.ip,
-          resources
-        );
-      } catch (httpError) {
-        // HTTP registration is optional if WebSocket works
-        console.warn('HTTP registration failed (using WebSocket only):', httpError.message);
-      }
     }
 
-    // Store worker ID to file for persistence
-    storeWorkerId(worker.id);
+    // HTTP calls use the same worker ID and credential (registering over HTTP as well
+    // would issue a second credential and invalidate this one)
+    conductorService.setWorkerId(worker.id);
+    conductorService.setCredential(conductorSocket.getCredential());
+
+    // Store worker ID and credential to file for persistence
+    storeWorkerId(worker.id, conductorSocket.getCredential());
 
     // Store IP and hostname returned by conductor (in memory only)
     WORKER_HOSTNAME = worker.hostname;
     WORKER_IP = worker.ip_address;
 
-    console.log(`✓ Worker ${isNewRegistration ? 'registered' : 'verified'} successfully via WebSocket!`);
-    console.log(`  Worker ID: ${worker.id}`);
-    console.log(`  Hostname: ${WORKER_HOSTNAME}`);
-    console.log(`  IP Address: ${WORKER_IP}`);
-    console.log(`  Status: ${worker.status}`);
+    log.info(isNewRegistration ? 'Worker registered' : 'Worker verified', {
+      worker_id: worker.id,
+      hostname: WORKER_HOSTNAME,
+      ip: WORKER_IP,
+      status: worker.status
+    });
 
     isRegistered = true;
     registrationAttempts = 0;
     
     // Start WebSocket-based heartbeat
     startWebSocketHeartbeat();
+
+    // Renew the client certificate before it expires
+    if (tlsUrl) {
+      startCertificateRotation();
+    }
     
     return true;
   } catch (error) {
     registrationAttempts++;
-    console.error(`✗ Registration failed (attempt ${registrationAttempts}/${MAX_REGISTRATION_ATTEMPTS}):`, error.message);
+    log.error('Registration failed', { attempt: registrationAttempts, max_attempts: MAX_REGISTRATION_ATTEMPTS, error: error.message });
     
     if (registrationAttempts >= MAX_REGISTRATION_ATTEMPTS) {
-      console.error('Max registration attempts reached. Worker will not start.');
+      log.error('Max registration attempts reached, worker will not start');
       return false;
     }
 
     // Retry after exponential backoff
     const retryDelay = Math.min(1000 * Math.pow(2, registrationAttempts), 30000); // Max 30 seconds
-    console.log(`Retrying registration in ${retryDelay / 1000} seconds...`);
+    log.info('Retrying registration', { retry_in_ms: retryDelay });
     setTimeout(registerWorker, retryDelay);
     return false;
   }
@@ -253,11 +447,11 @@ async function sendHeartbeat() {
     // Update last resources for comparison
     lastResources = resources;
   } catch (error) {
-    console.error(`✗ Heartbeat failed:`, error.message);
+    log.error('Heartbeat failed', { error: error.message });
     
     // If disconnected, try to re-register
     if (!conductorSocket.getIsConnected()) {
-      console.log('WebSocket disconnected. Attempting re-registration...');
+      log.warn('WebSocket disconnected, registering again');
       isRegistered = false;
       registerWorker();
     }
@@ -276,7 +470,7 @@ function startWebSocketHeartbeat() {
     sendHeartbeat();
   }, HEARTBEAT_INTERVAL);
 
-  console.log(`WebSocket heartbeat started (interval: ${HEARTBEAT_INTERVAL / 1000}s)`);
+  log.info('WebSocket heartbeat started', { interval_ms: HEARTBEAT_INTERVAL });
 }
 
 /**
@@ -327,13 +521,13 @@ async function checkAndUpdateResources() {
     }
 
     lastResources = resources;
-    console.log(`✓ Resources updated: ${resources.cpu_cores} CPU cores, ${resources.ram_gb} GB RAM, ${resources.disk_gb} GB disk`);
+    log.info('Resources updated', { cpu_cores: resources.cpu_cores, ram_gb: resources.ram_gb, disk_gb: resources.disk_gb });
   } catch (error) {
-    console.error(`✗ Resource update failed:`, error.message);
+    log.error('Resource update failed', { error: error.message });
     
     // If worker not found, try to re-register
     if (error.message.includes('re-registration required') || error.message.includes('Worker not found')) {
-      console.log('Worker not found on conductor. Attempting re-registration...');
+      log.warn('Worker not found on conductor, registering again');
       isRegistered = false;
       await registerWorker();
     }
@@ -352,7 +546,7 @@ function startHeartbeatLoop() {
     sendHeartbeat();
   }, HEARTBEAT_INTERVAL);
 
-  console.log(`Heartbeat loop started (interval: ${HEARTBEAT_INTERVAL / 1000}s)`);
+  log.info('Heartbeat loop started', { interval_ms: HEARTBEAT_INTERVAL });
 }
 
 /**
@@ -367,47 +561,7 @@ function startResourceCheckLoop() {
     checkAndUpdateResources();
   }, RESOURCE_CHECK_INTERVAL);
 
-  console.log(`Resource check loop started (interval: ${RESOURCE_CHECK_INTERVAL / 1000}s)`);
-}
-
-/**
- * Check for deployment instructions from conductor
- */
-async function checkDeploymentInstructions() {
-  if (!isRegistered) {
-    return;
-  }
-
-  try {
-    const instructions = await conductorService.getDeploymentInstructions();
-    
-    if (instructions && instructions.length > 0) {
-      for (const instruction of instructions) {
-        console.log(`Received deployment instruction: ${instruction.action} for ${instruction.service}`);
-        deploymentHandler.queueDeployment(instruction);
-      }
-    }
-  } catch (error) {
-    // Don't log errors for getDeploymentInstructions - it's expected to return empty array for now
-    if (!error.message.includes('not implemented')) {
-      console.error(`✗ Failed to check deployment instructions:`, error.message);
-    }
-  }
-}
-
-/**
- * Start deployment check loop
- */
-function startDeploymentCheckLoop() {
-  if (deploymentCheckInterval) {
-    clearInterval(deploymentCheckInterval);
-  }
-
-  deploymentCheckInterval = setInterval(() => {
-    checkDeploymentInstructions();
-  }, DEPLOYMENT_CHECK_INTERVAL);
-
-  console.log(`Deployment check loop started (interval: ${DEPLOYMENT_CHECK_INTERVAL / 1000}s)`);
+  log.info('Resource check loop started', { interval_ms: RESOURCE_CHECK_INTERVAL });
 }
 
 /**
@@ -419,14 +573,9 @@ async function monitorServiceStatus() {
   }
 
   try {
-    const services = await ServiceManager.listServices();
-    
-    for (const service of services) {
-      const status = service.running ? 'running' : 'stopped';
-      await conductorService.reportServiceStatus(service.service, status);
-    }
+    await deploymentHandler.reportAllServiceStatuses();
   } catch (error) {
-    console.error(`✗ Service status monitoring failed:`, error.message);
+    log.error('Service status monitoring failed', { error: error.message });
   }
 }
 
@@ -442,7 +591,7 @@ function startServiceStatusMonitoring() {
     monitorServiceStatus();
   }, SERVICE_STATUS_INTERVAL);
 
-  console.log(`Service status monitoring started (interval: ${SERVICE_STATUS_INTERVAL / 1000}s)`);
+  log.info('Service status monitoring started', { interval_ms: SERVICE_STATUS_INTERVAL });
 }
 
 /**
@@ -452,12 +601,12 @@ async function checkDockerConnection() {
   try {
     dockerConnected = await ServiceManager.checkDockerConnection();
     if (!dockerConnected) {
-      console.warn('⚠ Docker daemon not accessible. Container management will not work.');
+      log.warn('Docker daemon not accessible, container management will not work');
     } else {
-      console.log('✓ Docker daemon connected');
+      log.info('Docker daemon connected');
     }
   } catch (error) {
-    console.error('✗ Docker connection check failed:', error);
+    log.error('Docker connection check failed', { error });
     dockerConnected = false;
   }
 }
@@ -466,7 +615,7 @@ async function checkDockerConnection() {
  * Graceful shutdown
  */
 async function gracefulShutdown() {
-  console.log('\nShutting down worker...');
+  log.info('Shutting down worker');
   
   if (heartbeatInterval) {
     clearInterval(heartbeatInterval);
@@ -476,14 +625,14 @@ async function gracefulShutdown() {
     clearInterval(resourceCheckInterval);
   }
 
-  if (deploymentCheckInterval) {
-    clearInterval(deploymentCheckInterval);
-  }
-
   if (serviceStatusInterval) {
     clearInterval(serviceStatusInterval);
   }
 
+  if (certificateCheckInterval) {
+    clearInterval(certificateCheckInterval);
+  }
+
   // Stop all managed services
   if (dockerConnected) {
     try {
@@ -492,14 +641,14 @@ async function gracefulShutdown() {
         if (service.running) {
           try {
             await ServiceManager.stopService(service.service);
-            console.log(`Stopped service: ${service.service}`);
+            log.info('Stopped service', { service: service.service });
           } catch (error) {
-            console.error(`Failed to stop service ${service.service}:`, error.message);
+            log.error('Failed to stop service', { service: service.service, error: error.message });
           }
         }
       }
     } catch (error) {
-      console.error('Error stopping services:', error);
+      log.error('Failed to stop services', { error });
     }
   }
 
@@ -554,7 +703,7 @@ app.get('/status', async (req, res) => {
       try {
         services = await ServiceManager.listServices();
       } catch (error) {
-        console.error('Error listing services:', error);
+        log.error('Failed to list services', { error });
       }
     }
     
@@ -577,7 +726,6 @@ app.get('/status', async (req, res) => {
       intervals: {
         heartbeat: HEARTBEAT_INTERVAL / 1000,
         resource_check: RESOURCE_CHECK_INTERVAL / 1000,
-        deployment_check: DEPLOYMENT_CHECK_INTERVAL / 1000,
         service_status: SERVICE_STATUS_INTERVAL / 1000
       },
       timestamp: new Date().toISOString()
@@ -590,6 +738,19 @@ app.get('/status', async (req, res) => {
   }
 });
 
+// Prometheus metrics endpoint (OpenMetrics text format)
+app.get('/metrics', async (req, res) => {
+  try {
+    const metrics = await metricsExporter.render();
+    res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+    res.end(metrics);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
 // Service management endpoints (for debugging)
 app.get('/services', async (req, res) => {
   try {
@@ -647,10 +808,11 @@ app.post('/services/:name/restart', async (req, res) => {
 
 // Start server
 app.listen(PORT, async () => {
-  console.log(`Worker API server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Conductor URL: ${CONDUCTOR_URL}`);
-  console.log(`Hostname and IP will be detected by conductor during registration`);
+  log.info('Worker API server running', {
+    port: PORT,
+    environment: process.env.NODE_ENV || 'development',
+    conductor_url: CONDUCTOR_URL
+  });
 
   // Check Docker connection
   await checkDockerConnection();
@@ -662,10 +824,9 @@ app.listen(PORT, async () => {
     // WebSocket heartbeat is started in registerWorker() and includes resources
     // Resource check loop is kept for HTTP fallback only (runs less frequently)
     startResourceCheckLoop(); // HTTP fallback, runs every 60s
-    startDeploymentCheckLoop();
     startServiceStatusMonitoring();
   } else {
-    console.error('Worker failed to register. Exiting...');
+    log.error('Worker failed to register, exiting');
     process.exit(1);
   }
 });
@@ -676,11 +837,11 @@ process.on('SIGINT', gracefulShutdown);
 
 // Handle uncaught errors
 process.on('unhandledRejection', (error) => {
-  console.error('Unhandled promise rejection:', error);
+  log.error('Unhandled promise rejection', { error });
 });
 
 process.on('uncaughtException', (error) => {
-  console.error('Uncaught exception:', error);
+  log.error('Uncaught exception', { error });
   gracefulShutdown();
 });
 
@@ -1,12 +1,17 @@
 const ServiceManager = require('../docker/ServiceManager');
 const ConductorService = require('../api/services/ConductorService');
+const { logger } = require('../utils/logger');
+const { runWithRequestId, getRequestId } = require('../utils/requestContext');
+
+const log = logger.child({ component: 'deployment' });
 
 /**
  * Service Deployment Handler - Processes deployment instructions from conductor
  */
 class DeploymentHandler {
-  constructor(conductorService) {
+  constructor(conductorService, conductorSocket = null) {
     this.conductorService = conductorService;
+    this.conductorSocket = conductorSocket;
     this.serviceManager = ServiceManager;
     this.deploymentQueue = [];
     this.isProcessing = false;
@@ -14,12 +19,31 @@ class DeploymentHandler {
 
   /**
    * Handle deployment instruction from conductor
+   * Runs with the instruction's request_id as request context, so every log line of the
+   * deployment and the status reports sent to conductor carry it.
    * @param {object} instruction - Deployment instruction
    * @returns {Promise<object>} Deployment result
    */
   async handleDeploymentInstruction(instruction) {
+    const requestId = (instruction && instruction.request_id) || getRequestId();
+    return await runWithRequestId(requestId, () => this.runInstruction(instruction));
+  }
+
+  /**
+   * Run a deployment instruction and report the outcome
+   * @param {object} instruction - Deployment instruction
+   * @returns {Promise<object>} Deployment result
+   */
+  async runInstruction(instruction) {
+    const instructionLog = log.child({
+      instruction_id: (instruction && instruction.id) || null,
+      action: (instruction && instruction.action) || null,
+      service: (instruction && instruction.service) || null
+    });
+
     try {
       const { action, service, config } = instruction;
+      instructionLog.info('Handling deployment instruction', { attempt: instruction.attempt || null });
 
       if (!action || !service) {
         throw new Error('Invalid deployment instruction: action and service are required');
@@ -55,10 +79,12 @@ class DeploymentHandler {
 
       // Report status to conductor
       await this.reportDeploymentStatus(service, action, 'success', result);
+      this.reportInstructionResult(instruction, 'success', result);
+      instructionLog.info('Deployment instruction succeeded');
 
       return result;
     } catch (error) {
-      console.error(`Error handling deployment instruction:`, error);
+      instructionLog.error('Deployment instruction failed', { error });
       
       // Report error to conductor
       await this.reportDeploymentStatus(
@@ -67,6 +93,7 @@ class DeploymentHandler {
         'failed',
         { error: error.message }
       );
+      this.reportInstructionResult(instruction, 'failed', null, error.message);
 
       throw error;
     }
@@ -80,7 +107,7 @@ class DeploymentHandler {
    */
   async deployService(serviceName, config) {
     try {
-      console.log(`Deploying service: ${serviceName}`);
+      log.info('Deploying service', { service: serviceName });
 
       // Validate config
       if (!config || !config.docker_image) {
@@ -97,7 +124,7 @@ class DeploymentHandler {
       // Deploy using ServiceManager
       const result = await this.serviceManager.startService(serviceName, config);
       
-      console.log(`✓ Service ${serviceName} deployed successfully`);
+      log.info('Service deployed', { service: serviceName });
       return {
         service: serviceName,
         action: 'deploy',
@@ -105,7 +132,7 @@ class DeploymentHandler {
         container: result
       };
     } catch (error) {
-      console.error(`✗ Failed to deploy service ${serviceName}:`, error);
+      log.error('Failed to deploy service', { service: serviceName, error });
       throw error;
     }
   }
@@ -117,11 +144,11 @@ class DeploymentHandler {
    */
   async stopService(serviceName) {
     try {
-      console.log(`Stopping service: ${serviceName}`);
+      log.info('Stopping service', { service: serviceName });
       
       const result = await this.serviceManager.stopService(serviceName);
       
-      console.log(`✓ Service ${serviceName} stopped successfully`);
+      log.info('Service stopped', { service: serviceName });
       return {
         service: serviceName,
         action: 'stop',
@@ -129,7 +156,7 @@ class DeploymentHandler {
         container: result
       };
     } catch (error) {
-      console.error(`✗ Failed to stop service ${serviceName}:`, error);
+      log.error('Failed to stop service', { service: serviceName, error });
       throw error;
     }
   }
@@ -141,11 +168,11 @@ class DeploymentHandler {
    */
   async restartService(serviceName) {
     try {
-      console.log(`Restarting service: ${serviceName}`);
+      log.info('Restarting service', { service: serviceName });
       
       const result = await this.serviceManager.restartService(serviceName);
       
-      console.log(`✓ Service ${serviceName} restarted successfully`);
+      log.info('Service restarted', { service: serviceName });
       return {
         service: serviceName,
         action: 'restart',
@@ -153,7 +180,7 @@ class DeploymentHandler {
         container: result
       };
     } catch (error) {
-      console.error(`✗ Failed to restart service ${serviceName}:`, error);
+      log.error('Failed to restart service', { service: serviceName, error });
       throw error;
     }
   }
@@ -166,11 +193,11 @@ class DeploymentHandler {
    */
   async updateService(serviceName, config) {
     try {
-      console.log(`Updating service: ${serviceName}`);
+      log.info('Updating service', { service: serviceName });
       
       const result = await this.serviceManager.updateService(serviceName, config);
       
-      console.log(`✓ Service ${serviceName} updated successfully`);
+      log.info('Service updated', { service: serviceName });
       return {
         service: serviceName,
         action: 'update',
@@ -178,7 +205,7 @@ class DeploymentHandler {
         container: result
       };
     } catch (error) {
-      console.error(`✗ Failed to update service ${serviceName}:`, error);
+      log.error('Failed to update service', { service: serviceName, error });
       throw error;
     }
   }
@@ -190,7 +217,7 @@ class DeploymentHandler {
    */
   async removeService(serviceName) {
     try {
-      console.log(`Removing service: ${serviceName}`);
+      log.info('Removing service', { service: serviceName });
       
       // Stop service first
       try {
@@ -207,14 +234,14 @@ class DeploymentHandler {
         await container.remove();
       }
       
-      console.log(`✓ Service ${serviceName} removed successfully`);
+      log.info('Service removed', { service: serviceName });
       return {
         service: serviceName,
         action: 'remove',
         status: 'success'
       };
     } catch (error) {
-      console.error(`✗ Failed to remove service ${serviceName}:`, error);
+      log.error('Failed to remove service', { service: serviceName, error });
       throw error;
     }
   }
@@ -239,7 +266,7 @@ class DeploymentHandler {
       
       return null;
     } catch (error) {
-      console.error(`Error loading compose config for ${serviceName}:`, error);
+      log.error('Could not load compose config', { service: serviceName, error });
       return null;
     }
   }
@@ -254,12 +281,13 @@ class DeploymentHandler {
   async deployWithCompose(serviceName, composeConfig, config) {
     // TODO: Implement docker-compose integration
     // For now, fall back to ServiceManager
-    console.log(`Docker-compose config found for ${serviceName}, but using ServiceManager for now`);
+    log.info('Docker-compose config found, but using ServiceManager for now', { service: serviceName });
     return await this.deployService(serviceName, config);
   }
 
   /**
    * Report deployment status to conductor
+   * Sends the container state after the action, with the error if it failed
    * @param {string} serviceName - Service name
    * @param {string} action - Deployment action
    * @param {string} status - Status (success/failed)
@@ -267,13 +295,88 @@ class DeploymentHandler {
    */
   async reportDeploymentStatus(serviceName, action, status, result) {
     try {
-      await this.conductorService.reportServiceStatus(serviceName, status);
+      const lastError = status === 'failed' && result ? result.error : null;
+      const report = await this.buildStatusReport(serviceName, lastError);
+      await this.sendServiceStatuses([report]);
     } catch (error) {
-      console.error(`Failed to report deployment status to conductor:`, error);
+      log.error('Failed to report deployment status to conductor', { service: serviceName, error });
       // Don't throw - this is not critical
     }
   }
 
+  /**
+   * Report the container state of every managed service to conductor
+   * Sent as a full report (even when empty) so conductor can detect missing and orphaned containers
+   * @returns {Promise<Array>} Reports that were sent
+   */
+  async reportAllServiceStatuses() {
+    const services = await this.serviceManager.listServices();
+    const reports = [];
+
+    for (const service of services) {
+      reports.push(await this.buildStatusReport(service.service));
+    }
+
+    await this.sendServiceStatuses(reports, { full: true });
+
+    return reports;
+  }
+
+  /**
+   * Build a status report for a service from its container
+   * @param {string} serviceName - Service name
+   * @param {string} [lastError] - Error of the last action, overrides the container error
+   * @returns {Promise<object>} { service, container_id, state, exit_code, restart_count, last_error, image_digest }
+   */
+  async buildStatusReport(serviceName, lastError = null) {
+    const status = (await this.serviceManager.getServiceStatus(serviceName)) || {};
+
+    return {
+      service: serviceName,
+      container_id: status.id || null,
+      state: status.status || 'unknown',
+      exit_code: status.exitCode ?? null,
+      restart_count: status.restartCount ?? null,
+      last_error: lastError || status.error || null,
+      image_digest: status.imageDigest || null
+    };
+  }
+
+  /**
+   * Send status reports over the socket, falling back to HTTP
+   * @param {Array<object>} reports - Status reports
+   * @param {object} [options] - Options (full: reports cover every managed service)
+   */
+  async sendServiceStatuses(reports, options = {}) {
+    const full = Boolean(options.full);
+
+    if (this.conductorSocket && this.conductorSocket.sendServiceStatuses(reports, full)) {
+      return;
+    }
+
+    await this.conductorService.reportServiceStatuses(reports, full);
+  }
+
+  /**
+   * Send the result of an instruction pushed by conductor (worker:deploy:result)
+   * Instructions without an id did not come over the socket and are not reported
+   * @param {object} instruction - Deployment instruction
+   * @param {string} status - Status (success/failed)
+   * @param {object} [result] - Deployment result
+   * @param {string} [error] - Error message
+   */
+  reportInstructionResult(instruction, status, result = null, error = null) {
+    if (!this.conductorSocket || !instruction || !instruction.id) {
+      return;
+    }
+
+    try {
+      this.conductorSocket.sendInstructionResult(instruction.id, status, result, error);
+    } catch (reportError) {
+      log.error('Failed to report instruction result to conductor', { instruction_id: instruction.id, error: reportError });
+    }
+  }
+
   /**
    * Process deployment queue
    */
@@ -289,7 +392,7 @@ class DeploymentHandler {
       try {
         await this.handleDeploymentInstruction(instruction);
       } catch (error) {
-        console.error('Error processing deployment instruction:', error);
+        // Already logged with the instruction's request_id by handleDeploymentInstruction
       }
     }
 
@@ -0,0 +1,127 @@
+const { Registry } = require('../utils/openMetrics');
+
+const GB = 1024 * 1024 * 1024;
+
+/**
+ * Metrics Exporter - Worker metrics for Prometheus, served on /metrics
+ *
+ * Everything is read when the metrics are scraped: managed containers from Docker, the deployment
+ * instruction queue, connection state, and host resources from resourceDetector.getAllResources().
+ */
+class MetricsExporter {
+  /**
+   * @param {object} options - { resourceDetector, serviceManager, deploymentHandler,
+   *   getState: () => ({ registered, conductorConnected, dockerConnected }) }
+   */
+  constructor({ resourceDetector, serviceManager, deploymentHandler, getState }) {
+    this.resourceDetector = resourceDetector;
+    this.serviceManager = serviceManager;
+    this.deploymentHandler = deploymentHandler;
+    this.getState = getState;
+    this.registry = new Registry();
+
+    const registered = this.registry.gauge('worker_registered', 'Whether the worker is registered with conductor');
+    const conductorConnected = this.registry.gauge('worker_conductor_connected', 'Whether the socket to conductor is connected');
+    const dockerConnected = this.registry.gauge('worker_docker_connected', 'Whether the Docker daemon is reachable');
+    const containers = this.registry.gauge('worker_containers', 'Managed service containers by state', ['state']);
+    const queueDepth = this.registry.gauge('worker_deployment_queue_depth', 'Deployment instructions waiting to be handled');
+    const processing = this.registry.gauge('worker_deployment_processing', 'Whether a deployment instruction is being handled');
+
+    this.registry.addCollector(async () => {
+      const state = this.getState();
+      registered.set({}, state.registered ? 1 : 0);
+      conductorConnected.set({}, state.conductorConnected ? 1 : 0);
+      dockerConnected.set({}, state.dockerConnected ? 1 : 0);
+      queueDepth.set({}, this.deploymentHandler.deploymentQueue.length);
+      processing.set({}, this.deploymentHandler.isProcessing ? 1 : 0);
+
+      containers.reset();
+      if (state.dockerConnected) {
+        const counts = { running: 0, stopped: 0 };
+        for (const service of await this.serviceManager.listServices()) {
+          counts[service.running ? 'running' : 'stopped']++;
+        }
+        containers.set({ state: 'running' }, counts.running);
+        containers.set({ state: 'stopped' }, counts.stopped);
+      }
+    });
+
+    this.addResourceMetrics();
+  }
+
+  /**
+   * Add host resource metrics, read from resourceDetector.getAllResources()
+   */
+  addResourceMetrics() {
+    const gauges = {
+      cpuCores: this.registry.gauge('worker_cpu_cores', 'Logical CPU cores'),
+      cpuUsage: this.registry.gauge('worker_cpu_usage_percent', 'CPU usage of all cores'),
+      coreUsage: this.registry.gauge('worker_cpu_core_usage_percent', 'CPU usage per core', ['core']),
+      memoryTotal: this.registry.gauge('worker_memory_total_bytes', 'Total memory'),
+      memoryUsed: this.registry.gauge('worker_memory_used_bytes', 'Memory in use'),
+      memoryAvailable: this.registry.gauge('worker_memory_available_bytes', 'Memory available to new processes'),
+      memoryUsage: this.registry.gauge('worker_memory_usage_percent', 'Memory usage'),
+      diskTotal: this.registry.gauge('worker_disk_total_bytes', 'Total disk space'),
+      diskUsed: this.registry.gauge('worker_disk_used_bytes', 'Disk space in use'),
+      diskAvailable: this.registry.gauge('worker_disk_available_bytes', 'Disk space available'),
+      diskUsage: this.registry.gauge('worker_disk_usage_percent', 'Disk usage'),
+      diskRead: this.registry.gauge('worker_disk_read_bytes_per_second', 'Disk read rate'),
+      diskWrite: this.registry.gauge('worker_disk_write_bytes_per_second', 'Disk write rate'),
+      networkReceiveRate: this.registry.gauge('worker_network_receive_bytes_per_second', 'Receive rate of the primary interface', ['interface']),
+      networkTransmitRate: this.registry.gauge('worker_network_transmit_bytes_per_second', 'Transmit rate of the primary interface', ['interface'])
+    };
+    const counters = {
+      networkReceived: this.registry.counter('worker_network_receive_bytes', 'Bytes received on the primary interface', ['interface']),
+      networkTransmitted: this.registry.counter('worker_network_transmit_bytes', 'Bytes sent on the primary interface', ['interface']),
+      networkErrors: this.registry.counter('worker_network_errors', 'Errors on the primary interface', ['interface', 'direction']),
+      networkDropped: this.registry.counter('worker_network_dropped', 'Dropped packets on the primary interface', ['interface', 'direction'])
+    };
+
+    this.registry.addCollector(async () => {
+      const { cpu, ram, disk, network } = await this.resourceDetector.getAllResources();
+
+      gauges.cpuCores.set({}, cpu.cores);
+      gauges.cpuUsage.set({}, parseFloat(cpu.usagePercent) || 0);
+      gauges.coreUsage.reset();
+      for (const core of cpu.perCore || []) {
+        gauges.coreUsage.set({ core: core.core }, parseFloat(core.usagePercent) || 0);
+      }
+
+      gauges.memoryTotal.set({}, Math.round(ram.total_gb * GB));
+      gauges.memoryUsed.set({}, Math.round(ram.used_gb * GB));
+      gauges.memoryAvailable.set({}, Math.round(ram.available_gb * GB));
+      gauges.memoryUsage.set({}, ram.usagePercent);
+
+      gauges.diskTotal.set({}, Math.round(disk.total_gb * GB));
+      gauges.diskUsed.set({}, Math.round(disk.used_gb * GB));
+      gauges.diskAvailable.set({}, Math.round(disk.available_gb * GB));
+      gauges.diskUsage.set({}, disk.usagePercent);
+      gauges.diskRead.set({}, disk.read_bytes_per_sec);
+      gauges.diskWrite.set({}, disk.write_bytes_per_sec);
+
+      const labels = { interface: network.primary_interface || 'unknown' };
+      gauges.networkReceiveRate.reset();
+      gauges.networkTransmitRate.reset();
+      gauges.networkReceiveRate.set(labels, network.rx_bytes_per_sec);
+      gauges.networkTransmitRate.set(labels, network.tx_bytes_per_sec);
+
+      Object.values(counters).forEach(counter => counter.reset());
+      counters.networkReceived.set(labels, network.rx_bytes);
+      counters.networkTransmitted.set(labels, network.tx_bytes);
+      counters.networkErrors.set({ ...labels, direction: 'receive' }, network.rx_errors);
+      counters.networkErrors.set({ ...labels, direction: 'transmit' }, network.tx_errors);
+      counters.networkDropped.set({ ...labels, direction: 'receive' }, network.rx_dropped);
+      counters.networkDropped.set({ ...labels, direction: 'transmit' }, network.tx_dropped);
+    });
+  }
+
+  /**
+   * Render the metrics in the OpenMetrics text format
+   * @returns {Promise<string>} Exposition text
+   */
+  async render() {
+    return await this.registry.render();
+  }
+}
+
+module.exports = MetricsExporter;
@@ -0,0 +1,48 @@
+/**
+ * Self-signed certificates for TLS tests
+ */
+
+// Valid from 2020-01-01 to 2120-01-01
+const LONG_LIVED_CERTIFICATE = `-----BEGIN CERTIFICATE-----
+MIICpTCCAY2gAwIBAgIBATANBgkqhkiG9w0BAQsFADAVMRMwEQYDVQQDEwpsb25n
+LWxpdmVkMCAXDTIwMDEwMTAwMDAwMFoYDzIxMjAwMTAxMDAwMDAwWjAVMRMwEQYD
+VQQDEwpsb25nLWxpdmVkMIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEA
+j0x9iIIzQN6L4V40Sq/12Tajnn6BBm9ZiBEaW0QT2HgeA4F5ApqM5ddGvyKgDkp8
+5Wx7TANgMa0ccfgSwIm045ElXGyijrSNUmD5cSU3+u+wfJr88z0gy8a89p0cb1xE
++OZJdEc3wp3amEdYxAlpY9dP8zpwCXHAgRtgjvF7Uz6Ew+U9YehFnH7eLf+pOtDe
+LmyZJl1Sqwxgfipvviei0uBfY0Abt91h0aX524XUP3l3pieo52X4yafQqgSbJ120
+ZPB/o3ItZ9VxQsY6bCQglSbjD6ixex12KKblr3Q+BAlFmdaHBwSPUZK/f5+FHF6f
+sTcdRQcpNJSg65UFVASNxQIDAQABMA0GCSqGSIb3DQEBCwUAA4IBAQBs/vp+Gqam
+wYyADUgWMydjWsL3sMkChjq52wTQqxWezhJNaulxDDa/fLAYQ5OF1dp9b8vpIp1q
+uygYTevHsSJqWmca4ZhfEA5B51eMwKw2ayB9EjdXUCZiXLN12XbzTWLBfi81Mm9j
+nJcldR6tE+Ht4tXbk3xv+4ejArFzHBeGh6lT6Z6sq8n0o4Vx/SqS7+86uBldB5fR
+WzSVgmLRrzoUGmAvUaCXoVfFHySSuFNO9PGDw4zFgYMRuguG3AUXPXr0mHEPzcgY
+rrwuB/xE9Gz5DaPFxK5Z5cf4OpncPBrvxBDUQkW9axExHReCDXjvGdqvaMD5y5Ys
+gPhhrwnr9jj1
+-----END CERTIFICATE-----
+`;
+
+// Valid from 2000-01-01 to 2001-01-01
+const EXPIRED_CERTIFICATE = `-----BEGIN CERTIFICATE-----
+MIICnTCCAYWgAwIBAgIBATANBgkqhkiG9w0BAQsFADASMRAwDgYDVQQDEwdleHBp
+cmVkMB4XDTAwMDEwMTAwMDAwMFoXDTAxMDEwMTAwMDAwMFowEjEQMA4GA1UEAxMH
+ZXhwaXJlZDCCASIwDQYJKoZIhvcNAQEBBQADggEPADCCAQoCggEBALWYk1wNysN6
+FJwa/dhjTuPu4VTBnwnVAVcSEmcvWMgMG7OrpTazP1LFawh2I/AQKqKOK+piVOSC
+HQ1/3NL8874peA38hIrbYHteFL+ymMvfWW+e2TGwj4eY9/ggDDC0QjoAWW6hJlal
+vDs6nZhkk3NzTRSLPUN9kEUOF1eX3Emo2Id1kMHP86nz7aFclWmZo5iObCOC+Rmi
+i9slPDKAIjDdYMET84q938jIPYaSnvUINvhbJzPiqP4wc2mrM9A2bn4cyBwGSbwb
+jmNei1N1skDa4pgt4z4Cx38z2kN6ReITU8hug6IlgLmZnz9HzXym8jFRC5llqYTW
+ar6nNq3dCFECAwEAATANBgkqhkiG9w0BAQsFAAOCAQEAsjeyU21ggWzNxms+w/23
+Z1reviBevznuLtstRqx4Ej9ORl2eCal2uBsMykQtgYbvutv+MWMos8qAlEC0DAM9
+gtaqixJ8RfehBb9vmbeFud5IruTdnM9rKsLh+jSIzqsLbwus03c0+MNUrjRUFL5h
+cDTJafirg+rDSwn+a5OHuLLkg9lfDBT5TJDVHCoEoDIX+zh7ehfil85IIjWlJL7e
+3dxWtcdIWfxE/eINEzkH8yjzz83Iusc8schVvnWoj7pPHGVpFWbExj+AGYmVJtUZ
++DFBM+MrM/n0Z54KDeq8yXTXHNGgMCpIPeFwHcl6kFlkk89hQFt9DHCNYb3iy/Lf
+ZA==
+-----END CERTIFICATE-----
+`;
+
+module.exports = {
+  LONG_LIVED_CERTIFICATE,
+  EXPIRED_CERTIFICATE
+};
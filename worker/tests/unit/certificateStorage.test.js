@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const certificateStorage = require('../../utils/certificateStorage');
+const { LONG_LIVED_CERTIFICATE } = require('../helpers/certificates');
+
+// Use actual data directory for tests (will be cleaned up)
+const TLS_DIR = path.join(__dirname, '..', '..', 'data', 'tls');
+
+describe('certificateStorage Unit Tests', () => {
+  beforeEach(() => {
+    fs.rmSync(TLS_DIR, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(TLS_DIR, { recursive: true, force: true });
+  });
+
+  test('should return null when nothing is stored', () => {
+    expect(certificateStorage.getStoredCaCertificate()).toBeNull();
+    expect(certificateStorage.getStoredCertificate()).toBeNull();
+  });
+
+  test('should store and read the CA certificate', () => {
+    certificateStorage.storeCaCertificate(LONG_LIVED_CERTIFICATE);
+
+    expect(certificateStorage.getStoredCaCertificate()).toBe(LONG_LIVED_CERTIFICATE);
+  });
+
+  test('should store the client certificate with a private key only the owner can read', () => {
+    certificateStorage.storeCertificate('private-key', LONG_LIVED_CERTIFICATE);
+
+    expect(certificateStorage.getStoredCertificate()).toEqual({ key: 'private-key', cert: LONG_LIVED_CERTIFICATE });
+    expect(fs.statSync(path.join(TLS_DIR, 'worker.key')).mode & 0o777).toBe(0o600);
+  });
+
+  test('should clear the client certificate but keep the CA certificate', () => {
+    certificateStorage.storeCaCertificate(LONG_LIVED_CERTIFICATE);
+    certificateStorage.storeCertificate('private-key', LONG_LIVED_CERTIFICATE);
+
+    certificateStorage.clearCertificate();
+
+    expect(certificateStorage.getStoredCertificate()).toBeNull();
+    expect(certificateStorage.getStoredCaCertificate()).toBe(LONG_LIVED_CERTIFICATE);
+  });
+});
@@ -1,6 +1,7 @@
 const ConductorService = require('../../api/services/ConductorService');
 const axios = require('axios');
 const { mockAxiosResponse, mockAxiosError } = require('../helpers/testHelpers');
+const { runWithRequestId } = require('../../utils/requestContext');
 
 // Mock axios
 jest.mock('axios');
@@ -46,6 +47,40 @@ describe('ConductorService Unit Tests', () => {
       );
     });
 
+    test('should send labels, taints and capabilities', async () => {
+      axios.post.mockResolvedValue(mockAxiosResponse({ worker: { id: 'worker-123' } }));
+      const placement = {
+        labels: { zone: 'garage' },
+        taints: [{ key: 'dedicated', value: 'db', effect: 'NoSchedule' }],
+        capabilities: ['gpu']
+      };
+
+      await conductorService.registerWorker('test-token', 'test-hostname', '127.0.0.1', {}, null, placement);
+
+      expect(axios.post).toHaveBeenCalledWith(
+        `${conductorUrl}/api/workers/register`,
+        expect.objectContaining(placement)
+      );
+    });
+
+    test('should keep the credential issued at registration', async () => {
+      axios.post.mockResolvedValue(mockAxiosResponse({ worker: { id: 'worker-123' }, credential: 'wkr_new' }));
+
+      await conductorService.registerWorker('test-token', 'test-hostname', '127.0.0.1', {});
+
+      expect(conductorService.getCredential()).toBe('wkr_new');
+    });
+
+    test('should send the credential when registering an existing worker ID', async () => {
+      axios.post.mockResolvedValue(mockAxiosResponse({ worker: { id: 'worker-123' }, credential: null }));
+      conductorService.setCredential('wkr_secret');
+
+      await conductorService.registerWorker('test-token', 'test-hostname', '127.0.0.1', {}, 'worker-123');
+
+      expect(axios.post.mock.calls[0][1].credential).toBe('wkr_secret');
+      expect(conductorService.getCredential()).toBe('wkr_secret');
+    });
+
     test('should handle registration errors', async () => {
       axios.post.mockRejectedValue(mockAxiosError('Invalid token', 401));
 
@@ -66,6 +101,7 @@ describe('ConductorService Unit Tests', () => {
   describe('sendHeartbeat', () => {
     test('should send heartbeat successfully', async () => {
       conductorService.setWorkerId('worker-123');
+      conductorService.setCredential('wkr_secret');
       const mockWorker = {
         id: 'worker-123',
         status: 'online',
@@ -78,7 +114,9 @@ describe('ConductorService Unit Tests', () => {
 
       expect(result).toEqual(mockWorker);
       expect(axios.post).toHaveBeenCalledWith(
-        `${conductorUrl}/api/workers/worker-123/heartbeat`
+        `${conductorUrl}/api/workers/worker-123/heartbeat`,
+        null,
+        { headers: { Authorization: 'Bearer wkr_secret' } }
       );
     });
 
@@ -93,11 +131,21 @@ describe('ConductorService Unit Tests', () => {
       await expect(conductorService.sendHeartbeat()).rejects.toThrow('re-registration required');
       expect(conductorService.getWorkerId()).toBeNull();
     });
+
+    test('should require re-registration when the credential is rejected', async () => {
+      conductorService.setWorkerId('worker-123');
+      axios.post.mockRejectedValue(mockAxiosError('Invalid worker credential', 401));
+
+      await expect(conductorService.sendHeartbeat()).rejects.toThrow(
+        'Worker credential rejected - re-registration required'
+      );
+    });
   });
 
   describe('updateResources', () => {
     test('should update resources successfully', async () => {
       conductorService.setWorkerId('worker-123');
+      conductorService.setCredential('wkr_secret');
       const mockWorker = {
         id: 'worker-123',
         resources: { cpu_cores: 8, ram_gb: 16 }
@@ -115,7 +163,8 @@ describe('ConductorService Unit Tests', () => {
         `${conductorUrl}/api/workers/worker-123/resources`,
         {
           resources: { cpu_cores: 8, ram_gb: 16 }
-        }
+        },
+        { headers: { Authorization: 'Bearer wkr_secret' } }
       );
     });
 
@@ -126,6 +175,42 @@ describe('ConductorService Unit Tests', () => {
     });
   });
 
+  describe('reportServiceStatus', () => {
+    test('should post service status to conductor', async () => {
+      conductorService.setWorkerId('worker-123');
+      conductorService.setCredential('wkr_secret');
+      axios.post.mockResolvedValue(mockAxiosResponse({ deployments: [], ignored: [] }));
+
+      await conductorService.reportServiceStatus('test-service', { state: 'running', container_id: 'abc' });
+
+      expect(axios.post).toHaveBeenCalledWith(
+        `${conductorUrl}/api/workers/worker-123/services/status`,
+        {
+          services: [{ service: 'test-service', state: 'running', container_id: 'abc' }],
+          full: false
+        },
+        { headers: { Authorization: 'Bearer wkr_secret' } }
+      );
+    });
+
+    test('should send the request id of the instruction being handled', async () => {
+      conductorService.setWorkerId('worker-123');
+      conductorService.setCredential('wkr_secret');
+      axios.post.mockResolvedValue(mockAxiosResponse({ deployments: [], ignored: [] }));
+
+      await runWithRequestId('trace-123', () => conductorService.reportServiceStatus('test-service', { state: 'running' }));
+
+      const [, , config] = axios.post.mock.calls[0];
+      expect(config.headers).toEqual({ Authorization: 'Bearer wkr_secret', 'X-Request-ID': 'trace-123' });
+    });
+
+    test('should throw error if worker not registered', async () => {
+      await expect(
+        conductorService.reportServiceStatuses([])
+      ).rejects.toThrow('Worker not registered');
+    });
+  });
+
   describe('getWorkerId', () => {
     test('should return null initially', () => {
       expect(conductorService.getWorkerId()).toBeNull();
@@ -283,5 +368,66 @@ describe('ConductorService Unit Tests', () => {
       ).rejects.toThrow('Failed to connect to conductor');
     });
   });
-});
 
+  describe('mutual TLS', () => {
+    const tls = { url: 'https://localhost:3443', ca: 'ca-pem', key: 'key-pem', cert: 'cert-pem' };
+
+    test('should get the CA info from CONDUCTOR_URL', async () => {
+      axios.get.mockResolvedValue(mockAxiosResponse({ mtls_required: true, tls_port: 3443 }));
+
+      const info = await conductorService.getCaInfo();
+
+      expect(info).toEqual({ mtls_required: true, tls_port: 3443 });
+      expect(axios.get).toHaveBeenCalledWith(`${conductorUrl}/api/workers/ca`);
+    });
+
+    test('should treat conductors without a CA as not requiring mutual TLS', async () => {
+      axios.get.mockRejectedValue(mockAxiosError('Not found', 404));
+
+      await expect(conductorService.getCaInfo()).resolves.toEqual({ mtls_required: false });
+    });
+
+    test('should enroll over the TLS listener with a public key', async () => {
+      conductorService.setTls({ url: tls.url, ca: tls.ca });
+      axios.post.mockResolvedValue(mockAxiosResponse({
+        worker: { id: 'worker-123' },
+        credential: 'wkr_new',
+        certificate: { certificate: 'cert-pem' }
+      }));
+
+      const result = await conductorService.enrollWorker('test-token', 'host', '127.0.0.1', {}, null, {}, 'public-pem');
+
+      expect(result.certificate).toEqual({ certificate: 'cert-pem' });
+      expect(conductorService.getCredential()).toBe('wkr_new');
+      expect(axios.post.mock.calls[0][0]).toBe('https://localhost:3443/api/workers/register');
+      expect(axios.post.mock.calls[0][1]).toMatchObject({ token: 'test-token', public_key: 'public-pem' });
+      expect(axios.post.mock.calls[0][2].httpsAgent.options).toMatchObject({ ca: 'ca-pem' });
+    });
+
+    test('should send worker calls to the TLS listener with the client certificate', async () => {
+      conductorService.setTls(tls);
+      conductorService.setWorkerId('worker-123');
+      conductorService.setCredential('wkr_secret');
+      axios.post.mockResolvedValue(mockAxiosResponse({ worker: { id: 'worker-123' } }));
+
+      await conductorService.sendHeartbeat();
+
+      const [url, , config] = axios.post.mock.calls[0];
+      expect(url).toBe('https://localhost:3443/api/workers/worker-123/heartbeat');
+      expect(config.headers.Authorization).toBe('Bearer wkr_secret');
+      expect(config.httpsAgent.options).toMatchObject({ key: 'key-pem', cert: 'cert-pem' });
+    });
+
+    test('should renew the certificate with a new public key', async () => {
+      conductorService.setTls(tls);
+      conductorService.setWorkerId('worker-123');
+      axios.post.mockResolvedValue(mockAxiosResponse({ certificate: { certificate: 'new-cert-pem' } }));
+
+      const certificate = await conductorService.renewCertificate('public-pem');
+
+      expect(certificate).toEqual({ certificate: 'new-cert-pem' });
+      expect(axios.post.mock.calls[0][0]).toBe('https://localhost:3443/api/workers/worker-123/certificate');
+      expect(axios.post.mock.calls[0][1]).toEqual({ public_key: 'public-pem' });
+    });
+  });
+});
@@ -115,6 +115,23 @@ describe('ConductorSocketService Unit Tests', () => {
       await expect(connectPromise).rejects.toThrow();
     }, 20000);
 
+    test('should connect to the TLS listener with the client certificate', async () => {
+      mockSocket.on.mockImplementation((event, handler) => {
+        if (event === 'connect') {
+          setTimeout(() => handler(), 0);
+        }
+      });
+      socketService.setTls({ url: 'https://localhost:3443', ca: 'ca-pem', key: 'key-pem', cert: 'cert-pem' });
+
+      await socketService.connect();
+
+      expect(Client).toHaveBeenCalledWith('wss://localhost:3443', expect.objectContaining({
+        ca: 'ca-pem',
+        key: 'key-pem',
+        cert: 'cert-pem'
+      }));
+    });
+
     test('should handle disconnect', async () => {
       mockSocket.on.mockImplementation((event, handler) => {
         if (event === 'connect') {
@@ -186,6 +203,50 @@ describe('ConductorSocketService Unit Tests', () => {
       });
     });
 
+    test('should send the stored credential and keep a newly issued one', async () => {
+      mockSocket.on.mockImplementation((event, handler) => {
+        if (event === 'connect') {
+          setTimeout(() => handler(), 0);
+        }
+      });
+
+      mockSocket.once.mockImplementation((event, handler) => {
+        if (event === 'worker:registered') {
+          setTimeout(() => handler({ workerId: 'worker-123', credential: 'wkr_new' }), 10);
+        }
+      });
+
+      await socketService.connect();
+      socketService.setCredential('wkr_old');
+
+      await socketService.registerWorker('test-token', 'test-hostname', '127.0.0.1', {}, 'worker-123');
+
+      expect(mockSocket.emit).toHaveBeenCalledWith('worker:register', expect.objectContaining({
+        worker_id: 'worker-123',
+        credential: 'wkr_old'
+      }));
+      expect(socketService.getCredential()).toBe('wkr_new');
+    });
+
+    test('should forget a revoked credential and notify', async () => {
+      const handlers = {};
+      mockSocket.on.mockImplementation((event, handler) => {
+        handlers[event] = handler;
+        if (event === 'connect') {
+          setTimeout(() => handler(), 0);
+        }
+      });
+      const onRevoked = jest.fn();
+      socketService.setOnCredentialRevoked(onRevoked);
+
+      await socketService.connect();
+      socketService.setCredential('wkr_old');
+      handlers['worker:credential:revoked']({ workerId: 'worker-123' });
+
+      expect(socketService.getCredential()).toBeNull();
+      expect(onRevoked).toHaveBeenCalled();
+    });
+
     test('should reject if not connected', async () => {
       await expect(
         socketService.registerWorker('token', 'hostname', '127.0.0.1', {})
@@ -290,6 +351,79 @@ describe('ConductorSocketService Unit Tests', () => {
     });
   });
 
+  describe('deployment instructions', () => {
+    const instruction = {
+      id: 'instruction-1',
+      action: 'deploy',
+      service: 'test-service',
+      config: { docker_image: 'nginx:alpine' }
+    };
+
+    beforeEach(() => {
+      socketService.socket = mockSocket;
+      socketService.isConnected = true;
+      socketService.workerId = 'worker-123';
+    });
+
+    test('should acknowledge and pass new instructions to callback', () => {
+      const callback = jest.fn();
+      socketService.setOnInstruction(callback);
+
+      socketService.handleInstruction(instruction);
+
+      expect(mockSocket.emit).toHaveBeenCalledWith('worker:deploy:ack', { id: 'instruction-1' });
+      expect(callback).toHaveBeenCalledWith(instruction);
+    });
+
+    test('should acknowledge retried instructions without running them twice', () => {
+      const callback = jest.fn();
+      socketService.setOnInstruction(callback);
+
+      socketService.handleInstruction(instruction);
+      socketService.handleInstruction({ ...instruction, attempt: 2 });
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(mockSocket.emit).toHaveBeenCalledTimes(2);
+    });
+
+    test('should resend the result for a retried instruction that already finished', () => {
+      socketService.setOnInstruction(jest.fn());
+      socketService.handleInstruction(instruction);
+      socketService.sendInstructionResult('instruction-1', 'success', { status: 'success' });
+      mockSocket.emit.mockClear();
+
+      socketService.handleInstruction(instruction);
+
+      expect(mockSocket.emit).toHaveBeenCalledWith('worker:deploy:result', {
+        id: 'instruction-1',
+        status: 'success',
+        result: { status: 'success' },
+        error: null
+      });
+    });
+
+    test('should ignore instructions without id', () => {
+      const callback = jest.fn();
+      socketService.setOnInstruction(callback);
+
+      socketService.handleInstruction({ action: 'deploy', service: 'test-service' });
+
+      expect(callback).not.toHaveBeenCalled();
+      expect(mockSocket.emit).not.toHaveBeenCalled();
+    });
+
+    test('should send failed results with error', () => {
+      socketService.sendInstructionResult('instruction-2', 'failed', null, 'image not found');
+
+      expect(mockSocket.emit).toHaveBeenCalledWith('worker:deploy:result', {
+        id: 'instruction-2',
+        status: 'failed',
+        result: null,
+        error: 'image not found'
+      });
+    });
+  });
+
   describe('disconnect', () => {
     test('should disconnect socket', () => {
       socketService.socket = mockSocket;
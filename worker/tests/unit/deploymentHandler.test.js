@@ -14,7 +14,7 @@ describe('DeploymentHandler Unit Tests', () => {
     jest.clearAllMocks();
     
     mockConductorService = {
-      reportServiceStatus: jest.fn().mockResolvedValue(undefined),
+      reportServiceStatuses: jest.fn().mockResolvedValue({ deployments: [], ignored: [] }),
       getWorkerId: jest.fn().mockReturnValue('worker-123')
     };
 
@@ -46,7 +46,9 @@ describe('DeploymentHandler Unit Tests', () => {
       expect(result).toHaveProperty('action', 'deploy');
       expect(result).toHaveProperty('status', 'success');
       expect(ServiceManager.startService).toHaveBeenCalledWith('test-service', instruction.config);
-      expect(mockConductorService.reportServiceStatus).toHaveBeenCalledWith('test-service', 'success');
+      expect(mockConductorService.reportServiceStatuses).toHaveBeenCalledWith([
+        expect.objectContaining({ service: 'test-service', last_error: null })
+      ], false);
     });
 
     test('should handle stop action', async () => {
@@ -155,11 +157,158 @@ describe('DeploymentHandler Unit Tests', () => {
         deploymentHandler.handleDeploymentInstruction(instruction)
       ).rejects.toThrow('Docker error');
 
-      expect(mockConductorService.reportServiceStatus).toHaveBeenCalledWith(
-        'test-service',
-        'failed'
+      expect(mockConductorService.reportServiceStatuses).toHaveBeenCalledWith([
+        expect.objectContaining({ service: 'test-service', last_error: 'Docker error' })
+      ], false);
+    });
+  });
+
+  describe('status reports', () => {
+    test('should build a report from the container status', async () => {
+      ServiceManager.getServiceStatus = jest.fn().mockResolvedValue({
+        service: 'test-service',
+        id: 'container-123',
+        status: 'exited',
+        running: false,
+        exitCode: 1,
+        error: '',
+        restartCount: 3,
+        imageDigest: 'test-image@sha256:abc'
+      });
+
+      const report = await deploymentHandler.buildStatusReport('test-service');
+
+      expect(report).toEqual({
+        service: 'test-service',
+        container_id: 'container-123',
+        state: 'exited',
+        exit_code: 1,
+        restart_count: 3,
+        last_error: null,
+        image_digest: 'test-image@sha256:abc'
+      });
+    });
+
+    test('should report all managed services over the socket when connected', async () => {
+      const mockConductorSocket = { sendServiceStatuses: jest.fn().mockReturnValue(true) };
+      deploymentHandler = new DeploymentHandler(mockConductorService, mockConductorSocket);
+      ServiceManager.listServices = jest.fn().mockResolvedValue([{ service: 'a' }, { service: 'b' }]);
+      ServiceManager.getServiceStatus = jest.fn().mockResolvedValue({ id: 'container-123', status: 'running' });
+
+      const reports = await deploymentHandler.reportAllServiceStatuses();
+
+      expect(reports.map(r => r.service)).toEqual(['a', 'b']);
+      expect(mockConductorSocket.sendServiceStatuses).toHaveBeenCalledWith(reports, true);
+      expect(mockConductorService.reportServiceStatuses).not.toHaveBeenCalled();
+    });
+
+    test('should send an empty full report when no services are managed', async () => {
+      const mockConductorSocket = { sendServiceStatuses: jest.fn().mockReturnValue(true) };
+      deploymentHandler = new DeploymentHandler(mockConductorService, mockConductorSocket);
+      ServiceManager.listServices = jest.fn().mockResolvedValue([]);
+
+      await deploymentHandler.reportAllServiceStatuses();
+
+      expect(mockConductorSocket.sendServiceStatuses).toHaveBeenCalledWith([], true);
+    });
+
+    test('should fall back to HTTP when the socket is not connected', async () => {
+      const mockConductorSocket = { sendServiceStatuses: jest.fn().mockReturnValue(false) };
+      deploymentHandler = new DeploymentHandler(mockConductorService, mockConductorSocket);
+      ServiceManager.getServiceStatus = jest.fn().mockResolvedValue({ status: 'not_found', running: false });
+
+      await deploymentHandler.reportDeploymentStatus('test-service', 'stop', 'success', {});
+
+      expect(mockConductorService.reportServiceStatuses).toHaveBeenCalledWith([
+        expect.objectContaining({ service: 'test-service', state: 'not_found', container_id: null })
+      ], false);
+    });
+  });
+
+  describe('instruction results', () => {
+    let mockConductorSocket;
+
+    beforeEach(() => {
+      mockConductorSocket = {
+        sendInstructionResult: jest.fn(),
+        sendServiceStatuses: jest.fn().mockReturnValue(true)
+      };
+      deploymentHandler = new DeploymentHandler(mockConductorService, mockConductorSocket);
+    });
+
+    test('should send result for instructions pushed by conductor', async () => {
+      ServiceManager.startService = jest.fn().mockResolvedValue({ id: 'container-123' });
+
+      const result = await deploymentHandler.handleDeploymentInstruction({
+        id: 'instruction-1',
+        action: 'deploy',
+        service: 'test-service',
+        config: { docker_image: 'test-image:latest' }
+      });
+
+      expect(mockConductorSocket.sendInstructionResult).toHaveBeenCalledWith(
+        'instruction-1',
+        'success',
+        result,
+        null
       );
     });
+
+    test('should send failed result with error message', async () => {
+      ServiceManager.startService = jest.fn().mockRejectedValue(new Error('Docker error'));
+
+      await expect(
+        deploymentHandler.handleDeploymentInstruction({
+          id: 'instruction-2',
+          action: 'deploy',
+          service: 'test-service',
+          config: { docker_image: 'test-image:latest' }
+        })
+      ).rejects.toThrow('Docker error');
+
+      expect(mockConductorSocket.sendInstructionResult).toHaveBeenCalledWith(
+        'instruction-2',
+        'failed',
+        null,
+        'Docker error'
+      );
+    });
+
+    test('should log the deployment with the request id of the instruction', async () => {
+      ServiceManager.startService = jest.fn().mockResolvedValue({ id: 'container-123' });
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await deploymentHandler.handleDeploymentInstruction({
+        id: 'instruction-3',
+        request_id: 'trace-123',
+        action: 'deploy',
+        service: 'test-service',
+        config: { docker_image: 'test-image:latest' }
+      });
+
+      const entries = log.mock.calls.map(([line]) => JSON.parse(line));
+      log.mockRestore();
+
+      expect(entries.map(entry => entry.msg)).toEqual([
+        'Handling deployment instruction',
+        'Deploying service',
+        'Service deployed',
+        'Deployment instruction succeeded'
+      ]);
+      entries.forEach(entry => expect(entry).toMatchObject({ request_id: 'trace-123', component: 'deployment' }));
+      expect(entries[0]).toMatchObject({ instruction_id: 'instruction-3', action: 'deploy', service: 'test-service' });
+    });
+
+    test('should not send result for instructions without id', async () => {
+      ServiceManager.stopService = jest.fn().mockResolvedValue({ id: 'container-123' });
+
+      await deploymentHandler.handleDeploymentInstruction({
+        action: 'stop',
+        service: 'test-service'
+      });
+
+      expect(mockConductorSocket.sendInstructionResult).not.toHaveBeenCalled();
+    });
   });
 
   describe('deployService', () => {
@@ -0,0 +1,89 @@
+const { logger, redact } = require('../../utils/logger');
+const { runWithRequestId, getRequestId } = require('../../utils/requestContext');
+
+describe('Logger Unit Tests', () => {
+  let lines;
+
+  beforeEach(() => {
+    lines = [];
+    const capture = (line) => lines.push(line);
+    jest.spyOn(console, 'log').mockImplementation(capture);
+    jest.spyOn(console, 'warn').mockImplementation(capture);
+    jest.spyOn(console, 'error').mockImplementation(capture);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.LOG_LEVEL;
+  });
+
+  test('should write one JSON line with level, message and child fields', () => {
+    logger.child({ component: 'test' }).info('Hello', { service: 'web' });
+
+    expect(lines).toHaveLength(1);
+    const entry = JSON.parse(lines[0]);
+    expect(entry).toMatchObject({ level: 'info', msg: 'Hello', component: 'test', service: 'web' });
+    expect(entry).not.toHaveProperty('request_id');
+    expect(new Date(entry.time).toISOString()).toBe(entry.time);
+  });
+
+  test('should add the request id of the current context', async () => {
+    await runWithRequestId('trace-123', async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      expect(getRequestId()).toBe('trace-123');
+      logger.warn('Inside');
+    });
+    logger.info('Outside');
+
+    expect(JSON.parse(lines[0])).toMatchObject({ level: 'warn', request_id: 'trace-123' });
+    expect(JSON.parse(lines[1])).not.toHaveProperty('request_id');
+    expect(getRequestId()).toBeNull();
+  });
+
+  test('should skip lines below LOG_LEVEL', () => {
+    process.env.LOG_LEVEL = 'warn';
+
+    logger.debug('debug');
+    logger.info('info');
+    logger.warn('warn');
+    logger.error('error');
+
+    expect(lines.map(line => JSON.parse(line).msg)).toEqual(['warn', 'error']);
+  });
+
+  test('should redact tokens, passwords and credentials', () => {
+    const circular = { name: 'loop' };
+    circular.self = circular;
+
+    expect(redact({
+      token: 'abc',
+      CONDUCTOR_TOKEN: 'abc',
+      db_password: 'hunter2',
+      apiKey: 'ak_1',
+      registration_token_id: 'tok-1',
+      nested: [{ credential: 'wkr_secret', headers: { Authorization: 'Bearer abc' } }],
+      message: 'called with Bearer abc.def',
+      empty_token: null,
+      circular
+    })).toEqual({
+      token: '[REDACTED]',
+      CONDUCTOR_TOKEN: '[REDACTED]',
+      db_password: '[REDACTED]',
+      apiKey: '[REDACTED]',
+      registration_token_id: 'tok-1',
+      nested: [{ credential: '[REDACTED]', headers: { Authorization: '[REDACTED]' } }],
+      message: 'called with Bearer [REDACTED]',
+      empty_token: null,
+      circular: { name: 'loop', self: '[Circular]' }
+    });
+  });
+
+  test('should write errors with message and stack to stderr', () => {
+    logger.error('Failed', { error: new Error('boom') });
+
+    expect(console.error).toHaveBeenCalledTimes(1);
+    const entry = JSON.parse(lines[0]);
+    expect(entry.error).toMatchObject({ name: 'Error', message: 'boom' });
+    expect(entry.error.stack).toContain('boom');
+  });
+});
@@ -0,0 +1,103 @@
+const MetricsExporter = require('../../services/MetricsExporter');
+const { Registry } = require('../../utils/openMetrics');
+
+describe('MetricsExporter Unit Tests', () => {
+  let resourceDetector;
+  let serviceManager;
+  let deploymentHandler;
+  let state;
+  let exporter;
+
+  beforeEach(() => {
+    resourceDetector = {
+      getAllResources: jest.fn().mockResolvedValue({
+        cpu: { cores: 4, usagePercent: '12.50', perCore: [{ core: 1, usagePercent: '10.00' }, { core: 2, usagePercent: '15.00' }] },
+        ram: { total_gb: 8, used_gb: 2, available_gb: 6, usagePercent: 25 },
+        disk: { total_gb: 100, used_gb: 40, available_gb: 60, usagePercent: 40, read_bytes_per_sec: 1024, write_bytes_per_sec: 2048 },
+        network: {
+          primary_interface: 'eth0',
+          rx_bytes: 5000,
+          tx_bytes: 3000,
+          rx_bytes_per_sec: 50,
+          tx_bytes_per_sec: 30,
+          rx_errors: 1,
+          tx_errors: 0,
+          rx_dropped: 2,
+          tx_dropped: 0
+        }
+      })
+    };
+    serviceManager = {
+      listServices: jest.fn().mockResolvedValue([
+        { service: 'web', running: true },
+        { service: 'db', running: true },
+        { service: 'job', running: false }
+      ])
+    };
+    deploymentHandler = { deploymentQueue: [{ id: 'a' }, { id: 'b' }], isProcessing: true };
+    state = { registered: true, conductorConnected: true, dockerConnected: true };
+    exporter = new MetricsExporter({ resourceDetector, serviceManager, deploymentHandler, getState: () => state });
+  });
+
+  function sample(text, name) {
+    const line = text.split('\n').find(candidate => candidate.startsWith(`${name} `));
+    return line ? Number(line.slice(name.length + 1)) : null;
+  }
+
+  test('should render containers, queue and resources in OpenMetrics format', async () => {
+    const text = await exporter.render();
+
+    expect(text.endsWith('# EOF\n')).toBe(true);
+    expect(sample(text, 'worker_registered')).toBe(1);
+    expect(sample(text, 'worker_containers{state="running"}')).toBe(2);
+    expect(sample(text, 'worker_containers{state="stopped"}')).toBe(1);
+    expect(sample(text, 'worker_deployment_queue_depth')).toBe(2);
+    expect(sample(text, 'worker_deployment_processing')).toBe(1);
+    expect(sample(text, 'worker_cpu_usage_percent')).toBe(12.5);
+    expect(sample(text, 'worker_cpu_core_usage_percent{core="2"}')).toBe(15);
+    expect(sample(text, 'worker_memory_used_bytes')).toBe(2 * 1024 * 1024 * 1024);
+    expect(sample(text, 'worker_disk_write_bytes_per_second')).toBe(2048);
+    expect(sample(text, 'worker_network_receive_bytes_total{interface="eth0"}')).toBe(5000);
+    expect(sample(text, 'worker_network_dropped_total{interface="eth0",direction="receive"}')).toBe(2);
+  });
+
+  test('should leave out containers while Docker is not connected', async () => {
+    state.dockerConnected = false;
+
+    const text = await exporter.render();
+
+    expect(serviceManager.listServices).not.toHaveBeenCalled();
+    expect(sample(text, 'worker_docker_connected')).toBe(0);
+    expect(text).toContain('# TYPE worker_containers gauge');
+    expect(text).not.toContain('worker_containers{');
+  });
+
+  test('should still render other metrics when resources cannot be read', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    resourceDetector.getAllResources.mockRejectedValue(new Error('no access'));
+
+    const text = await exporter.render();
+
+    expect(sample(text, 'worker_deployment_queue_depth')).toBe(2);
+    expect(console.error).toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+
+  describe('openMetrics Registry', () => {
+    test('should escape label values and keep histogram buckets cumulative', async () => {
+      const registry = new Registry();
+      registry.counter('test_events', 'Events', ['name']).inc({ name: 'say "hi"\n' });
+      const histogram = registry.histogram('test_seconds', 'Durations', [], [0.1, 1]);
+      histogram.observe({}, 0.05);
+      histogram.observe({}, 0.5);
+
+      const text = await registry.render();
+
+      expect(text).toContain('test_events_total{name="say \\"hi\\"\\n"} 1');
+      expect(text).toContain('test_seconds_bucket{le="0.1"} 1');
+      expect(text).toContain('test_seconds_bucket{le="1"} 2');
+      expect(text).toContain('test_seconds_bucket{le="+Inf"} 2');
+      expect(text).toContain('test_seconds_sum 0.55');
+    });
+  });
+});
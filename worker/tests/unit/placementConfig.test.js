@@ -0,0 +1,54 @@
+const os = require('os');
+const { getPlacementConfig, parseLabels, parseTaints } = require('../../utils/placementConfig');
+
+describe('placementConfig Unit Tests', () => {
+  describe('parseLabels', () => {
+    test('should parse key=value pairs', () => {
+      expect(parseLabels('zone=garage, disk=ssd')).toEqual({ zone: 'garage', disk: 'ssd' });
+    });
+
+    test('should skip entries without a key', () => {
+      expect(parseLabels('zone=garage,ssd,=x')).toEqual({ zone: 'garage' });
+    });
+  });
+
+  describe('parseTaints', () => {
+    test('should parse taints with and without value and effect', () => {
+      expect(parseTaints('dedicated=db:NoSchedule,spot:PreferNoSchedule,gpu')).toEqual([
+        { key: 'dedicated', value: 'db', effect: 'NoSchedule' },
+        { key: 'spot', value: null, effect: 'PreferNoSchedule' },
+        { key: 'gpu', value: null, effect: 'NoSchedule' }
+      ]);
+    });
+  });
+
+  describe('getPlacementConfig', () => {
+    test('should read labels, taints and capabilities from env', () => {
+      const placement = getPlacementConfig({
+        WORKER_LABELS: 'zone=garage',
+        WORKER_TAINTS: 'dedicated=db',
+        WORKER_CAPABILITIES: 'gpu, usb'
+      });
+
+      expect(placement.labels.zone).toBe('garage');
+      expect(placement.taints).toEqual([{ key: 'dedicated', value: 'db', effect: 'NoSchedule' }]);
+      expect(placement.capabilities).toEqual(['gpu', 'usb']);
+    });
+
+    test('should detect the arch label unless it is set', () => {
+      jest.spyOn(os, 'arch').mockReturnValue('x64');
+
+      expect(getPlacementConfig({}).labels).toEqual({ arch: 'amd64' });
+      expect(getPlacementConfig({ WORKER_LABELS: 'arch=arm64' }).labels).toEqual({ arch: 'arm64' });
+
+      os.arch.mockRestore();
+    });
+
+    test('should return empty lists when nothing is set', () => {
+      const placement = getPlacementConfig({});
+
+      expect(placement.taints).toEqual([]);
+      expect(placement.capabilities).toEqual([]);
+    });
+  });
+});
@@ -25,7 +25,10 @@ const mockDocker = {
   ping: jest.fn().mockResolvedValue('OK'),
   listContainers: jest.fn().mockResolvedValue([]),
   createContainer: jest.fn().mockResolvedValue(mockContainer),
-  getContainer: jest.fn().mockReturnValue(mockContainer)
+  getContainer: jest.fn().mockReturnValue(mockContainer),
+  getImage: jest.fn(),
+  pull: jest.fn(),
+  modem: { followProgress: jest.fn() }
 };
 
 // Mock Docker constructor
@@ -44,6 +47,8 @@ describe('ServiceManager Unit Tests', () => {
     mockDocker.listContainers.mockResolvedValue([]);
     mockDocker.createContainer.mockResolvedValue(mockContainer);
     mockDocker.getContainer.mockReturnValue(mockContainer);
+    mockDocker.pull.mockResolvedValue('pull-stream');
+    mockDocker.modem.followProgress.mockImplementation((stream, onFinished) => onFinished(null));
     
     mockContainer.start.mockResolvedValue(undefined);
     mockContainer.stop.mockResolvedValue(undefined);
@@ -286,6 +291,40 @@ describe('ServiceManager Unit Tests', () => {
       expect(status).toHaveProperty('running', true);
     });
 
+    test('should include exit code, error and image digest', async () => {
+      mockDocker.listContainers.mockResolvedValue([{
+        Id: 'container-123',
+        Names: ['/aerekos-test-service'],
+        State: 'exited'
+      }]);
+      mockDocker.getContainer.mockReturnValue(mockContainer);
+      mockDocker.getImage.mockReturnValue({
+        inspect: jest.fn().mockResolvedValue({
+          Id: 'sha256:image-id',
+          RepoDigests: ['test-image@sha256:digest']
+        })
+      });
+
+      mockContainer.inspect.mockResolvedValue({
+        Id: 'container-123',
+        Image: 'sha256:image-id',
+        State: {
+          Running: false,
+          Status: 'exited',
+          ExitCode: 137,
+          Error: 'OOMKilled'
+        },
+        RestartCount: 2
+      });
+
+      const status = await ServiceManager.getServiceStatus('test-service');
+
+      expect(status).toHaveProperty('exitCode', 137);
+      expect(status).toHaveProperty('error', 'OOMKilled');
+      expect(status).toHaveProperty('restartCount', 2);
+      expect(status).toHaveProperty('imageDigest', 'test-image@sha256:digest');
+    });
+
     test('should return not_found for non-existent service', async () => {
       mockDocker.listContainers.mockResolvedValue([]);
 
@@ -355,5 +394,41 @@ describe('ServiceManager Unit Tests', () => {
       expect(errorInfo.message).toContain('Docker daemon');
     });
   });
-});
 
+  describe('updateService', () => {
+    test('should pull the new image before replacing the container', async () => {
+      const containerData = { Id: 'container-123', Names: ['/aerekos-test-service'] };
+      mockDocker.listContainers.mockResolvedValue([containerData]);
+      mockContainer.inspect.mockResolvedValueOnce({ Id: 'container-123', State: { Running: true } });
+      mockContainer.inspect.mockResolvedValueOnce({ Id: 'container-123', State: { Running: false } });
+
+      await ServiceManager.updateService('test-service', { docker_image: 'nginx:1.27' });
+
+      expect(mockDocker.pull).toHaveBeenCalledWith('nginx:1.27');
+      expect(mockDocker.pull.mock.invocationCallOrder[0])
+        .toBeLessThan(mockContainer.stop.mock.invocationCallOrder[0]);
+      expect(mockContainer.remove).toHaveBeenCalled();
+    });
+
+    test('should keep the old container when the new image cannot be pulled', async () => {
+      mockDocker.pull.mockRejectedValue(new Error('manifest unknown'));
+      mockDocker.getImage.mockReturnValue({ inspect: jest.fn().mockRejectedValue(new Error('No such image')) });
+
+      await expect(
+        ServiceManager.updateService('test-service', { docker_image: 'nginx:missing' })
+      ).rejects.toThrow('Failed to pull image nginx:missing: manifest unknown');
+
+      expect(mockContainer.stop).not.toHaveBeenCalled();
+      expect(mockContainer.remove).not.toHaveBeenCalled();
+    });
+
+    test('should use a local image when the registry cannot be reached', async () => {
+      mockDocker.pull.mockRejectedValue(new Error('connect ECONNREFUSED'));
+      mockDocker.getImage.mockReturnValue({ inspect: jest.fn().mockResolvedValue({ Id: 'sha256:abc' }) });
+
+      await ServiceManager.updateService('test-service', { docker_image: 'local/app:dev' });
+
+      expect(mockDocker.createContainer).toHaveBeenCalledWith(expect.objectContaining({ Image: 'local/app:dev' }));
+    });
+  });
+});
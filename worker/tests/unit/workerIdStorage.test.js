@@ -99,6 +99,22 @@ describe('workerIdStorage Unit Tests', () => {
     });
   });
 
+  describe('getStoredCredential', () => {
+    test('should return null when no credential is stored', () => {
+      workerIdStorage.storeWorkerId('test-worker-no-credential');
+
+      expect(workerIdStorage.getStoredCredential()).toBeNull();
+    });
+
+    test('should store the credential next to the worker ID, readable by the owner only', () => {
+      workerIdStorage.storeWorkerId('test-worker-credential', 'wkr_secret');
+
+      expect(workerIdStorage.getStoredWorkerId()).toBe('test-worker-credential');
+      expect(workerIdStorage.getStoredCredential()).toBe('wkr_secret');
+      expect(fs.statSync(WORKER_ID_FILE).mode & 0o777).toBe(0o600);
+    });
+  });
+
   describe('clearWorkerId', () => {
     test('should delete worker ID file when it exists', () => {
       const testWorkerId = 'test-worker-clear';
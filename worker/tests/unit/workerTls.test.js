@@ -0,0 +1,60 @@
+const { X509Certificate, createPublicKey } = require('crypto');
+const workerTls = require('../../utils/workerTls');
+const { LONG_LIVED_CERTIFICATE, EXPIRED_CERTIFICATE } = require('../helpers/certificates');
+
+describe('workerTls Unit Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('generateKeyPair', () => {
+    test('should generate an RSA key pair in PEM format', () => {
+      const { privateKey, publicKey } = workerTls.generateKeyPair();
+
+      expect(privateKey).toContain('BEGIN PRIVATE KEY');
+      expect(createPublicKey(publicKey).asymmetricKeyType).toBe('rsa');
+    });
+  });
+
+  describe('isCertificateValid', () => {
+    test('should accept a certificate within its validity period', () => {
+      expect(workerTls.isCertificateValid(LONG_LIVED_CERTIFICATE)).toBe(true);
+    });
+
+    test('should reject expired or unreadable certificates', () => {
+      expect(workerTls.isCertificateValid(EXPIRED_CERTIFICATE)).toBe(false);
+      expect(workerTls.isCertificateValid('not a certificate')).toBe(false);
+    });
+  });
+
+  describe('needsRenewal', () => {
+    test('should not renew while more than a third of the lifetime is left', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(new Date('2030-01-01T00:00:00Z').getTime());
+
+      expect(workerTls.needsRenewal(LONG_LIVED_CERTIFICATE)).toBe(false);
+    });
+
+    test('should renew in the last third of the lifetime', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(new Date('2100-01-01T00:00:00Z').getTime());
+
+      expect(workerTls.needsRenewal(LONG_LIVED_CERTIFICATE)).toBe(true);
+    });
+  });
+
+  describe('fingerprintMatches', () => {
+    test('should compare fingerprints with or without colons', () => {
+      const fingerprint = new X509Certificate(LONG_LIVED_CERTIFICATE).fingerprint256;
+
+      expect(workerTls.fingerprintMatches(LONG_LIVED_CERTIFICATE, fingerprint)).toBe(true);
+      expect(workerTls.fingerprintMatches(LONG_LIVED_CERTIFICATE, fingerprint.replace(/:/g, '').toLowerCase())).toBe(true);
+      expect(workerTls.fingerprintMatches(EXPIRED_CERTIFICATE, fingerprint)).toBe(false);
+    });
+  });
+
+  describe('getTlsUrl', () => {
+    test('should use the host of CONDUCTOR_URL with the TLS port', () => {
+      expect(workerTls.getTlsUrl('http://conductor:3000', 3443)).toBe('https://conductor:3443');
+      expect(workerTls.getTlsUrl('http://192.168.1.10:3000/', 8443)).toBe('https://192.168.1.10:8443');
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'storage' });
+
+const TLS_DIR = path.join(__dirname, '..', 'data', 'tls');
+const CA_FILE = path.join(TLS_DIR, 'ca.crt');
+const KEY_FILE = path.join(TLS_DIR, 'worker.key');
+const CERT_FILE = path.join(TLS_DIR, 'worker.crt');
+
+/**
+ * Ensure TLS directory exists
+ */
+function ensureTlsDir() {
+  if (!fs.existsSync(TLS_DIR)) {
+    fs.mkdirSync(TLS_DIR, { recursive: true, mode: 0o700 });
+  }
+}
+
+/**
+ * Read a file from the TLS directory
+ * @param {string} file - File path
+ * @returns {string|null} Contents or null if not stored
+ */
+function readTlsFile(file) {
+  try {
+    if (fs.existsSync(file)) {
+      return fs.readFileSync(file, 'utf8');
+    }
+  } catch (error) {
+    log.error('Failed to read TLS file', { file: path.basename(file), error: error.message });
+  }
+  return null;
+}
+
+/**
+ * Get the stored certificate of conductor's CA
+ * @returns {string|null} PEM certificate or null if not stored
+ */
+function getStoredCaCertificate() {
+  return readTlsFile(CA_FILE);
+}
+
+/**
+ * Store the certificate of conductor's CA
+ * @param {string} certificate - PEM certificate
+ */
+function storeCaCertificate(certificate) {
+  try {
+    ensureTlsDir();
+    fs.writeFileSync(CA_FILE, certificate, 'utf8');
+    log.info('Conductor CA certificate stored');
+  } catch (error) {
+    log.error('Failed to store CA certificate', { error: error.message });
+  }
+}
+
+/**
+ * Get the stored client certificate and its private key
+ * @returns {{key: string, cert: string}|null} PEM key and certificate or null if not stored
+ */
+function getStoredCertificate() {
+  const key = readTlsFile(KEY_FILE);
+  const cert = readTlsFile(CERT_FILE);
+  return key && cert ? { key, cert } : null;
+}
+
+/**
+ * Store the client certificate and its private key
+ * The key is only readable by the owner.
+ * @param {string} key - PEM private key
+ * @param {string} cert - PEM certificate issued by conductor
+ */
+function storeCertificate(key, cert) {
+  try {
+    ensureTlsDir();
+    fs.writeFileSync(KEY_FILE, key, { encoding: 'utf8', mode: 0o600 });
+    fs.chmodSync(KEY_FILE, 0o600);
+    fs.writeFileSync(CERT_FILE, cert, 'utf8');
+    log.info('Client certificate stored');
+  } catch (error) {
+    log.error('Failed to store client certificate', { error: error.message });
+  }
+}
+
+/**
+ * Clear the stored client certificate and key (the CA certificate is kept)
+ */
+function clearCertificate() {
+  try {
+    for (const file of [KEY_FILE, CERT_FILE]) {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    }
+  } catch (error) {
+    log.error('Failed to clear client certificate', { error: error.message });
+  }
+}
+
+module.exports = {
+  getStoredCaCertificate,
+  storeCaCertificate,
+  getStoredCertificate,
+  storeCertificate,
+  clearCertificate
+};
@@ -0,0 +1,174 @@
+const { getRequestId } = require('./requestContext');
+
+/**
+ * Structured logger
+ * Writes one JSON object per line: { time, level, msg, request_id, ...fields }. request_id comes
+ * from the request context (see requestContext.js) unless given as a field. Values of keys that
+ * look secret (passwords, tokens, credentials, authorization headers, API keys) and bearer tokens
+ * inside strings are replaced with [REDACTED].
+ * LOG_LEVEL sets the lowest level written: debug, info (default), warn or error.
+ * Same line format as the conductor's api/utils/logger.js, so both can be searched by request_id.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LEVEL = 'info';
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+// Compared against the key lowercased without separators, so db_password and apiKey match too
+const SECRET_KEY_SUFFIXES = [
+  'password', 'passphrase', 'secret', 'token', 'credential', 'credentials',
+  'authorization', 'cookie', 'apikey', 'privatekey'
+];
+
+const BEARER_PATTERN = /(bearer\s+)[^\s"',]+/gi;
+
+/**
+ * Check whether a key holds a secret
+ * @param {string} key - Object key
+ * @returns {boolean} True if its value must be redacted
+ */
+function isSecretKey(key) {
+  const normalized = String(key).toLowerCase().replace(/[^a-z]/g, '');
+  return SECRET_KEY_SUFFIXES.some(suffix => normalized.endsWith(suffix));
+}
+
+/**
+ * Copy a value with secrets redacted; errors become { name, message, code, stack }
+ * @param {*} value - Value to log
+ * @param {number} [depth] - Current nesting depth
+ * @param {WeakSet} [seen] - Objects already visited (for circular references)
+ * @returns {*} Value safe to log
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return value.replace(BEARER_PATTERN, `$1${REDACTED}`);
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'bigint' || typeof value === 'function' ? String(value) : value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Object]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    const error = { name: value.name, message: redact(value.message) };
+    if (value.code !== undefined) {
+      error.code = value.code;
+    }
+    if (value.stack) {
+      error.stack = redact(value.stack);
+    }
+    return error;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = isSecretKey(key) && item !== null && item !== undefined ? REDACTED : redact(item, depth + 1, seen);
+  }
+  return copy;
+}
+
+/**
+ * Get the configured minimum level
+ * @returns {number} Level value
+ */
+function getMinimumLevel() {
+  const name = String(process.env.LOG_LEVEL || DEFAULT_LEVEL).toLowerCase();
+  return LEVELS[name] || LEVELS[DEFAULT_LEVEL];
+}
+
+/**
+ * Logger with fields added to every line; child() adds more (component, worker_id, ...)
+ */
+class Logger {
+  /**
+   * @param {object} [fields] - Fields added to every line
+   */
+  constructor(fields = {}) {
+    this.fields = fields;
+  }
+
+  /**
+   * Create a logger that adds fields to every line
+   * @param {object} fields - Fields
+   * @returns {Logger} Child logger
+   */
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields });
+  }
+
+  /**
+   * Check whether a level is written
+   * @param {string} level - debug, info, warn or error
+   * @returns {boolean} True if lines of the level are written
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= getMinimumLevel();
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  /**
+   * Write a line
+   * @param {string} level - debug, info, warn or error
+   * @param {string} message - Message
+   * @param {object} [fields] - Fields of this line
+   */
+  write(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const requestId = getRequestId();
+    const entry = redact({
+      time: new Date().toISOString(),
+      level,
+      msg: String(message),
+      ...(requestId ? { request_id: requestId } : {}),
+      ...this.fields,
+      ...fields
+    });
+
+    const line = JSON.stringify(entry);
+    if (level === 'error') {
+      console.error(line);
+    } else if (level === 'warn') {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+module.exports = {
+  LEVELS,
+  Logger,
+  logger: new Logger(),
+  redact
+};
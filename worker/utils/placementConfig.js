@@ -0,0 +1,85 @@
+const os = require('os');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'placement' });
+
+// Node's architecture names mapped to the names used in image manifests
+const ARCH_NAMES = {
+  x64: 'amd64',
+  arm64: 'arm64',
+  arm: 'arm',
+  ia32: '386'
+};
+
+/**
+ * Parse a comma-separated list of key=value pairs
+ * @param {string} value - e.g. "zone=garage,disk=ssd"
+ * @returns {object} e.g. { zone: 'garage', disk: 'ssd' }
+ */
+function parseLabels(value) {
+  const labels = {};
+
+  for (const pair of splitList(value)) {
+    const index = pair.indexOf('=');
+    if (index <= 0) {
+      log.warn('Ignoring label, expected key=value', { label: pair });
+      continue;
+    }
+    labels[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+  }
+
+  return labels;
+}
+
+/**
+ * Parse a comma-separated list of taints
+ * @param {string} value - e.g. "dedicated=db:NoSchedule,spot:PreferNoSchedule"
+ * @returns {Array<object>} e.g. [{ key: 'dedicated', value: 'db', effect: 'NoSchedule' }]
+ */
+function parseTaints(value) {
+  return splitList(value).map(entry => {
+    const [keyValue, effect] = entry.split(':');
+    const index = keyValue.indexOf('=');
+
+    return {
+      key: (index >= 0 ? keyValue.slice(0, index) : keyValue).trim(),
+      value: index >= 0 ? keyValue.slice(index + 1).trim() : null,
+      effect: effect ? effect.trim() : 'NoSchedule'
+    };
+  });
+}
+
+/**
+ * Split a comma-separated list, dropping empty entries
+ * @param {string} value - Comma-separated list
+ * @returns {Array<string>} Trimmed entries
+ */
+function splitList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Get the labels, taints and capabilities this worker declares at registration
+ * Read from WORKER_LABELS, WORKER_TAINTS and WORKER_CAPABILITIES. The arch label is
+ * detected unless WORKER_LABELS sets it.
+ * @param {object} [env] - Environment variables (default: process.env)
+ * @returns {object} { labels, taints, capabilities }
+ */
+function getPlacementConfig(env = process.env) {
+  const arch = os.arch();
+
+  return {
+    labels: {
+      arch: ARCH_NAMES[arch] || arch,
+      ...parseLabels(env.WORKER_LABELS)
+    },
+    taints: parseTaints(env.WORKER_TAINTS),
+    capabilities: splitList(env.WORKER_CAPABILITIES)
+  };
+}
+
+module.exports = {
+  getPlacementConfig,
+  parseLabels,
+  parseTaints
+};
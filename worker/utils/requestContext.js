@@ -0,0 +1,33 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Request context
+ * Keeps the request id of the deployment instruction being handled across async calls, so its
+ * log lines and the status reports sent to conductor carry the request_id conductor assigned.
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request id as the current context
+ * @param {string|null} requestId - Request ID (null runs without one)
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+function runWithRequestId(requestId, fn) {
+  return storage.run({ requestId: requestId || null }, fn);
+}
+
+/**
+ * Get the request id of the current context
+ * @returns {string|null} Request ID, or null outside an instruction
+ */
+function getRequestId() {
+  const store = storage.getStore();
+  return store ? store.requestId : null;
+}
+
+module.exports = {
+  runWithRequestId,
+  getRequestId
+};
@@ -1,6 +1,9 @@
 const si = require('systeminformation');
 const fs = require('fs');
 const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'resources' });
 
 /**
  * Resource Detector - Detects system resources (CPU, RAM, disk, network)
@@ -92,7 +95,7 @@ class ResourceDetector {
         usage: usage
       };
     } catch (error) {
-      console.error('Error reading host CPU info:', error);
+      log.error('Failed to read host CPU info', { error });
       return null;
     }
   }
@@ -121,7 +124,7 @@ class ResourceDetector {
         usage: currentLoad.currentLoad || 0
       };
     } catch (error) {
-      console.error('Error getting CPU info:', error);
+      log.error('Failed to get CPU info', { error });
       return {
         cores: 1,
         physicalCores: 1,
@@ -197,7 +200,7 @@ class ResourceDetector {
         free: Math.round(freeGB)
       };
     } catch (error) {
-      console.error('Error reading host RAM info:', error);
+      log.error('Failed to read host RAM info', { error });
       return null;
     }
   }
@@ -291,7 +294,7 @@ class ResourceDetector {
         free: Math.round(containerFreeGB)
       };
     } catch (error) {
-      console.error('Error getting RAM info:', error);
+      log.error('Failed to get RAM info', { error });
       return {
         total: 0,
         available: 0,
@@ -528,7 +531,7 @@ class ResourceDetector {
       
       return null;
     } catch (error) {
-      console.error('Error reading host disk info:', error);
+      log.error('Failed to read host disk info', { error });
       return null;
     }
   }
@@ -581,7 +584,7 @@ class ResourceDetector {
         used: Math.round(containerUsedGB)
       };
     } catch (error) {
-      console.error('Error getting disk info:', error);
+      log.error('Failed to get disk info', { error });
       return {
         total: 0,
         available: 0,
@@ -614,7 +617,7 @@ class ResourceDetector {
       // Network info is less critical, so we'll use container info as fallback
       return null; // Will fallback to container info
     } catch (error) {
-      console.error('Error reading host network info:', error);
+      log.error('Failed to read host network info', { error });
       return null;
     }
   }
@@ -661,7 +664,7 @@ class ResourceDetector {
         tx_bytes: primaryStats?.tx_bytes || 0
       };
     } catch (error) {
-      console.error('Error getting network info:', error);
+      log.error('Failed to get network info', { error });
       return {
         interfaces: 0,
         primaryInterface: 'unknown',
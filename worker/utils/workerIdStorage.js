@@ -1,5 +1,8 @@
 const fs = require('fs');
 const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'storage' });
 
 const WORKER_ID_FILE = path.join(__dirname, '..', 'data', 'worker-id.json');
 const DATA_DIR = path.dirname(WORKER_ID_FILE);
@@ -14,37 +17,58 @@ function ensureDataDir() {
 }
 
 /**
- * Get stored worker ID
- * @returns {string|null} Worker ID or null if not stored
+ * Read the worker ID file
+ * @returns {object|null} Stored data or null if not stored
  */
-function getStoredWorkerId() {
+function readWorkerIdFile() {
   try {
     ensureDataDir();
     if (fs.existsSync(WORKER_ID_FILE)) {
-      const data = JSON.parse(fs.readFileSync(WORKER_ID_FILE, 'utf8'));
-      return data.workerId || null;
+      return JSON.parse(fs.readFileSync(WORKER_ID_FILE, 'utf8'));
     }
   } catch (error) {
-    console.error('Error reading worker ID file:', error.message);
+    log.error('Failed to read worker ID file', { error: error.message });
   }
   return null;
 }
 
+/**
+ * Get stored worker ID
+ * @returns {string|null} Worker ID or null if not stored
+ */
+function getStoredWorkerId() {
+  const data = readWorkerIdFile();
+  return (data && data.workerId) || null;
+}
+
+/**
+ * Get the stored credential conductor issued to this worker
+ * @returns {string|null} Credential or null if not stored
+ */
+function getStoredCredential() {
+  const data = readWorkerIdFile();
+  return (data && data.credential) || null;
+}
+
 /**
  * Store worker ID to file
+ * The file is only readable by the owner because it holds the worker's credential.
  * @param {string} workerId - Worker ID to store
+ * @param {string} [credential] - Credential issued by conductor
  */
-function storeWorkerId(workerId) {
+function storeWorkerId(workerId, credential = null) {
   try {
     ensureDataDir();
     const data = {
       workerId,
+      credential,
       storedAt: new Date().toISOString()
     };
-    fs.writeFileSync(WORKER_ID_FILE, JSON.stringify(data, null, 2), 'utf8');
-    console.log(`✓ Worker ID stored: ${workerId}`);
+    fs.writeFileSync(WORKER_ID_FILE, JSON.stringify(data, null, 2), { encoding: 'utf8', mode: 0o600 });
+    fs.chmodSync(WORKER_ID_FILE, 0o600);
+    log.info('Worker ID stored', { worker_id: workerId });
   } catch (error) {
-    console.error('Error storing worker ID:', error.message);
+    log.error('Failed to store worker ID', { error: error.message });
   }
 }
 
@@ -55,15 +79,16 @@ function clearWorkerId() {
   try {
     if (fs.existsSync(WORKER_ID_FILE)) {
       fs.unlinkSync(WORKER_ID_FILE);
-      console.log('✓ Worker ID cleared');
+      log.info('Worker ID cleared');
     }
   } catch (error) {
-    console.error('Error clearing worker ID:', error.message);
+    log.error('Failed to clear worker ID', { error: error.message });
   }
 }
 
 module.exports = {
   getStoredWorkerId,
+  getStoredCredential,
   storeWorkerId,
   clearWorkerId
 };
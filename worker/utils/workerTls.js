@@ -0,0 +1,73 @@
+const { generateKeyPairSync, X509Certificate } = require('crypto');
+
+/**
+ * Generate the key pair for a client certificate
+ * The private key stays on the worker; conductor only sees the public key
+ * @returns {{privateKey: string, publicKey: string}} PEM keys
+ */
+function generateKeyPair() {
+  return generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+}
+
+/**
+ * Check if a certificate is currently valid
+ * @param {string} certificate - PEM certificate
+ * @returns {boolean} True if it has started and not yet expired
+ */
+function isCertificateValid(certificate) {
+  try {
+    const x509 = new X509Certificate(certificate);
+    const now = Date.now();
+    return new Date(x509.validFrom).getTime() <= now && now < new Date(x509.validTo).getTime();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check if a certificate has less than a third of its lifetime left
+ * @param {string} certificate - PEM certificate
+ * @returns {boolean} True if it should be renewed
+ */
+function needsRenewal(certificate) {
+  const x509 = new X509Certificate(certificate);
+  const validFrom = new Date(x509.validFrom).getTime();
+  const validTo = new Date(x509.validTo).getTime();
+  return validTo - Date.now() < (validTo - validFrom) / 3;
+}
+
+/**
+ * Check a CA certificate against a pinned SHA-256 fingerprint
+ * @param {string} certificate - PEM certificate
+ * @param {string} fingerprint - Expected fingerprint (hex, colons optional)
+ * @returns {boolean} True if they match
+ */
+function fingerprintMatches(certificate, fingerprint) {
+  const normalize = value => value.replace(/:/g, '').toUpperCase();
+  return normalize(new X509Certificate(certificate).fingerprint256) === normalize(fingerprint);
+}
+
+/**
+ * Build the URL of conductor's TLS listener from its plain URL
+ * @param {string} conductorUrl - e.g. http://conductor:3000
+ * @param {number} tlsPort - Port of the TLS listener
+ * @returns {string} e.g. https://conductor:3443
+ */
+function getTlsUrl(conductorUrl, tlsPort) {
+  const url = new URL(conductorUrl);
+  url.protocol = 'https:';
+  url.port = String(tlsPort);
+  return url.origin;
+}
+
+module.exports = {
+  generateKeyPair,
+  isCertificateValid,
+  needsRenewal,
+  fingerprintMatches,
+  getTlsUrl
+};